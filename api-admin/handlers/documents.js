@@ -4,7 +4,15 @@
  *   GET  /api/admin/documents         - Listar documentos con filtros
  *   GET  /api/admin/documents/detail   - Detalle de un documento
  *   GET  /api/admin/documents/stats    - Estadisticas de documentos
+ *   GET  /api/admin/documents/versions - Cadena de versiones del PDF (DocumentoAnteriorId)
+ *   GET  /api/admin/documents/download - Link de descarga (original, firmado, certificado)
+ *   GET  /api/admin/documents/export   - Exportar documentos filtrados (CSV o XLSX)
+ *   GET  /api/admin/documents/export-stats - Exportar conteo por dia, tipo y estado
  *   POST /api/admin/documents/void     - Anular un documento (admin action)
+ *   POST /api/admin/documents/resend   - Reenviar la notificacion de firma (admin action)
+ *   POST /api/admin/documents/replace  - Reemplazar el PDF de un documento (admin action)
+ *   POST /api/admin/documents/bulk     - Anular, reenviar o recordar en lote (trabajo en cola)
+ *   GET  /api/admin/documents/bulk     - Progreso de una accion masiva (?id=trabajoId)
  */
 
 const {
@@ -13,11 +21,36 @@ const {
   secureErrorResponse,
   secureSuccessResponse,
 } = require('../../core/middleware/securityHeaders');
+const config = require('../../core/config');
 const audit = require('../../core/services/infrastructure/auditService');
+const { getClientIp } = require('../../core/services/infrastructure/securityService');
+const {
+  ConcurrencyError,
+  ExternalServiceError,
+  InvalidStateTransitionError,
+  ValidationError,
+} = require('../../core/errors');
 const docusignService = require('../../core/services/external/docusignService');
+const blobService = require('../../core/services/storage/blobService');
+const serviceBus = require('../../core/services/messaging/serviceBusService');
+const documentBulkService = require('../../core/services/processing/documentBulkService');
+const documentExportService = require('../../core/services/processing/documentExportService');
+const documentResendService = require('../../core/services/processing/documentResendService');
+const documentReplaceService = require('../../core/services/processing/documentReplaceService');
+const { decodeAndValidatePdf } = require('../../core/services/processing/sapDocumentProcessor');
+const { validateReenvioDocumentoPayload } = require('../../bot/schemas/reenvioDocumentoPayload');
+const {
+  validateReemplazoDocumentoPayload,
+} = require('../../bot/schemas/reemplazoDocumentoPayload');
+const { validateAccionMasivaPayload } = require('../../bot/schemas/accionMasivaPayload');
 const {
   ESTADO_DOCUMENTO,
+  ESTADO_DOCUMENTO_ID,
+  ESTADO_ITEM_TRABAJO,
   ESTADOS_DOCUMENTO_FINALES,
+  ESTADOS_REENVIO,
+  ORIGEN_HISTORIAL,
+  esTransicionDocumentoPermitida,
 } = require('../../bot/constants/documentStates');
 
 // Lazy-load repository
@@ -38,6 +71,9 @@ function getDocumentoRepo() {
         async obtenerEstadisticas() {
           return {};
         },
+        async obtenerHistorial() {
+          return [];
+        },
         async actualizarEstado() {
           return true;
         },
@@ -47,6 +83,22 @@ function getDocumentoRepo() {
   return _documentoRepo;
 }
 
+let _firmanteRepo = null;
+function getFirmanteRepo() {
+  if (!_firmanteRepo) {
+    _firmanteRepo = require('../../bot/repositories/FirmanteDocumentoRepository');
+  }
+  return _firmanteRepo;
+}
+
+let _trabajoRepo = null;
+function getTrabajoRepo() {
+  if (!_trabajoRepo) {
+    _trabajoRepo = require('../../bot/repositories/TrabajoMasivoRepository');
+  }
+  return _trabajoRepo;
+}
+
 /**
  * List documents with optional filters
  * GET /api/admin/documents?estado=ENVIADO&tipo=CONTRATO&telefono=521...&page=1&pageSize=20
@@ -90,7 +142,7 @@ async function list(context, req) {
 }
 
 /**
- * Get document detail
+ * Get document detail with its signers and state timeline (HistorialDocumentoFirma)
  * GET /api/admin/documents/detail?id=123&sapId=DOC-001
  */
 async function detail(context, req) {
@@ -117,9 +169,15 @@ async function detail(context, req) {
       return;
     }
 
+    // Firmantes y su estado (vacio en documentos de un solo firmante)
+    const firmantes = await getFirmanteRepo().obtenerPorDocumento(documento.DocumentoFirmaId);
+    const timeline = await repo.obtenerHistorial(documento.DocumentoFirmaId);
+
     context.res = secureSuccessResponse(200, {
       success: true,
       document: documento,
+      firmantes,
+      timeline,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -130,6 +188,90 @@ async function detail(context, req) {
   }
 }
 
+// Metadatos que se comparan entre versiones consecutivas
+const CAMPOS_VERSION = [
+  'DocumentoNombre',
+  'DocumentoHash',
+  'EnvelopeId',
+  'TipoDocumento',
+  'ClienteNombre',
+  'ClienteTelefono',
+  'ClienteEmail',
+  'CanalPreferido',
+  'DatosExtra',
+];
+
+/**
+ * Metadata fields that changed from the previous version
+ * @param {Object|null} anterior - Previous version (null for the first one)
+ * @param {Object} version - Version to compare
+ * @returns {Array<{ campo: string, anterior: any, nuevo: any }>}
+ */
+function compararVersiones(anterior, version) {
+  if (!anterior) {
+    return [];
+  }
+
+  const previos = new Map(Object.entries(anterior));
+  return Object.entries(version)
+    .filter(([campo, valor]) => CAMPOS_VERSION.includes(campo) && previos.get(campo) !== valor)
+    .map(([campo, valor]) => ({
+      campo,
+      anterior: previos.get(campo) ?? null,
+      nuevo: valor ?? null,
+    }));
+}
+
+/**
+ * Get the PDF version chain of a document (SAP re-posts and admin replacements)
+ * Each version includes its blob, hash, creation time, replacement reason and the
+ * metadata fields that changed from the previous one
+ * GET /api/admin/documents/versions?id=123
+ */
+async function versions(context, req) {
+  try {
+    const documentoId = parseInt(req.query.id);
+    if (!documentoId) {
+      context.res = secureErrorResponse(400, 'Se requiere id como parametro');
+      return;
+    }
+
+    const cadena = await getDocumentoRepo().obtenerVersiones(documentoId);
+    if (cadena.length === 0) {
+      context.res = secureErrorResponse(404, 'Documento no encontrado');
+      return;
+    }
+
+    let anterior = null;
+    const versiones = cadena.map((version, indice) => {
+      const cambios = compararVersiones(anterior, version);
+      anterior = version;
+      return {
+        ...version,
+        Numero: indice + 1,
+        Actual: version.DocumentoFirmaId === documentoId,
+        BlobName: version.DocumentoOriginalUrl
+          ? blobService.getBlobNameFromUrl(version.DocumentoOriginalUrl)
+          : null,
+        Cambios: cambios,
+      };
+    });
+
+    context.res = secureSuccessResponse(200, {
+      success: true,
+      documentoId,
+      total: versiones.length,
+      versiones,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    context.log.error('Error obteniendo versiones de documento:', error);
+    const errorMessage =
+      process.env.NODE_ENV === 'development' ? error.message : 'Error interno del servidor';
+    context.res = secureErrorResponse(500, errorMessage);
+  }
+}
+
 /**
  * Get document statistics
  * GET /api/admin/documents/stats
@@ -192,8 +334,9 @@ async function voidDocument(context, req) {
       return;
     }
 
-    // Verificar que no esta en estado final
-    if (ESTADOS_DOCUMENTO_FINALES.includes(documento.EstadoDocumento)) {
+    // Verificar la transicion antes de anular el envelope en DocuSign
+    // (actualizarEstado la valida de nuevo con la version actual)
+    if (!esTransicionDocumentoPermitida(documento.EstadoDocumento, ESTADO_DOCUMENTO.ANULADO)) {
       context.res = secureErrorResponse(
         400,
         `El documento ${documentoId} esta en estado final: ${documento.EstadoDocumento}`,
@@ -217,7 +360,36 @@ async function voidDocument(context, req) {
     }
 
     // Actualizar estado en BD
-    await repo.actualizarEstado(documentoId, ESTADO_DOCUMENTO.ANULADO, reason);
+    try {
+      await repo.actualizarEstado(
+        documento.DocumentoFirmaId,
+        ESTADO_DOCUMENTO_ID.ANULADO,
+        documento.Version,
+        {},
+        {
+          origen: ORIGEN_HISTORIAL.ADMIN,
+          actor: `admin ${getClientIp(req)}`,
+          detalle: { reason },
+        }
+      );
+    } catch (stateError) {
+      if (stateError instanceof ConcurrencyError) {
+        context.res = secureErrorResponse(
+          409,
+          `El documento ${documentoId} cambio de estado, vuelve a intentarlo`
+        );
+        return;
+      }
+      if (stateError instanceof InvalidStateTransitionError) {
+        context.res = secureErrorResponse(
+          409,
+          `El documento ${documentoId} no puede anularse desde el estado ${stateError.estadoActual}`,
+          { documentoId, estadoActual: stateError.estadoActual }
+        );
+        return;
+      }
+      throw stateError;
+    }
 
     context.log(`Documento ${documentoId} anulado`);
     audit.logTicketResolved(String(documentoId), documento.EstadoDocumento, req);
@@ -239,9 +411,613 @@ async function voidDocument(context, req) {
   }
 }
 
+/**
+ * Resend the signing notification of a pending document - Admin action
+ * Optionally corrects the phone or email of the signer whose turn it is
+ * POST /api/admin/documents/resend
+ * Body: { documentoId: number, telefono?: string, email?: string, reason?: string }
+ */
+async function resend(context, req) {
+  context.log('Solicitud para reenviar notificacion de firma');
+
+  // Validar Content-Length
+  const contentLengthCheck = validateContentLength(req);
+  if (!contentLengthCheck.valid) {
+    context.res = secureErrorResponse(413, contentLengthCheck.error);
+    return;
+  }
+
+  // Validar Content-Type
+  const contentTypeCheck = validateContentType(req);
+  if (!contentTypeCheck.valid) {
+    context.res = secureErrorResponse(415, contentTypeCheck.error);
+    return;
+  }
+
+  try {
+    const validation = validateReenvioDocumentoPayload(req.body);
+    if (!validation.success) {
+      context.res = secureErrorResponse(400, validation.error);
+      return;
+    }
+
+    const { documentoId, telefono, email, reason } = validation.data;
+
+    const documento = await getDocumentoRepo().obtenerPorId(documentoId);
+    if (!documento) {
+      context.res = secureErrorResponse(404, `No se encontro el documento: ${documentoId}`);
+      return;
+    }
+
+    if (!ESTADOS_REENVIO.includes(documento.EstadoDocumento) || !documento.EnvelopeId) {
+      context.res = secureErrorResponse(
+        400,
+        `El documento ${documentoId} no esta pendiente de firma: ${documento.EstadoDocumento}`,
+        { documentoId, estadoActual: documento.EstadoDocumento }
+      );
+      return;
+    }
+
+    let resultado;
+    try {
+      resultado = await documentResendService.reenviarNotificacion(documento, { telefono, email });
+    } catch (resendError) {
+      if (resendError instanceof ValidationError) {
+        context.res = secureErrorResponse(400, resendError.message);
+        return;
+      }
+      if (resendError instanceof ExternalServiceError) {
+        context.log.error('Error reenviando notificacion de firma:', resendError);
+        context.res = secureErrorResponse(502, resendError.message);
+        return;
+      }
+      throw resendError;
+    }
+
+    context.log(
+      `Notificacion de firma del documento ${documentoId} reenviada por ${resultado.canal}`
+    );
+    if (!resultado.registrado) {
+      context.log.warn(`El documento ${documentoId} dejo de estar pendiente durante el reenvio`);
+    }
+    audit.logDocumentResend(
+      {
+        documentoId,
+        firmanteId: resultado.firmanteId,
+        telefono: resultado.telefono,
+        canal: resultado.canal,
+        telefonoCorregido: resultado.telefonoCorregido,
+        emailCorregido: resultado.emailCorregido,
+        reason: reason || null,
+      },
+      req
+    );
+
+    context.res = secureSuccessResponse(200, {
+      success: true,
+      message: `Notificacion de firma reenviada por ${resultado.canal}`,
+      documentoId,
+      canal: resultado.canal,
+      telefonoCorregido: resultado.telefonoCorregido,
+      emailCorregido: resultado.emailCorregido,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    context.log.error('Error al reenviar notificacion de firma:', error);
+    const errorMessage =
+      process.env.NODE_ENV === 'development' ? error.message : 'Error interno del servidor';
+    context.res = secureErrorResponse(500, errorMessage);
+  }
+}
+
+// Estados en los que se puede reemplazar el PDF (RECHAZADO: el cliente pidio una correccion)
+const ESTADOS_REEMPLAZO = [...ESTADOS_REENVIO, ESTADO_DOCUMENTO.RECHAZADO];
+
+/**
+ * Replace the PDF of a pending document - Admin action
+ * Corrects the DocuSign envelope, stores the new version in Blob Storage linked to the
+ * previous one (DocumentoAnteriorId) and notifies the client
+ * POST /api/admin/documents/replace
+ * Body: { documentoId: number, pdfBase64: string, documentoNombre?: string, reason?: string }
+ */
+async function replace(context, req) {
+  context.log('Solicitud para reemplazar el PDF de un documento');
+
+  // Content-Length no se valida: el tamano del PDF lo valida decodeAndValidatePdf
+  const contentTypeCheck = validateContentType(req);
+  if (!contentTypeCheck.valid) {
+    context.res = secureErrorResponse(415, contentTypeCheck.error);
+    return;
+  }
+
+  try {
+    const validation = validateReemplazoDocumentoPayload(req.body);
+    if (!validation.success) {
+      context.res = secureErrorResponse(400, validation.error);
+      return;
+    }
+
+    const { documentoId, pdfBase64, documentoNombre, reason } = validation.data;
+
+    const pdfResult = decodeAndValidatePdf(pdfBase64);
+    if (!pdfResult.valid) {
+      context.res = secureErrorResponse(pdfResult.tooLarge ? 413 : 400, pdfResult.error);
+      return;
+    }
+
+    const documento = await getDocumentoRepo().obtenerPorId(documentoId);
+    if (!documento) {
+      context.res = secureErrorResponse(404, `No se encontro el documento: ${documentoId}`);
+      return;
+    }
+
+    if (!ESTADOS_REEMPLAZO.includes(documento.EstadoDocumento) || !documento.EnvelopeId) {
+      context.res = secureErrorResponse(
+        400,
+        `El PDF del documento ${documentoId} no se puede reemplazar en estado ${documento.EstadoDocumento}`,
+        { documentoId, estadoActual: documento.EstadoDocumento }
+      );
+      return;
+    }
+
+    let resultado;
+    try {
+      resultado = await documentReplaceService.reemplazarPdf(documento, pdfResult.buffer, {
+        documentoNombre,
+        motivo: reason,
+        actor: `admin ${getClientIp(req)}`,
+      });
+    } catch (replaceError) {
+      if (replaceError instanceof ValidationError) {
+        context.res = secureErrorResponse(400, replaceError.message);
+        return;
+      }
+      if (replaceError instanceof ExternalServiceError) {
+        context.log.error('Error reemplazando el PDF del documento:', replaceError);
+        context.res = secureErrorResponse(502, replaceError.message);
+        return;
+      }
+      if (
+        replaceError instanceof ConcurrencyError ||
+        replaceError instanceof InvalidStateTransitionError
+      ) {
+        // DocuSign ya tiene el nuevo PDF: un nuevo intento lo vuelve a enviar
+        context.log.warn(`No se registro el reemplazo del documento ${documentoId}`);
+        context.res = secureErrorResponse(
+          409,
+          `El documento ${documentoId} cambio de estado, vuelve a intentarlo`
+        );
+        return;
+      }
+      throw replaceError;
+    }
+
+    const nuevoId = resultado.documento.DocumentoFirmaId;
+    context.log(`PDF del documento ${documentoId} reemplazado por la version ${nuevoId}`);
+    if (!resultado.canal) {
+      context.log.warn(`No se pudo notificar al cliente la actualizacion del documento ${nuevoId}`);
+    }
+    audit.logDocumentReplace(
+      {
+        documentoAnteriorId: documentoId,
+        documentoId: nuevoId,
+        envelopeId: documento.EnvelopeId,
+        blobName: resultado.blobName,
+        canal: resultado.canal,
+        reason: reason || null,
+      },
+      req
+    );
+
+    context.res = secureSuccessResponse(200, {
+      success: true,
+      message: `PDF del documento ${documentoId} reemplazado`,
+      documentoId: nuevoId,
+      documentoAnteriorId: documentoId,
+      estado: resultado.documento.EstadoDocumento,
+      notificado: Boolean(resultado.canal),
+      canal: resultado.canal,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    context.log.error('Error al reemplazar el PDF del documento:', error);
+    const errorMessage =
+      process.env.NODE_ENV === 'development' ? error.message : 'Error interno del servidor';
+    context.res = secureErrorResponse(500, errorMessage);
+  }
+}
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Counts the selected documents by item state
+ * @param {Array<{ estado: string }>} items - Items from seleccionarDocumentos
+ * @returns {{ elegibles: number, omitidos: number }}
+ */
+function contarSeleccion(items) {
+  const elegibles = items.filter((item) => item.estado === ESTADO_ITEM_TRABAJO.ENCOLADO).length;
+  return { elegibles, omitidos: items.length - elegibles };
+}
+
+/**
+ * Void, resend or remind many documents as a throttled background job - Admin action
+ * With dryRun only previews how many documents the action would apply to
+ * POST /api/admin/documents/bulk
+ * Body: { accion: 'ANULAR'|'REENVIAR'|'RECORDAR', documentoIds?: number[],
+ *         filtros?: { estado, tipo, telefono, fechaDesde, fechaHasta },
+ *         reason?: string, dryRun?: boolean }
+ */
+async function bulk(context, req) {
+  context.log('Solicitud de accion masiva sobre documentos');
+
+  const contentLengthCheck = validateContentLength(req);
+  if (!contentLengthCheck.valid) {
+    context.res = secureErrorResponse(413, contentLengthCheck.error);
+    return;
+  }
+
+  const contentTypeCheck = validateContentType(req);
+  if (!contentTypeCheck.valid) {
+    context.res = secureErrorResponse(415, contentTypeCheck.error);
+    return;
+  }
+
+  try {
+    const validation = validateAccionMasivaPayload(req.body);
+    if (!validation.success) {
+      context.res = secureErrorResponse(400, validation.error);
+      return;
+    }
+
+    const { accion, documentoIds, filtros, reason, dryRun } = validation.data;
+    const criterio = documentoIds ? { documentoIds } : { filtros };
+
+    const seleccion = await documentBulkService.seleccionarDocumentos(accion, criterio);
+    const max = config.bulkActions.maxDocumentos;
+    if (seleccion.total > max) {
+      context.res = secureErrorResponse(
+        413,
+        `La seleccion tiene ${seleccion.total} documentos; el maximo por accion masiva es ${max}`,
+        { total: seleccion.total, max }
+      );
+      return;
+    }
+
+    const { elegibles, omitidos } = contarSeleccion(seleccion.items);
+    if (dryRun) {
+      context.res = secureSuccessResponse(200, {
+        success: true,
+        dryRun: true,
+        accion,
+        total: seleccion.total,
+        elegibles,
+        omitidos,
+        noEncontrados: seleccion.noEncontrados,
+        timestamp: new Date().toISOString(),
+      });
+      return;
+    }
+
+    if (elegibles === 0) {
+      context.res = secureErrorResponse(400, 'Ningun documento seleccionado admite la accion', {
+        total: seleccion.total,
+        omitidos,
+        noEncontrados: seleccion.noEncontrados,
+      });
+      return;
+    }
+
+    if (!(await serviceBus.ensureConnected())) {
+      context.log.error('Service Bus no disponible, accion masiva rechazada');
+      context.res = secureErrorResponse(503, 'Acciones masivas no disponibles');
+      return;
+    }
+
+    const actor = `admin ${getClientIp(req)}`;
+    const trabajo = await documentBulkService.crearTrabajo(accion, criterio, seleccion.items, {
+      motivo: reason,
+      actor,
+      correlationId: context.correlationId,
+    });
+
+    context.log(`Accion masiva ${accion} creada: ${trabajo.trabajoId} (${trabajo.encolados})`);
+    audit.logDocumentBulkAction(
+      {
+        trabajoId: trabajo.trabajoId,
+        accion,
+        criterio,
+        total: seleccion.total,
+        reason: reason || null,
+      },
+      req
+    );
+
+    context.res = secureSuccessResponse(202, {
+      success: true,
+      trabajoId: trabajo.trabajoId,
+      accion,
+      total: seleccion.total,
+      encolados: trabajo.encolados,
+      omitidos: trabajo.omitidos,
+      errores: trabajo.errores,
+      noEncontrados: seleccion.noEncontrados,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    context.log.error('Error en accion masiva:', error);
+    const errorMessage =
+      process.env.NODE_ENV === 'development' ? error.message : 'Error interno del servidor';
+    context.res = secureErrorResponse(500, errorMessage);
+  }
+}
+
+/**
+ * Get the progress of a bulk action job
+ * GET /api/admin/documents/bulk?id={trabajoId}
+ */
+async function bulkStatus(context, req) {
+  try {
+    const trabajoId = req.query.id;
+    if (!trabajoId || !UUID_REGEX.test(trabajoId)) {
+      context.res = secureErrorResponse(400, 'Se requiere un id de trabajo valido');
+      return;
+    }
+
+    const trabajo = await getTrabajoRepo().obtenerTrabajo(trabajoId);
+    if (!trabajo) {
+      context.res = secureErrorResponse(404, 'Trabajo no encontrado');
+      return;
+    }
+
+    const resumen = new Map(Object.values(ESTADO_ITEM_TRABAJO).map((estado) => [estado, 0]));
+    for (const item of trabajo.items) {
+      resumen.set(item.Estado, (resumen.get(item.Estado) || 0) + 1);
+    }
+    const pendientes = resumen.get(ESTADO_ITEM_TRABAJO.ENCOLADO);
+    const total = trabajo.items.length;
+
+    context.res = secureSuccessResponse(200, {
+      success: true,
+      trabajoId: trabajo.TrabajoId,
+      accion: trabajo.Accion,
+      motivo: trabajo.Motivo,
+      actor: trabajo.Actor,
+      fechaCreacion: trabajo.FechaCreacion,
+      total,
+      completado: pendientes === 0,
+      progreso: total > 0 ? Math.round(((total - pendientes) / total) * 100) : 100,
+      resumen: Object.fromEntries(resumen),
+      items: trabajo.items.map((item) => ({
+        documentoId: item.DocumentoFirmaId,
+        estado: item.Estado,
+        ...(item.MensajeError && { error: item.MensajeError }),
+        estadoDocumento: item.EstadoDocumento || null,
+        fechaActualizacion: item.FechaActualizacion,
+      })),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    context.log.error('Error obteniendo accion masiva:', error);
+    const errorMessage =
+      process.env.NODE_ENV === 'development' ? error.message : 'Error interno del servidor';
+    context.res = secureErrorResponse(500, errorMessage);
+  }
+}
+
+// Archivos descargables de un documento
+const TIPOS_DESCARGA = ['original', 'firmado', 'certificado'];
+
+/**
+ * Gets the blob of the DocuSign certificate of completion
+ * The certificate is cached in Blob Storage once the document reaches a final
+ * state; before that it is downloaded again because it keeps changing.
+ * @param {Object} documento - DocumentosFirma record
+ * @returns {Promise<string>} - Blob name
+ */
+async function obtenerBlobCertificado(documento) {
+  const blobName = `documentos/${documento.SapDocumentId}/${documento.EnvelopeId}_certificado.pdf`;
+  const blockBlobClient = (await blobService.getContainerClient()).getBlockBlobClient(blobName);
+
+  const esFinal = ESTADOS_DOCUMENTO_FINALES.includes(documento.EstadoDocumento);
+  if (esFinal && (await blockBlobClient.exists())) {
+    return blobName;
+  }
+
+  const certificado = await docusignService.downloadCertificate(documento.EnvelopeId);
+  await blockBlobClient.upload(certificado, certificado.length, {
+    blobHTTPHeaders: { blobContentType: 'application/pdf' },
+  });
+  return blobName;
+}
+
+/**
+ * Resolves the blob of the requested file
+ * @param {Object} documento - DocumentosFirma record
+ * @param {string} tipo - original | firmado | certificado
+ * @returns {Promise<{ blobName?: string, error?: string }>}
+ */
+async function resolverBlobDescarga(documento, tipo) {
+  if (tipo === 'certificado') {
+    if (!documento.EnvelopeId) {
+      return { error: 'El documento no tiene envelope de DocuSign' };
+    }
+    return { blobName: await obtenerBlobCertificado(documento) };
+  }
+
+  const url = tipo === 'firmado' ? documento.DocumentoFirmadoUrl : documento.DocumentoOriginalUrl;
+  const blobName = url ? blobService.getBlobNameFromUrl(url) : null;
+  if (!blobName) {
+    return {
+      error:
+        tipo === 'firmado'
+          ? 'El documento no tiene PDF firmado'
+          : 'El documento no tiene PDF original',
+    };
+  }
+  return { blobName };
+}
+
+/**
+ * Get a short-lived download link for a document file - Admin action
+ * GET /api/admin/documents/download?id=123&tipo=original|firmado|certificado
+ */
+async function download(context, req) {
+  try {
+    const documentoId = parseInt(req.query.id);
+    const tipo = req.query.tipo;
+
+    if (!documentoId) {
+      context.res = secureErrorResponse(400, 'Se requiere id como parametro');
+      return;
+    }
+    if (!TIPOS_DESCARGA.includes(tipo)) {
+      context.res = secureErrorResponse(400, `tipo debe ser: ${TIPOS_DESCARGA.join(', ')}`);
+      return;
+    }
+
+    const documento = await getDocumentoRepo().obtenerPorId(documentoId);
+    if (!documento) {
+      context.res = secureErrorResponse(404, 'Documento no encontrado');
+      return;
+    }
+
+    const { blobName, error } = await resolverBlobDescarga(documento, tipo);
+    if (error) {
+      context.res = secureErrorResponse(404, error);
+      return;
+    }
+
+    const { url, expiresOn } = await blobService.getDownloadUrl(
+      blobName,
+      `${documento.SapDocumentId}_${tipo}.pdf`
+    );
+
+    context.log(`Link de descarga generado: documento ${documentoId} (${tipo})`);
+    audit.logAdminAccess('document_download', { documentoId, tipo }, req);
+
+    context.res = secureSuccessResponse(200, {
+      success: true,
+      documentoId,
+      tipo,
+      url,
+      expiresAt: expiresOn.toISOString(),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    context.log.error('Error generando link de descarga:', error);
+    const errorMessage =
+      process.env.NODE_ENV === 'development' ? error.message : 'Error interno del servidor';
+    context.res = secureErrorResponse(500, errorMessage);
+  }
+}
+
+// Formatos de exportacion
+const FORMATOS_EXPORTACION = ['csv', 'xlsx'];
+
+/**
+ * Reads the export format and the list filters from the query string
+ * Same query params as the dashboard list (estado, tipo, telefono, desde, hasta).
+ * @param {Object} query - req.query
+ * @returns {{ formato?: string, filtros?: Object, error?: string }}
+ */
+function leerParametrosExportacion(query) {
+  const formato = (query.formato || 'csv').toLowerCase();
+  if (!FORMATOS_EXPORTACION.includes(formato)) {
+    return { error: `formato debe ser: ${FORMATOS_EXPORTACION.join(', ')}` };
+  }
+
+  if (query.estado && !Object.values(ESTADO_DOCUMENTO).includes(query.estado)) {
+    return { error: 'estado no valido' };
+  }
+  if (query.telefono && !/^\d{10,15}$/.test(query.telefono)) {
+    return { error: 'telefono debe tener de 10 a 15 digitos' };
+  }
+  for (const fecha of [query.desde, query.hasta]) {
+    if (fecha && isNaN(Date.parse(fecha))) {
+      return { error: `Fecha invalida: ${fecha}` };
+    }
+  }
+
+  return {
+    formato,
+    filtros: {
+      estado: query.estado || null,
+      tipo: query.tipo || null,
+      telefono: query.telefono || null,
+      fechaDesde: query.desde || null,
+      fechaHasta: query.hasta || null,
+    },
+  };
+}
+
+/**
+ * Generates an export and responds with a short-lived download link
+ * @param {Object} context - Azure Function context
+ * @param {Object} req - HTTP request
+ * @param {'documentos'|'estadisticas'} tipo - What to export
+ */
+async function exportar(context, req, tipo) {
+  try {
+    const { formato, filtros, error } = leerParametrosExportacion(req.query);
+    if (error) {
+      context.res = secureErrorResponse(400, error);
+      return;
+    }
+
+    const { blobName, fileName, filas } = await documentExportService.exportar(
+      tipo,
+      formato,
+      filtros
+    );
+    const { url, expiresOn } = await blobService.getDownloadUrl(blobName, fileName);
+
+    context.log(`Exportacion de ${tipo} generada: ${filas} filas (${formato})`);
+    audit.logAdminAccess('document_export', { tipo, formato, filtros, filas }, req);
+
+    context.res = secureSuccessResponse(200, {
+      success: true,
+      tipo,
+      formato,
+      filas,
+      url,
+      expiresAt: expiresOn.toISOString(),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    context.log.error(`Error exportando ${tipo}:`, error);
+    const errorMessage =
+      process.env.NODE_ENV === 'development' ? error.message : 'Error interno del servidor';
+    context.res = secureErrorResponse(500, errorMessage);
+  }
+}
+
+/**
+ * Export every document matching the list filters, without the pagination cap
+ * GET /api/admin/documents/export?formato=csv|xlsx&estado=&tipo=&telefono=&desde=&hasta=
+ */
+async function exportDocuments(context, req) {
+  return exportar(context, req, 'documentos');
+}
+
+/**
+ * Export document counts by creation day, tipo and state
+ * GET /api/admin/documents/export-stats?formato=csv|xlsx&estado=&tipo=&desde=&hasta=
+ */
+async function exportStats(context, req) {
+  return exportar(context, req, 'estadisticas');
+}
+
 module.exports = {
   list,
   detail,
   stats,
+  versions,
   voidDocument,
+  resend,
+  replace,
+  bulk,
+  bulkStatus,
+  download,
+  exportDocuments,
+  exportStats,
 };
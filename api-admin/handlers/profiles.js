@@ -0,0 +1,191 @@
+/**
+ * Handler: Document Type Profiles
+ * Rutas:
+ *   GET  /api/admin/profiles          - Listar perfiles de todos los tipos
+ *   GET  /api/admin/profiles/detail   - Perfil de un tipo (?tipo=CONTRATO)
+ *   POST /api/admin/profiles/update   - Crear o reemplazar el perfil de un tipo
+ *
+ * Cada perfil se devuelve con los valores guardados (null = configuracion global)
+ * y con los valores efectivos que usan el envio, los recordatorios y el housekeeping.
+ */
+
+const {
+  validateContentType,
+  validateContentLength,
+  secureErrorResponse,
+  secureSuccessResponse,
+} = require('../../core/middleware/securityHeaders');
+const audit = require('../../core/services/infrastructure/auditService');
+const { combinarPerfil } = require('../../core/services/processing/documentProfileService');
+const {
+  validatePerfilTipoDocumentoPayload,
+} = require('../../bot/schemas/perfilTipoDocumentoPayload');
+
+// Lazy-load repository
+let _perfilRepo = null;
+function getPerfilRepo() {
+  if (!_perfilRepo) {
+    _perfilRepo = require('../../bot/repositories/PerfilTipoDocumentoRepository');
+  }
+  return _perfilRepo;
+}
+
+/**
+ * Builds the public view of a profile row
+ * @param {Object} registro - PerfilTipoDocumentoRepository row
+ */
+function toProfileResponse(registro) {
+  const efectivo = combinarPerfil(registro.TipoDocumento, registro);
+  return {
+    tipoDocumento: registro.TipoDocumento,
+    nombre: registro.TipoDocumentoNombre,
+    guardado: {
+      templateEnvio: registro.TemplateEnvio ?? null,
+      diasExpiracion: registro.DiasExpiracion ?? null,
+      horasRecordatorio: registro.HorasRecordatorio ?? null,
+      maxRecordatorios: registro.MaxRecordatorios ?? null,
+      calendarioRecordatorios: efectivo.calendarioRecordatorios,
+      diasHousekeeping: registro.DiasHousekeeping ?? null,
+      emailRequerido: Boolean(registro.EmailRequerido),
+      tabs: efectivo.tabs,
+      verificacionIdentidad: registro.VerificacionIdentidad ?? null,
+      datosRequeridos: efectivo.datosRequeridos,
+    },
+    efectivo,
+    fechaActualizacion: registro.FechaActualizacion || null,
+  };
+}
+
+/**
+ * List the profiles of every active document type
+ * GET /api/admin/profiles
+ */
+async function list(context, _req) {
+  try {
+    const registros = await getPerfilRepo().listar();
+
+    context.res = secureSuccessResponse(200, {
+      success: true,
+      profiles: registros.map(toProfileResponse),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    context.log.error('Error listando perfiles:', error);
+    const errorMessage =
+      process.env.NODE_ENV === 'development' ? error.message : 'Error interno del servidor';
+    context.res = secureErrorResponse(500, errorMessage);
+  }
+}
+
+/**
+ * Get the profile of one document type
+ * GET /api/admin/profiles/detail?tipo=CONTRATO
+ */
+async function detail(context, req) {
+  try {
+    const tipo = req.query.tipo?.toUpperCase();
+    if (!tipo) {
+      context.res = secureErrorResponse(400, 'Se requiere tipo como parametro');
+      return;
+    }
+
+    const registro = await getPerfilRepo().obtenerPorTipo(tipo);
+    if (!registro) {
+      context.res = secureErrorResponse(404, `Tipo de documento no encontrado: ${tipo}`);
+      return;
+    }
+
+    context.res = secureSuccessResponse(200, {
+      success: true,
+      profile: toProfileResponse(registro),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    context.log.error('Error obteniendo perfil:', error);
+    const errorMessage =
+      process.env.NODE_ENV === 'development' ? error.message : 'Error interno del servidor';
+    context.res = secureErrorResponse(500, errorMessage);
+  }
+}
+
+/**
+ * Create or replace a document type profile - Admin action
+ * POST /api/admin/profiles/update
+ * Body: { tipoDocumento, templateEnvio?, diasExpiracion?, horasRecordatorio?,
+ *         maxRecordatorios?, calendarioRecordatorios? ({ dias: [1, 3, 7], repetirCadaDias? }),
+ *         diasHousekeeping?, emailRequerido?, tabs?,
+ *         verificacionIdentidad? (NINGUNA | OTP_WHATSAPP | SMS_DOCUSIGN),
+ *         datosRequeridos? (['EMAIL', 'RFC', 'NOMBRE_LEGAL']) }
+ * Omitted or null fields fall back to the global configuration; without
+ * calendarioRecordatorios reminders go out every horasRecordatorio hours.
+ * emailRequerido rejects SAP payloads without email (400), while datosRequeridos
+ * accepts them and asks the client for the missing data over WhatsApp.
+ */
+async function update(context, req) {
+  context.log('Solicitud para actualizar perfil de tipo de documento');
+
+  // Validar Content-Length
+  const contentLengthCheck = validateContentLength(req);
+  if (!contentLengthCheck.valid) {
+    context.res = secureErrorResponse(413, contentLengthCheck.error);
+    return;
+  }
+
+  // Validar Content-Type
+  const contentTypeCheck = validateContentType(req);
+  if (!contentTypeCheck.valid) {
+    context.res = secureErrorResponse(415, contentTypeCheck.error);
+    return;
+  }
+
+  try {
+    const validation = validatePerfilTipoDocumentoPayload(req.body);
+    if (!validation.success) {
+      context.res = secureErrorResponse(400, validation.error);
+      return;
+    }
+
+    const { tipoDocumento, ...perfil } = validation.data;
+    const registro = await getPerfilRepo().guardar(tipoDocumento, {
+      TemplateEnvio: perfil.templateEnvio,
+      DiasExpiracion: perfil.diasExpiracion,
+      HorasRecordatorio: perfil.horasRecordatorio,
+      MaxRecordatorios: perfil.maxRecordatorios,
+      CalendarioRecordatorios: perfil.calendarioRecordatorios
+        ? JSON.stringify(perfil.calendarioRecordatorios)
+        : null,
+      DiasHousekeeping: perfil.diasHousekeeping,
+      EmailRequerido: perfil.emailRequerido ?? false,
+      TabsFirma: perfil.tabs ? JSON.stringify(perfil.tabs) : null,
+      VerificacionIdentidad: perfil.verificacionIdentidad,
+      DatosRequeridos: perfil.datosRequeridos?.length
+        ? JSON.stringify(perfil.datosRequeridos)
+        : null,
+    });
+
+    if (!registro) {
+      context.res = secureErrorResponse(404, `Tipo de documento no encontrado: ${tipoDocumento}`);
+      return;
+    }
+
+    context.log(`Perfil de ${tipoDocumento} actualizado`);
+    audit.logAdminAccess('profile_update', { tipoDocumento, perfil }, req);
+
+    context.res = secureSuccessResponse(200, {
+      success: true,
+      profile: toProfileResponse(registro),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    context.log.error('Error al actualizar perfil:', error);
+    const errorMessage =
+      process.env.NODE_ENV === 'development' ? error.message : 'Error interno del servidor';
+    context.res = secureErrorResponse(500, errorMessage);
+  }
+}
+
+module.exports = {
+  list,
+  detail,
+  update,
+};
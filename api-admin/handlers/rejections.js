@@ -0,0 +1,398 @@
+/**
+ * Handler: Rejection Follow-ups
+ * Rutas:
+ *   GET  /api/admin/rejections          - Listar seguimientos de rechazo con filtros
+ *   GET  /api/admin/rejections/detail   - Detalle de un seguimiento con sus comentarios
+ *   GET  /api/admin/rejections/stats    - Totales y tiempo de cierre por categoria
+ *   POST /api/admin/rejections/assign   - Asignar un seguimiento a un usuario de back-office
+ *   POST /api/admin/rejections/comment  - Comentar un seguimiento
+ *   POST /api/admin/rejections/close    - Cerrar un seguimiento con su resolucion
+ *
+ * Cada rechazo (WhatsApp o DocuSign) abre un seguimiento ABIERTO; al asignarlo pasa a
+ * EN_PROCESO y al cerrarlo a CERRADO.
+ */
+
+const {
+  validateContentType,
+  validateContentLength,
+  secureErrorResponse,
+  secureSuccessResponse,
+} = require('../../core/middleware/securityHeaders');
+const audit = require('../../core/services/infrastructure/auditService');
+const { getClientIp } = require('../../core/services/infrastructure/securityService');
+const {
+  validateAsignacionSeguimientoPayload,
+  validateComentarioSeguimientoPayload,
+  validateCierreSeguimientoPayload,
+} = require('../../bot/schemas/seguimientoRechazoPayload');
+const {
+  CATEGORIA_RECHAZO,
+  ESTADO_SEGUIMIENTO,
+  getCategoriaRechazoInfo,
+} = require('../../bot/constants/documentStates');
+
+// Lazy-load repository
+let _seguimientoRepo = null;
+function getSeguimientoRepo() {
+  if (!_seguimientoRepo) {
+    _seguimientoRepo = require('../../bot/repositories/SeguimientoRechazoRepository');
+  }
+  return _seguimientoRepo;
+}
+
+/**
+ * Responds 500 with the error detail only in development
+ * @param {Object} context - Azure Function context
+ * @param {string} mensaje - Log message
+ * @param {Error} error
+ */
+function responderErrorInterno(context, mensaje, error) {
+  context.log.error(mensaje, error);
+  const errorMessage =
+    process.env.NODE_ENV === 'development' ? error.message : 'Error interno del servidor';
+  context.res = secureErrorResponse(500, errorMessage);
+}
+
+/**
+ * Validates Content-Length and Content-Type of a POST request
+ * @returns {boolean} - false if the response was already set (413/415)
+ */
+function validarPeticion(context, req) {
+  const contentLengthCheck = validateContentLength(req);
+  if (!contentLengthCheck.valid) {
+    context.res = secureErrorResponse(413, contentLengthCheck.error);
+    return false;
+  }
+
+  const contentTypeCheck = validateContentType(req);
+  if (!contentTypeCheck.valid) {
+    context.res = secureErrorResponse(415, contentTypeCheck.error);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Validates the date range query params (desde, hasta)
+ * @param {Object} query - req.query
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validarFechas(query) {
+  for (const fecha of [query.desde, query.hasta]) {
+    if (fecha && isNaN(Date.parse(fecha))) {
+      return `Fecha invalida: ${fecha}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Loads a follow-up and responds 404/409 when it does not exist or is already closed
+ * @returns {Promise<Object|null>} - Follow-up, or null if the response was already set
+ */
+async function obtenerSeguimientoAbierto(context, seguimientoId) {
+  const seguimiento = await getSeguimientoRepo().obtenerPorId(seguimientoId);
+  if (!seguimiento) {
+    context.res = secureErrorResponse(404, `No se encontro el seguimiento: ${seguimientoId}`);
+    return null;
+  }
+  if (seguimiento.Estado === ESTADO_SEGUIMIENTO.CERRADO) {
+    context.res = secureErrorResponse(409, `El seguimiento ${seguimientoId} ya esta cerrado`, {
+      cerradoPor: seguimiento.CerradoPor,
+      fechaCierre: seguimiento.FechaCierre,
+    });
+    return null;
+  }
+  return seguimiento;
+}
+
+/**
+ * List rejection follow-ups with optional filters
+ * GET /api/admin/rejections?estado=ABIERTO&categoria=MONTO_INCORRECTO&asignadoA=&desde=&hasta=&page=1&pageSize=20
+ */
+async function list(context, req) {
+  try {
+    const { estado, categoria } = req.query;
+    if (estado && !Object.values(ESTADO_SEGUIMIENTO).includes(estado)) {
+      context.res = secureErrorResponse(400, 'estado no valido');
+      return;
+    }
+    if (categoria && !Object.values(CATEGORIA_RECHAZO).includes(categoria)) {
+      context.res = secureErrorResponse(400, 'categoria no valida');
+      return;
+    }
+    const fechaError = validarFechas(req.query);
+    if (fechaError) {
+      context.res = secureErrorResponse(400, fechaError);
+      return;
+    }
+
+    const filtros = {
+      estado: estado || null,
+      categoria: categoria || null,
+      asignadoA: req.query.asignadoA || null,
+      fechaDesde: req.query.desde || null,
+      fechaHasta: req.query.hasta || null,
+      page: parseInt(req.query.page) || 1,
+      pageSize: Math.min(parseInt(req.query.pageSize) || 20, 100),
+    };
+
+    const result = await getSeguimientoRepo().listar(filtros);
+
+    context.res = secureSuccessResponse(200, {
+      success: true,
+      seguimientos: result.data,
+      pagination: {
+        page: result.page,
+        pageSize: result.pageSize,
+        total: result.total,
+        totalPages: Math.ceil(result.total / result.pageSize) || 1,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    responderErrorInterno(context, 'Error listando seguimientos de rechazo:', error);
+  }
+}
+
+/**
+ * Get a follow-up with its document data and comments
+ * GET /api/admin/rejections/detail?id=15
+ */
+async function detail(context, req) {
+  try {
+    const seguimientoId = parseInt(req.query.id);
+    if (!seguimientoId) {
+      context.res = secureErrorResponse(400, 'Se requiere id como parametro');
+      return;
+    }
+
+    const seguimiento = await getSeguimientoRepo().obtenerPorId(seguimientoId);
+    if (!seguimiento) {
+      context.res = secureErrorResponse(404, 'Seguimiento no encontrado');
+      return;
+    }
+
+    context.res = secureSuccessResponse(200, {
+      success: true,
+      seguimiento,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    responderErrorInterno(context, 'Error obteniendo seguimiento de rechazo:', error);
+  }
+}
+
+/**
+ * Follow-up totals by rejection category: open, in progress, closed and average hours
+ * to close. Categories without rejections in the range are returned with zeros.
+ * GET /api/admin/rejections/stats?desde=2026-10-01&hasta=2026-10-31
+ */
+async function stats(context, req) {
+  try {
+    const fechaError = validarFechas(req.query);
+    if (fechaError) {
+      context.res = secureErrorResponse(400, fechaError);
+      return;
+    }
+
+    const filas = await getSeguimientoRepo().obtenerEstadisticasPorCategoria({
+      fechaDesde: req.query.desde || null,
+      fechaHasta: req.query.hasta || null,
+    });
+    const porCategoria = new Map(filas.map((fila) => [fila.CategoriaRechazo, fila]));
+
+    const categorias = Object.values(CATEGORIA_RECHAZO).map((categoria) => {
+      const fila = porCategoria.get(categoria) || {};
+      return {
+        categoria,
+        nombre: getCategoriaRechazoInfo(categoria).titulo,
+        total: fila.Total || 0,
+        abiertos: fila.Abiertos || 0,
+        enProceso: fila.EnProceso || 0,
+        cerrados: fila.Cerrados || 0,
+        promedioHorasCierre:
+          fila.PromedioHorasCierre === null || fila.PromedioHorasCierre === undefined
+            ? null
+            : Math.round(fila.PromedioHorasCierre * 10) / 10,
+      };
+    });
+
+    context.res = secureSuccessResponse(200, {
+      success: true,
+      total: categorias.reduce((suma, categoria) => suma + categoria.total, 0),
+      categorias,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    responderErrorInterno(context, 'Error obteniendo estadisticas de rechazos:', error);
+  }
+}
+
+/**
+ * Assign (or reassign) a follow-up to a back-office user - Admin action
+ * POST /api/admin/rejections/assign
+ * Body: { seguimientoId: number, asignadoA: string, usuario?: string }
+ */
+async function assign(context, req) {
+  if (!validarPeticion(context, req)) {
+    return;
+  }
+
+  try {
+    const validation = validateAsignacionSeguimientoPayload(req.body);
+    if (!validation.success) {
+      context.res = secureErrorResponse(400, validation.error);
+      return;
+    }
+
+    const { seguimientoId, asignadoA } = validation.data;
+    const usuario = validation.data.usuario || `admin ${getClientIp(req)}`;
+
+    const seguimiento = await obtenerSeguimientoAbierto(context, seguimientoId);
+    if (!seguimiento) {
+      return;
+    }
+
+    // Se cerro entre la lectura y la asignacion
+    if (!(await getSeguimientoRepo().asignar(seguimientoId, asignadoA))) {
+      context.res = secureErrorResponse(409, `El seguimiento ${seguimientoId} ya esta cerrado`);
+      return;
+    }
+
+    context.log(`Seguimiento ${seguimientoId} asignado a ${asignadoA}`);
+    audit.logRejectionFollowUp(
+      {
+        accion: 'assign',
+        seguimientoId,
+        documentoId: seguimiento.DocumentoFirmaId,
+        asignadoA,
+        asignadoAnterior: seguimiento.AsignadoA || null,
+        usuario,
+      },
+      req
+    );
+
+    context.res = secureSuccessResponse(200, {
+      success: true,
+      seguimientoId,
+      estado: ESTADO_SEGUIMIENTO.EN_PROCESO,
+      asignadoA,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    responderErrorInterno(context, 'Error asignando seguimiento de rechazo:', error);
+  }
+}
+
+/**
+ * Add a comment to a follow-up - Admin action (also allowed once closed)
+ * POST /api/admin/rejections/comment
+ * Body: { seguimientoId: number, comentario: string, autor?: string }
+ */
+async function comment(context, req) {
+  if (!validarPeticion(context, req)) {
+    return;
+  }
+
+  try {
+    const validation = validateComentarioSeguimientoPayload(req.body);
+    if (!validation.success) {
+      context.res = secureErrorResponse(400, validation.error);
+      return;
+    }
+
+    const { seguimientoId, comentario } = validation.data;
+    const autor = validation.data.autor || `admin ${getClientIp(req)}`;
+
+    const seguimiento = await getSeguimientoRepo().obtenerPorId(seguimientoId);
+    if (!seguimiento) {
+      context.res = secureErrorResponse(404, `No se encontro el seguimiento: ${seguimientoId}`);
+      return;
+    }
+
+    const creado = await getSeguimientoRepo().comentar(seguimientoId, autor, comentario);
+
+    audit.logRejectionFollowUp(
+      {
+        accion: 'comment',
+        seguimientoId,
+        documentoId: seguimiento.DocumentoFirmaId,
+        comentarioId: creado.ComentarioId,
+        usuario: autor,
+      },
+      req
+    );
+
+    context.res = secureSuccessResponse(200, {
+      success: true,
+      seguimientoId,
+      comentario: { ...creado, Autor: autor, Comentario: comentario },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    responderErrorInterno(context, 'Error comentando seguimiento de rechazo:', error);
+  }
+}
+
+/**
+ * Close a follow-up with its resolution - Admin action
+ * POST /api/admin/rejections/close
+ * Body: { seguimientoId: number, resolucion: string, usuario?: string }
+ */
+async function close(context, req) {
+  if (!validarPeticion(context, req)) {
+    return;
+  }
+
+  try {
+    const validation = validateCierreSeguimientoPayload(req.body);
+    if (!validation.success) {
+      context.res = secureErrorResponse(400, validation.error);
+      return;
+    }
+
+    const { seguimientoId, resolucion } = validation.data;
+    const usuario = validation.data.usuario || `admin ${getClientIp(req)}`;
+
+    const seguimiento = await obtenerSeguimientoAbierto(context, seguimientoId);
+    if (!seguimiento) {
+      return;
+    }
+
+    if (!(await getSeguimientoRepo().cerrar(seguimientoId, resolucion, usuario))) {
+      context.res = secureErrorResponse(409, `El seguimiento ${seguimientoId} ya esta cerrado`);
+      return;
+    }
+
+    context.log(`Seguimiento ${seguimientoId} cerrado por ${usuario}`);
+    audit.logRejectionFollowUp(
+      {
+        accion: 'close',
+        seguimientoId,
+        documentoId: seguimiento.DocumentoFirmaId,
+        categoria: seguimiento.CategoriaRechazo,
+        usuario,
+      },
+      req
+    );
+
+    context.res = secureSuccessResponse(200, {
+      success: true,
+      seguimientoId,
+      estado: ESTADO_SEGUIMIENTO.CERRADO,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    responderErrorInterno(context, 'Error cerrando seguimiento de rechazo:', error);
+  }
+}
+
+module.exports = {
+  list,
+  detail,
+  stats,
+  assign,
+  comment,
+  close,
+};
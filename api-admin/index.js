@@ -8,7 +8,24 @@
  * - GET      /api/admin/documents              - Listar documentos
  * - GET      /api/admin/documents/detail       - Detalle de documento
  * - GET      /api/admin/documents/stats        - Estadisticas de documentos
+ * - GET      /api/admin/documents/versions     - Versiones del PDF de un documento
  * - POST     /api/admin/documents/void         - Anular documento
+ * - POST     /api/admin/documents/resend       - Reenviar notificacion de firma
+ * - POST     /api/admin/documents/replace      - Reemplazar el PDF de un documento
+ * - POST     /api/admin/documents/bulk         - Accion masiva (anular, reenviar, recordar)
+ * - GET      /api/admin/documents/bulk?id=...  - Progreso de una accion masiva
+ * - GET      /api/admin/documents/download     - Link de descarga (original, firmado, certificado)
+ * - GET      /api/admin/documents/export       - Exportar documentos filtrados (CSV o XLSX)
+ * - GET      /api/admin/documents/export-stats - Exportar conteo por dia, tipo y estado
+ * - GET      /api/admin/profiles               - Perfiles por tipo de documento
+ * - GET      /api/admin/profiles/detail        - Perfil de un tipo de documento
+ * - POST     /api/admin/profiles/update        - Crear o reemplazar un perfil
+ * - GET      /api/admin/rejections             - Seguimientos de rechazo
+ * - GET      /api/admin/rejections/detail      - Seguimiento con sus comentarios
+ * - GET      /api/admin/rejections/stats       - Seguimientos por categoria de rechazo
+ * - POST     /api/admin/rejections/assign      - Asignar un seguimiento
+ * - POST     /api/admin/rejections/comment     - Comentar un seguimiento
+ * - POST     /api/admin/rejections/close       - Cerrar un seguimiento
  *
  * Autenticacion: Azure Function Key (authLevel: "function")
  * - Azure valida automaticamente el parametro ?code=xxx o header x-functions-key
@@ -24,6 +41,125 @@ const { logger } = require('../core/services/infrastructure/errorHandler');
 const cacheHandler = require('./handlers/cache');
 const metricsHandler = require('./handlers/metrics');
 const documentsHandler = require('./handlers/documents');
+const profilesHandler = require('./handlers/profiles');
+const rejectionsHandler = require('./handlers/rejections');
+
+/**
+ * Router de /api/admin/documents/{subaction}
+ */
+function routeDocuments(context, req, subaction, rateLimitHeaders) {
+  switch (subaction) {
+    case 'void':
+      return documentsHandler.voidDocument(context, req);
+    case 'resend':
+      return documentsHandler.resend(context, req);
+    case 'replace':
+      return documentsHandler.replace(context, req);
+    case 'bulk':
+      return req.method === 'GET'
+        ? documentsHandler.bulkStatus(context, req)
+        : documentsHandler.bulk(context, req);
+    case 'detail':
+      return documentsHandler.detail(context, req);
+    case 'stats':
+      return documentsHandler.stats(context, req);
+    case 'versions':
+      return documentsHandler.versions(context, req);
+    case 'download':
+      return documentsHandler.download(context, req);
+    case 'export':
+      return documentsHandler.exportDocuments(context, req);
+    case 'export-stats':
+      return documentsHandler.exportStats(context, req);
+    default:
+      // No subaction = list documents
+      if (!subaction) {
+        return documentsHandler.list(context, req);
+      }
+      context.res = {
+        status: 400,
+        headers: applySecurityHeaders({
+          'Content-Type': 'application/json',
+          ...rateLimitHeaders,
+        }),
+        body: {
+          success: false,
+          error: 'Subaccion no valida para documents',
+          available: [
+            'detail',
+            'stats',
+            'versions',
+            'void',
+            'resend',
+            'replace',
+            'bulk',
+            'download',
+            'export',
+            'export-stats',
+          ],
+          examples: [
+            'GET  /api/admin/documents',
+            'GET  /api/admin/documents/detail?id=123',
+            'GET  /api/admin/documents/stats',
+            'GET  /api/admin/documents/versions?id=123',
+            'POST /api/admin/documents/void',
+            'POST /api/admin/documents/resend',
+            'POST /api/admin/documents/replace',
+            'POST /api/admin/documents/bulk',
+            'GET  /api/admin/documents/bulk?id=<trabajoId>',
+            'GET  /api/admin/documents/download?id=123&tipo=firmado',
+            'GET  /api/admin/documents/export?formato=xlsx&estado=FIRMADO',
+            'GET  /api/admin/documents/export-stats?formato=csv&desde=2026-01-01',
+          ],
+        },
+      };
+      return;
+  }
+}
+
+/**
+ * Router de /api/admin/rejections/{subaction}
+ */
+function routeRejections(context, req, subaction, rateLimitHeaders) {
+  switch (subaction) {
+    case 'detail':
+      return rejectionsHandler.detail(context, req);
+    case 'stats':
+      return rejectionsHandler.stats(context, req);
+    case 'assign':
+      return rejectionsHandler.assign(context, req);
+    case 'comment':
+      return rejectionsHandler.comment(context, req);
+    case 'close':
+      return rejectionsHandler.close(context, req);
+    default:
+      // No subaction = list follow-ups
+      if (!subaction) {
+        return rejectionsHandler.list(context, req);
+      }
+      context.res = {
+        status: 400,
+        headers: applySecurityHeaders({
+          'Content-Type': 'application/json',
+          ...rateLimitHeaders,
+        }),
+        body: {
+          success: false,
+          error: 'Subaccion no valida para rejections',
+          available: ['detail', 'stats', 'assign', 'comment', 'close'],
+          examples: [
+            'GET  /api/admin/rejections?estado=ABIERTO',
+            'GET  /api/admin/rejections/detail?id=15',
+            'GET  /api/admin/rejections/stats?desde=2026-01-01',
+            'POST /api/admin/rejections/assign',
+            'POST /api/admin/rejections/comment',
+            'POST /api/admin/rejections/close',
+          ],
+        },
+      };
+      return;
+  }
+}
 
 module.exports = async function (context, req) {
   const action = context.bindingData.action?.toLowerCase();
@@ -103,17 +239,21 @@ module.exports = async function (context, req) {
       return metricsHandler(context, req);
 
     case 'documents':
+      return routeDocuments(context, req, subaction, rateLimitHeaders);
+
+    case 'rejections':
+      return routeRejections(context, req, subaction, rateLimitHeaders);
+
+    case 'profiles':
       switch (subaction) {
-        case 'void':
-          return documentsHandler.voidDocument(context, req);
         case 'detail':
-          return documentsHandler.detail(context, req);
-        case 'stats':
-          return documentsHandler.stats(context, req);
+          return profilesHandler.detail(context, req);
+        case 'update':
+          return profilesHandler.update(context, req);
         default:
-          // No subaction = list documents
+          // No subaction = list profiles
           if (!subaction) {
-            return documentsHandler.list(context, req);
+            return profilesHandler.list(context, req);
           }
           context.res = {
             status: 400,
@@ -123,13 +263,12 @@ module.exports = async function (context, req) {
             }),
             body: {
               success: false,
-              error: 'Subaccion no valida para documents',
-              available: ['detail', 'stats', 'void'],
+              error: 'Subaccion no valida para profiles',
+              available: ['detail', 'update'],
               examples: [
-                'GET  /api/admin/documents',
-                'GET  /api/admin/documents/detail?id=123',
-                'GET  /api/admin/documents/stats',
-                'POST /api/admin/documents/void',
+                'GET  /api/admin/profiles',
+                'GET  /api/admin/profiles/detail?tipo=CONTRATO',
+                'POST /api/admin/profiles/update',
               ],
             },
           };
@@ -146,7 +285,7 @@ module.exports = async function (context, req) {
         body: {
           success: false,
           error: 'Accion no valida',
-          available_actions: ['cache', 'metrics', 'documents'],
+          available_actions: ['cache', 'metrics', 'documents', 'profiles', 'rejections'],
           examples: [
             'GET  /api/admin/cache?type=stats',
             'GET  /api/admin/metrics',
@@ -154,6 +293,9 @@ module.exports = async function (context, req) {
             'GET  /api/admin/documents/detail?id=123',
             'GET  /api/admin/documents/stats',
             'POST /api/admin/documents/void',
+            'GET  /api/admin/profiles',
+            'POST /api/admin/profiles/update',
+            'GET  /api/admin/rejections',
           ],
         },
       };
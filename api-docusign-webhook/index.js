@@ -11,32 +11,61 @@
  * 4. Look up document by envelopeId: DocumentoFirmaRepository.obtenerPorEnvelopeId()
  * 5. Handle events:
  *    - envelope-sent: update to ENVIADO (if not already)
- *    - envelope-delivered: update to ENTREGADO
+ *    - envelope-delivered: update to ENTREGADO (only from states that allow it)
  *    - recipient-viewed: update to VISTO
+ *    - recipient-completed (multi-signer documents only):
+ *        a. Mark the signer as FIRMADO in FirmantesDocumento
+ *        b. Send the document type's envio template (FIRMA_ENVIO by default) to the next signer in routing order
+ *           (WhatsApp, or email/SMS as fallback via notificationService)
+ *        c. Mark the next signer as NOTIFICADO
  *    - envelope-completed:
  *        a. Update to FIRMADO
  *        b. Download signed PDF via docusignService.downloadSignedDocument()
  *        c. Upload signed PDF to Blob Storage
- *        d. Send WhatsApp confirmation template (firma_confirmacion)
- *        e. Notify Teams
+ *        d. Upload the signed PDF as WhatsApp media
+ *        e. Send the confirmation template via notificationService (firma_confirmacion_pdf with
+ *           the PDF in its document header, or firma_confirmacion if the PDF is not available)
+ *        f. Notify Teams
  *    - envelope-declined:
- *        a. Update to RECHAZADO with decline reason
+ *        a. Update to RECHAZADO with decline reason (and the declining signer, if multi-signer)
  *        b. Notify Teams
  *    - envelope-voided:
  *        a. Update to ANULADO
- *        b. Send WhatsApp anulacion template
+ *        b. Send the anulacion template (firma_anulacion) via notificationService
+ *    - recipient-authenticationfailed: record the failed SMS authentication in the audit
+ *      log (the signer can retry, the document keeps its state)
+ *    - recipient-autoresponded: notify Teams so the email can be corrected and resent
+ *      (the WhatsApp link still works, the document keeps its state)
+ *    - FIRMADO, RECHAZADO and ANULADO are reported to SAP via sapCallbackService
+ *    - Every state change is recorded in HistorialDocumentoFirma (origin DOCUSIGN_WEBHOOK)
+ *      with the event type/id and the recipient as actor
+ *    - Late events that TRANSICIONES_DOCUMENTO rejects (e.g. envelope-delivered on a
+ *      FIRMADO document) are logged and acknowledged without alerting Teams
  * 6. Return 200
  */
 
 const correlation = require('../core/services/infrastructure/correlationService');
+const audit = require('../core/services/infrastructure/auditService');
 const { logger } = require('../core/services/infrastructure/errorHandler');
 const { applySecurityHeaders } = require('../core/middleware/securityHeaders');
 const docusignService = require('../core/services/external/docusignService');
 const whatsappService = require('../core/services/external/whatsappService');
 const blobService = require('../core/services/storage/blobService');
 const teamsService = require('../core/services/external/teamsService');
-const { buildTemplatePayload, TEMPLATE_NAMES } = require('../bot/constants/whatsappTemplates');
-const { ESTADO_DOCUMENTO_ID } = require('../bot/constants/documentStates');
+const sapCallbackService = require('../core/services/external/sapCallbackService');
+const notificationService = require('../core/services/messaging/notificationService');
+const { obtenerPerfil } = require('../core/services/processing/documentProfileService');
+const { TEMPLATE_NAMES } = require('../bot/constants/whatsappTemplates');
+const { InvalidStateTransitionError } = require('../core/errors');
+const {
+  CANAL_NOTIFICACION,
+  ESTADO_DOCUMENTO,
+  ESTADO_DOCUMENTO_ID,
+  ESTADO_FIRMANTE,
+  ORIGEN_HISTORIAL,
+  VERIFICACION_IDENTIDAD,
+  esTransicionDocumentoPermitida,
+} = require('../bot/constants/documentStates');
 
 // ==============================================================
 // LAZY-LOADED REPOSITORIES
@@ -62,6 +91,26 @@ function getDocumentoRepo() {
   return _documentoRepo;
 }
 
+let _firmanteRepo = null;
+function getFirmanteRepo() {
+  if (!_firmanteRepo) {
+    try {
+      _firmanteRepo = require('../bot/repositories/FirmanteDocumentoRepository');
+    } catch (_e) {
+      logger.warn('[DocuSign-Webhook] FirmanteDocumentoRepository no disponible, usando stub');
+      _firmanteRepo = {
+        async obtenerPorDocumento() {
+          return [];
+        },
+        async actualizarEstado() {
+          return true;
+        },
+      };
+    }
+  }
+  return _firmanteRepo;
+}
+
 let _eventoRepo = null;
 function getEventoRepo() {
   if (!_eventoRepo) {
@@ -111,7 +160,7 @@ function createOkResponse(correlationId) {
 /**
  * Extracts event information from DocuSign Connect payload
  * @param {Object} body - Webhook body
- * @returns {{ eventType: string, envelopeId: string, eventId: string, declineReason?: string }}
+ * @returns {{ eventType: string, envelopeId: string, eventId: string, recipientId?: string, declineReason?: string, declinedRecipientId?: string }}
  */
 function extractEventInfo(body) {
   // DocuSign Connect sends different payload formats depending on configuration
@@ -123,19 +172,37 @@ function extractEventInfo(body) {
     body.data?.envelopeId || body.data?.envelopeSummary?.envelopeId || body.envelopeId || null;
   const eventId = body.data?.eventId || body.eventId || `${envelopeId}-${eventType}-${Date.now()}`;
 
-  // Extract decline reason if present
+  // Recipient-level events (recipient-completed, recipient-viewed...) carry the recipientId
+  const recipientId = body.data?.recipientId ? String(body.data.recipientId) : null;
+
+  // Extract decline reason (and who declined) if present
   let declineReason = null;
+  let declinedRecipientId = null;
   if (body.data?.envelopeSummary?.recipients?.signers) {
     const signers = body.data.envelopeSummary.recipients.signers;
     for (const signer of signers) {
-      if (signer.declinedReason) {
-        declineReason = signer.declinedReason;
+      if (signer.declinedReason || signer.status === 'declined') {
+        declineReason = signer.declinedReason || null;
+        declinedRecipientId = signer.recipientId ? String(signer.recipientId) : null;
         break;
       }
     }
   }
 
-  return { eventType, envelopeId, eventId, declineReason };
+  return { eventType, envelopeId, eventId, recipientId, declineReason, declinedRecipientId };
+}
+
+/**
+ * Builds the HistorialDocumentoFirma entry for a webhook event
+ * @param {{ eventType: string, eventId: string, recipientId?: string|null }} evento
+ * @returns {{ origen: string, actor: string, detalle: Object }}
+ */
+function buildTransicion(evento) {
+  return {
+    origen: ORIGEN_HISTORIAL.DOCUSIGN_WEBHOOK,
+    actor: evento.recipientId ? `DocuSign recipient ${evento.recipientId}` : 'DocuSign',
+    detalle: { eventType: evento.eventType, eventId: evento.eventId },
+  };
 }
 
 /**
@@ -172,7 +239,7 @@ async function uploadSignedPdf(pdfBuffer, sapDocumentId) {
 /**
  * Handles envelope-sent event
  */
-async function handleEnvelopeSent(documento, log) {
+async function handleEnvelopeSent(documento, transicion, log) {
   if (documento.EstadoDocumentoId === ESTADO_DOCUMENTO_ID.ENVIADO) {
     log('Documento ya marcado como ENVIADO, omitiendo');
     return;
@@ -180,7 +247,9 @@ async function handleEnvelopeSent(documento, log) {
   await getDocumentoRepo().actualizarEstado(
     documento.DocumentoFirmaId,
     ESTADO_DOCUMENTO_ID.ENVIADO,
-    documento.Version
+    documento.Version,
+    {},
+    transicion
   );
   log('Estado actualizado a ENVIADO');
 }
@@ -188,11 +257,17 @@ async function handleEnvelopeSent(documento, log) {
 /**
  * Handles envelope-delivered event
  */
-async function handleEnvelopeDelivered(documento, log) {
+async function handleEnvelopeDelivered(documento, transicion, log) {
+  if (!esTransicionDocumentoPermitida(documento.EstadoDocumento, ESTADO_DOCUMENTO.ENTREGADO)) {
+    log(`Documento en estado ${documento.EstadoDocumento}, envelope-delivered omitido`);
+    return;
+  }
   await getDocumentoRepo().actualizarEstado(
     documento.DocumentoFirmaId,
     ESTADO_DOCUMENTO_ID.ENTREGADO,
-    documento.Version
+    documento.Version,
+    {},
+    transicion
   );
   log('Estado actualizado a ENTREGADO');
 }
@@ -200,25 +275,134 @@ async function handleEnvelopeDelivered(documento, log) {
 /**
  * Handles recipient-viewed event
  */
-async function handleRecipientViewed(documento, log) {
+async function handleRecipientViewed(documento, transicion, log) {
   await getDocumentoRepo().actualizarEstado(
     documento.DocumentoFirmaId,
     ESTADO_DOCUMENTO_ID.VISTO,
-    documento.Version
+    documento.Version,
+    {},
+    transicion
   );
   log('Estado actualizado a VISTO');
 }
 
+/**
+ * Handles recipient-completed event for multi-signer documents
+ * Marks the signer as FIRMADO and notifies the next one in routing order.
+ * Single-signer documents have no FirmantesDocumento rows and are handled by envelope-completed.
+ */
+async function handleRecipientCompleted(documento, recipientId, log, logError) {
+  const firmanteRepo = getFirmanteRepo();
+  const firmantes = await firmanteRepo.obtenerPorDocumento(documento.DocumentoFirmaId);
+
+  if (firmantes.length === 0) {
+    log('Documento de un solo firmante, recipient-completed ignorado');
+    return;
+  }
+
+  // a. Mark the signer as FIRMADO
+  const firmante = firmantes.find((f) => f.RecipientId === recipientId);
+  if (!firmante) {
+    log(`Firmante no encontrado para recipientId: ${recipientId}, ignorando`);
+    return;
+  }
+
+  if (firmante.EstadoFirmante !== ESTADO_FIRMANTE.FIRMADO) {
+    await firmanteRepo.actualizarEstado(
+      documento.DocumentoFirmaId,
+      firmante.FirmanteId,
+      ESTADO_FIRMANTE.FIRMADO
+    );
+    log(`Firmante ${firmante.OrdenFirma} (${firmante.Rol}) marcado como FIRMADO`);
+  }
+
+  // b. Notify the next pending signer (the last one completes via envelope-completed)
+  const siguiente = firmantes.find(
+    (f) => f.OrdenFirma > firmante.OrdenFirma && f.EstadoFirmante === ESTADO_FIRMANTE.PENDIENTE
+  );
+  if (!siguiente) {
+    log('No hay mas firmantes pendientes');
+    return;
+  }
+
+  try {
+    const perfil = await obtenerPerfil(documento.TipoDocumento);
+    const { canal, mensajeId } = await notificationService.notificar(
+      TEMPLATE_NAMES.FIRMA_ENVIO,
+      {
+        clienteNombre: siguiente.Nombre,
+        tipoDocumento: documento.TipoDocumento,
+        documentoNombre: documento.DocumentoNombre,
+        // El template URL en Meta redirige via /api/firma/{token}
+        firma: {
+          documentoFirmaId: documento.DocumentoFirmaId,
+          recipientId: siguiente.RecipientId,
+          telefono: siguiente.Telefono,
+        },
+      },
+      { telefono: siguiente.Telefono, email: siguiente.Email },
+      {
+        documentoFirmaId: documento.DocumentoFirmaId,
+        firmanteId: siguiente.FirmanteId,
+        canalPreferido: documento.CanalPreferido,
+        perfil,
+      }
+    );
+    log(
+      `Template de firma enviado al firmante ${siguiente.OrdenFirma} (${siguiente.Rol}) por ${canal}`
+    );
+
+    // c. Mark the next signer as NOTIFICADO
+    await firmanteRepo.actualizarEstado(
+      documento.DocumentoFirmaId,
+      siguiente.FirmanteId,
+      ESTADO_FIRMANTE.NOTIFICADO,
+      { WhatsAppMessageId: canal === CANAL_NOTIFICACION.WHATSAPP ? mensajeId : null }
+    );
+  } catch (notifError) {
+    logError('Error notificando al siguiente firmante:', notifError);
+    teamsService
+      .notifyError('Error enviando notificacion de firma', `Documento ${documento.SapDocumentId}`, {
+        telefono: siguiente.Telefono,
+        error: notifError.message,
+      })
+      .catch(() => {});
+  }
+}
+
+/**
+ * Sends a document-level template (confirmacion, anulacion) to the client through
+ * notificationService (document's preferred channel first, then the configured order)
+ * @param {string} tipo - TEMPLATE_NAMES value
+ * @param {Object} documento - DocumentosFirma record
+ * @param {Object} [paramsExtra] - Additional template params (e.g. documento header)
+ * @returns {Promise<{ canal: string, mensajeId: string|null }>}
+ */
+function notifyClient(tipo, documento, paramsExtra = {}) {
+  return notificationService.notificar(
+    tipo,
+    {
+      clienteNombre: documento.ClienteNombre,
+      tipoDocumento: documento.TipoDocumento,
+      documentoNombre: documento.DocumentoNombre,
+      ...paramsExtra,
+    },
+    { telefono: documento.ClienteTelefono, email: documento.ClienteEmail },
+    { documentoFirmaId: documento.DocumentoFirmaId, canalPreferido: documento.CanalPreferido }
+  );
+}
+
 /**
  * Handles envelope-completed event (document signed)
  */
-async function handleEnvelopeCompleted(documento, envelopeId, log, logError) {
+async function handleEnvelopeCompleted(documento, envelopeId, transicion, log, logError) {
   const repo = getDocumentoRepo();
 
   // a. Download signed PDF from DocuSign (antes de actualizar estado)
   let documentoFirmadoUrl = null;
+  let signedPdfBuffer = null;
   try {
-    const signedPdfBuffer = await docusignService.downloadSignedDocument(envelopeId);
+    signedPdfBuffer = await docusignService.downloadSignedDocument(envelopeId);
     log(`PDF firmado descargado: ${(signedPdfBuffer.length / 1024).toFixed(1)}KB`);
 
     // b. Upload signed PDF to Blob Storage
@@ -238,26 +422,50 @@ async function handleEnvelopeCompleted(documento, envelopeId, log, logError) {
     documento.DocumentoFirmaId,
     ESTADO_DOCUMENTO_ID.FIRMADO,
     documento.Version,
-    datosExtra
+    datosExtra,
+    transicion
   );
   log(
     `Estado actualizado a FIRMADO${documentoFirmadoUrl ? ' con URL de PDF firmado' : ' (sin PDF)'}`
   );
 
-  // d. Send WhatsApp confirmation template
+  await sapCallbackService.notificarCambioEstado(documento, ESTADO_DOCUMENTO.FIRMADO, {
+    documentoFirmadoUrl,
+  });
+
+  // d. Upload the signed PDF as WhatsApp media. A free-form document message is only
+  //    delivered inside the 24h customer service window, so the PDF travels in the
+  //    header of the confirmation template instead
+  let documentoHeader = null;
+  if (signedPdfBuffer) {
+    const filename = `${documento.SapDocumentId}_firmado.pdf`;
+    try {
+      const mediaId = await whatsappService.uploadMedia(
+        signedPdfBuffer,
+        'application/pdf',
+        filename
+      );
+      documentoHeader = { id: mediaId, filename };
+    } catch (uploadError) {
+      logError('Error subiendo PDF firmado a WhatsApp:', uploadError);
+    }
+  }
+
+  // e. Send the confirmation template (with the signed PDF when available)
   try {
-    const templatePayload = buildTemplatePayload(TEMPLATE_NAMES.FIRMA_CONFIRMACION, {
-      clienteNombre: documento.ClienteNombre,
-      tipoDocumento: documento.TipoDocumento,
-      documentoNombre: documento.DocumentoNombre,
-    });
-    await whatsappService.sendTemplate(documento.ClienteTelefono, templatePayload);
-    log('Template de confirmacion enviado por WhatsApp');
-  } catch (waError) {
-    logError('Error enviando confirmacion por WhatsApp:', waError);
+    const { canal } = documentoHeader
+      ? await notifyClient(TEMPLATE_NAMES.FIRMA_CONFIRMACION_PDF, documento, {
+          documento: documentoHeader,
+        })
+      : await notifyClient(TEMPLATE_NAMES.FIRMA_CONFIRMACION, documento);
+    log(
+      `Template de confirmacion enviado por ${canal}${documentoHeader ? ' con PDF firmado' : ''}`
+    );
+  } catch (notifError) {
+    logError('Error enviando confirmacion de firma:', notifError);
   }
 
-  // e. Notify Teams
+  // f. Notify Teams
   teamsService
     .notifyDocumentSigned({
       nombreDocumento: documento.DocumentoNombre,
@@ -273,7 +481,14 @@ async function handleEnvelopeCompleted(documento, envelopeId, log, logError) {
 /**
  * Handles envelope-declined event
  */
-async function handleEnvelopeDeclined(documento, declineReason, log, logError) {
+async function handleEnvelopeDeclined(
+  documento,
+  declineReason,
+  declinedRecipientId,
+  transicion,
+  log,
+  logError
+) {
   const repo = getDocumentoRepo();
 
   // a. Update to RECHAZADO with reason
@@ -281,10 +496,34 @@ async function handleEnvelopeDeclined(documento, declineReason, log, logError) {
     documento.DocumentoFirmaId,
     ESTADO_DOCUMENTO_ID.RECHAZADO,
     documento.Version,
-    { MotivoRechazo: declineReason || 'Sin motivo especificado' }
+    { MotivoRechazo: declineReason || 'Sin motivo especificado' },
+    transicion
   );
   log(`Estado actualizado a RECHAZADO. Motivo: ${declineReason || 'N/A'}`);
 
+  // Multi-signer: track which signer declined
+  if (declinedRecipientId) {
+    try {
+      const firmanteRepo = getFirmanteRepo();
+      const firmantes = await firmanteRepo.obtenerPorDocumento(documento.DocumentoFirmaId);
+      const firmante = firmantes.find((f) => f.RecipientId === declinedRecipientId);
+      if (firmante) {
+        await firmanteRepo.actualizarEstado(
+          documento.DocumentoFirmaId,
+          firmante.FirmanteId,
+          ESTADO_FIRMANTE.RECHAZADO
+        );
+        log(`Firmante ${firmante.OrdenFirma} (${firmante.Rol}) marcado como RECHAZADO`);
+      }
+    } catch (firmanteError) {
+      logError('Error marcando firmante como RECHAZADO:', firmanteError);
+    }
+  }
+
+  await sapCallbackService.notificarCambioEstado(documento, ESTADO_DOCUMENTO.RECHAZADO, {
+    motivoRechazo: declineReason || 'Sin motivo especificado',
+  });
+
   // b. Notify Teams
   teamsService
     .notifyError(
@@ -303,29 +542,63 @@ async function handleEnvelopeDeclined(documento, declineReason, log, logError) {
 /**
  * Handles envelope-voided event
  */
-async function handleEnvelopeVoided(documento, log, logError) {
+async function handleEnvelopeVoided(documento, transicion, log, logError) {
   const repo = getDocumentoRepo();
 
   // a. Update to ANULADO
   await repo.actualizarEstado(
     documento.DocumentoFirmaId,
     ESTADO_DOCUMENTO_ID.ANULADO,
-    documento.Version
+    documento.Version,
+    {},
+    transicion
   );
   log('Estado actualizado a ANULADO');
 
-  // b. Send WhatsApp anulacion template
+  await sapCallbackService.notificarCambioEstado(documento, ESTADO_DOCUMENTO.ANULADO);
+
+  // b. Send the anulacion template
   try {
-    const templatePayload = buildTemplatePayload(TEMPLATE_NAMES.FIRMA_ANULACION, {
-      clienteNombre: documento.ClienteNombre,
-      tipoDocumento: documento.TipoDocumento,
-      documentoNombre: documento.DocumentoNombre,
+    const { canal } = await notifyClient(TEMPLATE_NAMES.FIRMA_ANULACION, documento);
+    log(`Template de anulacion enviado por ${canal}`);
+  } catch (notifError) {
+    logError('Error enviando anulacion:', notifError);
+  }
+}
+
+/**
+ * Handles recipient delivery/authentication incidents
+ * Neither ends the document: a failed SMS code can be retried and a bounced DocuSign
+ * email does not affect the WhatsApp signing link, so the state is left as is.
+ */
+function handleRecipientIncident(documento, eventType, log, logError) {
+  // SMS authentication configured by the document type profile (SMS_DOCUSIGN)
+  if (eventType === 'recipient-authenticationfailed') {
+    audit.logSignerVerificationFailure({
+      documentoId: documento.DocumentoFirmaId,
+      envelopeId: documento.EnvelopeId,
+      telefono: documento.ClienteTelefono,
+      metodo: VERIFICACION_IDENTIDAD.SMS_DOCUSIGN,
+      motivo: eventType,
     });
-    await whatsappService.sendTemplate(documento.ClienteTelefono, templatePayload);
-    log('Template de anulacion enviado por WhatsApp');
-  } catch (waError) {
-    logError('Error enviando anulacion por WhatsApp:', waError);
+    log('Autenticacion SMS fallida registrada, el documento conserva su estado');
+    return;
   }
+
+  log(`Correo de DocuSign no entregado (${eventType}), el documento conserva su estado`);
+  teamsService
+    .notifyError(
+      'Correo de DocuSign no entregado',
+      `${documento.SapDocumentId}: el correo de firma reboto o tuvo respuesta automatica`,
+      {
+        documentoId: documento.DocumentoFirmaId,
+        envelopeId: documento.EnvelopeId,
+        clienteEmail: documento.ClienteEmail,
+      }
+    )
+    .catch((teamsError) => {
+      logError('Error notificando correo no entregado a Teams:', teamsError);
+    });
 }
 
 // ==============================================================
@@ -366,7 +639,8 @@ module.exports = async function (context, req) {
       return;
     }
 
-    const { eventType, envelopeId, eventId, declineReason } = extractEventInfo(body);
+    const { eventType, envelopeId, eventId, recipientId, declineReason, declinedRecipientId } =
+      extractEventInfo(body);
 
     if (!eventType || !envelopeId) {
       logWarn('Evento sin eventType o envelopeId, ignorando');
@@ -403,30 +677,53 @@ module.exports = async function (context, req) {
 
     log(`Documento encontrado: ${documento.DocumentoFirmaId} | SAP: ${documento.SapDocumentId}`);
 
+    // State changes are recorded in HistorialDocumentoFirma with this event
+    const transicion = buildTransicion({
+      eventType,
+      eventId,
+      recipientId: recipientId || declinedRecipientId,
+    });
+
     // 5. Handle events
     switch (eventType) {
       case 'envelope-sent':
-        await handleEnvelopeSent(documento, log);
+        await handleEnvelopeSent(documento, transicion, log);
         break;
 
       case 'envelope-delivered':
-        await handleEnvelopeDelivered(documento, log);
+        await handleEnvelopeDelivered(documento, transicion, log);
         break;
 
       case 'recipient-viewed':
-        await handleRecipientViewed(documento, log);
+        await handleRecipientViewed(documento, transicion, log);
+        break;
+
+      case 'recipient-completed':
+        await handleRecipientCompleted(documento, recipientId, log, logError);
         break;
 
       case 'envelope-completed':
-        await handleEnvelopeCompleted(documento, envelopeId, log, logError);
+        await handleEnvelopeCompleted(documento, envelopeId, transicion, log, logError);
         break;
 
       case 'envelope-declined':
-        await handleEnvelopeDeclined(documento, declineReason, log, logError);
+        await handleEnvelopeDeclined(
+          documento,
+          declineReason,
+          declinedRecipientId,
+          transicion,
+          log,
+          logError
+        );
         break;
 
       case 'envelope-voided':
-        await handleEnvelopeVoided(documento, log, logError);
+        await handleEnvelopeVoided(documento, transicion, log, logError);
+        break;
+
+      case 'recipient-autoresponded':
+      case 'recipient-authenticationfailed':
+        handleRecipientIncident(documento, eventType, log, logError);
         break;
 
       default:
@@ -436,6 +733,13 @@ module.exports = async function (context, req) {
     // 6. Return 200
     context.res = createOkResponse(correlationId);
   } catch (error) {
+    // Out-of-order event: the document already moved past this state
+    if (error instanceof InvalidStateTransitionError) {
+      logWarn(`Transicion ignorada: ${error.message}`);
+      context.res = createOkResponse(correlationId);
+      return;
+    }
+
     logError('Error procesando webhook de DocuSign:', error);
 
     // Notify Teams about the error
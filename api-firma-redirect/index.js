@@ -1,23 +1,41 @@
 /**
  * SIGN BOT - API: Firma Redirect
- * GET /api/firma/{documentoId}
+ * GET  /api/firma/{token}
+ * POST /api/firma/{token}  (codigo de verificacion, form-urlencoded)
  * Auth: anonymous (link viene de WhatsApp template)
  *
+ * El token (firmaTokenService) identifica documento y firmante, expira y solo es
+ * valido para el telefono al que se envio. Los enlaces numericos anteriores
+ * (/api/firma/{documentoId}/{recipientId?}) se aceptan mientras
+ * FIRMA_LINK_ALLOW_NUMERIC no sea false.
+ *
  * Flow:
- * 1. Lookup documento by DocumentoFirmaId
- * 2. Validate documento exists and is in a signable state
- * 3. Generate fresh DocuSign signing URL (recipientView)
- * 4. Redirect (302) to DocuSign
+ * 1. Resolve token (or legacy numeric link) and lookup documento by DocumentoFirmaId
+ * 2. Validate documento exists, the token belongs to the signer's phone and the
+ *    documento is in a signable state (signed, rejected or voided documents revoke
+ *    their links)
+ *    - Multi-firmante (recipientId): validar que sea el turno de ese firmante
+ * 3. Verificacion de identidad segun el perfil del tipo de documento:
+ *    - OTP_WHATSAPP: GET envia un codigo por WhatsApp y muestra el formulario
+ *      (?reenviar=1 pide otro); POST valida el codigo. Los fallos van a auditoria
+ *    - SMS_DOCUSIGN: DocuSign pide el codigo SMS dentro de la sesion de firma
+ * 4. Generate fresh DocuSign signing URL (recipientView)
+ * 5. Redirect (302) to DocuSign
  *
  * Esto resuelve:
  * - URLs de DocuSign que expiran en 5 minutos
  * - WhatsApp template URL button necesita una URL base fija
  */
 
+const { URLSearchParams } = require('url');
+const config = require('../core/config');
 const { logger } = require('../core/services/infrastructure/errorHandler');
 const { applySecurityHeaders } = require('../core/middleware/securityHeaders');
 const docusignService = require('../core/services/external/docusignService');
-const { ESTADO_DOCUMENTO_ID } = require('../bot/constants/documentStates');
+const { obtenerPerfil } = require('../core/services/processing/documentProfileService');
+const signerVerification = require('../core/services/processing/signerVerificationService');
+const firmaToken = require('../core/services/processing/firmaTokenService');
+const { ESTADO_DOCUMENTO_ID, ESTADO_FIRMANTE } = require('../bot/constants/documentStates');
 
 // Lazy-loaded repository
 let _documentoRepo = null;
@@ -33,6 +51,15 @@ function getDocumentoRepo() {
   return _documentoRepo;
 }
 
+// Lazy-loaded repository de firmantes (solo documentos multi-firmante)
+let _firmanteRepo = null;
+function getFirmanteRepo() {
+  if (!_firmanteRepo) {
+    _firmanteRepo = require('../bot/repositories/FirmanteDocumentoRepository');
+  }
+  return _firmanteRepo;
+}
+
 // Estados en los que un documento puede ser firmado
 const SIGNABLE_STATES = [
   ESTADO_DOCUMENTO_ID.PENDIENTE,
@@ -61,45 +88,195 @@ function errorHtml(title, message) {
 <body><div class="card"><h1>${title}</h1><p>${message}</p></div></body></html>`;
 }
 
+// La pagina del codigo necesita estilos inline y enviar su formulario
+const CODIGO_CSP =
+  "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'; frame-ancestors 'none'";
+
+// Mensajes del formulario segun el resultado de la verificacion
+const MOTIVO_MENSAJES = {
+  [signerVerification.MOTIVO_RECHAZO.CODIGO_INCORRECTO]: 'El codigo no es correcto.',
+  [signerVerification.MOTIVO_RECHAZO.CODIGO_EXPIRADO]: 'El codigo expiro. Solicita uno nuevo.',
+  [signerVerification.MOTIVO_RECHAZO.INTENTOS_AGOTADOS]:
+    'Se agotaron los intentos para este codigo. Solicita uno nuevo.',
+};
+
+/**
+ * HTML del formulario para capturar el codigo de verificacion
+ * @param {string} telefono - Telefono del firmante (solo se muestran los ultimos 4 digitos)
+ * @param {string} [aviso] - Mensaje de error o informativo
+ */
+function codigoHtml(telefono, aviso) {
+  return `<!DOCTYPE html>
+<html lang="es">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>Verifica tu identidad</title>
+<style>
+  body{font-family:-apple-system,sans-serif;display:flex;justify-content:center;align-items:center;min-height:100vh;margin:0;background:#f5f5f5}
+  .card{background:#fff;border-radius:12px;padding:2rem;max-width:400px;text-align:center;box-shadow:0 2px 8px rgba(0,0,0,.1)}
+  h1{color:#2c3e50;font-size:1.5rem}
+  p{color:#666;line-height:1.6}
+  .aviso{color:#e74c3c}
+  input{font-size:1.5rem;letter-spacing:.5rem;text-align:center;width:10rem;padding:.5rem;margin:1rem 0}
+  button{background:#2c3e50;color:#fff;border:0;border-radius:6px;padding:.75rem 2rem;font-size:1rem}
+</style></head>
+<body><div class="card"><h1>Verifica tu identidad</h1>
+<p>Te enviamos un codigo por WhatsApp al numero terminado en ${String(telefono).slice(-4)}.</p>
+${aviso ? `<p class="aviso">${aviso}</p>` : ''}
+<form method="post">
+  <input name="codigo" inputmode="numeric" autocomplete="one-time-code" pattern="[0-9]{6}" maxlength="6" required autofocus>
+  <br><button type="submit">Continuar a la firma</button>
+</form>
+<p><a href="?reenviar=1">Enviar un codigo nuevo</a></p>
+</div></body></html>`;
+}
+
+/**
+ * Respuesta HTML con los headers de seguridad
+ */
+function htmlResponse(status, body, headers = {}) {
+  return {
+    status,
+    headers: applySecurityHeaders({ 'Content-Type': 'text/html; charset=utf-8', ...headers }),
+    body,
+  };
+}
+
+/**
+ * Extrae el codigo del body (form-urlencoded o JSON)
+ */
+function leerCodigo(req) {
+  if (typeof req.body === 'string') {
+    return new URLSearchParams(req.body).get('codigo');
+  }
+  return req.body?.codigo || null;
+}
+
+/**
+ * Paso de verificacion por codigo de WhatsApp
+ * @returns {Promise<Object|null>} - Respuesta HTML, o null si el firmante ya se verifico
+ */
+async function verificarIdentidad(req, firmante) {
+  const datosFirmante = {
+    documentoFirmaId: firmante.documentoFirmaId,
+    recipientId: firmante.recipientId,
+    telefono: firmante.telefono,
+  };
+
+  if (req.method === 'POST') {
+    const resultado = await signerVerification.verificarCodigo(datosFirmante, leerCodigo(req), req);
+    if (resultado.valido) {
+      return null;
+    }
+
+    let aviso = MOTIVO_MENSAJES[resultado.motivo];
+    if (resultado.intentosRestantes) {
+      aviso += ` Te quedan ${resultado.intentosRestantes} intentos.`;
+    }
+    return htmlResponse(401, codigoHtml(firmante.telefono, aviso), {
+      'Content-Security-Policy': CODIGO_CSP,
+      'Cache-Control': 'no-store',
+    });
+  }
+
+  const envio = await signerVerification.solicitarCodigo(datosFirmante, {
+    reenviar: req.query?.reenviar === '1',
+  });
+  const aviso = envio.esperaSegundos
+    ? `Espera ${envio.esperaSegundos} segundos para solicitar un codigo nuevo.`
+    : null;
+
+  return htmlResponse(200, codigoHtml(firmante.telefono, aviso), {
+    'Content-Security-Policy': CODIGO_CSP,
+    'Cache-Control': 'no-store',
+  });
+}
+
+/**
+ * Resuelve el documento y firmante del enlace
+ * @returns {{documentoId: number, recipientId: string|null, token: string|null}|{motivo: string}}
+ */
+function resolverEnlace(params) {
+  const { token } = params;
+  const recipientId = params.recipientId || null;
+
+  if (firmaToken.esEnlaceNumerico(token)) {
+    if (!config.firma.enlace.permitirNumericos || (recipientId && !/^\d+$/.test(recipientId))) {
+      return { motivo: firmaToken.MOTIVO_TOKEN.INVALIDO };
+    }
+    return { documentoId: parseInt(token, 10), recipientId, token: null };
+  }
+
+  if (recipientId) {
+    return { motivo: firmaToken.MOTIVO_TOKEN.INVALIDO };
+  }
+
+  const datos = firmaToken.leerToken(token);
+  if (datos.motivo) {
+    return datos;
+  }
+  return { documentoId: datos.documentoFirmaId, recipientId: datos.recipientId, token };
+}
+
+const ENLACE_INVALIDO = errorHtml(
+  'Enlace invalido',
+  'El enlace de firma no es valido. Contacta a tu ejecutivo.'
+);
+
 module.exports = async function (context, req) {
-  const documentoId = req.params.documentoId;
+  const enlace = resolverEnlace(req.params);
 
-  // Validate documentoId is numeric
-  if (!documentoId || !/^\d+$/.test(documentoId)) {
-    context.res = {
-      status: 400,
-      headers: applySecurityHeaders({ 'Content-Type': 'text/html; charset=utf-8' }),
-      body: errorHtml(
-        'Enlace invalido',
-        'El enlace de firma no es valido. Contacta a tu ejecutivo.'
-      ),
-    };
+  if (enlace.motivo === firmaToken.MOTIVO_TOKEN.EXPIRADO) {
+    context.res = htmlResponse(
+      410,
+      errorHtml(
+        'Enlace vencido',
+        'Este enlace de firma ya vencio. Te enviaremos uno nuevo por WhatsApp o contacta a tu ejecutivo.'
+      )
+    );
+    return;
+  }
+  if (enlace.motivo) {
+    context.res = htmlResponse(400, ENLACE_INVALIDO);
     return;
   }
 
+  const { documentoId, recipientId } = enlace;
+
   const repo = getDocumentoRepo();
   if (!repo) {
-    context.res = {
-      status: 500,
-      headers: applySecurityHeaders({ 'Content-Type': 'text/html; charset=utf-8' }),
-      body: errorHtml(
-        'Error del sistema',
-        'El servicio no esta disponible. Intenta de nuevo mas tarde.'
-      ),
-    };
+    context.res = htmlResponse(
+      500,
+      errorHtml('Error del sistema', 'El servicio no esta disponible. Intenta de nuevo mas tarde.')
+    );
     return;
   }
 
   try {
-    // 1. Lookup documento
-    const documento = await repo.obtenerPorId(parseInt(documentoId, 10));
+    // 1. Lookup documento (y firmante en documentos multi-firmante)
+    const documento = await repo.obtenerPorId(documentoId);
+    const registro =
+      documento && recipientId
+        ? await getFirmanteRepo().obtenerPorRecipient(documento.DocumentoFirmaId, recipientId)
+        : null;
+
+    // Tokens: no revelar si el documento existe hasta validar el HMAC
+    if (enlace.token) {
+      const telefonoEnlace = registro ? registro.Telefono : documento?.ClienteTelefono;
+      if (
+        !documento ||
+        (recipientId && !registro) ||
+        !firmaToken.verificarToken(enlace.token, telefonoEnlace)
+      ) {
+        context.res = htmlResponse(400, ENLACE_INVALIDO);
+        return;
+      }
+    }
 
     if (!documento) {
-      context.res = {
-        status: 404,
-        headers: applySecurityHeaders({ 'Content-Type': 'text/html; charset=utf-8' }),
-        body: errorHtml('Documento no encontrado', 'Este documento no existe o fue eliminado.'),
-      };
+      context.res = htmlResponse(
+        404,
+        errorHtml('Documento no encontrado', 'Este documento no existe o fue eliminado.')
+      );
       return;
     }
 
@@ -114,44 +291,93 @@ module.exports = async function (context, req) {
         stateMessages[documento.EstadoDocumentoId] ||
         'Este documento ya no esta disponible para firma.';
 
-      context.res = {
-        status: 410,
-        headers: applySecurityHeaders({ 'Content-Type': 'text/html; charset=utf-8' }),
-        body: errorHtml('Documento no disponible', msg),
-      };
+      context.res = htmlResponse(410, errorHtml('Documento no disponible', msg));
       return;
     }
 
     if (!documento.EnvelopeId) {
-      context.res = {
-        status: 400,
-        headers: applySecurityHeaders({ 'Content-Type': 'text/html; charset=utf-8' }),
-        body: errorHtml(
+      context.res = htmlResponse(
+        400,
+        errorHtml(
           'Sin sobre de firma',
           'Este documento aun no tiene un sobre de firma asociado. Contacta a tu ejecutivo.'
-        ),
-      };
+        )
+      );
       return;
     }
 
-    // 3. Generate fresh signing URL
-    const signerEmail =
-      documento.ClienteEmail || `${documento.ClienteTelefono}@signbot.noreply.com`;
+    // Firmante destino: el cliente, o el firmante indicado en documentos multi-firmante
+    let firmante = {
+      documentoFirmaId: documento.DocumentoFirmaId,
+      recipientId,
+      telefono: documento.ClienteTelefono,
+      nombre: documento.ClienteNombre,
+      email: documento.ClienteEmail,
+    };
+
+    if (recipientId) {
+      if (!registro) {
+        context.res = htmlResponse(
+          404,
+          errorHtml('Firmante no encontrado', 'Este enlace de firma no es valido.')
+        );
+        return;
+      }
+
+      if (registro.EstadoFirmante !== ESTADO_FIRMANTE.NOTIFICADO) {
+        const firmanteMessages = {
+          [ESTADO_FIRMANTE.PENDIENTE]:
+            'Aun no es tu turno de firmar. Te avisaremos por WhatsApp cuando el documento este listo.',
+          [ESTADO_FIRMANTE.FIRMADO]: 'Ya firmaste este documento.',
+          [ESTADO_FIRMANTE.RECHAZADO]: 'Rechazaste firmar este documento.',
+        };
+        context.res = htmlResponse(
+          410,
+          errorHtml(
+            'Documento no disponible',
+            firmanteMessages[registro.EstadoFirmante] ||
+              'Este documento ya no esta disponible para firma.'
+          )
+        );
+        return;
+      }
+
+      firmante = {
+        ...firmante,
+        telefono: registro.Telefono,
+        nombre: registro.Nombre,
+        email: registro.Email,
+      };
+    }
+
+    // 3. Identity verification (OTP_WHATSAPP; SMS_DOCUSIGN is enforced by DocuSign)
+    const perfil = await obtenerPerfil(documento.TipoDocumento);
+    if (signerVerification.requiereCodigo(perfil)) {
+      const respuestaVerificacion = await verificarIdentidad(req, firmante);
+      if (respuestaVerificacion) {
+        context.res = respuestaVerificacion;
+        return;
+      }
+    }
+
+    // 4. Generate fresh signing URL
+    const signerEmail = firmante.email || `${firmante.telefono}@signbot.noreply.com`;
     const signingUrl = await docusignService.createRecipientView(
       documento.EnvelopeId,
       signerEmail,
-      documento.ClienteNombre,
+      firmante.nombre,
       RETURN_URL,
-      documento.ClienteTelefono
+      firmante.telefono
     );
 
     logger.info('[Firma-Redirect] Redirigiendo a DocuSign', {
       documentoId,
+      recipientId,
       envelopeId: documento.EnvelopeId,
-      clienteTelefono: documento.ClienteTelefono,
+      telefono: firmante.telefono,
     });
 
-    // 4. Redirect to DocuSign
+    // 5. Redirect to DocuSign
     context.res = {
       status: 302,
       headers: applySecurityHeaders({
@@ -165,13 +391,12 @@ module.exports = async function (context, req) {
       documentoId,
     });
 
-    context.res = {
-      status: 500,
-      headers: applySecurityHeaders({ 'Content-Type': 'text/html; charset=utf-8' }),
-      body: errorHtml(
+    context.res = htmlResponse(
+      500,
+      errorHtml(
         'Error al generar enlace',
         'No se pudo generar el enlace de firma. Intenta de nuevo en unos minutos o contacta a tu ejecutivo.'
-      ),
-    };
+      )
+    );
   }
 };
@@ -0,0 +1,342 @@
+/**
+ * SIGN BOT - API: Batch Document Ingestion from SAP
+ * POST /api/sap-document/batch
+ * GET  /api/sap-document/batch/{batchId}
+ * Auth: Azure Function Key (authLevel: function)
+ *
+ * POST Body: {
+ *   documentos: [ <same payload as POST /api/sap-document>, ... ]
+ * }
+ *
+ * Month-end runs send hundreds of contracts at once; processing them inline
+ * (DocuSign + DB + WhatsApp per document) exceeds the function timeout. This
+ * endpoint only validates, stores each PDF and enqueues one Service Bus message
+ * per document. The queue processor runs the same pipeline as /api/sap-document
+ * (core/services/processing/sapDocumentProcessor) for each queued document.
+ *
+ * POST Flow:
+ * 1. Validate batch size (1..config.sapBatch.maxDocumentos)
+ * 2. Require Service Bus (503 if not available: nothing is accepted)
+ * 3. Per document: validateSapDocumentPayload, PDF check, duplicate sapDocumentId
+ *    check, document type profile rules and upload to Blob Storage. Invalid documents are reported, not enqueued
+ * 4. Save the batch and its items (LotesDocumentosSap / LotesDocumentosSapItems)
+ * 5. Enqueue accepted documents (message type 'sap_document')
+ * 6. Return 202 with { batchId, total, aceptados, rechazados, items[] }
+ *
+ * GET returns the batch with each item state (ENCOLADO, INVALIDO, PROCESADO, ERROR)
+ * and, once processed, its documentoId and current document state.
+ */
+
+const crypto = require('crypto');
+const config = require('../core/config');
+const correlation = require('../core/services/infrastructure/correlationService');
+const {
+  validateContentType,
+  secureErrorResponse,
+  secureSuccessResponse,
+} = require('../core/middleware/securityHeaders');
+const serviceBus = require('../core/services/messaging/serviceBusService');
+const teamsService = require('../core/services/external/teamsService');
+const {
+  decodeAndValidatePdf,
+  uploadPdfToBlob,
+} = require('../core/services/processing/sapDocumentProcessor');
+const {
+  obtenerPerfil,
+  validarDatosPerfil,
+} = require('../core/services/processing/documentProfileService');
+const { validateSapDocumentPayload } = require('../bot/schemas/sapDocumentPayload');
+const { ESTADO_ITEM_LOTE } = require('../bot/constants/documentStates');
+const { Semaphore } = require('../core/utils/semaphore');
+
+// Queue message type handled by the queue processor
+const MESSAGE_TYPE = 'sap_document';
+
+// Concurrent Blob Storage uploads per request
+const MAX_CONCURRENT_UPLOADS = 5;
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Lazy-load LoteDocumentoRepository to avoid DB connections at module load
+let _loteRepo = null;
+function getLoteRepo() {
+  if (!_loteRepo) {
+    _loteRepo = require('../bot/repositories/LoteDocumentoRepository');
+  }
+  return _loteRepo;
+}
+
+/**
+ * Validates the batch envelope (not the documents themselves)
+ * @param {Object} body - Request body
+ * @returns {{ valid: boolean, status?: number, error?: string }}
+ */
+function validateBatchBody(body) {
+  if (!body || !Array.isArray(body.documentos) || body.documentos.length === 0) {
+    return {
+      valid: false,
+      status: 400,
+      error: 'documentos es requerido (arreglo con al menos un documento)',
+    };
+  }
+
+  const max = config.sapBatch.maxDocumentos;
+  if (body.documentos.length > max) {
+    return {
+      valid: false,
+      status: 413,
+      error: `El lote excede el maximo de ${max} documentos`,
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validates one document of the batch and uploads its PDF
+ * @param {Object} documento - Document payload
+ * @param {number} indice - Position in the batch
+ * @param {Set<string>} vistos - sapDocumentIds already accepted in this batch
+ * @param {Function} logError - Logger
+ * @returns {Promise<Object>} - Item { indice, sapDocumentId, estado, mensajeError?, documento?, blobName?, blobUrl? }
+ */
+async function prepararItem(documento, indice, vistos, logError) {
+  const sapDocumentId =
+    typeof documento?.sapDocumentId === 'string' ? documento.sapDocumentId : null;
+  const invalido = (mensajeError) => ({
+    indice,
+    sapDocumentId,
+    estado: ESTADO_ITEM_LOTE.INVALIDO,
+    mensajeError,
+  });
+
+  const validation = validateSapDocumentPayload(documento);
+  if (!validation.success) {
+    return invalido(validation.error);
+  }
+
+  if (vistos.has(sapDocumentId)) {
+    return invalido('sapDocumentId duplicado dentro del lote');
+  }
+  vistos.add(sapDocumentId);
+
+  const perfilError = validarDatosPerfil(
+    validation.data,
+    await obtenerPerfil(validation.data.tipoDocumento)
+  );
+  if (perfilError) {
+    return invalido(perfilError);
+  }
+
+  const pdfResult = decodeAndValidatePdf(validation.data.pdfBase64);
+  if (!pdfResult.valid) {
+    return invalido(pdfResult.error);
+  }
+
+  const { pdfBase64: _pdfBase64, ...datos } = validation.data;
+  try {
+    const { url, blobName } = await uploadPdfToBlob(pdfResult.buffer, sapDocumentId, 'original');
+    return {
+      indice,
+      sapDocumentId,
+      estado: ESTADO_ITEM_LOTE.ENCOLADO,
+      documento: datos,
+      blobName,
+      blobUrl: url,
+    };
+  } catch (blobError) {
+    logError(`Error subiendo PDF del item ${indice} a Blob Storage:`, blobError);
+    return {
+      indice,
+      sapDocumentId,
+      estado: ESTADO_ITEM_LOTE.ERROR,
+      mensajeError: 'Error almacenando el documento PDF',
+    };
+  }
+}
+
+/**
+ * Enqueues the accepted items; items that fail to enqueue are marked ERROR
+ * @param {string} loteId - Batch ID
+ * @param {Array} items - Prepared items
+ * @param {string} correlationId - Correlation ID
+ * @param {Function} logError - Logger
+ */
+async function encolarItems(loteId, items, correlationId, logError) {
+  for (const item of items) {
+    if (item.estado !== ESTADO_ITEM_LOTE.ENCOLADO) {
+      continue;
+    }
+
+    const enqueued = await serviceBus.sendToQueue({
+      message: {
+        type: MESSAGE_TYPE,
+        loteId,
+        indice: item.indice,
+        documento: item.documento,
+        blobName: item.blobName,
+        blobUrl: item.blobUrl,
+      },
+      from: item.documento.clienteTelefono,
+      messageId: `${loteId}-${item.indice}`,
+      correlationId,
+      enqueuedAt: new Date().toISOString(),
+    });
+
+    if (!enqueued) {
+      item.estado = ESTADO_ITEM_LOTE.ERROR;
+      item.mensajeError = 'Error encolando el documento';
+      await getLoteRepo()
+        .actualizarItem(loteId, item.indice, item.estado, { MensajeError: item.mensajeError })
+        .catch((dbError) => logError('Error marcando item de lote como ERROR:', dbError));
+    }
+  }
+}
+
+/**
+ * Builds the public view of an item
+ */
+function toItemResponse(item) {
+  return {
+    indice: item.indice,
+    sapDocumentId: item.sapDocumentId,
+    estado: item.estado,
+    ...(item.mensajeError && { error: item.mensajeError }),
+  };
+}
+
+/**
+ * POST /api/sap-document/batch
+ */
+async function handlePost(context, req, correlationId, log, logError) {
+  const contentTypeCheck = validateContentType(req);
+  if (!contentTypeCheck.valid) {
+    context.res = secureErrorResponse(415, contentTypeCheck.error);
+    return;
+  }
+
+  const validation = validateBatchBody(req.body);
+  if (!validation.valid) {
+    log(`Validacion de lote fallida: ${validation.error}`);
+    context.res = secureErrorResponse(validation.status, validation.error);
+    return;
+  }
+
+  if (!(await serviceBus.ensureConnected())) {
+    logError('Service Bus no disponible, lote rechazado');
+    context.res = secureErrorResponse(503, 'Procesamiento por lotes no disponible');
+    return;
+  }
+
+  const loteId = crypto.randomUUID();
+  const { documentos } = req.body;
+  log(`Lote ${loteId} recibido con ${documentos.length} documentos`);
+
+  // 3. Validate and upload (uploads limited by the semaphore)
+  const vistos = new Set();
+  const uploads = new Semaphore(MAX_CONCURRENT_UPLOADS, 'SapBatchUpload');
+  const items = await Promise.all(
+    documentos.map((documento, indice) =>
+      uploads.run(() => prepararItem(documento, indice, vistos, logError))
+    )
+  );
+
+  // 4. Save batch (before enqueueing so the processor always finds its item)
+  try {
+    await getLoteRepo().crearLote(loteId, items, correlationId);
+  } catch (dbError) {
+    logError('Error registrando lote en BD:', dbError);
+    context.res = secureErrorResponse(500, 'Error registrando el lote');
+    return;
+  }
+
+  // 5. Enqueue
+  await encolarItems(loteId, items, correlationId, logError);
+
+  const aceptados = items.filter((item) => item.estado === ESTADO_ITEM_LOTE.ENCOLADO).length;
+  log(`Lote ${loteId}: ${aceptados} encolados, ${items.length - aceptados} rechazados`);
+
+  // 6. Return 202 Accepted
+  context.res = secureSuccessResponse(202, {
+    success: true,
+    batchId: loteId,
+    total: items.length,
+    aceptados,
+    rechazados: items.length - aceptados,
+    items: items.map(toItemResponse),
+    timestamp: new Date().toISOString(),
+    correlationId,
+  });
+}
+
+/**
+ * GET /api/sap-document/batch/{batchId}
+ */
+async function handleGet(context, req, correlationId) {
+  const batchId = req.params?.batchId;
+  if (!batchId || !UUID_REGEX.test(batchId)) {
+    context.res = secureErrorResponse(400, 'batchId invalido');
+    return;
+  }
+
+  const lote = await getLoteRepo().obtenerLote(batchId);
+  if (!lote) {
+    context.res = secureErrorResponse(404, 'Lote no encontrado');
+    return;
+  }
+
+  const resumen = Object.fromEntries(Object.values(ESTADO_ITEM_LOTE).map((estado) => [estado, 0]));
+  for (const item of lote.items) {
+    resumen[item.Estado] = (resumen[item.Estado] || 0) + 1;
+  }
+
+  context.res = secureSuccessResponse(200, {
+    success: true,
+    batchId: lote.LoteId,
+    total: lote.TotalDocumentos,
+    fechaCreacion: lote.FechaCreacion,
+    completado: resumen[ESTADO_ITEM_LOTE.ENCOLADO] === 0,
+    resumen,
+    items: lote.items.map((item) => ({
+      indice: item.Indice,
+      sapDocumentId: item.SapDocumentId,
+      estado: item.Estado,
+      ...(item.MensajeError && { error: item.MensajeError }),
+      documentoId: item.DocumentoFirmaId || null,
+      estadoDocumento: item.EstadoDocumento || null,
+      fechaActualizacion: item.FechaActualizacion,
+    })),
+    correlationId,
+  });
+}
+
+module.exports = async function (context, req) {
+  const correlationId = correlation.generateCorrelationId();
+  context.correlationId = correlationId;
+
+  const log = (msg, ...args) => context.log(`[${correlationId}] ${msg}`, ...args);
+  const logError = (msg, ...args) => context.log.error(`[${correlationId}] ${msg}`, ...args);
+
+  const method = (req.method || 'GET').toUpperCase();
+  log(`${method} /api/sap-document/batch recibido`);
+
+  try {
+    if (method === 'POST') {
+      await handlePost(context, req, correlationId, log, logError);
+    } else {
+      await handleGet(context, req, correlationId);
+    }
+  } catch (error) {
+    logError('Error inesperado en /api/sap-document/batch:', error);
+
+    teamsService
+      .notifyError('Error en API SAP Document Batch', error.message, {
+        error: error.message,
+      })
+      .catch(() => {});
+
+    const errorMessage =
+      process.env.NODE_ENV === 'development' ? error.message : 'Error interno del servidor';
+    context.res = secureErrorResponse(500, errorMessage);
+  }
+};
@@ -9,54 +9,104 @@
  *   clienteTelefono: string (10-15 digits),
  *   clienteNombre: string,
  *   clienteEmail?: string,
+ *   clienteRfc?: string,
+ *   datosPorConfirmar?: ['EMAIL' | 'RFC' | 'NOMBRE_LEGAL'],
  *   tipoDocumento: 'CONTRATO' | 'ADENDUM' | 'PAGARE' | 'OTRO',
  *   documentoNombre: string,
  *   pdfBase64: string (base64 encoded PDF),
- *   datosExtra?: object
+ *   datosExtra?: { calendarioRecordatorios?: { dias, repetirCadaDias? }, zonaHoraria?, ... },
+ *   firmantes?: [{ telefono, nombre, email?, rol: 'CLIENTE' | 'AVAL' | 'CONTRAFIRMA' }],
+ *   tabs?: [{ tipo, firmante?, anchor?, offsetX?, offsetY?, pagina?, todasLasPaginas?,
+ *             x?, y?, etiqueta?, valor?, requerido? }],
+ *   canalPreferido?: 'WHATSAPP' | 'EMAIL' | 'SMS'
  * }
  *
+ * firmantes (optional) is the full signer list in routing order. When present the
+ * envelope gets one signer per entry; only the first one is notified here and the
+ * rest are notified by the DocuSign webhook as each recipient completes.
+ *
+ * tabs (optional) places signHere, initialHere, dateSigned, text, checkbox and fullName
+ * tabs by anchor string or by absolute page/x/y (todasLasPaginas repeats the tab on
+ * every page, e.g. initials). `firmante` is the 1-based position in firmantes. Signers
+ * without tabs keep the role anchors (/firma_cliente/, /fecha_firma/, ...).
+ *
+ * datosExtra (optional) is stored as-is. calendarioRecordatorios overrides the reminder
+ * schedule of the document type profile, and zonaHoraria (IANA, e.g. America/Tijuana)
+ * is the client's timezone for the reminder send window.
+ *
+ * canalPreferido (optional) is tried first for the signing notifications of the
+ * document; the rest of NOTIFICATION_CHANNEL_ORDER is the fallback.
+ *
+ * Signer data (single-signer documents only): when the profile's datosRequeridos are
+ * missing or invalid (e.g. no clienteEmail, malformed clienteRfc), or SAP lists them in
+ * datosPorConfirmar because its master data may be stale, no envelope is created. The
+ * document stays PENDIENTE_ENVIO, the client is asked over WhatsApp (firma_datos
+ * template) and the endpoint returns 202 with datosPendientes. Once the client
+ * confirms, the values are saved on the document, reported to SAP on the callback URL
+ * (datosCliente) and the document is enqueued for envelope creation. If the client never
+ * completes them, timer-firma-reminder housekeeping voids the document after the
+ * profile's housekeeping days and reports ANULADO to SAP.
+ *
  * Flow:
  * 1. Validate payload
  * 2. Decode base64 PDF, validate it's a valid PDF (check magic bytes %PDF)
- * 3. Check file size against config.blob.maxPdfSizeMB
+ * 3. Check file size against config.blob.maxPdfSizeMB, then the document type profile
+ *    rules (PerfilesTipoDocumento: emailRequerido)
  * 4. Upload original PDF to Blob Storage
  * 5. Check if there's an existing active document for same sapDocumentId
  *    - If yes: use correctEnvelope to replace PDF in existing envelope
- *    - If no: create new envelope via docusignService.createEnvelope
+ *      (single-signer only: correcting keeps the existing recipients)
+ *    - If no: create new envelope via docusignService.createEnvelope, with the
+ *      profile's expiration days and tab layout (when the payload has no tabs)
  * 6. Save document record in DB via DocumentoFirmaRepository.crear()
- * 7. Send WhatsApp template notification via whatsappService.sendTemplate()
- *    - Use whatsappTemplates.buildTemplatePayload('firma_envio', params)
+ *    - Multi-signer: save signers via FirmanteDocumentoRepository.crearFirmantes()
+ * 7. Send the signing notification via notificationService.notificar()
+ *    - WhatsApp template, or email/SMS when WhatsApp fails or is not preferred
+ *    - Multi-signer: only to the first signer, who is then marked NOTIFICADO
+ *    - Uses the profile's envio template (firma_envio by default)
  * 8. Update document state to ENVIADO
  * 9. Return 201 with { documentoId, envelopeId, estado }
  *
+ * Steps 2-8 live in core/services/processing/sapDocumentProcessor, shared with the
+ * batch endpoint (POST /api/sap-document/batch) queue processing.
+ *
+ * Async mode (SAP_DOCUMENT_ASYNC=true and Service Bus available): after step 4 the
+ * document is saved as PENDIENTE_ENVIO and enqueued ('sap_document_envio'), and the
+ * endpoint returns 202 with envelopeId null. The queue processor runs steps 5, 7 and 8;
+ * failures go to deadLetterService and are retried by timer-dlq-processor. Once
+ * retries are exhausted the document is marked ERROR and SAP gets the callback.
+ * A resubmission of a sapDocumentId that is still PENDIENTE_ENVIO returns the same
+ * documentoId instead of creating a second record. If enqueueing fails the envelope
+ * is created inline and the endpoint returns 201.
+ *
  * Error handling: return appropriate HTTP codes (400, 413, 500)
  */
 
 const config = require('../core/config');
 const correlation = require('../core/services/infrastructure/correlationService');
-const { logger } = require('../core/services/infrastructure/errorHandler');
+const { AppError } = require('../core/services/infrastructure/errorHandler');
 const {
   validateContentType,
   secureErrorResponse,
   secureSuccessResponse,
 } = require('../core/middleware/securityHeaders');
-const docusignService = require('../core/services/external/docusignService');
-const whatsappService = require('../core/services/external/whatsappService');
-const blobService = require('../core/services/storage/blobService');
 const teamsService = require('../core/services/external/teamsService');
-const { buildTemplatePayload, TEMPLATE_NAMES } = require('../bot/constants/whatsappTemplates');
 const {
-  ESTADO_DOCUMENTO,
-  ESTADO_DOCUMENTO_ID,
-  TIPO_DOCUMENTO,
-  getTipoDocumentoId,
-} = require('../bot/constants/documentStates');
-
-// PDF magic bytes: %PDF (hex: 25504446)
-const PDF_MAGIC_BYTES = Buffer.from([0x25, 0x50, 0x44, 0x46]);
-
-// Max PDF size from config (in bytes)
-const MAX_PDF_SIZE = (config.blob.maxPdfSizeMB || 25) * 1024 * 1024;
+  opcionesFirmaSchema,
+  HOSTS_CALLBACK_BLOQUEADOS,
+} = require('../bot/schemas/sapDocumentPayload');
+const serviceBus = require('../core/services/messaging/serviceBusService');
+const {
+  decodeAndValidatePdf,
+  subirPdfOriginal,
+  crearYEnviarDocumento,
+  encolarEnvio,
+} = require('../core/services/processing/sapDocumentProcessor');
+const {
+  obtenerPerfil,
+  validarDatosPerfil,
+} = require('../core/services/processing/documentProfileService');
+const { ESTADO_DOCUMENTO, TIPO_DOCUMENTO } = require('../bot/constants/documentStates');
 
 // Valid document types
 const VALID_TIPOS = Object.values(TIPO_DOCUMENTO);
@@ -132,9 +182,7 @@ function validatePayload(body) {
       if (!['http:', 'https:'].includes(parsed.protocol)) {
         return { valid: false, error: 'sapCallbackUrl: protocolo no permitido (solo http/https)' };
       }
-      const blockedHostPatterns =
-        /^(localhost|127\.\d+\.\d+\.\d+|10\.\d+\.\d+\.\d+|192\.168\.\d+\.\d+|172\.(1[6-9]|2\d|3[01])\.\d+\.\d+|169\.254\.\d+\.\d+|0\.0\.0\.0|\[::1?\])$/i;
-      if (blockedHostPatterns.test(parsed.hostname)) {
+      if (HOSTS_CALLBACK_BLOQUEADOS.test(parsed.hostname)) {
         return { valid: false, error: 'sapCallbackUrl: host no permitido' };
       }
     } catch (_e) {
@@ -142,98 +190,42 @@ function validatePayload(body) {
     }
   }
 
-  return { valid: true };
+  // Optional signer data, reminder schedule (datosExtra), ordered signer list (multi-signer
+  // envelopes), tab layout and preferred channel, validated with the shared SAP payload schema
+  return validateOpcionesFirma(body);
 }
 
 /**
- * Decodes and validates a base64 PDF
- * @param {string} base64String - Base64 encoded PDF
- * @returns {{ valid: boolean, buffer?: Buffer, error?: string }}
+ * Validates the optional signing fields (clienteRfc, datosPorConfirmar, datosExtra, firmantes,
+ * tabs, canalPreferido) against the SAP payload schema
+ * @param {Object} body - Request body
+ * @returns {{ valid: boolean, error?: string }}
  */
-function decodeAndValidatePdf(base64String) {
-  let buffer;
-  try {
-    buffer = Buffer.from(base64String, 'base64');
-  } catch (_error) {
-    return { valid: false, error: 'pdfBase64 no es un string base64 valido' };
-  }
-
-  if (buffer.length === 0) {
-    return { valid: false, error: 'El PDF decodificado esta vacio' };
+function validateOpcionesFirma(body) {
+  const result = opcionesFirmaSchema.safeParse(body);
+  if (result.success) {
+    return { valid: true };
   }
-
-  // Check magic bytes (%PDF)
-  if (buffer.length < 4 || !buffer.subarray(0, 4).equals(PDF_MAGIC_BYTES)) {
-    return { valid: false, error: 'El archivo no es un PDF valido (magic bytes incorrectos)' };
-  }
-
-  // Check file size
-  if (buffer.length > MAX_PDF_SIZE) {
-    const sizeMB = (buffer.length / 1024 / 1024).toFixed(2);
-    const maxMB = config.blob.maxPdfSizeMB || 25;
-    return {
-      valid: false,
-      error: `El PDF excede el tamano maximo permitido: ${sizeMB}MB > ${maxMB}MB`,
-      tooLarge: true,
-    };
-  }
-
-  return { valid: true, buffer };
+  const [issue] = result.error.issues;
+  return { valid: false, error: `${issue.path.join('.')}: ${issue.message}` };
 }
 
 /**
- * Uploads a PDF to Blob Storage with a structured path
- * @param {Buffer} pdfBuffer - PDF buffer
- * @param {string} sapDocumentId - SAP document ID
- * @param {string} suffix - File name suffix (e.g., 'original', 'signed')
- * @returns {Promise<string>} - Blob URL with SAS token
+ * Async mode is used only when enabled and Service Bus is reachable;
+ * otherwise the document is processed inline as before
+ * @returns {Promise<boolean>}
  */
-async function uploadPdfToBlob(pdfBuffer, sapDocumentId, suffix = 'original') {
-  const container = await blobService.getContainerClient();
-
-  const timestamp = Date.now();
-  const blobName = `documentos/${sapDocumentId}/${timestamp}_${suffix}.pdf`;
-
-  const blockBlobClient = container.getBlockBlobClient(blobName);
-
-  await blockBlobClient.upload(pdfBuffer, pdfBuffer.length, {
-    blobHTTPHeaders: {
-      blobContentType: 'application/pdf',
-    },
-  });
-
-  logger.info('[SAP-Document] PDF subido a Blob Storage', {
-    blobName,
-    sizeKB: (pdfBuffer.length / 1024).toFixed(1),
-  });
-
-  return blockBlobClient.url;
+async function usarModoAsync() {
+  return config.sapDocument.asyncEnabled && serviceBus.ensureConnected();
 }
 
-// Lazy-load DocumentoFirmaRepository to avoid circular dependencies at module load
-let _documentoRepo = null;
-function getDocumentoRepo() {
-  if (!_documentoRepo) {
-    try {
-      _documentoRepo = require('../bot/repositories/DocumentoFirmaRepository');
-    } catch (_e) {
-      // Repository may not exist yet; provide a stub that warns
-      logger.warn('[SAP-Document] DocumentoFirmaRepository no disponible, usando stub');
-      _documentoRepo = {
-        async crear() {
-          logger.warn('[SAP-Document] DocumentoFirmaRepository.crear() stub - no persistence');
-          return { DocumentoFirmaId: `stub-${Date.now()}` };
-        },
-        async obtenerActivoPorSapDocumentId() {
-          return null;
-        },
-        async actualizarEstado() {
-          return true;
-        },
-      };
-    }
-  }
-  return _documentoRepo;
+/**
+ * Inline pipeline: upload, envelope, DB record, notification and ENVIADO state
+ * @returns {Promise<{ documentoId: number, envelopeId: string, estado: string }>}
+ */
+async function procesarSincrono(datos, pdfBuffer, loggers) {
+  const { url } = await subirPdfOriginal(pdfBuffer, datos.sapDocumentId, loggers);
+  return crearYEnviarDocumento(datos, pdfBuffer, url, loggers);
 }
 
 module.exports = async function (context, req) {
@@ -273,152 +265,44 @@ module.exports = async function (context, req) {
     }
 
     const pdfBuffer = pdfResult.buffer;
-    const {
-      sapDocumentId,
-      sapCallbackUrl,
-      clienteTelefono,
-      clienteNombre,
-      clienteEmail,
-      tipoDocumento,
-      documentoNombre,
-      datosExtra,
-    } = body;
+    const { pdfBase64: _pdfBase64, ...datos } = body;
+    const { sapDocumentId, clienteTelefono, tipoDocumento } = datos;
 
     log(
       `Procesando documento SAP: ${sapDocumentId}, tipo: ${tipoDocumento}, cliente: ${clienteTelefono}`
     );
 
-    // 3. Upload original PDF to Blob Storage
-    let blobUrl;
-    try {
-      blobUrl = await uploadPdfToBlob(pdfBuffer, sapDocumentId, 'original');
-      log('PDF subido a Blob Storage');
-    } catch (blobError) {
-      logError('Error subiendo PDF a Blob Storage:', blobError);
-      context.res = secureErrorResponse(500, 'Error almacenando el documento PDF');
+    // Per-type profile rules (e.g. email required)
+    const perfilError = validarDatosPerfil(datos, await obtenerPerfil(tipoDocumento));
+    if (perfilError) {
+      log(`Validacion de perfil fallida: ${perfilError}`);
+      context.res = secureErrorResponse(400, perfilError);
       return;
     }
 
-    // 4. Check for existing active document for same sapDocumentId
-    const documentoRepo = getDocumentoRepo();
-    let existingDoc = null;
+    // 3-8. Async mode registers the document and enqueues it; otherwise run inline
+    let resultado;
     try {
-      existingDoc = await documentoRepo.obtenerActivoPorSapDocumentId(sapDocumentId);
-    } catch (dbError) {
-      log(`Error consultando documento existente: ${dbError.message}`);
-      // Continue with new envelope creation
-    }
-
-    let envelopeId;
-    let signingUrl = null;
-
-    if (existingDoc && existingDoc.EnvelopeId) {
-      // 5a. Existing active document: correct the envelope (replace PDF)
-      log(`Documento existente encontrado, corrigiendo envelope: ${existingDoc.EnvelopeId}`);
-      try {
-        const corrected = await docusignService.correctEnvelope(
-          existingDoc.EnvelopeId,
-          pdfBuffer,
-          documentoNombre
-        );
-        envelopeId = corrected.envelopeId;
-        log(`Envelope corregido: ${envelopeId}`);
-      } catch (correctError) {
-        logError('Error corrigiendo envelope, creando uno nuevo:', correctError);
-        // Fallback to creating a new envelope
-        existingDoc = null;
+      resultado = (await usarModoAsync())
+        ? await encolarEnvio(datos, pdfBuffer, correlationId, { log, logError })
+        : await procesarSincrono(datos, pdfBuffer, { log, logError });
+    } catch (pipelineError) {
+      if (!(pipelineError instanceof AppError)) {
+        throw pipelineError;
       }
-    }
-
-    if (!existingDoc || !envelopeId) {
-      // 5b. Create new envelope
-      try {
-        const signerEmail = clienteEmail || `${clienteTelefono}@signbot.noreply.com`;
-        const envelopeResult = await docusignService.createEnvelope(
-          pdfBuffer,
-          signerEmail,
-          clienteNombre,
-          documentoNombre,
-          { clienteTelefono }
-        );
-        envelopeId = envelopeResult.envelopeId;
-        signingUrl = envelopeResult.signingUrl;
-        log(`Envelope creado: ${envelopeId}`);
-      } catch (dsError) {
-        logError('Error creando envelope en DocuSign:', dsError);
-        context.res = secureErrorResponse(500, 'Error creando el sobre de firma en DocuSign');
-        return;
-      }
-    }
-
-    // 6. Save document record in DB
-    let documentoId;
-    let documentoVersion = 0;
-    try {
-      const record = await documentoRepo.crear({
-        SapDocumentId: sapDocumentId,
-        SapCallbackUrl: sapCallbackUrl || null,
-        ClienteTelefono: clienteTelefono,
-        ClienteNombre: clienteNombre,
-        ClienteEmail: clienteEmail || null,
-        TipoDocumentoId: getTipoDocumentoId(tipoDocumento),
-        DocumentoNombre: documentoNombre,
-        DocumentoOriginalUrl: blobUrl,
-        DatosExtra: datosExtra ? JSON.stringify(datosExtra) : null,
-      });
-      documentoId = record.DocumentoFirmaId;
-      documentoVersion = record.Version || 0;
-      log(`Documento registrado en BD: ${documentoId}`);
-    } catch (dbError) {
-      logError('Error guardando documento en BD:', dbError);
-      context.res = secureErrorResponse(500, 'Error registrando el documento');
+      context.res = secureErrorResponse(500, pipelineError.message);
       return;
     }
 
-    // 7. Send WhatsApp template notification
-    // signingUrl param = documentoId (el template URL en Meta redirige via /api/firma/{id})
-    try {
-      const templatePayload = buildTemplatePayload(TEMPLATE_NAMES.FIRMA_ENVIO, {
-        clienteNombre,
-        tipoDocumento,
-        documentoNombre,
-        signingUrl: String(documentoId),
-      });
-
-      await whatsappService.sendTemplate(clienteTelefono, templatePayload);
-      log('Template de WhatsApp enviado');
-    } catch (waError) {
-      // Don't fail the entire request if WhatsApp fails
-      logError('Error enviando template de WhatsApp (no fatal):', waError);
-      // Notify Teams about the WhatsApp failure
-      teamsService
-        .notifyError('Error enviando WhatsApp', `Documento ${sapDocumentId}`, {
-          telefono: clienteTelefono,
-          error: waError.message,
-        })
-        .catch(() => {});
-    }
-
-    // 8. Update document state to ENVIADO
-    try {
-      await documentoRepo.actualizarEstado(
-        documentoId,
-        ESTADO_DOCUMENTO_ID.ENVIADO,
-        documentoVersion,
-        { EnvelopeId: envelopeId, SigningUrl: signingUrl }
-      );
-      log('Estado actualizado a ENVIADO');
-    } catch (stateError) {
-      logError('Error actualizando estado a ENVIADO:', stateError);
-      // Not fatal - the document was created successfully
-    }
-
-    // 9. Return 201 Created
-    context.res = secureSuccessResponse(201, {
+    // 9. Return 201 Created, or 202 Accepted while the document waits in the queue
+    // or for the client's data
+    const status = resultado.estado === ESTADO_DOCUMENTO.PENDIENTE_ENVIO ? 202 : 201;
+    context.res = secureSuccessResponse(status, {
       success: true,
-      documentoId,
-      envelopeId,
-      estado: ESTADO_DOCUMENTO.ENVIADO,
+      documentoId: resultado.documentoId,
+      envelopeId: resultado.envelopeId,
+      estado: resultado.estado,
+      ...(resultado.datosPendientes && { datosPendientes: resultado.datosPendientes }),
       sapDocumentId,
       timestamp: new Date().toISOString(),
       correlationId,
@@ -1,6 +1,7 @@
 /**
  * SIGN BOT - Webhook Principal
  * Recibe mensajes de WhatsApp y los procesa
+ * Procesa tambien los statuses (sent, delivered, read, failed) de los templates de firma
  * Incluye correlation ID para tracing distribuido
  */
 
@@ -18,6 +19,7 @@ const db = require('../core/services/storage/databaseService');
 const security = require('../core/services/infrastructure/securityService');
 const correlation = require('../core/services/infrastructure/correlationService');
 const deadLetter = require('../core/services/infrastructure/deadLetterService');
+const whatsappStatus = require('../core/services/processing/whatsappStatusService');
 
 // ==============================================================
 // HELPER FUNCTIONS
@@ -70,6 +72,37 @@ function extractMessage(body) {
   return messages && messages[0];
 }
 
+/**
+ * Extrae los statuses de mensajes enviados del payload de WhatsApp
+ * @param {Object} body - Payload del webhook
+ * @returns {Array} - value.statuses (vacio si no hay)
+ */
+function extractStatuses(body) {
+  const entry = body.entry && body.entry[0];
+  const changes = entry && entry.changes && entry.changes[0];
+  const value = changes && changes.value;
+  return (value && value.statuses) || [];
+}
+
+/**
+ * Procesa los statuses de los templates de firma
+ * Un status que falla no detiene a los demas; Meta siempre recibe 200.
+ */
+async function processStatuses(statuses, log, logError) {
+  for (const status of statuses) {
+    try {
+      const resultado = await whatsappStatus.procesarEstado(status);
+      if (resultado) {
+        log(
+          `[Status] Documento ${resultado.documentoId}: ${resultado.estado} | MsgID: ${status.id}`
+        );
+      }
+    } catch (error) {
+      logError(`[Status] Error procesando status ${status.status} de ${status.id}:`, error);
+    }
+  }
+}
+
 /**
  * Extrae el nombre de perfil del usuario de WhatsApp
  * @param {Object} body - Payload del webhook
@@ -126,7 +159,7 @@ async function checkAndRegisterMessage(message, from, log, logWarn) {
     return { isDuplicate: false, retryCount: 0 };
   } catch (dbError) {
     // Para botones interactivos: si falla BD, NO procesar (evitar race conditions)
-    if (message.type === 'interactive') {
+    if (message.type === 'interactive' || message.type === 'button') {
       logWarn(`[Dedup] Error BD en boton interactivo, ignorando: ${dbError.message}`);
       return { isDuplicate: true, retryCount: 0 };
     }
@@ -144,7 +177,12 @@ async function checkAndRegisterMessage(message, from, log, logWarn) {
 function saveToDeadLetter(message, error, logError) {
   let messageContent;
   try {
-    messageContent = message.text?.body || message.interactive?.button_reply?.id || null;
+    messageContent =
+      message.text?.body ||
+      message.interactive?.button_reply?.id ||
+      message.interactive?.list_reply?.id ||
+      message.button?.payload ||
+      null;
   } catch (_e) {
     messageContent = 'error-extracting-content';
   }
@@ -273,7 +311,9 @@ module.exports = async function (context, req) {
       // Extraer mensaje
       const message = extractMessage(body);
       if (!message) {
-        log('Notificacion de estado recibida (no es mensaje)');
+        const statuses = extractStatuses(body);
+        log(`Notificacion de estado recibida (no es mensaje) | Statuses: ${statuses.length}`);
+        await processStatuses(statuses, log, logError);
         context.res = { status: 200, body: 'OK' };
         return;
       }
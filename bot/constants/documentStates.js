@@ -28,6 +28,72 @@ const ESTADO_DOCUMENTO_ID = {
   ERROR: 8,
 };
 
+// Transiciones permitidas por estado de documento (CatTransicionEstadoDocumento)
+// sp_ActualizarEstadoDocumento rechaza cualquier cambio que no este en esta tabla.
+// FIRMADO y ANULADO son finales: ningun evento tardio los puede mover.
+const TRANSICIONES_DOCUMENTO = new Map([
+  [
+    ESTADO_DOCUMENTO.PENDIENTE_ENVIO,
+    [ESTADO_DOCUMENTO.ENVIADO, ESTADO_DOCUMENTO.ANULADO, ESTADO_DOCUMENTO.ERROR],
+  ],
+  [
+    ESTADO_DOCUMENTO.ENVIADO,
+    [
+      ESTADO_DOCUMENTO.ENTREGADO,
+      ESTADO_DOCUMENTO.VISTO,
+      ESTADO_DOCUMENTO.FIRMADO,
+      ESTADO_DOCUMENTO.RECHAZADO,
+      ESTADO_DOCUMENTO.ANULADO,
+      ESTADO_DOCUMENTO.ERROR,
+    ],
+  ],
+  [
+    ESTADO_DOCUMENTO.ENTREGADO,
+    [
+      ESTADO_DOCUMENTO.VISTO,
+      ESTADO_DOCUMENTO.FIRMADO,
+      ESTADO_DOCUMENTO.RECHAZADO,
+      ESTADO_DOCUMENTO.ANULADO,
+      ESTADO_DOCUMENTO.ERROR,
+    ],
+  ],
+  [
+    ESTADO_DOCUMENTO.VISTO,
+    [
+      ESTADO_DOCUMENTO.FIRMADO,
+      ESTADO_DOCUMENTO.RECHAZADO,
+      ESTADO_DOCUMENTO.ANULADO,
+      ESTADO_DOCUMENTO.ERROR,
+    ],
+  ],
+  [
+    // Rechazado permite reenvio (correctEnvelope) y el decline de DocuSign tras un
+    // rechazo por WhatsApp
+    ESTADO_DOCUMENTO.RECHAZADO,
+    [
+      ESTADO_DOCUMENTO.ENVIADO,
+      ESTADO_DOCUMENTO.VISTO,
+      ESTADO_DOCUMENTO.FIRMADO,
+      ESTADO_DOCUMENTO.RECHAZADO,
+      ESTADO_DOCUMENTO.ANULADO,
+      ESTADO_DOCUMENTO.ERROR,
+    ],
+  ],
+  [
+    ESTADO_DOCUMENTO.ERROR,
+    [
+      ESTADO_DOCUMENTO.ENVIADO,
+      ESTADO_DOCUMENTO.ENTREGADO,
+      ESTADO_DOCUMENTO.VISTO,
+      ESTADO_DOCUMENTO.FIRMADO,
+      ESTADO_DOCUMENTO.RECHAZADO,
+      ESTADO_DOCUMENTO.ANULADO,
+    ],
+  ],
+  [ESTADO_DOCUMENTO.FIRMADO, []],
+  [ESTADO_DOCUMENTO.ANULADO, []],
+]);
+
 // Tipos de documento (CatTipoDocumento)
 const TIPO_DOCUMENTO = {
   CONTRATO: 'CONTRATO',
@@ -44,6 +110,142 @@ const TIPO_DOCUMENTO_ID = {
   OTRO: 4,
 };
 
+// Roles de firmante en documentos multi-firmante (FirmantesDocumento.Rol)
+const ROL_FIRMANTE = {
+  CLIENTE: 'CLIENTE', // Titular del documento
+  AVAL: 'AVAL', // Aval / obligado solidario
+  CONTRAFIRMA: 'CONTRAFIRMA', // Contrafirma interna de Arca Continental
+};
+
+// Tipos de tab de DocuSign que SAP puede colocar en el PDF (payload.tabs)
+const TIPO_TAB = {
+  SIGN_HERE: 'signHere', // Firma
+  INITIAL_HERE: 'initialHere', // Iniciales
+  DATE_SIGNED: 'dateSigned', // Fecha de firma (la llena DocuSign)
+  TEXT: 'text', // Campo de texto (RFC, nombre completo, etc.)
+  CHECKBOX: 'checkbox', // Casilla de verificacion
+  FULL_NAME: 'fullName', // Nombre del firmante (lo llena DocuSign)
+};
+
+// Estados por firmante (FirmantesDocumento.EstadoFirmante)
+const ESTADO_FIRMANTE = {
+  PENDIENTE: 'PENDIENTE', // Aun no es su turno
+  NOTIFICADO: 'NOTIFICADO', // Es su turno, WhatsApp enviado
+  FIRMADO: 'FIRMADO', // Completo su firma en DocuSign
+  RECHAZADO: 'RECHAZADO', // Rechazo firmar
+};
+
+// Verificacion de identidad antes de firmar (perfil del tipo de documento)
+const VERIFICACION_IDENTIDAD = {
+  NINGUNA: 'NINGUNA', // El enlace de firma redirige directo a DocuSign
+  OTP_WHATSAPP: 'OTP_WHATSAPP', // Codigo por WhatsApp capturado en la pagina de firma
+  SMS_DOCUSIGN: 'SMS_DOCUSIGN', // DocuSign envia un codigo por SMS al telefono del firmante
+};
+
+// Status que Meta reporta para los templates enviados (webhook statuses, columna EstadoWhatsApp)
+const ESTADO_WHATSAPP = {
+  SENT: 'sent', // Aceptado por WhatsApp
+  DELIVERED: 'delivered', // Entregado al dispositivo
+  READ: 'read', // Leido por el destinatario
+  FAILED: 'failed', // No se pudo entregar (errors[].code, p. ej. 131026)
+};
+
+// Canales de notificacion al firmante (DocumentosFirma.CanalPreferido)
+const CANAL_NOTIFICACION = {
+  WHATSAPP: 'WHATSAPP', // Template de WhatsApp (canal por defecto)
+  EMAIL: 'EMAIL', // Email por SMTP con el enlace de firma
+  SMS: 'SMS', // SMS por el proveedor HTTP configurado
+};
+
+// Origen de una transicion de estado (HistorialDocumentoFirma.OrigenAccion)
+const ORIGEN_HISTORIAL = {
+  SAP_API: 'SAP_API', // POST /api/sap-document (sincrono, asincrono o por lote)
+  DOCUSIGN_WEBHOOK: 'DOCUSIGN_WEBHOOK', // Eventos de DocuSign Connect
+  WHATSAPP_STATUS: 'WHATSAPP_STATUS', // Status de entrega de Meta (delivered/read)
+  WHATSAPP_USUARIO: 'WHATSAPP_USUARIO', // Accion del cliente en el bot (p. ej. rechazo)
+  TIMER: 'TIMER', // timer-firma-reminder (housekeeping)
+  ADMIN: 'ADMIN', // Acciones del dashboard / API admin
+  SISTEMA: 'SISTEMA', // Cualquier otro proceso interno
+};
+
+// Estados por documento de un lote SAP (LotesDocumentosSapItems.Estado)
+const ESTADO_ITEM_LOTE = {
+  ENCOLADO: 'ENCOLADO', // Aceptado y en cola de Service Bus
+  INVALIDO: 'INVALIDO', // Rechazado en la validacion, no se encola
+  PROCESADO: 'PROCESADO', // Documento creado y enviado al cliente
+  ERROR: 'ERROR', // Fallo al encolar o al procesar
+};
+
+// Acciones masivas del admin (TrabajosMasivos.Accion)
+const ACCION_MASIVA = {
+  ANULAR: 'ANULAR', // Igual que POST /api/admin/documents/void
+  REENVIAR: 'REENVIAR', // Igual que POST /api/admin/documents/resend, sin corregir contacto
+  RECORDAR: 'RECORDAR', // Template firma_recordatorio fuera del calendario del timer
+};
+
+// Estados por documento de una accion masiva (TrabajosMasivosItems.Estado)
+const ESTADO_ITEM_TRABAJO = {
+  ENCOLADO: 'ENCOLADO', // En cola de Service Bus
+  PROCESADO: 'PROCESADO', // Accion aplicada
+  OMITIDO: 'OMITIDO', // El estado del documento no admite la accion
+  ERROR: 'ERROR', // Fallo al encolar o al aplicar la accion
+};
+
+// Categorias de motivo de rechazo (DocumentosFirma.CategoriaRechazo)
+const CATEGORIA_RECHAZO = {
+  MONTO_INCORRECTO: 'MONTO_INCORRECTO', // El cliente no esta de acuerdo con el monto
+  DATOS_INCORRECTOS: 'DATOS_INCORRECTOS', // Nombre, RFC, domicilio u otros datos erroneos
+  NEGOCIAR: 'NEGOCIAR', // Quiere negociar condiciones antes de firmar
+  PERSONA_INCORRECTA: 'PERSONA_INCORRECTA', // No es la persona que debe firmar
+  OTRO: 'OTRO', // Cualquier otro motivo (detalle en MotivoRechazo)
+};
+
+// Estados del seguimiento de un rechazo (SeguimientosRechazo.Estado)
+const ESTADO_SEGUIMIENTO = {
+  ABIERTO: 'ABIERTO', // Recien creado por el rechazo, sin responsable
+  EN_PROCESO: 'EN_PROCESO', // Asignado a un usuario de back-office
+  CERRADO: 'CERRADO', // Resuelto (con resolucion capturada)
+};
+
+// Informacion de categorias de rechazo para la lista de WhatsApp y el dashboard
+// (titulo max 24 caracteres, descripcion max 72)
+const CATEGORIA_RECHAZO_INFO = new Map([
+  [
+    CATEGORIA_RECHAZO.MONTO_INCORRECTO,
+    { titulo: 'Monto incorrecto', descripcion: 'El importe del documento no es el acordado' },
+  ],
+  [
+    CATEGORIA_RECHAZO.DATOS_INCORRECTOS,
+    { titulo: 'Datos incorrectos', descripcion: 'Nombre, RFC, domicilio u otros datos estan mal' },
+  ],
+  [
+    CATEGORIA_RECHAZO.NEGOCIAR,
+    { titulo: 'Quiero negociar', descripcion: 'Quiero revisar las condiciones antes de firmar' },
+  ],
+  [
+    CATEGORIA_RECHAZO.PERSONA_INCORRECTA,
+    { titulo: 'No soy quien firma', descripcion: 'El documento debe firmarlo otra persona' },
+  ],
+  [
+    CATEGORIA_RECHAZO.OTRO,
+    { titulo: 'Otro motivo', descripcion: 'Cuentanos el motivo en el siguiente mensaje' },
+  ],
+]);
+
+// Datos del firmante que se pueden pedir al cliente por WhatsApp antes de crear el envelope
+const DATO_FIRMANTE = {
+  EMAIL: 'EMAIL', // Correo para el recipient de DocuSign
+  RFC: 'RFC', // RFC del cliente (persona fisica o moral)
+  NOMBRE_LEGAL: 'NOMBRE_LEGAL', // Nombre completo o razon social
+};
+
+// Nombre de cada dato del firmante para mensajes al cliente
+const DATO_FIRMANTE_INFO = new Map([
+  [DATO_FIRMANTE.EMAIL, { nombre: 'correo electronico' }],
+  [DATO_FIRMANTE.RFC, { nombre: 'RFC' }],
+  [DATO_FIRMANTE.NOMBRE_LEGAL, { nombre: 'nombre completo' }],
+]);
+
 // Informacion de estados de documento para UI
 const ESTADO_DOCUMENTO_INFO = {
   PENDIENTE_ENVIO: {
@@ -109,6 +311,20 @@ const ESTADOS_RECORDATORIO = [
   ESTADO_DOCUMENTO.RECHAZADO,
 ];
 
+// Estados en los que se puede reenviar la notificacion de firma
+const ESTADOS_REENVIO = [
+  ESTADO_DOCUMENTO.ENVIADO,
+  ESTADO_DOCUMENTO.ENTREGADO,
+  ESTADO_DOCUMENTO.VISTO,
+];
+
+// Estados en los que el cliente puede rechazar el documento desde WhatsApp
+const ESTADOS_RECHAZO_CLIENTE = [
+  ESTADO_DOCUMENTO.ENVIADO,
+  ESTADO_DOCUMENTO.ENTREGADO,
+  ESTADO_DOCUMENTO.VISTO,
+];
+
 // Helpers
 function esEstadoDocumentoFinal(estado) {
   return ESTADOS_DOCUMENTO_FINALES.includes(estado);
@@ -126,6 +342,22 @@ function getEstadoDocumentoId(estadoCodigo) {
   return ESTADO_DOCUMENTO_ID[estadoCodigo] || null;
 }
 
+function getEstadoDocumentoCodigo(estadoId) {
+  const entrada = Object.entries(ESTADO_DOCUMENTO_ID).find(([, id]) => id === estadoId);
+  return entrada ? entrada[0] : null;
+}
+
+/**
+ * Indica si un documento puede pasar de un estado a otro (TRANSICIONES_DOCUMENTO)
+ * @param {string} estadoActual - Codigo del estado actual
+ * @param {string} estadoNuevo - Codigo del estado destino
+ * @returns {boolean}
+ */
+function esTransicionDocumentoPermitida(estadoActual, estadoNuevo) {
+  const destinos = TRANSICIONES_DOCUMENTO.get(estadoActual);
+  return Boolean(destinos) && destinos.includes(estadoNuevo);
+}
+
 function getTipoDocumentoId(tipoCodigo) {
   return TIPO_DOCUMENTO_ID[tipoCodigo] || null;
 }
@@ -134,19 +366,49 @@ function getEstadoDocumentoInfo(estadoCodigo) {
   return ESTADO_DOCUMENTO_INFO[estadoCodigo] || { emoji: '⚪', nombre: estadoCodigo, mensaje: '' };
 }
 
+function esCategoriaRechazoValida(categoria) {
+  return Object.hasOwn(CATEGORIA_RECHAZO, categoria);
+}
+
+function getCategoriaRechazoInfo(categoria) {
+  return CATEGORIA_RECHAZO_INFO.get(categoria) || { titulo: categoria, descripcion: '' };
+}
+
 module.exports = {
   ESTADO_DOCUMENTO,
   ESTADO_DOCUMENTO_ID,
+  TRANSICIONES_DOCUMENTO,
   TIPO_DOCUMENTO,
   TIPO_DOCUMENTO_ID,
+  ROL_FIRMANTE,
+  TIPO_TAB,
+  ESTADO_FIRMANTE,
+  VERIFICACION_IDENTIDAD,
+  ESTADO_WHATSAPP,
+  CANAL_NOTIFICACION,
+  ORIGEN_HISTORIAL,
+  ESTADO_ITEM_LOTE,
+  ACCION_MASIVA,
+  ESTADO_ITEM_TRABAJO,
+  CATEGORIA_RECHAZO,
+  ESTADO_SEGUIMIENTO,
+  CATEGORIA_RECHAZO_INFO,
+  DATO_FIRMANTE,
+  DATO_FIRMANTE_INFO,
   ESTADO_DOCUMENTO_INFO,
   ESTADOS_DOCUMENTO_FINALES,
   ESTADOS_DOCUMENTO_ACTIVOS,
   ESTADOS_RECORDATORIO,
+  ESTADOS_REENVIO,
+  ESTADOS_RECHAZO_CLIENTE,
   esEstadoDocumentoFinal,
   esEstadoDocumentoActivo,
   esEstadoRecordatorio,
   getEstadoDocumentoId,
+  getEstadoDocumentoCodigo,
+  esTransicionDocumentoPermitida,
   getTipoDocumentoId,
   getEstadoDocumentoInfo,
+  esCategoriaRechazoValida,
+  getCategoriaRechazoInfo,
 };
@@ -64,14 +64,34 @@ const FIRMA = {
     `*${documentoNombre}*\n\n` +
     'Si tienes dudas, contacta a tu ejecutivo.',
 
-  // Solicitud de motivo de rechazo
-  SOLICITAR_MOTIVO_RECHAZO: 'Entendido. Por favor, indicanos brevemente el *motivo del rechazo*:',
+  // Lista de categorias de motivo de rechazo
+  SELECCIONAR_CATEGORIA_RECHAZO_TITULO: 'Motivo del rechazo',
+  SELECCIONAR_CATEGORIA_RECHAZO: (documentoNombre) =>
+    `Entendido. Para rechazar *${documentoNombre}*, elige el *motivo* que mejor lo describe:`,
+  SELECCIONAR_CATEGORIA_RECHAZO_BOTON: 'Ver motivos',
+
+  // Detalle opcional del rechazo (texto libre o boton Omitir)
+  DETALLE_RECHAZO_TITULO: 'Detalle del rechazo',
+  SOLICITAR_DETALLE_RECHAZO: (categoriaNombre) =>
+    `Motivo: *${categoriaNombre}*.\n\n` +
+    'Si quieres, escribe brevemente el detalle para tu ejecutivo o presiona *Omitir*.',
 
   // Confirmacion de rechazo registrado
   RECHAZO_REGISTRADO: (documentoNombre) =>
     `Se registro tu rechazo para *${documentoNombre}*.\n\n` +
     'Tu ejecutivo sera notificado. Si cambias de opinion, te enviaremos el documento nuevamente.',
 
+  // Varios documentos pendientes y el boton no indica cual (lista para elegir)
+  SELECCIONAR_RECHAZO_TITULO: 'Rechazar documento',
+  SELECCIONAR_RECHAZO:
+    'Tienes varios documentos pendientes de firma. Elige el que quieres *rechazar*:',
+  SELECCIONAR_RECHAZO_BOTON: 'Ver documentos',
+
+  // Rechazo sobre un documento que ya no admite el cambio (firmado, anulado)
+  RECHAZO_NO_PERMITIDO: (documentoNombre, estadoNombre) =>
+    `*${documentoNombre}* ya no puede rechazarse (estado: ${estadoNombre}).\n\n` +
+    'Si tienes dudas, contacta a tu ejecutivo.',
+
   // Documento corregido (reenvio con correctEnvelope)
   DOCUMENTO_CORREGIDO: (clienteNombre, tipoDocumento, documentoNombre) =>
     `Hola ${clienteNombre},\n\n` +
@@ -97,32 +117,54 @@ const CONSULTA_DOCS = {
     'No tienes documentos pendientes de firma en este momento.\n\n' +
     'Te notificaremos cuando recibas un nuevo documento.',
 
+  // Lista interactiva de documentos (filas CONSULTA_DOCUMENTO:{documentoFirmaId})
+  LISTA_BOTON: 'Ver documentos',
+
   /**
-   * Genera mensaje con lista de documentos del usuario
+   * Genera el cuerpo de la lista de documentos
+   * @param {number} total - Documentos que cumplen el filtro
+   * @param {string} filtroNombre - Nombre del filtro (ej: 'pendientes')
+   * @param {number} pagina - Pagina actual (desde 1)
+   * @param {number} totalPaginas - Total de paginas
    */
-  listaDocumentos: (documentos) => {
-    const { getEstadoDocumentoInfo } = require('./documentStates');
+  listaDocumentos: (total, filtroNombre, pagina, totalPaginas) => {
+    if (total === 0) {
+      return `No tienes documentos ${filtroNombre}.\n\nElige otro filtro de la lista.`;
+    }
 
-    let msg = '*Tus documentos:*\n\n';
+    let msg = `Tienes *${total}* documento${total === 1 ? '' : 's'} ${filtroNombre}.`;
+    if (totalPaginas > 1) {
+      msg += ` Pagina ${pagina} de ${totalPaginas}.`;
+    }
+    msg += '\n\nElige un documento de la lista para ver el detalle.';
 
-    documentos.forEach((doc, index) => {
-      const estadoInfo = getEstadoDocumentoInfo(doc.EstadoDocumento);
-      const fecha = new Date(doc.FechaCreacion).toLocaleDateString('es-MX', {
-        day: '2-digit',
-        month: 'short',
-        year: 'numeric',
-      });
+    return msg;
+  },
 
-      msg += `${index + 1}. *${doc.DocumentoNombre || doc.SapDocumentId}*\n`;
-      msg += `   ${estadoInfo.emoji} ${estadoInfo.nombre}\n`;
-      msg += `   Tipo: ${doc.TipoDocumento}\n`;
-      msg += `   Fecha: ${fecha}\n\n`;
-    });
+  FILA_VER_MAS: 'Ver mas',
 
-    msg += 'Escribe el *numero* del documento para ver mas detalles.';
+  filaVerMasDescripcion: (desde, hasta, total) => `Documentos ${desde} a ${hasta} de ${total}`,
 
-    return msg;
+  // Filtros por estado (solo cuando hay mas de 10 documentos)
+  FILTRO_PENDIENTES: {
+    nombre: 'pendientes de firma',
+    title: 'Solo pendientes',
+    description: 'Documentos por firmar',
+  },
+  FILTRO_FIRMADOS: {
+    nombre: 'firmados',
+    title: 'Solo firmados',
+    description: 'Documentos ya firmados',
   },
+  FILTRO_TODOS: {
+    nombre: 'en total',
+    title: 'Todos',
+    description: 'Todos tus documentos',
+  },
+
+  SELECCIONA_DE_LISTA:
+    'Elige un documento con el boton *Ver documentos* de la lista,\n' +
+    'o escribe *"volver"* para recibir la lista de nuevo.',
 
   /**
    * Genera mensaje con detalle de un documento
@@ -151,14 +193,56 @@ const CONSULTA_DOCS = {
 
     msg += `\n${estadoInfo.mensaje}`;
 
-    if (doc.SigningUrl && !['FIRMADO', 'ANULADO'].includes(doc.EstadoDocumento)) {
-      msg += '\n\nPuedes firmar desde el enlace que te enviamos anteriormente.';
-    }
-
     return msg;
   },
 
-  DOCUMENTO_NO_ENCONTRADO: 'No encontre ese documento. Verifica el numero e intenta de nuevo.',
+  // Acciones sobre un documento pendiente (detalle de la consulta)
+  ACCIONES_TITULO: 'Que deseas hacer?',
+
+  ACCIONES: (documentoNombre) =>
+    `Puedes firmar *${documentoNombre}* desde aqui, rechazarlo o ver el PDF antes de decidir.`,
+
+  BOTON_FIRMAR: 'Firmar',
+  BOTON_RECHAZAR: 'Rechazar',
+  BOTON_VER_PDF: 'Ver PDF',
+
+  // Enlace de firma nuevo (boton URL a /api/firma/{token})
+  ENLACE_FIRMA_TITULO: 'Firma de documento',
+
+  ENLACE_FIRMA: (documentoNombre) =>
+    `Presiona el boton para revisar y firmar *${documentoNombre}*.\n\n` +
+    'El enlace es personal: no lo compartas.',
+
+  ENLACE_FIRMA_BOTON: 'Firmar documento',
+
+  ENLACE_NO_DISPONIBLE:
+    'No pude generar tu enlace de firma en este momento.\n\n' +
+    'Intenta de nuevo mas tarde o contacta a tu ejecutivo.',
+
+  SIN_TURNO_FIRMA: (documentoNombre) =>
+    `Por ahora no tienes una firma pendiente en *${documentoNombre}*.\n\n` +
+    'Si aun te toca firmar, te avisaremos por WhatsApp cuando sea tu turno.',
+
+  DOCUMENTO_NO_PENDIENTE: (documentoNombre, estadoNombre) =>
+    `El documento *${documentoNombre}* ya no esta pendiente de firma (estado: ${estadoNombre}).`,
+
+  // Vista previa del PDF original (solo lectura)
+  VISTA_PREVIA: (documentoNombre) =>
+    `Vista previa de ${documentoNombre} (solo lectura). Para firmarlo usa el boton *Firmar*.`,
+
+  VISTA_PREVIA_NO_DISPONIBLE: 'La vista previa de este documento no esta disponible.',
+
+  ERROR_VISTA_PREVIA: 'No pude enviarte la vista previa del documento. Intenta de nuevo mas tarde.',
+
+  DOCUMENTO_NO_ENCONTRADO:
+    'No encontre ese documento. Escribe *"volver"* para ver tu lista actualizada.',
+
+  // Copia del PDF firmado (documentos FIRMADO)
+  PDF_NO_DISPONIBLE:
+    'La copia del documento firmado aun no esta disponible.\n\n' +
+    'Te la enviaremos en cuanto este lista.',
+
+  ERROR_ENVIO_PDF: 'No pude enviarte la copia del documento firmado. Intenta de nuevo mas tarde.',
 
   // Cuando el usuario tiene multiples documentos pendientes y responde sin especificar
   MULTIPLES_PENDIENTES:
@@ -166,6 +250,56 @@ const CONSULTA_DOCS = {
     'Escribe *"mis documentos"* para ver la lista completa.',
 };
 
+// ============================================
+// MENSAJES DE CAPTURA DE DATOS DEL FIRMANTE
+// ============================================
+
+const DATOS_FIRMANTE = {
+  // Inicio de la captura (quick reply "Completar datos" del template firma_datos)
+  INICIO: (documentoNombre, datosPendientes) =>
+    `Para enviarte *${documentoNombre}* a firma necesitamos tu ${datosPendientes}.\n\n` +
+    'Escribe *cancelar* en cualquier momento para terminar despues.',
+
+  // Preguntas por dato
+  SOLICITAR_EMAIL: 'Escribe tu *correo electronico*:',
+  SOLICITAR_RFC: 'Escribe tu *RFC* (12 o 13 caracteres, con homoclave):',
+  SOLICITAR_NOMBRE_LEGAL:
+    'Escribe tu *nombre completo* o la *razon social* tal como aparece en tu RFC:',
+
+  // Valores que no pasan la validacion
+  EMAIL_INVALIDO:
+    'El correo no parece valido. Revisalo y escribelo de nuevo (ej. nombre@dominio.com):',
+  RFC_INVALIDO:
+    'El RFC no parece valido. Debe tener 12 o 13 caracteres, por ejemplo XAXX010101000:',
+  NOMBRE_LEGAL_INVALIDO: 'Escribe tu nombre completo (nombre y apellidos) o tu razon social:',
+
+  // Resumen para confirmar
+  CONFIRMAR_TITULO: 'Confirma tus datos',
+  CONFIRMAR: (resumen) => `Estos son los datos que capturaste:\n\n${resumen}\n\n¿Son correctos?`,
+
+  // Datos guardados: se crea el envelope y llega el enlace de firma
+  DATOS_GUARDADOS: (documentoNombre) =>
+    'Gracias, guardamos tus datos.\n\n' +
+    `En unos momentos te enviaremos el enlace para firmar *${documentoNombre}*.`,
+
+  // Captura cancelada por el usuario
+  CAPTURA_CANCELADA:
+    'Cancelaste la captura de datos. Tu documento seguira pendiente.\n\n' +
+    'Cuando quieras, presiona *Completar datos* en el mensaje que te enviamos.',
+
+  // El boton no corresponde a un documento del usuario
+  DOCUMENTO_NO_ENCONTRADO: 'No encontre el documento. Si tienes dudas, contacta a tu ejecutivo.',
+
+  // El documento ya no espera datos (ya se capturaron o cambio de estado)
+  DATOS_YA_COMPLETOS: (documentoNombre) =>
+    `Ya tenemos los datos de *${documentoNombre}*, no necesitas hacer nada mas.`,
+
+  // Boton de confirmacion fuera de la captura (sesion expirada o ya confirmada)
+  SIN_CAPTURA:
+    'No hay una captura de datos en curso.\n\n' +
+    'Presiona *Completar datos* en el mensaje que te enviamos para empezar de nuevo.',
+};
+
 // ============================================
 // MENSAJES DE MENU Y AYUDA
 // ============================================
@@ -222,6 +356,9 @@ const BUTTONS = {
   RECHAZAR: { id: 'btn_rechazar', title: 'Rechazar' },
   CONFIRMAR_RECHAZO: { id: 'btn_confirmar_rechazo', title: 'Si, rechazar' },
   CANCELAR_RECHAZO: { id: 'btn_cancelar_rechazo', title: 'No, cancelar' },
+  OMITIR_MOTIVO: { id: 'btn_omitir_motivo', title: 'Omitir' },
+  CONFIRMAR_DATOS: { id: 'btn_confirmar_datos', title: 'Si, son correctos' },
+  CORREGIR_DATOS: { id: 'btn_corregir_datos', title: 'Corregir' },
   AYUDA: { id: 'btn_ayuda', title: 'Ayuda' },
   VOLVER: { id: 'btn_volver', title: 'Volver' },
 };
@@ -231,6 +368,7 @@ module.exports = {
   RATE_LIMIT,
   FIRMA,
   CONSULTA_DOCS,
+  DATOS_FIRMANTE,
   MENU,
   AYUDA,
   ERRORES,
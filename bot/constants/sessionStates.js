@@ -19,6 +19,10 @@ const ESTADO = {
   // Estado de confirmacion de firma/rechazo
   ESPERANDO_CONFIRMACION: 'ESPERANDO_CONFIRMACION',
 
+  // Estados de captura de datos del firmante (email, RFC, nombre legal)
+  RECOPILANDO_DATOS: 'RECOPILANDO_DATOS',
+  CONFIRMANDO_DATOS: 'CONFIRMANDO_DATOS',
+
   // Estado de atencion por agente humano (v2)
   AGENTE_ACTIVO: 'AGENTE_ACTIVO',
 };
@@ -32,6 +36,8 @@ const ESTADO_ID = {
   CONSULTA_DOCUMENTOS: 10,
   CONSULTA_DETALLE: 11,
   ESPERANDO_CONFIRMACION: 12,
+  RECOPILANDO_DATOS: 13,
+  CONFIRMANDO_DATOS: 14,
   AGENTE_ACTIVO: 20,
 };
 
@@ -44,6 +50,9 @@ const ESTADOS_CONSULTA = [ESTADO.CONSULTA_DOCUMENTOS, ESTADO.CONSULTA_DETALLE];
 // Estados de confirmacion
 const ESTADOS_CONFIRMACION = [ESTADO.ESPERANDO_CONFIRMACION];
 
+// Estados de captura de datos del firmante
+const ESTADOS_DATOS_FIRMANTE = [ESTADO.RECOPILANDO_DATOS, ESTADO.CONFIRMANDO_DATOS];
+
 // Origen de acciones para historial
 const ORIGEN_ACCION = {
   USUARIO: 'USUARIO',
@@ -100,6 +109,7 @@ module.exports = {
   ESTADOS_TERMINALES,
   ESTADOS_CONSULTA,
   ESTADOS_CONFIRMACION,
+  ESTADOS_DATOS_FIRMANTE,
   ORIGEN_ACCION,
   TIPO_MENSAJE,
   TIPO_CONTENIDO,
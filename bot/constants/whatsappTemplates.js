@@ -8,12 +8,18 @@
  * Referencia: https://developers.facebook.com/docs/whatsapp/message-templates
  */
 
+const { generarToken } = require('../../core/services/processing/firmaTokenService');
+
 // Nombres de templates (deben coincidir con Meta Business Manager)
 const TEMPLATE_NAMES = {
   FIRMA_ENVIO: 'firma_envio',
   FIRMA_RECORDATORIO: 'firma_recordatorio',
   FIRMA_CONFIRMACION: 'firma_confirmacion',
+  FIRMA_CONFIRMACION_PDF: 'firma_confirmacion_pdf',
   FIRMA_ANULACION: 'firma_anulacion',
+  FIRMA_CODIGO: 'firma_codigo',
+  FIRMA_ACTUALIZACION: 'firma_actualizacion',
+  FIRMA_DATOS: 'firma_datos',
 };
 
 /**
@@ -26,8 +32,8 @@ const TEMPLATE_NAMES = {
  *   {{3}} = Nombre/referencia del documento
  *
  * Botones:
- *   [0] URL: Link de firma DocuSign ({{1}} = URL dinamica)
- *   [1] Quick Reply: "Rechazar"
+ *   [0] URL: Link de firma ({{1}} = token de /api/firma/{token})
+ *   [1] Quick Reply: "Rechazar" (payload RECHAZAR_DOCUMENTO:{documentoFirmaId})
  */
 const FIRMA_ENVIO = {
   name: TEMPLATE_NAMES.FIRMA_ENVIO,
@@ -49,6 +55,7 @@ const FIRMA_ENVIO = {
       sub_type: 'quick_reply',
       index: 1,
       payload: 'RECHAZAR_DOCUMENTO',
+      parametroPayload: 'documentoFirmaId',
     },
   ],
   // Texto sugerido para crear en Meta (referencia, no se usa en codigo)
@@ -70,8 +77,8 @@ const FIRMA_ENVIO = {
  *   {{4}} = Dias pendientes
  *
  * Botones:
- *   [0] URL: Link de firma DocuSign
- *   [1] Quick Reply: "Rechazar"
+ *   [0] URL: Link de firma ({{1}} = token de /api/firma/{token})
+ *   [1] Quick Reply: "Rechazar" (payload RECHAZAR_DOCUMENTO:{documentoFirmaId})
  */
 const FIRMA_RECORDATORIO = {
   name: TEMPLATE_NAMES.FIRMA_RECORDATORIO,
@@ -93,6 +100,7 @@ const FIRMA_RECORDATORIO = {
       sub_type: 'quick_reply',
       index: 1,
       payload: 'RECHAZAR_DOCUMENTO',
+      parametroPayload: 'documentoFirmaId',
     },
   ],
   suggestedBody:
@@ -129,6 +137,42 @@ const FIRMA_CONFIRMACION = {
     'Gracias por completar el proceso de firma.',
 };
 
+/**
+ * Template: firma_confirmacion_pdf
+ * Confirmacion de firma con una copia del PDF firmado en el header. Al ser template
+ * se entrega aunque el cliente no haya escrito al bot en las ultimas 24 horas
+ * (un mensaje de documento libre solo se entrega dentro de esa ventana)
+ *
+ * Header (DOCUMENT):
+ *   documento = { id, filename } (media ID de whatsappService.uploadMedia)
+ *
+ * Parametros del body:
+ *   {{1}} = Nombre del cliente
+ *   {{2}} = Tipo de documento
+ *   {{3}} = Nombre/referencia del documento
+ */
+const FIRMA_CONFIRMACION_PDF = {
+  name: TEMPLATE_NAMES.FIRMA_CONFIRMACION_PDF,
+  language: 'es_MX',
+  category: 'UTILITY',
+  components: [
+    {
+      type: 'header',
+      format: 'DOCUMENT',
+      parameters: ['documento'],
+    },
+    {
+      type: 'body',
+      parameters: ['clienteNombre', 'tipoDocumento', 'documentoNombre'],
+    },
+  ],
+  suggestedBody:
+    'Hola {{1}},\n\n' +
+    'Tu *{{2}}* ha sido firmado exitosamente:\n' +
+    '*{{3}}*\n\n' +
+    'Gracias por completar el proceso de firma.',
+};
+
 /**
  * Template: firma_anulacion
  * Se envia cuando un documento es anulado por SAP
@@ -155,10 +199,142 @@ const FIRMA_ANULACION = {
     'Si tienes dudas, contacta a tu ejecutivo.',
 };
 
+/**
+ * Template: firma_codigo
+ * Codigo de verificacion que se pide en /api/firma antes de abrir DocuSign
+ * (perfiles con VerificacionIdentidad OTP_WHATSAPP)
+ *
+ * Parametros del body:
+ *   {{1}} = Codigo de verificacion
+ *
+ * Botones:
+ *   [0] Copy code: Meta lo envia como boton URL con el mismo codigo
+ */
+const FIRMA_CODIGO = {
+  name: TEMPLATE_NAMES.FIRMA_CODIGO,
+  language: 'es_MX',
+  category: 'AUTHENTICATION',
+  components: [
+    {
+      type: 'body',
+      parameters: ['codigo'],
+    },
+    {
+      type: 'button',
+      sub_type: 'url',
+      index: 0,
+      parameters: ['codigo'],
+    },
+  ],
+  // Meta genera el texto de los templates de autenticacion
+  suggestedBody: '*{{1}}* es tu codigo de verificacion. Por tu seguridad, no lo compartas.',
+};
+
+/**
+ * Template: firma_actualizacion
+ * Se envia cuando el admin reemplaza el PDF de un documento pendiente de firma
+ *
+ * Parametros del body:
+ *   {{1}} = Nombre del cliente
+ *   {{2}} = Tipo de documento
+ *   {{3}} = Nombre/referencia del documento
+ *
+ * Botones:
+ *   [0] URL: Link de firma ({{1}} = token de /api/firma/{token})
+ *   [1] Quick Reply: "Rechazar" (payload RECHAZAR_DOCUMENTO:{documentoFirmaId})
+ */
+const FIRMA_ACTUALIZACION = {
+  name: TEMPLATE_NAMES.FIRMA_ACTUALIZACION,
+  language: 'es_MX',
+  category: 'UTILITY',
+  components: [
+    {
+      type: 'body',
+      parameters: ['clienteNombre', 'tipoDocumento', 'documentoNombre'],
+    },
+    {
+      type: 'button',
+      sub_type: 'url',
+      index: 0,
+      parameters: ['signingUrl'],
+    },
+    {
+      type: 'button',
+      sub_type: 'quick_reply',
+      index: 1,
+      payload: 'RECHAZAR_DOCUMENTO',
+      parametroPayload: 'documentoFirmaId',
+    },
+  ],
+  suggestedBody:
+    'Hola {{1}},\n\n' +
+    'Se ha actualizado tu *{{2}}* pendiente de firma:\n' +
+    '*{{3}}*\n\n' +
+    'Revisa la nueva version y firmala desde el siguiente enlace.',
+};
+
+/**
+ * Template: firma_datos
+ * Se envia cuando un documento de SAP no puede enviarse a firma porque faltan
+ * (o hay que confirmar) datos del cliente; el quick reply abre la captura por WhatsApp
+ *
+ * Parametros del body:
+ *   {{1}} = Nombre del cliente
+ *   {{2}} = Tipo de documento
+ *   {{3}} = Nombre/referencia del documento
+ *   {{4}} = Datos que se piden (ej. "correo electronico y RFC")
+ *
+ * Botones:
+ *   [0] Quick Reply: "Completar datos" (payload COMPLETAR_DATOS:{documentoFirmaId})
+ */
+const FIRMA_DATOS = {
+  name: TEMPLATE_NAMES.FIRMA_DATOS,
+  language: 'es_MX',
+  category: 'UTILITY',
+  components: [
+    {
+      type: 'body',
+      parameters: ['clienteNombre', 'tipoDocumento', 'documentoNombre', 'datosPendientes'],
+    },
+    {
+      type: 'button',
+      sub_type: 'quick_reply',
+      index: 0,
+      payload: 'COMPLETAR_DATOS',
+      parametroPayload: 'documentoFirmaId',
+    },
+  ],
+  suggestedBody:
+    'Hola {{1}},\n\n' +
+    'Tenemos listo tu *{{2}}* para firma:\n' +
+    '*{{3}}*\n\n' +
+    'Antes de enviartelo necesitamos confirmar tu {{4}}. ' +
+    'Presiona el boton para completarlos.',
+};
+
+/**
+ * Payload de un boton quick_reply: el fijo del template o 'PAYLOAD:valor' si el boton
+ * lleva parametro (mismo formato que parsea StaticFlowRegistry.parsearBotonId)
+ * @param {Object} component - Componente quick_reply del template
+ * @param {Object} valores - Parametros del template
+ * @returns {string|null} - null si el boton no lleva parametro o no viene el valor
+ */
+function construirPayloadQuickReply(component, valores) {
+  if (!component.parametroPayload) {
+    return null;
+  }
+  const valor = valores[component.parametroPayload];
+  return valor ? `${component.payload}:${valor}` : null;
+}
+
 /**
  * Construye el payload de template para la API de WhatsApp
+ * Con params.firma el boton URL lleva el token del enlace de firma
+ * (/api/firma/{token}) en lugar de params.signingUrl, y el quick reply de rechazo
+ * el ID del documento (RECHAZAR_DOCUMENTO:{documentoFirmaId}).
  * @param {string} templateName - Nombre del template
  * @param {Object} params - Parametros del template
+ * @param {Object} [params.firma] - { documentoFirmaId, recipientId?, telefono } del firmante
  * @returns {Object} Payload para whatsappService.sendTemplate()
  */
 function buildTemplatePayload(templateName, params) {
@@ -167,20 +343,37 @@ function buildTemplatePayload(templateName, params) {
     throw new Error(`Template '${templateName}' no encontrado`);
   }
 
+  const valores = params.firma
+    ? {
+        ...params,
+        signingUrl: generarToken(params.firma),
+        documentoFirmaId: params.documentoFirmaId ?? params.firma.documentoFirmaId,
+      }
+    : params;
+
   const components = [];
 
   for (const component of template.components) {
-    if (component.type === 'body') {
+    if (component.type === 'header') {
+      // Header DOCUMENT: archivo ya subido a WhatsApp ({ id, filename })
+      const documento = valores[component.parameters[0]];
+      components.push({
+        type: 'header',
+        parameters: [
+          { type: 'document', document: { id: documento.id, filename: documento.filename } },
+        ],
+      });
+    } else if (component.type === 'body') {
       const bodyParams = component.parameters.map((paramName) => ({
         type: 'text',
-        text: String(params[paramName] || ''),
+        text: String(valores[paramName] || ''),
       }));
       components.push({ type: 'body', parameters: bodyParams });
     } else if (component.type === 'button') {
       if (component.sub_type === 'url') {
         const urlParams = component.parameters.map((paramName) => ({
           type: 'text',
-          text: String(params[paramName] || ''),
+          text: String(valores[paramName] || ''),
         }));
         components.push({
           type: 'button',
@@ -188,8 +381,18 @@ function buildTemplatePayload(templateName, params) {
           index: component.index,
           parameters: urlParams,
         });
+      } else if (component.sub_type === 'quick_reply') {
+        // Sin parametro el boton usa el payload fijo aprobado en Meta
+        const payload = construirPayloadQuickReply(component, valores);
+        if (payload) {
+          components.push({
+            type: 'button',
+            sub_type: 'quick_reply',
+            index: component.index,
+            parameters: [{ type: 'payload', payload }],
+          });
+        }
       }
-      // quick_reply buttons don't need dynamic parameters
     }
   }
 
@@ -205,7 +408,11 @@ const TEMPLATES = {
   [TEMPLATE_NAMES.FIRMA_ENVIO]: FIRMA_ENVIO,
   [TEMPLATE_NAMES.FIRMA_RECORDATORIO]: FIRMA_RECORDATORIO,
   [TEMPLATE_NAMES.FIRMA_CONFIRMACION]: FIRMA_CONFIRMACION,
+  [TEMPLATE_NAMES.FIRMA_CONFIRMACION_PDF]: FIRMA_CONFIRMACION_PDF,
   [TEMPLATE_NAMES.FIRMA_ANULACION]: FIRMA_ANULACION,
+  [TEMPLATE_NAMES.FIRMA_CODIGO]: FIRMA_CODIGO,
+  [TEMPLATE_NAMES.FIRMA_ACTUALIZACION]: FIRMA_ACTUALIZACION,
+  [TEMPLATE_NAMES.FIRMA_DATOS]: FIRMA_DATOS,
 };
 
 module.exports = {
@@ -214,6 +421,10 @@ module.exports = {
   FIRMA_ENVIO,
   FIRMA_RECORDATORIO,
   FIRMA_CONFIRMACION,
+  FIRMA_CONFIRMACION_PDF,
   FIRMA_ANULACION,
+  FIRMA_CODIGO,
+  FIRMA_ACTUALIZACION,
+  FIRMA_DATOS,
   buildTemplatePayload,
 };
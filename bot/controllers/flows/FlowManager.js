@@ -9,6 +9,7 @@
  *
  * - **firmaFlow**: Firma/rechazo de documentos (StaticFlowContext)
  * - **consultaDocumentosFlow**: Consulta de documentos del usuario (StaticFlowContext)
+ * - **datosFirmanteFlow**: Captura de email, RFC y nombre legal del firmante (FlexibleFlowContext)
  *
  * ## Diagrama de Estados
  *
@@ -16,7 +17,11 @@
  * INICIO (terminal)
  *   ├─> "mis documentos" ─> CONSULTA_DOCUMENTOS ─> CONSULTA_DETALLE ─> [volver/fin]
  *   ├─> "ayuda"          ─> [mensaje de ayuda, se queda en INICIO]
- *   ├─> RECHAZAR_DOCUMENTO quick reply ─> ESPERANDO_CONFIRMACION ─> [motivo] ─> INICIO
+ *   ├─> RECHAZAR_DOCUMENTO[:id] quick reply ─> ESPERANDO_CONFIRMACION ─> [lista de categorias]
+ *   │     │     ─> RECHAZO_CATEGORIA:codigo ─> [detalle u "Omitir"] ─> INICIO
+ *   │     └─> sin id y varios pendientes ─> [lista de documentos] ─> RECHAZAR_DOCUMENTO:id
+ *   ├─> COMPLETAR_DATOS:id quick reply ─> RECOPILANDO_DATOS ─> [un dato por mensaje]
+ *   │     └─> CONFIRMANDO_DATOS ─> [confirmar: envio del documento / corregir: RECOPILANDO_DATOS]
  *   └─> default          ─> [menu de opciones]
  * ```
  */
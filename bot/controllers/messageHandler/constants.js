@@ -1,16 +1,39 @@
 /**
  * SIGN BOT - Constantes de MessageHandler
- * Botones de firma y consulta de documentos
+ * Botones de firma, consulta de documentos y captura de datos del firmante
  */
 
 // Botones de firma que NO deben reactivar la sesion a INICIO
-// Estos botones se procesan dentro de flujos activos
-const FIRMA_BUTTONS = new Set(['btn_rechazar', 'btn_confirmar_rechazo', 'btn_cancelar_rechazo']);
+// Estos botones se procesan dentro de flujos activos (ID base, sin parametro)
+const FIRMA_BUTTONS = new Set([
+  'btn_rechazar',
+  'btn_confirmar_rechazo',
+  'btn_cancelar_rechazo',
+  'RECHAZAR_DOCUMENTO',
+  'RECHAZO_CATEGORIA',
+  'btn_omitir_motivo',
+]);
 
 // Botones de consulta de documentos
-const CONSULTA_BUTTONS = new Set(['btn_ver_documentos', 'btn_volver']);
+const CONSULTA_BUTTONS = new Set([
+  'btn_ver_documentos',
+  'btn_volver',
+  'CONSULTA_DOCUMENTO',
+  'CONSULTA_PAGINA',
+  'CONSULTA_FILTRO',
+  'FIRMAR_DOCUMENTO',
+  'VER_PDF_DOCUMENTO',
+]);
+
+// Botones de captura de datos del firmante (template firma_datos y confirmacion)
+const DATOS_FIRMANTE_BUTTONS = new Set([
+  'COMPLETAR_DATOS',
+  'btn_confirmar_datos',
+  'btn_corregir_datos',
+]);
 
 module.exports = {
   FIRMA_BUTTONS,
   CONSULTA_BUTTONS,
+  DATOS_FIRMANTE_BUTTONS,
 };
@@ -16,13 +16,15 @@ const {
 } = require('../../../constants/sessionStates');
 
 const { FIRMA_BUTTONS } = require('../constants');
+const { parsearBotonId } = require('../../../../core/flowEngine/StaticFlowRegistry');
 const { reactivateSessionIfTerminal } = require('../utils/handlerMiddleware');
 const { ConcurrencyError } = require('../../../../core/errors');
 
 /**
  * Procesa la presion de un boton interactivo de WhatsApp
  * @param {string} from - Numero de telefono del remitente (formato E.164)
- * @param {string} buttonId - ID del boton presionado (ej: 'btn_ver_documentos')
+ * @param {string} buttonId - ID del boton presionado (ej: 'btn_ver_documentos'); los botones
+ *   parametrizados llegan como 'BASE:parametro' (ej: 'RECHAZAR_DOCUMENTO:123')
  * @param {string} messageId - ID unico del mensaje de WhatsApp
  * @param {Object} context - Contexto de Azure Functions con logging
  * @returns {Promise<void>}
@@ -53,7 +55,7 @@ async function handleButton(from, buttonId, messageId, context) {
 
   // Si la sesion esta en estado terminal, manejar segun tipo de boton
   if (session.Estado !== ESTADO.INICIO && esEstadoTerminal(session.Estado)) {
-    if (FIRMA_BUTTONS.has(buttonId) && esEstadoConfirmacion(session.Estado)) {
+    if (FIRMA_BUTTONS.has(parsearBotonId(buttonId).base) && esEstadoConfirmacion(session.Estado)) {
       // Boton de firma en estado de confirmacion - dejar que FlowManager maneje
       context.log(`Procesando boton de firma ${buttonId} en estado ${session.Estado}`);
     } else {
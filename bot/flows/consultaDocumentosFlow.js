@@ -6,31 +6,167 @@
  * States: CONSULTA_DOCUMENTOS, CONSULTA_DETALLE
  *
  * Flujo:
- * 1. Usuario pregunta por documentos -> listar documentos
- * 2. Usuario selecciona documento (por numero) -> mostrar detalle
- * 3. Usuario puede volver o terminar
+ * 1. Usuario pregunta por documentos -> lista interactiva de documentos
+ *    (con mas de 10 documentos: paginas con fila "Ver mas" y filtros
+ *    pendientes / firmados / todos)
+ * 2. Usuario elige un documento (CONSULTA_DOCUMENTO:{id}) -> mostrar detalle
+ *    (si esta FIRMADO, se le envia una copia del PDF firmado; si esta pendiente,
+ *    botones "Firmar", "Rechazar" y "Ver PDF" con el ID del documento)
+ * 3. "Firmar" (FIRMAR_DOCUMENTO:{id}) -> boton URL nuevo a /api/firma/{token}
+ *    (multi-firmante: con el recipientId del usuario, solo si es su turno)
+ *    "Rechazar" (RECHAZAR_DOCUMENTO:{id}) -> rechazo de ese documento en firmaFlow
+ *    "Ver PDF" (VER_PDF_DOCUMENTO:{id}) -> PDF original como vista previa
+ * 4. Usuario puede volver o terminar
  *
  * @module bot/flows/consultaDocumentosFlow
  */
 
+const config = require('../../core/config');
 const { ESTADO } = require('../constants/sessionStates');
 const { CONSULTA_DOCS, ERRORES } = require('../constants/messages');
+const {
+  ESTADO_DOCUMENTO,
+  ESTADOS_RECHAZO_CLIENTE,
+  ESTADO_FIRMANTE,
+  getEstadoDocumentoInfo,
+} = require('../constants/documentStates');
+const { construirBotonId } = require('../../core/flowEngine/StaticFlowRegistry');
+const { MAX_FILAS_LISTA, crearFilaDocumento } = require('./utils/listaDocumentos');
 const db = require('../../core/services/storage/databaseService');
+const blobService = require('../../core/services/storage/blobService');
+const whatsapp = require('../../core/services/external/whatsappService');
+const { generarToken } = require('../../core/services/processing/firmaTokenService');
+
+// Filas de la lista de documentos
+const BOTON_CONSULTA_DOCUMENTO = 'CONSULTA_DOCUMENTO'; // CONSULTA_DOCUMENTO:{documentoFirmaId}
+const BOTON_CONSULTA_PAGINA = 'CONSULTA_PAGINA'; // CONSULTA_PAGINA:{filtro}:{pagina}
+const BOTON_CONSULTA_FILTRO = 'CONSULTA_FILTRO'; // CONSULTA_FILTRO:{filtro}
+
+// Botones del detalle de un documento pendiente (BASE:{documentoFirmaId})
+const BOTON_FIRMAR_DOCUMENTO = 'FIRMAR_DOCUMENTO';
+const BOTON_VER_PDF_DOCUMENTO = 'VER_PDF_DOCUMENTO';
+// Lo maneja firmaFlow: inicia el rechazo del documento indicado
+const BOTON_RECHAZAR_DOCUMENTO = 'RECHAZAR_DOCUMENTO';
+
+// Con mas de MAX_FILAS_LISTA documentos cada pagina lleva 7 documentos,
+// la fila "Ver mas" y las filas de los otros dos filtros
+const DOCUMENTOS_POR_PAGINA = MAX_FILAS_LISTA - 3;
+
+const FILTRO = {
+  PENDIENTES: 'PENDIENTES',
+  FIRMADOS: 'FIRMADOS',
+  TODOS: 'TODOS',
+};
+
+// Textos y criterio de cada filtro (pendientes = los que el cliente aun puede firmar)
+const FILTROS = new Map([
+  [
+    FILTRO.PENDIENTES,
+    {
+      mensajes: CONSULTA_DOCS.FILTRO_PENDIENTES,
+      incluye: (doc) => ESTADOS_RECHAZO_CLIENTE.includes(doc.EstadoDocumento),
+    },
+  ],
+  [
+    FILTRO.FIRMADOS,
+    {
+      mensajes: CONSULTA_DOCS.FILTRO_FIRMADOS,
+      incluye: (doc) => doc.EstadoDocumento === ESTADO_DOCUMENTO.FIRMADO,
+    },
+  ],
+  [FILTRO.TODOS, { mensajes: CONSULTA_DOCS.FILTRO_TODOS, incluye: () => true }],
+]);
 
 /**
- * Handler: Usuario inicia consulta de documentos
- * Lista los documentos del usuario
+ * Indica si el texto del usuario pide regresar a la lista
+ * @param {string} texto
+ * @returns {boolean}
+ */
+function esVolver(texto) {
+  const textoLimpio = texto.trim().toLowerCase();
+  return textoLimpio === 'volver' || textoLimpio === 'atras' || textoLimpio === 'regresar';
+}
+
+/**
+ * Arma el cuerpo y las filas de la lista de documentos
+ * Hasta MAX_FILAS_LISTA documentos se listan todos sin filtros; con mas se pagina
+ * el filtro elegido y se agregan "Ver mas" y los otros filtros.
  *
- * @param {import('../../core/flowEngine/contexts/StaticFlowContext')} ctx - Contexto del flujo
- * @param {string} _mensaje - Mensaje del usuario (no utilizado)
- * @param {Object} session - Sesion actual
+ * @param {Object[]} documentos - Documentos del usuario
+ * @param {string} filtro - Filtro elegido (FILTRO)
+ * @param {number} pagina - Pagina pedida (desde 1)
+ * @returns {{cuerpo: string, filas: Object[], filtro: string, pagina: number}}
  */
-async function handleConsultaIniciada(ctx, _mensaje, _session) {
-  const telefono = ctx.from;
+function construirListaDocumentos(documentos, filtro, pagina) {
+  if (documentos.length <= MAX_FILAS_LISTA) {
+    return {
+      cuerpo: CONSULTA_DOCS.listaDocumentos(
+        documentos.length,
+        CONSULTA_DOCS.FILTRO_TODOS.nombre,
+        1,
+        1
+      ),
+      filas: documentos.map((doc) => crearFilaDocumento(doc, BOTON_CONSULTA_DOCUMENTO)),
+      filtro: FILTRO.TODOS,
+      pagina: 1,
+    };
+  }
+
+  const filtroInfo = FILTROS.get(filtro);
+  const filtrados = documentos.filter(filtroInfo.incluye);
+  const totalPaginas = Math.max(1, Math.ceil(filtrados.length / DOCUMENTOS_POR_PAGINA));
+  const paginaActual = Math.min(Math.max(pagina, 1), totalPaginas);
+  const inicio = (paginaActual - 1) * DOCUMENTOS_POR_PAGINA;
+  const filas = filtrados
+    .slice(inicio, inicio + DOCUMENTOS_POR_PAGINA)
+    .map((doc) => crearFilaDocumento(doc, BOTON_CONSULTA_DOCUMENTO));
 
+  if (paginaActual < totalPaginas) {
+    filas.push({
+      id: construirBotonId(BOTON_CONSULTA_PAGINA, `${filtro}:${paginaActual + 1}`),
+      title: CONSULTA_DOCS.FILA_VER_MAS,
+      description: CONSULTA_DOCS.filaVerMasDescripcion(
+        inicio + DOCUMENTOS_POR_PAGINA + 1,
+        Math.min(inicio + DOCUMENTOS_POR_PAGINA * 2, filtrados.length),
+        filtrados.length
+      ),
+    });
+  }
+
+  for (const [codigo, { mensajes }] of FILTROS) {
+    if (codigo !== filtro) {
+      filas.push({
+        id: construirBotonId(BOTON_CONSULTA_FILTRO, codigo),
+        title: mensajes.title,
+        description: mensajes.description,
+      });
+    }
+  }
+
+  return {
+    cuerpo: CONSULTA_DOCS.listaDocumentos(
+      filtrados.length,
+      filtroInfo.mensajes.nombre,
+      paginaActual,
+      totalPaginas
+    ),
+    filas,
+    filtro,
+    pagina: paginaActual,
+  };
+}
+
+/**
+ * Consulta los documentos del usuario y envia la lista interactiva
+ * Guarda filtro y pagina en DatosTemp para que "volver" regrese a la misma pagina.
+ *
+ * @param {import('../../core/flowEngine/contexts/StaticFlowContext')} ctx - Contexto del flujo
+ * @param {string} [filtro] - Filtro por estado (FILTRO)
+ * @param {number} [pagina] - Pagina a mostrar (desde 1)
+ */
+async function enviarListaDocumentos(ctx, filtro = FILTRO.TODOS, pagina = 1) {
   try {
-    // Consultar documentos del usuario
-    const documentos = await db.getDocumentosFirmaPorTelefono(telefono);
+    const documentos = await db.getDocumentosFirmaPorTelefono(ctx.from);
 
     if (!documentos || documentos.length === 0) {
       // Sin documentos pendientes
@@ -39,22 +175,21 @@ async function handleConsultaIniciada(ctx, _mensaje, _session) {
       return;
     }
 
-    // Listar documentos
-    const listaMsg = CONSULTA_DOCS.listaDocumentos(documentos);
-    await ctx.responder(listaMsg);
+    const lista = construirListaDocumentos(
+      documentos,
+      FILTROS.has(filtro) ? filtro : FILTRO.TODOS,
+      pagina
+    );
+    await ctx.responderConLista(
+      CONSULTA_DOCS.TITLE,
+      lista.cuerpo,
+      CONSULTA_DOCS.LISTA_BOTON,
+      lista.filas
+    );
 
-    // Guardar lista de documentos en DatosTemp para referencia por indice
     await ctx.cambiarEstado(ESTADO.CONSULTA_DOCUMENTOS, {
-      documentos: documentos.map((doc) => ({
-        DocumentoFirmaId: doc.DocumentoFirmaId,
-        DocumentoNombre: doc.DocumentoNombre || doc.SapDocumentId,
-        TipoDocumento: doc.TipoDocumento,
-        EstadoDocumento: doc.EstadoDocumento,
-        FechaCreacion: doc.FechaCreacion,
-        MotivoRechazo: doc.MotivoRechazo,
-        SigningUrl: doc.SigningUrl,
-        SapDocumentId: doc.SapDocumentId,
-      })),
+      filtro: lista.filtro,
+      pagina: lista.pagina,
     });
   } catch (error) {
     ctx.registrarError('Error consultando documentos', error);
@@ -64,83 +199,277 @@ async function handleConsultaIniciada(ctx, _mensaje, _session) {
 }
 
 /**
- * Handler: Usuario selecciona un documento de la lista (por numero)
- * Muestra el detalle del documento seleccionado
+ * Handler: Usuario inicia consulta de documentos
+ * Envia la lista interactiva con todos sus documentos
  *
  * @param {import('../../core/flowEngine/contexts/StaticFlowContext')} ctx - Contexto del flujo
- * @param {string} seleccion - Texto del usuario (numero de seleccion)
+ * @param {string} _mensaje - Mensaje del usuario (no utilizado)
  * @param {Object} session - Sesion actual
  */
-async function handleSeleccionDocumento(ctx, seleccion, session) {
-  const datos = ctx.getDatos();
-  const documentos = datos.documentos;
+async function handleConsultaIniciada(ctx, _mensaje, _session) {
+  await enviarListaDocumentos(ctx);
+}
 
-  if (!documentos || documentos.length === 0) {
-    await ctx.responder(CONSULTA_DOCS.SIN_DOCUMENTOS);
-    await ctx.finalizar('Lista de documentos vacia');
-    return;
-  }
+/**
+ * Handler: Usuario elige la fila "Ver mas" (CONSULTA_PAGINA:{filtro}:{pagina})
+ *
+ * @param {import('../../core/flowEngine/contexts/StaticFlowContext')} ctx - Contexto del flujo
+ * @param {Object} session - Sesion actual
+ * @param {string} [parametro] - '{filtro}:{pagina}'
+ */
+async function handlePaginaDocumentos(ctx, _session, parametro) {
+  const [filtro, pagina] = (parametro || '').split(':');
+  await enviarListaDocumentos(ctx, filtro, parseInt(pagina, 10) || 1);
+}
+
+/**
+ * Handler: Usuario elige un filtro por estado (CONSULTA_FILTRO:{filtro})
+ *
+ * @param {import('../../core/flowEngine/contexts/StaticFlowContext')} ctx - Contexto del flujo
+ * @param {Object} session - Sesion actual
+ * @param {string} [filtro] - PENDIENTES, FIRMADOS o TODOS
+ */
+async function handleFiltroDocumentos(ctx, _session, filtro) {
+  await enviarListaDocumentos(ctx, filtro, 1);
+}
 
-  // Intentar parsear como "volver"
-  const textoLimpio = seleccion.trim().toLowerCase();
-  if (textoLimpio === 'volver' || textoLimpio === 'atras' || textoLimpio === 'regresar') {
-    // Re-listar documentos
-    await handleConsultaIniciada(ctx, null, session);
+/**
+ * Handler: Usuario elige un documento de la lista (CONSULTA_DOCUMENTO:{id})
+ * Muestra el detalle del documento con los datos actuales de BD
+ *
+ * @param {import('../../core/flowEngine/contexts/StaticFlowContext')} ctx - Contexto del flujo
+ * @param {Object} session - Sesion actual
+ * @param {string} [documentoFirmaId] - Parametro de la fila
+ */
+async function handleDocumentoSeleccionado(ctx, _session, documentoFirmaId) {
+  let documento;
+  try {
+    const documentos = (await db.getDocumentosFirmaPorTelefono(ctx.from)) || [];
+    documento = documentos.find((doc) => String(doc.DocumentoFirmaId) === documentoFirmaId);
+  } catch (error) {
+    ctx.registrarError('Error consultando documento seleccionado', error);
+    await ctx.responder(ERRORES.GENERICO);
     return;
   }
 
-  // Parsear seleccion como numero de indice
-  const indice = parseInt(seleccion.trim(), 10);
-
-  if (isNaN(indice) || indice < 1 || indice > documentos.length) {
+  if (!documento) {
+    ctx.log(`Documento ${documentoFirmaId} de la lista no encontrado para el usuario`);
     await ctx.responder(CONSULTA_DOCS.DOCUMENTO_NO_ENCONTRADO);
-    return; // Mantener en CONSULTA_DOCUMENTOS
+    return;
   }
 
-  const documento = documentos[indice - 1];
-
   // Mostrar detalle del documento
-  const detalleMsg = CONSULTA_DOCS.detalleDocumento(documento);
-  await ctx.responder(detalleMsg);
+  await ctx.responder(CONSULTA_DOCS.detalleDocumento(documento));
+
+  if (documento.EstadoDocumento === ESTADO_DOCUMENTO.FIRMADO) {
+    await enviarDocumentoFirmado(ctx, documento);
+  } else if (ESTADOS_RECHAZO_CLIENTE.includes(documento.EstadoDocumento)) {
+    await enviarAccionesDocumento(ctx, documento);
+  }
 
-  // Cambiar a estado de detalle
+  // Cambiar a estado de detalle (conserva filtro y pagina para "volver")
   await ctx.cambiarEstado(ESTADO.CONSULTA_DETALLE, {
-    ...datos,
-    documentoSeleccionado: indice - 1,
+    ...ctx.getDatos(),
+    documentoSeleccionado: documento.DocumentoFirmaId,
   });
 }
 
 /**
- * Handler: Usuario esta en detalle de documento
- * Puede volver a la lista o seleccionar otro documento
+ * Handler: Usuario escribe mientras ve la lista de documentos
+ * La seleccion es por la lista; "volver" la envia de nuevo en la misma pagina
  *
  * @param {import('../../core/flowEngine/contexts/StaticFlowContext')} ctx - Contexto del flujo
  * @param {string} texto - Texto del usuario
  * @param {Object} session - Sesion actual
  */
-async function handleDetalleDocumento(ctx, texto, session) {
-  const textoLimpio = texto.trim().toLowerCase();
-
-  // Si el usuario escribe "volver", re-listar documentos
-  if (textoLimpio === 'volver' || textoLimpio === 'atras' || textoLimpio === 'regresar') {
-    await handleConsultaIniciada(ctx, null, session);
+async function handleSeleccionDocumento(ctx, texto, _session) {
+  if (esVolver(texto)) {
+    const { filtro, pagina } = ctx.getDatos();
+    await enviarListaDocumentos(ctx, filtro, pagina);
     return;
   }
 
-  // Si el usuario escribe un numero, mostrar ese documento
-  const indice = parseInt(texto.trim(), 10);
-  if (!isNaN(indice)) {
-    await handleSeleccionDocumento(ctx, texto, session);
+  await ctx.responder(CONSULTA_DOCS.SELECCIONA_DE_LISTA);
+}
+
+/**
+ * Envia al usuario una copia del PDF firmado guardado en Blob Storage
+ * Un fallo no interrumpe la consulta: solo se informa al usuario
+ *
+ * @param {import('../../core/flowEngine/contexts/StaticFlowContext')} ctx - Contexto del flujo
+ * @param {Object} documento - Documento seleccionado (de DatosTemp)
+ */
+async function enviarDocumentoFirmado(ctx, documento) {
+  if (!documento.DocumentoFirmadoUrl) {
+    await ctx.responder(CONSULTA_DOCS.PDF_NO_DISPONIBLE);
     return;
   }
 
-  // Texto no reconocido - dar indicaciones
-  await ctx.responder(
-    'Escribe el *numero* del documento para ver detalles,\n' +
-      'o *"volver"* para regresar a la lista.'
+  try {
+    const pdfBuffer = await blobService.downloadFromUrl(documento.DocumentoFirmadoUrl);
+    await whatsapp.sendDocument(
+      ctx.from,
+      pdfBuffer,
+      `${documento.SapDocumentId}_firmado.pdf`,
+      documento.DocumentoNombre || documento.SapDocumentId
+    );
+  } catch (error) {
+    ctx.registrarError('Error enviando PDF firmado', error);
+    await ctx.responder(CONSULTA_DOCS.ERROR_ENVIO_PDF);
+  }
+}
+
+/**
+ * Envia los botones "Firmar", "Rechazar" y "Ver PDF" de un documento pendiente
+ * Los botones llevan el ID del documento, asi que siguen funcionando fuera de la consulta.
+ *
+ * @param {import('../../core/flowEngine/contexts/StaticFlowContext')} ctx - Contexto del flujo
+ * @param {Object} documento - Documento seleccionado (de DatosTemp)
+ */
+async function enviarAccionesDocumento(ctx, documento) {
+  const id = documento.DocumentoFirmaId;
+  await ctx.responderConBotones(
+    CONSULTA_DOCS.ACCIONES_TITULO,
+    CONSULTA_DOCS.ACCIONES(documento.DocumentoNombre || documento.SapDocumentId),
+    [
+      { id: construirBotonId(BOTON_FIRMAR_DOCUMENTO, id), title: CONSULTA_DOCS.BOTON_FIRMAR },
+      { id: construirBotonId(BOTON_RECHAZAR_DOCUMENTO, id), title: CONSULTA_DOCS.BOTON_RECHAZAR },
+      { id: construirBotonId(BOTON_VER_PDF_DOCUMENTO, id), title: CONSULTA_DOCS.BOTON_VER_PDF },
+    ]
   );
 }
 
+/**
+ * Busca el documento del boton entre los del usuario y valida que siga pendiente de firma
+ * Si no lo encuentra o ya no esta pendiente, se lo informa al usuario.
+ *
+ * @param {import('../../core/flowEngine/contexts/StaticFlowContext')} ctx - Contexto del flujo
+ * @param {string} [documentoFirmaId] - Parametro del boton
+ * @returns {Promise<Object|null>} - Documento pendiente, o null si ya se respondio
+ */
+async function obtenerDocumentoPendiente(ctx, documentoFirmaId) {
+  const documentos = (await db.getDocumentosFirmaPorTelefono(ctx.from)) || [];
+  const documento = documentoFirmaId
+    ? documentos.find((doc) => String(doc.DocumentoFirmaId) === documentoFirmaId)
+    : null;
+
+  if (!documento) {
+    ctx.log(`Documento ${documentoFirmaId} del boton no encontrado para el usuario`);
+    await ctx.responder(CONSULTA_DOCS.DOCUMENTO_NO_ENCONTRADO);
+    return null;
+  }
+
+  if (!ESTADOS_RECHAZO_CLIENTE.includes(documento.EstadoDocumento)) {
+    await ctx.responder(
+      CONSULTA_DOCS.DOCUMENTO_NO_PENDIENTE(
+        documento.DocumentoNombre || documento.SapDocumentId,
+        getEstadoDocumentoInfo(documento.EstadoDocumento).nombre
+      )
+    );
+    return null;
+  }
+
+  return documento;
+}
+
+/**
+ * Handler: Usuario presiona "Firmar" en el detalle (FIRMAR_DOCUMENTO:{id})
+ * Envia un boton URL con un token nuevo de /api/firma/{token}, que genera la sesion de
+ * DocuSign al abrirse. Sirve a quien borro el template original de firma.
+ * En documentos multi-firmante el token lleva el recipientId del firmante del telefono,
+ * para que el redirect valide su turno; si no le toca firmar no se envia el enlace.
+ *
+ * @param {import('../../core/flowEngine/contexts/StaticFlowContext')} ctx - Contexto del flujo
+ * @param {Object} session - Sesion actual
+ * @param {string} [documentoFirmaId] - Parametro del boton
+ */
+async function handleFirmarDocumento(ctx, _session, documentoFirmaId) {
+  const documento = await obtenerDocumentoPendiente(ctx, documentoFirmaId);
+  if (!documento) {
+    return;
+  }
+
+  if (!config.firma.enlace.baseUrl) {
+    ctx.log('FIRMA_LINK_BASE_URL no configurado, no se puede enviar el enlace de firma');
+    await ctx.responder(CONSULTA_DOCS.ENLACE_NO_DISPONIBLE);
+    return;
+  }
+
+  const documentoNombre = documento.DocumentoNombre || documento.SapDocumentId;
+  try {
+    const firmantes = (await db.getFirmantesDocumento(documento.DocumentoFirmaId)) || [];
+    const firmante = firmantes.find((f) => f.Telefono === ctx.from);
+    if (firmantes.length > 0 && firmante?.EstadoFirmante !== ESTADO_FIRMANTE.NOTIFICADO) {
+      ctx.log(`Documento ${documento.DocumentoFirmaId}: no es el turno de firma del usuario`);
+      await ctx.responder(CONSULTA_DOCS.SIN_TURNO_FIRMA(documentoNombre));
+      return;
+    }
+
+    const token = generarToken({
+      documentoFirmaId: documento.DocumentoFirmaId,
+      recipientId: firmante ? firmante.RecipientId : null,
+      telefono: ctx.from,
+    });
+    await ctx.responderConEnlace(
+      CONSULTA_DOCS.ENLACE_FIRMA_TITULO,
+      CONSULTA_DOCS.ENLACE_FIRMA(documentoNombre),
+      CONSULTA_DOCS.ENLACE_FIRMA_BOTON,
+      `${config.firma.enlace.baseUrl}/${token}`
+    );
+    ctx.log(`Enlace de firma enviado desde la consulta: documento ${documento.DocumentoFirmaId}`);
+  } catch (error) {
+    ctx.registrarError('Error enviando enlace de firma', error);
+    await ctx.responder(CONSULTA_DOCS.ENLACE_NO_DISPONIBLE);
+  }
+}
+
+/**
+ * Handler: Usuario presiona "Ver PDF" en el detalle (VER_PDF_DOCUMENTO:{id})
+ * Envia el PDF original como documento de WhatsApp: es solo una vista previa, la firma
+ * sigue pasando por DocuSign
+ *
+ * @param {import('../../core/flowEngine/contexts/StaticFlowContext')} ctx - Contexto del flujo
+ * @param {Object} session - Sesion actual
+ * @param {string} [documentoFirmaId] - Parametro del boton
+ */
+async function handleVerPdfDocumento(ctx, _session, documentoFirmaId) {
+  const documento = await obtenerDocumentoPendiente(ctx, documentoFirmaId);
+  if (!documento) {
+    return;
+  }
+
+  if (!documento.DocumentoOriginalUrl) {
+    await ctx.responder(CONSULTA_DOCS.VISTA_PREVIA_NO_DISPONIBLE);
+    return;
+  }
+
+  const documentoNombre = documento.DocumentoNombre || documento.SapDocumentId;
+  try {
+    const pdfBuffer = await blobService.downloadFromUrl(documento.DocumentoOriginalUrl);
+    await whatsapp.sendDocument(
+      ctx.from,
+      pdfBuffer,
+      `${documento.SapDocumentId}_vista_previa.pdf`,
+      CONSULTA_DOCS.VISTA_PREVIA(documentoNombre)
+    );
+  } catch (error) {
+    ctx.registrarError('Error enviando vista previa del PDF', error);
+    await ctx.responder(CONSULTA_DOCS.ERROR_VISTA_PREVIA);
+  }
+}
+
+/**
+ * Handler: Usuario esta en detalle de documento
+ * Puede volver a la lista o elegir otro documento de ella
+ *
+ * @param {import('../../core/flowEngine/contexts/StaticFlowContext')} ctx - Contexto del flujo
+ * @param {string} texto - Texto del usuario
+ * @param {Object} session - Sesion actual
+ */
+async function handleDetalleDocumento(ctx, texto, session) {
+  await handleSeleccionDocumento(ctx, texto, session);
+}
+
 /**
  * Definicion del flujo para el StaticFlowRegistry
  */
@@ -154,6 +483,11 @@ module.exports = {
   botones: {
     btn_ver_documentos: 'handleConsultaIniciada',
     btn_volver: 'handleConsultaIniciada',
+    [BOTON_CONSULTA_DOCUMENTO]: 'handleDocumentoSeleccionado',
+    [BOTON_CONSULTA_PAGINA]: 'handlePaginaDocumentos',
+    [BOTON_CONSULTA_FILTRO]: 'handleFiltroDocumentos',
+    [BOTON_FIRMAR_DOCUMENTO]: 'handleFirmarDocumento',
+    [BOTON_VER_PDF_DOCUMENTO]: 'handleVerPdfDocumento',
   },
 
   // Handlers por estado
@@ -164,6 +498,11 @@ module.exports = {
 
   // Metodos del flujo
   handleConsultaIniciada,
+  handlePaginaDocumentos,
+  handleFiltroDocumentos,
+  handleDocumentoSeleccionado,
   handleSeleccionDocumento,
   handleDetalleDocumento,
+  handleFirmarDocumento,
+  handleVerPdfDocumento,
 };
@@ -0,0 +1,328 @@
+/**
+ * SIGN BOT - Flujo de Captura de Datos del Firmante
+ * Pide al cliente los datos que faltan (o que SAP pidio confirmar) antes de crear
+ * el envelope: correo electronico, RFC y nombre completo
+ *
+ * Entry: Quick reply "Completar datos" del template firma_datos (COMPLETAR_DATOS:{id})
+ * States: RECOPILANDO_DATOS, CONFIRMANDO_DATOS
+ * Contexto: FlexibleFlowContext (camposRequeridos, campo solicitado y confirmacion)
+ *
+ * Flujo:
+ * 1. Usuario presiona "Completar datos" -> se cargan los DatosPendientes del documento
+ *    como campos requeridos y se pide el primero (RECOPILANDO_DATOS)
+ * 2. Cada respuesta se valida; si es valida se guarda y se pide el siguiente campo,
+ *    si no se vuelve a pedir con el formato esperado
+ * 3. Con todos los campos -> resumen con "Si, son correctos" / "Corregir" (CONFIRMANDO_DATOS)
+ * 4. Confirmar -> se guardan en el documento, se reportan a SAP y se encola el envio
+ *    (sapDocumentProcessor.completarDatosFirmante); Corregir -> se piden de nuevo
+ * 5. "cancelar" en cualquier paso deja el documento pendiente
+ *
+ * @module bot/flows/datosFirmanteFlow
+ */
+
+const { ESTADO } = require('../constants/sessionStates');
+const { DATOS_FIRMANTE, ERRORES, BUTTONS } = require('../constants/messages');
+const {
+  DATO_FIRMANTE,
+  DATO_FIRMANTE_INFO,
+  ESTADO_DOCUMENTO,
+} = require('../constants/documentStates');
+const db = require('../../core/services/storage/databaseService');
+const {
+  validarDato,
+  parsearDatosPendientes,
+  describirDatos,
+} = require('../../core/services/processing/signerDataService');
+
+// Quick reply del template firma_datos: COMPLETAR_DATOS:{documentoFirmaId}
+const BOTON_COMPLETAR_DATOS = 'COMPLETAR_DATOS';
+
+// Respuestas escritas en lugar de los botones
+const CANCELAR_PATTERN = /^(cancelar|salir|terminar)$/i;
+const CONFIRMAR_PATTERN = /^(si|sí|correcto|ok)$/i;
+const CORREGIR_PATTERN = /^(no|corregir)$/i;
+
+// Pregunta y mensaje de valor invalido de cada dato
+const MENSAJES_DATO = new Map([
+  [
+    DATO_FIRMANTE.EMAIL,
+    { solicitar: DATOS_FIRMANTE.SOLICITAR_EMAIL, invalido: DATOS_FIRMANTE.EMAIL_INVALIDO },
+  ],
+  [
+    DATO_FIRMANTE.RFC,
+    { solicitar: DATOS_FIRMANTE.SOLICITAR_RFC, invalido: DATOS_FIRMANTE.RFC_INVALIDO },
+  ],
+  [
+    DATO_FIRMANTE.NOMBRE_LEGAL,
+    {
+      solicitar: DATOS_FIRMANTE.SOLICITAR_NOMBRE_LEGAL,
+      invalido: DATOS_FIRMANTE.NOMBRE_LEGAL_INVALIDO,
+    },
+  ],
+]);
+
+// Lazy-load sapDocumentProcessor (DocuSign, Blob y Service Bus solo al confirmar)
+let _sapDocumentProcessor = null;
+function getSapDocumentProcessor() {
+  if (!_sapDocumentProcessor) {
+    _sapDocumentProcessor = require('../../core/services/processing/sapDocumentProcessor');
+  }
+  return _sapDocumentProcessor;
+}
+
+/**
+ * Campos requeridos sin capturar para FlexibleFlowContext
+ * @param {string[]} codigos - Datos pendientes (DATO_FIRMANTE)
+ * @returns {Object} - camposRequeridos de DatosTemp
+ */
+function camposPendientes(codigos) {
+  return Object.fromEntries(
+    codigos.map((codigo) => [
+      codigo,
+      {
+        valor: null,
+        completo: false,
+        descripcion: DATO_FIRMANTE_INFO.get(codigo)?.nombre || codigo,
+        requerido: true,
+      },
+    ])
+  );
+}
+
+/**
+ * Valores capturados por codigo de dato ({ EMAIL, RFC, NOMBRE_LEGAL })
+ * @param {import('../../core/flowEngine/contexts/FlexibleFlowContext')} ctx - Contexto del flujo
+ * @returns {Object}
+ */
+function valoresCapturados(ctx) {
+  return Object.fromEntries(
+    Object.keys(ctx.getCamposRequeridos()).map((codigo) => [codigo, ctx.getValorCampo(codigo)])
+  );
+}
+
+/**
+ * Pide el siguiente dato faltante o, si ya estan todos, el resumen para confirmar
+ *
+ * @param {import('../../core/flowEngine/contexts/FlexibleFlowContext')} ctx - Contexto del flujo
+ */
+async function solicitarSiguienteDato(ctx) {
+  const [siguiente] = ctx.getCamposFaltantes();
+  if (!siguiente) {
+    await solicitarConfirmacionDatos(ctx);
+    return;
+  }
+
+  await ctx.setCampoSolicitado(siguiente.nombre);
+  await ctx.responder(MENSAJES_DATO.get(siguiente.nombre).solicitar);
+}
+
+/**
+ * Pasa a CONFIRMANDO_DATOS y envia el resumen con los botones de confirmacion
+ *
+ * @param {import('../../core/flowEngine/contexts/FlexibleFlowContext')} ctx - Contexto del flujo
+ */
+async function solicitarConfirmacionDatos(ctx) {
+  await ctx.solicitarConfirmacion(ESTADO.CONFIRMANDO_DATOS, valoresCapturados(ctx));
+  await ctx.responderConBotones(
+    DATOS_FIRMANTE.CONFIRMAR_TITULO,
+    DATOS_FIRMANTE.CONFIRMAR(ctx.generarResumen()),
+    [BUTTONS.CONFIRMAR_DATOS, BUTTONS.CORREGIR_DATOS]
+  );
+}
+
+/**
+ * Handler: Usuario presiona "Completar datos" en el template firma_datos
+ * Solo acepta documentos del usuario que sigan en PENDIENTE_ENVIO con datos pendientes.
+ *
+ * @param {import('../../core/flowEngine/contexts/FlexibleFlowContext')} ctx - Contexto del flujo
+ * @param {Object} session - Sesion actual
+ * @param {string} [documentoFirmaId] - Parametro del boton (COMPLETAR_DATOS:{id})
+ */
+async function handleRecopilacionIniciada(ctx, _session, documentoFirmaId) {
+  const documentos = (await db.getDocumentosFirmaPorTelefono(ctx.from)) || [];
+  const documento = documentoFirmaId
+    ? documentos.find((doc) => String(doc.DocumentoFirmaId) === documentoFirmaId)
+    : null;
+
+  if (!documento) {
+    ctx.log(`Documento ${documentoFirmaId} del boton no encontrado para el usuario`);
+    await ctx.responder(DATOS_FIRMANTE.DOCUMENTO_NO_ENCONTRADO);
+    return;
+  }
+
+  const documentoNombre = documento.DocumentoNombre || documento.SapDocumentId;
+  const pendientes = parsearDatosPendientes(documento.DatosPendientes);
+  if (documento.EstadoDocumento !== ESTADO_DOCUMENTO.PENDIENTE_ENVIO || !pendientes.length) {
+    await ctx.responder(DATOS_FIRMANTE.DATOS_YA_COMPLETOS(documentoNombre));
+    return;
+  }
+
+  await ctx.cambiarEstado(
+    ESTADO.RECOPILANDO_DATOS,
+    {
+      documentoFirmaId: documento.DocumentoFirmaId,
+      documentoNombre,
+      camposRequeridos: camposPendientes(pendientes),
+    },
+    'Captura de datos del firmante iniciada'
+  );
+
+  await ctx.responder(DATOS_FIRMANTE.INICIO(documentoNombre, describirDatos(pendientes)));
+  await solicitarSiguienteDato(ctx);
+}
+
+/**
+ * Handler: Usuario en RECOPILANDO_DATOS envia texto (valor del campo solicitado)
+ *
+ * @param {import('../../core/flowEngine/contexts/FlexibleFlowContext')} ctx - Contexto del flujo
+ * @param {string} texto - Valor escrito por el usuario
+ * @param {Object} session - Sesion actual
+ */
+async function handleDatoRecibido(ctx, texto, _session) {
+  if (CANCELAR_PATTERN.test(texto.trim())) {
+    await cancelarCaptura(ctx);
+    return;
+  }
+
+  const campo = ctx.getCampoSolicitado();
+  if (!MENSAJES_DATO.has(campo)) {
+    await solicitarSiguienteDato(ctx);
+    return;
+  }
+
+  const { valido, valor } = validarDato(campo, texto);
+  if (!valido) {
+    await ctx.responder(MENSAJES_DATO.get(campo).invalido);
+    return;
+  }
+
+  await ctx.actualizarCampo(campo, valor, { fuente: 'whatsapp' });
+  await solicitarSiguienteDato(ctx);
+}
+
+/**
+ * Handler: Usuario en CONFIRMANDO_DATOS escribe en lugar de usar los botones
+ *
+ * @param {import('../../core/flowEngine/contexts/FlexibleFlowContext')} ctx - Contexto del flujo
+ * @param {string} texto - Respuesta del usuario
+ * @param {Object} session - Sesion actual
+ */
+async function handleRespuestaConfirmacion(ctx, texto, session) {
+  const respuesta = texto.trim();
+  if (CONFIRMAR_PATTERN.test(respuesta)) {
+    await handleConfirmarDatos(ctx, session);
+  } else if (CORREGIR_PATTERN.test(respuesta)) {
+    await handleCorregirDatos(ctx, session);
+  } else if (CANCELAR_PATTERN.test(respuesta)) {
+    await cancelarCaptura(ctx);
+  } else {
+    await ctx.responder(ERRORES.CONFIRMAR_O_CORREGIR);
+  }
+}
+
+/**
+ * Handler: Usuario confirma los datos capturados
+ * Si falla el guardado la sesion sigue en CONFIRMANDO_DATOS para reintentar.
+ *
+ * @param {import('../../core/flowEngine/contexts/FlexibleFlowContext')} ctx - Contexto del flujo
+ * @param {Object} session - Sesion actual
+ */
+async function handleConfirmarDatos(ctx, _session) {
+  const { documentoFirmaId, documentoNombre, datosAConfirmar } = ctx.getDatos();
+  if (ctx.getEstado() !== ESTADO.CONFIRMANDO_DATOS || !documentoFirmaId || !datosAConfirmar) {
+    await ctx.responder(DATOS_FIRMANTE.SIN_CAPTURA);
+    return;
+  }
+
+  let completado;
+  try {
+    completado = await getSapDocumentProcessor().completarDatosFirmante(
+      documentoFirmaId,
+      datosAConfirmar,
+      ctx.from,
+      {
+        log: (mensaje) => ctx.log(mensaje),
+        logError: (mensaje, error) => ctx.error(mensaje, error),
+      }
+    );
+  } catch (error) {
+    ctx.registrarError('Error guardando datos del firmante', error);
+    await ctx.responder(ERRORES.GENERICO);
+    return;
+  }
+
+  await ctx.responder(
+    completado
+      ? DATOS_FIRMANTE.DATOS_GUARDADOS(documentoNombre)
+      : DATOS_FIRMANTE.DATOS_YA_COMPLETOS(documentoNombre)
+  );
+  await ctx.finalizar('Datos del firmante confirmados');
+}
+
+/**
+ * Handler: Usuario pide corregir los datos -> se vuelven a pedir todos
+ *
+ * @param {import('../../core/flowEngine/contexts/FlexibleFlowContext')} ctx - Contexto del flujo
+ * @param {Object} session - Sesion actual
+ */
+async function handleCorregirDatos(ctx, _session) {
+  const { documentoFirmaId, documentoNombre } = ctx.getDatos();
+  if (ctx.getEstado() !== ESTADO.CONFIRMANDO_DATOS || !documentoFirmaId) {
+    await ctx.responder(DATOS_FIRMANTE.SIN_CAPTURA);
+    return;
+  }
+
+  await ctx.cambiarEstado(
+    ESTADO.RECOPILANDO_DATOS,
+    {
+      documentoFirmaId,
+      documentoNombre,
+      camposRequeridos: camposPendientes(Object.keys(ctx.getCamposRequeridos())),
+    },
+    'Usuario corrige sus datos'
+  );
+  await solicitarSiguienteDato(ctx);
+}
+
+/**
+ * Cancela la captura; el documento sigue en PENDIENTE_ENVIO con sus datos pendientes
+ *
+ * @param {import('../../core/flowEngine/contexts/FlexibleFlowContext')} ctx - Contexto del flujo
+ */
+async function cancelarCaptura(ctx) {
+  await ctx.responder(DATOS_FIRMANTE.CAPTURA_CANCELADA);
+  await ctx.cancelar('Captura de datos del firmante cancelada por el usuario');
+}
+
+/**
+ * Definicion del flujo para el StaticFlowRegistry
+ */
+module.exports = {
+  nombre: 'DATOS_FIRMANTE',
+
+  // Los handlers reciben FlexibleFlowContext
+  contexto: 'flexible',
+
+  // Estados que maneja este flujo
+  estados: [ESTADO.RECOPILANDO_DATOS, ESTADO.CONFIRMANDO_DATOS],
+
+  // Mapeo de botones -> handlers
+  botones: {
+    [BOTON_COMPLETAR_DATOS]: 'handleRecopilacionIniciada',
+    [BUTTONS.CONFIRMAR_DATOS.id]: 'handleConfirmarDatos',
+    [BUTTONS.CORREGIR_DATOS.id]: 'handleCorregirDatos',
+  },
+
+  // Handlers por estado
+  handlers: {
+    [ESTADO.RECOPILANDO_DATOS]: 'handleDatoRecibido',
+    [ESTADO.CONFIRMANDO_DATOS]: 'handleRespuestaConfirmacion',
+  },
+
+  // Metodos del flujo
+  handleRecopilacionIniciada,
+  handleDatoRecibido,
+  handleRespuestaConfirmacion,
+  handleConfirmarDatos,
+  handleCorregirDatos,
+};
@@ -6,60 +6,200 @@
  * States: ESPERANDO_CONFIRMACION
  *
  * Flujo:
- * 1. Usuario presiona quick reply "Rechazar" -> solicitar motivo de rechazo
- * 2. Usuario escribe motivo -> registrar rechazo, notificar Teams
- * 3. O usuario presiona "Firmar" -> redirigir a URL de firma DocuSign
+ * 1. Usuario presiona quick reply "Rechazar" -> lista de categorias de motivo
+ *    (el payload RECHAZAR_DOCUMENTO:{documentoFirmaId} indica el documento; si no lo
+ *    indica y hay varios pendientes, el usuario lo elige de una lista)
+ * 2. Usuario elige categoria (RECHAZO_CATEGORIA:{codigo}) -> detalle opcional
+ * 3. Usuario escribe el detalle o presiona "Omitir" -> registrar rechazo con categoria
+ *    (abre su seguimiento en SeguimientosRechazo), notificar Teams y SAP
+ * 4. O usuario presiona "Firmar" -> redirigir a URL de firma DocuSign
  *
  * @module bot/flows/firmaFlow
  */
 
 const { ESTADO } = require('../constants/sessionStates');
-const { ESTADO_DOCUMENTO } = require('../constants/documentStates');
-const { FIRMA } = require('../constants/messages');
+const {
+  ESTADO_DOCUMENTO,
+  ORIGEN_HISTORIAL,
+  ESTADOS_RECHAZO_CLIENTE,
+  CATEGORIA_RECHAZO,
+  getEstadoDocumentoInfo,
+  esCategoriaRechazoValida,
+  getCategoriaRechazoInfo,
+} = require('../constants/documentStates');
+const { FIRMA, CONSULTA_DOCS, BUTTONS } = require('../constants/messages');
+const { InvalidStateTransitionError } = require('../../core/errors');
+const { construirBotonId } = require('../../core/flowEngine/StaticFlowRegistry');
+const { MAX_FILAS_LISTA, crearFilaDocumento } = require('./utils/listaDocumentos');
 const db = require('../../core/services/storage/databaseService');
 const teamsService = require('../../core/services/external/teamsService');
+const sapCallbackService = require('../../core/services/external/sapCallbackService');
 const { logger } = require('../../core/services/infrastructure/errorHandler');
 
+// Boton del quick reply de rechazo en los templates de firma
+const BOTON_RECHAZAR_DOCUMENTO = 'RECHAZAR_DOCUMENTO';
+
+// Filas de la lista de categorias de motivo (RECHAZO_CATEGORIA:{codigo})
+const BOTON_CATEGORIA_RECHAZO = 'RECHAZO_CATEGORIA';
+
+/**
+ * Envia la lista de categorias de motivo de rechazo
+ * @param {import('../../core/flowEngine/contexts/StaticFlowContext')} ctx - Contexto del flujo
+ * @param {string} documentoNombre - Documento que se esta rechazando
+ */
+async function enviarCategoriasRechazo(ctx, documentoNombre) {
+  await ctx.responderConLista(
+    FIRMA.SELECCIONAR_CATEGORIA_RECHAZO_TITULO,
+    FIRMA.SELECCIONAR_CATEGORIA_RECHAZO(documentoNombre),
+    FIRMA.SELECCIONAR_CATEGORIA_RECHAZO_BOTON,
+    Object.values(CATEGORIA_RECHAZO).map((categoria) => {
+      const info = getCategoriaRechazoInfo(categoria);
+      return {
+        id: construirBotonId(BOTON_CATEGORIA_RECHAZO, categoria),
+        title: info.titulo,
+        description: info.descripcion,
+      };
+    })
+  );
+}
+
 /**
  * Handler: Usuario presiona "Rechazar" / RECHAZAR_DOCUMENTO quick reply
- * Pide al usuario el motivo del rechazo
+ * Pide al usuario la categoria del rechazo del documento indicado en el boton. Si el boton
+ * no lo indica (o no es del usuario), se usa el unico documento pendiente; con varios
+ * se envia la lista de pendientes, cuyas filas vuelven a llamar a este handler con el ID.
  *
  * @param {import('../../core/flowEngine/contexts/StaticFlowContext')} ctx - Contexto del flujo
  * @param {Object} session - Sesion actual
+ * @param {string} [documentoFirmaId] - Parametro del boton (RECHAZAR_DOCUMENTO:{id})
  */
-async function handleRechazoIniciado(ctx, _session) {
-  const datos = ctx.getDatos();
+async function handleRechazoIniciado(ctx, _session, documentoFirmaId) {
+  const documentos = (await db.getDocumentosFirmaPorTelefono(ctx.from)) || [];
+  const pendientes = documentos.filter((doc) =>
+    ESTADOS_RECHAZO_CLIENTE.includes(doc.EstadoDocumento)
+  );
+
+  const indicado = documentoFirmaId
+    ? documentos.find((doc) => String(doc.DocumentoFirmaId) === documentoFirmaId)
+    : null;
+
+  // El documento del boton ya se firmo, anulo o rechazo
+  if (indicado && !pendientes.includes(indicado)) {
+    await ctx.responder(
+      FIRMA.RECHAZO_NO_PERMITIDO(
+        indicado.DocumentoNombre || indicado.SapDocumentId,
+        getEstadoDocumentoInfo(indicado.EstadoDocumento).nombre
+      )
+    );
+    await ctx.finalizar('Rechazo de documento no permitido');
+    return;
+  }
+
+  if (documentoFirmaId && !indicado) {
+    ctx.log(`Documento ${documentoFirmaId} del boton no encontrado para el usuario`);
+  }
 
-  // Guardar el documentoFirmaId en DatosTemp para referencia
-  await ctx.cambiarEstado(ESTADO.ESPERANDO_CONFIRMACION, {
-    documentoFirmaId: datos.documentoFirmaId || null,
-    documentoNombre: datos.documentoNombre || null,
-    accion: 'RECHAZO',
-  });
+  const documento = indicado || (pendientes.length === 1 ? pendientes[0] : null);
+  if (documento) {
+    const documentoNombre = documento.DocumentoNombre || documento.SapDocumentId;
 
-  // Solicitar motivo de rechazo
-  await ctx.responder(FIRMA.SOLICITAR_MOTIVO_RECHAZO);
+    // Guardar el documentoFirmaId en DatosTemp para registrar el motivo
+    await ctx.cambiarEstado(ESTADO.ESPERANDO_CONFIRMACION, {
+      documentoFirmaId: documento.DocumentoFirmaId,
+      documentoNombre,
+      accion: 'RECHAZO',
+    });
+
+    await enviarCategoriasRechazo(ctx, documentoNombre);
+    return;
+  }
+
+  if (pendientes.length === 0) {
+    await ctx.responder(CONSULTA_DOCS.SIN_DOCUMENTOS);
+    await ctx.finalizar('Rechazo sin documentos pendientes');
+    return;
+  }
+
+  // Varios pendientes: el usuario elige (los mas recientes si pasan del limite de la lista)
+  await ctx.responderConLista(
+    FIRMA.SELECCIONAR_RECHAZO_TITULO,
+    FIRMA.SELECCIONAR_RECHAZO,
+    FIRMA.SELECCIONAR_RECHAZO_BOTON,
+    pendientes
+      .slice(0, MAX_FILAS_LISTA)
+      .map((doc) => crearFilaDocumento(doc, BOTON_RECHAZAR_DOCUMENTO))
+  );
 }
 
 /**
- * Handler: Usuario en ESPERANDO_CONFIRMACION envia texto (motivo de rechazo)
- * Registra el rechazo y notifica por Teams
+ * Handler: Usuario elige una categoria de la lista (RECHAZO_CATEGORIA:{codigo})
+ * Guarda la categoria en DatosTemp y ofrece escribir el detalle o omitirlo. Si la
+ * sesion ya no tiene el rechazo en curso (lista vieja), se reinicia la seleccion.
  *
  * @param {import('../../core/flowEngine/contexts/StaticFlowContext')} ctx - Contexto del flujo
- * @param {string} texto - Motivo de rechazo del usuario
  * @param {Object} session - Sesion actual
+ * @param {string} [categoria] - Parametro de la fila (CATEGORIA_RECHAZO)
  */
-async function handleMotivoRechazo(ctx, texto, _session) {
+async function handleCategoriaRechazo(ctx, session, categoria) {
+  const datos = ctx.getDatos();
+  if (datos.accion !== 'RECHAZO' || !datos.documentoFirmaId) {
+    ctx.log('Categoria de rechazo sin rechazo en curso, se reinicia la seleccion');
+    await handleRechazoIniciado(ctx, session);
+    return;
+  }
+
+  if (!esCategoriaRechazoValida(categoria)) {
+    ctx.log(`Categoria de rechazo no valida: ${categoria}`);
+    await enviarCategoriasRechazo(ctx, datos.documentoNombre || 'documento');
+    return;
+  }
+
+  await ctx.actualizarDatos({ ...datos, categoriaRechazo: categoria }, 'Categoria de rechazo');
+  await ctx.responderConBotones(
+    FIRMA.DETALLE_RECHAZO_TITULO,
+    FIRMA.SOLICITAR_DETALLE_RECHAZO(getCategoriaRechazoInfo(categoria).titulo),
+    [BUTTONS.OMITIR_MOTIVO]
+  );
+}
+
+/**
+ * Registra el rechazo con su categoria, notifica por Teams y reporta el nuevo estado a SAP
+ * Sin categoria en DatosTemp (el usuario escribio antes de elegir) se registra como OTRO.
+ *
+ * @param {import('../../core/flowEngine/contexts/StaticFlowContext')} ctx - Contexto del flujo
+ * @param {string|null} motivo - Detalle escrito por el usuario (null si lo omitio)
+ */
+async function registrarRechazo(ctx, motivo) {
   const datos = ctx.getDatos();
   const documentoFirmaId = datos.documentoFirmaId;
   const documentoNombre = datos.documentoNombre || 'documento';
+  const categoria = esCategoriaRechazoValida(datos.categoriaRechazo)
+    ? datos.categoriaRechazo
+    : CATEGORIA_RECHAZO.OTRO;
+  const categoriaNombre = getCategoriaRechazoInfo(categoria).titulo;
 
-  // Actualizar estado del documento a RECHAZADO con motivo
+  // Actualizar estado del documento a RECHAZADO con motivo y categoria
+  let documento = null;
   if (documentoFirmaId) {
     try {
-      await db.updateDocumentoFirmaEstado(documentoFirmaId, ESTADO_DOCUMENTO.RECHAZADO, texto);
-      ctx.log(`Documento ${documentoFirmaId} rechazado con motivo: ${texto}`);
+      documento = await db.updateDocumentoFirmaEstado(
+        documentoFirmaId,
+        ESTADO_DOCUMENTO.RECHAZADO,
+        motivo,
+        { origen: ORIGEN_HISTORIAL.WHATSAPP_USUARIO, actor: ctx.from },
+        categoria
+      );
+      ctx.log(`Documento ${documentoFirmaId} rechazado (${categoria}) con motivo: ${motivo}`);
     } catch (error) {
+      // El documento ya se firmo o anulo mientras el usuario escribia el motivo
+      if (error instanceof InvalidStateTransitionError) {
+        const estadoNombre = error.estadoActual
+          ? getEstadoDocumentoInfo(error.estadoActual).nombre
+          : 'finalizado';
+        await ctx.responder(FIRMA.RECHAZO_NO_PERMITIDO(documentoNombre, estadoNombre));
+        await ctx.finalizar('Rechazo de documento no permitido');
+        return;
+      }
       ctx.registrarError('Error actualizando estado de documento', error);
       // Continuar con el flujo aunque falle la actualizacion
     }
@@ -69,14 +209,61 @@ async function handleMotivoRechazo(ctx, texto, _session) {
   await ctx.responder(FIRMA.RECHAZO_REGISTRADO(documentoNombre));
 
   // Notificar a Teams del rechazo (fire-and-forget)
-  teamsService.notifyDocumentRejected(ctx.from, documentoNombre, texto).catch((err) => {
-    logger.warn('[firmaFlow] Error notificando rechazo a Teams', { error: err.message });
-  });
+  teamsService
+    .notifyDocumentRejected(
+      {
+        nombreDocumento: documentoNombre,
+        clienteTelefono: ctx.from,
+        clienteNombre: documento?.ClienteNombre,
+        envelopeId: documento?.EnvelopeId,
+        categoria: categoriaNombre,
+      },
+      motivo
+    )
+    .catch((err) => {
+      logger.warn('[firmaFlow] Error notificando rechazo a Teams', { error: err.message });
+    });
+
+  // Reportar el rechazo a SAP (no lanza; los fallos quedan en IntentosSap)
+  if (documento) {
+    await sapCallbackService.notificarCambioEstado(documento, ESTADO_DOCUMENTO.RECHAZADO, {
+      motivoRechazo: motivo || categoriaNombre,
+      categoriaRechazo: categoria,
+    });
+  }
 
   // Resetear sesion a INICIO
   await ctx.finalizar('Rechazo de documento registrado');
 }
 
+/**
+ * Handler: Usuario en ESPERANDO_CONFIRMACION envia texto (detalle del rechazo)
+ *
+ * @param {import('../../core/flowEngine/contexts/StaticFlowContext')} ctx - Contexto del flujo
+ * @param {string} texto - Motivo de rechazo del usuario
+ * @param {Object} session - Sesion actual
+ */
+async function handleMotivoRechazo(ctx, texto, _session) {
+  await registrarRechazo(ctx, texto);
+}
+
+/**
+ * Handler: Usuario presiona "Omitir" en lugar de escribir el detalle del rechazo
+ *
+ * @param {import('../../core/flowEngine/contexts/StaticFlowContext')} ctx - Contexto del flujo
+ * @param {Object} session - Sesion actual
+ */
+async function handleOmitirMotivo(ctx, session) {
+  const datos = ctx.getDatos();
+  if (datos.accion !== 'RECHAZO' || !datos.documentoFirmaId) {
+    ctx.log('Omitir motivo sin rechazo en curso, se reinicia la seleccion');
+    await handleRechazoIniciado(ctx, session);
+    return;
+  }
+
+  await registrarRechazo(ctx, null);
+}
+
 /**
  * Definicion del flujo para el StaticFlowRegistry
  */
@@ -89,6 +276,9 @@ module.exports = {
   // Mapeo de botones -> handlers
   botones: {
     btn_rechazar: 'handleRechazoIniciado',
+    [BOTON_RECHAZAR_DOCUMENTO]: 'handleRechazoIniciado',
+    [BOTON_CATEGORIA_RECHAZO]: 'handleCategoriaRechazo',
+    [BUTTONS.OMITIR_MOTIVO.id]: 'handleOmitirMotivo',
   },
 
   // Handlers por estado
@@ -98,5 +288,7 @@ module.exports = {
 
   // Metodos del flujo
   handleRechazoIniciado,
+  handleCategoriaRechazo,
   handleMotivoRechazo,
+  handleOmitirMotivo,
 };
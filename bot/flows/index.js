@@ -19,6 +19,7 @@ const { registry } = require('../../core/flowEngine');
 
 const firmaFlow = require('./firmaFlow');
 const consultaDocumentosFlow = require('./consultaDocumentosFlow');
+const datosFirmanteFlow = require('./datosFirmanteFlow');
 
 // ============================================================
 // CONFIGURACION: QUE FLUJOS ESTAN HABILITADOS
@@ -27,6 +28,7 @@ const consultaDocumentosFlow = require('./consultaDocumentosFlow');
 const FLUJOS_HABILITADOS = {
   FIRMA: true,
   CONSULTA_DOCUMENTOS: true,
+  DATOS_FIRMANTE: true,
 };
 
 // ============================================================
@@ -39,6 +41,7 @@ const FLUJOS_HABILITADOS = {
 const FLUJOS_DISPONIBLES = {
   FIRMA: firmaFlow,
   CONSULTA_DOCUMENTOS: consultaDocumentosFlow,
+  DATOS_FIRMANTE: datosFirmanteFlow,
 };
 
 /**
@@ -100,4 +103,5 @@ module.exports = {
   // Flujos individuales
   firmaFlow,
   consultaDocumentosFlow,
+  datosFirmanteFlow,
 };
@@ -0,0 +1,55 @@
+/**
+ * SIGN BOT - Listas interactivas de documentos
+ * Limites de WhatsApp para listas y la fila de documento compartida por los
+ * flujos de firma (elegir documento a rechazar) y consulta de documentos
+ */
+
+const { getEstadoDocumentoInfo } = require('../../constants/documentStates');
+const { construirBotonId } = require('../../../core/flowEngine/StaticFlowRegistry');
+
+// Limites de WhatsApp para listas interactivas
+const MAX_FILAS_LISTA = 10;
+const MAX_TITULO_FILA = 24;
+const MAX_DESCRIPCION_FILA = 72;
+
+/**
+ * Recorta un texto al largo maximo de WhatsApp
+ * @param {string} texto
+ * @param {number} maximo
+ * @returns {string}
+ */
+function recortar(texto, maximo) {
+  return texto.length > maximo ? `${texto.substring(0, maximo - 3)}...` : texto;
+}
+
+/**
+ * Fila de una lista de documentos (el ID de la fila lleva el ID del documento)
+ * @param {Object} doc - Documento de getDocumentosFirmaPorTelefono
+ * @param {string} botonBase - ID base del boton que maneja la fila (ej: 'RECHAZAR_DOCUMENTO')
+ * @returns {{id: string, title: string, description: string}}
+ */
+function crearFilaDocumento(doc, botonBase) {
+  const estadoInfo = getEstadoDocumentoInfo(doc.EstadoDocumento);
+  const fecha = new Date(doc.FechaCreacion).toLocaleDateString('es-MX', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+  });
+
+  return {
+    id: construirBotonId(botonBase, doc.DocumentoFirmaId),
+    title: recortar(doc.DocumentoNombre || doc.SapDocumentId, MAX_TITULO_FILA),
+    description: recortar(
+      `${estadoInfo.emoji} ${estadoInfo.nombre} - ${doc.TipoDocumento} - ${fecha}`,
+      MAX_DESCRIPCION_FILA
+    ),
+  };
+}
+
+module.exports = {
+  MAX_FILAS_LISTA,
+  MAX_TITULO_FILA,
+  MAX_DESCRIPCION_FILA,
+  recortar,
+  crearFilaDocumento,
+};
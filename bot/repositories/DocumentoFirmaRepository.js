@@ -11,9 +11,139 @@ const BaseRepository = require('./BaseRepository');
 const config = require('../../core/config');
 const { logger } = require('../../core/services/infrastructure/errorHandler');
 const metrics = require('../../core/services/infrastructure/metricsService');
-const { ConcurrencyError } = require('../../core/errors');
+const { ConcurrencyError, InvalidStateTransitionError } = require('../../core/errors');
 const appInsights = require('../../core/services/infrastructure/appInsightsService');
-const { ESTADO_DOCUMENTO_ID } = require('../constants/documentStates');
+const {
+  ESTADO_DOCUMENTO_ID,
+  ORIGEN_HISTORIAL,
+  getEstadoDocumentoCodigo,
+  esTransicionDocumentoPermitida,
+} = require('../constants/documentStates');
+
+// RAISERROR state de sp_ActualizarEstadoDocumento
+const SP_ESTADO_CONCURRENCIA = 2;
+const SP_ESTADO_TRANSICION = 3;
+
+/**
+ * Snapshot JSON de una transicion para HistorialDocumentoFirma.Detalle
+ * Combina las columnas actualizadas (datosExtra) con el detalle del origen.
+ * SigningUrl no se guarda: es un enlace de firma con sesion activa.
+ * @param {Object} datosExtra - Columnas actualizadas en la transicion
+ * @param {Object} [detalle] - Datos del origen (evento de DocuSign, payload de SAP, ...)
+ * @returns {string|null} - null si no hay nada que registrar
+ */
+function serializarDetalle(datosExtra, detalle) {
+  const snapshot = { ...datosExtra, ...detalle };
+  const campos = Object.entries(snapshot).filter(
+    ([campo, valor]) => campo !== 'SigningUrl' && valor !== null && valor !== undefined
+  );
+  return campos.length > 0 ? JSON.stringify(Object.fromEntries(campos)) : null;
+}
+
+/**
+ * Valida una transicion contra TRANSICIONES_DOCUMENTO
+ * @param {number} documentoId - ID del documento
+ * @param {number} estadoActualId - EstadoDocumentoId actual
+ * @param {number} nuevoEstadoId - EstadoDocumentoId solicitado
+ * @throws {InvalidStateTransitionError} Si la transicion no esta permitida
+ */
+function validarTransicion(documentoId, estadoActualId, nuevoEstadoId) {
+  const estadoActual = getEstadoDocumentoCodigo(estadoActualId);
+  const estadoNuevo = getEstadoDocumentoCodigo(nuevoEstadoId);
+  if (!esTransicionDocumentoPermitida(estadoActual, estadoNuevo)) {
+    throw new InvalidStateTransitionError(documentoId, estadoActual, estadoNuevo);
+  }
+}
+
+/**
+ * Convierte los RAISERROR de sp_ActualizarEstadoDocumento en errores tipados
+ * (state 2: version distinta, state 3: transicion no permitida)
+ * @returns {Error} - ConcurrencyError, InvalidStateTransitionError o el error original
+ */
+function mapearErrorActualizacion(error, documentoId, nuevoEstadoId, version) {
+  if (error.state === SP_ESTADO_CONCURRENCIA) {
+    return new ConcurrencyError(String(documentoId), version, 'actualizarEstado');
+  }
+  if (error.state === SP_ESTADO_TRANSICION) {
+    // Mensaje del SP: "... documento {id}: {estadoActualId} -> {nuevoEstadoId}"
+    const match = /: (\d+) -> \d+$/.exec(error.message || '');
+    return new InvalidStateTransitionError(
+      documentoId,
+      match ? getEstadoDocumentoCodigo(Number(match[1])) : null,
+      getEstadoDocumentoCodigo(nuevoEstadoId)
+    );
+  }
+  return error;
+}
+
+/**
+ * Pone el request en modo stream
+ * Si el consumidor destruye el stream antes de terminar (p. ej. falla la subida de una
+ * exportacion), la consulta se cancela para liberar la conexion del pool.
+ * @param {Object} request - Request de mssql (antes de llamar a query)
+ * @returns {import('stream').Readable} - Stream en objectMode de las filas
+ */
+function abrirStreamConsulta(request) {
+  let terminado = false;
+  request.on('done', () => {
+    terminado = true;
+  });
+
+  return request.toReadableStream({
+    destroy(error, callback) {
+      if (!terminado) {
+        request.cancel();
+      }
+      callback(error);
+    },
+  });
+}
+
+const SOLO_FECHA_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Agrega a la consulta los filtros del listado sobre vw_DocumentosFirma
+ * Compartido por listar, listarParaAccionMasiva y las exportaciones para que todos
+ * seleccionen lo mismo.
+ * @param {Object} request - Request de mssql
+ * @param {Object} filtros - Filtros de listar (estado, tipo, telefono, fechaDesde, fechaHasta)
+ * @returns {string} - Clausula WHERE (vacia si no hay filtros)
+ */
+function aplicarFiltrosListado(request, filtros) {
+  const conditions = [];
+
+  if (filtros.estado) {
+    request.input('Estado', sql.NVarChar, filtros.estado);
+    conditions.push('EstadoDocumento = @Estado');
+  }
+
+  if (filtros.tipo) {
+    request.input('TipoDocumento', sql.NVarChar, filtros.tipo);
+    conditions.push('TipoDocumento = @TipoDocumento');
+  }
+
+  if (filtros.telefono) {
+    request.input('ClienteTelefono', sql.NVarChar, filtros.telefono);
+    conditions.push('ClienteTelefono = @ClienteTelefono');
+  }
+
+  if (filtros.fechaDesde) {
+    request.input('FechaDesde', sql.DateTime, new Date(filtros.fechaDesde));
+    conditions.push('FechaCreacion >= @FechaDesde');
+  }
+
+  if (filtros.fechaHasta) {
+    request.input('FechaHasta', sql.DateTime, new Date(filtros.fechaHasta));
+    // Una fecha sin hora (YYYY-MM-DD del dashboard) incluye todo ese dia
+    conditions.push(
+      SOLO_FECHA_REGEX.test(filtros.fechaHasta)
+        ? 'FechaCreacion < DATEADD(DAY, 1, @FechaHasta)'
+        : 'FechaCreacion <= @FechaHasta'
+    );
+  }
+
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
 
 /**
  * Repositorio de documentos de firma digital
@@ -36,9 +166,21 @@ class DocumentoFirmaRepository extends BaseRepository {
    * @param {string} documentoData.DocumentoNombre - Nombre del documento
    * @param {string} documentoData.DocumentoOriginalUrl - URL del PDF original en blob storage
    * @param {string} [documentoData.DatosExtra] - Datos adicionales (JSON string)
+   * @param {string} [documentoData.CanalPreferido] - Canal de notificacion preferido
+   * @param {string} [documentoData.DocumentoHash] - SHA-256 del PDF original
+   * @param {number} [documentoData.DocumentoAnteriorId] - Version que reemplaza (reenvio de SAP)
+   * @param {boolean} [documentoData.EnvelopeReutilizado] - Si usa el envelope de la version anterior
+   * @param {string} [documentoData.MotivoReemplazo] - Motivo del reemplazo de la version anterior
+   * @param {string} [documentoData.ClienteRfc] - RFC del cliente enviado por SAP
+   * @param {string} [documentoData.DatosPendientes] - JSON con los datos que se piden al cliente
+   *   antes de crear el envelope (el documento queda en PENDIENTE_ENVIO hasta completarlos)
+   * @param {Object} [transicion] - Registro inicial en HistorialDocumentoFirma
+   * @param {string} [transicion.origen] - ORIGEN_HISTORIAL (default SAP_API)
+   * @param {string} [transicion.actor] - Quien creo el documento
+   * @param {Object} [transicion.detalle] - Snapshot de los datos recibidos
    * @returns {Promise<Object>} - Documento creado con Id
    */
-  async crear(documentoData) {
+  async crear(documentoData, transicion = {}) {
     const timer = metrics.startTimer('db_crearDocumento');
 
     try {
@@ -52,10 +194,21 @@ class DocumentoFirmaRepository extends BaseRepository {
           .input('ClienteTelefono', sql.NVarChar, documentoData.ClienteTelefono)
           .input('ClienteNombre', sql.NVarChar, documentoData.ClienteNombre)
           .input('ClienteEmail', sql.NVarChar, documentoData.ClienteEmail || null)
+          .input('ClienteRfc', sql.NVarChar, documentoData.ClienteRfc || null)
           .input('TipoDocumentoId', sql.Int, documentoData.TipoDocumentoId)
           .input('DocumentoNombre', sql.NVarChar, documentoData.DocumentoNombre)
           .input('DocumentoOriginalUrl', sql.NVarChar, documentoData.DocumentoOriginalUrl)
           .input('DatosExtra', sql.NVarChar, documentoData.DatosExtra || null)
+          .input('TabsFirma', sql.NVarChar, documentoData.TabsFirma || null)
+          .input('CanalPreferido', sql.NVarChar, documentoData.CanalPreferido || null)
+          .input('DocumentoHash', sql.NVarChar, documentoData.DocumentoHash || null)
+          .input('DocumentoAnteriorId', sql.Int, documentoData.DocumentoAnteriorId || null)
+          .input('EnvelopeReutilizado', sql.Bit, Boolean(documentoData.EnvelopeReutilizado))
+          .input('MotivoReemplazo', sql.NVarChar, documentoData.MotivoReemplazo || null)
+          .input('DatosPendientes', sql.NVarChar, documentoData.DatosPendientes || null)
+          .input('OrigenAccion', sql.NVarChar, transicion.origen || ORIGEN_HISTORIAL.SAP_API)
+          .input('Actor', sql.NVarChar, transicion.actor || null)
+          .input('Detalle', sql.NVarChar, serializarDetalle({}, transicion.detalle))
           .execute('sp_CrearDocumentoFirma');
 
         return res.recordset[0];
@@ -91,14 +244,28 @@ class DocumentoFirmaRepository extends BaseRepository {
    * @param {string} [datosExtra.SigningUrl] - URL de firma para el cliente
    * @param {string} [datosExtra.DocumentoFirmadoUrl] - URL del documento firmado
    * @param {string} [datosExtra.MotivoRechazo] - Motivo del rechazo
+   * @param {string} [datosExtra.CategoriaRechazo] - CATEGORIA_RECHAZO del rechazo
    * @param {string} [datosExtra.WhatsAppMessageId] - ID del mensaje de WhatsApp
+   * @param {string} [datosExtra.MensajeError] - Mensaje de error
+   * @param {Object} [transicion] - Registro en HistorialDocumentoFirma
+   * @param {string} [transicion.origen] - ORIGEN_HISTORIAL (default SISTEMA)
+   * @param {string} [transicion.actor] - Quien origino el cambio
+   * @param {Object} [transicion.detalle] - Snapshot adicional (se combina con datosExtra)
    * @returns {Promise<Object>} - Documento actualizado
    * @throws {ConcurrencyError} Si la version no coincide
+   * @throws {InvalidStateTransitionError} Si TRANSICIONES_DOCUMENTO no permite el cambio
    */
-  async actualizarEstado(documentoId, nuevoEstadoId, version, datosExtra = {}) {
+  async actualizarEstado(documentoId, nuevoEstadoId, version, datosExtra = {}, transicion = {}) {
     const timer = metrics.startTimer('db_actualizarEstadoDocumento');
 
     try {
+      // Con la misma version el documento en cache refleja el estado actual: se rechaza
+      // sin ir a BD. El SP valida de nuevo dentro del UPDATE (CatTransicionEstadoDocumento)
+      const cached = await this.getFromCacheAsync(`doc:${documentoId}`);
+      if (cached && cached.Version === version) {
+        validarTransicion(documentoId, cached.EstadoDocumentoId, nuevoEstadoId);
+      }
+
       const result = await this.executeQuery(async () => {
         const pool = await this.getPool();
 
@@ -111,9 +278,16 @@ class DocumentoFirmaRepository extends BaseRepository {
           .input('SigningUrl', sql.NVarChar, datosExtra.SigningUrl || null)
           .input('DocumentoFirmadoUrl', sql.NVarChar, datosExtra.DocumentoFirmadoUrl || null)
           .input('MotivoRechazo', sql.NVarChar, datosExtra.MotivoRechazo || null)
+          .input('CategoriaRechazo', sql.NVarChar, datosExtra.CategoriaRechazo || null)
           .input('WhatsAppMessageId', sql.NVarChar, datosExtra.WhatsAppMessageId || null)
           .input('MensajeError', sql.NVarChar, datosExtra.MensajeError || null)
-          .execute('sp_ActualizarEstadoDocumento');
+          .input('OrigenAccion', sql.NVarChar, transicion.origen || ORIGEN_HISTORIAL.SISTEMA)
+          .input('Actor', sql.NVarChar, transicion.actor || null)
+          .input('Detalle', sql.NVarChar, serializarDetalle(datosExtra, transicion.detalle))
+          .execute('sp_ActualizarEstadoDocumento')
+          .catch((spError) => {
+            throw mapearErrorActualizacion(spError, documentoId, nuevoEstadoId, version);
+          });
 
         const record = res.recordset[0];
 
@@ -137,6 +311,7 @@ class DocumentoFirmaRepository extends BaseRepository {
         documentoId,
         nuevoEstadoId,
         version,
+        origen: transicion.origen || ORIGEN_HISTORIAL.SISTEMA,
       });
 
       // Telemetria de transicion de estado
@@ -145,6 +320,7 @@ class DocumentoFirmaRepository extends BaseRepository {
         nuevoEstadoId,
         version,
         envelopeId: datosExtra.EnvelopeId,
+        origen: transicion.origen || ORIGEN_HISTORIAL.SISTEMA,
       });
 
       timer.end({ success: true });
@@ -164,6 +340,24 @@ class DocumentoFirmaRepository extends BaseRepository {
         throw error;
       }
 
+      if (error instanceof InvalidStateTransitionError) {
+        logger.warn('Transicion de estado de documento rechazada', {
+          documentoId,
+          estadoActual: error.estadoActual,
+          estadoNuevo: error.estadoNuevo,
+          origen: transicion.origen || ORIGEN_HISTORIAL.SISTEMA,
+        });
+        metrics.recordError('db_transicionDocumentoInvalida', error.message);
+        appInsights.trackEvent('document_state_transition_rejected', {
+          documentoId,
+          estadoActual: error.estadoActual,
+          estadoNuevo: error.estadoNuevo,
+          origen: transicion.origen || ORIGEN_HISTORIAL.SISTEMA,
+        });
+        timer.end({ error: true, reason: 'invalid_transition' });
+        throw error;
+      }
+
       logger.error('Error actualizando estado de documento', error, {
         documentoId,
         nuevoEstadoId,
@@ -223,13 +417,142 @@ class DocumentoFirmaRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Obtiene el historial de transiciones de estado de un documento (mas antiguo primero)
+   * @param {number} documentoId - ID del documento
+   * @returns {Promise<Array<{HistorialId: number, EstadoAnterior: string|null, Estado: string, Origen: string, Actor: string|null, Detalle: Object|null, Fecha: Date}>>}
+   */
+  async obtenerHistorial(documentoId) {
+    const timer = metrics.startTimer('db_obtenerHistorialDocumento');
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool.request().input('DocumentoFirmaId', sql.Int, documentoId).query(`
+            SELECT
+              h.HistorialId,
+              ea.Codigo AS EstadoAnterior,
+              en.Codigo AS Estado,
+              h.OrigenAccion AS Origen,
+              h.Actor,
+              h.Detalle,
+              h.FechaAccion AS Fecha
+            FROM HistorialDocumentoFirma h
+            INNER JOIN CatEstadoDocumento en ON h.EstadoNuevoId = en.EstadoDocumentoId
+            LEFT JOIN CatEstadoDocumento ea ON h.EstadoAnteriorId = ea.EstadoDocumentoId
+            WHERE h.DocumentoFirmaId = @DocumentoFirmaId
+            ORDER BY h.FechaAccion, h.HistorialId
+          `);
+
+        return res.recordset;
+      });
+
+      timer.end({ count: result.length });
+      return result.map((registro) => ({
+        ...registro,
+        Detalle: registro.Detalle ? JSON.parse(registro.Detalle) : null,
+      }));
+    } catch (error) {
+      logger.error('Error obteniendo historial de documento', error, {
+        documentoId,
+        operation: 'obtenerHistorial',
+      });
+      metrics.recordError('db_obtenerHistorialDocumento_error', error.message);
+      timer.end({ error: true });
+      return [];
+    }
+  }
+
+  /**
+   * Obtiene la cadena de versiones de un documento (DocumentoAnteriorId)
+   * Recorre hacia atras las versiones anteriores y hacia adelante las que lo reemplazaron.
+   * @param {number} documentoId - ID de cualquier version de la cadena
+   * @returns {Promise<Array>} - Versiones de la mas antigua a la mas reciente
+   *   (vacio si el documento no existe)
+   */
+  async obtenerVersiones(documentoId) {
+    const timer = metrics.startTimer('db_obtenerVersionesDocumento');
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool.request().input('DocumentoFirmaId', sql.Int, documentoId).query(`
+            WITH Anteriores AS (
+              SELECT DocumentoFirmaId, DocumentoAnteriorId
+              FROM DocumentosFirma
+              WHERE DocumentoFirmaId = @DocumentoFirmaId
+              UNION ALL
+              SELECT df.DocumentoFirmaId, df.DocumentoAnteriorId
+              FROM DocumentosFirma df
+              INNER JOIN Anteriores a ON df.DocumentoFirmaId = a.DocumentoAnteriorId
+            ),
+            Posteriores AS (
+              SELECT DocumentoFirmaId
+              FROM DocumentosFirma
+              WHERE DocumentoFirmaId = @DocumentoFirmaId
+              UNION ALL
+              SELECT df.DocumentoFirmaId
+              FROM DocumentosFirma df
+              INNER JOIN Posteriores p ON df.DocumentoAnteriorId = p.DocumentoFirmaId
+            ),
+            Cadena AS (
+              SELECT DocumentoFirmaId FROM Anteriores
+              UNION
+              SELECT DocumentoFirmaId FROM Posteriores
+            )
+            SELECT
+              df.DocumentoFirmaId,
+              df.DocumentoAnteriorId,
+              df.SapDocumentId,
+              ed.Codigo AS EstadoDocumento,
+              td.Codigo AS TipoDocumento,
+              df.EnvelopeId,
+              df.EnvelopeReutilizado,
+              df.DocumentoNombre,
+              df.DocumentoOriginalUrl,
+              df.DocumentoHash,
+              df.MotivoReemplazo,
+              df.ClienteTelefono,
+              df.ClienteNombre,
+              df.ClienteEmail,
+              df.CanalPreferido,
+              df.DatosExtra,
+              df.FechaCreacion
+            FROM Cadena c
+            INNER JOIN DocumentosFirma df ON df.DocumentoFirmaId = c.DocumentoFirmaId
+            INNER JOIN CatEstadoDocumento ed ON df.EstadoDocumentoId = ed.EstadoDocumentoId
+            INNER JOIN CatTipoDocumento td ON df.TipoDocumentoId = td.TipoDocumentoId
+            ORDER BY df.DocumentoFirmaId
+            OPTION (MAXRECURSION 100)
+          `);
+
+        return res.recordset;
+      });
+
+      timer.end({ count: result.length });
+      return result;
+    } catch (error) {
+      logger.error('Error obteniendo versiones de documento', error, {
+        documentoId,
+        operation: 'obtenerVersiones',
+      });
+      metrics.recordError('db_obtenerVersionesDocumento_error', error.message);
+      timer.end({ error: true });
+      return [];
+    }
+  }
+
   /**
    * Obtiene un documento activo por SapDocumentId
    * Usado para verificar si ya existe un envelope antes de crear uno nuevo
    * @param {string} sapDocumentId - ID del documento en SAP
+   * @param {number|null} [excluirDocumentoId] - Documento ya registrado que no cuenta
+   *   como version activa (envio asincrono o en espera de datos del cliente)
    * @returns {Promise<Object|null>} - Documento activo o null
    */
-  async obtenerActivoPorSapDocumentId(sapDocumentId) {
+  async obtenerActivoPorSapDocumentId(sapDocumentId, excluirDocumentoId = null) {
     const timer = metrics.startTimer('db_obtenerActivoPorSapDocumentId');
 
     try {
@@ -239,6 +562,7 @@ class DocumentoFirmaRepository extends BaseRepository {
         const res = await pool
           .request()
           .input('SapDocumentId', sql.NVarChar, sapDocumentId)
+          .input('ExcluirDocumentoId', sql.Int, excluirDocumentoId)
           .input('EstadoFirmado', sql.Int, ESTADO_DOCUMENTO_ID.FIRMADO)
           .input('EstadoAnulado', sql.Int, ESTADO_DOCUMENTO_ID.ANULADO).query(`
             SELECT TOP 1
@@ -249,6 +573,7 @@ class DocumentoFirmaRepository extends BaseRepository {
             FROM DocumentosFirma df
             WHERE df.SapDocumentId = @SapDocumentId
               AND df.EstadoDocumentoId NOT IN (@EstadoFirmado, @EstadoAnulado)
+              AND (@ExcluirDocumentoId IS NULL OR df.DocumentoFirmaId <> @ExcluirDocumentoId)
             ORDER BY df.FechaCreacion DESC
           `);
 
@@ -388,9 +713,11 @@ class DocumentoFirmaRepository extends BaseRepository {
    * Incrementa el contador de recordatorios de un documento
    * @param {number} documentoId - ID del documento
    * @param {number} version - Version esperada (para optimistic locking)
+   * @param {string|null} [whatsAppMessageId] - wamid del recordatorio; reemplaza al anterior
+   *   para que los status de Meta sigan al recordatorio
    * @returns {Promise<Object|null>} - Documento actualizado o null
    */
-  async incrementarRecordatorio(documentoId, version) {
+  async incrementarRecordatorio(documentoId, version, whatsAppMessageId = null) {
     const timer = metrics.startTimer('db_incrementarRecordatorio');
 
     try {
@@ -400,10 +727,15 @@ class DocumentoFirmaRepository extends BaseRepository {
         const res = await pool
           .request()
           .input('DocumentoId', sql.Int, documentoId)
-          .input('ExpectedVersion', sql.Int, version).query(`
+          .input('ExpectedVersion', sql.Int, version)
+          .input('WhatsAppMessageId', sql.NVarChar, whatsAppMessageId).query(`
             UPDATE DocumentosFirma
-            SET IntentosRecordatorio = IntentosRecordatorio + 1,
+            SET IntentosRecordatorio = ISNULL(IntentosRecordatorio, 0) + 1,
                 UltimoRecordatorio = GETUTCDATE(),
+                WhatsAppMessageId = COALESCE(@WhatsAppMessageId, WhatsAppMessageId),
+                EstadoWhatsApp = CASE WHEN @WhatsAppMessageId IS NULL THEN EstadoWhatsApp ELSE NULL END,
+                FechaEstadoWhatsApp = CASE WHEN @WhatsAppMessageId IS NULL THEN FechaEstadoWhatsApp ELSE NULL END,
+                ErrorWhatsApp = CASE WHEN @WhatsAppMessageId IS NULL THEN ErrorWhatsApp ELSE NULL END,
                 Version = ISNULL(Version, 0) + 1,
                 UpdatedAt = GETUTCDATE()
             WHERE DocumentoFirmaId = @DocumentoId
@@ -449,6 +781,312 @@ class DocumentoFirmaRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Registra el status de Meta de un template enviado (webhook statuses)
+   * Busca el mensaje en DocumentosFirma y en FirmantesDocumento. Un status que no
+   * avanza al anterior (reintento de Meta o llegada fuera de orden) no actualiza nada.
+   * No toca Version ni UpdatedAt, igual que registrarIntentoSap.
+   * @param {string} messageId - WhatsAppMessageId (wamid) del status
+   * @param {string} estado - sent, delivered, read o failed
+   * @param {string|null} [error] - Codigo y titulo del error de Meta (failed)
+   * @returns {Promise<{DocumentoFirmaId: number, FirmanteId: number|null}|null>} - Fila
+   *   actualizada, o null si el mensaje no es de un documento o el status no avanza
+   */
+  async registrarEstadoWhatsApp(messageId, estado, error = null) {
+    const timer = metrics.startTimer('db_registrarEstadoWhatsApp');
+
+    // Orden de los status: solo se guarda un status posterior al actual
+    const rango = (columna) => `
+      CASE ${columna}
+        WHEN 'sent' THEN 1 WHEN 'delivered' THEN 2 WHEN 'read' THEN 3 WHEN 'failed' THEN 4
+        ELSE 0
+      END`;
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool
+          .request()
+          .input('MessageId', sql.NVarChar, messageId)
+          .input('Estado', sql.NVarChar, estado)
+          .input('Error', sql.NVarChar, error).query(`
+            UPDATE DocumentosFirma
+            SET EstadoWhatsApp = @Estado,
+                FechaEstadoWhatsApp = GETUTCDATE(),
+                ErrorWhatsApp = @Error
+            OUTPUT INSERTED.DocumentoFirmaId, CAST(NULL AS INT) AS FirmanteId
+            WHERE WhatsAppMessageId = @MessageId
+              AND ${rango('EstadoWhatsApp')} < ${rango('@Estado')};
+
+            UPDATE FirmantesDocumento
+            SET EstadoWhatsApp = @Estado,
+                FechaEstadoWhatsApp = GETUTCDATE(),
+                ErrorWhatsApp = @Error,
+                UpdatedAt = GETUTCDATE()
+            OUTPUT INSERTED.DocumentoFirmaId, INSERTED.FirmanteId
+            WHERE WhatsAppMessageId = @MessageId
+              AND ${rango('EstadoWhatsApp')} < ${rango('@Estado')};
+          `);
+
+        return res.recordsets[0][0] || res.recordsets[1][0] || null;
+      });
+
+      if (result) {
+        await this.invalidateCacheAsync(`doc:${result.DocumentoFirmaId}`);
+      }
+
+      timer.end({ success: true, actualizado: Boolean(result) });
+      return result;
+    } catch (err) {
+      logger.error('Error registrando status de WhatsApp', err, {
+        messageId,
+        estado,
+        operation: 'registrarEstadoWhatsApp',
+      });
+      metrics.recordError('db_registrarEstadoWhatsApp_error', err.message);
+      timer.end({ error: true });
+      throw err;
+    }
+  }
+
+  /**
+   * Registra el reenvio manual de la notificacion de firma (admin)
+   * Guarda el contacto corregido y el nuevo SigningUrl y reinicia los recordatorios:
+   * IntentosRecordatorio vuelve a 0 y UltimoRecordatorio cuenta desde el reenvio.
+   * Un WhatsAppMessageId nuevo limpia el status de Meta del mensaje anterior.
+   * Igual que el recordatorio del timer no toca Version: no es un cambio de estado.
+   * @param {number} documentoId - ID del documento
+   * @param {Object} datos
+   * @param {string|null} [datos.telefono] - ClienteTelefono corregido (null = sin cambios)
+   * @param {string|null} [datos.email] - ClienteEmail corregido (null = sin cambios)
+   * @param {string|null} [datos.signingUrl] - recipientView regenerado
+   * @param {string|null} [datos.whatsAppMessageId] - wamid del template reenviado
+   * @returns {Promise<boolean>} - false si el documento ya no esta pendiente de firma
+   */
+  async registrarReenvio(documentoId, datos = {}) {
+    const timer = metrics.startTimer('db_registrarReenvio');
+
+    try {
+      const updated = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool
+          .request()
+          .input('DocumentoId', sql.Int, documentoId)
+          .input('Telefono', sql.NVarChar, datos.telefono || null)
+          .input('Email', sql.NVarChar, datos.email || null)
+          .input('SigningUrl', sql.NVarChar, datos.signingUrl || null)
+          .input('MessageId', sql.NVarChar, datos.whatsAppMessageId || null)
+          .input('EstadoEnviado', sql.Int, ESTADO_DOCUMENTO_ID.ENVIADO)
+          .input('EstadoEntregado', sql.Int, ESTADO_DOCUMENTO_ID.ENTREGADO)
+          .input('EstadoVisto', sql.Int, ESTADO_DOCUMENTO_ID.VISTO).query(`
+            UPDATE DocumentosFirma
+            SET ClienteTelefono = COALESCE(@Telefono, ClienteTelefono),
+                ClienteEmail = COALESCE(@Email, ClienteEmail),
+                SigningUrl = COALESCE(@SigningUrl, SigningUrl),
+                IntentosRecordatorio = 0,
+                UltimoRecordatorio = GETDATE(),
+                WhatsAppMessageId = COALESCE(@MessageId, WhatsAppMessageId),
+                EstadoWhatsApp = CASE WHEN @MessageId IS NULL THEN EstadoWhatsApp ELSE NULL END,
+                FechaEstadoWhatsApp = CASE WHEN @MessageId IS NULL THEN FechaEstadoWhatsApp ELSE NULL END,
+                ErrorWhatsApp = CASE WHEN @MessageId IS NULL THEN ErrorWhatsApp ELSE NULL END,
+                UpdatedAt = GETUTCDATE()
+            WHERE DocumentoFirmaId = @DocumentoId
+              AND EstadoDocumentoId IN (@EstadoEnviado, @EstadoEntregado, @EstadoVisto)
+          `);
+
+        return res.rowsAffected[0] > 0;
+      });
+
+      await this.invalidateCacheAsync(`doc:${documentoId}`);
+
+      this.logOperation('registrarReenvio', true, { documentoId, updated });
+      timer.end({ success: true, updated });
+      return updated;
+    } catch (error) {
+      logger.error('Error registrando reenvio de notificacion', error, {
+        documentoId,
+        operation: 'registrarReenvio',
+      });
+      metrics.recordError('db_registrarReenvio_error', error.message);
+      timer.end({ error: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Guarda los datos del cliente capturados por WhatsApp y libera el documento para
+   * crear el envelope: limpia DatosPendientes y registra la captura en el historial
+   * (PENDIENTE_ENVIO -> PENDIENTE_ENVIO). Como registrarReenvio, no toca Version.
+   * @param {number} documentoId - ID del documento
+   * @param {Object} datos
+   * @param {string|null} [datos.email] - ClienteEmail capturado (null = sin cambios)
+   * @param {string|null} [datos.rfc] - ClienteRfc capturado (null = sin cambios)
+   * @param {string|null} [datos.nombre] - ClienteNombre capturado (null = sin cambios)
+   * @param {Object} [transicion] - Registro en HistorialDocumentoFirma
+   * @param {string} [transicion.origen] - ORIGEN_HISTORIAL (por defecto WHATSAPP_USUARIO)
+   * @param {string} [transicion.actor] - Quien capturo los datos
+   * @param {Object} [transicion.detalle] - Datos capturados
+   * @returns {Promise<boolean>} - false si el documento ya no esperaba datos del cliente
+   */
+  async actualizarDatosCliente(documentoId, datos = {}, transicion = {}) {
+    const timer = metrics.startTimer('db_actualizarDatosCliente');
+
+    try {
+      const updated = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool
+          .request()
+          .input('DocumentoId', sql.Int, documentoId)
+          .input('Email', sql.NVarChar, datos.email || null)
+          .input('Rfc', sql.NVarChar, datos.rfc || null)
+          .input('Nombre', sql.NVarChar, datos.nombre || null)
+          .input('EstadoPendiente', sql.Int, ESTADO_DOCUMENTO_ID.PENDIENTE_ENVIO)
+          .input(
+            'OrigenAccion',
+            sql.NVarChar,
+            transicion.origen || ORIGEN_HISTORIAL.WHATSAPP_USUARIO
+          )
+          .input('Actor', sql.NVarChar, transicion.actor || null)
+          .input('Detalle', sql.NVarChar, serializarDetalle({}, transicion.detalle)).query(`
+            UPDATE DocumentosFirma
+            SET ClienteEmail = COALESCE(@Email, ClienteEmail),
+                ClienteRfc = COALESCE(@Rfc, ClienteRfc),
+                ClienteNombre = COALESCE(@Nombre, ClienteNombre),
+                DatosPendientes = NULL,
+                UpdatedAt = GETUTCDATE()
+            WHERE DocumentoFirmaId = @DocumentoId
+              AND EstadoDocumentoId = @EstadoPendiente
+              AND DatosPendientes IS NOT NULL;
+
+            DECLARE @Actualizados INT = @@ROWCOUNT;
+
+            IF @Actualizados > 0
+              INSERT INTO HistorialDocumentoFirma
+                (DocumentoFirmaId, EstadoAnteriorId, EstadoNuevoId, OrigenAccion, Actor, Detalle)
+              VALUES
+                (@DocumentoId, @EstadoPendiente, @EstadoPendiente, @OrigenAccion, @Actor, @Detalle);
+
+            SELECT @Actualizados AS Actualizados;
+          `);
+
+        return res.recordset[0]?.Actualizados > 0;
+      });
+
+      await this.invalidateCacheAsync(`doc:${documentoId}`);
+
+      this.logOperation('actualizarDatosCliente', true, { documentoId, updated });
+      timer.end({ success: true, updated });
+      return updated;
+    } catch (error) {
+      logger.error('Error guardando datos del cliente', error, {
+        documentoId,
+        operation: 'actualizarDatosCliente',
+      });
+      metrics.recordError('db_actualizarDatosCliente_error', error.message);
+      timer.end({ error: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Registra una nueva version del PDF de un documento (sp_ReemplazarDocumentoFirma)
+   * La version actual pasa a ANULADO y la nueva se crea en ENVIADO con el mismo envelope
+   * y DocumentoAnteriorId apuntando a la anterior.
+   * @param {number} documentoAnteriorId - ID de la version actual
+   * @param {number} version - Version esperada (optimistic locking)
+   * @param {Object} datos - Datos de la nueva version
+   * @param {string} datos.DocumentoOriginalUrl - URL del nuevo PDF en Blob Storage
+   * @param {string} [datos.DocumentoNombre] - Nuevo nombre (por defecto el anterior)
+   * @param {string} [datos.DocumentoHash] - SHA-256 del nuevo PDF
+   * @param {string} [datos.MotivoReemplazo] - Motivo del reemplazo
+   * @param {string} [datos.EnvelopeId] - Envelope del documento (para invalidar su cache)
+   * @param {Object} [transicion] - Origen del cambio para HistorialDocumentoFirma
+   * @param {string} [transicion.origen] - ORIGEN_HISTORIAL (por defecto ADMIN)
+   * @param {string} [transicion.actor] - Quien reemplazo el PDF
+   * @param {Object} [transicion.detalle] - Datos del reemplazo (motivo, ...)
+   * @returns {Promise<Object>} - Registro de la nueva version
+   * @throws {ConcurrencyError} Si la version no coincide
+   * @throws {InvalidStateTransitionError} Si la version actual ya no puede anularse
+   */
+  async reemplazarDocumento(documentoAnteriorId, version, datos, transicion = {}) {
+    const timer = metrics.startTimer('db_reemplazarDocumento');
+    const origen = transicion.origen || ORIGEN_HISTORIAL.ADMIN;
+
+    try {
+      const record = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool
+          .request()
+          .input('DocumentoAnteriorId', sql.Int, documentoAnteriorId)
+          .input('Version', sql.Int, version)
+          .input('DocumentoNombre', sql.NVarChar, datos.DocumentoNombre || null)
+          .input('DocumentoOriginalUrl', sql.NVarChar, datos.DocumentoOriginalUrl)
+          .input('DocumentoHash', sql.NVarChar, datos.DocumentoHash || null)
+          .input('MotivoReemplazo', sql.NVarChar, datos.MotivoReemplazo || null)
+          .input('OrigenAccion', sql.NVarChar, origen)
+          .input('Actor', sql.NVarChar, transicion.actor || null)
+          .input('Detalle', sql.NVarChar, serializarDetalle({}, transicion.detalle))
+          .execute('sp_ReemplazarDocumentoFirma')
+          .catch((spError) => {
+            throw mapearErrorActualizacion(
+              spError,
+              documentoAnteriorId,
+              ESTADO_DOCUMENTO_ID.ANULADO,
+              version
+            );
+          });
+
+        return res.recordset[0];
+      });
+
+      await this.invalidateCacheAsync(`doc:${documentoAnteriorId}`);
+      if (datos.EnvelopeId) {
+        await this.invalidateCacheAsync(`env:${datos.EnvelopeId}`);
+      }
+
+      this.logOperation('reemplazarDocumento', true, {
+        documentoAnteriorId,
+        documentoId: record.DocumentoFirmaId,
+        origen,
+      });
+
+      appInsights.trackEvent('document_replaced', {
+        documentoAnteriorId,
+        documentoId: record.DocumentoFirmaId,
+        envelopeId: datos.EnvelopeId,
+        origen,
+      });
+
+      timer.end({ success: true });
+      return record;
+    } catch (error) {
+      await this.invalidateCacheAsync(`doc:${documentoAnteriorId}`);
+
+      if (error instanceof ConcurrencyError || error instanceof InvalidStateTransitionError) {
+        logger.warn('Reemplazo de documento rechazado', {
+          documentoAnteriorId,
+          version,
+          error: error.message,
+        });
+        timer.end({ error: true, reason: error.name });
+        throw error;
+      }
+
+      logger.error('Error reemplazando documento', error, {
+        documentoAnteriorId,
+        version,
+        operation: 'reemplazarDocumento',
+      });
+      metrics.recordError('db_reemplazarDocumento_error', error.message);
+      timer.end({ error: true });
+      throw error;
+    }
+  }
+
   /**
    * Obtiene documentos pendientes de reporte a SAP
    * @param {number} diasDesdeUltimoReporte - Dias minimos desde ultimo reporte a SAP
@@ -546,6 +1184,103 @@ class DocumentoFirmaRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Registra el resultado de un despacho de callback a SAP
+   * Exito reinicia IntentosSap a 0; fallo lo incrementa.
+   * No toca Version ni UpdatedAt: el contador no compite con las transiciones de estado
+   * ni retrasa el housekeeping.
+   * @param {number} documentoId - ID del documento
+   * @param {boolean} exitoso - Si SAP acepto el callback
+   * @returns {Promise<number>} - Valor resultante de IntentosSap
+   */
+  async registrarIntentoSap(documentoId, exitoso) {
+    const timer = metrics.startTimer('db_registrarIntentoSap');
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool
+          .request()
+          .input('DocumentoId', sql.Int, documentoId)
+          .input('Exitoso', sql.Bit, exitoso ? 1 : 0).query(`
+            UPDATE DocumentosFirma
+            SET IntentosSap = CASE WHEN @Exitoso = 1 THEN 0 ELSE IntentosSap + 1 END
+            OUTPUT INSERTED.IntentosSap
+            WHERE DocumentoFirmaId = @DocumentoId;
+          `);
+
+        return res.recordset[0]?.IntentosSap ?? 0;
+      });
+
+      await this.invalidateCacheAsync(`doc:${documentoId}`);
+
+      this.logOperation('registrarIntentoSap', true, { documentoId, exitoso, intentos: result });
+      timer.end({ success: true });
+      return result;
+    } catch (error) {
+      logger.error('Error registrando intento de callback SAP', error, {
+        documentoId,
+        exitoso,
+        operation: 'registrarIntentoSap',
+      });
+      metrics.recordError('db_registrarIntentoSap_error', error.message);
+      timer.end({ error: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene documentos en estado reportable cuyo callback a SAP fallo
+   * y aun no agotan el maximo de intentos
+   * @param {number} maxIntentos - Maximo de despachos fallidos permitidos
+   * @returns {Promise<Array>} - Array de documentos con callback pendiente
+   */
+  async obtenerPendientesCallbackSap(maxIntentos) {
+    const timer = metrics.startTimer('db_obtenerPendientesCallbackSap');
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool
+          .request()
+          .input('MaxIntentos', sql.Int, maxIntentos)
+          .input('EstadoFirmado', sql.Int, ESTADO_DOCUMENTO_ID.FIRMADO)
+          .input('EstadoRechazado', sql.Int, ESTADO_DOCUMENTO_ID.RECHAZADO)
+          .input('EstadoAnulado', sql.Int, ESTADO_DOCUMENTO_ID.ANULADO)
+          .input('EstadoError', sql.Int, ESTADO_DOCUMENTO_ID.ERROR).query(`
+            SELECT
+              df.DocumentoFirmaId, df.SapDocumentId, df.SapCallbackUrl,
+              df.EnvelopeId, df.EstadoDocumentoId,
+              ed.Codigo AS EstadoDocumento,
+              df.DocumentoFirmadoUrl, df.MotivoRechazo, df.MensajeError,
+              df.FechaFirmado, df.FechaRechazo,
+              df.IntentosSap, df.UpdatedAt
+            FROM DocumentosFirma df
+            INNER JOIN CatEstadoDocumento ed ON df.EstadoDocumentoId = ed.EstadoDocumentoId
+            WHERE df.SapCallbackUrl IS NOT NULL
+              AND df.EstadoDocumentoId IN (@EstadoFirmado, @EstadoRechazado, @EstadoAnulado, @EstadoError)
+              AND df.IntentosSap > 0
+              AND df.IntentosSap < @MaxIntentos
+          `);
+
+        return res.recordset;
+      });
+
+      timer.end({ count: result.length });
+      return result;
+    } catch (error) {
+      logger.error('Error obteniendo documentos con callback SAP pendiente', error, {
+        maxIntentos,
+        operation: 'obtenerPendientesCallbackSap',
+      });
+      metrics.recordError('db_obtenerPendientesCallbackSap_error', error.message);
+      timer.end({ error: true });
+      return [];
+    }
+  }
+
   /**
    * Lista documentos con filtros (para dashboard API)
    * Usa la vista vw_DocumentosFirma para datos enriquecidos
@@ -574,35 +1309,7 @@ class DocumentoFirmaRepository extends BaseRepository {
           .input('Offset', sql.Int, offset)
           .input('PageSize', sql.Int, pageSize);
 
-        // Construir filtros WHERE dinamicamente
-        const conditions = [];
-
-        if (filtros.estado) {
-          request.input('Estado', sql.NVarChar, filtros.estado);
-          conditions.push('Estado = @Estado');
-        }
-
-        if (filtros.tipo) {
-          request.input('TipoDocumento', sql.NVarChar, filtros.tipo);
-          conditions.push('TipoDocumento = @TipoDocumento');
-        }
-
-        if (filtros.telefono) {
-          request.input('ClienteTelefono', sql.NVarChar, filtros.telefono);
-          conditions.push('ClienteTelefono = @ClienteTelefono');
-        }
-
-        if (filtros.fechaDesde) {
-          request.input('FechaDesde', sql.DateTime, new Date(filtros.fechaDesde));
-          conditions.push('FechaCreacion >= @FechaDesde');
-        }
-
-        if (filtros.fechaHasta) {
-          request.input('FechaHasta', sql.DateTime, new Date(filtros.fechaHasta));
-          conditions.push('FechaCreacion <= @FechaHasta');
-        }
-
-        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const whereClause = aplicarFiltrosListado(request, filtros);
 
         const res = await request.query(`
           SELECT COUNT(*) AS Total FROM vw_DocumentosFirma ${whereClause};
@@ -633,6 +1340,132 @@ class DocumentoFirmaRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Selecciona los documentos de una accion masiva del admin
+   * Recibe una lista explicita de IDs o los mismos filtros que listar.
+   * @param {Object} criterio
+   * @param {Array<number>} [criterio.documentoIds] - IDs explicitos (tienen prioridad)
+   * @param {Object} [criterio.filtros] - Filtros de listar
+   * @param {number} limite - Maximo de documentos devueltos
+   * @returns {Promise<{documentos: Array<{DocumentoFirmaId: number, EstadoDocumento: string,
+   *   EnvelopeId: string|null}>, total: number}>} - total cuenta todos los que cumplen el
+   *   criterio, aunque excedan el limite
+   * @throws {Error} Si falla la consulta (el trabajo no debe crearse con una seleccion parcial)
+   */
+  async listarParaAccionMasiva(criterio, limite) {
+    const timer = metrics.startTimer('db_listarParaAccionMasiva');
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+        const request = pool.request().input('Limite', sql.Int, limite);
+
+        let whereClause;
+        if (criterio.documentoIds) {
+          const params = criterio.documentoIds.map((documentoId, index) => {
+            request.input(`DocumentoId${index}`, sql.Int, documentoId);
+            return `@DocumentoId${index}`;
+          });
+          whereClause = `WHERE DocumentoFirmaId IN (${params.join(', ')})`;
+        } else {
+          whereClause = aplicarFiltrosListado(request, criterio.filtros || {});
+        }
+
+        const res = await request.query(`
+          SELECT COUNT(*) AS Total FROM vw_DocumentosFirma ${whereClause};
+
+          SELECT TOP (@Limite) DocumentoFirmaId, EstadoDocumento, EnvelopeId
+          FROM vw_DocumentosFirma
+          ${whereClause}
+          ORDER BY DocumentoFirmaId;
+        `);
+
+        return {
+          documentos: res.recordsets[1] || [],
+          total: res.recordsets[0][0]?.Total || 0,
+        };
+      });
+
+      timer.end({ count: result.documentos.length, total: result.total });
+      return result;
+    } catch (error) {
+      logger.error('Error seleccionando documentos para accion masiva', error, {
+        criterio,
+        operation: 'listarParaAccionMasiva',
+      });
+      metrics.recordError('db_listarParaAccionMasiva_error', error.message);
+      timer.end({ error: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Abre un stream con todos los documentos que cumplen los filtros de listar, sin paginar
+   * Las filas llegan de SQL conforme el consumidor las lee (backpressure), asi una
+   * exportacion grande no se carga completa en memoria. Sin reintentos: un reintento a
+   * media lectura duplicaria filas.
+   * @param {Object} [filtros] - Filtros de listar (estado, tipo, telefono, fechaDesde, fechaHasta)
+   * @returns {Promise<import('stream').Readable>} - Stream en objectMode de filas de vw_DocumentosFirma;
+   *   los errores de la consulta se emiten como 'error' del stream
+   */
+  async streamListado(filtros = {}) {
+    const pool = await this.getPool();
+    const request = pool.request();
+    const whereClause = aplicarFiltrosListado(request, filtros);
+    const stream = abrirStreamConsulta(request);
+
+    // En modo stream las filas y los errores llegan por eventos del stream
+    request.query(
+      `
+      SELECT
+        DocumentoFirmaId, SapDocumentId, EnvelopeId, TipoDocumento, EstadoDocumento,
+        ClienteNombre, ClienteTelefono, ClienteEmail, FechaCreacion, FechaEnvioWhatsApp,
+        FechaVisto, FechaFirmado, FechaRechazo, MotivoRechazo, IntentosRecordatorio,
+        HorasHastaFirma
+      FROM vw_DocumentosFirma
+      ${whereClause}
+      ORDER BY FechaCreacion DESC
+    `,
+      () => {}
+    );
+
+    this.logOperation('streamListado', true, { filtros });
+    return stream;
+  }
+
+  /**
+   * Abre un stream con el conteo de documentos por dia de creacion, tipo y estado
+   * @param {Object} [filtros] - Filtros de listar (estado, tipo, telefono, fechaDesde, fechaHasta)
+   * @returns {Promise<import('stream').Readable>} - Stream en objectMode de
+   *   { Fecha, TipoDocumento, EstadoDocumento, Total, PromedioHorasHastaFirma }
+   */
+  async streamEstadisticasPorDia(filtros = {}) {
+    const pool = await this.getPool();
+    const request = pool.request();
+    const whereClause = aplicarFiltrosListado(request, filtros);
+    const stream = abrirStreamConsulta(request);
+
+    // En modo stream las filas y los errores llegan por eventos del stream
+    request.query(
+      `
+      SELECT
+        CAST(FechaCreacion AS DATE) AS Fecha,
+        TipoDocumento,
+        EstadoDocumento,
+        COUNT(*) AS Total,
+        AVG(CAST(HorasHastaFirma AS DECIMAL(10, 2))) AS PromedioHorasHastaFirma
+      FROM vw_DocumentosFirma
+      ${whereClause}
+      GROUP BY CAST(FechaCreacion AS DATE), TipoDocumento, EstadoDocumento
+      ORDER BY Fecha, TipoDocumento, EstadoDocumento
+    `,
+      () => {}
+    );
+
+    this.logOperation('streamEstadisticasPorDia', true, { filtros });
+    return stream;
+  }
+
   /**
    * Obtiene estadisticas de documentos (para dashboard)
    * @returns {Promise<Object>} - Estadisticas agregadas
@@ -0,0 +1,255 @@
+/**
+ * SIGN BOT - FirmanteDocumentoRepository
+ * Repositorio para los firmantes de documentos multi-firmante
+ * Gestiona la tabla FirmantesDocumento (un registro por recipient del envelope)
+ *
+ * @module repositories/FirmanteDocumentoRepository
+ */
+
+const sql = require('mssql');
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../../core/services/infrastructure/errorHandler');
+const metrics = require('../../core/services/infrastructure/metricsService');
+const { ESTADO_FIRMANTE } = require('../constants/documentStates');
+
+/**
+ * Repositorio de firmantes por documento
+ * El orden de firma (OrdenFirma) coincide con el routingOrder del envelope
+ */
+class FirmanteDocumentoRepository extends BaseRepository {
+  constructor() {
+    super('FirmanteDocumento', 5 * 60 * 1000); // 5 min cache TTL
+  }
+
+  /**
+   * Registra los firmantes de un documento en orden de firma
+   * Inserta todos los firmantes en una sola sentencia (todo o nada)
+   * @param {number} documentoId - ID del documento
+   * @param {Array<{telefono: string, nombre: string, email?: string, rol: string}>} firmantes
+   *   - Firmantes en orden de firma; recipientId/OrdenFirma = posicion + 1
+   * @returns {Promise<Array>} - Firmantes creados
+   */
+  async crearFirmantes(documentoId, firmantes) {
+    const timer = metrics.startTimer('db_crearFirmantes');
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+        const request = pool.request().input('DocumentoFirmaId', sql.Int, documentoId);
+
+        const values = firmantes.map((firmante, index) => {
+          request
+            .input(`RecipientId${index}`, sql.NVarChar, String(index + 1))
+            .input(`OrdenFirma${index}`, sql.Int, index + 1)
+            .input(`Rol${index}`, sql.NVarChar, firmante.rol)
+            .input(`Telefono${index}`, sql.NVarChar, firmante.telefono)
+            .input(`Nombre${index}`, sql.NVarChar, firmante.nombre)
+            .input(`Email${index}`, sql.NVarChar, firmante.email || null);
+
+          return `(@DocumentoFirmaId, @RecipientId${index}, @OrdenFirma${index}, @Rol${index},
+                   @Telefono${index}, @Nombre${index}, @Email${index})`;
+        });
+
+        const res = await request.query(`
+          INSERT INTO FirmantesDocumento
+            (DocumentoFirmaId, RecipientId, OrdenFirma, Rol, Telefono, Nombre, Email)
+          OUTPUT INSERTED.*
+          VALUES ${values.join(',\n')}
+        `);
+
+        return res.recordset.sort((a, b) => a.OrdenFirma - b.OrdenFirma);
+      });
+
+      await this.invalidateCacheAsync(`firmantes:${documentoId}`);
+
+      this.logOperation('crearFirmantes', true, { documentoId, total: result.length });
+      timer.end({ success: true });
+      return result;
+    } catch (error) {
+      logger.error('Error registrando firmantes de documento', error, {
+        documentoId,
+        total: firmantes.length,
+        operation: 'crearFirmantes',
+      });
+      metrics.recordError('db_crearFirmantes_error', error.message);
+      timer.end({ error: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene los firmantes de un documento ordenados por OrdenFirma
+   * @param {number} documentoId - ID del documento
+   * @returns {Promise<Array>} - Firmantes (vacio si el documento es de un solo firmante)
+   */
+  async obtenerPorDocumento(documentoId) {
+    const timer = metrics.startTimer('db_obtenerFirmantesPorDocumento');
+
+    try {
+      const cacheKey = `firmantes:${documentoId}`;
+      const cached = await this.getFromCacheAsync(cacheKey);
+      if (cached) {
+        timer.end({ source: 'cache', documentoId });
+        return cached;
+      }
+
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool.request().input('DocumentoFirmaId', sql.Int, documentoId).query(`
+            SELECT *
+            FROM FirmantesDocumento
+            WHERE DocumentoFirmaId = @DocumentoFirmaId
+            ORDER BY OrdenFirma
+          `);
+
+        return res.recordset;
+      });
+
+      if (result.length > 0) {
+        await this.setInCacheAsync(cacheKey, result);
+      }
+
+      timer.end({ source: 'database', documentoId });
+      return result;
+    } catch (error) {
+      logger.error('Error obteniendo firmantes de documento', error, {
+        documentoId,
+        operation: 'obtenerPorDocumento',
+      });
+      metrics.recordError('db_obtenerFirmantesPorDocumento_error', error.message);
+      timer.end({ error: true });
+      return [];
+    }
+  }
+
+  /**
+   * Obtiene un firmante por el recipientId de DocuSign
+   * @param {number} documentoId - ID del documento
+   * @param {string} recipientId - recipientId del signer en el envelope
+   * @returns {Promise<Object|null>} - Firmante o null si no existe
+   */
+  async obtenerPorRecipient(documentoId, recipientId) {
+    const firmantes = await this.obtenerPorDocumento(documentoId);
+    return firmantes.find((f) => f.RecipientId === String(recipientId)) || null;
+  }
+
+  /**
+   * Obtiene el siguiente firmante pendiente en orden de firma
+   * @param {number} documentoId - ID del documento
+   * @returns {Promise<Object|null>} - Firmante o null si ya no hay pendientes
+   */
+  async obtenerSiguientePendiente(documentoId) {
+    const firmantes = await this.obtenerPorDocumento(documentoId);
+    return firmantes.find((f) => f.EstadoFirmante === ESTADO_FIRMANTE.PENDIENTE) || null;
+  }
+
+  /**
+   * Actualiza el estado de un firmante
+   * Las fechas de notificacion/firma se registran segun el estado destino. Un
+   * WhatsAppMessageId nuevo limpia el status de Meta del mensaje anterior.
+   * @param {number} documentoId - ID del documento (para invalidar cache)
+   * @param {number} firmanteId - ID del firmante
+   * @param {string} estado - Nuevo estado (ESTADO_FIRMANTE)
+   * @param {Object} [datosExtra] - Datos adicionales
+   * @param {string} [datosExtra.WhatsAppMessageId] - ID del mensaje de WhatsApp enviado
+   * @returns {Promise<boolean>} - true si se actualizo
+   */
+  async actualizarEstado(documentoId, firmanteId, estado, datosExtra = {}) {
+    const timer = metrics.startTimer('db_actualizarEstadoFirmante');
+
+    try {
+      const updated = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool
+          .request()
+          .input('FirmanteId', sql.Int, firmanteId)
+          .input('Estado', sql.NVarChar, estado)
+          .input('WhatsAppMessageId', sql.NVarChar, datosExtra.WhatsAppMessageId || null).query(`
+            UPDATE FirmantesDocumento
+            SET EstadoFirmante = @Estado,
+                FechaNotificacion = CASE WHEN @Estado = 'NOTIFICADO' THEN GETDATE() ELSE FechaNotificacion END,
+                FechaFirma = CASE WHEN @Estado = 'FIRMADO' THEN GETDATE() ELSE FechaFirma END,
+                WhatsAppMessageId = COALESCE(@WhatsAppMessageId, WhatsAppMessageId),
+                EstadoWhatsApp = CASE WHEN @WhatsAppMessageId IS NULL THEN EstadoWhatsApp ELSE NULL END,
+                FechaEstadoWhatsApp = CASE WHEN @WhatsAppMessageId IS NULL THEN FechaEstadoWhatsApp ELSE NULL END,
+                ErrorWhatsApp = CASE WHEN @WhatsAppMessageId IS NULL THEN ErrorWhatsApp ELSE NULL END,
+                UpdatedAt = GETUTCDATE()
+            WHERE FirmanteId = @FirmanteId
+          `);
+
+        return res.rowsAffected[0] > 0;
+      });
+
+      await this.invalidateCacheAsync(`firmantes:${documentoId}`);
+
+      this.logOperation('actualizarEstado', true, { documentoId, firmanteId, estado });
+      timer.end({ success: true });
+      return updated;
+    } catch (error) {
+      logger.error('Error actualizando estado de firmante', error, {
+        documentoId,
+        firmanteId,
+        estado,
+        operation: 'actualizarEstado',
+      });
+      metrics.recordError('db_actualizarEstadoFirmante_error', error.message);
+      timer.end({ error: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Corrige el telefono y/o email de un firmante (reenvio desde el admin)
+   * @param {number} documentoId - ID del documento (para invalidar cache)
+   * @param {number} firmanteId - ID del firmante
+   * @param {Object} contacto
+   * @param {string|null} [contacto.telefono] - Telefono corregido (null = sin cambios)
+   * @param {string|null} [contacto.email] - Email corregido (null = sin cambios)
+   * @returns {Promise<boolean>} - true si se actualizo
+   */
+  async actualizarContacto(documentoId, firmanteId, { telefono = null, email = null }) {
+    const timer = metrics.startTimer('db_actualizarContactoFirmante');
+
+    try {
+      const updated = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool
+          .request()
+          .input('FirmanteId', sql.Int, firmanteId)
+          .input('Telefono', sql.NVarChar, telefono)
+          .input('Email', sql.NVarChar, email).query(`
+            UPDATE FirmantesDocumento
+            SET Telefono = COALESCE(@Telefono, Telefono),
+                Email = COALESCE(@Email, Email),
+                UpdatedAt = GETUTCDATE()
+            WHERE FirmanteId = @FirmanteId
+          `);
+
+        return res.rowsAffected[0] > 0;
+      });
+
+      await this.invalidateCacheAsync(`firmantes:${documentoId}`);
+
+      this.logOperation('actualizarContacto', true, { documentoId, firmanteId });
+      timer.end({ success: true });
+      return updated;
+    } catch (error) {
+      logger.error('Error actualizando contacto de firmante', error, {
+        documentoId,
+        firmanteId,
+        operation: 'actualizarContacto',
+      });
+      metrics.recordError('db_actualizarContactoFirmante_error', error.message);
+      timer.end({ error: true });
+      throw error;
+    }
+  }
+}
+
+// Singleton
+const instance = new FirmanteDocumentoRepository();
+
+module.exports = instance;
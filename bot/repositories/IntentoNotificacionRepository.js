@@ -0,0 +1,91 @@
+/**
+ * SIGN BOT - IntentoNotificacionRepository
+ * Repositorio para los intentos de envio de notificaciones de firma
+ * Gestiona la tabla IntentosNotificacion (un registro por canal intentado)
+ *
+ * @module repositories/IntentoNotificacionRepository
+ */
+
+const sql = require('mssql');
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../../core/services/infrastructure/errorHandler');
+const metrics = require('../../core/services/infrastructure/metricsService');
+
+/**
+ * Repositorio de intentos de notificacion
+ * Solo escritura (append-only), sin cache
+ */
+class IntentoNotificacionRepository extends BaseRepository {
+  constructor() {
+    super('IntentoNotificacion', 60 * 1000);
+  }
+
+  /**
+   * Registra el resultado del envio por un canal
+   * @param {Object} intento
+   * @param {number} intento.documentoFirmaId - ID del documento
+   * @param {number|null} [intento.firmanteId] - FirmanteId (null si es de un solo firmante)
+   * @param {string} intento.tipo - Template notificado (firma_envio, firma_recordatorio, ...)
+   * @param {string} intento.canal - WHATSAPP, EMAIL o SMS
+   * @param {string} intento.destino - Telefono o email del destinatario
+   * @param {boolean} intento.exitoso - Si el canal acepto el mensaje
+   * @param {string|null} [intento.mensajeId] - ID del mensaje en el canal
+   * @param {string|null} [intento.error] - Error del canal si fallo
+   * @returns {Promise<number>} - IntentoId
+   */
+  async registrar({
+    documentoFirmaId,
+    firmanteId = null,
+    tipo,
+    canal,
+    destino,
+    exitoso,
+    mensajeId = null,
+    error = null,
+  }) {
+    const timer = metrics.startTimer('db_registrarIntentoNotificacion');
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool
+          .request()
+          .input('DocumentoFirmaId', sql.Int, documentoFirmaId)
+          .input('FirmanteId', sql.Int, firmanteId)
+          .input('Tipo', sql.NVarChar, tipo)
+          .input('Canal', sql.NVarChar, canal)
+          .input('Destino', sql.NVarChar, destino)
+          .input('Exitoso', sql.Bit, exitoso)
+          .input('MensajeId', sql.NVarChar, mensajeId)
+          .input('Error', sql.NVarChar, error ? error.substring(0, 500) : null).query(`
+            INSERT INTO IntentosNotificacion
+              (DocumentoFirmaId, FirmanteId, Tipo, Canal, Destino, Exitoso, MensajeId, Error)
+            OUTPUT INSERTED.IntentoId
+            VALUES
+              (@DocumentoFirmaId, @FirmanteId, @Tipo, @Canal, @Destino, @Exitoso, @MensajeId, @Error)
+          `);
+
+        return res.recordset[0].IntentoId;
+      });
+
+      this.logOperation('registrar', true, { documentoFirmaId, canal, exitoso });
+      timer.end({ success: true });
+      return result;
+    } catch (err) {
+      logger.error('Error registrando intento de notificacion', err, {
+        documentoFirmaId,
+        canal,
+        operation: 'registrar',
+      });
+      metrics.recordError('db_registrarIntentoNotificacion_error', err.message);
+      timer.end({ error: true });
+      throw err;
+    }
+  }
+}
+
+// Singleton
+const instance = new IntentoNotificacionRepository();
+
+module.exports = instance;
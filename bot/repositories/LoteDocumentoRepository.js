@@ -0,0 +1,229 @@
+/**
+ * SIGN BOT - LoteDocumentoRepository
+ * Repositorio para los lotes de documentos recibidos de SAP
+ * Gestiona las tablas LotesDocumentosSap y LotesDocumentosSapItems
+ *
+ * @module repositories/LoteDocumentoRepository
+ */
+
+const sql = require('mssql');
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../../core/services/infrastructure/errorHandler');
+const metrics = require('../../core/services/infrastructure/metricsService');
+
+// Longitud de LotesDocumentosSapItems.MensajeError
+const MAX_MENSAJE_ERROR = 1000;
+
+/**
+ * Repositorio de lotes SAP
+ * Sin cache: el estado de los items cambia mientras el queue processor avanza
+ */
+class LoteDocumentoRepository extends BaseRepository {
+  constructor() {
+    super('LoteDocumento', 60 * 1000);
+  }
+
+  /**
+   * Registra un lote con todos sus items en una sola transaccion
+   * @param {string} loteId - ID del lote (UUID)
+   * @param {Array<{indice: number, sapDocumentId?: string, estado: string, mensajeError?: string}>} items
+   * @param {string} [correlationId] - Correlation ID de la peticion
+   * @returns {Promise<void>}
+   */
+  async crearLote(loteId, items, correlationId = null) {
+    const timer = metrics.startTimer('db_crearLote');
+
+    try {
+      await this.executeQuery(async () => {
+        const pool = await this.getPool();
+        const request = pool
+          .request()
+          .input('LoteId', sql.NVarChar, loteId)
+          .input('TotalDocumentos', sql.Int, items.length)
+          .input('CorrelationId', sql.NVarChar, correlationId);
+
+        const values = items.map((item, index) => {
+          request
+            .input(`Indice${index}`, sql.Int, item.indice)
+            .input(`SapDocumentId${index}`, sql.NVarChar, item.sapDocumentId || null)
+            .input(`Estado${index}`, sql.NVarChar, item.estado)
+            .input(
+              `MensajeError${index}`,
+              sql.NVarChar,
+              item.mensajeError ? item.mensajeError.substring(0, MAX_MENSAJE_ERROR) : null
+            );
+
+          return `(@LoteId, @Indice${index}, @SapDocumentId${index}, @Estado${index}, @MensajeError${index})`;
+        });
+
+        await request.query(`
+          SET XACT_ABORT ON;
+          BEGIN TRANSACTION;
+
+          INSERT INTO LotesDocumentosSap (LoteId, TotalDocumentos, CorrelationId)
+          VALUES (@LoteId, @TotalDocumentos, @CorrelationId);
+
+          INSERT INTO LotesDocumentosSapItems (LoteId, Indice, SapDocumentId, Estado, MensajeError)
+          VALUES ${values.join(',\n')};
+
+          COMMIT TRANSACTION;
+        `);
+      });
+
+      this.logOperation('crearLote', true, { loteId, total: items.length });
+      timer.end({ success: true });
+    } catch (error) {
+      logger.error('Error registrando lote de documentos SAP', error, {
+        loteId,
+        total: items.length,
+        operation: 'crearLote',
+      });
+      metrics.recordError('db_crearLote_error', error.message);
+      timer.end({ error: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene un lote con sus items y el estado actual de cada documento creado
+   * @param {string} loteId - ID del lote
+   * @returns {Promise<Object|null>} - Lote con `items`, o null si no existe
+   */
+  async obtenerLote(loteId) {
+    const timer = metrics.startTimer('db_obtenerLote');
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool.request().input('LoteId', sql.NVarChar, loteId).query(`
+            SELECT LoteId, TotalDocumentos, CorrelationId, FechaCreacion
+            FROM LotesDocumentosSap
+            WHERE LoteId = @LoteId;
+
+            SELECT
+              i.Indice, i.SapDocumentId, i.Estado, i.MensajeError,
+              i.DocumentoFirmaId, i.FechaActualizacion,
+              ed.Codigo AS EstadoDocumento
+            FROM LotesDocumentosSapItems i
+            LEFT JOIN DocumentosFirma df ON i.DocumentoFirmaId = df.DocumentoFirmaId
+            LEFT JOIN CatEstadoDocumento ed ON df.EstadoDocumentoId = ed.EstadoDocumentoId
+            WHERE i.LoteId = @LoteId
+            ORDER BY i.Indice;
+          `);
+
+        const [lotes, items] = res.recordsets;
+        return lotes.length > 0 ? { ...lotes[0], items } : null;
+      });
+
+      timer.end({ found: Boolean(result) });
+      return result;
+    } catch (error) {
+      logger.error('Error obteniendo lote de documentos SAP', error, {
+        loteId,
+        operation: 'obtenerLote',
+      });
+      metrics.recordError('db_obtenerLote_error', error.message);
+      timer.end({ error: true });
+      return null;
+    }
+  }
+
+  /**
+   * Obtiene un item de un lote
+   * @param {string} loteId - ID del lote
+   * @param {number} indice - Posicion del documento en el lote
+   * @returns {Promise<Object|null>} - Item o null si no existe
+   */
+  async obtenerItem(loteId, indice) {
+    const timer = metrics.startTimer('db_obtenerItemLote');
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool
+          .request()
+          .input('LoteId', sql.NVarChar, loteId)
+          .input('Indice', sql.Int, indice).query(`
+            SELECT LoteId, Indice, SapDocumentId, Estado, MensajeError, DocumentoFirmaId
+            FROM LotesDocumentosSapItems
+            WHERE LoteId = @LoteId AND Indice = @Indice
+          `);
+
+        return res.recordset[0] || null;
+      });
+
+      timer.end({ found: Boolean(result) });
+      return result;
+    } catch (error) {
+      logger.error('Error obteniendo item de lote', error, {
+        loteId,
+        indice,
+        operation: 'obtenerItem',
+      });
+      metrics.recordError('db_obtenerItemLote_error', error.message);
+      timer.end({ error: true });
+      return null;
+    }
+  }
+
+  /**
+   * Actualiza el estado de un item del lote
+   * @param {string} loteId - ID del lote
+   * @param {number} indice - Posicion del documento en el lote
+   * @param {string} estado - Nuevo estado (ESTADO_ITEM_LOTE)
+   * @param {Object} [datosExtra] - Datos adicionales
+   * @param {number} [datosExtra.DocumentoFirmaId] - Documento creado
+   * @param {string} [datosExtra.MensajeError] - Motivo del error
+   * @returns {Promise<boolean>} - true si se actualizo
+   */
+  async actualizarItem(loteId, indice, estado, datosExtra = {}) {
+    const timer = metrics.startTimer('db_actualizarItemLote');
+    const mensajeError = datosExtra.MensajeError
+      ? datosExtra.MensajeError.substring(0, MAX_MENSAJE_ERROR)
+      : null;
+
+    try {
+      const updated = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool
+          .request()
+          .input('LoteId', sql.NVarChar, loteId)
+          .input('Indice', sql.Int, indice)
+          .input('Estado', sql.NVarChar, estado)
+          .input('DocumentoFirmaId', sql.Int, datosExtra.DocumentoFirmaId || null)
+          .input('MensajeError', sql.NVarChar, mensajeError).query(`
+            UPDATE LotesDocumentosSapItems
+            SET Estado = @Estado,
+                DocumentoFirmaId = COALESCE(@DocumentoFirmaId, DocumentoFirmaId),
+                MensajeError = @MensajeError,
+                FechaActualizacion = GETDATE()
+            WHERE LoteId = @LoteId AND Indice = @Indice
+          `);
+
+        return res.rowsAffected[0] > 0;
+      });
+
+      this.logOperation('actualizarItem', true, { loteId, indice, estado });
+      timer.end({ success: true });
+      return updated;
+    } catch (error) {
+      logger.error('Error actualizando item de lote', error, {
+        loteId,
+        indice,
+        estado,
+        operation: 'actualizarItem',
+      });
+      metrics.recordError('db_actualizarItemLote_error', error.message);
+      timer.end({ error: true });
+      throw error;
+    }
+  }
+}
+
+// Singleton
+const instance = new LoteDocumentoRepository();
+
+module.exports = instance;
@@ -0,0 +1,204 @@
+/**
+ * SIGN BOT - PerfilTipoDocumentoRepository
+ * Repositorio para los perfiles por tipo de documento
+ * Gestiona la tabla PerfilesTipoDocumento (un registro por CatTipoDocumento)
+ *
+ * @module repositories/PerfilTipoDocumentoRepository
+ */
+
+const sql = require('mssql');
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../../core/services/infrastructure/errorHandler');
+const metrics = require('../../core/services/infrastructure/metricsService');
+
+// Tipos sin perfil guardado devuelven las columnas del perfil en NULL
+const SELECT_PERFIL = `
+  SELECT
+    td.TipoDocumentoId,
+    td.Codigo AS TipoDocumento,
+    td.Nombre AS TipoDocumentoNombre,
+    p.TemplateEnvio,
+    p.DiasExpiracion,
+    p.HorasRecordatorio,
+    p.MaxRecordatorios,
+    p.CalendarioRecordatorios,
+    p.DiasHousekeeping,
+    ISNULL(p.EmailRequerido, 0) AS EmailRequerido,
+    p.TabsFirma,
+    p.VerificacionIdentidad,
+    p.DatosRequeridos,
+    p.FechaActualizacion
+  FROM CatTipoDocumento td
+  LEFT JOIN PerfilesTipoDocumento p ON p.TipoDocumentoId = td.TipoDocumentoId
+`;
+
+/**
+ * Repositorio de perfiles por tipo de documento
+ * Cache de 5 min: los perfiles cambian muy poco y se leen en cada envio
+ */
+class PerfilTipoDocumentoRepository extends BaseRepository {
+  constructor() {
+    super('PerfilTipoDocumento', 5 * 60 * 1000); // 5 min cache TTL
+  }
+
+  /**
+   * Obtiene el perfil de un tipo de documento
+   * @param {string} tipoDocumento - Codigo del tipo (TIPO_DOCUMENTO)
+   * @returns {Promise<Object|null>} - Perfil (columnas NULL si no se ha configurado) o null
+   */
+  async obtenerPorTipo(tipoDocumento) {
+    const timer = metrics.startTimer('db_obtenerPerfilTipoDocumento');
+
+    try {
+      const cacheKey = `perfil:${tipoDocumento}`;
+      const cached = await this.getFromCacheAsync(cacheKey);
+      if (cached) {
+        timer.end({ source: 'cache', tipoDocumento });
+        return cached;
+      }
+
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool
+          .request()
+          .input('Codigo', sql.NVarChar, tipoDocumento)
+          .query(`${SELECT_PERFIL} WHERE td.Codigo = @Codigo`);
+
+        return res.recordset[0] || null;
+      });
+
+      if (result) {
+        await this.setInCacheAsync(cacheKey, result);
+      }
+
+      timer.end({ source: 'database', tipoDocumento });
+      return result;
+    } catch (error) {
+      logger.error('Error obteniendo perfil de tipo de documento', error, {
+        tipoDocumento,
+        operation: 'obtenerPorTipo',
+      });
+      metrics.recordError('db_obtenerPerfilTipoDocumento_error', error.message);
+      timer.end({ error: true });
+      return null;
+    }
+  }
+
+  /**
+   * Lista los perfiles de todos los tipos de documento activos
+   * @returns {Promise<Array>} - Perfiles ordenados por TipoDocumentoId
+   */
+  async listar() {
+    const timer = metrics.startTimer('db_listarPerfilesTipoDocumento');
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool
+          .request()
+          .query(`${SELECT_PERFIL} WHERE td.Activo = 1 ORDER BY td.TipoDocumentoId`);
+
+        return res.recordset;
+      });
+
+      timer.end({ total: result.length });
+      return result;
+    } catch (error) {
+      logger.error('Error listando perfiles de tipo de documento', error, {
+        operation: 'listar',
+      });
+      metrics.recordError('db_listarPerfilesTipoDocumento_error', error.message);
+      timer.end({ error: true });
+      return [];
+    }
+  }
+
+  /**
+   * Crea o reemplaza el perfil de un tipo de documento
+   * @param {string} tipoDocumento - Codigo del tipo (TIPO_DOCUMENTO)
+   * @param {Object} perfil - Columnas del perfil (TemplateEnvio, DiasExpiracion, ...)
+   * @returns {Promise<Object|null>} - Perfil guardado, o null si el tipo no existe
+   */
+  async guardar(tipoDocumento, perfil) {
+    const timer = metrics.startTimer('db_guardarPerfilTipoDocumento');
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+        // Columnas NULL = usar la configuracion global
+        const request = pool
+          .request()
+          .input('Codigo', sql.NVarChar, tipoDocumento)
+          .input('TemplateEnvio', sql.NVarChar, perfil.TemplateEnvio ?? null)
+          .input('DiasExpiracion', sql.Int, perfil.DiasExpiracion ?? null)
+          .input('HorasRecordatorio', sql.Int, perfil.HorasRecordatorio ?? null)
+          .input('MaxRecordatorios', sql.Int, perfil.MaxRecordatorios ?? null)
+          .input(
+            'CalendarioRecordatorios',
+            sql.NVarChar(sql.MAX),
+            perfil.CalendarioRecordatorios ?? null
+          )
+          .input('DiasHousekeeping', sql.Int, perfil.DiasHousekeeping ?? null)
+          .input('EmailRequerido', sql.Bit, perfil.EmailRequerido ?? null)
+          .input('TabsFirma', sql.NVarChar(sql.MAX), perfil.TabsFirma ?? null)
+          .input('VerificacionIdentidad', sql.NVarChar, perfil.VerificacionIdentidad ?? null)
+          .input('DatosRequeridos', sql.NVarChar, perfil.DatosRequeridos ?? null);
+
+        const res = await request.query(`
+          DECLARE @TipoDocumentoId INT =
+            (SELECT TipoDocumentoId FROM CatTipoDocumento WHERE Codigo = @Codigo);
+
+          IF @TipoDocumentoId IS NOT NULL
+            MERGE PerfilesTipoDocumento AS destino
+            USING (SELECT @TipoDocumentoId AS TipoDocumentoId) AS origen
+              ON destino.TipoDocumentoId = origen.TipoDocumentoId
+            WHEN MATCHED THEN UPDATE SET
+              TemplateEnvio = @TemplateEnvio,
+              DiasExpiracion = @DiasExpiracion,
+              HorasRecordatorio = @HorasRecordatorio,
+              MaxRecordatorios = @MaxRecordatorios,
+              CalendarioRecordatorios = @CalendarioRecordatorios,
+              DiasHousekeeping = @DiasHousekeeping,
+              EmailRequerido = ISNULL(@EmailRequerido, 0),
+              TabsFirma = @TabsFirma,
+              VerificacionIdentidad = @VerificacionIdentidad,
+              DatosRequeridos = @DatosRequeridos,
+              FechaActualizacion = GETDATE()
+            WHEN NOT MATCHED THEN INSERT
+              (TipoDocumentoId, TemplateEnvio, DiasExpiracion, HorasRecordatorio,
+               MaxRecordatorios, CalendarioRecordatorios, DiasHousekeeping, EmailRequerido,
+               TabsFirma, VerificacionIdentidad, DatosRequeridos)
+            VALUES
+              (@TipoDocumentoId, @TemplateEnvio, @DiasExpiracion, @HorasRecordatorio,
+               @MaxRecordatorios, @CalendarioRecordatorios, @DiasHousekeeping,
+               ISNULL(@EmailRequerido, 0), @TabsFirma, @VerificacionIdentidad, @DatosRequeridos);
+
+          ${SELECT_PERFIL} WHERE td.TipoDocumentoId = @TipoDocumentoId;
+        `);
+
+        return res.recordset[0] || null;
+      });
+
+      await this.invalidateCacheAsync(`perfil:${tipoDocumento}`);
+
+      this.logOperation('guardar', Boolean(result), { tipoDocumento });
+      timer.end({ success: true });
+      return result;
+    } catch (error) {
+      logger.error('Error guardando perfil de tipo de documento', error, {
+        tipoDocumento,
+        operation: 'guardar',
+      });
+      metrics.recordError('db_guardarPerfilTipoDocumento_error', error.message);
+      timer.end({ error: true });
+      throw error;
+    }
+  }
+}
+
+// Singleton
+const instance = new PerfilTipoDocumentoRepository();
+
+module.exports = instance;
@@ -0,0 +1,368 @@
+/**
+ * SIGN BOT - SeguimientoRechazoRepository
+ * Repositorio para el seguimiento de back-office de los documentos rechazados
+ * Gestiona las tablas SeguimientosRechazo y SeguimientosRechazoComentarios
+ * (los seguimientos los crea sp_ActualizarEstadoDocumento al registrar el rechazo)
+ *
+ * @module repositories/SeguimientoRechazoRepository
+ */
+
+const sql = require('mssql');
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../../core/services/infrastructure/errorHandler');
+const metrics = require('../../core/services/infrastructure/metricsService');
+const { ESTADO_SEGUIMIENTO } = require('../constants/documentStates');
+
+// Fecha sin hora (YYYY-MM-DD), como la envian los filtros del dashboard
+const SOLO_FECHA_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Agrega a la consulta los filtros de fecha de creacion del seguimiento
+ * @param {import('mssql').Request} request - Request donde se registran los parametros
+ * @param {Object} filtros
+ * @param {string} [filtros.fechaDesde] - Fecha ISO
+ * @param {string} [filtros.fechaHasta] - Fecha ISO (sin hora incluye todo el dia)
+ * @param {string[]} conditions - Condiciones WHERE acumuladas
+ */
+function aplicarFiltrosFecha(request, filtros, conditions) {
+  if (filtros.fechaDesde) {
+    request.input('FechaDesde', sql.DateTime, new Date(filtros.fechaDesde));
+    conditions.push('sr.FechaCreacion >= @FechaDesde');
+  }
+
+  if (filtros.fechaHasta) {
+    request.input('FechaHasta', sql.DateTime, new Date(filtros.fechaHasta));
+    conditions.push(
+      SOLO_FECHA_REGEX.test(filtros.fechaHasta)
+        ? 'sr.FechaCreacion < DATEADD(DAY, 1, @FechaHasta)'
+        : 'sr.FechaCreacion <= @FechaHasta'
+    );
+  }
+}
+
+/**
+ * Repositorio de seguimientos de rechazo
+ * Sin cache: varios usuarios del dashboard modifican el mismo seguimiento
+ */
+class SeguimientoRechazoRepository extends BaseRepository {
+  constructor() {
+    super('SeguimientoRechazo', 60 * 1000);
+  }
+
+  /**
+   * Lista seguimientos con filtros y paginacion (mas recientes primero)
+   * @param {Object} filtros
+   * @param {string} [filtros.estado] - ESTADO_SEGUIMIENTO
+   * @param {string} [filtros.categoria] - CATEGORIA_RECHAZO
+   * @param {string} [filtros.asignadoA] - Usuario asignado
+   * @param {string} [filtros.fechaDesde] - Fecha ISO
+   * @param {string} [filtros.fechaHasta] - Fecha ISO
+   * @param {number} [filtros.page=1]
+   * @param {number} [filtros.pageSize=20] - Maximo 100
+   * @returns {Promise<{data: Array, total: number, page: number, pageSize: number}>}
+   */
+  async listar(filtros = {}) {
+    const timer = metrics.startTimer('db_listarSeguimientosRechazo');
+    const page = Math.max(1, filtros.page || 1);
+    const pageSize = Math.min(100, Math.max(1, filtros.pageSize || 20));
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+        const request = pool
+          .request()
+          .input('Offset', sql.Int, (page - 1) * pageSize)
+          .input('PageSize', sql.Int, pageSize);
+
+        const conditions = [];
+        if (filtros.estado) {
+          request.input('Estado', sql.NVarChar, filtros.estado);
+          conditions.push('sr.Estado = @Estado');
+        }
+        if (filtros.categoria) {
+          request.input('Categoria', sql.NVarChar, filtros.categoria);
+          conditions.push('sr.CategoriaRechazo = @Categoria');
+        }
+        if (filtros.asignadoA) {
+          request.input('AsignadoA', sql.NVarChar, filtros.asignadoA);
+          conditions.push('sr.AsignadoA = @AsignadoA');
+        }
+        aplicarFiltrosFecha(request, filtros, conditions);
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const res = await request.query(`
+          SELECT COUNT(*) AS Total FROM SeguimientosRechazo sr ${whereClause};
+
+          SELECT
+            sr.SeguimientoId, sr.DocumentoFirmaId, sr.CategoriaRechazo, sr.MotivoRechazo,
+            sr.Estado, sr.AsignadoA, sr.FechaAsignacion, sr.Resolucion, sr.CerradoPor,
+            sr.FechaCierre, sr.FechaCreacion,
+            df.SapDocumentId, df.DocumentoNombre, df.ClienteNombre, df.ClienteTelefono,
+            td.Codigo AS TipoDocumento,
+            (SELECT COUNT(*) FROM SeguimientosRechazoComentarios c
+             WHERE c.SeguimientoId = sr.SeguimientoId) AS TotalComentarios
+          FROM SeguimientosRechazo sr
+          INNER JOIN DocumentosFirma df ON sr.DocumentoFirmaId = df.DocumentoFirmaId
+          INNER JOIN CatTipoDocumento td ON df.TipoDocumentoId = td.TipoDocumentoId
+          ${whereClause}
+          ORDER BY sr.FechaCreacion DESC
+          OFFSET @Offset ROWS FETCH NEXT @PageSize ROWS ONLY;
+        `);
+
+        return {
+          data: res.recordsets[1] || [],
+          total: res.recordsets[0][0]?.Total || 0,
+          page,
+          pageSize,
+        };
+      });
+
+      timer.end({ count: result.data.length, total: result.total });
+      return result;
+    } catch (error) {
+      logger.error('Error listando seguimientos de rechazo', error, {
+        filtros,
+        operation: 'listar',
+      });
+      metrics.recordError('db_listarSeguimientosRechazo_error', error.message);
+      timer.end({ error: true });
+      return { data: [], total: 0, page, pageSize };
+    }
+  }
+
+  /**
+   * Obtiene un seguimiento con los datos del documento y sus comentarios
+   * @param {number} seguimientoId - ID del seguimiento
+   * @returns {Promise<Object|null>} - Seguimiento con `comentarios`, o null si no existe
+   */
+  async obtenerPorId(seguimientoId) {
+    const timer = metrics.startTimer('db_obtenerSeguimientoRechazo');
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool.request().input('SeguimientoId', sql.Int, seguimientoId).query(`
+            SELECT
+              sr.*,
+              df.SapDocumentId, df.DocumentoNombre, df.ClienteNombre, df.ClienteTelefono,
+              df.FechaRechazo, td.Codigo AS TipoDocumento, ed.Codigo AS EstadoDocumento
+            FROM SeguimientosRechazo sr
+            INNER JOIN DocumentosFirma df ON sr.DocumentoFirmaId = df.DocumentoFirmaId
+            INNER JOIN CatTipoDocumento td ON df.TipoDocumentoId = td.TipoDocumentoId
+            INNER JOIN CatEstadoDocumento ed ON df.EstadoDocumentoId = ed.EstadoDocumentoId
+            WHERE sr.SeguimientoId = @SeguimientoId;
+
+            SELECT ComentarioId, Autor, Comentario, FechaCreacion
+            FROM SeguimientosRechazoComentarios
+            WHERE SeguimientoId = @SeguimientoId
+            ORDER BY FechaCreacion, ComentarioId;
+          `);
+
+        const [seguimientos, comentarios] = res.recordsets;
+        return seguimientos.length > 0 ? { ...seguimientos[0], comentarios } : null;
+      });
+
+      timer.end({ found: Boolean(result) });
+      return result;
+    } catch (error) {
+      logger.error('Error obteniendo seguimiento de rechazo', error, {
+        seguimientoId,
+        operation: 'obtenerPorId',
+      });
+      metrics.recordError('db_obtenerSeguimientoRechazo_error', error.message);
+      timer.end({ error: true });
+      return null;
+    }
+  }
+
+  /**
+   * Asigna un seguimiento abierto (o lo reasigna) y lo pasa a EN_PROCESO
+   * @param {number} seguimientoId - ID del seguimiento
+   * @param {string} asignadoA - Usuario de back-office responsable
+   * @returns {Promise<boolean>} - false si no existe o ya esta cerrado
+   */
+  async asignar(seguimientoId, asignadoA) {
+    const timer = metrics.startTimer('db_asignarSeguimientoRechazo');
+
+    try {
+      const updated = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool
+          .request()
+          .input('SeguimientoId', sql.Int, seguimientoId)
+          .input('AsignadoA', sql.NVarChar, asignadoA)
+          .input('EnProceso', sql.NVarChar, ESTADO_SEGUIMIENTO.EN_PROCESO)
+          .input('Cerrado', sql.NVarChar, ESTADO_SEGUIMIENTO.CERRADO).query(`
+            UPDATE SeguimientosRechazo
+            SET AsignadoA = @AsignadoA,
+                Estado = @EnProceso,
+                FechaAsignacion = GETUTCDATE()
+            WHERE SeguimientoId = @SeguimientoId AND Estado <> @Cerrado
+          `);
+
+        return res.rowsAffected[0] > 0;
+      });
+
+      this.logOperation('asignar', updated, { seguimientoId });
+      timer.end({ success: updated });
+      return updated;
+    } catch (error) {
+      logger.error('Error asignando seguimiento de rechazo', error, {
+        seguimientoId,
+        operation: 'asignar',
+      });
+      metrics.recordError('db_asignarSeguimientoRechazo_error', error.message);
+      timer.end({ error: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Agrega un comentario al seguimiento
+   * @param {number} seguimientoId - ID del seguimiento
+   * @param {string} autor - Usuario de back-office
+   * @param {string} comentario - Texto del comentario
+   * @returns {Promise<{ComentarioId: number, FechaCreacion: Date}>}
+   */
+  async comentar(seguimientoId, autor, comentario) {
+    const timer = metrics.startTimer('db_comentarSeguimientoRechazo');
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool
+          .request()
+          .input('SeguimientoId', sql.Int, seguimientoId)
+          .input('Autor', sql.NVarChar, autor)
+          .input('Comentario', sql.NVarChar, comentario).query(`
+            INSERT INTO SeguimientosRechazoComentarios (SeguimientoId, Autor, Comentario)
+            OUTPUT INSERTED.ComentarioId, INSERTED.FechaCreacion
+            VALUES (@SeguimientoId, @Autor, @Comentario)
+          `);
+
+        return res.recordset[0];
+      });
+
+      this.logOperation('comentar', true, { seguimientoId });
+      timer.end({ success: true });
+      return result;
+    } catch (error) {
+      logger.error('Error comentando seguimiento de rechazo', error, {
+        seguimientoId,
+        operation: 'comentar',
+      });
+      metrics.recordError('db_comentarSeguimientoRechazo_error', error.message);
+      timer.end({ error: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Cierra un seguimiento con su resolucion
+   * @param {number} seguimientoId - ID del seguimiento
+   * @param {string} resolucion - Como se resolvio el rechazo
+   * @param {string} cerradoPor - Usuario de back-office
+   * @returns {Promise<boolean>} - false si no existe o ya estaba cerrado
+   */
+  async cerrar(seguimientoId, resolucion, cerradoPor) {
+    const timer = metrics.startTimer('db_cerrarSeguimientoRechazo');
+
+    try {
+      const updated = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool
+          .request()
+          .input('SeguimientoId', sql.Int, seguimientoId)
+          .input('Resolucion', sql.NVarChar, resolucion)
+          .input('CerradoPor', sql.NVarChar, cerradoPor)
+          .input('Cerrado', sql.NVarChar, ESTADO_SEGUIMIENTO.CERRADO).query(`
+            UPDATE SeguimientosRechazo
+            SET Estado = @Cerrado,
+                Resolucion = @Resolucion,
+                CerradoPor = @CerradoPor,
+                FechaCierre = GETUTCDATE()
+            WHERE SeguimientoId = @SeguimientoId AND Estado <> @Cerrado
+          `);
+
+        return res.rowsAffected[0] > 0;
+      });
+
+      this.logOperation('cerrar', updated, { seguimientoId });
+      timer.end({ success: updated });
+      return updated;
+    } catch (error) {
+      logger.error('Error cerrando seguimiento de rechazo', error, {
+        seguimientoId,
+        operation: 'cerrar',
+      });
+      metrics.recordError('db_cerrarSeguimientoRechazo_error', error.message);
+      timer.end({ error: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Estadisticas de seguimientos por categoria de rechazo
+   * @param {Object} [filtros]
+   * @param {string} [filtros.fechaDesde] - Fecha ISO (creacion del seguimiento)
+   * @param {string} [filtros.fechaHasta] - Fecha ISO
+   * @returns {Promise<Array<{CategoriaRechazo: string, Total: number, Abiertos: number,
+   *   EnProceso: number, Cerrados: number, PromedioHorasCierre: number|null}>>}
+   */
+  async obtenerEstadisticasPorCategoria(filtros = {}) {
+    const timer = metrics.startTimer('db_estadisticasSeguimientosRechazo');
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+        const request = pool
+          .request()
+          .input('Abierto', sql.NVarChar, ESTADO_SEGUIMIENTO.ABIERTO)
+          .input('EnProceso', sql.NVarChar, ESTADO_SEGUIMIENTO.EN_PROCESO)
+          .input('Cerrado', sql.NVarChar, ESTADO_SEGUIMIENTO.CERRADO);
+
+        const conditions = [];
+        aplicarFiltrosFecha(request, filtros, conditions);
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const res = await request.query(`
+          SELECT
+            sr.CategoriaRechazo,
+            COUNT(*) AS Total,
+            SUM(CASE WHEN sr.Estado = @Abierto THEN 1 ELSE 0 END) AS Abiertos,
+            SUM(CASE WHEN sr.Estado = @EnProceso THEN 1 ELSE 0 END) AS EnProceso,
+            SUM(CASE WHEN sr.Estado = @Cerrado THEN 1 ELSE 0 END) AS Cerrados,
+            AVG(CASE WHEN sr.Estado = @Cerrado
+                THEN CAST(DATEDIFF(MINUTE, sr.FechaCreacion, sr.FechaCierre) AS FLOAT) / 60
+                END) AS PromedioHorasCierre
+          FROM SeguimientosRechazo sr
+          ${whereClause}
+          GROUP BY sr.CategoriaRechazo
+          ORDER BY Total DESC
+        `);
+
+        return res.recordset;
+      });
+
+      timer.end({ count: result.length });
+      return result;
+    } catch (error) {
+      logger.error('Error obteniendo estadisticas de seguimientos de rechazo', error, {
+        filtros,
+        operation: 'obtenerEstadisticasPorCategoria',
+      });
+      metrics.recordError('db_estadisticasSeguimientosRechazo_error', error.message);
+      timer.end({ error: true });
+      throw error;
+    }
+  }
+}
+
+// Singleton
+const instance = new SeguimientoRechazoRepository();
+
+module.exports = instance;
@@ -0,0 +1,243 @@
+/**
+ * SIGN BOT - TrabajoMasivoRepository
+ * Repositorio para las acciones masivas del admin sobre documentos
+ * Gestiona las tablas TrabajosMasivos y TrabajosMasivosItems
+ *
+ * @module repositories/TrabajoMasivoRepository
+ */
+
+const sql = require('mssql');
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../../core/services/infrastructure/errorHandler');
+const metrics = require('../../core/services/infrastructure/metricsService');
+
+// Longitud de TrabajosMasivosItems.MensajeError
+const MAX_MENSAJE_ERROR = 1000;
+
+/**
+ * Recorta el mensaje de error a la longitud de la columna
+ * @param {string|null|undefined} mensajeError
+ * @returns {string|null}
+ */
+function recortarMensajeError(mensajeError) {
+  return mensajeError ? mensajeError.substring(0, MAX_MENSAJE_ERROR) : null;
+}
+
+/**
+ * Repositorio de acciones masivas
+ * Sin cache: el estado de los items cambia mientras el queue processor avanza
+ */
+class TrabajoMasivoRepository extends BaseRepository {
+  constructor() {
+    super('TrabajoMasivo', 60 * 1000);
+  }
+
+  /**
+   * Registra un trabajo con todos sus items en una sola transaccion
+   * @param {Object} trabajo - Datos del trabajo
+   * @param {string} trabajo.trabajoId - ID del trabajo (UUID)
+   * @param {string} trabajo.accion - Accion (ACCION_MASIVA)
+   * @param {Object} trabajo.criterio - documentoIds o filtros usados (se guarda como JSON)
+   * @param {string} [trabajo.motivo] - Motivo indicado por el usuario
+   * @param {string} [trabajo.actor] - Usuario del admin que lanzo el trabajo
+   * @param {Array<{documentoId: number, estado: string, mensajeError?: string}>} items
+   * @param {string} [correlationId] - Correlation ID de la peticion
+   * @returns {Promise<void>}
+   */
+  async crearTrabajo(trabajo, items, correlationId = null) {
+    const timer = metrics.startTimer('db_crearTrabajoMasivo');
+    const { trabajoId } = trabajo;
+
+    try {
+      await this.executeQuery(async () => {
+        const pool = await this.getPool();
+        const request = pool
+          .request()
+          .input('TrabajoId', sql.NVarChar, trabajoId)
+          .input('Accion', sql.NVarChar, trabajo.accion)
+          .input('TotalDocumentos', sql.Int, items.length)
+          .input('Criterio', sql.NVarChar(sql.MAX), JSON.stringify(trabajo.criterio))
+          .input('Motivo', sql.NVarChar, trabajo.motivo || null)
+          .input('Actor', sql.NVarChar, trabajo.actor || null)
+          .input('CorrelationId', sql.NVarChar, correlationId);
+
+        const values = items.map((item, index) => {
+          request
+            .input(`DocumentoFirmaId${index}`, sql.Int, item.documentoId)
+            .input(`Estado${index}`, sql.NVarChar, item.estado)
+            .input(`MensajeError${index}`, sql.NVarChar, recortarMensajeError(item.mensajeError));
+
+          return `(@TrabajoId, @DocumentoFirmaId${index}, @Estado${index}, @MensajeError${index})`;
+        });
+
+        await request.query(`
+          SET XACT_ABORT ON;
+          BEGIN TRANSACTION;
+
+          INSERT INTO TrabajosMasivos
+            (TrabajoId, Accion, TotalDocumentos, Criterio, Motivo, Actor, CorrelationId)
+          VALUES
+            (@TrabajoId, @Accion, @TotalDocumentos, @Criterio, @Motivo, @Actor, @CorrelationId);
+
+          INSERT INTO TrabajosMasivosItems (TrabajoId, DocumentoFirmaId, Estado, MensajeError)
+          VALUES ${values.join(',\n')};
+
+          COMMIT TRANSACTION;
+        `);
+      });
+
+      this.logOperation('crearTrabajo', true, {
+        trabajoId,
+        accion: trabajo.accion,
+        total: items.length,
+      });
+      timer.end({ success: true });
+    } catch (error) {
+      logger.error('Error registrando trabajo masivo', error, {
+        trabajoId,
+        accion: trabajo.accion,
+        total: items.length,
+        operation: 'crearTrabajo',
+      });
+      metrics.recordError('db_crearTrabajoMasivo_error', error.message);
+      timer.end({ error: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene un trabajo con sus items y el estado actual de cada documento
+   * @param {string} trabajoId - ID del trabajo
+   * @returns {Promise<Object|null>} - Trabajo con `items`, o null si no existe
+   */
+  async obtenerTrabajo(trabajoId) {
+    const timer = metrics.startTimer('db_obtenerTrabajoMasivo');
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool.request().input('TrabajoId', sql.NVarChar, trabajoId).query(`
+            SELECT TrabajoId, Accion, TotalDocumentos, Criterio, Motivo, Actor,
+                   CorrelationId, FechaCreacion
+            FROM TrabajosMasivos
+            WHERE TrabajoId = @TrabajoId;
+
+            SELECT
+              i.DocumentoFirmaId, i.Estado, i.MensajeError, i.FechaActualizacion,
+              ed.Codigo AS EstadoDocumento
+            FROM TrabajosMasivosItems i
+            LEFT JOIN DocumentosFirma df ON i.DocumentoFirmaId = df.DocumentoFirmaId
+            LEFT JOIN CatEstadoDocumento ed ON df.EstadoDocumentoId = ed.EstadoDocumentoId
+            WHERE i.TrabajoId = @TrabajoId
+            ORDER BY i.DocumentoFirmaId;
+          `);
+
+        const [trabajos, items] = res.recordsets;
+        return trabajos.length > 0 ? { ...trabajos[0], items } : null;
+      });
+
+      timer.end({ found: Boolean(result) });
+      return result;
+    } catch (error) {
+      logger.error('Error obteniendo trabajo masivo', error, {
+        trabajoId,
+        operation: 'obtenerTrabajo',
+      });
+      metrics.recordError('db_obtenerTrabajoMasivo_error', error.message);
+      timer.end({ error: true });
+      return null;
+    }
+  }
+
+  /**
+   * Obtiene un item de un trabajo
+   * @param {string} trabajoId - ID del trabajo
+   * @param {number} documentoId - Documento del item
+   * @returns {Promise<Object|null>} - Item o null si no existe
+   */
+  async obtenerItem(trabajoId, documentoId) {
+    const timer = metrics.startTimer('db_obtenerItemTrabajoMasivo');
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool
+          .request()
+          .input('TrabajoId', sql.NVarChar, trabajoId)
+          .input('DocumentoFirmaId', sql.Int, documentoId).query(`
+            SELECT TrabajoId, DocumentoFirmaId, Estado, MensajeError
+            FROM TrabajosMasivosItems
+            WHERE TrabajoId = @TrabajoId AND DocumentoFirmaId = @DocumentoFirmaId
+          `);
+
+        return res.recordset[0] || null;
+      });
+
+      timer.end({ found: Boolean(result) });
+      return result;
+    } catch (error) {
+      logger.error('Error obteniendo item de trabajo masivo', error, {
+        trabajoId,
+        documentoId,
+        operation: 'obtenerItem',
+      });
+      metrics.recordError('db_obtenerItemTrabajoMasivo_error', error.message);
+      timer.end({ error: true });
+      return null;
+    }
+  }
+
+  /**
+   * Actualiza el estado de un item del trabajo
+   * @param {string} trabajoId - ID del trabajo
+   * @param {number} documentoId - Documento del item
+   * @param {string} estado - Nuevo estado (ESTADO_ITEM_TRABAJO)
+   * @param {string|null} [mensajeError] - Motivo del error u omision
+   * @returns {Promise<boolean>} - true si se actualizo
+   */
+  async actualizarItem(trabajoId, documentoId, estado, mensajeError = null) {
+    const timer = metrics.startTimer('db_actualizarItemTrabajoMasivo');
+
+    try {
+      const updated = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool
+          .request()
+          .input('TrabajoId', sql.NVarChar, trabajoId)
+          .input('DocumentoFirmaId', sql.Int, documentoId)
+          .input('Estado', sql.NVarChar, estado)
+          .input('MensajeError', sql.NVarChar, recortarMensajeError(mensajeError)).query(`
+            UPDATE TrabajosMasivosItems
+            SET Estado = @Estado,
+                MensajeError = @MensajeError,
+                FechaActualizacion = GETDATE()
+            WHERE TrabajoId = @TrabajoId AND DocumentoFirmaId = @DocumentoFirmaId
+          `);
+
+        return res.rowsAffected[0] > 0;
+      });
+
+      this.logOperation('actualizarItem', true, { trabajoId, documentoId, estado });
+      timer.end({ success: true });
+      return updated;
+    } catch (error) {
+      logger.error('Error actualizando item de trabajo masivo', error, {
+        trabajoId,
+        documentoId,
+        estado,
+        operation: 'actualizarItem',
+      });
+      metrics.recordError('db_actualizarItemTrabajoMasivo_error', error.message);
+      timer.end({ error: true });
+      throw error;
+    }
+  }
+}
+
+// Singleton
+const instance = new TrabajoMasivoRepository();
+
+module.exports = instance;
@@ -0,0 +1,193 @@
+/**
+ * SIGN BOT - VerificacionFirmaRepository
+ * Repositorio para los codigos de verificacion de identidad del firmante
+ * Gestiona la tabla VerificacionesFirma (OTP por WhatsApp antes del recipient view)
+ *
+ * @module repositories/VerificacionFirmaRepository
+ */
+
+const sql = require('mssql');
+const BaseRepository = require('./BaseRepository');
+const { logger } = require('../../core/services/infrastructure/errorHandler');
+const metrics = require('../../core/services/infrastructure/metricsService');
+
+/**
+ * Repositorio de verificaciones de firma
+ * Sin cache: cada intento debe leer el contador actualizado de la BD
+ */
+class VerificacionFirmaRepository extends BaseRepository {
+  constructor() {
+    super('VerificacionFirma', 60 * 1000);
+  }
+
+  /**
+   * Registra un codigo de verificacion nuevo
+   * @param {Object} datos
+   * @param {number} datos.documentoFirmaId - ID del documento
+   * @param {string|null} datos.recipientId - RecipientId (null si es de un solo firmante)
+   * @param {string} datos.telefono - Telefono al que se envio el codigo
+   * @param {string} datos.codigoHash - SHA-256 del codigo
+   * @param {number} datos.minutosExpiracion - Vigencia del codigo
+   * @returns {Promise<Object>} - Verificacion creada
+   */
+  async crear({ documentoFirmaId, recipientId, telefono, codigoHash, minutosExpiracion }) {
+    const timer = metrics.startTimer('db_crearVerificacionFirma');
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool
+          .request()
+          .input('DocumentoFirmaId', sql.Int, documentoFirmaId)
+          .input('RecipientId', sql.NVarChar, recipientId)
+          .input('Telefono', sql.NVarChar, telefono)
+          .input('CodigoHash', sql.NVarChar, codigoHash)
+          .input('MinutosExpiracion', sql.Int, minutosExpiracion).query(`
+            INSERT INTO VerificacionesFirma
+              (DocumentoFirmaId, RecipientId, Telefono, CodigoHash, FechaExpiracion)
+            OUTPUT INSERTED.*
+            VALUES
+              (@DocumentoFirmaId, @RecipientId, @Telefono, @CodigoHash,
+               DATEADD(MINUTE, @MinutosExpiracion, GETDATE()))
+          `);
+
+        return res.recordset[0];
+      });
+
+      this.logOperation('crear', true, { documentoFirmaId, recipientId });
+      timer.end({ success: true });
+      return result;
+    } catch (error) {
+      logger.error('Error registrando verificacion de firma', error, {
+        documentoFirmaId,
+        recipientId,
+        operation: 'crear',
+      });
+      metrics.recordError('db_crearVerificacionFirma_error', error.message);
+      timer.end({ error: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Obtiene el ultimo codigo emitido para un firmante
+   * Vigente y SegundosDesdeCreacion se calculan en SQL para no depender del reloj local
+   * @param {number} documentoFirmaId - ID del documento
+   * @param {string|null} recipientId - RecipientId (null si es de un solo firmante)
+   * @returns {Promise<Object|null>} - Verificacion o null si no hay ninguna
+   */
+  async obtenerUltima(documentoFirmaId, recipientId) {
+    const timer = metrics.startTimer('db_obtenerUltimaVerificacionFirma');
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool
+          .request()
+          .input('DocumentoFirmaId', sql.Int, documentoFirmaId)
+          .input('RecipientId', sql.NVarChar, recipientId).query(`
+            SELECT TOP 1
+              v.*,
+              CAST(CASE WHEN v.FechaExpiracion > GETDATE() THEN 1 ELSE 0 END AS BIT) AS Vigente,
+              DATEDIFF(SECOND, v.FechaCreacion, GETDATE()) AS SegundosDesdeCreacion
+            FROM VerificacionesFirma v
+            WHERE v.DocumentoFirmaId = @DocumentoFirmaId
+              AND (v.RecipientId = @RecipientId OR (v.RecipientId IS NULL AND @RecipientId IS NULL))
+            ORDER BY v.VerificacionId DESC
+          `);
+
+        return res.recordset[0] || null;
+      });
+
+      timer.end({ source: 'database', documentoFirmaId });
+      return result;
+    } catch (error) {
+      logger.error('Error obteniendo verificacion de firma', error, {
+        documentoFirmaId,
+        recipientId,
+        operation: 'obtenerUltima',
+      });
+      metrics.recordError('db_obtenerUltimaVerificacionFirma_error', error.message);
+      timer.end({ error: true });
+      return null;
+    }
+  }
+
+  /**
+   * Suma un intento fallido al codigo
+   * @param {number} verificacionId - ID de la verificacion
+   * @returns {Promise<number>} - Intentos fallidos acumulados
+   */
+  async registrarFallo(verificacionId) {
+    const timer = metrics.startTimer('db_registrarFalloVerificacionFirma');
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool.request().input('VerificacionId', sql.Int, verificacionId).query(`
+            UPDATE VerificacionesFirma
+            SET Intentos = Intentos + 1
+            OUTPUT INSERTED.Intentos
+            WHERE VerificacionId = @VerificacionId
+          `);
+
+        return res.recordset[0]?.Intentos ?? 0;
+      });
+
+      timer.end({ success: true });
+      return result;
+    } catch (error) {
+      logger.error('Error registrando intento fallido de verificacion', error, {
+        verificacionId,
+        operation: 'registrarFallo',
+      });
+      metrics.recordError('db_registrarFalloVerificacionFirma_error', error.message);
+      timer.end({ error: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Marca el codigo como usado
+   * Solo la primera peticion con el codigo correcto lo consume (evita reuso)
+   * @param {number} verificacionId - ID de la verificacion
+   * @returns {Promise<boolean>} - true si esta peticion consumio el codigo
+   */
+  async marcarVerificada(verificacionId) {
+    const timer = metrics.startTimer('db_marcarVerificacionFirma');
+
+    try {
+      const result = await this.executeQuery(async () => {
+        const pool = await this.getPool();
+
+        const res = await pool.request().input('VerificacionId', sql.Int, verificacionId).query(`
+            UPDATE VerificacionesFirma
+            SET Verificado = 1, FechaVerificacion = GETDATE()
+            WHERE VerificacionId = @VerificacionId AND Verificado = 0
+          `);
+
+        return res.rowsAffected[0] > 0;
+      });
+
+      this.logOperation('marcarVerificada', result, { verificacionId });
+      timer.end({ success: true });
+      return result;
+    } catch (error) {
+      logger.error('Error marcando verificacion de firma', error, {
+        verificacionId,
+        operation: 'marcarVerificada',
+      });
+      metrics.recordError('db_marcarVerificacionFirma_error', error.message);
+      timer.end({ error: true });
+      throw error;
+    }
+  }
+}
+
+// Singleton
+const instance = new VerificacionFirmaRepository();
+
+module.exports = instance;
@@ -6,17 +6,38 @@
 const SesionRepository = require('./SesionRepository');
 const DocumentoFirmaRepository = require('./DocumentoFirmaRepository');
 const EventoDocuSignRepository = require('./EventoDocuSignRepository');
+const FirmanteDocumentoRepository = require('./FirmanteDocumentoRepository');
+const LoteDocumentoRepository = require('./LoteDocumentoRepository');
+const TrabajoMasivoRepository = require('./TrabajoMasivoRepository');
+const SeguimientoRechazoRepository = require('./SeguimientoRechazoRepository');
+const PerfilTipoDocumentoRepository = require('./PerfilTipoDocumentoRepository');
+const VerificacionFirmaRepository = require('./VerificacionFirmaRepository');
+const IntentoNotificacionRepository = require('./IntentoNotificacionRepository');
 
 module.exports = {
   // Repositorios
   SesionRepository,
   DocumentoFirmaRepository,
   EventoDocuSignRepository,
+  FirmanteDocumentoRepository,
+  LoteDocumentoRepository,
+  TrabajoMasivoRepository,
+  SeguimientoRechazoRepository,
+  PerfilTipoDocumentoRepository,
+  VerificacionFirmaRepository,
+  IntentoNotificacionRepository,
 
   // Alias convenientes
   sesiones: SesionRepository,
   documentos: DocumentoFirmaRepository,
   eventosDocuSign: EventoDocuSignRepository,
+  firmantes: FirmanteDocumentoRepository,
+  lotes: LoteDocumentoRepository,
+  trabajosMasivos: TrabajoMasivoRepository,
+  seguimientosRechazo: SeguimientoRechazoRepository,
+  perfiles: PerfilTipoDocumentoRepository,
+  verificaciones: VerificacionFirmaRepository,
+  intentosNotificacion: IntentoNotificacionRepository,
 
   /**
    * Obtiene estadisticas de todos los caches
@@ -26,6 +47,13 @@ module.exports = {
       sesiones: SesionRepository.getCacheStats(),
       documentos: DocumentoFirmaRepository.getCacheStats(),
       eventosDocuSign: EventoDocuSignRepository.getCacheStats(),
+      firmantes: FirmanteDocumentoRepository.getCacheStats(),
+      lotes: LoteDocumentoRepository.getCacheStats(),
+      trabajosMasivos: TrabajoMasivoRepository.getCacheStats(),
+      seguimientosRechazo: SeguimientoRechazoRepository.getCacheStats(),
+      perfiles: PerfilTipoDocumentoRepository.getCacheStats(),
+      verificaciones: VerificacionFirmaRepository.getCacheStats(),
+      intentosNotificacion: IntentoNotificacionRepository.getCacheStats(),
     };
   },
 
@@ -37,6 +65,13 @@ module.exports = {
       sesiones: SesionRepository.clearCache(),
       documentos: DocumentoFirmaRepository.clearCache(),
       eventosDocuSign: EventoDocuSignRepository.clearCache(),
+      firmantes: FirmanteDocumentoRepository.clearCache(),
+      lotes: LoteDocumentoRepository.clearCache(),
+      trabajosMasivos: TrabajoMasivoRepository.clearCache(),
+      seguimientosRechazo: SeguimientoRechazoRepository.clearCache(),
+      perfiles: PerfilTipoDocumentoRepository.clearCache(),
+      verificaciones: VerificacionFirmaRepository.clearCache(),
+      intentosNotificacion: IntentoNotificacionRepository.clearCache(),
     };
   },
 
@@ -47,5 +82,12 @@ module.exports = {
     SesionRepository.stopCacheCleanup();
     DocumentoFirmaRepository.stopCacheCleanup();
     EventoDocuSignRepository.stopCacheCleanup();
+    FirmanteDocumentoRepository.stopCacheCleanup();
+    LoteDocumentoRepository.stopCacheCleanup();
+    TrabajoMasivoRepository.stopCacheCleanup();
+    SeguimientoRechazoRepository.stopCacheCleanup();
+    PerfilTipoDocumentoRepository.stopCacheCleanup();
+    VerificacionFirmaRepository.stopCacheCleanup();
+    IntentoNotificacionRepository.stopCacheCleanup();
   },
 };
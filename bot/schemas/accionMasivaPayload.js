@@ -0,0 +1,79 @@
+/**
+ * SIGN BOT - Schema de Validacion para Acciones Masivas sobre Documentos
+ * Valida el payload de POST /api/admin/documents/bulk
+ * Los documentos se indican con documentoIds o con los filtros de listar, no ambos
+ */
+
+const { z } = require('zod');
+const { ACCION_MASIVA, ESTADO_DOCUMENTO } = require('../constants/documentStates');
+
+// Mismo limite que config.bulkActions.maxDocumentos (parametros por query de SQL Server)
+const MAX_DOCUMENTO_IDS = 500;
+
+// Fecha ISO (YYYY-MM-DD o fecha y hora) valida para new Date()
+const fechaSchema = z
+  .string()
+  .max(30)
+  .refine((valor) => !isNaN(Date.parse(valor)), { message: 'Fecha invalida' });
+
+// Mismos filtros que DocumentoFirmaRepository.listar
+const filtrosSchema = z
+  .object({
+    estado: z.enum(Object.values(ESTADO_DOCUMENTO)).optional(),
+    tipo: z.string().min(1).max(50).optional(),
+    telefono: z
+      .string()
+      .regex(/^\d{10,15}$/)
+      .optional(),
+    fechaDesde: fechaSchema.optional(),
+    fechaHasta: fechaSchema.optional(),
+  })
+  .refine((filtros) => Object.values(filtros).some(Boolean), {
+    message: 'Se requiere al menos un filtro',
+  });
+
+const accionMasivaPayload = z
+  .object({
+    accion: z.enum(Object.values(ACCION_MASIVA)),
+    documentoIds: z
+      .array(z.coerce.number().int().positive())
+      .min(1)
+      .max(MAX_DOCUMENTO_IDS)
+      .optional(),
+    filtros: filtrosSchema.optional(),
+    reason: z.string().max(500).optional(),
+    dryRun: z.boolean().default(false),
+  })
+  .refine((payload) => Boolean(payload.documentoIds) !== Boolean(payload.filtros), {
+    message: 'Indica documentoIds o filtros (solo uno de los dos)',
+    path: ['documentoIds'],
+  });
+
+/**
+ * Valida la solicitud de una accion masiva
+ * Los documentoIds repetidos se eliminan.
+ * @param {Object} payload - Payload a validar
+ * @returns {{ success: boolean, data?: Object, error?: string }}
+ */
+function validateAccionMasivaPayload(payload) {
+  const result = accionMasivaPayload.safeParse(payload);
+  if (result.success) {
+    const { documentoIds } = result.data;
+    return {
+      success: true,
+      data: documentoIds
+        ? { ...result.data, documentoIds: [...new Set(documentoIds)] }
+        : result.data,
+    };
+  }
+
+  return {
+    success: false,
+    error: result.error.issues.map((e) => `${e.path.join('.')}: ${e.message}`).join(', '),
+  };
+}
+
+module.exports = {
+  accionMasivaPayload,
+  validateAccionMasivaPayload,
+};
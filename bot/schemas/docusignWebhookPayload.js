@@ -84,6 +84,7 @@ function extractDocusignEventData(payload) {
     const accountId = data?.accountId;
     const status = data?.envelopeSummary?.status;
     const voidedReason = data?.envelopeSummary?.voidedReason;
+    const recipientId = data?.recipientId ? String(data.recipientId) : null;
 
     return {
       event,
@@ -91,6 +92,7 @@ function extractDocusignEventData(payload) {
       accountId,
       status,
       voidedReason,
+      recipientId,
     };
   } catch {
     return null;
@@ -5,6 +5,11 @@
 const webhookPayload = require('./webhookPayload');
 const sapDocumentPayload = require('./sapDocumentPayload');
 const docusignWebhookPayload = require('./docusignWebhookPayload');
+const perfilTipoDocumentoPayload = require('./perfilTipoDocumentoPayload');
+const reenvioDocumentoPayload = require('./reenvioDocumentoPayload');
+const reemplazoDocumentoPayload = require('./reemplazoDocumentoPayload');
+const accionMasivaPayload = require('./accionMasivaPayload');
+const seguimientoRechazoPayload = require('./seguimientoRechazoPayload');
 
 module.exports = {
   // Webhook de WhatsApp
@@ -15,4 +20,19 @@ module.exports = {
 
   // Webhook de DocuSign Connect
   ...docusignWebhookPayload,
+
+  // Perfiles por tipo de documento (API admin)
+  ...perfilTipoDocumentoPayload,
+
+  // Reenvio de la notificacion de firma (API admin)
+  ...reenvioDocumentoPayload,
+
+  // Reemplazo del PDF de un documento (API admin)
+  ...reemplazoDocumentoPayload,
+
+  // Acciones masivas sobre documentos (API admin)
+  ...accionMasivaPayload,
+
+  // Seguimiento de rechazos (API admin)
+  ...seguimientoRechazoPayload,
 };
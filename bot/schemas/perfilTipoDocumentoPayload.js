@@ -0,0 +1,56 @@
+/**
+ * SIGN BOT - Schema de Validacion para Perfiles por Tipo de Documento
+ * Valida el payload de POST /api/admin/profiles/update
+ */
+
+const { z } = require('zod');
+const {
+  tabsSchema,
+  calendarioRecordatoriosSchema,
+  datosFirmanteSchema,
+} = require('./sapDocumentPayload');
+const { VERIFICACION_IDENTIDAD } = require('../constants/documentStates');
+
+// Schema del perfil. null (u omitido) = usar la configuracion global
+const perfilTipoDocumentoPayload = z.object({
+  tipoDocumento: z.enum(['CONTRATO', 'ADENDUM', 'PAGARE', 'OTRO']),
+  // Template aprobado en Meta con los mismos parametros que firma_envio
+  templateEnvio: z
+    .string()
+    .regex(/^[a-z0-9_]{1,100}$/)
+    .nullable()
+    .optional(),
+  diasExpiracion: z.number().int().min(1).max(999).nullable().optional(),
+  horasRecordatorio: z.number().int().min(1).max(720).nullable().optional(),
+  maxRecordatorios: z.number().int().min(1).max(20).nullable().optional(),
+  // Sin calendario los recordatorios salen cada horasRecordatorio
+  calendarioRecordatorios: calendarioRecordatoriosSchema.nullable().optional(),
+  diasHousekeeping: z.number().int().min(7).max(365).nullable().optional(),
+  emailRequerido: z.boolean().optional(),
+  tabs: tabsSchema.nullable().optional(),
+  verificacionIdentidad: z.enum(Object.values(VERIFICACION_IDENTIDAD)).nullable().optional(),
+  // Datos que se piden al cliente por WhatsApp si SAP no los envia o no son validos
+  datosRequeridos: datosFirmanteSchema.nullable().optional(),
+});
+
+/**
+ * Valida el perfil de un tipo de documento
+ * @param {Object} payload - Payload a validar
+ * @returns {{ success: boolean, data?: Object, error?: string }}
+ */
+function validatePerfilTipoDocumentoPayload(payload) {
+  const result = perfilTipoDocumentoPayload.safeParse(payload);
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+
+  return {
+    success: false,
+    error: result.error.issues.map((e) => `${e.path.join('.')}: ${e.message}`).join(', '),
+  };
+}
+
+module.exports = {
+  perfilTipoDocumentoPayload,
+  validatePerfilTipoDocumentoPayload,
+};
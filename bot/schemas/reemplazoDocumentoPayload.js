@@ -0,0 +1,36 @@
+/**
+ * SIGN BOT - Schema de Validacion para Reemplazo del PDF de un Documento
+ * Valida el payload de POST /api/admin/documents/replace
+ * El contenido del PDF (magic bytes y tamano) se valida con decodeAndValidatePdf
+ */
+
+const { z } = require('zod');
+
+const reemplazoDocumentoPayload = z.object({
+  documentoId: z.coerce.number().int().positive(),
+  pdfBase64: z.string().min(1),
+  documentoNombre: z.string().min(1).max(500).optional(),
+  reason: z.string().max(500).optional(),
+});
+
+/**
+ * Valida la solicitud de reemplazo del PDF de un documento
+ * @param {Object} payload - Payload a validar
+ * @returns {{ success: boolean, data?: Object, error?: string }}
+ */
+function validateReemplazoDocumentoPayload(payload) {
+  const result = reemplazoDocumentoPayload.safeParse(payload);
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+
+  return {
+    success: false,
+    error: result.error.issues.map((e) => `${e.path.join('.')}: ${e.message}`).join(', '),
+  };
+}
+
+module.exports = {
+  reemplazoDocumentoPayload,
+  validateReemplazoDocumentoPayload,
+};
@@ -0,0 +1,39 @@
+/**
+ * SIGN BOT - Schema de Validacion para Reenvio de Notificacion de Firma
+ * Valida el payload de POST /api/admin/documents/resend
+ */
+
+const { z } = require('zod');
+
+// Telefono y email son opcionales: solo se envian si hay que corregirlos
+const reenvioDocumentoPayload = z.object({
+  documentoId: z.coerce.number().int().positive(),
+  telefono: z
+    .string()
+    .regex(/^\d{10,15}$/)
+    .optional(),
+  email: z.string().email().max(200).optional(),
+  reason: z.string().max(500).optional(),
+});
+
+/**
+ * Valida la solicitud de reenvio de la notificacion de firma
+ * @param {Object} payload - Payload a validar
+ * @returns {{ success: boolean, data?: Object, error?: string }}
+ */
+function validateReenvioDocumentoPayload(payload) {
+  const result = reenvioDocumentoPayload.safeParse(payload);
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+
+  return {
+    success: false,
+    error: result.error.issues.map((e) => `${e.path.join('.')}: ${e.message}`).join(', '),
+  };
+}
+
+module.exports = {
+  reenvioDocumentoPayload,
+  validateReenvioDocumentoPayload,
+};
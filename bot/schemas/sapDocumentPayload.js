@@ -4,20 +4,178 @@
  */
 
 const { z } = require('zod');
+const { TIPO_TAB, CANAL_NOTIFICACION, DATO_FIRMANTE } = require('../constants/documentStates');
 
-// Schema para el payload de documento de SAP
-const sapDocumentPayload = z.object({
+// Schema para un firmante de documento multi-firmante
+const firmanteSchema = z.object({
+  telefono: z.string().regex(/^\d{10,15}$/),
+  nombre: z.string().min(1).max(200),
+  email: z.string().email().optional(),
+  rol: z.enum(['CLIENTE', 'AVAL', 'CONTRAFIRMA']),
+});
+
+/**
+ * Un tab se posiciona por anchor (texto en el PDF) o por coordenadas absolutas
+ * (pagina o todasLasPaginas, mas x/y en pixeles), nunca por ambos
+ */
+function tienePosicionValida(tab) {
+  const coordenadas = [tab.pagina, tab.todasLasPaginas, tab.x, tab.y];
+  if (tab.anchor) {
+    return coordenadas.every((valor) => valor === undefined);
+  }
+  const tienePagina = tab.pagina !== undefined || tab.todasLasPaginas === true;
+  return tienePagina && tab.x !== undefined && tab.y !== undefined;
+}
+
+// Schema para un tab de DocuSign (firma, iniciales, fecha, texto, casilla, nombre)
+const tabSchema = z
+  .object({
+    tipo: z.enum(Object.values(TIPO_TAB)),
+    // Posicion (1-based) del firmante en `firmantes`; 1 si es de un solo firmante
+    firmante: z.number().int().min(1).max(10).default(1),
+    anchor: z.string().min(1).max(100).optional(),
+    offsetX: z.number().int().optional(),
+    offsetY: z.number().int().optional(),
+    pagina: z.number().int().min(1).optional(),
+    todasLasPaginas: z.boolean().optional(),
+    x: z.number().int().min(0).optional(),
+    y: z.number().int().min(0).optional(),
+    etiqueta: z.string().min(1).max(100).optional(),
+    valor: z.string().max(500).optional(),
+    requerido: z.boolean().optional(),
+  })
+  .refine(tienePosicionValida, {
+    message: 'cada tab requiere anchor o pagina/x/y (no ambos)',
+  });
+
+// Lista de tabs del envelope. Si se omite se usan las anclas por rol
+const tabsSchema = z.array(tabSchema).min(1).max(50);
+
+/**
+ * Calendario de recordatorios al cliente: dias (desde el envio) de los primeros
+ * recordatorios y cada cuantos dias repetir despues del ultimo
+ * Ej. { dias: [1, 3, 7], repetirCadaDias: 3 } = dia 1, 3, 7, 10, 13...
+ */
+const calendarioRecordatoriosSchema = z.object({
+  dias: z
+    .array(z.number().int().min(1).max(365))
+    .min(1)
+    .max(20)
+    .refine((dias) => dias.every((dia, i) => i === 0 || dia > dias.at(i - 1)), {
+      message: 'dias debe ser una lista creciente',
+    }),
+  repetirCadaDias: z.number().int().min(1).max(90).nullable().optional(),
+});
+
+// Datos del firmante que se piden al cliente por WhatsApp (EMAIL, RFC, NOMBRE_LEGAL), sin repetir
+const datosFirmanteSchema = z
+  .array(z.enum(Object.values(DATO_FIRMANTE)))
+  .max(Object.keys(DATO_FIRMANTE).length)
+  .refine((datos) => new Set(datos).size === datos.length, {
+    message: 'no debe repetir datos',
+  });
+
+/**
+ * Verifica que una zona horaria IANA exista (ej. America/Tijuana)
+ */
+function esZonaHorariaValida(zonaHoraria) {
+  try {
+    Intl.DateTimeFormat('es-MX', { timeZone: zonaHoraria });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Datos libres de SAP; calendarioRecordatorios y zonaHoraria sobrescriben el calendario
+// del perfil y la zona horaria de la ventana de envio de los recordatorios
+const datosExtraSchema = z
+  .object({
+    calendarioRecordatorios: calendarioRecordatoriosSchema.optional(),
+    zonaHoraria: z
+      .string()
+      .refine(esZonaHorariaValida, { message: 'zona horaria no valida' })
+      .optional(),
+  })
+  .catchall(z.unknown());
+
+/**
+ * Cada tab debe apuntar a un firmante de la lista (1 si el documento es de un solo firmante)
+ */
+function tabsCorrespondenAFirmantes(payload) {
+  return (
+    !payload.tabs || payload.tabs.every((tab) => tab.firmante <= (payload.firmantes?.length || 1))
+  );
+}
+
+const TABS_SIN_FIRMANTE = {
+  message: 'tabs.firmante no corresponde a ningun firmante',
+  path: ['tabs'],
+};
+
+// Hosts a los que no se envian callbacks (SSRF): localhost, loopback, redes privadas y link-local
+const HOSTS_CALLBACK_BLOQUEADOS =
+  /^(localhost|127\.\d+\.\d+\.\d+|10\.\d+\.\d+\.\d+|192\.168\.\d+\.\d+|172\.(1[6-9]|2\d|3[01])\.\d+\.\d+|169\.254\.\d+\.\d+|0\.0\.0\.0|\[::1?\])$/i;
+
+/**
+ * La URL de callback debe ser http(s) y no apuntar a un host interno
+ * (sapCallbackService le envia POSTs firmados)
+ */
+function esCallbackUrlPermitida(url) {
+  try {
+    // eslint-disable-next-line no-undef
+    const parsed = new URL(url);
+    return (
+      ['http:', 'https:'].includes(parsed.protocol) &&
+      !HOSTS_CALLBACK_BLOQUEADOS.test(parsed.hostname)
+    );
+  } catch (_e) {
+    return false;
+  }
+}
+
+// Campos del payload de documento de SAP
+const sapDocumentFields = z.object({
   sapDocumentId: z.string().min(1).max(100),
-  sapCallbackUrl: z.string().url().optional(),
+  sapCallbackUrl: z
+    .string()
+    .url()
+    .refine(esCallbackUrlPermitida, { message: 'host o protocolo no permitido' })
+    .optional(),
   clienteTelefono: z.string().regex(/^\d{10,15}$/),
   clienteNombre: z.string().min(1).max(200),
   clienteEmail: z.string().email().optional(),
+  // El formato se revisa al procesar: un RFC invalido se pide al cliente, no es un 400
+  clienteRfc: z.string().min(1).max(20).optional(),
+  // Datos que SAP tiene pero pueden estar desactualizados: se confirman con el cliente
+  datosPorConfirmar: datosFirmanteSchema.optional(),
   tipoDocumento: z.enum(['CONTRATO', 'ADENDUM', 'PAGARE', 'OTRO']).default('OTRO'),
   documentoNombre: z.string().min(1).max(500),
   pdfBase64: z.string().min(1), // Base64 encoded PDF
-  datosExtra: z.record(z.string(), z.unknown()).optional(),
+  datosExtra: datosExtraSchema.optional(),
+  // Firmantes en orden de firma (routingOrder). Si se omite, firma solo el cliente
+  firmantes: z.array(firmanteSchema).min(1).max(10).optional(),
+  tabs: tabsSchema.optional(),
+  // Canal por el que se intenta primero notificar al firmante (despues, el orden configurado)
+  canalPreferido: z.enum(Object.values(CANAL_NOTIFICACION)).optional(),
 });
 
+// Schema para el payload de documento de SAP
+const sapDocumentPayload = sapDocumentFields.refine(tabsCorrespondenAFirmantes, TABS_SIN_FIRMANTE);
+
+// Campos opcionales de firma (datos del firmante, calendario de recordatorios, firmantes,
+// tabs y canal) que el endpoint sincrono valida con este schema despues de sus validaciones propias
+const opcionesFirmaSchema = sapDocumentFields
+  .pick({
+    clienteRfc: true,
+    datosPorConfirmar: true,
+    datosExtra: true,
+    firmantes: true,
+    tabs: true,
+    canalPreferido: true,
+  })
+  .refine(tabsCorrespondenAFirmantes, TABS_SIN_FIRMANTE);
+
 /**
  * Valida el payload de un documento enviado por SAP
  * @param {Object} payload - Payload a validar
@@ -28,8 +186,9 @@ function validateSapDocumentPayload(payload) {
     const result = sapDocumentPayload.parse(payload);
     return { success: true, data: result };
   } catch (error) {
+    // zod v4 expone los detalles en `issues` (v3: `errors`)
     const errorMessage =
-      error.errors?.map((e) => `${e.path.join('.')}: ${e.message}`).join(', ') ||
+      (error.issues || error.errors)?.map((e) => `${e.path.join('.')}: ${e.message}`).join(', ') ||
       'Payload invalido';
     return {
       success: false,
@@ -39,6 +198,14 @@ function validateSapDocumentPayload(payload) {
 }
 
 module.exports = {
+  firmanteSchema,
+  tabSchema,
+  tabsSchema,
+  calendarioRecordatoriosSchema,
+  datosFirmanteSchema,
+  datosExtraSchema,
   sapDocumentPayload,
+  opcionesFirmaSchema,
+  HOSTS_CALLBACK_BLOQUEADOS,
   validateSapDocumentPayload,
 };
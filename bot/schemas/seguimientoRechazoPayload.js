@@ -0,0 +1,83 @@
+/**
+ * SIGN BOT - Schema de Validacion para Seguimientos de Rechazo
+ * Valida los payloads de POST /api/admin/rejections/assign, /comment y /close
+ */
+
+const { z } = require('zod');
+
+const seguimientoIdSchema = z.coerce.number().int().positive();
+
+// Usuario de back-office (nombre o email del agente del dashboard)
+const usuarioSchema = z.string().trim().min(1).max(200);
+
+const asignacionSeguimientoPayload = z.object({
+  seguimientoId: seguimientoIdSchema,
+  asignadoA: usuarioSchema,
+  usuario: usuarioSchema.optional(),
+});
+
+const comentarioSeguimientoPayload = z.object({
+  seguimientoId: seguimientoIdSchema,
+  comentario: z.string().trim().min(1).max(2000),
+  autor: usuarioSchema.optional(),
+});
+
+const cierreSeguimientoPayload = z.object({
+  seguimientoId: seguimientoIdSchema,
+  resolucion: z.string().trim().min(1).max(1000),
+  usuario: usuarioSchema.optional(),
+});
+
+/**
+ * Valida un payload con el schema indicado
+ * @param {import('zod').ZodType} schema
+ * @param {Object} payload - Payload a validar
+ * @returns {{ success: boolean, data?: Object, error?: string }}
+ */
+function validar(schema, payload) {
+  const result = schema.safeParse(payload);
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+
+  return {
+    success: false,
+    error: result.error.issues.map((e) => `${e.path.join('.')}: ${e.message}`).join(', '),
+  };
+}
+
+/**
+ * Valida la asignacion de un seguimiento a un usuario de back-office
+ * @param {Object} payload - Payload a validar
+ * @returns {{ success: boolean, data?: Object, error?: string }}
+ */
+function validateAsignacionSeguimientoPayload(payload) {
+  return validar(asignacionSeguimientoPayload, payload);
+}
+
+/**
+ * Valida un comentario sobre un seguimiento
+ * @param {Object} payload - Payload a validar
+ * @returns {{ success: boolean, data?: Object, error?: string }}
+ */
+function validateComentarioSeguimientoPayload(payload) {
+  return validar(comentarioSeguimientoPayload, payload);
+}
+
+/**
+ * Valida el cierre de un seguimiento con su resolucion
+ * @param {Object} payload - Payload a validar
+ * @returns {{ success: boolean, data?: Object, error?: string }}
+ */
+function validateCierreSeguimientoPayload(payload) {
+  return validar(cierreSeguimientoPayload, payload);
+}
+
+module.exports = {
+  asignacionSeguimientoPayload,
+  comentarioSeguimientoPayload,
+  cierreSeguimientoPayload,
+  validateAsignacionSeguimientoPayload,
+  validateComentarioSeguimientoPayload,
+  validateCierreSeguimientoPayload,
+};
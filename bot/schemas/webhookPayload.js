@@ -35,6 +35,12 @@ const interactiveMessageSchema = z.object({
     .optional(),
 });
 
+// Schema para quick reply de un template (type: 'button')
+const templateButtonSchema = z.object({
+  payload: z.string(),
+  text: z.string().optional(),
+});
+
 // Schema para ubicacion
 const locationSchema = z.object({
   latitude: z.number(),
@@ -58,6 +64,7 @@ const messageSchema = z.object({
     'text',
     'image',
     'interactive',
+    'button',
     'location',
     'audio',
     'video',
@@ -69,6 +76,7 @@ const messageSchema = z.object({
   text: textMessageSchema.optional(),
   image: imageMessageSchema.optional(),
   interactive: interactiveMessageSchema.optional(),
+  button: templateButtonSchema.optional(),
   location: locationSchema.optional(),
   audio: audioMessageSchema.optional(),
 });
@@ -150,6 +158,7 @@ module.exports = {
   textMessageSchema,
   imageMessageSchema,
   interactiveMessageSchema,
+  templateButtonSchema,
   locationSchema,
   audioMessageSchema,
   validateWebhookPayload,
@@ -29,6 +29,11 @@ const OPTIONAL_ENV_VARS = [
   'FIRMA_REMINDER_DAYS_SAP',
   'FIRMA_HOUSEKEEPING_DAYS',
   'FIRMA_TIMER_SCHEDULE',
+  // CALLBACKS SAP
+  'SAP_CALLBACK_SECRET',
+  'SAP_CALLBACK_MAX_INTENTOS',
+  'SAP_BATCH_MAX_DOCUMENTOS',
+  'SAP_DOCUMENT_ASYNC',
   // STORAGE
   'BLOB_CONNECTION_STRING',
   // SESIONES
@@ -131,6 +136,12 @@ const blob = {
     8760
   ),
 
+  // Links de descarga del API admin (PDF original, firmado y certificado): 1-60 min
+  downloadSasMinutes: Math.min(
+    Math.max(1, parseInt(process.env.BLOB_DOWNLOAD_SAS_MINUTES || '15', 10) || 15),
+    60
+  ),
+
   maxPdfSizeMB: parseInt(process.env.MAX_PDF_SIZE_MB || '25', 10),
 };
 
@@ -147,6 +158,7 @@ const whatsapp = {
   timeout: {
     defaultMs: 10000,
     mediaDownloadMs: 30000,
+    mediaUploadMs: 30000,
   },
 
   retry: {
@@ -209,6 +221,42 @@ const firma = {
   reminderDaysSap: parseInt(process.env.FIRMA_REMINDER_DAYS_SAP || '7', 10),
   housekeepingDays: parseInt(process.env.FIRMA_HOUSEKEEPING_DAYS || '30', 10),
   timerSchedule: process.env.FIRMA_TIMER_SCHEDULE || '0 0 * * * *',
+
+  // Cuando salen los recordatorios al cliente (el calendario va en el perfil de cada tipo)
+  recordatorios: {
+    // Zona horaria de la ventana de envio si el documento no trae datosExtra.zonaHoraria
+    zonaHoraria: process.env.FIRMA_REMINDER_TIMEZONE || 'America/Mexico_City',
+    // Ventana de envio en hora local del cliente: [horaInicio, horaFin)
+    horaInicio: parseInt(process.env.FIRMA_REMINDER_HORA_INICIO || '9', 10),
+    horaFin: parseInt(process.env.FIRMA_REMINDER_HORA_FIN || '20', 10),
+    // Dias inhabiles ademas de los oficiales (YYYY-MM-DD separados por coma)
+    diasInhabiles: (process.env.FIRMA_REMINDER_DIAS_INHABILES || '')
+      .split(',')
+      .map((dia) => dia.trim())
+      .filter(Boolean),
+  },
+
+  // Verificacion de identidad por defecto (tipos sin VerificacionIdentidad en su perfil)
+  verificacionIdentidad: process.env.FIRMA_VERIFICACION_IDENTIDAD || 'NINGUNA',
+
+  // Codigo de verificacion enviado por WhatsApp (OTP_WHATSAPP)
+  otp: {
+    expiracionMinutos: parseInt(process.env.FIRMA_OTP_EXPIRATION_MINUTES || '10', 10),
+    maxIntentos: parseInt(process.env.FIRMA_OTP_MAX_INTENTOS || '5', 10),
+    // Tiempo minimo entre reenvios del codigo
+    reenvioSegundos: 60,
+  },
+
+  // Enlaces de firma /api/firma/{token} enviados en el boton URL de los templates
+  enlace: {
+    // Secreto HMAC-SHA256 de los tokens
+    secret: process.env.FIRMA_LINK_SECRET,
+    expiracionDias: parseInt(process.env.FIRMA_LINK_EXPIRATION_DAYS || '30', 10),
+    // Aceptar los enlaces numericos /api/firma/{documentoId} enviados antes de los tokens
+    permitirNumericos: process.env.FIRMA_LINK_ALLOW_NUMERIC !== 'false',
+    // URL publica de /api/firma para los enlaces enviados por email y SMS
+    baseUrl: (process.env.FIRMA_LINK_BASE_URL || '').replace(/\/+$/, ''),
+  },
 };
 
 // Validar configuracion de firma
@@ -227,6 +275,202 @@ if (isNaN(firma.housekeepingDays) || firma.housekeepingDays < 7) {
   firma.housekeepingDays = 30;
 }
 
+try {
+  Intl.DateTimeFormat('es-MX', { timeZone: firma.recordatorios.zonaHoraria });
+} catch {
+  console.warn('[CONFIG] WARN: FIRMA_REMINDER_TIMEZONE invalido, usando America/Mexico_City');
+  firma.recordatorios.zonaHoraria = 'America/Mexico_City';
+}
+
+const { horaInicio, horaFin } = firma.recordatorios;
+if (
+  isNaN(horaInicio) ||
+  isNaN(horaFin) ||
+  horaInicio < 0 ||
+  horaFin > 24 ||
+  horaInicio >= horaFin
+) {
+  console.warn(
+    '[CONFIG] WARN: FIRMA_REMINDER_HORA_INICIO/FIN invalidos, usando ventana de 9 a 20 horas'
+  );
+  firma.recordatorios.horaInicio = 9;
+  firma.recordatorios.horaFin = 20;
+}
+
+const diasInhabilesInvalidos = firma.recordatorios.diasInhabiles.filter(
+  (dia) => !/^\d{4}-\d{2}-\d{2}$/.test(dia)
+);
+if (diasInhabilesInvalidos.length > 0) {
+  console.warn(
+    `[CONFIG] WARN: FIRMA_REMINDER_DIAS_INHABILES con fechas invalidas (${diasInhabilesInvalidos.join(', ')}), se ignoran`
+  );
+  firma.recordatorios.diasInhabiles = firma.recordatorios.diasInhabiles.filter(
+    (dia) => !diasInhabilesInvalidos.includes(dia)
+  );
+}
+
+if (!['NINGUNA', 'OTP_WHATSAPP', 'SMS_DOCUSIGN'].includes(firma.verificacionIdentidad)) {
+  console.warn('[CONFIG] WARN: FIRMA_VERIFICACION_IDENTIDAD invalido, usando default NINGUNA');
+  firma.verificacionIdentidad = 'NINGUNA';
+}
+
+if (isNaN(firma.otp.expiracionMinutos) || firma.otp.expiracionMinutos < 1) {
+  console.warn(
+    '[CONFIG] WARN: FIRMA_OTP_EXPIRATION_MINUTES invalido, usando default de 10 minutos'
+  );
+  firma.otp.expiracionMinutos = 10;
+}
+
+if (isNaN(firma.otp.maxIntentos) || firma.otp.maxIntentos < 1) {
+  console.warn('[CONFIG] WARN: FIRMA_OTP_MAX_INTENTOS invalido, usando default de 5');
+  firma.otp.maxIntentos = 5;
+}
+
+if (isNaN(firma.enlace.expiracionDias) || firma.enlace.expiracionDias < 1) {
+  console.warn('[CONFIG] WARN: FIRMA_LINK_EXPIRATION_DAYS invalido, usando default de 30 dias');
+  firma.enlace.expiracionDias = 30;
+}
+
+if (!firma.enlace.secret && process.env.NODE_ENV === 'production') {
+  console.error(
+    '[CONFIG] ERROR: FIRMA_LINK_SECRET no configurado en produccion: los enlaces de firma usaran el documentoId y se pueden adivinar'
+  );
+} else if (!firma.enlace.secret && !firma.enlace.permitirNumericos) {
+  console.warn(
+    '[CONFIG] WARN: FIRMA_LINK_SECRET no configurado y FIRMA_LINK_ALLOW_NUMERIC=false: los enlaces de firma no funcionaran'
+  );
+}
+
+// ============================================================================
+// CONFIGURACION DE NOTIFICACIONES (WHATSAPP, EMAIL, SMS)
+// ============================================================================
+
+const CANALES_NOTIFICACION = ['WHATSAPP', 'EMAIL', 'SMS'];
+
+const notificaciones = {
+  // Orden en que se intentan los canales (despues del canal preferido del documento)
+  ordenCanales: (process.env.NOTIFICATION_CHANNEL_ORDER || 'WHATSAPP,EMAIL,SMS')
+    .split(',')
+    .map((canal) => canal.trim().toUpperCase())
+    .filter(Boolean),
+
+  // Email por SMTP
+  email: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD,
+    from: process.env.SMTP_FROM,
+    timeoutMs: 15000,
+  },
+
+  // SMS por un proveedor HTTP generico (POST JSON { to, from, message })
+  sms: {
+    apiUrl: process.env.SMS_API_URL,
+    apiKey: process.env.SMS_API_KEY,
+    remitente: process.env.SMS_SENDER,
+    timeoutMs: 10000,
+  },
+};
+
+if (
+  notificaciones.ordenCanales.length === 0 ||
+  !notificaciones.ordenCanales.every((canal) => CANALES_NOTIFICACION.includes(canal))
+) {
+  console.warn(
+    '[CONFIG] WARN: NOTIFICATION_CHANNEL_ORDER invalido, usando default WHATSAPP,EMAIL,SMS'
+  );
+  notificaciones.ordenCanales = [...CANALES_NOTIFICACION];
+}
+
+if (isNaN(notificaciones.email.port) || notificaciones.email.port < 1) {
+  console.warn('[CONFIG] WARN: SMTP_PORT invalido, usando default 587');
+  notificaciones.email.port = 587;
+}
+
+if ((notificaciones.email.host || notificaciones.sms.apiUrl) && !firma.enlace.baseUrl) {
+  console.warn(
+    '[CONFIG] WARN: FIRMA_LINK_BASE_URL no configurado: el envio y los recordatorios de firma solo saldran por WhatsApp'
+  );
+}
+
+// ============================================================================
+// CONFIGURACION DE CALLBACKS A SAP
+// ============================================================================
+
+const sapCallback = {
+  // Secreto compartido con SAP para firmar (HMAC-SHA256) los callbacks de estado
+  secret: process.env.SAP_CALLBACK_SECRET,
+
+  // Despachos fallidos permitidos antes de dejar de reintentar (columna IntentosSap)
+  maxIntentos: parseInt(process.env.SAP_CALLBACK_MAX_INTENTOS || '5', 10),
+
+  timeoutMs: 10000,
+
+  // Reintentos dentro de un mismo despacho
+  retry: {
+    maxRetries: 2,
+    baseDelayMs: 1000,
+    maxDelayMs: 8000,
+  },
+};
+
+if (isNaN(sapCallback.maxIntentos) || sapCallback.maxIntentos < 1) {
+  console.warn('[CONFIG] WARN: SAP_CALLBACK_MAX_INTENTOS invalido, usando default de 5');
+  sapCallback.maxIntentos = 5;
+}
+
+// ============================================================================
+// CONFIGURACION DE INGESTA SAP (POST /api/sap-document)
+// ============================================================================
+
+const sapDocument = {
+  // true: el endpoint solo registra el documento (PENDIENTE_ENVIO) y responde 202;
+  // el envelope y el WhatsApp se procesan desde la cola (requiere Service Bus)
+  asyncEnabled: process.env.SAP_DOCUMENT_ASYNC === 'true',
+};
+
+// ============================================================================
+// CONFIGURACION DE LOTES SAP (POST /api/sap-document/batch)
+// ============================================================================
+
+const sapBatch = {
+  // Documentos maximos por lote (limitado por los parametros por query de SQL Server)
+  maxDocumentos: parseInt(process.env.SAP_BATCH_MAX_DOCUMENTOS || '100', 10),
+};
+
+if (isNaN(sapBatch.maxDocumentos) || sapBatch.maxDocumentos < 1 || sapBatch.maxDocumentos > 500) {
+  console.warn('[CONFIG] WARN: SAP_BATCH_MAX_DOCUMENTOS invalido (1-500), usando default de 100');
+  sapBatch.maxDocumentos = 100;
+}
+
+// ============================================================================
+// CONFIGURACION DE ACCIONES MASIVAS (POST /api/admin/documents/bulk)
+// ============================================================================
+
+const bulkActions = {
+  // Documentos maximos por trabajo (limitado por los parametros por query de SQL Server)
+  maxDocumentos: parseInt(process.env.BULK_ACTION_MAX_DOCUMENTOS || '500', 10),
+  // Separacion entre documentos: cada mensaje se programa en Service Bus con este desfase
+  // para no rebasar los limites de DocuSign y WhatsApp
+  intervaloMs: parseInt(process.env.BULK_ACTION_INTERVALO_MS || '1500', 10),
+};
+
+if (
+  isNaN(bulkActions.maxDocumentos) ||
+  bulkActions.maxDocumentos < 1 ||
+  bulkActions.maxDocumentos > 500
+) {
+  console.warn('[CONFIG] WARN: BULK_ACTION_MAX_DOCUMENTOS invalido (1-500), usando default de 500');
+  bulkActions.maxDocumentos = 500;
+}
+
+if (isNaN(bulkActions.intervaloMs) || bulkActions.intervaloMs < 0) {
+  console.warn('[CONFIG] WARN: BULK_ACTION_INTERVALO_MS invalido, usando default de 1500');
+  bulkActions.intervaloMs = 1500;
+}
+
 // ============================================================================
 // CONFIGURACION DE RATE LIMITING
 // ============================================================================
@@ -358,6 +602,11 @@ module.exports = {
   whatsapp,
   docusign,
   firma,
+  notificaciones,
+  sapCallback,
+  sapDocument,
+  sapBatch,
+  bulkActions,
   rateLimiting,
   session,
   metrics,
@@ -0,0 +1,40 @@
+/**
+ * Sign Bot - Invalid State Transition Error
+ * Lanzado cuando un documento intenta pasar a un estado que no permite
+ * TRANSICIONES_DOCUMENTO (p. ej. un envelope-delivered tardio sobre un documento FIRMADO)
+ * No es reintentable: el documento ya esta en un estado posterior
+ */
+
+const AppError = require('./AppError');
+
+class InvalidStateTransitionError extends AppError {
+  /**
+   * @param {number} documentoId - ID del documento
+   * @param {string|null} estadoActual - Codigo del estado actual (null si no se conoce)
+   * @param {string|null} estadoNuevo - Codigo del estado solicitado
+   */
+  constructor(documentoId, estadoActual, estadoNuevo) {
+    super(
+      `Transicion de estado no permitida para documento ${documentoId}: ${estadoActual || 'desconocido'} -> ${estadoNuevo || 'desconocido'}`,
+      'INVALID_STATE_TRANSITION',
+      409 // HTTP 409 Conflict
+    );
+
+    this.documentoId = documentoId;
+    this.estadoActual = estadoActual;
+    this.estadoNuevo = estadoNuevo;
+    this.retryable = false;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      documentoId: this.documentoId,
+      estadoActual: this.estadoActual,
+      estadoNuevo: this.estadoNuevo,
+      retryable: this.retryable,
+    };
+  }
+}
+
+module.exports = InvalidStateTransitionError;
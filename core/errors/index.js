@@ -11,6 +11,7 @@ const EquipoNotFoundError = require('./EquipoNotFoundError');
 const RateLimitError = require('./RateLimitError');
 const ConfigurationError = require('./ConfigurationError');
 const ConcurrencyError = require('./ConcurrencyError');
+const InvalidStateTransitionError = require('./InvalidStateTransitionError');
 
 module.exports = {
   AppError,
@@ -22,4 +23,5 @@ module.exports = {
   RateLimitError,
   ConfigurationError,
   ConcurrencyError,
+  InvalidStateTransitionError,
 };
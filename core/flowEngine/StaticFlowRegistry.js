@@ -7,16 +7,52 @@
  */
 
 const { createStaticFlowContext } = require('./contexts/StaticFlowContext');
+const { createFlexibleFlowContext } = require('./contexts/FlexibleFlowContext');
 const { logger } = require('../services/infrastructure/errorHandler');
 
+// Separa el ID base de un botón de su parámetro (ej: 'RECHAZAR_DOCUMENTO:123')
+const SEPARADOR_PARAMETRO_BOTON = ':';
+
+/**
+ * Construye el ID de un botón parametrizado
+ * @param {string} botonId - ID base registrado en el flujo
+ * @param {string|number|null} [parametro] - Parámetro del botón (ej: ID del documento)
+ * @returns {string} - 'BASE:parametro' o el ID base si no hay parámetro
+ */
+function construirBotonId(botonId, parametro) {
+  if (parametro === null || parametro === undefined || parametro === '') {
+    return botonId;
+  }
+  return `${botonId}${SEPARADOR_PARAMETRO_BOTON}${parametro}`;
+}
+
+/**
+ * Separa un ID de botón parametrizado en su ID base y su parámetro
+ * @param {string} botonId - ID recibido de WhatsApp (payload del quick reply o id de la fila)
+ * @returns {{base: string, parametro: string|null}}
+ */
+function parsearBotonId(botonId) {
+  const indice = botonId.indexOf(SEPARADOR_PARAMETRO_BOTON);
+  if (indice === -1) {
+    return { base: botonId, parametro: null };
+  }
+  return {
+    base: botonId.substring(0, indice),
+    parametro: botonId.substring(indice + 1) || null,
+  };
+}
+
 /**
  * @typedef {Object} StaticFlowDefinition
  * @property {string} nombre - Nombre único del flujo
  * @property {string[]} estados - Estados que maneja este flujo
  * @property {Object.<string, string|{handler: string, params?: *}>} botones - Mapeo buttonId -> handler name o config
+ *   Un botón 'BASE:parametro' usa el handler de 'BASE' y recibe el parámetro como último argumento
  * @property {Function} [iniciar] - Método para iniciar el flujo
  * @property {Function} [procesar] - Método para procesar mensajes
  * @property {Object} handlers - Handlers específicos por estado
+ * @property {'estatico'|'flexible'} [contexto] - Contexto que reciben los handlers: 'flexible'
+ *   usa FlexibleFlowContext (campos requeridos y confirmación); por defecto StaticFlowContext
  */
 
 /**
@@ -142,11 +178,16 @@ class StaticFlowRegistry {
 
   /**
    * Obtiene la configuración de handler para un botón
+   * Los botones parametrizados ('BASE:parametro') usan la del ID base
    * @param {string} botonId
    * @returns {{flujo: string, handler: string, params?: any}|null}
    */
   obtenerHandlerBoton(botonId) {
-    return this.botonAHandler.get(botonId) || null;
+    return (
+      this.botonAHandler.get(botonId) ||
+      this.botonAHandler.get(parsearBotonId(botonId).base) ||
+      null
+    );
   }
 
   /**
@@ -174,10 +215,7 @@ class StaticFlowRegistry {
       return false;
     }
 
-    // Crear contexto estático
-    const ctx = createStaticFlowContext(from, session, azureContext, {
-      flowName: flujo.nombre,
-    });
+    const ctx = this._crearContexto(flujo, from, session, azureContext);
 
     try {
       ctx.iniciarTimer('procesar');
@@ -194,13 +232,17 @@ class StaticFlowRegistry {
   /**
    * Procesa un botón presionado
    * @param {string} from - Teléfono del usuario
-   * @param {string} botonId - ID del botón presionado
+   * @param {string} botonId - ID del botón presionado (puede ser 'BASE:parametro')
    * @param {Object} session - Sesión actual
    * @param {Object} azureContext - Contexto de Azure
    * @returns {Promise<boolean>} - true si se procesó
    */
   async procesarBoton(from, botonId, session, azureContext) {
-    const config = this.botonAHandler.get(botonId);
+    // Un ID registrado tal cual tiene prioridad sobre el formato parametrizado
+    const { base, parametro } = this.botonAHandler.has(botonId)
+      ? { base: botonId, parametro: null }
+      : parsearBotonId(botonId);
+    const config = this.botonAHandler.get(base);
     if (!config) {
       return false;
     }
@@ -219,19 +261,17 @@ class StaticFlowRegistry {
       return false;
     }
 
-    // Crear contexto estático
-    const ctx = createStaticFlowContext(from, session, azureContext, {
-      flowName: flujo.nombre,
-    });
+    const ctx = this._crearContexto(flujo, from, session, azureContext);
+
+    // Pasar params si existen (ej: rating value) y al final el parámetro del botón
+    const args = config.params !== undefined ? [ctx, config.params, session] : [ctx, session];
+    if (parametro !== null) {
+      args.push(parametro);
+    }
 
     try {
-      ctx.iniciarTimer(`boton_${botonId}`);
-      // Pasar params si existen (ej: rating value)
-      if (config.params !== undefined) {
-        await handler.call(flujo, ctx, config.params, session);
-      } else {
-        await handler.call(flujo, ctx, session);
-      }
+      ctx.iniciarTimer(`boton_${base}`);
+      await handler.call(flujo, ...args);
       ctx.terminarTimer({ resultado: 'ok', boton: botonId });
       return true;
     } catch (error) {
@@ -241,6 +281,16 @@ class StaticFlowRegistry {
     }
   }
 
+  /**
+   * Crea el contexto que declara el flujo (estático por defecto)
+   * @private
+   */
+  _crearContexto(flujo, from, session, azureContext) {
+    const crear =
+      flujo.contexto === 'flexible' ? createFlexibleFlowContext : createStaticFlowContext;
+    return crear(from, session, azureContext, { flowName: flujo.nombre });
+  }
+
   /**
    * Lista todos los flujos registrados
    * @returns {string[]}
@@ -280,6 +330,8 @@ const staticRegistry = new StaticFlowRegistry();
 module.exports = {
   StaticFlowRegistry,
   staticRegistry,
+  construirBotonId,
+  parsearBotonId,
   // Alias para compatibilidad
   FlowRegistry: StaticFlowRegistry,
   registry: staticRegistry,
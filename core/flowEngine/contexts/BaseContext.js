@@ -72,6 +72,18 @@ class BaseContext {
     this._logAccion('responderConLista', { titulo, numFilas: filas.length });
   }
 
+  /**
+   * Envía un mensaje con un botón que abre una URL y lo guarda en BD (sin la URL)
+   * @param {string} titulo - Título del mensaje
+   * @param {string} cuerpo - Cuerpo del mensaje
+   * @param {string} textoBoton - Texto del botón
+   * @param {string} url - URL que abre el botón
+   */
+  async responderConEnlace(titulo, cuerpo, textoBoton, url) {
+    await whatsapp.sendAndSaveCtaUrl(this.from, titulo, cuerpo, textoBoton, url);
+    this._logAccion('responderConEnlace', { titulo });
+  }
+
   /**
    * Envía un mensaje de texto SIN guardar en BD
    * Usar solo para mensajes que no necesitan persistencia
@@ -113,6 +125,7 @@ class BaseContext {
       version
     );
     this._incrementVersion();
+    this._sincronizarSesion(nuevoEstado, datos);
     this._logAccion('cambiarEstado', { nuevoEstado, motivo });
   }
 
@@ -132,6 +145,7 @@ class BaseContext {
       version
     );
     this._incrementVersion();
+    this._sincronizarSesion(this.session.Estado, datos);
     this._logAccion('actualizarDatos', { motivo });
   }
 
@@ -143,6 +157,7 @@ class BaseContext {
     const version = this._getVersion();
     await db.updateSession(this.from, 'INICIO', null, ORIGEN_ACCION.BOT, motivo, version);
     this._incrementVersion();
+    this._sincronizarSesion('INICIO', null);
     this._logAccion('finalizar', { motivo });
   }
 
@@ -154,6 +169,7 @@ class BaseContext {
     const version = this._getVersion();
     await db.updateSession(this.from, 'CANCELADO', null, ORIGEN_ACCION.USUARIO, motivo, version);
     this._incrementVersion();
+    this._sincronizarSesion('CANCELADO', null);
     this._logAccion('cancelar', { motivo });
   }
 
@@ -305,6 +321,19 @@ class BaseContext {
     }
   }
 
+  /**
+   * Refleja en la sesión en memoria el estado y los datos guardados en BD,
+   * para que getEstado()/getDatos() y los siguientes updates del mismo handler
+   * no trabajen con valores anteriores
+   * @private
+   */
+  _sincronizarSesion(estado, datos) {
+    if (this.session) {
+      this.session.Estado = estado;
+      this.session.DatosTemp = datos;
+    }
+  }
+
   /**
    * Log interno de acciones para debugging
    * @private
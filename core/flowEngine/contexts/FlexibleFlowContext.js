@@ -14,7 +14,8 @@ const { ORIGEN_ACCION } = require('../../../bot/constants/sessionStates');
 
 /**
  * Contexto para flujos flexibles/dinámicos
- * Usado para: reportes de refrigerador, vehículo
+ * Usado para: reportes de refrigerador, vehículo y captura de datos del firmante
+ * (flujos registrados con contexto: 'flexible')
  */
 class FlexibleFlowContext extends BaseContext {
   /**
@@ -241,6 +242,7 @@ class FlexibleFlowContext extends BaseContext {
       version
     );
     this._incrementVersion();
+    this._sincronizarSesion(estadoConfirmacion, datos);
     this.log(`Solicitando confirmación en estado: ${estadoConfirmacion}`);
   }
 
@@ -301,6 +303,9 @@ class FlexibleFlowContext extends BaseContext {
       numeroEmpleado: 'Número de Empleado',
       imagenBarcode: 'Código de Barras',
       imagenEvidencia: 'Evidencia',
+      EMAIL: 'Correo electrónico',
+      RFC: 'RFC',
+      NOMBRE_LEGAL: 'Nombre completo',
     };
     return mapeo[nombre] || nombre;
   }
@@ -60,6 +60,8 @@ const {
 const {
   StaticFlowRegistry,
   staticRegistry,
+  construirBotonId,
+  parsearBotonId,
   // Aliases para compatibilidad
   FlowRegistry,
   registry,
@@ -82,6 +84,8 @@ module.exports = {
   // Registry para flujos estáticos
   StaticFlowRegistry,
   staticRegistry,
+  construirBotonId,
+  parsearBotonId,
 
   // ============================================================
   // LEGACY API (compatibilidad hacia atrás)
@@ -9,6 +9,7 @@ const docusign = require('docusign-esign');
 const config = require('../../config');
 const { logger, ExternalServiceError } = require('../infrastructure/errorHandler');
 const { getBreaker, SERVICES } = require('../infrastructure/circuitBreaker');
+const { ROL_FIRMANTE, TIPO_TAB } = require('../../../bot/constants/documentStates');
 
 // Circuit breaker para DocuSign
 const docusignBreaker = getBreaker(SERVICES.DOCUSIGN);
@@ -26,7 +27,7 @@ const TOKEN_BUFFER_MS = 5 * 60 * 1000;
  * @param {Buffer} pdfBuffer - Buffer del PDF
  * @returns {number} - Numero de paginas (minimo 1)
  */
-function _countPdfPages(pdfBuffer) {
+function countPdfPages(pdfBuffer) {
   try {
     const pdfText = pdfBuffer.toString('binary');
     // Contar /Type /Page (sin 's' al final para excluir /Type /Pages)
@@ -155,6 +156,187 @@ async function getApiClient() {
   return apiClient;
 }
 
+/**
+ * Obtiene los anchor strings de firma/fecha para un firmante
+ * CLIENTE conserva /firma_cliente/ y /fecha_firma/ (compatibles con los PDFs actuales);
+ * otros roles usan /firma_<rol>/ y /fecha_<rol>/. Si un rol se repite en el
+ * envelope, a partir de la segunda ocurrencia se agrega el sufijo _N.
+ * @param {string} rol - Rol del firmante (ROL_FIRMANTE)
+ * @param {number} ocurrencia - Numero de aparicion del rol en el envelope (1-based)
+ * @returns {{ firma: string, fecha: string }}
+ */
+function getSignerAnchors(rol, ocurrencia) {
+  const sufijo = ocurrencia > 1 ? `_${ocurrencia}` : '';
+  if (rol === ROL_FIRMANTE.CLIENTE) {
+    return { firma: `/firma_cliente${sufijo}/`, fecha: `/fecha_firma${sufijo}/` };
+  }
+  const rolAnchor = rol.toLowerCase();
+  return { firma: `/firma_${rolAnchor}${sufijo}/`, fecha: `/fecha_${rolAnchor}${sufijo}/` };
+}
+
+// Clase del SDK y lista de docusign.Tabs para cada tipo de tab
+const TAB_TYPES = new Map([
+  [TIPO_TAB.SIGN_HERE, { Tab: docusign.SignHere, lista: 'signHereTabs' }],
+  [TIPO_TAB.INITIAL_HERE, { Tab: docusign.InitialHere, lista: 'initialHereTabs' }],
+  [TIPO_TAB.DATE_SIGNED, { Tab: docusign.DateSigned, lista: 'dateSignedTabs' }],
+  [TIPO_TAB.TEXT, { Tab: docusign.Text, lista: 'textTabs' }],
+  [TIPO_TAB.CHECKBOX, { Tab: docusign.Checkbox, lista: 'checkboxTabs' }],
+  [TIPO_TAB.FULL_NAME, { Tab: docusign.FullName, lista: 'fullNameTabs' }],
+]);
+
+/**
+ * Tabs por defecto de un firmante: firma y fecha en sus anchor strings
+ * @param {{ firma: string, fecha: string }} anchors - Anchor strings del firmante
+ * @returns {Array<Object>} - Definiciones de tab
+ */
+function getDefaultTabs(anchors) {
+  return [
+    { tipo: TIPO_TAB.SIGN_HERE, anchor: anchors.firma },
+    { tipo: TIPO_TAB.DATE_SIGNED, anchor: anchors.fecha },
+  ];
+}
+
+/**
+ * Construye un tab del SDK a partir de su definicion
+ * Por anchor: el PDF debe contener el texto donde se quiere el tab; se recomienda
+ * colocarlo en texto blanco o fuente 1pt para que sea invisible.
+ * Por coordenadas: pageNumber/xPosition/yPosition en pixeles desde la esquina superior izquierda.
+ * @param {Object} spec - Definicion del tab (tabSchema en bot/schemas/sapDocumentPayload)
+ * @param {number} [pagina] - Pagina para tabs con todasLasPaginas
+ * @returns {Object} - Instancia de docusign.SignHere, docusign.Text, etc.
+ */
+function buildTab(spec, pagina) {
+  const { Tab } = TAB_TYPES.get(spec.tipo);
+  const tab = new Tab();
+  tab.documentId = '1';
+
+  if (spec.anchor) {
+    tab.anchorString = spec.anchor;
+    tab.anchorUnits = 'pixels';
+    tab.anchorXOffset = String(spec.offsetX || 0);
+    tab.anchorYOffset = String(spec.offsetY || 0);
+  } else {
+    tab.pageNumber = String(pagina || spec.pagina);
+    tab.xPosition = String(spec.x);
+    tab.yPosition = String(spec.y);
+  }
+
+  if (spec.etiqueta) {
+    tab.tabLabel = spec.etiqueta;
+  }
+  if (spec.requerido !== undefined) {
+    tab.required = String(spec.requerido);
+  }
+
+  if (spec.tipo === TIPO_TAB.SIGN_HERE) {
+    tab.scaleValue = '1.5'; // Tamaño de firma (1.0 = normal, 1.5 = 150%, 2.0 = 200%)
+  } else if (spec.tipo === TIPO_TAB.DATE_SIGNED) {
+    tab.fontSize = 'size12';
+  } else if (spec.tipo === TIPO_TAB.TEXT && spec.valor !== undefined) {
+    tab.value = spec.valor;
+  }
+
+  return tab;
+}
+
+/**
+ * Construye los tabs de un firmante
+ * @param {Array<Object>} specs - Definiciones de tab del firmante
+ * @param {number} totalPaginas - Paginas del PDF (para tabs con todasLasPaginas)
+ * @returns {Object} - docusign.Tabs
+ */
+function buildTabs(specs, totalPaginas) {
+  const listas = new Map();
+
+  for (const spec of specs) {
+    const { lista } = TAB_TYPES.get(spec.tipo);
+    const paginas = spec.todasLasPaginas
+      ? Array.from({ length: totalPaginas }, (_, i) => i + 1)
+      : [undefined];
+
+    listas.set(lista, [
+      ...(listas.get(lista) || []),
+      ...paginas.map((pagina) => buildTab(spec, pagina)),
+    ]);
+  }
+
+  return Object.assign(new docusign.Tabs(), Object.fromEntries(listas));
+}
+
+/**
+ * Tabs de un firmante: los de `tabs` que le corresponden o, si no tiene,
+ * firma y fecha en sus anchors por rol
+ * @param {Array<Object>} tabSpecs - Tabs del envelope (payload.tabs)
+ * @param {number} posicion - Posicion 1-based del firmante
+ * @param {{ firma: string, fecha: string }} anchors - Anchors por rol del firmante
+ * @param {number} totalPaginas - Paginas del PDF
+ * @returns {Object} - docusign.Tabs
+ */
+function getSignerTabs(tabSpecs, posicion, anchors, totalPaginas) {
+  const propios = tabSpecs.filter((spec) => (spec.firmante || 1) === posicion);
+  return buildTabs(propios.length > 0 ? propios : getDefaultTabs(anchors), totalPaginas);
+}
+
+/**
+ * Construye un Signer con sus tabs
+ * @param {Object} params
+ * @param {string} params.email - Email del firmante
+ * @param {string} params.name - Nombre del firmante
+ * @param {number} params.order - recipientId y routingOrder
+ * @param {string} params.clientUserId - clientUserId para embedded signing
+ * @param {Object} params.tabs - docusign.Tabs del firmante
+ * @param {string} [params.telefonoSms] - Si se indica, DocuSign pide un codigo enviado
+ *   por SMS a este telefono antes de mostrar el documento
+ * @returns {Object} - docusign.Signer
+ */
+function buildSigner({ email, name, order, clientUserId, tabs, telefonoSms }) {
+  const signer = new docusign.Signer();
+  signer.email = email;
+  signer.name = name;
+  signer.recipientId = String(order);
+  signer.routingOrder = String(order);
+  signer.clientUserId = clientUserId;
+  signer.tabs = tabs;
+
+  if (telefonoSms) {
+    signer.requireIdLookup = 'true';
+    signer.idCheckConfigurationName = 'SMS Auth $';
+    const smsAuthentication = new docusign.RecipientSMSAuthentication();
+    smsAuthentication.senderProvidedNumbers = [`+${telefonoSms}`];
+    signer.smsAuthentication = smsAuthentication;
+  }
+
+  return signer;
+}
+
+/**
+ * Construye los signers de un envelope multi-firmante
+ * El routingOrder sigue la posicion en la lista: DocuSign habilita a cada
+ * firmante hasta que el anterior completa su firma.
+ * @param {Array<{telefono: string, nombre: string, email?: string, rol: string}>} firmantes
+ * @param {Array<Object>} [tabSpecs] - Tabs del envelope (payload.tabs)
+ * @param {number} [totalPaginas] - Paginas del PDF
+ * @param {boolean} [verificacionSms] - Pedir codigo por SMS a cada firmante
+ * @returns {Array<Object>} - docusign.Signer[]
+ */
+function buildOrderedSigners(firmantes, tabSpecs = [], totalPaginas = 1, verificacionSms = false) {
+  const ocurrencias = {};
+
+  return firmantes.map((firmante, index) => {
+    ocurrencias[firmante.rol] = (ocurrencias[firmante.rol] || 0) + 1;
+    const anchors = getSignerAnchors(firmante.rol, ocurrencias[firmante.rol]);
+
+    return buildSigner({
+      email: firmante.email || `${firmante.telefono}@signbot.noreply.com`,
+      name: firmante.nombre,
+      order: index + 1,
+      clientUserId: firmante.telefono,
+      tabs: getSignerTabs(tabSpecs, index + 1, anchors, totalPaginas),
+      telefonoSms: verificacionSms ? firmante.telefono : undefined,
+    });
+  });
+}
+
 /**
  * Crea un nuevo envelope con un PDF para firma remota
  * El firmante recibe una notificacion por email de DocuSign.
@@ -167,6 +349,15 @@ async function getApiClient() {
  * @param {Object} options - Opciones adicionales
  * @param {string} [options.clienteTelefono] - Telefono del cliente (metadata)
  * @param {string} [options.returnUrl] - URL de redireccion despues de firmar
+ * @param {Array<{telefono: string, nombre: string, email?: string, rol: string}>} [options.firmantes]
+ *   - Firmantes en orden de firma. Si se indica, reemplaza al firmante unico
+ *     (signerEmail/signerName) y el signingUrl corresponde al primer firmante
+ * @param {Array<Object>} [options.tabs] - Tabs por anchor o pagina/x/y (payload.tabs).
+ *   Los firmantes sin tabs usan firma y fecha en sus anchors por rol
+ * @param {number} [options.expirationDays] - Dias de expiracion (perfil del tipo de documento).
+ *   Por defecto config.docusign.envelopeExpirationDays
+ * @param {boolean} [options.verificacionSms] - Autenticacion por SMS de DocuSign para cada
+ *   firmante (perfil con VerificacionIdentidad SMS_DOCUSIGN)
  * @returns {Promise<{envelopeId: string, signingUrl: string|null}>}
  */
 async function createEnvelope(pdfBuffer, signerEmail, signerName, documentName, options = {}) {
@@ -181,41 +372,36 @@ async function createEnvelope(pdfBuffer, signerEmail, signerName, documentName,
     document.fileExtension = 'pdf';
     document.documentId = '1';
 
-    // Construir firmante
-    const signer = new docusign.Signer();
-    signer.email = signerEmail;
-    signer.name = signerName;
-    signer.recipientId = '1';
-    signer.routingOrder = '1';
-    // clientUserId habilita embedded signing (necesario para recipientView)
-    signer.clientUserId = options.clienteTelefono || signerEmail;
-
-    // Tabs con anchor strings — el PDF debe contener estos textos donde se quiera la firma
-    // Se recomienda colocarlos en texto blanco o fuente 1pt para que sean invisibles
-    const signHere = new docusign.SignHere();
-    signHere.documentId = '1';
-    signHere.anchorString = '/firma_cliente/';
-    signHere.anchorUnits = 'pixels';
-    signHere.anchorXOffset = '0';
-    signHere.anchorYOffset = '0';
-    signHere.scaleValue = '1.5'; // Tamaño de firma (1.0 = normal, 1.5 = 150%, 2.0 = 200%)
-
-    const dateSigned = new docusign.DateSigned();
-    dateSigned.documentId = '1';
-    dateSigned.anchorString = '/fecha_firma/';
-    dateSigned.anchorUnits = 'pixels';
-    dateSigned.anchorXOffset = '0';
-    dateSigned.anchorYOffset = '0';
-    dateSigned.fontSize = 'size12';
-
-    const tabs = new docusign.Tabs();
-    tabs.signHereTabs = [signHere];
-    tabs.dateSignedTabs = [dateSigned];
-    signer.tabs = tabs;
+    // Solo se cuentan las paginas si algun tab se repite en todas
+    const tabSpecs = options.tabs || [];
+    const totalPaginas = tabSpecs.some((spec) => spec.todasLasPaginas)
+      ? countPdfPages(pdfBuffer)
+      : 1;
+
+    // Construir firmantes: lista ordenada (multi-firmante) o solo el cliente
+    const signers = options.firmantes?.length
+      ? buildOrderedSigners(options.firmantes, tabSpecs, totalPaginas, options.verificacionSms)
+      : [
+          buildSigner({
+            email: signerEmail,
+            name: signerName,
+            order: 1,
+            // clientUserId habilita embedded signing (necesario para recipientView)
+            clientUserId: options.clienteTelefono || signerEmail,
+            tabs: getSignerTabs(
+              tabSpecs,
+              1,
+              getSignerAnchors(ROL_FIRMANTE.CLIENTE, 1),
+              totalPaginas
+            ),
+            telefonoSms: options.verificacionSms ? options.clienteTelefono : undefined,
+          }),
+        ];
+    const firstSigner = signers[0];
 
     // Construir recipients
     const recipients = new docusign.Recipients();
-    recipients.signers = [signer];
+    recipients.signers = signers;
 
     // Construir definicion del envelope
     const envelopeDefinition = new docusign.EnvelopeDefinition();
@@ -226,10 +412,11 @@ async function createEnvelope(pdfBuffer, signerEmail, signerName, documentName,
 
     // Configurar expiracion
     const notification = new docusign.Notification();
+    const expirationDays = options.expirationDays || config.docusign.envelopeExpirationDays;
     const expirations = new docusign.Expirations();
     expirations.expireEnabled = 'true';
-    expirations.expireAfter = String(config.docusign.envelopeExpirationDays);
-    expirations.expireWarn = String(Math.max(1, config.docusign.envelopeExpirationDays - 3));
+    expirations.expireAfter = String(expirationDays);
+    expirations.expireWarn = String(Math.max(1, expirationDays - 3));
     notification.expirations = expirations;
     envelopeDefinition.notification = notification;
 
@@ -259,6 +446,7 @@ async function createEnvelope(pdfBuffer, signerEmail, signerName, documentName,
       envelopeId,
       documentName,
       signerEmail,
+      firmantes: signers.length,
     });
 
     // Generar signing URL para WhatsApp
@@ -267,10 +455,10 @@ async function createEnvelope(pdfBuffer, signerEmail, signerName, documentName,
       const returnUrl = options.returnUrl || config.docusign.baseUrl;
       signingUrl = await createRecipientView(
         envelopeId,
-        signerEmail,
-        signerName,
+        firstSigner.email,
+        firstSigner.name,
         returnUrl,
-        signer.clientUserId
+        firstSigner.clientUserId
       );
     } catch (urlError) {
       logger.warn('[DocuSign] No se pudo generar signing URL, el firmante usara email', {
@@ -342,6 +530,114 @@ async function correctEnvelope(envelopeId, newPdfBuffer, documentName) {
   }
 }
 
+/**
+ * Envia por email de DocuSign el enlace de firma de un firmante embebido
+ * Canal alterno cuando el template de WhatsApp no se entrega: con
+ * embeddedRecipientStartURL = SIGN_AT_DOCUSIGN, DocuSign manda su email estandar
+ * al firmante aunque tenga clientUserId, y reenvia el envelope.
+ *
+ * @param {string} envelopeId - ID del envelope
+ * @param {Object} firmante
+ * @param {string} firmante.recipientId - recipientId en el envelope ('1' si es de un solo firmante)
+ * @param {string} firmante.email - Email real del firmante
+ * @param {string} firmante.name - Nombre del firmante
+ * @param {string} firmante.clientUserId - clientUserId con el que se creo el firmante
+ * @returns {Promise<void>}
+ */
+async function sendSigningEmail(envelopeId, { recipientId, email, name, clientUserId }) {
+  try {
+    const client = await getApiClient();
+    const envelopesApi = new docusign.EnvelopesApi(client);
+
+    const signer = new docusign.Signer();
+    signer.recipientId = recipientId;
+    signer.email = email;
+    signer.name = name;
+    signer.clientUserId = clientUserId;
+    signer.embeddedRecipientStartURL = 'SIGN_AT_DOCUSIGN';
+
+    const recipients = new docusign.Recipients();
+    recipients.signers = [signer];
+
+    await executeWithRetry(() =>
+      envelopesApi.updateRecipients(config.docusign.accountId, envelopeId, {
+        recipients,
+        resendEnvelope: 'true',
+      })
+    );
+
+    logger.info('[DocuSign] Enlace de firma enviado por email', { envelopeId, recipientId });
+  } catch (error) {
+    logger.error('Error enviando enlace de firma por email en DocuSign', error, {
+      envelopeId,
+      recipientId,
+      service: 'DocuSign',
+      operation: 'sendSigningEmail',
+    });
+    throw new ExternalServiceError(
+      'No se pudo enviar el enlace de firma por email en DocuSign',
+      'DocuSign',
+      error
+    );
+  }
+}
+
+/**
+ * Corrige el telefono o email de un firmante embebido del envelope
+ * El clientUserId es el telefono del firmante (api-firma-redirect genera el
+ * recipientView con el), asi que un telefono corregido cambia tambien el
+ * clientUserId y, con verificacion SMS, el numero al que DocuSign manda el codigo.
+ * No reenvia el envelope: la notificacion la envia el bot.
+ *
+ * @param {string} envelopeId - ID del envelope
+ * @param {Object} firmante
+ * @param {string} firmante.recipientId - recipientId en el envelope ('1' si es de un solo firmante)
+ * @param {string} firmante.email - Email del firmante (o el generado a partir del telefono)
+ * @param {string} firmante.name - Nombre del firmante
+ * @param {string} firmante.clientUserId - Telefono vigente del firmante
+ * @param {string} [firmante.telefonoSms] - Telefono de la verificacion SMS (perfil SMS_DOCUSIGN)
+ * @returns {Promise<void>}
+ */
+async function updateRecipient(
+  envelopeId,
+  { recipientId, email, name, clientUserId, telefonoSms }
+) {
+  try {
+    const client = await getApiClient();
+    const envelopesApi = new docusign.EnvelopesApi(client);
+
+    // recipientId y routingOrder coinciden (buildOrderedSigners)
+    const signer = buildSigner({
+      email,
+      name,
+      order: Number(recipientId),
+      clientUserId,
+      telefonoSms,
+    });
+
+    const recipients = new docusign.Recipients();
+    recipients.signers = [signer];
+
+    await executeWithRetry(() =>
+      envelopesApi.updateRecipients(config.docusign.accountId, envelopeId, { recipients })
+    );
+
+    logger.info('[DocuSign] Firmante actualizado', { envelopeId, recipientId });
+  } catch (error) {
+    logger.error('Error actualizando firmante en DocuSign', error, {
+      envelopeId,
+      recipientId,
+      service: 'DocuSign',
+      operation: 'updateRecipient',
+    });
+    throw new ExternalServiceError(
+      'No se pudo actualizar el firmante en DocuSign',
+      'DocuSign',
+      error
+    );
+  }
+}
+
 /**
  * Anula un envelope existente
  * Se usa para cancelaciones desde SAP o limpieza de housekeeping
@@ -455,6 +751,44 @@ async function downloadSignedDocument(envelopeId) {
   }
 }
 
+/**
+ * Descarga el certificado de finalizacion (certificate of completion) del envelope
+ * Incluye el historial de eventos, firmantes, IPs y fechas que piden los auditores
+ *
+ * @param {string} envelopeId - ID del envelope
+ * @returns {Promise<Buffer>} - Buffer con el PDF del certificado
+ */
+async function downloadCertificate(envelopeId) {
+  try {
+    const client = await getApiClient();
+    const envelopesApi = new docusign.EnvelopesApi(client);
+
+    const result = await executeWithRetry(() =>
+      envelopesApi.getDocument(config.docusign.accountId, envelopeId, 'certificate')
+    );
+
+    const buffer = Buffer.isBuffer(result) ? result : Buffer.from(result);
+
+    logger.info('[DocuSign] Certificado de finalizacion descargado', {
+      envelopeId,
+      sizeKB: (buffer.length / 1024).toFixed(1),
+    });
+
+    return buffer;
+  } catch (error) {
+    logger.error('Error descargando certificado de DocuSign', error, {
+      envelopeId,
+      service: 'DocuSign',
+      operation: 'downloadCertificate',
+    });
+    throw new ExternalServiceError(
+      'No se pudo descargar el certificado de finalizacion de DocuSign',
+      'DocuSign',
+      error
+    );
+  }
+}
+
 /**
  * Crea una URL de firma embebida (recipientView) para enviar por WhatsApp
  * Genera una URL de un solo uso que el firmante puede abrir en su navegador
@@ -566,8 +900,11 @@ module.exports = {
   createEnvelope,
   correctEnvelope,
   voidEnvelope,
+  sendSigningEmail,
+  updateRecipient,
   getEnvelopeStatus,
   downloadSignedDocument,
+  downloadCertificate,
   createRecipientView,
   validateWebhookHmac,
 };
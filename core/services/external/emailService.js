@@ -0,0 +1,74 @@
+/**
+ * SIGN BOT - Servicio de Email (SMTP)
+ * Canal alterno de notificaciones de firma para clientes sin WhatsApp o cuando el
+ * template de WhatsApp falla. Se configura con las variables SMTP_*.
+ */
+
+const nodemailer = require('nodemailer');
+const config = require('../../config');
+const { logger, ExternalServiceError } = require('../infrastructure/errorHandler');
+
+// Transporte SMTP reutilizado entre envios (se crea al primer uso)
+let _transporter = null;
+
+function getTransporter() {
+  if (!_transporter) {
+    const { host, port, secure, user, password, timeoutMs } = config.notificaciones.email;
+    _transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass: password } : undefined,
+      connectionTimeout: timeoutMs,
+      socketTimeout: timeoutMs,
+    });
+  }
+  return _transporter;
+}
+
+/**
+ * Indica si el canal de email esta configurado (SMTP_HOST y SMTP_FROM)
+ * @returns {boolean}
+ */
+function isConfigured() {
+  const { host, from } = config.notificaciones.email;
+  return Boolean(host && from);
+}
+
+/**
+ * Envia un email de texto plano
+ * @param {string} to - Direccion del destinatario
+ * @param {string} subject - Asunto
+ * @param {string} text - Cuerpo del mensaje
+ * @returns {Promise<string|null>} - Message-ID asignado por el servidor SMTP
+ * @throws {ExternalServiceError} Si el email no esta configurado o el servidor lo rechaza
+ */
+async function sendEmail(to, subject, text) {
+  if (!isConfigured()) {
+    throw new ExternalServiceError('El canal de email no esta configurado', 'Email');
+  }
+
+  try {
+    const info = await getTransporter().sendMail({
+      from: config.notificaciones.email.from,
+      to,
+      subject,
+      text,
+    });
+
+    logger.info('[Email] Email enviado', { to, subject, messageId: info.messageId });
+    return info.messageId || null;
+  } catch (error) {
+    logger.error('Error enviando email', error, {
+      to,
+      service: 'Email',
+      operation: 'sendEmail',
+    });
+    throw new ExternalServiceError('No se pudo enviar el email', 'Email', error);
+  }
+}
+
+module.exports = {
+  isConfigured,
+  sendEmail,
+};
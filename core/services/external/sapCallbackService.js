@@ -0,0 +1,330 @@
+/**
+ * SIGN BOT - Servicio de Callbacks a SAP
+ * Notifica a SAP los cambios de estado de un documento via POST firmado (HMAC-SHA256)
+ * a la SapCallbackUrl registrada al crear el documento.
+ *
+ * Headers enviados:
+ * - X-SignBot-Timestamp: epoch en segundos del envio
+ * - X-SignBot-Signature: sha256=<hex> de HMAC(secret, `${timestamp}.${body}`)
+ * - X-SignBot-Delivery: identificador idempotente `${documentoFirmaId}-${estado}`
+ *
+ * Cada despacho reintenta con exponential backoff; si se agotan los reintentos
+ * se incrementa IntentosSap y el timer de firma vuelve a intentarlo hasta
+ * alcanzar config.sapCallback.maxIntentos.
+ *
+ * Los datos del cliente capturados por WhatsApp (email, RFC, nombre legal) se
+ * reportan con el mismo formato, estado PENDIENTE_ENVIO y el campo datosCliente;
+ * ese callback no cuenta en IntentosSap: si falla se alerta a Teams.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../../config');
+const { logger } = require('../infrastructure/errorHandler');
+const { ESTADO_DOCUMENTO } = require('../../../bot/constants/documentStates');
+
+/**
+ * Estados que se reportan a SAP
+ */
+const ESTADOS_CALLBACK = [
+  ESTADO_DOCUMENTO.FIRMADO,
+  ESTADO_DOCUMENTO.RECHAZADO,
+  ESTADO_DOCUMENTO.ANULADO,
+  ESTADO_DOCUMENTO.ERROR,
+];
+
+// Repositorio cargado lazy para evitar dependencia circular core -> bot
+let _documentoRepo = null;
+function getDocumentoRepo() {
+  if (!_documentoRepo) {
+    _documentoRepo = require('../../../bot/repositories/DocumentoFirmaRepository');
+  }
+  return _documentoRepo;
+}
+
+// Teams cargado lazy (solo se usa al agotar intentos)
+let _teamsService = null;
+function getTeamsService() {
+  if (!_teamsService) {
+    _teamsService = require('./teamsService');
+  }
+  return _teamsService;
+}
+
+/**
+ * Calcula el delay con exponential backoff y jitter
+ * @param {number} attempt - Numero de intento (0-based)
+ * @returns {number} - Delay en ms
+ */
+function calculateBackoff(attempt) {
+  const { baseDelayMs, maxDelayMs } = config.sapCallback.retry;
+  const cappedDelay = Math.min(baseDelayMs * Math.pow(2, attempt), maxDelayMs);
+  const jitter = Math.random() * 0.25 * cappedDelay;
+  return Math.floor(cappedDelay + jitter);
+}
+
+/**
+ * Determina si un error es retryable
+ * @param {Error} error - Error a evaluar
+ * @returns {boolean} - true si se debe reintentar
+ */
+function isRetryableError(error) {
+  if (['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE'].includes(error.code)) {
+    return true;
+  }
+
+  const status = error.response?.status;
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+/**
+ * Firma el cuerpo del callback
+ * @param {string} body - JSON serializado
+ * @param {string} timestamp - Epoch en segundos
+ * @returns {string} - Firma HMAC-SHA256 en hex
+ */
+function signPayload(body, timestamp) {
+  return crypto
+    .createHmac('sha256', config.sapCallback.secret)
+    .update(`${timestamp}.${body}`, 'utf8')
+    .digest('hex');
+}
+
+/**
+ * Construye el payload del callback
+ * @param {Object} documento - Registro de DocumentosFirma
+ * @param {string} estado - Codigo del nuevo estado
+ * @param {Object} [detalles] - Datos propios del evento
+ * @param {string} [detalles.motivoRechazo]
+ * @param {string} [detalles.categoriaRechazo] - CATEGORIA_RECHAZO elegida en WhatsApp
+ * @param {string} [detalles.documentoFirmadoUrl]
+ * @param {string} [detalles.mensajeError]
+ * @param {Object} [detalles.datosCliente] - { email, rfc, nombreLegal } capturados por WhatsApp
+ * @returns {Object}
+ */
+function buildCallbackPayload(documento, estado, detalles = {}) {
+  const payload = {
+    sapDocumentId: documento.SapDocumentId,
+    documentoFirmaId: documento.DocumentoFirmaId,
+    envelopeId: documento.EnvelopeId || null,
+    estado,
+    fechaEvento: new Date().toISOString(),
+  };
+
+  if (detalles.motivoRechazo) {
+    payload.motivoRechazo = detalles.motivoRechazo;
+  }
+  if (detalles.categoriaRechazo) {
+    payload.categoriaRechazo = detalles.categoriaRechazo;
+  }
+  if (detalles.documentoFirmadoUrl) {
+    payload.documentoFirmadoUrl = detalles.documentoFirmadoUrl;
+  }
+  if (detalles.mensajeError) {
+    payload.mensajeError = detalles.mensajeError;
+  }
+  if (detalles.datosCliente) {
+    payload.datosCliente = detalles.datosCliente;
+  }
+
+  return payload;
+}
+
+/**
+ * Envia el POST a SAP con reintentos y backoff
+ * @param {string} url - SapCallbackUrl
+ * @param {Object} payload - Payload del callback
+ * @param {number} retries - Reintentos restantes
+ * @param {number} attempt - Intento actual (para backoff)
+ */
+async function postWithRetry(
+  url,
+  payload,
+  retries = config.sapCallback.retry.maxRetries,
+  attempt = 0
+) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  try {
+    return await axios.post(url, body, {
+      timeout: config.sapCallback.timeoutMs,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-SignBot-Timestamp': timestamp,
+        'X-SignBot-Signature': `sha256=${signPayload(body, timestamp)}`,
+        'X-SignBot-Delivery': `${payload.documentoFirmaId}-${payload.estado}`,
+      },
+    });
+  } catch (error) {
+    if (retries > 0 && isRetryableError(error)) {
+      const backoffDelay = calculateBackoff(attempt);
+      logger.warn('[SapCallback] Error en callback, reintentando con backoff...', {
+        attempt: attempt + 1,
+        maxRetries: config.sapCallback.retry.maxRetries,
+        delayMs: backoffDelay,
+        errorCode: error.code,
+        httpStatus: error.response?.status,
+      });
+      await new Promise((resolve) => {
+        setTimeout(resolve, backoffDelay);
+      });
+      return postWithRetry(url, payload, retries - 1, attempt + 1);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Notifica a SAP el cambio de estado de un documento.
+ * Nunca lanza: el resultado queda reflejado en IntentosSap.
+ *
+ * @param {Object} documento - Registro de DocumentosFirma (requiere DocumentoFirmaId, SapDocumentId, SapCallbackUrl)
+ * @param {string} estado - Codigo del nuevo estado (FIRMADO, RECHAZADO, ANULADO, ERROR)
+ * @param {Object} [detalles] - Datos propios del evento (ver buildCallbackPayload)
+ * @returns {Promise<boolean>} - true si SAP acepto el callback
+ */
+async function notificarCambioEstado(documento, estado, detalles = {}) {
+  if (!documento?.SapCallbackUrl || !ESTADOS_CALLBACK.includes(estado)) {
+    return false;
+  }
+
+  if (!config.sapCallback.secret) {
+    logger.warn('[SapCallback] SAP_CALLBACK_SECRET no configurado, omitiendo callback', {
+      documentoId: documento.DocumentoFirmaId,
+      estado,
+    });
+    return false;
+  }
+
+  const documentoId = documento.DocumentoFirmaId;
+  const payload = buildCallbackPayload(documento, estado, detalles);
+
+  try {
+    const response = await postWithRetry(documento.SapCallbackUrl, payload);
+
+    logger.info('[SapCallback] Callback entregado a SAP', {
+      documentoId,
+      sapDocumentId: documento.SapDocumentId,
+      estado,
+      httpStatus: response.status,
+    });
+
+    if (documento.IntentosSap) {
+      await getDocumentoRepo()
+        .registrarIntentoSap(documentoId, true)
+        .catch((dbError) => {
+          logger.warn('[SapCallback] Error reiniciando IntentosSap', {
+            documentoId,
+            error: dbError.message,
+          });
+        });
+    }
+
+    return true;
+  } catch (error) {
+    logger.error('[SapCallback] Error entregando callback a SAP', error, {
+      documentoId,
+      sapDocumentId: documento.SapDocumentId,
+      estado,
+      httpStatus: error.response?.status,
+    });
+
+    await registrarFallo(documento, estado, error);
+    return false;
+  }
+}
+
+/**
+ * Reporta a SAP los datos del cliente capturados por WhatsApp para que actualice
+ * su maestro. Nunca lanza y no toca IntentosSap (el timer solo reintenta estados):
+ * si SAP no responde se alerta a Teams para actualizarlo a mano.
+ *
+ * @param {Object} documento - Registro de DocumentosFirma (requiere DocumentoFirmaId, SapDocumentId, SapCallbackUrl)
+ * @param {Object} datosCliente - { email, rfc, nombreLegal } (null = no se capturo)
+ * @returns {Promise<boolean>} - true si SAP acepto el callback
+ */
+async function notificarDatosCliente(documento, datosCliente) {
+  if (!documento?.SapCallbackUrl) {
+    return false;
+  }
+
+  if (!config.sapCallback.secret) {
+    logger.warn('[SapCallback] SAP_CALLBACK_SECRET no configurado, omitiendo datos del cliente', {
+      documentoId: documento.DocumentoFirmaId,
+    });
+    return false;
+  }
+
+  const payload = buildCallbackPayload(documento, ESTADO_DOCUMENTO.PENDIENTE_ENVIO, {
+    datosCliente,
+  });
+
+  try {
+    const response = await postWithRetry(documento.SapCallbackUrl, payload);
+
+    logger.info('[SapCallback] Datos del cliente entregados a SAP', {
+      documentoId: documento.DocumentoFirmaId,
+      sapDocumentId: documento.SapDocumentId,
+      httpStatus: response.status,
+    });
+    return true;
+  } catch (error) {
+    logger.error('[SapCallback] Error entregando datos del cliente a SAP', error, {
+      documentoId: documento.DocumentoFirmaId,
+      sapDocumentId: documento.SapDocumentId,
+      httpStatus: error.response?.status,
+    });
+
+    getTeamsService()
+      .notifyError(
+        'Datos de cliente sin reportar a SAP',
+        `${documento.SapDocumentId}: no se pudieron reportar los datos capturados por WhatsApp`,
+        { documentoId: documento.DocumentoFirmaId, error: error.message }
+      )
+      .catch(() => {});
+    return false;
+  }
+}
+
+/**
+ * Incrementa IntentosSap y alerta a Teams al agotar el maximo
+ * @param {Object} documento - Registro de DocumentosFirma
+ * @param {string} estado - Codigo del estado reportado
+ * @param {Error} error - Error del ultimo intento
+ */
+async function registrarFallo(documento, estado, error) {
+  let intentos;
+  try {
+    intentos = await getDocumentoRepo().registrarIntentoSap(documento.DocumentoFirmaId, false);
+  } catch (dbError) {
+    logger.warn('[SapCallback] Error registrando intento fallido en IntentosSap', {
+      documentoId: documento.DocumentoFirmaId,
+      error: dbError.message,
+    });
+    return;
+  }
+
+  if (intentos >= config.sapCallback.maxIntentos) {
+    logger.warn('[SapCallback] Intentos de callback agotados', {
+      documentoId: documento.DocumentoFirmaId,
+      intentos,
+    });
+
+    getTeamsService()
+      .notifyError(
+        'Callback SAP agotado',
+        `${documento.SapDocumentId}: no se pudo notificar el estado ${estado} tras ${intentos} intentos`,
+        { estado, error: error.message }
+      )
+      .catch(() => {});
+  }
+}
+
+module.exports = {
+  ESTADOS_CALLBACK,
+  notificarCambioEstado,
+  notificarDatosCliente,
+  buildCallbackPayload,
+  signPayload,
+};
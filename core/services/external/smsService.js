@@ -0,0 +1,68 @@
+/**
+ * SIGN BOT - Servicio de SMS
+ * Canal alterno de notificaciones de firma. Envia a un proveedor HTTP generico:
+ *
+ *   POST SMS_API_URL
+ *   Authorization: Bearer SMS_API_KEY
+ *   { "to": "5215512345678", "from": SMS_SENDER, "message": "..." }
+ *
+ * La respuesta debe ser 2xx; se toma como ID del mensaje `id` o `messageId` del cuerpo.
+ */
+
+const axios = require('axios');
+const config = require('../../config');
+const { logger, ExternalServiceError } = require('../infrastructure/errorHandler');
+
+/**
+ * Indica si el canal de SMS esta configurado (SMS_API_URL)
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return Boolean(config.notificaciones.sms.apiUrl);
+}
+
+/**
+ * Envia un SMS
+ * @param {string} to - Telefono en formato internacional sin + (ej: 5215512345678)
+ * @param {string} message - Texto del mensaje
+ * @returns {Promise<string|null>} - ID del mensaje en el proveedor
+ * @throws {ExternalServiceError} Si el SMS no esta configurado o el proveedor lo rechaza
+ */
+async function sendSms(to, message) {
+  if (!isConfigured()) {
+    throw new ExternalServiceError('El canal de SMS no esta configurado', 'SMS');
+  }
+
+  const { apiUrl, apiKey, remitente, timeoutMs } = config.notificaciones.sms;
+
+  try {
+    const response = await axios.post(
+      apiUrl,
+      { to, from: remitente || undefined, message },
+      {
+        timeout: timeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+      }
+    );
+
+    const messageId = response.data?.id || response.data?.messageId || null;
+    logger.info('[SMS] SMS enviado', { to, messageId });
+    return messageId ? String(messageId) : null;
+  } catch (error) {
+    logger.error('Error enviando SMS', error, {
+      to,
+      status: error.response?.status,
+      service: 'SMS',
+      operation: 'sendSms',
+    });
+    throw new ExternalServiceError('No se pudo enviar el SMS', 'SMS', error);
+  }
+}
+
+module.exports = {
+  isConfigured,
+  sendSms,
+};
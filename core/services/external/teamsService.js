@@ -144,7 +144,8 @@ async function notifyError(titulo, descripcion, contexto = {}) {
 
 /**
  * Notifica que un cliente rechazo un documento
- * @param {Object} documento - Datos del documento { nombreDocumento, clienteTelefono, clienteNombre, envelopeId }
+ * @param {Object} documento - Datos del documento { nombreDocumento, clienteTelefono, clienteNombre, envelopeId, categoria }
+ *   (categoria: nombre de la categoria de rechazo elegida por el cliente)
  * @param {string} motivoRechazo - Motivo del rechazo proporcionado por el cliente
  * @returns {Promise<boolean>}
  */
@@ -153,9 +154,13 @@ async function notifyDocumentRejected(documento, motivoRechazo) {
     { name: 'Documento', value: documento.nombreDocumento || 'N/A' },
     { name: 'Cliente', value: documento.clienteNombre || maskPhone(documento.clienteTelefono) },
     { name: 'Telefono', value: maskPhone(documento.clienteTelefono) },
-    { name: 'Motivo', value: truncate(motivoRechazo, 200) || 'No especificado' },
   ];
 
+  if (documento.categoria) {
+    facts.push({ name: 'Categoria', value: documento.categoria });
+  }
+  facts.push({ name: 'Motivo', value: truncate(motivoRechazo, 200) || 'No especificado' });
+
   if (documento.envelopeId) {
     facts.push({ name: 'Envelope', value: documento.envelopeId });
   }
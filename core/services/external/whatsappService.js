@@ -6,6 +6,7 @@
 
 const axios = require('axios');
 const https = require('https');
+const FormData = require('form-data');
 const config = require('../../config');
 const { logger, ExternalServiceError } = require('../infrastructure/errorHandler');
 const { getBreaker, SERVICES } = require('../infrastructure/circuitBreaker');
@@ -396,6 +397,57 @@ async function sendListMessage(to, headerText, bodyText, buttonText, rows) {
   }
 }
 
+/**
+ * Envía un mensaje con un botón que abre una URL (interactive cta_url)
+ * A diferencia del botón URL de un template, la URL completa viaja en el mensaje,
+ * así que solo se entrega dentro de la ventana de 24h
+ * @param {string} to - Número de teléfono del destinatario
+ * @param {string} headerText - Texto del encabezado
+ * @param {string} bodyText - Texto del cuerpo del mensaje
+ * @param {string} buttonText - Texto del botón (máx 20 caracteres)
+ * @param {string} url - URL que abre el botón
+ */
+async function sendCtaUrlMessage(to, headerText, bodyText, buttonText, url) {
+  try {
+    const { apiUrl, phoneNumberId } = getWhatsAppConfig();
+    const axiosInstance = getAxiosInstance();
+
+    const response = await executeWithRetry(() =>
+      axiosInstance.post(`${apiUrl}/${phoneNumberId}/messages`, {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: to,
+        type: 'interactive',
+        interactive: {
+          type: 'cta_url',
+          header: {
+            type: 'text',
+            text: headerText,
+          },
+          body: {
+            text: bodyText,
+          },
+          action: {
+            name: 'cta_url',
+            parameters: {
+              display_text: buttonText.substring(0, 20),
+              url,
+            },
+          },
+        },
+      })
+    );
+    return response.data;
+  } catch (error) {
+    logger.error('Error enviando mensaje con enlace', error, {
+      to,
+      service: 'WhatsApp',
+      operation: 'sendCtaUrlMessage',
+    });
+    throw new ExternalServiceError('No se pudo enviar el mensaje con enlace', 'WhatsApp', error);
+  }
+}
+
 /**
  * Envia un mensaje de template (Message Templates de WhatsApp)
  * Usado para notificaciones outbound (recordatorios de firma, etc.)
@@ -435,6 +487,95 @@ async function sendTemplate(to, templatePayload) {
   }
 }
 
+/**
+ * Sube un archivo a los servidores de WhatsApp para enviarlo despues por ID
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {string} mimeType - Tipo MIME (ej: 'application/pdf')
+ * @param {string} fileName - Nombre del archivo
+ * @returns {Promise<string>} - Media ID
+ */
+async function uploadMedia(buffer, mimeType, fileName) {
+  try {
+    const { apiUrl, phoneNumberId } = getWhatsAppConfig();
+    const axiosInstance = getAxiosInstance();
+
+    // El form se reconstruye en cada intento: el stream no se puede reenviar
+    const response = await executeWithRetry(() => {
+      const form = new FormData();
+      form.append('messaging_product', 'whatsapp');
+      form.append('type', mimeType);
+      form.append('file', buffer, { filename: fileName, contentType: mimeType });
+
+      return axiosInstance.post(`${apiUrl}/${phoneNumberId}/media`, form, {
+        headers: form.getHeaders(),
+        timeout: config.whatsapp.timeout.mediaUploadMs,
+        maxBodyLength: Infinity,
+      });
+    });
+
+    const mediaId = response.data?.id;
+    if (!mediaId) {
+      throw new Error('La respuesta de WhatsApp no incluye el media ID');
+    }
+    return mediaId;
+  } catch (error) {
+    logger.error('Error subiendo media', error, {
+      fileName,
+      sizeKB: (buffer.length / 1024).toFixed(1),
+      service: 'WhatsApp',
+      operation: 'uploadMedia',
+    });
+    throw new ExternalServiceError('No se pudo subir el archivo multimedia', 'WhatsApp', error);
+  }
+}
+
+/**
+ * Envia un documento (ej: PDF firmado) como mensaje de WhatsApp
+ * Sube primero el archivo y luego envia el mensaje referenciando el media ID.
+ * Los mensajes que no son template solo se entregan dentro de la ventana de 24h
+ * @param {string} to - Numero de telefono del destinatario
+ * @param {Buffer} buffer - Contenido del documento
+ * @param {string} fileName - Nombre con el que el usuario vera el archivo
+ * @param {string} [caption] - Texto que acompana al documento
+ * @param {string} [mimeType] - Tipo MIME del documento (default: application/pdf)
+ * @returns {Promise<string>} - Message ID (wamid)
+ */
+async function sendDocument(to, buffer, fileName, caption, mimeType = 'application/pdf') {
+  const mediaId = await uploadMedia(buffer, mimeType, fileName);
+
+  try {
+    const { apiUrl, phoneNumberId } = getWhatsAppConfig();
+    const axiosInstance = getAxiosInstance();
+
+    const document = { id: mediaId, filename: fileName };
+    if (caption) {
+      document.caption = caption;
+    }
+
+    const response = await executeWithRetry(() =>
+      axiosInstance.post(`${apiUrl}/${phoneNumberId}/messages`, {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to,
+        type: 'document',
+        document,
+      })
+    );
+
+    const messageId = response.data?.messages?.[0]?.id || null;
+    logger.info('[WhatsApp] Documento enviado', { to, fileName, messageId });
+    return messageId;
+  } catch (error) {
+    logger.error('Error enviando documento', error, {
+      to,
+      fileName,
+      service: 'WhatsApp',
+      operation: 'sendDocument',
+    });
+    throw new ExternalServiceError('No se pudo enviar el documento', 'WhatsApp', error);
+  }
+}
+
 // ==============================================================
 // HELPERS CON GUARDADO AUTOMÁTICO EN BD
 // Envian mensaje Y lo guardan en MensajesChat automaticamente
@@ -501,17 +642,40 @@ async function sendAndSaveList(to, headerText, bodyText, buttonText, rows) {
     });
 }
 
+/**
+ * Envía mensaje con botón de enlace Y lo guarda en BD
+ * Solo se guarda el texto: la URL puede llevar un token de firma
+ * @param {string} to - Número de teléfono
+ * @param {string} headerText - Texto del encabezado
+ * @param {string} bodyText - Texto del cuerpo
+ * @param {string} buttonText - Texto del botón
+ * @param {string} url - URL que abre el botón
+ */
+async function sendAndSaveCtaUrl(to, headerText, bodyText, buttonText, url) {
+  await sendCtaUrlMessage(to, headerText, bodyText, buttonText, url);
+  const textoCompleto = headerText ? `${headerText}\n\n${bodyText}` : bodyText;
+  getDb()
+    .saveMessage(to, 'B', textoCompleto, 'TEXTO')
+    .catch((err) => {
+      logger.warn('Error guardando mensaje con enlace del bot', { to, error: err.message });
+    });
+}
+
 module.exports = {
   // Funciones basicas (sin guardado)
   sendText,
   sendButtons,
   sendInteractiveMessage,
   sendListMessage,
+  sendCtaUrlMessage,
   sendTemplate,
+  sendDocument,
+  uploadMedia,
   downloadMedia,
   sendTypingIndicator,
   // Funciones con guardado automatico en BD
   sendAndSaveText,
   sendAndSaveInteractive,
   sendAndSaveList,
+  sendAndSaveCtaUrl,
 };
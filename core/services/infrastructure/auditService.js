@@ -119,12 +119,24 @@ const AUDIT_EVENTS = {
   TICKET_RESOLVED: 'TICKET_RESOLVED',
   TICKET_CREATED: 'TICKET_CREATED',
 
+  // Documentos
+  DOCUMENT_NOTIFICATION_RESENT: 'DOCUMENT_NOTIFICATION_RESENT',
+  DOCUMENT_PDF_REPLACED: 'DOCUMENT_PDF_REPLACED',
+  DOCUMENT_BULK_ACTION: 'DOCUMENT_BULK_ACTION',
+
+  // Seguimiento de rechazos
+  REJECTION_FOLLOWUP_UPDATED: 'REJECTION_FOLLOWUP_UPDATED',
+
   // Seguridad
   AUTH_SUCCESS: 'AUTH_SUCCESS',
   AUTH_FAILURE: 'AUTH_FAILURE',
   RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
   SIGNATURE_INVALID: 'SIGNATURE_INVALID',
 
+  // Verificacion de identidad del firmante
+  SIGNER_VERIFIED: 'SIGNER_VERIFIED',
+  SIGNER_VERIFICATION_FAILED: 'SIGNER_VERIFICATION_FAILED',
+
   // Sesiones
   SESSION_CREATED: 'SESSION_CREATED',
   SESSION_TIMEOUT: 'SESSION_TIMEOUT',
@@ -307,6 +319,36 @@ function logRateLimitExceeded(ip, limit, window) {
   );
 }
 
+/**
+ * Registra verificacion exitosa de identidad del firmante
+ */
+function logSignerVerified(details, req) {
+  return logAuditEvent(AUDIT_EVENTS.SIGNER_VERIFIED, maskTelefono(details), SEVERITY.INFO, req);
+}
+
+/**
+ * Registra intento fallido de verificacion de identidad del firmante
+ * (codigo incorrecto, expirado o agotado, o autenticacion SMS fallida en DocuSign)
+ */
+function logSignerVerificationFailure(details, req) {
+  return logAuditEvent(
+    AUDIT_EVENTS.SIGNER_VERIFICATION_FAILED,
+    maskTelefono(details),
+    SEVERITY.WARNING,
+    req
+  );
+}
+
+/**
+ * Enmascara el telefono de los detalles de auditoria
+ */
+function maskTelefono(details) {
+  if (!details.telefono) {
+    return details;
+  }
+  return { ...details, telefono: `${details.telefono.substring(0, 6)}****` };
+}
+
 /**
  * Registra resolucion de ticket
  */
@@ -330,6 +372,39 @@ function logTicketCreated(ticketId, telefono, tipoReporte) {
   );
 }
 
+/**
+ * Registra el reenvio manual de la notificacion de firma desde el admin
+ */
+function logDocumentResend(details, req) {
+  return logAuditEvent(
+    AUDIT_EVENTS.DOCUMENT_NOTIFICATION_RESENT,
+    maskTelefono(details),
+    SEVERITY.INFO,
+    req
+  );
+}
+
+/**
+ * Registra el reemplazo del PDF de un documento desde el admin
+ */
+function logDocumentReplace(details, req) {
+  return logAuditEvent(AUDIT_EVENTS.DOCUMENT_PDF_REPLACED, details, SEVERITY.INFO, req);
+}
+
+/**
+ * Registra una accion masiva sobre documentos (anular, reenviar o recordar)
+ */
+function logDocumentBulkAction(details, req) {
+  return logAuditEvent(AUDIT_EVENTS.DOCUMENT_BULK_ACTION, details, SEVERITY.INFO, req);
+}
+
+/**
+ * Registra un cambio en el seguimiento de un rechazo (asignar, comentar o cerrar)
+ */
+function logRejectionFollowUp(details, req) {
+  return logAuditEvent(AUDIT_EVENTS.REJECTION_FOLLOWUP_UPDATED, details, SEVERITY.INFO, req);
+}
+
 /**
  * Registra limpieza de cache
  */
@@ -369,8 +444,14 @@ module.exports = {
   logAuthFailure,
   logInvalidSignature,
   logRateLimitExceeded,
+  logSignerVerified,
+  logSignerVerificationFailure,
   logTicketResolved,
   logTicketCreated,
+  logDocumentResend,
+  logDocumentReplace,
+  logDocumentBulkAction,
+  logRejectionFollowUp,
   logCacheClear,
   logSessionTimeout,
 };
@@ -0,0 +1,256 @@
+/**
+ * SIGN BOT - Servicio de Notificaciones al Firmante
+ * Envia las notificaciones de firma (envio, recordatorio, confirmacion, anulacion)
+ * por el primer canal disponible que acepte el mensaje:
+ *
+ *   1. Canal preferido del documento (DocumentosFirma.CanalPreferido)
+ *   2. Orden configurado en NOTIFICATION_CHANNEL_ORDER (default WHATSAPP,EMAIL,SMS)
+ *
+ * Canales:
+ * - WHATSAPP: template de Meta (whatsappService.sendTemplate)
+ * - EMAIL: texto del template por SMTP (emailService), requiere email del firmante
+ * - SMS: texto del template por el proveedor HTTP (smsService)
+ *
+ * Email y SMS usan el suggestedBody del template con los mismos parametros y, si el
+ * template lleva boton URL, el enlace FIRMA_LINK_BASE_URL/{token}. Sin
+ * FIRMA_LINK_BASE_URL esos canales no se usan para templates con enlace y el intento
+ * queda registrado como fallido con el motivo.
+ *
+ * Cada canal intentado queda registrado en IntentosNotificacion.
+ *
+ * @module services/messaging/notificationService
+ */
+
+const config = require('../../config');
+const { logger, ExternalServiceError } = require('../infrastructure/errorHandler');
+const whatsappService = require('../external/whatsappService');
+const emailService = require('../external/emailService');
+const smsService = require('../external/smsService');
+const { buildEnvioTemplatePayload } = require('../processing/documentProfileService');
+const {
+  TEMPLATES,
+  TEMPLATE_NAMES,
+  buildTemplatePayload,
+} = require('../../../bot/constants/whatsappTemplates');
+const { CANAL_NOTIFICACION } = require('../../../bot/constants/documentStates');
+
+// Asunto del email por template
+const ASUNTOS_EMAIL = new Map([
+  [TEMPLATE_NAMES.FIRMA_ENVIO, 'Documento pendiente de firma'],
+  [TEMPLATE_NAMES.FIRMA_RECORDATORIO, 'Recordatorio: documento pendiente de firma'],
+  [TEMPLATE_NAMES.FIRMA_CONFIRMACION, 'Documento firmado'],
+  [TEMPLATE_NAMES.FIRMA_CONFIRMACION_PDF, 'Documento firmado'],
+  [TEMPLATE_NAMES.FIRMA_ANULACION, 'Documento anulado'],
+  [TEMPLATE_NAMES.FIRMA_ACTUALIZACION, 'Documento actualizado'],
+]);
+
+// Motivo registrado cuando email/SMS no pueden incluir el enlace de firma
+const SIN_URL_ENLACE = 'FIRMA_LINK_BASE_URL no configurado: no se puede enviar el enlace de firma';
+
+// Lazy-load repository to avoid DB connections at module load
+let _intentoRepo = null;
+function getIntentoRepo() {
+  if (!_intentoRepo) {
+    _intentoRepo = require('../../../bot/repositories/IntentoNotificacionRepository');
+  }
+  return _intentoRepo;
+}
+
+/**
+ * Canales de notificacion
+ * - disponible: si el canal puede usarse para el destinatario
+ * - requiereTexto: si el canal envia el texto plano del template (email y SMS)
+ * - destino: telefono o email al que se envia (se registra en IntentosNotificacion)
+ * - enviar: envia el mensaje y devuelve el ID del mensaje en el canal
+ */
+const CANALES = new Map([
+  [
+    CANAL_NOTIFICACION.WHATSAPP,
+    {
+      disponible: (destinatario) => Boolean(destinatario.telefono),
+      destino: (destinatario) => destinatario.telefono,
+      enviar: (destinatario, mensaje) =>
+        whatsappService.sendTemplate(destinatario.telefono, mensaje.templatePayload),
+    },
+  ],
+  [
+    CANAL_NOTIFICACION.EMAIL,
+    {
+      disponible: (destinatario) => Boolean(destinatario.email) && emailService.isConfigured(),
+      requiereTexto: true,
+      destino: (destinatario) => destinatario.email,
+      enviar: (destinatario, mensaje) =>
+        emailService.sendEmail(destinatario.email, mensaje.asunto, mensaje.texto),
+    },
+  ],
+  [
+    CANAL_NOTIFICACION.SMS,
+    {
+      disponible: (destinatario) => Boolean(destinatario.telefono) && smsService.isConfigured(),
+      requiereTexto: true,
+      destino: (destinatario) => destinatario.telefono,
+      enviar: (destinatario, mensaje) => smsService.sendSms(destinatario.telefono, mensaje.texto),
+    },
+  ],
+]);
+
+/**
+ * Texto plano del template para email y SMS
+ * Usa los parametros ya resueltos del payload de WhatsApp (mismo token de firma).
+ * @param {string} tipo - Nombre del template
+ * @param {Object} templatePayload - Payload de buildTemplatePayload
+ * @returns {string|null} - null si el template lleva enlace y no hay FIRMA_LINK_BASE_URL
+ */
+function renderTexto(tipo, templatePayload) {
+  const template = Object.values(TEMPLATES).find((t) => t.name === tipo);
+  const body = templatePayload.components.find((c) => c.type === 'body');
+  const boton = templatePayload.components.find((c) => c.type === 'button' && c.sub_type === 'url');
+  const textos = body ? body.parameters.map((p) => p.text) : [];
+
+  let texto = template.suggestedBody
+    .replace(/\{\{(\d+)\}\}/g, (_match, n) => textos.at(Number(n) - 1) ?? '')
+    .replace(/\*/g, '');
+
+  if (boton) {
+    if (!config.firma.enlace.baseUrl) {
+      return null;
+    }
+    texto += `\n\n${config.firma.enlace.baseUrl}/${boton.parameters[0].text}`;
+  }
+
+  return texto;
+}
+
+/**
+ * Construye el mensaje para todos los canales
+ * @returns {{ templatePayload: Object, asunto: string, texto: string|null }}
+ */
+function construirMensaje(tipo, params, perfil) {
+  const templatePayload =
+    perfil && tipo === TEMPLATE_NAMES.FIRMA_ENVIO
+      ? buildEnvioTemplatePayload(perfil, params)
+      : buildTemplatePayload(tipo, params);
+
+  return {
+    templatePayload,
+    asunto: ASUNTOS_EMAIL.get(tipo) || 'Notificacion de firma',
+    texto: renderTexto(tipo, templatePayload),
+  };
+}
+
+/**
+ * Orden de canales a intentar: el preferido primero, despues el configurado
+ * @param {string|null} canalPreferido
+ * @param {string[]} excluir
+ * @returns {string[]}
+ */
+function ordenarCanales(canalPreferido, excluir) {
+  const orden = canalPreferido
+    ? [canalPreferido, ...config.notificaciones.ordenCanales]
+    : config.notificaciones.ordenCanales;
+
+  return [...new Set(orden)].filter((canal) => CANALES.has(canal) && !excluir.includes(canal));
+}
+
+/**
+ * Registra el intento de un canal (no fatal: la notificacion ya se envio o fallo)
+ */
+async function registrarIntento(opciones, intento) {
+  if (!opciones.documentoFirmaId) {
+    return;
+  }
+
+  try {
+    await getIntentoRepo().registrar({
+      documentoFirmaId: opciones.documentoFirmaId,
+      firmanteId: opciones.firmanteId || null,
+      ...intento,
+    });
+  } catch (error) {
+    logger.warn('[Notificaciones] No se pudo registrar el intento de notificacion', {
+      documentoId: opciones.documentoFirmaId,
+      canal: intento.canal,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Envia una notificacion de firma por el primer canal que la acepte
+ * @param {string} tipo - Template (TEMPLATE_NAMES): firma_envio, firma_recordatorio, ...
+ * @param {Object} params - Parametros de buildTemplatePayload (con params.firma si lleva enlace)
+ * @param {Object} destinatario
+ * @param {string} destinatario.telefono - Telefono del firmante
+ * @param {string|null} [destinatario.email] - Email del firmante (canal EMAIL)
+ * @param {Object} [opciones]
+ * @param {number} [opciones.documentoFirmaId] - Documento; sin el no se registran los intentos
+ * @param {number|null} [opciones.firmanteId] - FirmanteId (documentos multi-firmante)
+ * @param {string|null} [opciones.canalPreferido] - CanalPreferido del documento
+ * @param {Object} [opciones.perfil] - Perfil del tipo de documento (template de envio)
+ * @param {string[]} [opciones.excluir] - Canales que no se deben intentar
+ * @returns {Promise<{ canal: string, mensajeId: string|null }>}
+ * @throws {ExternalServiceError} Si ningun canal pudo enviar la notificacion
+ */
+async function notificar(tipo, params, destinatario, opciones = {}) {
+  const mensaje = construirMensaje(tipo, params, opciones.perfil);
+  const canales = ordenarCanales(opciones.canalPreferido || null, opciones.excluir || []);
+
+  let ultimoError = null;
+  for (const canal of canales) {
+    const definicion = CANALES.get(canal);
+    if (!definicion.disponible(destinatario)) {
+      continue;
+    }
+
+    const destino = definicion.destino(destinatario);
+    if (definicion.requiereTexto && mensaje.texto === null) {
+      logger.warn('[Notificaciones] Canal omitido: el template lleva enlace de firma', {
+        documentoId: opciones.documentoFirmaId,
+        tipo,
+        canal,
+      });
+      await registrarIntento(opciones, {
+        tipo,
+        canal,
+        destino,
+        exitoso: false,
+        error: SIN_URL_ENLACE,
+      });
+      continue;
+    }
+
+    try {
+      const mensajeId = await definicion.enviar(destinatario, mensaje);
+      await registrarIntento(opciones, { tipo, canal, destino, exitoso: true, mensajeId });
+      return { canal, mensajeId: mensajeId || null };
+    } catch (error) {
+      ultimoError = error;
+      logger.warn('[Notificaciones] Fallo el canal, intentando el siguiente', {
+        documentoId: opciones.documentoFirmaId,
+        tipo,
+        canal,
+        error: error.message,
+      });
+      await registrarIntento(opciones, {
+        tipo,
+        canal,
+        destino,
+        exitoso: false,
+        error: error.message,
+      });
+    }
+  }
+
+  throw new ExternalServiceError(
+    ultimoError
+      ? 'No se pudo enviar la notificacion por ningun canal'
+      : 'No hay canal de notificacion disponible para el destinatario',
+    'Notificaciones',
+    ultimoError
+  );
+}
+
+module.exports = {
+  notificar,
+  renderTexto,
+};
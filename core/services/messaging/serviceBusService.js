@@ -90,6 +90,21 @@ async function connect() {
   }
 }
 
+/**
+ * Conecta a Service Bus si aún no hay conexión
+ * Los HTTP triggers que encolan trabajo lo llaman antes de sendToQueue.
+ * @returns {Promise<boolean>} - true si hay sender disponible para encolar
+ */
+async function ensureConnected() {
+  if (isConnected && sender) {
+    return true;
+  }
+  if (!config.serviceBus.enabled) {
+    return false;
+  }
+  return connect();
+}
+
 /**
  * Envía un mensaje fallido a la cola DLQ
  * @param {Object} messageData - Datos del mensaje
@@ -165,9 +180,12 @@ async function sendToDeadLetter(messageData, error) {
  * @param {string} payload.from - Número de teléfono
  * @param {string} payload.messageId - ID del mensaje de WhatsApp
  * @param {string} payload.correlationId - Correlation ID para tracing
+ * @param {Object} [opciones]
+ * @param {Date} [opciones.scheduledEnqueueTimeUtc] - Momento en que el mensaje se vuelve
+ *   visible en la cola (mensajes programados de las acciones masivas)
  * @returns {Promise<boolean>} - true si se encoló exitosamente, false si hay que procesar sync
  */
-async function sendToQueue(payload) {
+async function sendToQueue(payload, opciones = {}) {
   // Si no hay sender disponible, indicar que se debe procesar sync
   if (usingFallback || !isConnected || !sender) {
     return false;
@@ -186,6 +204,9 @@ async function sendToQueue(payload) {
         enqueuedAt: new Date().toISOString(),
       },
       timeToLive: config.serviceBus.messageTimeToLiveMs,
+      ...(opciones.scheduledEnqueueTimeUtc && {
+        scheduledEnqueueTimeUtc: opciones.scheduledEnqueueTimeUtc,
+      }),
     };
 
     await sender.sendMessages(message);
@@ -383,6 +404,7 @@ function isUsingFallback() {
 
 module.exports = {
   connect,
+  ensureConnected,
   sendToQueue,
   sendToDeadLetter,
   receiveMessages,
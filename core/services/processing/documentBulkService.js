@@ -0,0 +1,330 @@
+/**
+ * SIGN BOT - Acciones Masivas sobre Documentos
+ * Anula, reenvia o recuerda la firma de muchos documentos a peticion de un usuario
+ * del admin (p. ej. SAP cancela una campana comercial y hay que anular 200 documentos).
+ *
+ * - Selecciona los documentos por lista de IDs o por los filtros de listar
+ * - Registra el trabajo y un item por documento (TrabajosMasivos / TrabajosMasivosItems)
+ * - Encola un mensaje 'admin_bulk_action' por documento, programado con un desfase de
+ *   config.bulkActions.intervaloMs para no rebasar los limites de DocuSign y WhatsApp
+ * - El queue processor aplica la accion y actualiza el item (PROCESADO, OMITIDO, ERROR)
+ *
+ * El estado se revisa al seleccionar y otra vez al procesar: un documento que cambio
+ * mientras tanto queda OMITIDO.
+ *
+ * @module services/processing/documentBulkService
+ */
+
+const crypto = require('crypto');
+const config = require('../../config');
+const { logger } = require('../infrastructure/errorHandler');
+const docusignService = require('../external/docusignService');
+const serviceBus = require('../messaging/serviceBusService');
+const notificationService = require('../messaging/notificationService');
+const documentResendService = require('./documentResendService');
+const { TEMPLATE_NAMES } = require('../../../bot/constants/whatsappTemplates');
+const {
+  ACCION_MASIVA,
+  CANAL_NOTIFICACION,
+  ESTADO_DOCUMENTO,
+  ESTADO_DOCUMENTO_ID,
+  ESTADO_ITEM_TRABAJO,
+  ESTADOS_REENVIO,
+  ORIGEN_HISTORIAL,
+  esEstadoRecordatorio,
+  esTransicionDocumentoPermitida,
+} = require('../../../bot/constants/documentStates');
+
+// Queue message type handled by the queue processor
+const MESSAGE_TYPE = 'admin_bulk_action';
+
+// Motivo de la anulacion cuando el usuario no indica uno (igual que /documents/void)
+const MOTIVO_ANULACION_DEFAULT = 'Anulado por administrador';
+
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+// Lazy-load repositories to avoid DB connections at module load
+let _documentoRepo = null;
+function getDocumentoRepo() {
+  if (!_documentoRepo) {
+    _documentoRepo = require('../../../bot/repositories/DocumentoFirmaRepository');
+  }
+  return _documentoRepo;
+}
+
+let _trabajoRepo = null;
+function getTrabajoRepo() {
+  if (!_trabajoRepo) {
+    _trabajoRepo = require('../../../bot/repositories/TrabajoMasivoRepository');
+  }
+  return _trabajoRepo;
+}
+
+/**
+ * Motivo por el que un documento no admite la accion
+ * @param {string} accion - ACCION_MASIVA
+ * @param {Object} documento - Registro con EstadoDocumento y EnvelopeId
+ * @returns {string|null} - null si la accion se puede aplicar
+ */
+function motivoOmision(accion, documento) {
+  const estado = documento.EstadoDocumento;
+
+  switch (accion) {
+    case ACCION_MASIVA.ANULAR:
+      return esTransicionDocumentoPermitida(estado, ESTADO_DOCUMENTO.ANULADO)
+        ? null
+        : `No se puede anular un documento en estado ${estado}`;
+    case ACCION_MASIVA.REENVIAR:
+      return ESTADOS_REENVIO.includes(estado) && documento.EnvelopeId
+        ? null
+        : `No se puede reenviar un documento en estado ${estado}`;
+    case ACCION_MASIVA.RECORDAR:
+      return esEstadoRecordatorio(estado)
+        ? null
+        : `No se envian recordatorios a un documento en estado ${estado}`;
+    default:
+      return `Accion no soportada: ${accion}`;
+  }
+}
+
+/**
+ * Selecciona los documentos de una accion masiva y revisa cuales la admiten
+ * Sirve tanto para la vista previa (dryRun) como para crear el trabajo.
+ * @param {string} accion - ACCION_MASIVA
+ * @param {Object} criterio - { documentoIds } o { filtros } (filtros de listar)
+ * @returns {Promise<{total: number, items: Array<{documentoId: number, estado: string,
+ *   mensajeError?: string}>, noEncontrados: Array<number>}>}
+ *   - total cuenta todos los documentos del criterio; items se limita a
+ *     config.bulkActions.maxDocumentos
+ */
+async function seleccionarDocumentos(accion, criterio) {
+  const { documentos, total } = await getDocumentoRepo().listarParaAccionMasiva(
+    criterio,
+    config.bulkActions.maxDocumentos
+  );
+
+  const items = documentos.map((documento) => {
+    const omision = motivoOmision(accion, documento);
+    return omision
+      ? {
+          documentoId: documento.DocumentoFirmaId,
+          estado: ESTADO_ITEM_TRABAJO.OMITIDO,
+          mensajeError: omision,
+        }
+      : { documentoId: documento.DocumentoFirmaId, estado: ESTADO_ITEM_TRABAJO.ENCOLADO };
+  });
+
+  const encontrados = new Set(documentos.map((documento) => documento.DocumentoFirmaId));
+  const noEncontrados = (criterio.documentoIds || []).filter((id) => !encontrados.has(id));
+
+  return { total, items, noEncontrados };
+}
+
+/**
+ * Encola los items aceptados, uno cada config.bulkActions.intervaloMs;
+ * los que no se pueden encolar quedan en ERROR
+ * @param {Object} trabajo - { trabajoId, accion, motivo, actor }
+ * @param {Array} items - Items de seleccionarDocumentos
+ * @param {string} correlationId - Correlation ID
+ */
+async function encolarItems(trabajo, items, correlationId) {
+  const inicio = Date.now();
+  let posicion = 0;
+
+  for (const item of items) {
+    if (item.estado !== ESTADO_ITEM_TRABAJO.ENCOLADO) {
+      continue;
+    }
+
+    const enqueued = await serviceBus.sendToQueue(
+      {
+        message: {
+          type: MESSAGE_TYPE,
+          trabajoId: trabajo.trabajoId,
+          documentoId: item.documentoId,
+          accion: trabajo.accion,
+          motivo: trabajo.motivo,
+          actor: trabajo.actor,
+        },
+        from: 'admin',
+        messageId: `${trabajo.trabajoId}-${item.documentoId}`,
+        correlationId,
+        enqueuedAt: new Date().toISOString(),
+      },
+      { scheduledEnqueueTimeUtc: new Date(inicio + posicion * config.bulkActions.intervaloMs) }
+    );
+    posicion++;
+
+    if (!enqueued) {
+      item.estado = ESTADO_ITEM_TRABAJO.ERROR;
+      item.mensajeError = 'Error encolando el documento';
+      await getTrabajoRepo()
+        .actualizarItem(trabajo.trabajoId, item.documentoId, item.estado, item.mensajeError)
+        .catch((dbError) =>
+          logger.error('[AccionMasiva] Error marcando item como ERROR', dbError, {
+            trabajoId: trabajo.trabajoId,
+            documentoId: item.documentoId,
+          })
+        );
+    }
+  }
+}
+
+/**
+ * Registra el trabajo y encola sus documentos
+ * El llamador verifica que Service Bus este disponible (ensureConnected).
+ * @param {string} accion - ACCION_MASIVA
+ * @param {Object} criterio - Criterio usado (se guarda en el trabajo)
+ * @param {Array} items - Items de seleccionarDocumentos
+ * @param {Object} [opciones]
+ * @param {string} [opciones.motivo] - Motivo indicado por el usuario
+ * @param {string} [opciones.actor] - Usuario del admin
+ * @param {string} [opciones.correlationId] - Correlation ID de la peticion
+ * @returns {Promise<{trabajoId: string, encolados: number, omitidos: number, errores: number}>}
+ * @throws {Error} Si no se puede registrar el trabajo en BD (no se encola nada)
+ */
+async function crearTrabajo(accion, criterio, items, opciones = {}) {
+  const trabajo = {
+    trabajoId: crypto.randomUUID(),
+    accion,
+    criterio,
+    motivo: opciones.motivo || (accion === ACCION_MASIVA.ANULAR ? MOTIVO_ANULACION_DEFAULT : null),
+    actor: opciones.actor || null,
+  };
+
+  // Registrar antes de encolar para que el processor siempre encuentre su item
+  await getTrabajoRepo().crearTrabajo(trabajo, items, opciones.correlationId || null);
+  await encolarItems(trabajo, items, opciones.correlationId || null);
+
+  const contar = (estado) => items.filter((item) => item.estado === estado).length;
+  const resumen = {
+    trabajoId: trabajo.trabajoId,
+    encolados: contar(ESTADO_ITEM_TRABAJO.ENCOLADO),
+    omitidos: contar(ESTADO_ITEM_TRABAJO.OMITIDO),
+    errores: contar(ESTADO_ITEM_TRABAJO.ERROR),
+  };
+
+  logger.info('[AccionMasiva] Trabajo creado', { accion, ...resumen });
+  return resumen;
+}
+
+/**
+ * Anula el envelope (no fatal, igual que /documents/void) y el documento
+ */
+async function anular(documento, { trabajoId, motivo, actor }) {
+  if (documento.EnvelopeId) {
+    try {
+      await docusignService.voidEnvelope(documento.EnvelopeId, motivo);
+    } catch (dsError) {
+      logger.warn('[AccionMasiva] Error anulando envelope en DocuSign', {
+        documentoId: documento.DocumentoFirmaId,
+        envelopeId: documento.EnvelopeId,
+        error: dsError.message,
+      });
+    }
+  }
+
+  await getDocumentoRepo().actualizarEstado(
+    documento.DocumentoFirmaId,
+    ESTADO_DOCUMENTO_ID.ANULADO,
+    documento.Version,
+    {},
+    { origen: ORIGEN_HISTORIAL.ADMIN, actor, detalle: { reason: motivo, trabajoId } }
+  );
+}
+
+/**
+ * Reenvia la notificacion de firma al firmante en turno, sin corregir su contacto
+ */
+async function reenviar(documento) {
+  await documentResendService.reenviarNotificacion(documento);
+}
+
+/**
+ * Envia el template firma_recordatorio y cuenta el recordatorio
+ * No respeta la cadencia del timer: el usuario lo pide explicitamente.
+ */
+async function recordar(documento) {
+  const documentoId = documento.DocumentoFirmaId;
+  const dias = documento.FechaCreacion
+    ? Math.floor((Date.now() - new Date(documento.FechaCreacion).getTime()) / MS_POR_DIA)
+    : 0;
+
+  const { canal, mensajeId } = await notificationService.notificar(
+    TEMPLATE_NAMES.FIRMA_RECORDATORIO,
+    {
+      clienteNombre: documento.ClienteNombre || 'Cliente',
+      tipoDocumento: documento.TipoDocumento || 'Documento',
+      documentoNombre: documento.DocumentoNombre || 'documento pendiente',
+      diasPendientes: String(dias),
+      firma: { documentoFirmaId: documentoId, telefono: documento.ClienteTelefono },
+    },
+    { telefono: documento.ClienteTelefono, email: documento.ClienteEmail || null },
+    { documentoFirmaId: documentoId, canalPreferido: documento.CanalPreferido }
+  );
+
+  await getDocumentoRepo().incrementarRecordatorio(
+    documentoId,
+    documento.Version,
+    canal === CANAL_NOTIFICACION.WHATSAPP ? mensajeId : null
+  );
+}
+
+const ACCIONES = new Map([
+  [ACCION_MASIVA.ANULAR, anular],
+  [ACCION_MASIVA.REENVIAR, reenviar],
+  [ACCION_MASIVA.RECORDAR, recordar],
+]);
+
+/**
+ * Aplica la accion a un documento de un trabajo (mensaje 'admin_bulk_action')
+ * Un item ya PROCESADO u OMITIDO (redelivery de Service Bus) no se vuelve a aplicar.
+ * @param {Object} item - Mensaje de la cola { trabajoId, documentoId, accion, motivo, actor }
+ * @param {Function} log - Logger
+ * @param {Function} [logError] - Logger de errores
+ * @returns {Promise<string|null>} - Estado final del item, o null si ya estaba resuelto
+ * @throws {Error} Si la accion falla (el item queda en ERROR y Service Bus lo reintenta)
+ */
+async function procesarItemTrabajo(item, log, logError = log) {
+  const { trabajoId, documentoId, accion } = item;
+  const trabajoRepo = getTrabajoRepo();
+
+  const actual = await trabajoRepo.obtenerItem(trabajoId, documentoId);
+  if (
+    actual?.Estado === ESTADO_ITEM_TRABAJO.PROCESADO ||
+    actual?.Estado === ESTADO_ITEM_TRABAJO.OMITIDO
+  ) {
+    log(`Documento ${documentoId} del trabajo ${trabajoId} ya resuelto, omitiendo`);
+    return null;
+  }
+
+  const documento = await getDocumentoRepo().obtenerPorId(documentoId);
+  const omision = documento ? motivoOmision(accion, documento) : 'Documento no encontrado';
+  if (omision) {
+    await trabajoRepo.actualizarItem(trabajoId, documentoId, ESTADO_ITEM_TRABAJO.OMITIDO, omision);
+    log(`Documento ${documentoId} del trabajo ${trabajoId} omitido: ${omision}`);
+    return ESTADO_ITEM_TRABAJO.OMITIDO;
+  }
+
+  try {
+    await ACCIONES.get(accion)(documento, item);
+
+    await trabajoRepo.actualizarItem(trabajoId, documentoId, ESTADO_ITEM_TRABAJO.PROCESADO);
+    log(`Documento ${documentoId} del trabajo ${trabajoId}: ${accion} aplicada`);
+    return ESTADO_ITEM_TRABAJO.PROCESADO;
+  } catch (error) {
+    await trabajoRepo
+      .actualizarItem(trabajoId, documentoId, ESTADO_ITEM_TRABAJO.ERROR, error.message)
+      .catch((dbError) => {
+        logError('Error marcando item de trabajo masivo como ERROR:', dbError);
+      });
+    throw error;
+  }
+}
+
+module.exports = {
+  motivoOmision,
+  seleccionarDocumentos,
+  crearTrabajo,
+  procesarItemTrabajo,
+};
@@ -0,0 +1,147 @@
+/**
+ * SIGN BOT - Exportacion de Documentos y Estadisticas
+ * Genera el CSV o XLSX de los documentos (filtros de listar, sin paginar) o del conteo
+ * por dia, tipo y estado, para finanzas y legal.
+ *
+ * Las funciones HTTP no pueden hacer streaming de la respuesta, asi que el archivo se
+ * escribe en Blob Storage conforme llegan las filas de SQL (nunca completo en memoria)
+ * y el admin lo descarga con un link de corta duracion, igual que los PDFs.
+ *
+ * @module services/processing/documentExportService
+ */
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const blobService = require('../storage/blobService');
+const { logger } = require('../infrastructure/errorHandler');
+const { generarCsv, generarXlsx } = require('../../utils/tabularExport');
+
+// Carpeta de las exportaciones dentro del contenedor de documentos
+const CARPETA_EXPORTACIONES = 'exportaciones';
+
+// Memoria maxima de la subida: UPLOAD_MAX_BUFFERS bloques de UPLOAD_BUFFER_SIZE
+const UPLOAD_BUFFER_SIZE = 4 * 1024 * 1024;
+const UPLOAD_MAX_BUFFERS = 2;
+
+const FORMATOS = new Map([
+  ['csv', { contentType: 'text/csv; charset=utf-8', generar: generarCsv }],
+  [
+    'xlsx',
+    {
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      generar: generarXlsx,
+    },
+  ],
+]);
+
+// Lazy-load repository to avoid DB connections at module load
+let _documentoRepo = null;
+function getDocumentoRepo() {
+  if (!_documentoRepo) {
+    _documentoRepo = require('../../../bot/repositories/DocumentoFirmaRepository');
+  }
+  return _documentoRepo;
+}
+
+/** @type {Array<import('../../utils/tabularExport').ColumnaExportacion>} */
+const COLUMNAS_DOCUMENTOS = [
+  { titulo: 'ID', tipo: 'numero', valor: (fila) => fila.DocumentoFirmaId },
+  { titulo: 'SAP Document ID', tipo: 'texto', valor: (fila) => fila.SapDocumentId },
+  { titulo: 'Tipo', tipo: 'texto', valor: (fila) => fila.TipoDocumento },
+  { titulo: 'Estado', tipo: 'texto', valor: (fila) => fila.EstadoDocumento },
+  { titulo: 'Cliente', tipo: 'texto', valor: (fila) => fila.ClienteNombre },
+  { titulo: 'Telefono', tipo: 'texto', valor: (fila) => fila.ClienteTelefono },
+  { titulo: 'Email', tipo: 'texto', valor: (fila) => fila.ClienteEmail },
+  { titulo: 'Envelope ID', tipo: 'texto', valor: (fila) => fila.EnvelopeId },
+  { titulo: 'Fecha creacion', tipo: 'fechaHora', valor: (fila) => fila.FechaCreacion },
+  { titulo: 'Fecha envio WhatsApp', tipo: 'fechaHora', valor: (fila) => fila.FechaEnvioWhatsApp },
+  { titulo: 'Fecha visto', tipo: 'fechaHora', valor: (fila) => fila.FechaVisto },
+  { titulo: 'Fecha firmado', tipo: 'fechaHora', valor: (fila) => fila.FechaFirmado },
+  { titulo: 'Fecha rechazo', tipo: 'fechaHora', valor: (fila) => fila.FechaRechazo },
+  { titulo: 'Motivo rechazo', tipo: 'texto', valor: (fila) => fila.MotivoRechazo },
+  { titulo: 'Recordatorios', tipo: 'numero', valor: (fila) => fila.IntentosRecordatorio },
+  { titulo: 'Horas hasta firma', tipo: 'numero', valor: (fila) => fila.HorasHastaFirma },
+];
+
+/** @type {Array<import('../../utils/tabularExport').ColumnaExportacion>} */
+const COLUMNAS_ESTADISTICAS = [
+  { titulo: 'Fecha', tipo: 'fecha', valor: (fila) => fila.Fecha },
+  { titulo: 'Tipo', tipo: 'texto', valor: (fila) => fila.TipoDocumento },
+  { titulo: 'Estado', tipo: 'texto', valor: (fila) => fila.EstadoDocumento },
+  { titulo: 'Total', tipo: 'numero', valor: (fila) => fila.Total },
+  {
+    titulo: 'Promedio horas hasta firma',
+    tipo: 'numero',
+    valor: (fila) => fila.PromedioHorasHastaFirma,
+  },
+];
+
+const EXPORTACIONES = new Map([
+  [
+    'documentos',
+    {
+      hoja: 'Documentos',
+      columnas: COLUMNAS_DOCUMENTOS,
+      abrir: (filtros) => getDocumentoRepo().streamListado(filtros),
+    },
+  ],
+  [
+    'estadisticas',
+    {
+      hoja: 'Estadisticas',
+      columnas: COLUMNAS_ESTADISTICAS,
+      abrir: (filtros) => getDocumentoRepo().streamEstadisticasPorDia(filtros),
+    },
+  ],
+]);
+
+/**
+ * Genera una exportacion y la guarda en Blob Storage
+ * @param {'documentos'|'estadisticas'} tipo - Que exportar
+ * @param {'csv'|'xlsx'} formato - Formato del archivo
+ * @param {Object} [filtros] - Filtros de listar (estado, tipo, telefono, fechaDesde, fechaHasta)
+ * @returns {Promise<{blobName: string, fileName: string, filas: number}>}
+ * @throws {Error} Si falla la consulta o la subida (el blob parcial no se confirma)
+ */
+async function exportar(tipo, formato, filtros = {}) {
+  const exportacion = EXPORTACIONES.get(tipo);
+  const definicion = FORMATOS.get(formato);
+  if (!exportacion || !definicion) {
+    throw new Error(`Exportacion no soportada: ${tipo} (${formato})`);
+  }
+
+  const fecha = new Date().toISOString().substring(0, 10);
+  const blobName = `${CARPETA_EXPORTACIONES}/${fecha}/${tipo}_${crypto.randomUUID()}.${formato}`;
+  const fileName = `${tipo}_${fecha}.${formato}`;
+
+  const blockBlobClient = (await blobService.getContainerClient()).getBlockBlobClient(blobName);
+  const filasStream = await exportacion.abrir(filtros);
+  let filas = 0;
+  async function* contarFilas() {
+    for await (const fila of filasStream) {
+      filas++;
+      yield fila;
+    }
+  }
+
+  const contenido = Readable.from(
+    definicion.generar(contarFilas(), exportacion.columnas, exportacion.hoja)
+  );
+
+  try {
+    await blockBlobClient.uploadStream(contenido, UPLOAD_BUFFER_SIZE, UPLOAD_MAX_BUFFERS, {
+      blobHTTPHeaders: { blobContentType: definicion.contentType },
+    });
+  } catch (error) {
+    filasStream.destroy();
+    logger.error('[Exportacion] Error generando exportacion', error, { tipo, formato, filas });
+    throw error;
+  }
+
+  logger.info('[Exportacion] Exportacion generada', { tipo, formato, filas, blobName });
+  return { blobName, fileName, filas };
+}
+
+module.exports = {
+  exportar,
+};
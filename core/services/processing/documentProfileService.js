@@ -0,0 +1,201 @@
+/**
+ * SIGN BOT - Perfiles por Tipo de Documento
+ * Resuelve el perfil efectivo de un tipo (CONTRATO, ADENDUM, PAGARE, OTRO):
+ * template de envio, expiracion del envelope, cadencia y calendario de recordatorios,
+ * housekeeping, email requerido, datos del firmante que se piden al cliente por
+ * WhatsApp, layout de tabs y verificacion de identidad.
+ *
+ * Las columnas NULL de PerfilesTipoDocumento (o un tipo sin perfil) usan la
+ * configuracion global (config.firma / config.docusign).
+ *
+ * @module services/processing/documentProfileService
+ */
+
+const config = require('../../config');
+const { logger } = require('../infrastructure/errorHandler');
+const {
+  buildTemplatePayload,
+  TEMPLATE_NAMES,
+} = require('../../../bot/constants/whatsappTemplates');
+const {
+  calendarioRecordatoriosSchema,
+  datosFirmanteSchema,
+} = require('../../../bot/schemas/sapDocumentPayload');
+
+// Lazy-load PerfilTipoDocumentoRepository to avoid DB connections at module load
+let _perfilRepo = null;
+function getPerfilRepo() {
+  if (!_perfilRepo) {
+    _perfilRepo = require('../../../bot/repositories/PerfilTipoDocumentoRepository');
+  }
+  return _perfilRepo;
+}
+
+/**
+ * Perfil con los valores de la configuracion global
+ * @param {string} tipoDocumento - Codigo del tipo
+ * @returns {Object} - Perfil efectivo por defecto
+ */
+function perfilPorDefecto(tipoDocumento) {
+  return {
+    tipoDocumento,
+    templateEnvio: TEMPLATE_NAMES.FIRMA_ENVIO,
+    diasExpiracion: config.docusign.envelopeExpirationDays,
+    horasRecordatorio: config.firma.reminderHoursCliente,
+    maxRecordatorios: config.firma.maxRecordatoriosCliente,
+    calendarioRecordatorios: null,
+    diasHousekeeping: config.firma.housekeepingDays,
+    emailRequerido: false,
+    datosRequeridos: [],
+    tabs: null,
+    verificacionIdentidad: config.firma.verificacionIdentidad,
+  };
+}
+
+/**
+ * Parsea el layout de tabs guardado (JSON); un valor corrupto se ignora
+ * @param {string|null} tabsFirma - Columna TabsFirma
+ * @param {string} tipoDocumento - Codigo del tipo (para el log)
+ * @returns {Array|null}
+ */
+function parsearTabs(tabsFirma, tipoDocumento) {
+  if (!tabsFirma) {
+    return null;
+  }
+  try {
+    return JSON.parse(tabsFirma);
+  } catch (error) {
+    logger.warn('[Perfiles] TabsFirma invalido en el perfil, se ignora', {
+      tipoDocumento,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Parsea el calendario de recordatorios guardado (JSON); un valor corrupto se ignora
+ * y el tipo vuelve a la cadencia fija de horasRecordatorio
+ * @param {string|null} calendario - Columna CalendarioRecordatorios
+ * @param {string} tipoDocumento - Codigo del tipo (para el log)
+ * @returns {{dias: number[], repetirCadaDias?: number|null}|null}
+ */
+function parsearCalendario(calendario, tipoDocumento) {
+  if (!calendario) {
+    return null;
+  }
+  try {
+    return calendarioRecordatoriosSchema.parse(JSON.parse(calendario));
+  } catch (error) {
+    logger.warn('[Perfiles] CalendarioRecordatorios invalido en el perfil, se ignora', {
+      tipoDocumento,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Parsea los datos del firmante requeridos (JSON); un valor corrupto se ignora
+ * y el tipo no pide datos al cliente
+ * @param {string|null} datosRequeridos - Columna DatosRequeridos
+ * @param {string} tipoDocumento - Codigo del tipo (para el log)
+ * @returns {string[]} - Codigos de DATO_FIRMANTE
+ */
+function parsearDatosRequeridos(datosRequeridos, tipoDocumento) {
+  if (!datosRequeridos) {
+    return [];
+  }
+  try {
+    return datosFirmanteSchema.parse(JSON.parse(datosRequeridos));
+  } catch (error) {
+    logger.warn('[Perfiles] DatosRequeridos invalido en el perfil, se ignora', {
+      tipoDocumento,
+      error: error.message,
+    });
+    return [];
+  }
+}
+
+/**
+ * Combina el registro de PerfilesTipoDocumento con los valores por defecto
+ * @param {string} tipoDocumento - Codigo del tipo
+ * @param {Object|null} registro - Fila de PerfilTipoDocumentoRepository
+ * @returns {Object} - Perfil efectivo
+ */
+function combinarPerfil(tipoDocumento, registro) {
+  const defecto = perfilPorDefecto(tipoDocumento);
+  if (!registro) {
+    return defecto;
+  }
+
+  return {
+    tipoDocumento,
+    templateEnvio: registro.TemplateEnvio ?? defecto.templateEnvio,
+    diasExpiracion: registro.DiasExpiracion ?? defecto.diasExpiracion,
+    horasRecordatorio: registro.HorasRecordatorio ?? defecto.horasRecordatorio,
+    maxRecordatorios: registro.MaxRecordatorios ?? defecto.maxRecordatorios,
+    calendarioRecordatorios: parsearCalendario(registro.CalendarioRecordatorios, tipoDocumento),
+    diasHousekeeping: registro.DiasHousekeeping ?? defecto.diasHousekeeping,
+    emailRequerido: Boolean(registro.EmailRequerido),
+    datosRequeridos: parsearDatosRequeridos(registro.DatosRequeridos, tipoDocumento),
+    tabs: parsearTabs(registro.TabsFirma, tipoDocumento),
+    verificacionIdentidad: registro.VerificacionIdentidad ?? defecto.verificacionIdentidad,
+  };
+}
+
+/**
+ * Obtiene el perfil efectivo de un tipo de documento
+ * Si la BD no responde se usa la configuracion global (el envio no se bloquea)
+ * @param {string} tipoDocumento - Codigo del tipo
+ * @returns {Promise<Object>} - Perfil efectivo
+ */
+async function obtenerPerfil(tipoDocumento) {
+  const registro = await getPerfilRepo().obtenerPorTipo(tipoDocumento);
+  return combinarPerfil(tipoDocumento, registro);
+}
+
+/**
+ * Valida un payload de SAP contra el perfil de su tipo
+ * Con emailRequerido todos los firmantes necesitan email (DocuSign no usa
+ * el email generado a partir del telefono).
+ * @param {Object} datos - Payload validado de SAP
+ * @param {Object} perfil - Perfil efectivo
+ * @returns {string|null} - Mensaje de error o null si es valido
+ */
+function validarDatosPerfil(datos, perfil) {
+  if (!perfil.emailRequerido) {
+    return null;
+  }
+
+  const sufijo = `es requerido para documentos de tipo ${perfil.tipoDocumento}`;
+  if (datos.firmantes?.length) {
+    const sinEmail = datos.firmantes.findIndex((firmante) => !firmante.email);
+    return sinEmail === -1 ? null : `firmantes.${sinEmail}.email ${sufijo}`;
+  }
+
+  return datos.clienteEmail ? null : `clienteEmail ${sufijo}`;
+}
+
+/**
+ * Construye el template de envio del perfil
+ * El template del perfil debe tener los mismos parametros que firma_envio
+ * (clienteNombre, tipoDocumento, documentoNombre y el boton con signingUrl).
+ * @param {Object} perfil - Perfil efectivo
+ * @param {Object} params - Parametros de firma_envio
+ * @returns {Object} - Payload para whatsappService.sendTemplate
+ */
+function buildEnvioTemplatePayload(perfil, params) {
+  return {
+    ...buildTemplatePayload(TEMPLATE_NAMES.FIRMA_ENVIO, params),
+    name: perfil.templateEnvio,
+  };
+}
+
+module.exports = {
+  perfilPorDefecto,
+  combinarPerfil,
+  obtenerPerfil,
+  validarDatosPerfil,
+  buildEnvioTemplatePayload,
+};
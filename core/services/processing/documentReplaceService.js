@@ -0,0 +1,159 @@
+/**
+ * SIGN BOT - Reemplazo del PDF de un Documento
+ * Sustituye el PDF de un documento pendiente a peticion de un usuario del admin,
+ * conservando el envelope de DocuSign (correctEnvelope).
+ *
+ * - Sube el nuevo PDF a Blob Storage y lo reemplaza en el envelope
+ * - Registra la nueva version (sp_ReemplazarDocumentoFirma): la anterior pasa a ANULADO
+ *   y la nueva queda en ENVIADO con DocumentoAnteriorId apuntando a ella
+ * - Notifica al cliente con el template firma_actualizacion
+ *
+ * Si BD rechaza el reemplazo (concurrencia o transicion) el envelope ya tiene el nuevo
+ * PDF; el llamador debe reportarlo para reintentar. La notificacion no es fatal.
+ *
+ * @module services/processing/documentReplaceService
+ */
+
+const { logger } = require('../infrastructure/errorHandler');
+const { ValidationError } = require('../../errors');
+const docusignService = require('../external/docusignService');
+const notificationService = require('../messaging/notificationService');
+const { calcularHashPdf, subirPdfOriginal } = require('./sapDocumentProcessor');
+const { TEMPLATE_NAMES } = require('../../../bot/constants/whatsappTemplates');
+const { CANAL_NOTIFICACION, ORIGEN_HISTORIAL } = require('../../../bot/constants/documentStates');
+
+// MotivoReemplazo cuando el usuario no indica uno
+const MOTIVO_REEMPLAZO_ADMIN = 'Reemplazo desde el admin';
+
+// Lazy-load repositories to avoid DB connections at module load
+let _documentoRepo = null;
+function getDocumentoRepo() {
+  if (!_documentoRepo) {
+    _documentoRepo = require('../../../bot/repositories/DocumentoFirmaRepository');
+  }
+  return _documentoRepo;
+}
+
+let _firmanteRepo = null;
+function getFirmanteRepo() {
+  if (!_firmanteRepo) {
+    _firmanteRepo = require('../../../bot/repositories/FirmanteDocumentoRepository');
+  }
+  return _firmanteRepo;
+}
+
+/**
+ * Notifica al cliente la nueva version (no fatal)
+ * @param {Object} documento - Registro de la nueva version
+ * @returns {Promise<string|null>} - Canal usado o null si ningun canal pudo enviarla
+ */
+async function notificarActualizacion(documento) {
+  const documentoId = documento.DocumentoFirmaId;
+  try {
+    const { canal, mensajeId } = await notificationService.notificar(
+      TEMPLATE_NAMES.FIRMA_ACTUALIZACION,
+      {
+        clienteNombre: documento.ClienteNombre,
+        tipoDocumento: documento.TipoDocumento,
+        documentoNombre: documento.DocumentoNombre,
+        firma: {
+          documentoFirmaId: documentoId,
+          recipientId: null,
+          telefono: documento.ClienteTelefono,
+        },
+      },
+      { telefono: documento.ClienteTelefono, email: documento.ClienteEmail || null },
+      {
+        documentoFirmaId: documentoId,
+        firmanteId: null,
+        canalPreferido: documento.CanalPreferido,
+      }
+    );
+
+    // Los recordatorios de la nueva version cuentan desde esta notificacion
+    await getDocumentoRepo().registrarReenvio(documentoId, {
+      whatsAppMessageId: canal === CANAL_NOTIFICACION.WHATSAPP ? mensajeId : null,
+    });
+    return canal;
+  } catch (error) {
+    logger.warn('[Reemplazo] No se pudo notificar la actualizacion del documento', {
+      documentoId,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Reemplaza el PDF de un documento pendiente
+ * El llamador valida el estado del documento, que tenga envelope y el PDF
+ * (decodeAndValidatePdf).
+ * @param {Object} documento - Registro de DocumentosFirma (version actual)
+ * @param {Buffer} pdfBuffer - Nuevo PDF
+ * @param {Object} [opciones]
+ * @param {string} [opciones.documentoNombre] - Nuevo nombre del documento
+ * @param {string} [opciones.motivo] - Motivo del reemplazo (historial)
+ * @param {string} [opciones.actor] - Usuario del admin que reemplaza el PDF
+ * @returns {Promise<{documento: Object, blobName: string, canal: string|null}>}
+ *   - documento es la nueva version; canal es null si no se pudo notificar al cliente
+ * @throws {ValidationError} Si el documento es multi-firmante
+ * @throws {ExternalServiceError} Si falla la subida a Blob Storage o DocuSign no acepta el PDF
+ * @throws {ConcurrencyError|InvalidStateTransitionError} Si el documento cambio mientras tanto
+ */
+async function reemplazarPdf(documento, pdfBuffer, opciones = {}) {
+  const documentoId = documento.DocumentoFirmaId;
+
+  // Los firmantes estan ligados a la version actual; correctEnvelope solo cambia el PDF
+  const firmantes = await getFirmanteRepo().obtenerPorDocumento(documentoId);
+  if (firmantes.length > 0) {
+    throw new ValidationError(
+      `El documento ${documentoId} es multi-firmante; su PDF no se puede reemplazar`,
+      'documentoId'
+    );
+  }
+
+  const documentoNombre = opciones.documentoNombre || documento.DocumentoNombre;
+
+  // 1. Subir el nuevo PDF (un blob huerfano no afecta si DocuSign falla)
+  const { url, blobName } = await subirPdfOriginal(pdfBuffer, documento.SapDocumentId, {
+    log: (mensaje) => logger.info(`[Reemplazo] ${mensaje}`, { documentoId }),
+    logError: (mensaje, error) => logger.error(`[Reemplazo] ${mensaje}`, error, { documentoId }),
+  });
+
+  // 2. Reemplazar el PDF en el envelope
+  await docusignService.correctEnvelope(documento.EnvelopeId, pdfBuffer, documentoNombre);
+
+  // 3. Registrar la nueva version ligada a la anterior
+  const nuevo = await getDocumentoRepo().reemplazarDocumento(
+    documentoId,
+    documento.Version,
+    {
+      DocumentoOriginalUrl: url,
+      DocumentoNombre: opciones.documentoNombre || null,
+      DocumentoHash: calcularHashPdf(pdfBuffer),
+      MotivoReemplazo: opciones.motivo || MOTIVO_REEMPLAZO_ADMIN,
+      EnvelopeId: documento.EnvelopeId,
+    },
+    {
+      origen: ORIGEN_HISTORIAL.ADMIN,
+      actor: opciones.actor || null,
+      detalle: { motivo: opciones.motivo, documentoNombre, blobName },
+    }
+  );
+
+  // 4. Avisar al cliente que debe revisar la nueva version
+  const canal = await notificarActualizacion(nuevo);
+
+  logger.info('[Reemplazo] PDF del documento reemplazado', {
+    documentoAnteriorId: documentoId,
+    documentoId: nuevo.DocumentoFirmaId,
+    envelopeId: documento.EnvelopeId,
+    canal,
+  });
+
+  return { documento: nuevo, blobName, canal };
+}
+
+module.exports = {
+  reemplazarPdf,
+};
@@ -0,0 +1,213 @@
+/**
+ * SIGN BOT - Reenvio de la Notificacion de Firma
+ * Reenvia el template de envio (firma_envio o el del perfil) al firmante en turno de
+ * un documento pendiente, a peticion de un usuario del admin.
+ *
+ * - Contacto corregido: actualiza el firmante en DocuSign (email, clientUserId y
+ *   numero de la verificacion SMS) antes de regenerar el enlace
+ * - Regenera el recipientView (SigningUrl) y envia el template por notificationService;
+ *   el token del enlace /api/firma/{token} queda ligado al telefono vigente
+ * - Guarda el contacto corregido y reinicia los recordatorios (registrarReenvio)
+ *
+ * Si la notificacion falla no se guarda nada en BD; DocuSign puede quedar con el
+ * contacto corregido, lo que no afecta a un nuevo intento.
+ *
+ * @module services/processing/documentResendService
+ */
+
+const config = require('../../config');
+const { logger } = require('../infrastructure/errorHandler');
+const { ValidationError } = require('../../errors');
+const docusignService = require('../external/docusignService');
+const notificationService = require('../messaging/notificationService');
+const { obtenerPerfil } = require('./documentProfileService');
+const { TEMPLATE_NAMES } = require('../../../bot/constants/whatsappTemplates');
+const {
+  CANAL_NOTIFICACION,
+  ESTADO_FIRMANTE,
+  ROL_FIRMANTE,
+  VERIFICACION_IDENTIDAD,
+} = require('../../../bot/constants/documentStates');
+
+// Lazy-load repositories to avoid DB connections at module load
+let _documentoRepo = null;
+function getDocumentoRepo() {
+  if (!_documentoRepo) {
+    _documentoRepo = require('../../../bot/repositories/DocumentoFirmaRepository');
+  }
+  return _documentoRepo;
+}
+
+let _firmanteRepo = null;
+function getFirmanteRepo() {
+  if (!_firmanteRepo) {
+    _firmanteRepo = require('../../../bot/repositories/FirmanteDocumentoRepository');
+  }
+  return _firmanteRepo;
+}
+
+/**
+ * Firmante en turno: el cliente, o en documentos multi-firmante el firmante
+ * NOTIFICADO (el siguiente PENDIENTE si ninguno fue notificado)
+ * @param {Object} documento - Registro de DocumentosFirma
+ * @returns {Promise<Object|null>} - null si ningun firmante tiene la firma pendiente
+ */
+async function obtenerDestinatario(documento) {
+  const firmantes = await getFirmanteRepo().obtenerPorDocumento(documento.DocumentoFirmaId);
+
+  if (firmantes.length === 0) {
+    return {
+      registro: null,
+      recipientId: '1',
+      telefono: documento.ClienteTelefono,
+      nombre: documento.ClienteNombre,
+      email: documento.ClienteEmail || null,
+      esCliente: true,
+    };
+  }
+
+  const registro =
+    firmantes.find((f) => f.EstadoFirmante === ESTADO_FIRMANTE.NOTIFICADO) ||
+    firmantes.find((f) => f.EstadoFirmante === ESTADO_FIRMANTE.PENDIENTE);
+  if (!registro) {
+    return null;
+  }
+
+  return {
+    registro,
+    recipientId: registro.RecipientId,
+    telefono: registro.Telefono,
+    nombre: registro.Nombre,
+    email: registro.Email || null,
+    esCliente: registro.Rol === ROL_FIRMANTE.CLIENTE,
+  };
+}
+
+/**
+ * Reenvia la notificacion de firma de un documento pendiente
+ * El llamador valida que el documento este en ENVIADO, ENTREGADO o VISTO y tenga envelope.
+ * @param {Object} documento - Registro de DocumentosFirma
+ * @param {Object} [correccion] - Contacto corregido del firmante en turno
+ * @param {string} [correccion.telefono] - Telefono (10 a 15 digitos)
+ * @param {string} [correccion.email] - Email
+ * @returns {Promise<{firmanteId: number|null, telefono: string, canal: string,
+ *   telefonoCorregido: boolean, emailCorregido: boolean, registrado: boolean}>}
+ *   - registrado es false si el documento dejo de estar pendiente durante el reenvio
+ * @throws {ValidationError} Si ningun firmante tiene la firma pendiente
+ * @throws {ExternalServiceError} Si DocuSign o todos los canales de notificacion fallan
+ */
+async function reenviarNotificacion(documento, correccion = {}) {
+  const documentoId = documento.DocumentoFirmaId;
+  const destinatario = await obtenerDestinatario(documento);
+  if (!destinatario) {
+    throw new ValidationError(
+      `El documento ${documentoId} no tiene firmantes pendientes`,
+      'documentoId'
+    );
+  }
+
+  const telefono = correccion.telefono || destinatario.telefono;
+  const email = correccion.email || destinatario.email;
+  const telefonoCorregido = telefono !== destinatario.telefono;
+  const emailCorregido = email !== destinatario.email;
+  const perfil = await obtenerPerfil(documento.TipoDocumento);
+
+  // 1. Corregir el firmante en DocuSign (el recipientView usa el telefono como clientUserId)
+  const signerEmail = email || `${telefono}@signbot.noreply.com`;
+  if (telefonoCorregido || emailCorregido) {
+    await docusignService.updateRecipient(documento.EnvelopeId, {
+      recipientId: destinatario.recipientId,
+      email: signerEmail,
+      name: destinatario.nombre,
+      clientUserId: telefono,
+      telefonoSms:
+        perfil.verificacionIdentidad === VERIFICACION_IDENTIDAD.SMS_DOCUSIGN ? telefono : undefined,
+    });
+  }
+
+  // 2. Regenerar el enlace de firma (no fatal: el token del template genera uno al abrirlo)
+  let signingUrl = null;
+  try {
+    signingUrl = await docusignService.createRecipientView(
+      documento.EnvelopeId,
+      signerEmail,
+      destinatario.nombre,
+      config.docusign.baseUrl,
+      telefono
+    );
+  } catch (urlError) {
+    logger.warn('[Reenvio] No se pudo regenerar el signing URL', {
+      documentoId,
+      error: urlError.message,
+    });
+  }
+
+  // 3. Enviar el template de envio (canal preferido, luego el orden configurado)
+  const { registro } = destinatario;
+  const { canal, mensajeId } = await notificationService.notificar(
+    TEMPLATE_NAMES.FIRMA_ENVIO,
+    {
+      clienteNombre: destinatario.nombre,
+      tipoDocumento: documento.TipoDocumento,
+      documentoNombre: documento.DocumentoNombre,
+      firma: {
+        documentoFirmaId: documentoId,
+        recipientId: registro ? registro.RecipientId : null,
+        telefono,
+      },
+    },
+    { telefono, email },
+    {
+      documentoFirmaId: documentoId,
+      firmanteId: registro ? registro.FirmanteId : null,
+      canalPreferido: documento.CanalPreferido,
+      perfil,
+    }
+  );
+  const messageId = canal === CANAL_NOTIFICACION.WHATSAPP ? mensajeId : null;
+
+  // 4. Guardar el contacto corregido, el mensaje y reiniciar los recordatorios
+  if (registro) {
+    if (telefonoCorregido || emailCorregido) {
+      await getFirmanteRepo().actualizarContacto(documentoId, registro.FirmanteId, {
+        telefono: telefonoCorregido ? telefono : null,
+        email: emailCorregido ? email : null,
+      });
+    }
+    await getFirmanteRepo().actualizarEstado(
+      documentoId,
+      registro.FirmanteId,
+      ESTADO_FIRMANTE.NOTIFICADO,
+      { WhatsAppMessageId: messageId }
+    );
+  }
+
+  // Los recordatorios del timer van a ClienteTelefono/ClienteEmail
+  const registrado = await getDocumentoRepo().registrarReenvio(documentoId, {
+    telefono: destinatario.esCliente && telefonoCorregido ? telefono : null,
+    email: destinatario.esCliente && emailCorregido ? email : null,
+    signingUrl,
+    whatsAppMessageId: registro ? null : messageId,
+  });
+
+  logger.info('[Reenvio] Notificacion de firma reenviada', {
+    documentoId,
+    firmanteId: registro ? registro.FirmanteId : null,
+    canal,
+    telefonoCorregido,
+    emailCorregido,
+  });
+
+  return {
+    firmanteId: registro ? registro.FirmanteId : null,
+    telefono,
+    canal,
+    telefonoCorregido,
+    emailCorregido,
+    registrado,
+  };
+}
+
+module.exports = {
+  reenviarNotificacion,
+};
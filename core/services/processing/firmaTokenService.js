@@ -0,0 +1,122 @@
+/**
+ * SIGN BOT - Tokens de Enlaces de Firma
+ * Token opaco que va en el boton URL de los templates (/api/firma/{token}) en lugar
+ * del DocumentoFirmaId, para que los enlaces no se puedan enumerar.
+ *
+ * Formato (base64url): version (1) | DocumentoFirmaId (4) | RecipientId (2, 0 = un
+ * solo firmante) | expiracion en segundos epoch (4) | HMAC-SHA256 truncado (16).
+ * El HMAC incluye el telefono del firmante, que no viaja en el token: un token solo
+ * es valido para el telefono al que se envio.
+ *
+ * No hay tabla de tokens: un documento firmado, rechazado o anulado (o un firmante
+ * que ya firmo) deja sin efecto sus enlaces porque /api/firma valida el estado.
+ *
+ * @module services/processing/firmaTokenService
+ */
+
+const crypto = require('crypto');
+const config = require('../../config');
+const { logger } = require('../infrastructure/errorHandler');
+
+const VERSION = 1;
+const MAC_BYTES = 16;
+const DATOS_BYTES = 11;
+
+// Motivos por los que un token no se acepta
+const MOTIVO_TOKEN = {
+  INVALIDO: 'INVALIDO',
+  EXPIRADO: 'EXPIRADO',
+};
+
+/**
+ * Indica si el valor de la ruta es un enlace numerico anterior a los tokens
+ * @param {string} valor - Segmento de /api/firma/{token}
+ * @returns {boolean}
+ */
+function esEnlaceNumerico(valor) {
+  return /^\d+$/.test(String(valor || ''));
+}
+
+function calcularMac(datos, telefono) {
+  return crypto
+    .createHmac('sha256', config.firma.enlace.secret)
+    .update(Buffer.concat([datos, Buffer.from(String(telefono || ''))]))
+    .digest()
+    .subarray(0, MAC_BYTES);
+}
+
+/**
+ * Genera el parametro del boton URL para un firmante
+ * Sin FIRMA_LINK_SECRET se conserva el enlace numerico (solo desarrollo).
+ * @param {Object} firma
+ * @param {number} firma.documentoFirmaId - ID del documento
+ * @param {string|null} [firma.recipientId] - RecipientId (documentos multi-firmante)
+ * @param {string} firma.telefono - Telefono al que se envia el enlace
+ * @returns {string} - Token, o "{documentoId}[/{recipientId}]" sin secreto configurado
+ */
+function generarToken({ documentoFirmaId, recipientId = null, telefono }) {
+  if (!config.firma.enlace.secret) {
+    logger.warn('[FirmaToken] FIRMA_LINK_SECRET no configurado, usando enlace numerico', {
+      documentoFirmaId,
+    });
+    return recipientId ? `${documentoFirmaId}/${recipientId}` : String(documentoFirmaId);
+  }
+
+  const expira = Math.floor(Date.now() / 1000) + config.firma.enlace.expiracionDias * 86400;
+  const datos = Buffer.alloc(DATOS_BYTES);
+  datos.writeUInt8(VERSION, 0);
+  datos.writeUInt32BE(documentoFirmaId, 1);
+  datos.writeUInt16BE(recipientId ? parseInt(recipientId, 10) : 0, 5);
+  datos.writeUInt32BE(expira, 7);
+
+  return Buffer.concat([datos, calcularMac(datos, telefono)]).toString('base64url');
+}
+
+/**
+ * Lee el documento y el firmante de un token (sin validar el HMAC)
+ * El HMAC se valida con verificarToken una vez conocido el telefono del firmante.
+ * @param {string} token - Token de la ruta
+ * @returns {{documentoFirmaId: number, recipientId: string|null}|{motivo: string}}
+ */
+function leerToken(token) {
+  const raw = /^[A-Za-z0-9_-]+$/.test(String(token || ''))
+    ? Buffer.from(token, 'base64url')
+    : Buffer.alloc(0);
+
+  if (raw.length !== DATOS_BYTES + MAC_BYTES || raw.readUInt8(0) !== VERSION) {
+    return { motivo: MOTIVO_TOKEN.INVALIDO };
+  }
+  if (raw.readUInt32BE(7) * 1000 < Date.now()) {
+    return { motivo: MOTIVO_TOKEN.EXPIRADO };
+  }
+
+  const recipientId = raw.readUInt16BE(5);
+  return {
+    documentoFirmaId: raw.readUInt32BE(1),
+    recipientId: recipientId ? String(recipientId) : null,
+  };
+}
+
+/**
+ * Valida que el token se genero para el telefono del firmante
+ * @param {string} token - Token de la ruta (ya leido con leerToken)
+ * @param {string} telefono - Telefono del firmante en BD
+ * @returns {boolean}
+ */
+function verificarToken(token, telefono) {
+  if (!config.firma.enlace.secret) {
+    return false;
+  }
+
+  const raw = Buffer.from(token, 'base64url');
+  const esperado = calcularMac(raw.subarray(0, DATOS_BYTES), telefono);
+  return crypto.timingSafeEqual(esperado, raw.subarray(DATOS_BYTES));
+}
+
+module.exports = {
+  MOTIVO_TOKEN,
+  esEnlaceNumerico,
+  generarToken,
+  leerToken,
+  verificarToken,
+};
@@ -3,8 +3,11 @@
  * Enruta mensajes de WhatsApp al handler correspondiente segun su tipo.
  * Modulo compartido entre el webhook HTTP y el queue processor.
  *
- * Sign Bot solo maneja: text, interactive (buttons).
+ * Sign Bot solo maneja: text, interactive (botones y listas) y button (quick reply de templates).
  * Tipos no soportados (image, audio, location) reciben un mensaje informativo.
+ * Los tipos internos 'sap_document' (documentos de lote SAP), 'sap_document_envio'
+ * (envio asincrono de POST /api/sap-document) y 'admin_bulk_action' (acciones masivas
+ * del admin) solo llegan por la cola.
  *
  * @module services/processing/messageRouter
  */
@@ -12,8 +15,25 @@
 const messageHandler = require('../../../bot/controllers/messageHandler');
 const { TimeoutBudget } = require('../../utils/requestTimeout');
 
+// Lazy load: solo el queue processor recibe documentos de lote SAP
+let _sapDocumentProcessor = null;
+function getSapDocumentProcessor() {
+  if (!_sapDocumentProcessor) {
+    _sapDocumentProcessor = require('./sapDocumentProcessor');
+  }
+  return _sapDocumentProcessor;
+}
+
+let _documentBulkService = null;
+function getDocumentBulkService() {
+  if (!_documentBulkService) {
+    _documentBulkService = require('./documentBulkService');
+  }
+  return _documentBulkService;
+}
+
 /**
- * Procesa un mensaje segun su tipo (text, interactive)
+ * Procesa un mensaje segun su tipo (text, interactive, button)
  * @param {Object} message - Mensaje completo de WhatsApp
  * @param {string} from - Numero de telefono del remitente
  * @param {string} messageId - ID unico del mensaje
@@ -37,10 +57,21 @@ async function processMessageByType(message, from, messageId, context, log, budg
     }
 
     case 'interactive': {
-      const buttonReply = message.interactive && message.interactive.button_reply;
-      if (buttonReply) {
-        log(`Boton presionado: ${buttonReply.id}`);
-        await messageHandler.handleButton(from, buttonReply.id, messageId, context);
+      // Las filas de una lista se procesan igual que un boton (su id es el del boton)
+      const reply = message.interactive?.button_reply || message.interactive?.list_reply;
+      if (reply) {
+        log(`Boton presionado: ${reply.id}`);
+        await messageHandler.handleButton(from, reply.id, messageId, context);
+      }
+      break;
+    }
+
+    // Quick reply de un template (ej: RECHAZAR_DOCUMENTO:{documentoFirmaId})
+    case 'button': {
+      const buttonId = message.button?.payload || message.button?.text;
+      if (buttonId) {
+        log(`Quick reply de template: ${buttonId}`);
+        await messageHandler.handleButton(from, buttonId, messageId, context);
       }
       break;
     }
@@ -57,6 +88,23 @@ async function processMessageByType(message, from, messageId, context, log, budg
       await messageHandler.handleUnsupportedType(from, messageType, messageId, context);
       break;
 
+    // Documento de un lote SAP encolado por POST /api/sap-document/batch
+    case 'sap_document':
+      log(`Documento de lote SAP: ${message.loteId} #${message.indice}`);
+      await getSapDocumentProcessor().procesarItemLote(message, log);
+      break;
+
+    case 'sap_document_envio':
+      log(`Envio de documento SAP pendiente: ${message.documentoId}`);
+      await getSapDocumentProcessor().procesarEnvioPendiente(message, log);
+      break;
+
+    // Documento de una accion masiva encolada por POST /api/admin/documents/bulk
+    case 'admin_bulk_action':
+      log(`Accion masiva ${message.accion}: ${message.trabajoId} #${message.documentoId}`);
+      await getDocumentBulkService().procesarItemTrabajo(message, log);
+      break;
+
     default:
       log(`Tipo de mensaje desconocido: ${messageType}`);
   }
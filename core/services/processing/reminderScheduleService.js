@@ -0,0 +1,215 @@
+/**
+ * SIGN BOT - Calendario de Recordatorios al Cliente
+ * Decide si un documento pendiente de firma debe recibir recordatorio en esta
+ * ejecucion del timer.
+ *
+ * El calendario viene del perfil del tipo (CalendarioRecordatorios) y cada documento
+ * lo puede sobrescribir en datosExtra.calendarioRecordatorios:
+ *   { dias: [1, 3, 7], repetirCadaDias: 3 } = dias 1, 3 y 7 despues del envio, luego cada 3
+ * Los dias son de calendario en la zona horaria del cliente. Sin calendario se mantiene
+ * la cadencia fija de horasRecordatorio.
+ *
+ * Los recordatorios solo salen en dias habiles (sin fines de semana, dias de descanso
+ * obligatorio de la LFT ni config.firma.recordatorios.diasInhabiles) y dentro de la
+ * ventana de envio en la zona horaria del cliente (datosExtra.zonaHoraria o la de
+ * config). Uno que vence fuera de la ventana sale en la primera ejecucion dentro de ella.
+ *
+ * @module services/processing/reminderScheduleService
+ */
+
+const config = require('../../config');
+const { logger } = require('../infrastructure/errorHandler');
+const { datosExtraSchema } = require('../../../bot/schemas/sapDocumentPayload');
+
+const MS_POR_HORA = 60 * 60 * 1000;
+
+// Dias festivos por anio (se calculan una vez)
+const festivosPorAnio = new Map();
+
+/**
+ * Formatea una fecha como YYYY-MM-DD
+ * @param {number} anio
+ * @param {number} mes - 1-12
+ * @param {number} dia
+ * @returns {string}
+ */
+function formatearFecha(anio, mes, dia) {
+  return `${anio}-${String(mes).padStart(2, '0')}-${String(dia).padStart(2, '0')}`;
+}
+
+/**
+ * Dia del mes del n-esimo lunes (los festivos que la LFT recorre a lunes)
+ * @param {number} anio
+ * @param {number} mes - 1-12
+ * @param {number} n - 1 = primer lunes
+ * @returns {number}
+ */
+function enesimoLunes(anio, mes, n) {
+  const diaSemana = new Date(Date.UTC(anio, mes - 1, 1)).getUTCDay();
+  return 1 + ((8 - diaSemana) % 7) + (n - 1) * 7;
+}
+
+/**
+ * Dias de descanso obligatorio en Mexico (art. 74 de la Ley Federal del Trabajo)
+ * @param {number} anio
+ * @returns {Set<string>} - Fechas YYYY-MM-DD
+ */
+function diasFestivosMexico(anio) {
+  if (festivosPorAnio.has(anio)) {
+    return festivosPorAnio.get(anio);
+  }
+
+  const fechas = [
+    [1, 1],
+    [2, enesimoLunes(anio, 2, 1)], // Dia de la Constitucion
+    [3, enesimoLunes(anio, 3, 3)], // Natalicio de Benito Juarez
+    [5, 1],
+    [9, 16],
+    [11, enesimoLunes(anio, 11, 3)], // Revolucion Mexicana
+    [12, 25],
+  ];
+  // Transmision del Poder Ejecutivo Federal, cada seis anios
+  if (anio >= 2024 && (anio - 2024) % 6 === 0) {
+    fechas.push([10, 1]);
+  }
+
+  const festivos = new Set(fechas.map(([mes, dia]) => formatearFecha(anio, mes, dia)));
+  festivosPorAnio.set(anio, festivos);
+  return festivos;
+}
+
+/**
+ * Fecha, hora y dia de la semana de un instante en una zona horaria
+ * @param {Date} fecha
+ * @param {string} zonaHoraria - Zona IANA
+ * @returns {{fecha: string, anio: number, hora: number, finDeSemana: boolean}}
+ */
+function obtenerFechaLocal(fecha, zonaHoraria) {
+  const partes = new Intl.DateTimeFormat('en-US', {
+    timeZone: zonaHoraria,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23',
+    weekday: 'short',
+  }).formatToParts(fecha);
+  const valores = Object.fromEntries(partes.map((parte) => [parte.type, parte.value]));
+
+  return {
+    fecha: `${valores.year}-${valores.month}-${valores.day}`,
+    anio: Number(valores.year),
+    hora: Number(valores.hour),
+    finDeSemana: valores.weekday === 'Sat' || valores.weekday === 'Sun',
+  };
+}
+
+/**
+ * Indica si en un instante se pueden enviar recordatorios: dia habil y dentro de la
+ * ventana de envio, ambos en la zona horaria del cliente
+ * @param {Date} fecha
+ * @param {string} [zonaHoraria] - Zona IANA (default: config.firma.recordatorios.zonaHoraria)
+ * @returns {boolean}
+ */
+function esMomentoDeEnvio(fecha, zonaHoraria = config.firma.recordatorios.zonaHoraria) {
+  const { horaInicio, horaFin, diasInhabiles } = config.firma.recordatorios;
+  const local = obtenerFechaLocal(fecha, zonaHoraria);
+
+  if (local.finDeSemana || local.hora < horaInicio || local.hora >= horaFin) {
+    return false;
+  }
+  return !diasFestivosMexico(local.anio).has(local.fecha) && !diasInhabiles.includes(local.fecha);
+}
+
+/**
+ * Dias de espera de un recordatorio desde el anterior (o desde el envio, el primero)
+ * @param {{dias: number[], repetirCadaDias?: number|null}} calendario
+ * @param {number} indice - Recordatorios ya enviados (0 = el primero)
+ * @returns {number|null} - null si el calendario ya termino
+ */
+function diasDeEspera(calendario, indice) {
+  const { dias, repetirCadaDias } = calendario;
+  if (indice < dias.length) {
+    return dias.at(indice) - (indice === 0 ? 0 : dias.at(indice - 1));
+  }
+  return repetirCadaDias || null;
+}
+
+/**
+ * Fecha local (YYYY-MM-DD) desde la que le toca el siguiente recordatorio con calendario
+ * Se cuenta desde el ultimo recordatorio (o reenvio), asi uno atrasado por fin de semana
+ * o dia festivo recorre a los siguientes en lugar de juntarlos
+ * @param {Object} doc - Documento (FechaEnvio, IntentosRecordatorio, UltimoRecordatorio)
+ * @param {{dias: number[], repetirCadaDias?: number|null}} calendario
+ * @param {string} zonaHoraria - Zona IANA del cliente
+ * @returns {string|null} - null si ya no le tocan recordatorios
+ */
+function calcularFechaRecordatorio(doc, calendario, zonaHoraria) {
+  const espera = diasDeEspera(calendario, doc.IntentosRecordatorio || 0);
+  if (espera === null) {
+    return null;
+  }
+
+  const base = obtenerFechaLocal(new Date(doc.UltimoRecordatorio || doc.FechaEnvio), zonaHoraria);
+  const [anio, mes, dia] = base.fecha.split('-').map(Number);
+  return new Date(Date.UTC(anio, mes - 1, dia + espera)).toISOString().substring(0, 10);
+}
+
+/**
+ * Lee el calendario y la zona horaria de datosExtra (JSON); los valores invalidos
+ * (documentos anteriores a la validacion) se ignoran
+ * @param {string|null} datosExtra - Columna DatosExtra
+ * @param {number} documentoId - Para el log
+ * @returns {{calendarioRecordatorios?: Object, zonaHoraria?: string}}
+ */
+function leerDatosExtra(datosExtra, documentoId) {
+  if (!datosExtra) {
+    return {};
+  }
+  try {
+    const { calendarioRecordatorios, zonaHoraria } = datosExtraSchema.parse(JSON.parse(datosExtra));
+    return { calendarioRecordatorios, zonaHoraria };
+  } catch (error) {
+    logger.warn('[Recordatorios] DatosExtra invalido, se usa el calendario del perfil', {
+      documentoId,
+      error: error.message,
+    });
+    return {};
+  }
+}
+
+/**
+ * Indica si a un documento le toca recordatorio ahora
+ * @param {Object} doc - Documento (DocumentoFirmaId, FechaEnvio, IntentosRecordatorio,
+ *   UltimoRecordatorio, DatosExtra)
+ * @param {Object} perfil - Perfil efectivo del tipo (documentProfileService)
+ * @param {Date} [ahora]
+ * @returns {boolean}
+ */
+function recordatorioPendiente(doc, perfil, ahora = new Date()) {
+  if ((doc.IntentosRecordatorio || 0) >= perfil.maxRecordatorios) {
+    return false;
+  }
+
+  const datosExtra = leerDatosExtra(doc.DatosExtra, doc.DocumentoFirmaId);
+  const zonaHoraria = datosExtra.zonaHoraria || config.firma.recordatorios.zonaHoraria;
+  if (!esMomentoDeEnvio(ahora, zonaHoraria)) {
+    return false;
+  }
+
+  const calendario = datosExtra.calendarioRecordatorios || perfil.calendarioRecordatorios;
+  if (!calendario) {
+    const base = new Date(doc.UltimoRecordatorio || doc.FechaEnvio).getTime();
+    return ahora.getTime() - base >= perfil.horasRecordatorio * MS_POR_HORA;
+  }
+
+  const fecha = calcularFechaRecordatorio(doc, calendario, zonaHoraria);
+  return fecha !== null && obtenerFechaLocal(ahora, zonaHoraria).fecha >= fecha;
+}
+
+module.exports = {
+  diasFestivosMexico,
+  esMomentoDeEnvio,
+  calcularFechaRecordatorio,
+  recordatorioPendiente,
+};
@@ -0,0 +1,1017 @@
+/**
+ * SIGN BOT - Procesador de Documentos SAP
+ * Pipeline compartido para documentos recibidos de SAP:
+ * PDF -> Blob Storage -> envelope DocuSign -> registro en BD -> notificacion (WhatsApp, email o SMS) -> ENVIADO
+ *
+ * Lo usan POST /api/sap-document (sincrono) y el queue processor para los
+ * documentos encolados por POST /api/sap-document/batch y para el envio
+ * asincrono de POST /api/sap-document (SAP_DOCUMENT_ASYNC).
+ *
+ * Si faltan datos del cliente (signerDataService) el documento se registra en
+ * PENDIENTE_ENVIO sin envelope y se le piden por WhatsApp; el flujo DATOS_FIRMANTE
+ * llama a completarDatosFirmante para reanudar el envio.
+ *
+ * @module services/processing/sapDocumentProcessor
+ */
+
+const crypto = require('crypto');
+const config = require('../../config');
+const { logger, DatabaseError, ExternalServiceError } = require('../infrastructure/errorHandler');
+const docusignService = require('../external/docusignService');
+const teamsService = require('../external/teamsService');
+const sapCallbackService = require('../external/sapCallbackService');
+const blobService = require('../storage/blobService');
+const serviceBus = require('../messaging/serviceBusService');
+const correlation = require('../infrastructure/correlationService');
+const notificationService = require('../messaging/notificationService');
+const { obtenerPerfil } = require('./documentProfileService');
+const signerDataService = require('./signerDataService');
+const { TEMPLATE_NAMES } = require('../../../bot/constants/whatsappTemplates');
+const {
+  CANAL_NOTIFICACION,
+  ESTADO_DOCUMENTO,
+  ESTADO_DOCUMENTO_ID,
+  ESTADO_FIRMANTE,
+  ESTADO_ITEM_LOTE,
+  ORIGEN_HISTORIAL,
+  VERIFICACION_IDENTIDAD,
+  getTipoDocumentoId,
+} = require('../../../bot/constants/documentStates');
+
+// PDF magic bytes: %PDF (hex: 25504446)
+const PDF_MAGIC_BYTES = Buffer.from([0x25, 0x50, 0x44, 0x46]);
+
+// Max PDF size from config (in bytes)
+const MAX_PDF_SIZE = (config.blob.maxPdfSizeMB || 25) * 1024 * 1024;
+
+// Actor de las transiciones del pipeline en HistorialDocumentoFirma
+const ACTOR_SAP = 'SAP';
+
+// MotivoReemplazo de la version creada por un reenvio del mismo sapDocumentId
+const MOTIVO_REENVIO_SAP = 'Reenvio desde SAP';
+
+// ==============================================================
+// REPOSITORIOS (LAZY LOAD)
+// ==============================================================
+
+// Lazy-load DocumentoFirmaRepository to avoid circular dependencies at module load
+let _documentoRepo = null;
+function getDocumentoRepo() {
+  if (!_documentoRepo) {
+    try {
+      _documentoRepo = require('../../../bot/repositories/DocumentoFirmaRepository');
+    } catch (_e) {
+      // Repository may not exist yet; provide a stub that warns
+      logger.warn('[SAP-Document] DocumentoFirmaRepository no disponible, usando stub');
+      _documentoRepo = {
+        async crear() {
+          logger.warn('[SAP-Document] DocumentoFirmaRepository.crear() stub - no persistence');
+          return { DocumentoFirmaId: `stub-${Date.now()}` };
+        },
+        async obtenerActivoPorSapDocumentId() {
+          return null;
+        },
+        async actualizarEstado() {
+          return true;
+        },
+      };
+    }
+  }
+  return _documentoRepo;
+}
+
+// Lazy-load FirmanteDocumentoRepository (multi-signer documents only)
+let _firmanteRepo = null;
+function getFirmanteRepo() {
+  if (!_firmanteRepo) {
+    _firmanteRepo = require('../../../bot/repositories/FirmanteDocumentoRepository');
+  }
+  return _firmanteRepo;
+}
+
+// Lazy-load LoteDocumentoRepository (documentos encolados por lote)
+let _loteRepo = null;
+function getLoteRepo() {
+  if (!_loteRepo) {
+    _loteRepo = require('../../../bot/repositories/LoteDocumentoRepository');
+  }
+  return _loteRepo;
+}
+
+// ==============================================================
+// PDF Y BLOB STORAGE
+// ==============================================================
+
+/**
+ * Decodes and validates a base64 PDF
+ * @param {string} base64String - Base64 encoded PDF
+ * @returns {{ valid: boolean, buffer?: Buffer, error?: string, tooLarge?: boolean }}
+ */
+function decodeAndValidatePdf(base64String) {
+  let buffer;
+  try {
+    buffer = Buffer.from(base64String, 'base64');
+  } catch (_error) {
+    return { valid: false, error: 'pdfBase64 no es un string base64 valido' };
+  }
+
+  if (buffer.length === 0) {
+    return { valid: false, error: 'El PDF decodificado esta vacio' };
+  }
+
+  // Check magic bytes (%PDF)
+  if (buffer.length < 4 || !buffer.subarray(0, 4).equals(PDF_MAGIC_BYTES)) {
+    return { valid: false, error: 'El archivo no es un PDF valido (magic bytes incorrectos)' };
+  }
+
+  // Check file size
+  if (buffer.length > MAX_PDF_SIZE) {
+    const sizeMB = (buffer.length / 1024 / 1024).toFixed(2);
+    const maxMB = config.blob.maxPdfSizeMB || 25;
+    return {
+      valid: false,
+      error: `El PDF excede el tamano maximo permitido: ${sizeMB}MB > ${maxMB}MB`,
+      tooLarge: true,
+    };
+  }
+
+  return { valid: true, buffer };
+}
+
+/**
+ * Hash of a PDF to identify each version (DocumentosFirma.DocumentoHash)
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @returns {string} - SHA-256 in hex
+ */
+function calcularHashPdf(pdfBuffer) {
+  return crypto.createHash('sha256').update(pdfBuffer).digest('hex');
+}
+
+/**
+ * Uploads a PDF to Blob Storage with a structured path
+ * @param {Buffer} pdfBuffer - PDF buffer
+ * @param {string} sapDocumentId - SAP document ID
+ * @param {string} suffix - File name suffix (e.g., 'original', 'signed')
+ * @returns {Promise<{ url: string, blobName: string }>} - Blob URL and name
+ */
+async function uploadPdfToBlob(pdfBuffer, sapDocumentId, suffix = 'original') {
+  const container = await blobService.getContainerClient();
+
+  const timestamp = Date.now();
+  const blobName = `documentos/${sapDocumentId}/${timestamp}_${suffix}.pdf`;
+
+  const blockBlobClient = container.getBlockBlobClient(blobName);
+
+  await blockBlobClient.upload(pdfBuffer, pdfBuffer.length, {
+    blobHTTPHeaders: {
+      blobContentType: 'application/pdf',
+    },
+  });
+
+  logger.info('[SAP-Document] PDF subido a Blob Storage', {
+    blobName,
+    sizeKB: (pdfBuffer.length / 1024).toFixed(1),
+  });
+
+  return { url: blockBlobClient.url, blobName };
+}
+
+/**
+ * Descarga un PDF previamente subido con uploadPdfToBlob
+ * @param {string} blobName - Ruta del blob dentro del contenedor
+ * @returns {Promise<Buffer>} - Contenido del PDF
+ */
+async function downloadPdfFromBlob(blobName) {
+  const container = await blobService.getContainerClient();
+  return container.getBlockBlobClient(blobName).downloadToBuffer();
+}
+
+// ==============================================================
+// FIRMANTES
+// ==============================================================
+
+/**
+ * Returns the first signer in routing order (receives the initial WhatsApp notification)
+ * @param {Object} datos - Validated SAP payload
+ * @returns {{ telefono: string, nombre: string, email: string }}
+ */
+function getPrimerFirmante(datos) {
+  const primero = datos.firmantes?.[0] || {
+    telefono: datos.clienteTelefono,
+    nombre: datos.clienteNombre,
+    email: datos.clienteEmail,
+  };
+  return {
+    ...primero,
+    email: primero.email || `${primero.telefono}@signbot.noreply.com`,
+  };
+}
+
+/**
+ * Saves the signer list of a multi-signer document
+ * @param {number} documentoId - DocumentoFirmaId
+ * @param {Array} [firmantes] - Signers in routing order
+ * @returns {Promise<Array>} - FirmantesDocumento rows (empty for single-signer documents)
+ */
+async function registrarFirmantes(documentoId, firmantes) {
+  if (!firmantes) {
+    return [];
+  }
+
+  const registros = await getFirmanteRepo().crearFirmantes(documentoId, firmantes);
+  logger.info('[SAP-Document] Firmantes registrados en BD', {
+    documentoId,
+    total: registros.length,
+  });
+  return registros;
+}
+
+/**
+ * Sends the document type's envio template (FIRMA_ENVIO by default) to the first signer
+ * through notificationService (preferred channel first, then the configured order)
+ * The link is /api/firma/{token}, bound to the signer's phone; multi-signer documents
+ * include the recipientId in the token and mark the signer as NOTIFICADO
+ * @param {number} documentoId - DocumentoFirmaId
+ * @param {{ telefono: string, nombre: string }} firmante - Signer to notify
+ * @param {Object|undefined} registro - FirmantesDocumento row (multi-signer only)
+ * @param {Object} documento - Template params and channel preference
+ * @param {string} documento.tipoDocumento
+ * @param {string} documento.documentoNombre
+ * @param {string} [documento.clienteEmail] - Email of a single-signer document (EMAIL channel)
+ * @param {string} [documento.canalPreferido] - CanalPreferido del documento
+ * @param {Object} perfil - Perfil efectivo del tipo de documento
+ * @returns {Promise<{ canal: string, messageId: string|null }>} - Channel used and the
+ *   WhatsApp message ID (wamid), null when the template was not sent by WhatsApp
+ */
+async function sendFirmaEnvio(documentoId, firmante, registro, documento, perfil) {
+  const { canal, mensajeId } = await notificationService.notificar(
+    TEMPLATE_NAMES.FIRMA_ENVIO,
+    {
+      clienteNombre: firmante.nombre,
+      tipoDocumento: documento.tipoDocumento,
+      documentoNombre: documento.documentoNombre,
+      firma: {
+        documentoFirmaId: documentoId,
+        recipientId: registro ? registro.RecipientId : null,
+        telefono: firmante.telefono,
+      },
+    },
+    {
+      telefono: firmante.telefono,
+      email: registro ? registro.Email : documento.clienteEmail,
+    },
+    {
+      documentoFirmaId: documentoId,
+      firmanteId: registro ? registro.FirmanteId : null,
+      canalPreferido: documento.canalPreferido,
+      perfil,
+    }
+  );
+  const messageId = canal === CANAL_NOTIFICACION.WHATSAPP ? mensajeId : null;
+
+  if (registro) {
+    await getFirmanteRepo().actualizarEstado(
+      documentoId,
+      registro.FirmanteId,
+      ESTADO_FIRMANTE.NOTIFICADO,
+      { WhatsAppMessageId: messageId }
+    );
+  }
+
+  return { canal, messageId };
+}
+
+// ==============================================================
+// PIPELINE
+// ==============================================================
+
+/**
+ * Anula el envelope y el registro del documento activo que reemplaza un envelope nuevo
+ * (re-envio de SAP multi-firmante o con tabs, o correctEnvelope fallido), para que el
+ * cliente no tenga dos enlaces ni siga vigente la lista de firmantes anterior.
+ * No fatal, igual que /documents/void: si DocuSign falla se avisa a Teams para anularlo a mano.
+ * @param {Object} documento - Documento activo del mismo sapDocumentId
+ * @param {Object} loggers - Funciones de logging con correlation ID
+ */
+async function anularEnvelopeAnterior(documento, { log, logError }) {
+  const motivo = 'Reemplazado por una nueva version desde SAP';
+
+  try {
+    await docusignService.voidEnvelope(documento.EnvelopeId, motivo);
+    log(`Envelope anterior anulado: ${documento.EnvelopeId}`);
+  } catch (dsError) {
+    logError('Error anulando el envelope anterior en DocuSign:', dsError);
+    teamsService
+      .notifyError(
+        'Envelope anterior sin anular',
+        `${documento.SapDocumentId}: el envelope ${documento.EnvelopeId} sigue vigente tras el re-envio de SAP`,
+        { documentoId: documento.DocumentoFirmaId, envelopeId: documento.EnvelopeId }
+      )
+      .catch(() => {});
+  }
+
+  try {
+    await getDocumentoRepo().actualizarEstado(
+      documento.DocumentoFirmaId,
+      ESTADO_DOCUMENTO_ID.ANULADO,
+      documento.Version,
+      {},
+      {
+        origen: ORIGEN_HISTORIAL.SAP_API,
+        actor: ACTOR_SAP,
+        detalle: { reason: motivo, envelopeId: documento.EnvelopeId },
+      }
+    );
+  } catch (dbError) {
+    logError(`Error anulando el documento anterior ${documento.DocumentoFirmaId}:`, dbError);
+  }
+}
+
+/**
+ * Obtiene el envelope del documento: corrige el envelope activo del mismo
+ * sapDocumentId (reemplaza el PDF) o crea uno nuevo. Los envelopes nuevos usan la
+ * expiracion del perfil y sus tabs cuando el payload no trae tabs; si reemplazan
+ * al envelope activo, este se anula antes (anularEnvelopeAnterior).
+ * documentoAnteriorId es el documento activo del mismo sapDocumentId (la version
+ * que reemplaza el nuevo registro), se haya corregido su envelope o no.
+ * documentoId es el registro ya creado en PENDIENTE_ENVIO (envio asincrono o tras
+ * capturar los datos del cliente): se excluye para no tomarlo como version activa.
+ * @param {number|null} [documentoId] - Documento ya registrado para este envio
+ * @returns {Promise<{ envelopeId: string, signingUrl: string|null,
+ *   documentoAnteriorId: number|null, envelopeReutilizado: boolean }>}
+ * @throws {ExternalServiceError} Si no se pudo crear el envelope
+ */
+async function obtenerEnvelope(
+  datos,
+  pdfBuffer,
+  primerFirmante,
+  perfil,
+  { log, logError },
+  documentoId = null
+) {
+  const { sapDocumentId, clienteTelefono, documentoNombre, firmantes, tabs } = datos;
+
+  // 4. Check for existing active document for same sapDocumentId
+  let existingDoc = null;
+  try {
+    existingDoc = await getDocumentoRepo().obtenerActivoPorSapDocumentId(
+      sapDocumentId,
+      documentoId
+    );
+  } catch (dbError) {
+    log(`Error consultando documento existente: ${dbError.message}`);
+    // Continue with new envelope creation
+  }
+  const documentoAnteriorId = existingDoc ? existingDoc.DocumentoFirmaId : null;
+
+  // correctEnvelope only replaces the PDF; the signer list or tab layout may have changed
+  const corregible = !firmantes && !tabs;
+  if (existingDoc && !corregible) {
+    log('Documento existente multi-firmante o con tabs, se creara un nuevo envelope');
+  }
+
+  if (existingDoc && existingDoc.EnvelopeId && corregible) {
+    // 5a. Existing active document: correct the envelope (replace PDF)
+    log(`Documento existente encontrado, corrigiendo envelope: ${existingDoc.EnvelopeId}`);
+    try {
+      const corrected = await docusignService.correctEnvelope(
+        existingDoc.EnvelopeId,
+        pdfBuffer,
+        documentoNombre
+      );
+      log(`Envelope corregido: ${corrected.envelopeId}`);
+      return {
+        envelopeId: corrected.envelopeId,
+        signingUrl: null,
+        documentoAnteriorId,
+        envelopeReutilizado: true,
+      };
+    } catch (correctError) {
+      logError('Error corrigiendo envelope, creando uno nuevo:', correctError);
+      // Fallback to creating a new envelope
+    }
+  }
+
+  // 5b. Create new envelope, voiding the one it replaces
+  if (existingDoc && existingDoc.EnvelopeId) {
+    await anularEnvelopeAnterior(existingDoc, { log, logError });
+  }
+
+  try {
+    const envelopeResult = await docusignService.createEnvelope(
+      pdfBuffer,
+      primerFirmante.email,
+      primerFirmante.nombre,
+      documentoNombre,
+      {
+        clienteTelefono,
+        firmantes,
+        tabs: tabs || perfil.tabs || undefined,
+        expirationDays: perfil.diasExpiracion,
+        verificacionSms: perfil.verificacionIdentidad === VERIFICACION_IDENTIDAD.SMS_DOCUSIGN,
+      }
+    );
+    log(`Envelope creado: ${envelopeResult.envelopeId}`);
+    return { ...envelopeResult, documentoAnteriorId, envelopeReutilizado: false };
+  } catch (dsError) {
+    logError('Error creando envelope en DocuSign:', dsError);
+    throw new ExternalServiceError(
+      'Error creando el sobre de firma en DocuSign',
+      'DocuSign',
+      dsError
+    );
+  }
+}
+
+/**
+ * Registra el documento (PENDIENTE_ENVIO) y sus firmantes en BD (paso 6)
+ * @param {Object} datos - Payload validado de SAP (sin pdfBase64)
+ * @param {string} blobUrl - URL del PDF original en Blob Storage
+ * @param {Object} loggers - Funciones de logging con correlation ID
+ * @param {Object} [pdf] - Version del PDF
+ * @param {string} [pdf.hash] - SHA-256 del PDF (calcularHashPdf)
+ * @param {number|null} [pdf.documentoAnteriorId] - Documento activo del mismo sapDocumentId
+ * @param {boolean} [pdf.envelopeReutilizado] - Si se corrigio el envelope del anterior
+ * @param {string[]} [datosPendientes] - Datos que se piden al cliente antes del envelope
+ * @returns {Promise<{ documentoId: number, version: number, firmantesRegistrados: Array }>}
+ * @throws {DatabaseError} Si falla el registro del documento o de los firmantes
+ */
+async function registrarDocumento(
+  datos,
+  blobUrl,
+  { log, logError },
+  pdf = {},
+  datosPendientes = []
+) {
+  let documentoId;
+  let version = 0;
+  try {
+    const record = await getDocumentoRepo().crear(
+      {
+        SapDocumentId: datos.sapDocumentId,
+        SapCallbackUrl: datos.sapCallbackUrl || null,
+        ClienteTelefono: datos.clienteTelefono,
+        ClienteNombre: datos.clienteNombre,
+        ClienteEmail: datos.clienteEmail || null,
+        ClienteRfc: datos.clienteRfc || null,
+        TipoDocumentoId: getTipoDocumentoId(datos.tipoDocumento),
+        DocumentoNombre: datos.documentoNombre,
+        DocumentoOriginalUrl: blobUrl,
+        DatosExtra: datos.datosExtra ? JSON.stringify(datos.datosExtra) : null,
+        TabsFirma: datos.tabs ? JSON.stringify(datos.tabs) : null,
+        CanalPreferido: datos.canalPreferido || null,
+        DocumentoHash: pdf.hash || null,
+        DocumentoAnteriorId: pdf.documentoAnteriorId || null,
+        EnvelopeReutilizado: Boolean(pdf.envelopeReutilizado),
+        MotivoReemplazo: pdf.documentoAnteriorId ? MOTIVO_REENVIO_SAP : null,
+        DatosPendientes: datosPendientes.length ? JSON.stringify(datosPendientes) : null,
+      },
+      {
+        origen: ORIGEN_HISTORIAL.SAP_API,
+        actor: ACTOR_SAP,
+        detalle: {
+          sapDocumentId: datos.sapDocumentId,
+          tipoDocumento: datos.tipoDocumento,
+          documentoNombre: datos.documentoNombre,
+          firmantes: datos.firmantes ? datos.firmantes.length : 1,
+          canalPreferido: datos.canalPreferido,
+          documentoAnteriorId: pdf.documentoAnteriorId,
+          datosPendientes: datosPendientes.length ? datosPendientes : undefined,
+        },
+      }
+    );
+    documentoId = record.DocumentoFirmaId;
+    version = record.Version || 0;
+    log(`Documento registrado en BD: ${documentoId}`);
+  } catch (dbError) {
+    logError('Error guardando documento en BD:', dbError);
+    throw new DatabaseError('Error registrando el documento', dbError, 'crear');
+  }
+
+  try {
+    const firmantesRegistrados = await registrarFirmantes(documentoId, datos.firmantes);
+    return { documentoId, version, firmantesRegistrados };
+  } catch (dbError) {
+    logError('Error guardando firmantes en BD:', dbError);
+    throw new DatabaseError(
+      'Error registrando los firmantes del documento',
+      dbError,
+      'crearFirmantes'
+    );
+  }
+}
+
+/**
+ * Notifica al primer firmante y pasa el documento a ENVIADO (pasos 7-8)
+ * Ningun fallo es fatal: el envelope ya existe y el documento ya esta registrado.
+ * @param {Object} datos - Datos del documento (tipoDocumento, documentoNombre, sapDocumentId)
+ * @param {Object} registro - Resultado de registrarDocumento
+ * @param {{ envelopeId: string, signingUrl?: string|null }} envelope - Envelope de DocuSign
+ * @param {Object} perfil - Perfil efectivo del tipo de documento
+ * @param {Object} loggers - Funciones de logging con correlation ID
+ */
+async function notificarYMarcarEnviado(datos, registro, envelope, perfil, { log, logError }) {
+  const { documentoId, version, firmantesRegistrados } = registro;
+  const primerFirmante = getPrimerFirmante(datos);
+
+  // 7. Send the signing notification (WhatsApp template, or email/SMS as fallback)
+  // Boton URL = token del firmante (el template URL en Meta redirige via /api/firma/{token})
+  // Multi-signer: el token incluye el recipientId para que el redirect use el firmante correcto
+  let messageId = null;
+  let canal = null;
+  try {
+    const envio = await sendFirmaEnvio(
+      documentoId,
+      primerFirmante,
+      firmantesRegistrados[0],
+      {
+        tipoDocumento: datos.tipoDocumento,
+        documentoNombre: datos.documentoNombre,
+        clienteEmail: datos.clienteEmail,
+        canalPreferido: datos.canalPreferido,
+      },
+      perfil
+    );
+    messageId = envio.messageId;
+    canal = envio.canal;
+    log(`Notificacion de firma enviada por ${canal}`);
+  } catch (notifError) {
+    // Don't fail the entire request if every channel fails
+    logError('Error enviando notificacion de firma (no fatal):', notifError);
+    // Notify Teams about the notification failure
+    teamsService
+      .notifyError('Error enviando notificacion de firma', `Documento ${datos.sapDocumentId}`, {
+        telefono: primerFirmante.telefono,
+        error: notifError.message,
+      })
+      .catch(() => {});
+  }
+
+  // 8. Update document state to ENVIADO
+  // Single-signer: WhatsAppMessageId relaciona los statuses de Meta con el documento
+  try {
+    await getDocumentoRepo().actualizarEstado(
+      documentoId,
+      ESTADO_DOCUMENTO_ID.ENVIADO,
+      version,
+      {
+        EnvelopeId: envelope.envelopeId,
+        SigningUrl: envelope.signingUrl || null,
+        WhatsAppMessageId: firmantesRegistrados.length ? null : messageId,
+      },
+      { origen: ORIGEN_HISTORIAL.SAP_API, actor: ACTOR_SAP, detalle: { canalNotificacion: canal } }
+    );
+    log('Estado actualizado a ENVIADO');
+  } catch (stateError) {
+    logError('Error actualizando estado a ENVIADO:', stateError);
+    // Not fatal - the document was created successfully
+  }
+}
+
+/**
+ * Registra el documento en PENDIENTE_ENVIO con sus datos pendientes y los pide al
+ * cliente por WhatsApp; el envelope se crea cuando el cliente los confirma.
+ * Un fallo del WhatsApp no es fatal: se alerta a Teams y el documento queda registrado.
+ * @param {Object} datos - Payload validado de SAP (sin pdfBase64)
+ * @param {string} blobUrl - URL del PDF original en Blob Storage
+ * @param {string[]} datosPendientes - Datos que se piden (DATO_FIRMANTE)
+ * @param {Object} loggers - Funciones de logging con correlation ID
+ * @param {Object} pdf - Version del PDF (ver registrarDocumento)
+ * @returns {Promise<{ documentoId: number, envelopeId: null, estado: string, datosPendientes: string[] }>}
+ * @throws {DatabaseError} Si falla el registro del documento
+ */
+async function esperarDatosFirmante(datos, blobUrl, datosPendientes, loggers, pdf) {
+  const { log, logError } = loggers;
+  const { documentoId } = await registrarDocumento(datos, blobUrl, loggers, pdf, datosPendientes);
+
+  try {
+    await signerDataService.solicitarDatos(
+      {
+        documentoFirmaId: documentoId,
+        telefono: datos.clienteTelefono,
+        clienteNombre: datos.clienteNombre,
+        tipoDocumento: datos.tipoDocumento,
+        documentoNombre: datos.documentoNombre,
+      },
+      datosPendientes
+    );
+    log(`Documento ${documentoId} en espera de datos del cliente: ${datosPendientes.join(', ')}`);
+  } catch (notifError) {
+    logError('Error solicitando datos del cliente (no fatal):', notifError);
+    teamsService
+      .notifyError('Error solicitando datos del cliente', `Documento ${datos.sapDocumentId}`, {
+        telefono: datos.clienteTelefono,
+        datosPendientes,
+        error: notifError.message,
+      })
+      .catch(() => {});
+  }
+
+  return {
+    documentoId,
+    envelopeId: null,
+    estado: ESTADO_DOCUMENTO.PENDIENTE_ENVIO,
+    datosPendientes,
+  };
+}
+
+/**
+ * Crea el envelope, registra el documento y notifica al primer firmante (pasos 4-8)
+ * Los fallos de WhatsApp y de la transicion a ENVIADO no son fatales.
+ * Si faltan datos del cliente no crea el envelope (ver esperarDatosFirmante).
+ *
+ * @param {Object} datos - Payload validado de SAP (sin pdfBase64)
+ * @param {Buffer} pdfBuffer - PDF ya validado
+ * @param {string} blobUrl - URL del PDF original en Blob Storage
+ * @param {Object} loggers - Funciones de logging con correlation ID
+ * @param {Function} loggers.log
+ * @param {Function} loggers.logError
+ * @returns {Promise<{ documentoId: number, envelopeId: string|null, estado: string, datosPendientes?: string[] }>}
+ * @throws {ExternalServiceError|DatabaseError} Si falla un paso fatal (envelope o registro)
+ */
+async function crearYEnviarDocumento(datos, pdfBuffer, blobUrl, loggers) {
+  const perfil = await obtenerPerfil(datos.tipoDocumento);
+
+  const datosPendientes = signerDataService.detectarDatosPendientes(datos, perfil);
+  if (datosPendientes.length > 0) {
+    // El envelope del documento activo se corrige o anula cuando el cliente complete
+    // sus datos (procesarEnvioPendiente lo busca excluyendo el nuevo registro)
+    const existente = await getDocumentoRepo()
+      .obtenerActivoPorSapDocumentId(datos.sapDocumentId)
+      .catch((dbError) => {
+        loggers.log(`Error consultando documento existente: ${dbError.message}`);
+        return null;
+      });
+    return esperarDatosFirmante(datos, blobUrl, datosPendientes, loggers, {
+      hash: calcularHashPdf(pdfBuffer),
+      documentoAnteriorId: existente ? existente.DocumentoFirmaId : null,
+    });
+  }
+
+  const envelope = await obtenerEnvelope(
+    datos,
+    pdfBuffer,
+    getPrimerFirmante(datos),
+    perfil,
+    loggers
+  );
+
+  const registro = await registrarDocumento(datos, blobUrl, loggers, {
+    hash: calcularHashPdf(pdfBuffer),
+    documentoAnteriorId: envelope.documentoAnteriorId,
+    envelopeReutilizado: envelope.envelopeReutilizado,
+  });
+  await notificarYMarcarEnviado(datos, registro, envelope, perfil, loggers);
+
+  return {
+    documentoId: registro.documentoId,
+    envelopeId: envelope.envelopeId,
+    estado: ESTADO_DOCUMENTO.ENVIADO,
+  };
+}
+
+// ==============================================================
+// ENVIO DESDE LA COLA (documentos en PENDIENTE_ENVIO)
+// ==============================================================
+
+/**
+ * Reconstruye los datos del pipeline a partir del registro en BD
+ * @param {Object} documento - Registro de DocumentosFirma (sp_ObtenerDocumentoPorId)
+ * @param {Array} firmantes - Registros de FirmantesDocumento (vacio si es de un solo firmante)
+ * @returns {Object} - Datos con la forma del payload validado de SAP
+ */
+function datosDesdeRegistro(documento, firmantes) {
+  return {
+    sapDocumentId: documento.SapDocumentId,
+    clienteTelefono: documento.ClienteTelefono,
+    clienteNombre: documento.ClienteNombre,
+    clienteEmail: documento.ClienteEmail || undefined,
+    clienteRfc: documento.ClienteRfc || undefined,
+    tipoDocumento: documento.TipoDocumento,
+    documentoNombre: documento.DocumentoNombre,
+    firmantes:
+      firmantes.length > 0
+        ? firmantes.map((f) => ({
+            telefono: f.Telefono,
+            nombre: f.Nombre,
+            email: f.Email || undefined,
+            rol: f.Rol,
+          }))
+        : undefined,
+    tabs: documento.TabsFirma ? JSON.parse(documento.TabsFirma) : undefined,
+    canalPreferido: documento.CanalPreferido || undefined,
+  };
+}
+
+/**
+ * Marca el documento como ERROR y notifica a SAP (ultimo intento agotado)
+ * @param {Object} documento - Registro de DocumentosFirma
+ * @param {Error} error - Error del ultimo intento
+ * @param {Function} logError
+ */
+async function marcarEnvioFallido(documento, error, logError) {
+  try {
+    await getDocumentoRepo().actualizarEstado(
+      documento.DocumentoFirmaId,
+      ESTADO_DOCUMENTO_ID.ERROR,
+      documento.Version || 0,
+      { MensajeError: error.message },
+      { origen: ORIGEN_HISTORIAL.SAP_API, actor: ACTOR_SAP }
+    );
+  } catch (stateError) {
+    logError('Error marcando documento como ERROR:', stateError);
+  }
+
+  await sapCallbackService.notificarCambioEstado(documento, ESTADO_DOCUMENTO.ERROR, {
+    mensajeError: error.message,
+  });
+}
+
+/**
+ * Crea el envelope y notifica un documento registrado en PENDIENTE_ENVIO
+ * Idempotente: si el documento ya salio de PENDIENTE_ENVIO no hace nada.
+ * Tampoco si aun espera datos del cliente (DatosPendientes): el flujo del bot
+ * lo vuelve a encolar al completarlos.
+ * Relanza el error para que el llamador lo guarde en deadLetterService (o registre
+ * el reintento fallido); en el ultimo intento marca el documento como ERROR.
+ *
+ * @param {Object} mensaje - Cuerpo del mensaje 'sap_document_envio'
+ * @param {number} mensaje.documentoId - DocumentoFirmaId
+ * @param {string} mensaje.blobName - Ruta del PDF original en Blob Storage
+ * @param {boolean} [mensaje.ultimoIntento] - true si no habra mas reintentos
+ * @param {Function} log - Funcion de logging con correlation ID
+ * @param {Function} [logError] - Funcion de logging de errores
+ * @returns {Promise<Object|null>} - Resultado o null si el documento ya no estaba pendiente
+ */
+async function procesarEnvioPendiente(mensaje, log, logError = log) {
+  const { documentoId, blobName, ultimoIntento = false } = mensaje;
+
+  const documento = await getDocumentoRepo().obtenerPorId(documentoId);
+  if (!documento) {
+    throw new Error(`Documento ${documentoId} no encontrado`);
+  }
+  if (documento.EstadoDocumentoId !== ESTADO_DOCUMENTO_ID.PENDIENTE_ENVIO) {
+    log(`Documento ${documentoId} ya no esta en PENDIENTE_ENVIO, omitiendo`);
+    return null;
+  }
+  if (documento.DatosPendientes) {
+    log(`Documento ${documentoId} en espera de datos del cliente, omitiendo`);
+    return null;
+  }
+
+  try {
+    const firmantesRegistrados = await getFirmanteRepo().obtenerPorDocumento(documentoId);
+    const datos = datosDesdeRegistro(documento, firmantesRegistrados);
+    const pdfBuffer = await downloadPdfFromBlob(blobName);
+    const perfil = await obtenerPerfil(datos.tipoDocumento);
+
+    const envelope = await obtenerEnvelope(
+      datos,
+      pdfBuffer,
+      getPrimerFirmante(datos),
+      perfil,
+      { log, logError },
+      documentoId
+    );
+    const registro = { documentoId, version: documento.Version || 0, firmantesRegistrados };
+    await notificarYMarcarEnviado(datos, registro, envelope, perfil, { log, logError });
+
+    return { documentoId, envelopeId: envelope.envelopeId, estado: ESTADO_DOCUMENTO.ENVIADO };
+  } catch (error) {
+    if (ultimoIntento) {
+      logError(`Envio del documento ${documentoId} agotado, marcando ERROR:`, error);
+      await marcarEnvioFallido(documento, error, logError);
+    }
+    throw error;
+  }
+}
+
+// ==============================================================
+// ENVIO ASINCRONO (SAP_DOCUMENT_ASYNC)
+// ==============================================================
+
+// Tipo de mensaje en la cola para documentos pendientes de envio
+const MENSAJE_ENVIO = 'sap_document_envio';
+
+/**
+ * Sube el PDF original a Blob Storage
+ * @param {Buffer} pdfBuffer - PDF ya validado
+ * @param {string} sapDocumentId - ID del documento en SAP
+ * @param {Object} loggers - Funciones de logging con correlation ID
+ * @returns {Promise<{ url: string, blobName: string }>}
+ * @throws {ExternalServiceError} Si falla la subida
+ */
+async function subirPdfOriginal(pdfBuffer, sapDocumentId, { log, logError }) {
+  try {
+    const blob = await uploadPdfToBlob(pdfBuffer, sapDocumentId, 'original');
+    log('PDF subido a Blob Storage');
+    return blob;
+  } catch (blobError) {
+    logError('Error subiendo PDF a Blob Storage:', blobError);
+    throw new ExternalServiceError('Error almacenando el documento PDF', 'BlobStorage', blobError);
+  }
+}
+
+/**
+ * Registra el documento en PENDIENTE_ENVIO y lo encola para su envio
+ * Un reenvio del mismo sapDocumentId mientras sigue pendiente devuelve el
+ * documento existente (SAP reintenta cuando no recibe respuesta a tiempo).
+ * Si no se puede encolar, el envio se procesa en linea. Si faltan datos del
+ * cliente no se encola: se piden por WhatsApp (ver esperarDatosFirmante).
+ *
+ * @param {Object} datos - Payload validado de SAP (sin pdfBase64)
+ * @param {Buffer} pdfBuffer - PDF ya validado
+ * @param {string} correlationId - Correlation ID de la peticion
+ * @param {Object} loggers - Funciones de logging con correlation ID
+ * @returns {Promise<{ documentoId: number, envelopeId: string|null, estado: string, duplicado: boolean, datosPendientes?: string[] }>}
+ * @throws {ExternalServiceError|DatabaseError} Si falla un paso fatal
+ */
+async function encolarEnvio(datos, pdfBuffer, correlationId, loggers) {
+  const { log, logError } = loggers;
+
+  const existente = await getDocumentoRepo().obtenerActivoPorSapDocumentId(datos.sapDocumentId);
+  if (existente?.EstadoDocumentoId === ESTADO_DOCUMENTO_ID.PENDIENTE_ENVIO) {
+    log(`Documento ya pendiente de envio: ${existente.DocumentoFirmaId}`);
+    return {
+      documentoId: existente.DocumentoFirmaId,
+      envelopeId: null,
+      estado: ESTADO_DOCUMENTO.PENDIENTE_ENVIO,
+      duplicado: true,
+    };
+  }
+
+  const perfil = await obtenerPerfil(datos.tipoDocumento);
+  const datosPendientes = signerDataService.detectarDatosPendientes(datos, perfil);
+
+  const { url, blobName } = await subirPdfOriginal(pdfBuffer, datos.sapDocumentId, loggers);
+  // El envelope se crea al procesar el mensaje: aqui solo se liga la version activa
+  const pdf = {
+    hash: calcularHashPdf(pdfBuffer),
+    documentoAnteriorId: existente ? existente.DocumentoFirmaId : null,
+  };
+
+  if (datosPendientes.length > 0) {
+    const resultado = await esperarDatosFirmante(datos, url, datosPendientes, loggers, pdf);
+    return { ...resultado, duplicado: false };
+  }
+
+  const { documentoId } = await registrarDocumento(datos, url, loggers, pdf);
+
+  const mensaje = { type: MENSAJE_ENVIO, documentoId, blobName };
+  const enqueued = await serviceBus.sendToQueue({
+    message: mensaje,
+    from: datos.clienteTelefono,
+    messageId: `${MENSAJE_ENVIO}-${documentoId}`,
+    correlationId,
+    enqueuedAt: new Date().toISOString(),
+  });
+
+  if (enqueued) {
+    log(`Documento ${documentoId} encolado para envio`);
+    return {
+      documentoId,
+      envelopeId: null,
+      estado: ESTADO_DOCUMENTO.PENDIENTE_ENVIO,
+      duplicado: false,
+    };
+  }
+
+  // Fallback: procesar en linea si no se pudo encolar
+  log('No se pudo encolar el documento, procesando envio en linea');
+  const resultado = await procesarEnvioPendiente(
+    { ...mensaje, ultimoIntento: true },
+    log,
+    logError
+  );
+  return { ...resultado, duplicado: false };
+}
+
+// ==============================================================
+// DATOS DEL FIRMANTE CAPTURADOS POR WHATSAPP
+// ==============================================================
+
+/**
+ * Guarda los datos del cliente capturados por el flujo DATOS_FIRMANTE, los
+ * reporta a SAP y reanuda el envio (encola el documento para crear el envelope).
+ * Si no se puede encolar, el envio se procesa en linea; un fallo ahi no se relanza
+ * porque el documento ya quedo en ERROR y SAP fue notificado.
+ *
+ * @param {number} documentoId - DocumentoFirmaId en PENDIENTE_ENVIO
+ * @param {Object} valores - Valores validados por codigo de DATO_FIRMANTE ({ EMAIL, RFC, NOMBRE_LEGAL })
+ * @param {string} telefono - Telefono del cliente que capturo los datos
+ * @param {Object} loggers - Funciones de logging
+ * @returns {Promise<boolean>} - false si el documento ya no esperaba datos del cliente
+ * @throws {Error} Si falla el guardado de los datos
+ */
+async function completarDatosFirmante(documentoId, valores, telefono, { log, logError }) {
+  const datosCliente = {
+    email: valores.EMAIL || null,
+    rfc: valores.RFC || null,
+    nombreLegal: valores.NOMBRE_LEGAL || null,
+  };
+
+  const repo = getDocumentoRepo();
+  const actualizado = await repo.actualizarDatosCliente(
+    documentoId,
+    { email: datosCliente.email, rfc: datosCliente.rfc, nombre: datosCliente.nombreLegal },
+    { actor: telefono, detalle: { datosCapturados: Object.keys(valores) } }
+  );
+  if (!actualizado) {
+    log(`Documento ${documentoId} ya no esperaba datos del cliente`);
+    return false;
+  }
+
+  const documento = await repo.obtenerPorId(documentoId);
+  await sapCallbackService.notificarDatosCliente(documento, datosCliente);
+
+  const mensaje = {
+    type: MENSAJE_ENVIO,
+    documentoId,
+    blobName: blobService.getBlobNameFromUrl(documento.DocumentoOriginalUrl),
+  };
+  const enqueued = await serviceBus.sendToQueue({
+    message: mensaje,
+    from: telefono,
+    messageId: `${MENSAJE_ENVIO}-${documentoId}`,
+    correlationId: correlation.getCorrelationId() || null,
+    enqueuedAt: new Date().toISOString(),
+  });
+
+  if (enqueued) {
+    log(`Datos del cliente guardados, documento ${documentoId} encolado para envio`);
+    return true;
+  }
+
+  log('No se pudo encolar el documento, procesando envio en linea');
+  try {
+    await procesarEnvioPendiente({ ...mensaje, ultimoIntento: true }, log, logError);
+  } catch (error) {
+    logError(`Error enviando el documento ${documentoId} tras completar sus datos:`, error);
+  }
+  return true;
+}
+
+// ==============================================================
+// DOCUMENTOS ENCOLADOS POR LOTE
+// ==============================================================
+
+/**
+ * Procesa un documento de lote recibido desde Service Bus
+ * Idempotente: si el item ya fue procesado (reentrega de Service Bus) no hace nada.
+ * Si falla, marca el item como ERROR y relanza para que Service Bus reintente.
+ *
+ * @param {Object} item - Cuerpo del mensaje 'sap_document'
+ * @param {string} item.loteId - ID del lote
+ * @param {number} item.indice - Posicion del documento en el lote
+ * @param {Object} item.documento - Payload validado de SAP (sin pdfBase64)
+ * @param {string} item.blobName - Ruta del PDF original en Blob Storage
+ * @param {string} item.blobUrl - URL del PDF original
+ * @param {Function} log - Funcion de logging con correlation ID
+ * @param {Function} [logError] - Funcion de logging de errores
+ * @returns {Promise<Object|null>} - Resultado del pipeline o null si ya estaba procesado
+ */
+async function procesarItemLote(item, log, logError = log) {
+  const { loteId, indice, documento, blobName, blobUrl } = item;
+  const loteRepo = getLoteRepo();
+
+  const actual = await loteRepo.obtenerItem(loteId, indice);
+  if (actual?.Estado === ESTADO_ITEM_LOTE.PROCESADO) {
+    log(`Item ${indice} del lote ${loteId} ya procesado, omitiendo`);
+    return null;
+  }
+
+  try {
+    const pdfBuffer = await downloadPdfFromBlob(blobName);
+    const resultado = await crearYEnviarDocumento(documento, pdfBuffer, blobUrl, {
+      log,
+      logError,
+    });
+
+    await loteRepo.actualizarItem(loteId, indice, ESTADO_ITEM_LOTE.PROCESADO, {
+      DocumentoFirmaId: resultado.documentoId,
+    });
+    log(`Item ${indice} del lote ${loteId} procesado: documento ${resultado.documentoId}`);
+    return resultado;
+  } catch (error) {
+    await loteRepo
+      .actualizarItem(loteId, indice, ESTADO_ITEM_LOTE.ERROR, { MensajeError: error.message })
+      .catch((dbError) => {
+        logError('Error marcando item de lote como ERROR:', dbError);
+      });
+    throw error;
+  }
+}
+
+module.exports = {
+  decodeAndValidatePdf,
+  calcularHashPdf,
+  uploadPdfToBlob,
+  downloadPdfFromBlob,
+  subirPdfOriginal,
+  registrarDocumento,
+  crearYEnviarDocumento,
+  encolarEnvio,
+  procesarEnvioPendiente,
+  completarDatosFirmante,
+  procesarItemLote,
+};
@@ -0,0 +1,177 @@
+/**
+ * SIGN BOT - Datos del Firmante
+ * Detecta que datos del cliente (email, RFC, nombre legal) faltan, no son validos
+ * o SAP pide confirmar, y los solicita por WhatsApp con el template firma_datos.
+ * Mientras tanto el documento queda en PENDIENTE_ENVIO con DatosPendientes y no se
+ * crea el envelope; la captura la hace el flujo DATOS_FIRMANTE del bot.
+ *
+ * Solo aplica a documentos de un firmante: en multi-firmante SAP envia los datos
+ * de cada firmante y el bot no tiene con quien capturarlos.
+ *
+ * @module services/processing/signerDataService
+ */
+
+const { logger } = require('../infrastructure/errorHandler');
+const whatsappService = require('../external/whatsappService');
+const {
+  buildTemplatePayload,
+  TEMPLATE_NAMES,
+} = require('../../../bot/constants/whatsappTemplates');
+const { DATO_FIRMANTE, DATO_FIRMANTE_INFO } = require('../../../bot/constants/documentStates');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// RFC: 3 letras (moral) o 4 (fisica), fecha AAMMDD y homoclave
+const RFC_REGEX = /^[A-Z&Ñ]{3,4}\d{6}[A-Z0-9]{3}$/;
+const MAX_NOMBRE_LEGAL = 200;
+
+// Normalizacion y validacion de cada dato: devuelve el valor normalizado o null si no es valido
+const VALIDADORES = new Map([
+  [
+    DATO_FIRMANTE.EMAIL,
+    (texto) => {
+      const email = texto.trim().toLowerCase();
+      return email.length <= 200 && EMAIL_REGEX.test(email) ? email : null;
+    },
+  ],
+  [
+    DATO_FIRMANTE.RFC,
+    (texto) => {
+      const rfc = texto.toUpperCase().replace(/[\s-]/g, '');
+      return RFC_REGEX.test(rfc) ? rfc : null;
+    },
+  ],
+  [
+    DATO_FIRMANTE.NOMBRE_LEGAL,
+    (texto) => {
+      // Nombre y al menos un apellido (o razon social de dos o mas palabras)
+      const nombre = texto.trim().replace(/\s+/g, ' ');
+      return nombre.split(' ').length >= 2 && nombre.length <= MAX_NOMBRE_LEGAL ? nombre : null;
+    },
+  ],
+]);
+
+/**
+ * Valida y normaliza un dato del firmante escrito por el cliente
+ * @param {string} codigo - DATO_FIRMANTE
+ * @param {string} texto - Texto recibido
+ * @returns {{valido: boolean, valor: string|null}}
+ */
+function validarDato(codigo, texto) {
+  const validador = VALIDADORES.get(codigo);
+  const valor = validador && typeof texto === 'string' ? validador(texto) : null;
+  return { valido: valor !== null, valor };
+}
+
+/**
+ * Valor que SAP envio para cada dato del firmante
+ * @param {Object} datos - Payload validado de SAP
+ * @returns {Map<string, string|undefined>}
+ */
+function valoresDeSap(datos) {
+  return new Map([
+    [DATO_FIRMANTE.EMAIL, datos.clienteEmail],
+    [DATO_FIRMANTE.RFC, datos.clienteRfc],
+    [DATO_FIRMANTE.NOMBRE_LEGAL, datos.clienteNombre],
+  ]);
+}
+
+/**
+ * Datos que hay que pedir al cliente antes de crear el envelope
+ * Un dato se pide si SAP pide confirmarlo (datosPorConfirmar), si el perfil lo
+ * requiere y falta o no es valido, o si es un email o RFC enviado con formato
+ * invalido (el nombre solo se revisa si el perfil lo requiere).
+ * @param {Object} datos - Payload validado de SAP
+ * @param {Object} perfil - Perfil efectivo del tipo de documento
+ * @returns {string[]} - Codigos de DATO_FIRMANTE, en el orden de DATO_FIRMANTE
+ */
+function detectarDatosPendientes(datos, perfil) {
+  if (datos.firmantes?.length > 1) {
+    return [];
+  }
+
+  const porConfirmar = new Set(datos.datosPorConfirmar || []);
+  const requeridos = new Set(perfil.datosRequeridos || []);
+  const valores = valoresDeSap(datos);
+
+  return Object.values(DATO_FIRMANTE).filter((codigo) => {
+    if (porConfirmar.has(codigo)) {
+      return true;
+    }
+    const valor = valores.get(codigo);
+    const valido = Boolean(valor) && validarDato(codigo, valor).valido;
+    if (requeridos.has(codigo)) {
+      return !valido;
+    }
+    return Boolean(valor) && !valido && codigo !== DATO_FIRMANTE.NOMBRE_LEGAL;
+  });
+}
+
+/**
+ * Parsea la columna DatosPendientes (JSON); un valor corrupto o vacio no pide nada
+ * @param {string|null} datosPendientes - Columna DatosPendientes
+ * @returns {string[]} - Codigos de DATO_FIRMANTE
+ */
+function parsearDatosPendientes(datosPendientes) {
+  if (!datosPendientes) {
+    return [];
+  }
+  try {
+    const codigos = JSON.parse(datosPendientes);
+    return Array.isArray(codigos) ? codigos.filter((codigo) => VALIDADORES.has(codigo)) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Describe los datos pendientes para los mensajes al cliente
+ * Ej. ['EMAIL', 'RFC'] -> "correo electronico y RFC"
+ * @param {string[]} codigos - Codigos de DATO_FIRMANTE
+ * @returns {string}
+ */
+function describirDatos(codigos) {
+  const nombres = codigos.map((codigo) => DATO_FIRMANTE_INFO.get(codigo)?.nombre || codigo);
+  if (nombres.length <= 1) {
+    return nombres.join('');
+  }
+  return `${nombres.slice(0, -1).join(', ')} y ${nombres.at(-1)}`;
+}
+
+/**
+ * Pide al cliente los datos pendientes (template firma_datos con quick reply
+ * COMPLETAR_DATOS:{documentoFirmaId})
+ * @param {Object} documento
+ * @param {number} documento.documentoFirmaId - ID del documento en PENDIENTE_ENVIO
+ * @param {string} documento.telefono - Telefono del cliente
+ * @param {string} documento.clienteNombre - Nombre del cliente
+ * @param {string} documento.tipoDocumento - Tipo de documento
+ * @param {string} documento.documentoNombre - Nombre del documento
+ * @param {string[]} codigos - Datos pendientes (DATO_FIRMANTE)
+ * @returns {Promise<Object>} - Respuesta de whatsappService.sendTemplate
+ */
+async function solicitarDatos(documento, codigos) {
+  const payload = buildTemplatePayload(TEMPLATE_NAMES.FIRMA_DATOS, {
+    clienteNombre: documento.clienteNombre,
+    tipoDocumento: documento.tipoDocumento,
+    documentoNombre: documento.documentoNombre,
+    datosPendientes: describirDatos(codigos),
+    documentoFirmaId: documento.documentoFirmaId,
+  });
+
+  const resultado = await whatsappService.sendTemplate(documento.telefono, payload);
+
+  logger.info('[DatosFirmante] Datos del firmante solicitados por WhatsApp', {
+    documentoFirmaId: documento.documentoFirmaId,
+    datosPendientes: codigos,
+  });
+
+  return resultado;
+}
+
+module.exports = {
+  validarDato,
+  detectarDatosPendientes,
+  parsearDatosPendientes,
+  describirDatos,
+  solicitarDatos,
+};
@@ -0,0 +1,173 @@
+/**
+ * SIGN BOT - Verificacion de Identidad del Firmante
+ * Codigo de un solo uso (OTP) enviado por WhatsApp que /api/firma pide antes de
+ * generar el recipient view de DocuSign (perfiles con VerificacionIdentidad
+ * OTP_WHATSAPP). En BD solo se guarda el hash del codigo.
+ *
+ * La verificacion SMS_DOCUSIGN no pasa por aqui: la aplica DocuSign al firmante
+ * desde createEnvelope.
+ *
+ * @module services/processing/signerVerificationService
+ */
+
+const crypto = require('crypto');
+const config = require('../../config');
+const { logger } = require('../infrastructure/errorHandler');
+const audit = require('../infrastructure/auditService');
+const whatsappService = require('../external/whatsappService');
+const {
+  buildTemplatePayload,
+  TEMPLATE_NAMES,
+} = require('../../../bot/constants/whatsappTemplates');
+const { VERIFICACION_IDENTIDAD } = require('../../../bot/constants/documentStates');
+
+// Motivos de rechazo de un codigo (se registran en auditoria)
+const MOTIVO_RECHAZO = {
+  CODIGO_INCORRECTO: 'CODIGO_INCORRECTO',
+  CODIGO_EXPIRADO: 'CODIGO_EXPIRADO',
+  INTENTOS_AGOTADOS: 'INTENTOS_AGOTADOS',
+};
+
+// Lazy-load VerificacionFirmaRepository to avoid DB connections at module load
+let _verificacionRepo = null;
+function getVerificacionRepo() {
+  if (!_verificacionRepo) {
+    _verificacionRepo = require('../../../bot/repositories/VerificacionFirmaRepository');
+  }
+  return _verificacionRepo;
+}
+
+/**
+ * Indica si el perfil exige el codigo por WhatsApp antes de firmar
+ * @param {Object} perfil - Perfil efectivo del tipo de documento
+ * @returns {boolean}
+ */
+function requiereCodigo(perfil) {
+  return perfil.verificacionIdentidad === VERIFICACION_IDENTIDAD.OTP_WHATSAPP;
+}
+
+/**
+ * Hash del codigo ligado al documento y al firmante
+ * @param {Object} firmante - { documentoFirmaId, recipientId }
+ * @param {string} codigo - Codigo de 6 digitos
+ * @returns {string} - SHA-256 en hex
+ */
+function hashCodigo({ documentoFirmaId, recipientId }, codigo) {
+  return crypto
+    .createHash('sha256')
+    .update(`${documentoFirmaId}:${recipientId || ''}:${codigo}`)
+    .digest('hex');
+}
+
+/**
+ * Indica si la verificacion aun acepta intentos
+ * @param {Object|null} verificacion - Fila de VerificacionFirmaRepository
+ * @returns {boolean}
+ */
+function esUtilizable(verificacion) {
+  return Boolean(
+    verificacion &&
+    verificacion.Vigente &&
+    !verificacion.Verificado &&
+    verificacion.Intentos < config.firma.otp.maxIntentos
+  );
+}
+
+/**
+ * Envia un codigo nuevo por WhatsApp si el firmante no tiene uno utilizable
+ * Entre un codigo y el siguiente deben pasar config.firma.otp.reenvioSegundos.
+ * @param {Object} firmante - { documentoFirmaId, recipientId, telefono }
+ * @param {Object} [options]
+ * @param {boolean} [options.reenviar] - Enviar un codigo nuevo aunque el anterior siga vigente
+ * @returns {Promise<{enviado: boolean, esperaSegundos?: number}>}
+ */
+async function solicitarCodigo(firmante, { reenviar = false } = {}) {
+  const repo = getVerificacionRepo();
+  const ultima = await repo.obtenerUltima(firmante.documentoFirmaId, firmante.recipientId);
+
+  if (esUtilizable(ultima) && !reenviar) {
+    return { enviado: false };
+  }
+
+  const { reenvioSegundos, expiracionMinutos } = config.firma.otp;
+  if (ultima && ultima.SegundosDesdeCreacion < reenvioSegundos) {
+    return { enviado: false, esperaSegundos: reenvioSegundos - ultima.SegundosDesdeCreacion };
+  }
+
+  const codigo = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  await repo.crear({
+    documentoFirmaId: firmante.documentoFirmaId,
+    recipientId: firmante.recipientId,
+    telefono: firmante.telefono,
+    codigoHash: hashCodigo(firmante, codigo),
+    minutosExpiracion: expiracionMinutos,
+  });
+
+  await whatsappService.sendTemplate(
+    firmante.telefono,
+    buildTemplatePayload(TEMPLATE_NAMES.FIRMA_CODIGO, { codigo })
+  );
+
+  logger.info('[Verificacion] Codigo de verificacion enviado', {
+    documentoFirmaId: firmante.documentoFirmaId,
+    recipientId: firmante.recipientId,
+  });
+  return { enviado: true };
+}
+
+/**
+ * Valida el codigo capturado por el firmante
+ * Los intentos fallidos se registran en VerificacionesFirma y en auditoria.
+ * @param {Object} firmante - { documentoFirmaId, recipientId, telefono }
+ * @param {string} codigo - Codigo capturado
+ * @param {Object} [req] - Request HTTP (IP y user agent para auditoria)
+ * @returns {Promise<{valido: boolean, motivo?: string, intentosRestantes?: number}>}
+ */
+async function verificarCodigo(firmante, codigo, req = null) {
+  const repo = getVerificacionRepo();
+  const { maxIntentos } = config.firma.otp;
+  const detalles = {
+    documentoId: firmante.documentoFirmaId,
+    recipientId: firmante.recipientId,
+    telefono: firmante.telefono,
+    metodo: VERIFICACION_IDENTIDAD.OTP_WHATSAPP,
+  };
+
+  const rechazar = (motivo, extra = {}) => {
+    audit.logSignerVerificationFailure({ ...detalles, motivo, ...extra }, req);
+    return { valido: false, motivo, ...extra };
+  };
+
+  const ultima = await repo.obtenerUltima(firmante.documentoFirmaId, firmante.recipientId);
+  if (!ultima || !ultima.Vigente || ultima.Verificado) {
+    return rechazar(MOTIVO_RECHAZO.CODIGO_EXPIRADO);
+  }
+  if (ultima.Intentos >= maxIntentos) {
+    return rechazar(MOTIVO_RECHAZO.INTENTOS_AGOTADOS);
+  }
+
+  const esperado = Buffer.from(ultima.CodigoHash, 'hex');
+  const recibido = Buffer.from(hashCodigo(firmante, String(codigo || '').trim()), 'hex');
+  if (!crypto.timingSafeEqual(esperado, recibido)) {
+    const intentos = await repo.registrarFallo(ultima.VerificacionId);
+    return rechazar(MOTIVO_RECHAZO.CODIGO_INCORRECTO, {
+      intentosRestantes: Math.max(0, maxIntentos - intentos),
+    });
+  }
+
+  // Dos envios simultaneos del mismo codigo: solo uno lo consume
+  const consumido = await repo.marcarVerificada(ultima.VerificacionId);
+  if (!consumido) {
+    return rechazar(MOTIVO_RECHAZO.CODIGO_EXPIRADO);
+  }
+
+  audit.logSignerVerified(detalles, req);
+  return { valido: true };
+}
+
+module.exports = {
+  MOTIVO_RECHAZO,
+  requiereCodigo,
+  solicitarCodigo,
+  verificarCodigo,
+};
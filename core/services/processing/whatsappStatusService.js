@@ -0,0 +1,222 @@
+/**
+ * SIGN BOT - Status de Entrega de WhatsApp
+ * Procesa los statuses (sent, delivered, read, failed) que Meta envia al webhook
+ * para los templates de firma y los relaciona con el documento por WhatsAppMessageId
+ * (DocumentosFirma o FirmantesDocumento).
+ *
+ * - delivered/read: guarda el status y pasa el documento de ENVIADO a ENTREGADO
+ *   (HistorialDocumentoFirma con origen WHATSAPP_STATUS)
+ * - failed: guarda el error, alerta a Teams y reenvia el enlace de firma por los
+ *   demas canales (notificationService sin WhatsApp: canal preferido, luego el orden
+ *   configurado), registrando cada intento en IntentosNotificacion
+ *
+ * @module services/processing/whatsappStatusService
+ */
+
+const { logger } = require('../infrastructure/errorHandler');
+const { ConcurrencyError, InvalidStateTransitionError } = require('../../errors');
+const teamsService = require('../external/teamsService');
+const notificationService = require('../messaging/notificationService');
+const {
+  ESTADO_DOCUMENTO_ID,
+  ESTADO_WHATSAPP,
+  ORIGEN_HISTORIAL,
+  CANAL_NOTIFICACION,
+} = require('../../../bot/constants/documentStates');
+const { TEMPLATE_NAMES } = require('../../../bot/constants/whatsappTemplates');
+
+// Estados en los que todavia tiene sentido reenviar el enlace de firma
+const ESTADOS_PENDIENTES_FIRMA = [
+  ESTADO_DOCUMENTO_ID.ENVIADO,
+  ESTADO_DOCUMENTO_ID.ENTREGADO,
+  ESTADO_DOCUMENTO_ID.VISTO,
+];
+
+// Lazy-load repositories to avoid DB connections at module load
+let _documentoRepo = null;
+function getDocumentoRepo() {
+  if (!_documentoRepo) {
+    _documentoRepo = require('../../../bot/repositories/DocumentoFirmaRepository');
+  }
+  return _documentoRepo;
+}
+
+let _firmanteRepo = null;
+function getFirmanteRepo() {
+  if (!_firmanteRepo) {
+    _firmanteRepo = require('../../../bot/repositories/FirmanteDocumentoRepository');
+  }
+  return _firmanteRepo;
+}
+
+/**
+ * Texto del error de un status failed (p. ej. "131026 Message undeliverable")
+ * @param {Array} [errors] - status.errors de Meta
+ * @returns {string}
+ */
+function describirError(errors) {
+  const error = errors && errors[0];
+  if (!error) {
+    return 'Error desconocido';
+  }
+  return `${error.code} ${error.title || error.message || ''}`.trim().substring(0, 500);
+}
+
+/**
+ * Destinatario del mensaje fallido: el firmante del mensaje o el cliente
+ * (recipientId null para el cliente de un documento de un solo firmante)
+ * @returns {Promise<{recipientId: string|null, telefono: string, nombre: string, email: string|null}>}
+ */
+async function obtenerDestinatario(documento, firmanteId) {
+  if (firmanteId) {
+    const firmantes = await getFirmanteRepo().obtenerPorDocumento(documento.DocumentoFirmaId);
+    const firmante = firmantes.find((f) => f.FirmanteId === firmanteId);
+    if (firmante) {
+      return {
+        recipientId: firmante.RecipientId,
+        telefono: firmante.Telefono,
+        nombre: firmante.Nombre,
+        email: firmante.Email || null,
+      };
+    }
+  }
+
+  return {
+    recipientId: null,
+    telefono: documento.ClienteTelefono,
+    nombre: documento.ClienteNombre,
+    email: documento.ClienteEmail || null,
+  };
+}
+
+/**
+ * Pasa el documento a ENTREGADO cuando Meta confirma la entrega (o la lectura)
+ * @param {Object} documento - Registro de DocumentosFirma
+ * @param {Object} status - Status de Meta (se registra en el historial)
+ */
+async function marcarEntregado(documento, status) {
+  if (documento.EstadoDocumentoId !== ESTADO_DOCUMENTO_ID.ENVIADO) {
+    return;
+  }
+
+  try {
+    await getDocumentoRepo().actualizarEstado(
+      documento.DocumentoFirmaId,
+      ESTADO_DOCUMENTO_ID.ENTREGADO,
+      documento.Version,
+      {},
+      {
+        origen: ORIGEN_HISTORIAL.WHATSAPP_STATUS,
+        actor: 'Meta',
+        detalle: { messageId: status.id, status: status.status },
+      }
+    );
+    logger.info('[WhatsAppStatus] Documento marcado como ENTREGADO', {
+      documentoId: documento.DocumentoFirmaId,
+    });
+  } catch (error) {
+    // Otro evento (p. ej. DocuSign) ya movio el documento
+    if (!(error instanceof ConcurrencyError || error instanceof InvalidStateTransitionError)) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Alerta a Teams y reenvia el enlace de firma por los demas canales (email, SMS)
+ * @returns {Promise<string|null>} - Canal alterno por el que se envio, o null
+ */
+async function manejarFallo(documento, firmanteId, error) {
+  const destinatario = await obtenerDestinatario(documento, firmanteId);
+  const pendiente =
+    ESTADOS_PENDIENTES_FIRMA.includes(documento.EstadoDocumentoId) && documento.EnvelopeId;
+
+  let canalAlterno = null;
+  let resultado = 'el documento ya no esta pendiente de firma';
+
+  if (pendiente) {
+    try {
+      const { canal } = await notificationService.notificar(
+        TEMPLATE_NAMES.FIRMA_ENVIO,
+        {
+          clienteNombre: destinatario.nombre,
+          tipoDocumento: documento.TipoDocumento,
+          documentoNombre: documento.DocumentoNombre,
+          firma: {
+            documentoFirmaId: documento.DocumentoFirmaId,
+            recipientId: destinatario.recipientId,
+            telefono: destinatario.telefono,
+          },
+        },
+        { telefono: destinatario.telefono, email: destinatario.email },
+        {
+          documentoFirmaId: documento.DocumentoFirmaId,
+          firmanteId: firmanteId || null,
+          canalPreferido: documento.CanalPreferido,
+          excluir: [CANAL_NOTIFICACION.WHATSAPP],
+        }
+      );
+      canalAlterno = canal;
+      resultado = `enlace de firma enviado por ${canal}`;
+    } catch (notifError) {
+      resultado = `sin canal alterno, contactar al cliente: ${notifError.message}`;
+    }
+  }
+
+  logger.warn('[WhatsAppStatus] Template de firma no entregado', {
+    documentoId: documento.DocumentoFirmaId,
+    firmanteId,
+    error,
+    canalAlterno,
+  });
+
+  teamsService
+    .notifyError('WhatsApp no entregado', `Documento ${documento.SapDocumentId}: ${resultado}`, {
+      telefono: destinatario.telefono,
+      estado: documento.EstadoDocumento,
+      error,
+    })
+    .catch(() => {});
+
+  return canalAlterno;
+}
+
+/**
+ * Procesa un status de Meta
+ * Los status de mensajes que no son de documentos (respuestas del bot, codigos de
+ * verificacion) se ignoran.
+ * @param {Object} status - Elemento de value.statuses del webhook
+ * @returns {Promise<{documentoId: number, estado: string, canalAlterno?: string|null}|null>}
+ *   - null si el status no corresponde a un documento o ya estaba registrado
+ */
+async function procesarEstado(status) {
+  const estado = status && status.status;
+  if (!Object.values(ESTADO_WHATSAPP).includes(estado)) {
+    return null;
+  }
+
+  const error = estado === ESTADO_WHATSAPP.FAILED ? describirError(status.errors) : null;
+  const registro = await getDocumentoRepo().registrarEstadoWhatsApp(status.id, estado, error);
+  if (!registro) {
+    return null;
+  }
+
+  const documento = await getDocumentoRepo().obtenerPorId(registro.DocumentoFirmaId);
+  if (!documento) {
+    return null;
+  }
+
+  const resultado = { documentoId: documento.DocumentoFirmaId, estado };
+
+  if (estado === ESTADO_WHATSAPP.DELIVERED || estado === ESTADO_WHATSAPP.READ) {
+    await marcarEntregado(documento, status);
+  } else if (estado === ESTADO_WHATSAPP.FAILED) {
+    resultado.canalAlterno = await manejarFallo(documento, registro.FirmanteId, error);
+  }
+
+  return resultado;
+}
+
+module.exports = {
+  procesarEstado,
+};
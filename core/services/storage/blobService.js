@@ -78,10 +78,13 @@ async function getContainerClient() {
 /**
  * Genera un SAS token para un blob específico
  * @param {string} blobName - Nombre del blob
+ * @param {Object} [options]
+ * @param {Date} [options.expiresOn] - Expiración (default: BLOB_SAS_EXPIRY_HOURS)
+ * @param {string} [options.contentDisposition] - Content-Disposition de la respuesta
  * @returns {string} - Query string del SAS token
  */
-function generateSASToken(blobName) {
-  const expiresOn = new Date(Date.now() + SAS_EXPIRY_MS);
+function generateSASToken(blobName, options = {}) {
+  const expiresOn = options.expiresOn || new Date(Date.now() + SAS_EXPIRY_MS);
 
   const sasToken = generateBlobSASQueryParameters(
     {
@@ -89,6 +92,7 @@ function generateSASToken(blobName) {
       blobName: blobName,
       permissions: BlobSASPermissions.parse('r'), // Solo lectura
       expiresOn: expiresOn,
+      contentDisposition: options.contentDisposition,
     },
     sharedKeyCredential
   );
@@ -96,6 +100,54 @@ function generateSASToken(blobName) {
   return sasToken.toString();
 }
 
+/**
+ * Extrae el nombre del blob de su URL (ignora el query string del SAS)
+ * @param {string} url - URL del blob
+ * @returns {string|null} - Nombre del blob o null si la URL no es del contenedor
+ */
+function getBlobNameFromUrl(url) {
+  try {
+    const blobName = new URL(url).pathname.split(`/${CONTAINER_NAME}/`)[1];
+    return blobName ? decodeURIComponent(blobName) : null;
+  } catch (_error) {
+    return null;
+  }
+}
+
+/**
+ * Genera un link de descarga de corta duración (BLOB_DOWNLOAD_SAS_MINUTES)
+ * El navegador descarga el archivo con el nombre indicado.
+ * @param {string} blobName - Nombre del blob
+ * @param {string} fileName - Nombre del archivo descargado
+ * @returns {Promise<{ url: string, expiresOn: Date }>}
+ */
+async function getDownloadUrl(blobName, fileName) {
+  const container = await getContainerClient();
+  const expiresOn = new Date(Date.now() + config.blob.downloadSasMinutes * 60 * 1000);
+
+  const sasToken = generateSASToken(blobName, {
+    expiresOn,
+    contentDisposition: `attachment; filename="${fileName.replace(/["\\]/g, '')}"`,
+  });
+
+  return { url: `${container.getBlockBlobClient(blobName).url}?${sasToken}`, expiresOn };
+}
+
+/**
+ * Descarga el contenido de un blob a partir de su URL
+ * @param {string} url - URL del blob (ej: DocumentoFirmadoUrl)
+ * @returns {Promise<Buffer>} - Contenido del blob
+ */
+async function downloadFromUrl(url) {
+  const blobName = getBlobNameFromUrl(url);
+  if (!blobName) {
+    throw new Error('La URL no pertenece al contenedor de Blob Storage');
+  }
+
+  const container = await getContainerClient();
+  return container.getBlockBlobClient(blobName).downloadToBuffer();
+}
+
 /**
  * Valida el tamaño y tipo de archivo antes de subir
  * @param {Buffer} buffer - Buffer del archivo
@@ -225,9 +277,7 @@ async function deleteImage(url) {
   try {
     const container = await getContainerClient();
 
-    // Extraer nombre del blob de la URL (ignorar query string del SAS)
-    const urlObj = new URL(url);
-    const blobName = urlObj.pathname.split(`/${CONTAINER_NAME}/`)[1];
+    const blobName = getBlobNameFromUrl(url);
 
     if (!blobName) {
       logger.warn('No se pudo extraer nombre del blob de la URL', { url });
@@ -252,6 +302,9 @@ module.exports = {
   uploadImage,
   deleteImage,
   getContainerClient,
+  getBlobNameFromUrl,
+  getDownloadUrl,
+  downloadFromUrl,
   validateFileUpload,
   MAX_IMAGE_SIZE,
   MAX_AUDIO_SIZE,
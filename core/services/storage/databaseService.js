@@ -6,8 +6,10 @@
 
 const SesionRepository = require('../../../bot/repositories/SesionRepository');
 const DocumentoFirmaRepository = require('../../../bot/repositories/DocumentoFirmaRepository');
+const FirmanteDocumentoRepository = require('../../../bot/repositories/FirmanteDocumentoRepository');
 const EventoDocuSignRepository = require('../../../bot/repositories/EventoDocuSignRepository');
 const { logger } = require('../infrastructure/errorHandler');
+const { getEstadoDocumentoId } = require('../../../bot/constants/documentStates');
 
 // ============================================================================
 // FUNCIONES DE SESION (delegadas a SesionRepository)
@@ -110,6 +112,55 @@ async function getDocumentosFirmaPorTelefono(telefono) {
   return DocumentoFirmaRepository.obtenerPorTelefono(telefono);
 }
 
+/**
+ * Obtiene los firmantes de un documento en orden de firma
+ * @param {number} documentoId - ID del documento
+ * @returns {Promise<Array>} - Vacio si el documento es de un solo firmante
+ */
+async function getFirmantesDocumento(documentoId) {
+  return FirmanteDocumentoRepository.obtenerPorDocumento(documentoId);
+}
+
+/**
+ * Actualiza el estado de un documento usando su version actual
+ * @param {number} documentoId - ID del documento
+ * @param {string} estado - Codigo del nuevo estado (ej. 'RECHAZADO')
+ * @param {string} [motivoRechazo] - Motivo del rechazo
+ * @param {Object} [transicion] - Origen y actor para HistorialDocumentoFirma
+ * @param {string} [categoriaRechazo] - CATEGORIA_RECHAZO elegida por el cliente
+ * @returns {Promise<Object|null>} - Documento previo a la actualizacion, o null si no existe
+ */
+async function updateDocumentoFirmaEstado(
+  documentoId,
+  estado,
+  motivoRechazo = null,
+  transicion = {},
+  categoriaRechazo = null
+) {
+  const documento = await DocumentoFirmaRepository.obtenerPorId(documentoId);
+  if (!documento) {
+    return null;
+  }
+
+  const datosExtra = {};
+  if (motivoRechazo) {
+    datosExtra.MotivoRechazo = motivoRechazo;
+  }
+  if (categoriaRechazo) {
+    datosExtra.CategoriaRechazo = categoriaRechazo;
+  }
+
+  await DocumentoFirmaRepository.actualizarEstado(
+    documentoId,
+    getEstadoDocumentoId(estado),
+    documento.Version,
+    datosExtra,
+    transicion
+  );
+
+  return documento;
+}
+
 // ============================================================================
 // FUNCIONES DE ADMINISTRACION DE CACHE (para compatibilidad)
 // ============================================================================
@@ -220,6 +271,8 @@ module.exports = {
 
   // Funciones de documentos
   getDocumentosFirmaPorTelefono,
+  getFirmantesDocumento,
+  updateDocumentoFirmaEstado,
 
   // Funciones de deduplicacion
   registerMessageAtomic: (messageId, telefono) =>
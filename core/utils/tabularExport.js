@@ -0,0 +1,411 @@
+/**
+ * Sign Bot - Exportación tabular (CSV y XLSX)
+ * Convierte un iterable async de filas en chunks de un archivo CSV o XLSX sin
+ * cargar todas las filas en memoria: cada fila se escribe y se descarta.
+ *
+ * El XLSX se arma con un ZIP propio (zlib) y celdas inline, sin tabla de strings
+ * compartidos, para poder escribir la hoja conforme llegan las filas.
+ */
+
+const { once } = require('events');
+const zlib = require('zlib');
+
+// Tamaño aproximado de cada chunk emitido (las filas se agrupan hasta este tamaño)
+const TAMANO_LOTE = 64 * 1024;
+
+// Celdas que Excel interpretaría como fórmula (inyección de fórmulas en CSV)
+const FORMULA_REGEX = /^[=+\-@\t\r]/;
+
+// Caracteres no permitidos en XML 1.0
+// eslint-disable-next-line no-control-regex
+const XML_INVALIDO_REGEX = /[\x00-\x08\x0B\x0C\x0E-\x1F]/g;
+
+// Días entre 1899-12-30 (época de Excel) y 1970-01-01
+const EXCEL_EPOCA_DIAS = 25569;
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+// Índices de cellXfs en styles.xml
+const ESTILO_FECHA_HORA = 1;
+const ESTILO_FECHA = 2;
+
+/**
+ * @typedef {Object} ColumnaExportacion
+ * @property {string} titulo - Encabezado de la columna
+ * @property {'texto'|'numero'|'fecha'|'fechaHora'} tipo - Tipo de celda
+ * @property {(fila: Object) => any} valor - Obtiene el valor de la fila
+ */
+
+// ==============================================================
+// CSV
+// ==============================================================
+
+/**
+ * Formatea un valor como celda CSV (RFC 4180)
+ * @param {any} valor - Valor de la celda
+ * @param {string} tipo - Tipo de la columna
+ * @returns {string}
+ */
+function celdaCsv(valor, tipo) {
+  if (valor === null || valor === undefined) {
+    return '';
+  }
+
+  let texto;
+  if (valor instanceof Date) {
+    texto = tipo === 'fecha' ? valor.toISOString().substring(0, 10) : valor.toISOString();
+  } else {
+    texto = String(valor);
+    if (typeof valor === 'string' && FORMULA_REGEX.test(texto)) {
+      texto = `'${texto}`;
+    }
+  }
+
+  return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * Genera un CSV en UTF-8 con BOM (para que Excel respete los acentos)
+ * @param {AsyncIterable<Object>} filas - Filas a exportar
+ * @param {Array<ColumnaExportacion>} columnas - Columnas del archivo
+ * @returns {AsyncGenerator<Buffer>}
+ */
+async function* generarCsv(filas, columnas) {
+  const encabezado = columnas.map((columna) => celdaCsv(columna.titulo, 'texto')).join(',');
+  yield Buffer.from(`\uFEFF${encabezado}\r\n`, 'utf8');
+
+  let lote = '';
+  for await (const fila of filas) {
+    lote += `${columnas.map((columna) => celdaCsv(columna.valor(fila), columna.tipo)).join(',')}\r\n`;
+    if (lote.length >= TAMANO_LOTE) {
+      yield Buffer.from(lote, 'utf8');
+      lote = '';
+    }
+  }
+
+  if (lote) {
+    yield Buffer.from(lote, 'utf8');
+  }
+}
+
+// ==============================================================
+// ZIP (formato contenedor del XLSX)
+// ==============================================================
+
+const ZIP_FLAG_DESCRIPTOR = 0x0008; // CRC y tamaños van despues de los datos
+const ZIP_FLAG_UTF8 = 0x0800;
+const ZIP_METODO_DEFLATE = 8;
+const ZIP_VERSION = 20;
+
+/**
+ * Fecha y hora en formato MS-DOS para los encabezados del ZIP
+ * @param {Date} fecha
+ * @returns {{ hora: number, dia: number }}
+ */
+function fechaDos(fecha) {
+  return {
+    hora: (fecha.getHours() << 11) | (fecha.getMinutes() << 5) | Math.floor(fecha.getSeconds() / 2),
+    dia: ((fecha.getFullYear() - 1980) << 9) | ((fecha.getMonth() + 1) << 5) | fecha.getDate(),
+  };
+}
+
+/**
+ * Escritor de un ZIP secuencial: devuelve los bytes de cada parte para emitirlos en orden
+ * y lleva el offset de cada entrada para el directorio central.
+ */
+class EscritorZip {
+  constructor() {
+    this.entradas = [];
+    this.offset = 0;
+    this.fecha = fechaDos(new Date());
+  }
+
+  /**
+   * Cuenta bytes emitidos
+   * @param {Buffer} buffer
+   * @returns {Buffer}
+   */
+  emitir(buffer) {
+    this.offset += buffer.length;
+    return buffer;
+  }
+
+  /**
+   * Encabezado local de una entrada
+   * @param {Object} entrada
+   * @returns {Buffer}
+   */
+  encabezadoLocal(entrada) {
+    const nombre = Buffer.from(entrada.nombre, 'utf8');
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(ZIP_VERSION, 4);
+    header.writeUInt16LE(entrada.flags, 6);
+    header.writeUInt16LE(ZIP_METODO_DEFLATE, 8);
+    header.writeUInt16LE(this.fecha.hora, 10);
+    header.writeUInt16LE(this.fecha.dia, 12);
+    header.writeUInt32LE(entrada.crc, 14);
+    header.writeUInt32LE(entrada.comprimido, 18);
+    header.writeUInt32LE(entrada.original, 22);
+    header.writeUInt16LE(nombre.length, 26);
+    header.writeUInt16LE(0, 28);
+    return Buffer.concat([header, nombre]);
+  }
+
+  /**
+   * Entrada completa (archivos pequeños del paquete)
+   * @param {string} nombre - Ruta dentro del ZIP
+   * @param {string} contenido - Contenido XML
+   * @returns {Buffer}
+   */
+  archivo(nombre, contenido) {
+    const datos = Buffer.from(contenido, 'utf8');
+    const comprimido = zlib.deflateRawSync(datos);
+    const entrada = {
+      nombre,
+      flags: ZIP_FLAG_UTF8,
+      crc: zlib.crc32(datos),
+      comprimido: comprimido.length,
+      original: datos.length,
+      offset: this.offset,
+    };
+    this.entradas.push(entrada);
+    return this.emitir(Buffer.concat([this.encabezadoLocal(entrada), comprimido]));
+  }
+
+  /**
+   * Inicia una entrada cuyos datos se escriben despues (CRC y tamaños en el descriptor)
+   * @param {string} nombre - Ruta dentro del ZIP
+   * @returns {{ entrada: Object, header: Buffer }}
+   */
+  iniciarArchivo(nombre) {
+    const entrada = {
+      nombre,
+      flags: ZIP_FLAG_UTF8 | ZIP_FLAG_DESCRIPTOR,
+      crc: 0,
+      comprimido: 0,
+      original: 0,
+      offset: this.offset,
+    };
+    this.entradas.push(entrada);
+    return { entrada, header: this.emitir(this.encabezadoLocal(entrada)) };
+  }
+
+  /**
+   * Descriptor de datos de una entrada iniciada con iniciarArchivo
+   * @param {Object} entrada
+   * @returns {Buffer}
+   */
+  descriptor(entrada) {
+    const buffer = Buffer.alloc(16);
+    buffer.writeUInt32LE(0x08074b50, 0);
+    buffer.writeUInt32LE(entrada.crc, 4);
+    buffer.writeUInt32LE(entrada.comprimido, 8);
+    buffer.writeUInt32LE(entrada.original, 12);
+    return this.emitir(buffer);
+  }
+
+  /**
+   * Directorio central y fin del archivo
+   * @returns {Buffer}
+   */
+  cerrar() {
+    const inicioDirectorio = this.offset;
+    const registros = this.entradas.map((entrada) => {
+      const nombre = Buffer.from(entrada.nombre, 'utf8');
+      const registro = Buffer.alloc(46);
+      registro.writeUInt32LE(0x02014b50, 0);
+      registro.writeUInt16LE(ZIP_VERSION, 4);
+      registro.writeUInt16LE(ZIP_VERSION, 6);
+      registro.writeUInt16LE(entrada.flags, 8);
+      registro.writeUInt16LE(ZIP_METODO_DEFLATE, 10);
+      registro.writeUInt16LE(this.fecha.hora, 12);
+      registro.writeUInt16LE(this.fecha.dia, 14);
+      registro.writeUInt32LE(entrada.crc, 16);
+      registro.writeUInt32LE(entrada.comprimido, 20);
+      registro.writeUInt32LE(entrada.original, 24);
+      registro.writeUInt16LE(nombre.length, 28);
+      registro.writeUInt32LE(entrada.offset, 42);
+      return Buffer.concat([registro, nombre]);
+    });
+    const directorio = Buffer.concat(registros);
+
+    const fin = Buffer.alloc(22);
+    fin.writeUInt32LE(0x06054b50, 0);
+    fin.writeUInt16LE(this.entradas.length, 8);
+    fin.writeUInt16LE(this.entradas.length, 10);
+    fin.writeUInt32LE(directorio.length, 12);
+    fin.writeUInt32LE(inicioDirectorio, 16);
+
+    return this.emitir(Buffer.concat([directorio, fin]));
+  }
+}
+
+// ==============================================================
+// XLSX
+// ==============================================================
+
+const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_PKG_REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const XML_DECL = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const CONTENT_TYPES =
+  `${XML_DECL}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+  '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+  '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+  '</Types>';
+
+const RELS =
+  `${XML_DECL}<Relationships xmlns="${NS_PKG_REL}">` +
+  `<Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/>` +
+  '</Relationships>';
+
+const WORKBOOK_RELS =
+  `${XML_DECL}<Relationships xmlns="${NS_PKG_REL}">` +
+  `<Relationship Id="rId1" Type="${NS_REL}/worksheet" Target="worksheets/sheet1.xml"/>` +
+  `<Relationship Id="rId2" Type="${NS_REL}/styles" Target="styles.xml"/>` +
+  '</Relationships>';
+
+// Estilos: 0 general, 1 fecha y hora (numFmt 22), 2 fecha (numFmt 14)
+const STYLES =
+  `${XML_DECL}<styleSheet xmlns="${NS_MAIN}">` +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+  '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+  '<fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="4">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '</cellXfs></styleSheet>';
+
+// Índice de cellXfs del encabezado (negritas)
+const ESTILO_ENCABEZADO = 3;
+
+/**
+ * Escapa texto para XML
+ * @param {string} texto
+ * @returns {string}
+ */
+function escaparXml(texto) {
+  return texto
+    .replace(XML_INVALIDO_REGEX, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Celda de texto inline
+ * @param {string} texto
+ * @param {number} [estilo]
+ * @returns {string}
+ */
+function celdaTexto(texto, estilo = 0) {
+  const s = estilo ? ` s="${estilo}"` : '';
+  return `<c t="inlineStr"${s}><is><t xml:space="preserve">${escaparXml(texto)}</t></is></c>`;
+}
+
+/**
+ * Formatea un valor como celda de la hoja
+ * @param {any} valor - Valor de la celda
+ * @param {string} tipo - Tipo de la columna
+ * @returns {string}
+ */
+function celdaXlsx(valor, tipo) {
+  if (valor === null || valor === undefined) {
+    return '<c/>';
+  }
+
+  if (valor instanceof Date) {
+    const serial = valor.getTime() / MS_POR_DIA + EXCEL_EPOCA_DIAS;
+    const estilo = tipo === 'fecha' ? ESTILO_FECHA : ESTILO_FECHA_HORA;
+    return `<c s="${estilo}"><v>${serial}</v></c>`;
+  }
+
+  if (tipo === 'numero' && typeof valor === 'number' && Number.isFinite(valor)) {
+    return `<c><v>${valor}</v></c>`;
+  }
+
+  return celdaTexto(String(valor));
+}
+
+/**
+ * Genera un libro XLSX con una sola hoja
+ * @param {AsyncIterable<Object>} filas - Filas a exportar
+ * @param {Array<ColumnaExportacion>} columnas - Columnas de la hoja
+ * @param {string} [nombreHoja] - Nombre de la hoja (máx. 31 caracteres)
+ * @returns {AsyncGenerator<Buffer>}
+ */
+async function* generarXlsx(filas, columnas, nombreHoja = 'Datos') {
+  const zip = new EscritorZip();
+  const hoja = escaparXml(nombreHoja.substring(0, 31));
+
+  yield zip.archivo('[Content_Types].xml', CONTENT_TYPES);
+  yield zip.archivo('_rels/.rels', RELS);
+  yield zip.archivo(
+    'xl/workbook.xml',
+    `${XML_DECL}<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">` +
+      `<sheets><sheet name="${hoja}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+  );
+  yield zip.archivo('xl/_rels/workbook.xml.rels', WORKBOOK_RELS);
+  yield zip.archivo('xl/styles.xml', STYLES);
+
+  const { entrada, header } = zip.iniciarArchivo('xl/worksheets/sheet1.xml');
+  yield header;
+
+  const deflater = zlib.createDeflateRaw();
+  const pendientes = [];
+  deflater.on('data', (chunk) => pendientes.push(chunk));
+
+  // Comprime texto de la hoja; los bytes comprimidos se emiten con vaciar()
+  const escribir = async (texto) => {
+    const datos = Buffer.from(texto, 'utf8');
+    entrada.crc = zlib.crc32(datos, entrada.crc);
+    entrada.original += datos.length;
+    if (!deflater.write(datos)) {
+      await once(deflater, 'drain');
+    }
+  };
+  const vaciar = () => {
+    const chunks = pendientes.splice(0);
+    const buffer = Buffer.concat(chunks);
+    entrada.comprimido += buffer.length;
+    return zip.emitir(buffer);
+  };
+
+  const encabezado = columnas.map((columna) => celdaTexto(columna.titulo, ESTILO_ENCABEZADO));
+  await escribir(
+    `${XML_DECL}<worksheet xmlns="${NS_MAIN}"><sheetData><row>${encabezado.join('')}</row>`
+  );
+
+  let lote = '';
+  for await (const fila of filas) {
+    lote += `<row>${columnas.map((columna) => celdaXlsx(columna.valor(fila), columna.tipo)).join('')}</row>`;
+    if (lote.length >= TAMANO_LOTE) {
+      await escribir(lote);
+      lote = '';
+      yield vaciar();
+    }
+  }
+
+  await escribir(`${lote}</sheetData></worksheet>`);
+  deflater.end();
+  await once(deflater, 'end');
+  yield vaciar();
+
+  yield zip.descriptor(entrada);
+  yield zip.cerrar();
+}
+
+module.exports = {
+  generarCsv,
+  generarXlsx,
+};
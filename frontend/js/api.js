@@ -63,10 +63,147 @@ async function getDocuments(filters = {}) {
 }
 
 /**
- * Get document detail by ID
+ * Get document detail by ID (document, signers and state timeline)
  */
 async function getDocumentDetail(id) {
-  return apiFetch(`/admin/documents/${encodeURIComponent(id)}`);
+  return apiFetch(`/admin/documents/detail?id=${encodeURIComponent(id)}`);
+}
+
+/**
+ * Get the PDF version chain of a document (oldest first)
+ */
+async function getDocumentVersions(id) {
+  return apiFetch(`/admin/documents/versions?id=${encodeURIComponent(id)}`);
+}
+
+/**
+ * Get a short-lived download link (tipo: original, firmado, certificado)
+ */
+async function getDocumentDownload(id, tipo) {
+  const params = new URLSearchParams({ id, tipo });
+  return apiFetch(`/admin/documents/download?${params.toString()}`);
+}
+
+/**
+ * Resend the signing notification, optionally with a corrected phone or email
+ */
+async function resendDocument(id, { telefono, email } = {}) {
+  return apiFetch('/admin/documents/resend', {
+    method: 'POST',
+    body: JSON.stringify({ documentoId: id, telefono, email }),
+  });
+}
+
+/**
+ * Build the query string of an export (list filters + formato)
+ */
+function buildExportQuery(filters, formato) {
+  const params = new URLSearchParams({ formato });
+  const { estado, tipo, desde, hasta } = filters;
+  Object.entries({ estado, tipo, desde, hasta }).forEach(([key, value]) => {
+    if (value) {
+      params.append(key, value);
+    }
+  });
+  return params.toString();
+}
+
+/**
+ * Export every document matching the filters (CSV or XLSX); returns a download link
+ */
+async function exportDocuments(filters = {}, formato = 'csv') {
+  return apiFetch(`/admin/documents/export?${buildExportQuery(filters, formato)}`);
+}
+
+/**
+ * Export document counts by day, tipo and state (CSV or XLSX); returns a download link
+ */
+async function exportStats(filters = {}, formato = 'csv') {
+  return apiFetch(`/admin/documents/export-stats?${buildExportQuery(filters, formato)}`);
+}
+
+/**
+ * Start a bulk action (ANULAR, REENVIAR, RECORDAR) over documentoIds or filtros;
+ * with dryRun only returns how many documents it would apply to
+ */
+async function runBulkAction(body) {
+  return apiFetch('/admin/documents/bulk', {
+    method: 'POST',
+    body: JSON.stringify(body),
+  });
+}
+
+/**
+ * Get the progress of a bulk action job
+ */
+async function getBulkAction(trabajoId) {
+  return apiFetch(`/admin/documents/bulk?id=${encodeURIComponent(trabajoId)}`);
+}
+
+/**
+ * Get rejection follow-ups with filters (estado, categoria, desde, hasta, page)
+ */
+async function getRejections(filters = {}) {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) {
+      params.append(key, value);
+    }
+  });
+  const queryString = params.toString();
+  return apiFetch(`/admin/rejections${queryString ? `?${queryString}` : ''}`);
+}
+
+/**
+ * Get a rejection follow-up with its document data and comments
+ */
+async function getRejectionDetail(id) {
+  return apiFetch(`/admin/rejections/detail?id=${encodeURIComponent(id)}`);
+}
+
+/**
+ * Get follow-up totals by rejection category
+ */
+async function getRejectionStats(filters = {}) {
+  const params = new URLSearchParams();
+  if (filters.desde) {
+    params.append('desde', filters.desde);
+  }
+  if (filters.hasta) {
+    params.append('hasta', filters.hasta);
+  }
+  const queryString = params.toString();
+  return apiFetch(`/admin/rejections/stats${queryString ? `?${queryString}` : ''}`);
+}
+
+/**
+ * Assign a rejection follow-up to a back-office user
+ */
+async function assignRejection(seguimientoId, asignadoA, usuario) {
+  return apiFetch('/admin/rejections/assign', {
+    method: 'POST',
+    body: JSON.stringify({ seguimientoId, asignadoA, usuario }),
+  });
+}
+
+/**
+ * Add a comment to a rejection follow-up
+ */
+async function commentRejection(seguimientoId, comentario, autor) {
+  return apiFetch('/admin/rejections/comment', {
+    method: 'POST',
+    body: JSON.stringify({ seguimientoId, comentario, autor }),
+  });
+}
+
+/**
+ * Close a rejection follow-up with its resolution
+ */
+async function closeRejection(seguimientoId, resolucion, usuario) {
+  return apiFetch('/admin/rejections/close', {
+    method: 'POST',
+    body: JSON.stringify({ seguimientoId, resolucion, usuario }),
+  });
 }
 
 /**
@@ -132,6 +269,19 @@ window.API = {
   getDocumentStats,
   getDocuments,
   getDocumentDetail,
+  getDocumentVersions,
+  getDocumentDownload,
+  resendDocument,
+  runBulkAction,
+  getBulkAction,
+  exportDocuments,
+  exportStats,
+  getRejections,
+  getRejectionDetail,
+  getRejectionStats,
+  assignRejection,
+  commentRejection,
+  closeRejection,
   getConversations,
   getChat,
   searchConversations,
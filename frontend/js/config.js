@@ -34,13 +34,16 @@ const API_BASE = API_URLS[ENVIRONMENT] || API_URLS.prod;
 // Auto-refresh intervals (in milliseconds)
 const REFRESH_INTERVAL_KPIS = 60000; // 60 seconds
 const REFRESH_INTERVAL_DOCUMENTS = 30000; // 30 seconds
+const REFRESH_INTERVAL_REJECTIONS = 60000; // 60 seconds
 const REFRESH_INTERVAL_CONVERSATIONS = 30000; // 30 seconds
 const REFRESH_INTERVAL_CHAT = 5000; // 5 seconds
 const REFRESH_INTERVAL_METRICS = 120000; // 2 minutes
 const REFRESH_INTERVAL_HEALTH = 60000; // 60 seconds
+const REFRESH_INTERVAL_BULK_JOB = 3000; // 3 seconds
 
 // Pagination
 const DOCUMENTS_PAGE_SIZE = 20;
+const REJECTIONS_PAGE_SIZE = 20;
 
 // Export for use in other modules
 window.CONFIG = {
@@ -48,11 +51,14 @@ window.CONFIG = {
   API_BASE,
   REFRESH_INTERVAL_KPIS,
   REFRESH_INTERVAL_DOCUMENTS,
+  REFRESH_INTERVAL_REJECTIONS,
   REFRESH_INTERVAL_CONVERSATIONS,
   REFRESH_INTERVAL_CHAT,
   REFRESH_INTERVAL_METRICS,
   REFRESH_INTERVAL_HEALTH,
+  REFRESH_INTERVAL_BULK_JOB,
   DOCUMENTS_PAGE_SIZE,
+  REJECTIONS_PAGE_SIZE,
 };
 
 console.log(`[Config] Environment: ${ENVIRONMENT}, API: ${API_BASE}`);
@@ -12,6 +12,12 @@ const currentFilters = {
 };
 let lastDocumentsHash = null;
 let searchTimeout = null;
+let exportFormat = 'csv';
+// Documentos marcados para una accion masiva (se conservan entre paginas)
+const selectedDocuments = new Set();
+// Ultimo estado del trabajo masivo en curso, para redibujar su progreso
+let activeBulkJob = null;
+let bulkPollTimeout = null;
 
 /**
  * Load documents with current filters
@@ -43,7 +49,10 @@ async function loadDocuments() {
     const pagination = data.pagination || {};
 
     container.innerHTML =
-      renderFilterBar() + renderDocumentsTable(docs) + renderPagination(pagination);
+      renderFilterBar() +
+      renderBulkBar() +
+      renderDocumentsTable(docs) +
+      renderPagination(pagination);
 
     // Restore filter values
     restoreFilterValues();
@@ -88,6 +97,13 @@ function renderFilterBar() {
     // Date range
     '<input type="date" class="filter-date" id="filterDesde" onchange="Documents.onFilterChange()" title="Desde">' +
     '<input type="date" class="filter-date" id="filterHasta" onchange="Documents.onFilterChange()" title="Hasta">' +
+    // Export (current filters, all pages)
+    '<select class="filter-select" id="exportFormato" onchange="Documents.onExportFormatChange(this)" title="Formato de exportacion">' +
+    '<option value="csv">CSV</option>' +
+    '<option value="xlsx">Excel</option>' +
+    '</select>' +
+    '<button class="btn btn-secondary" onclick="Documents.exportDocuments(this)">Exportar</button>' +
+    '<button class="btn btn-secondary" onclick="Documents.exportStats(this)">Exportar estadisticas</button>' +
     '</div>'
   );
 }
@@ -101,6 +117,7 @@ function restoreFilterValues() {
   const searchEl = document.getElementById('filterSearch');
   const desdeEl = document.getElementById('filterDesde');
   const hastaEl = document.getElementById('filterHasta');
+  const exportEl = document.getElementById('exportFormato');
 
   if (estadoEl) {
     estadoEl.value = currentFilters.estado;
@@ -117,6 +134,53 @@ function restoreFilterValues() {
   if (hastaEl) {
     hastaEl.value = currentFilters.hasta;
   }
+  if (exportEl) {
+    exportEl.value = exportFormat;
+  }
+}
+
+/**
+ * Remember the export format across re-renders
+ */
+function onExportFormatChange(select) {
+  exportFormat = select.value;
+}
+
+/**
+ * Generate an export with the current filters and download it
+ */
+async function runExport(exportFn, button) {
+  if (button) {
+    button.disabled = true;
+  }
+  try {
+    const data = await exportFn(currentFilters, exportFormat);
+    if (!data.success) {
+      alert(`Error: ${data.error || 'No se pudo generar la exportacion'}`);
+      return;
+    }
+    window.open(data.url, '_blank', 'noopener');
+  } catch (_err) {
+    alert('Error de conexion');
+  } finally {
+    if (button) {
+      button.disabled = false;
+    }
+  }
+}
+
+/**
+ * Export every document matching the current filters
+ */
+function exportDocuments(button) {
+  return runExport(window.API.exportDocuments, button);
+}
+
+/**
+ * Export document counts by day, tipo and state for the current filters
+ */
+function exportStats(button) {
+  return runExport(window.API.exportStats, button);
 }
 
 /**
@@ -174,9 +238,11 @@ function renderDocumentsTable(docs) {
     const tipo = window.Utils.formatDocumentType(doc.TipoDocumento);
     const docId = doc.Id || doc.id || '';
     const shortId = docId.length > 10 ? `${docId.substring(0, 10)}...` : docId;
+    const checked = selectedDocuments.has(String(docId)) ? ' checked' : '';
 
     rows +=
       `<tr class="doc-row" onclick="Documents.showDetail('${window.Utils.escapeHtml(docId)}')">` +
+      `<td class="doc-select-cell" onclick="event.stopPropagation()"><input type="checkbox" class="doc-select" value="${window.Utils.escapeHtml(docId)}"${checked} onchange="Documents.toggleSelection(this)"></td>` +
       `<td class="doc-id" title="${window.Utils.escapeHtml(docId)}">${shortId}</td>` +
       `<td>${window.Utils.escapeHtml(doc.NombreCliente || '-')}</td>` +
       `<td>${tipo}</td>` +
@@ -190,6 +256,7 @@ function renderDocumentsTable(docs) {
   return (
     `<table class="documents-table">` +
     `<thead><tr>` +
+    `<th class="doc-select-cell"><input type="checkbox" title="Seleccionar pagina" onchange="Documents.toggleAll(this)"></th>` +
     `<th>ID</th>` +
     `<th>Cliente</th>` +
     `<th>Tipo</th>` +
@@ -203,6 +270,212 @@ function renderDocumentsTable(docs) {
   );
 }
 
+/**
+ * Render bulk actions bar (selected documents, or the current filters when none is selected)
+ */
+function renderBulkBar() {
+  return (
+    '<div class="bulk-bar">' +
+    `<span class="bulk-count" id="bulkCount">${bulkSelectionLabel()}</span>` +
+    '<select class="filter-select" id="bulkAccion">' +
+    '<option value="RECORDAR">Enviar recordatorio</option>' +
+    '<option value="REENVIAR">Reenviar notificacion</option>' +
+    '<option value="ANULAR">Anular</option>' +
+    '</select>' +
+    `<button class="btn btn-secondary" onclick="Documents.runBulkAction(this)"${activeBulkJob && !activeBulkJob.completado ? ' disabled' : ''}>Aplicar</button>` +
+    `<div class="bulk-progress" id="bulkProgress">${renderBulkProgress()}</div>` +
+    '</div>'
+  );
+}
+
+/**
+ * Text describing which documents the bulk action applies to
+ */
+function bulkSelectionLabel() {
+  return selectedDocuments.size > 0
+    ? `${selectedDocuments.size} documento(s) seleccionado(s)`
+    : 'Sin seleccion: se aplica a los filtros actuales';
+}
+
+/**
+ * Render progress of the last bulk job
+ */
+function renderBulkProgress() {
+  if (!activeBulkJob) {
+    return '';
+  }
+
+  const job = activeBulkJob;
+  const resumen = job.resumen || {};
+  const detalle =
+    `${resumen.PROCESADO || 0} procesado(s), ${resumen.OMITIDO || 0} omitido(s), ` +
+    `${resumen.ERROR || 0} con error`;
+  const estado = job.completado ? 'Terminado' : 'En curso';
+
+  return (
+    `<span>${window.Utils.escapeHtml(job.accion)} - ${estado}</span>` +
+    `<div class="bulk-progress-track"><div class="bulk-progress-fill" style="width: ${job.progreso}%;"></div></div>` +
+    `<span>${job.progreso}% (${detalle} de ${job.total})</span>`
+  );
+}
+
+/**
+ * Update selection counter without re-rendering the table
+ */
+function updateBulkCount() {
+  const countEl = document.getElementById('bulkCount');
+  if (countEl) {
+    countEl.textContent = bulkSelectionLabel();
+  }
+}
+
+/**
+ * Toggle a single document in the bulk selection
+ */
+function toggleSelection(checkbox) {
+  if (checkbox.checked) {
+    selectedDocuments.add(checkbox.value);
+  } else {
+    selectedDocuments.delete(checkbox.value);
+  }
+  updateBulkCount();
+}
+
+/**
+ * Toggle every document of the current page
+ */
+function toggleAll(checkbox) {
+  document.querySelectorAll('.doc-select').forEach((el) => {
+    el.checked = checkbox.checked;
+    toggleSelection(el);
+  });
+}
+
+/**
+ * Build the bulk criteria: selected ids, or the list filters
+ */
+function buildBulkCriteria() {
+  if (selectedDocuments.size > 0) {
+    return { documentoIds: [...selectedDocuments] };
+  }
+
+  const filtros = {};
+  if (currentFilters.estado) {
+    filtros.estado = currentFilters.estado;
+  }
+  if (currentFilters.tipo) {
+    filtros.tipo = currentFilters.tipo;
+  }
+  if (currentFilters.desde) {
+    filtros.fechaDesde = currentFilters.desde;
+  }
+  if (currentFilters.hasta) {
+    filtros.fechaHasta = currentFilters.hasta;
+  }
+  return Object.keys(filtros).length > 0 ? { filtros } : null;
+}
+
+/**
+ * Preview the bulk action (dry run), confirm it and start the job
+ */
+async function runBulkAction(button) {
+  const accionEl = document.getElementById('bulkAccion');
+  const accion = accionEl ? accionEl.value : '';
+  const criterio = buildBulkCriteria();
+  if (!criterio) {
+    alert('Selecciona documentos o aplica al menos un filtro (estado, tipo o fechas)');
+    return;
+  }
+
+  if (button) {
+    button.disabled = true;
+  }
+  try {
+    const preview = await window.API.runBulkAction({ accion, ...criterio, dryRun: true });
+    if (!preview.success) {
+      alert(`Error: ${preview.error || 'No se pudo calcular la accion'}`);
+      return;
+    }
+    if (preview.elegibles === 0) {
+      alert(`Ninguno de los ${preview.total} documento(s) admite esta accion`);
+      return;
+    }
+
+    const omitidos = preview.omitidos + preview.noEncontrados;
+    const confirmado = window.confirm(
+      `${accion}: se aplicara a ${preview.elegibles} de ${preview.total} documento(s)` +
+        `${omitidos > 0 ? ` (${omitidos} se omitiran)` : ''}. Continuar?`
+    );
+    if (!confirmado) {
+      return;
+    }
+
+    let reason;
+    if (accion === 'ANULAR') {
+      reason = window.prompt('Motivo de la anulacion (opcional):', '');
+      if (reason === null) {
+        return;
+      }
+    }
+
+    const data = await window.API.runBulkAction({
+      accion,
+      ...criterio,
+      ...(reason && reason.trim() ? { reason: reason.trim() } : {}),
+    });
+    if (!data.success) {
+      alert(`Error: ${data.error || 'No se pudo iniciar la accion'}`);
+      return;
+    }
+
+    selectedDocuments.clear();
+    updateBulkCount();
+    document.querySelectorAll('.doc-select').forEach((el) => {
+      el.checked = false;
+    });
+    pollBulkJob(data.trabajoId);
+  } catch (_err) {
+    alert('Error de conexion');
+  } finally {
+    if (button) {
+      button.disabled = false;
+    }
+  }
+}
+
+/**
+ * Poll the bulk job until every item is done, then reload the list
+ */
+async function pollBulkJob(trabajoId) {
+  if (bulkPollTimeout) {
+    clearTimeout(bulkPollTimeout);
+    bulkPollTimeout = null;
+  }
+
+  try {
+    const data = await window.API.getBulkAction(trabajoId);
+    if (data.success) {
+      activeBulkJob = data;
+      const progressEl = document.getElementById('bulkProgress');
+      if (progressEl) {
+        progressEl.innerHTML = renderBulkProgress();
+      }
+      if (data.completado) {
+        lastDocumentsHash = null;
+        loadDocuments();
+        return;
+      }
+    }
+  } catch (_err) {
+    // Se reintenta en el siguiente ciclo
+  }
+
+  bulkPollTimeout = setTimeout(
+    () => pollBulkJob(trabajoId),
+    window.CONFIG.REFRESH_INTERVAL_BULK_JOB
+  );
+}
+
 /**
  * Render pagination
  */
@@ -260,6 +533,209 @@ function goToPage(page) {
   loadDocuments();
 }
 
+/**
+ * Render download buttons (signed PDF and certificate only once signed)
+ */
+function renderDownloadButtons(docId, estado) {
+  const id = window.Utils.escapeHtml(docId);
+  const button = (tipo, label) =>
+    `<button class="btn btn-secondary" onclick="Documents.downloadFile('${id}', '${tipo}', this)">${label}</button>`;
+
+  let buttons = button('original', 'PDF original');
+  if (estado === 'FIRMADO') {
+    buttons += button('firmado', 'PDF firmado') + button('certificado', 'Certificado DocuSign');
+  }
+
+  return `<div class="doc-detail-field"><label>Descargas</label><div class="doc-detail-downloads">${buttons}</div></div>`;
+}
+
+/**
+ * Download a document file through a short-lived link
+ */
+async function downloadFile(docId, tipo, button) {
+  if (button) {
+    button.disabled = true;
+  }
+  try {
+    const data = await window.API.getDocumentDownload(docId, tipo);
+    if (!data.success) {
+      alert(`Error: ${data.error || 'No se pudo generar la descarga'}`);
+      return;
+    }
+    window.open(data.url, '_blank', 'noopener');
+  } catch (_err) {
+    alert('Error de conexion');
+  } finally {
+    if (button) {
+      button.disabled = false;
+    }
+  }
+}
+
+// Estados en los que se puede reenviar la notificacion de firma
+const RESEND_STATES = ['ENVIADO', 'ENTREGADO', 'VISTO'];
+
+/**
+ * Render resend button (documents pending signature only)
+ */
+function renderResendButton(docId, estado, telefono) {
+  if (!RESEND_STATES.includes(estado)) {
+    return '';
+  }
+
+  const id = window.Utils.escapeHtml(docId);
+  const tel = window.Utils.escapeHtml(telefono || '');
+  return (
+    `<div class="doc-detail-field"><label>Notificacion de firma</label>` +
+    `<div class="doc-detail-downloads"><button class="btn btn-secondary" onclick="Documents.resendDocument('${id}', '${tel}', this)">Reenviar</button></div></div>`
+  );
+}
+
+/**
+ * Resend the signing notification, asking for a corrected phone or email
+ */
+async function resendDocument(docId, telefonoActual, button) {
+  const telefono = window.prompt('Telefono del firmante (10 a 15 digitos):', telefonoActual);
+  if (telefono === null) {
+    return;
+  }
+  const email = window.prompt('Email del firmante (opcional, vacio para no cambiarlo):', '');
+  if (email === null) {
+    return;
+  }
+
+  const correccion = {};
+  if (telefono.trim() && telefono.trim() !== telefonoActual) {
+    correccion.telefono = telefono.trim();
+  }
+  if (email.trim()) {
+    correccion.email = email.trim();
+  }
+
+  if (button) {
+    button.disabled = true;
+  }
+  try {
+    const data = await window.API.resendDocument(docId, correccion);
+    if (!data.success) {
+      alert(`Error: ${data.error || 'No se pudo reenviar la notificacion'}`);
+      return;
+    }
+    alert(data.message);
+    lastDocumentsHash = null;
+    showDetail(docId);
+  } catch (_err) {
+    alert('Error de conexion');
+  } finally {
+    if (button) {
+      button.disabled = false;
+    }
+  }
+}
+
+// Status de Meta del ultimo template de firma (columna EstadoWhatsApp)
+const WHATSAPP_STATUS_LABELS = {
+  sent: 'Enviado',
+  delivered: 'Entregado',
+  read: 'Leido',
+  failed: 'No entregado',
+};
+
+// Origen de cada cambio de estado (HistorialDocumentoFirma.OrigenAccion)
+const ORIGEN_LABELS = {
+  SAP_API: 'SAP',
+  DOCUSIGN_WEBHOOK: 'DocuSign',
+  WHATSAPP_STATUS: 'WhatsApp (entrega)',
+  WHATSAPP_USUARIO: 'Cliente por WhatsApp',
+  TIMER: 'Proceso automatico',
+  ADMIN: 'Administrador',
+  SISTEMA: 'Sistema',
+};
+
+/**
+ * Render origin and actor of a timeline entry
+ */
+function renderTimelineOrigin(entry) {
+  const origen = ORIGEN_LABELS[entry.Origen] || entry.Origen || 'Sistema';
+  const actor = entry.Actor ? ` - ${window.Utils.escapeHtml(entry.Actor)}` : '';
+  return `<div><span class="timeline-origin">${window.Utils.escapeHtml(origen)}${actor}</span></div>`;
+}
+
+/**
+ * Render delivery status of the last WhatsApp template
+ */
+function renderWhatsAppStatus(doc) {
+  if (!doc.EstadoWhatsApp) {
+    return '';
+  }
+
+  const label = WHATSAPP_STATUS_LABELS[doc.EstadoWhatsApp] || doc.EstadoWhatsApp;
+  const error = doc.ErrorWhatsApp
+    ? ` <span style="color: var(--accent-red);">(${window.Utils.escapeHtml(doc.ErrorWhatsApp)})</span>`
+    : '';
+  return (
+    `<div class="doc-detail-field"><label>Entrega WhatsApp</label>` +
+    `<span>${window.Utils.escapeHtml(label)} - ${window.Utils.formatDetailDate(doc.FechaEstadoWhatsApp)}${error}</span></div>`
+  );
+}
+
+// Metadatos comparados entre versiones del PDF (Cambios de /documents/versions)
+const VERSION_FIELD_LABELS = new Map([
+  ['DocumentoNombre', 'Documento'],
+  ['DocumentoHash', 'Hash'],
+  ['EnvelopeId', 'Envelope'],
+  ['TipoDocumento', 'Tipo'],
+  ['ClienteNombre', 'Cliente'],
+  ['ClienteTelefono', 'Telefono'],
+  ['ClienteEmail', 'Email'],
+  ['CanalPreferido', 'Canal preferido'],
+  ['DatosExtra', 'Datos extra'],
+]);
+
+/**
+ * Load the PDF version chain (the detail still renders if it fails)
+ */
+async function loadVersions(docId) {
+  try {
+    const data = await window.API.getDocumentVersions(docId);
+    return data.success ? data.versiones || [] : [];
+  } catch (_err) {
+    return [];
+  }
+}
+
+/**
+ * Render the PDF versions of a document with the metadata changed in each one
+ */
+function renderVersions(versiones) {
+  if (versiones.length < 2) {
+    return '';
+  }
+
+  const escape = window.Utils.escapeHtml;
+  let html = '<div class="doc-timeline"><h3>Versiones del PDF</h3>';
+  versiones.forEach((version) => {
+    const state = window.Utils.formatDocumentState(version.EstadoDocumento);
+    const cambios = (version.Cambios || [])
+      .map((cambio) => {
+        const campo = VERSION_FIELD_LABELS.get(cambio.campo) || cambio.campo;
+        return `<li>${escape(campo)}: ${escape(cambio.anterior ?? '-')} &rarr; ${escape(cambio.nuevo ?? '-')}</li>`;
+      })
+      .join('');
+    const id = escape(version.DocumentoFirmaId);
+
+    html +=
+      `<div class="version-item${version.Actual ? ' version-current' : ''}">` +
+      `<div class="version-header"><span class="timeline-text">v${version.Numero} - ${escape(version.DocumentoNombre || '-')} (${state.emoji} ${state.label})</span>` +
+      `<button class="btn btn-secondary" onclick="Documents.downloadFile('${id}', 'original', this)">PDF</button></div>` +
+      `<div class="version-meta">${window.Utils.formatDetailDate(version.FechaCreacion)} - ${escape(version.MotivoReemplazo || 'Version original')}</div>` +
+      `<div class="version-meta">SHA-256: ${escape(version.DocumentoHash || 'No disponible')}</div>` +
+      `<div class="version-meta">Blob: ${escape(version.BlobName || 'No disponible')}</div>` +
+      `${cambios ? `<ul class="version-changes">${cambios}</ul>` : ''}</div>`;
+  });
+  return `${html}</div>`;
+}
+
 /**
  * Show document detail modal
  */
@@ -289,6 +765,7 @@ async function showDetail(docId) {
     const state = window.Utils.formatDocumentState(doc.Estado);
     const tipo = window.Utils.formatDocumentType(doc.TipoDocumento);
     const timeline = data.timeline || [];
+    const versiones = await loadVersions(docId);
 
     let timelineHtml = '';
     if (timeline.length > 0) {
@@ -299,7 +776,7 @@ async function showDetail(docId) {
           '<div class="timeline-item">' +
           `<div><span class="timeline-date">${window.Utils.formatDetailDate(entry.Fecha)}</span></div>` +
           `<div><span class="timeline-text">${entryState.emoji} ${entryState.label}</span></div>` +
-          '</div>';
+          `${renderTimelineOrigin(entry)}</div>`;
       });
       timelineHtml += '</div>';
     }
@@ -326,7 +803,9 @@ async function showDetail(docId) {
       `<div class="doc-detail-field"><label>Fecha Creacion</label><span>${window.Utils.formatDetailDate(doc.FechaCreacion)}</span></div>` +
       `<div class="doc-detail-field"><label>Ultima Actualizacion</label><span>${window.Utils.formatDetailDate(doc.FechaActualizacion || doc.FechaCreacion)}</span></div>` +
       `</div>` +
-      `<div class="doc-detail-field"><label>Enlace de Firma</label>${signingUrl}</div>${
+      `<div class="doc-detail-field"><label>Enlace de Firma</label>${signingUrl}</div>` +
+      `${renderDownloadButtons(doc.Id || doc.id || docId, doc.Estado)}` +
+      `${renderResendButton(doc.Id || doc.id || docId, doc.Estado, doc.Telefono)}${
         doc.MotivoRechazo
           ? `<div class="doc-detail-field"><label>Motivo de Rechazo</label><span style="color: var(--accent-red);">${window.Utils.escapeHtml(doc.MotivoRechazo)}</span></div>`
           : ''
@@ -334,7 +813,7 @@ async function showDetail(docId) {
         doc.Recordatorios != null
           ? `<div class="doc-detail-field"><label>Recordatorios Enviados</label><span>${doc.Recordatorios}</span></div>`
           : ''
-      }${timelineHtml}</div>` +
+      }${renderWhatsAppStatus(doc)}${renderVersions(versiones)}${timelineHtml}</div>` +
       `</div></div>`;
   } catch (err) {
     modal.innerHTML =
@@ -370,4 +849,12 @@ window.Documents = {
   goToPage,
   showDetail,
   closeDetail,
+  downloadFile,
+  resendDocument,
+  toggleSelection,
+  toggleAll,
+  runBulkAction,
+  onExportFormatChange,
+  exportDocuments,
+  exportStats,
 };
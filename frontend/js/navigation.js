@@ -35,6 +35,7 @@ function navigateTo(section) {
   const views = {
     home: 'homeView',
     documents: 'documentsView',
+    rejections: 'rejectionsView',
     conversations: 'conversationsView',
     metrics: 'metricsView',
     settings: 'settingsView',
@@ -60,6 +61,11 @@ function navigateTo(section) {
     registerInterval(
       setInterval(window.Documents.loadDocuments, window.CONFIG.REFRESH_INTERVAL_DOCUMENTS)
     );
+  } else if (section === 'rejections') {
+    window.Rejections.loadRejections();
+    registerInterval(
+      setInterval(window.Rejections.loadRejections, window.CONFIG.REFRESH_INTERVAL_REJECTIONS)
+    );
   } else if (section === 'conversations') {
     window.Conversations.loadList();
     registerInterval(
@@ -0,0 +1,454 @@
+/**
+ * SIGN BOT - Rejection Follow-ups
+ */
+
+const rejectionFilters = {
+  estado: '',
+  categoria: '',
+  page: 1,
+  desde: '',
+  hasta: '',
+};
+let lastRejectionsHash = null;
+
+// Categorias de rechazo (CATEGORIA_RECHAZO del bot)
+const CATEGORIA_RECHAZO_LABELS = new Map([
+  ['MONTO_INCORRECTO', 'Monto incorrecto'],
+  ['DATOS_INCORRECTOS', 'Datos incorrectos'],
+  ['NEGOCIAR', 'Quiere negociar'],
+  ['PERSONA_INCORRECTA', 'No es quien firma'],
+  ['OTRO', 'Otro motivo'],
+]);
+
+// Estados del seguimiento, con el color de badge de documentos que les corresponde
+const SEGUIMIENTO_STATES = new Map([
+  ['ABIERTO', { label: 'Abierto', cssClass: 'status-rechazado' }],
+  ['EN_PROCESO', { label: 'En proceso', cssClass: 'status-pendiente-envio' }],
+  ['CERRADO', { label: 'Cerrado', cssClass: 'status-firmado' }],
+]);
+
+/**
+ * Label of a rejection category
+ */
+function formatRejectionCategory(categoria) {
+  return CATEGORIA_RECHAZO_LABELS.get(categoria) || categoria || '-';
+}
+
+/**
+ * Render follow-up state badge
+ */
+function renderFollowUpState(estado) {
+  const state = SEGUIMIENTO_STATES.get(estado) || { label: estado, cssClass: '' };
+  return `<span class="doc-status-badge ${state.cssClass}">${window.Utils.escapeHtml(state.label)}</span>`;
+}
+
+/**
+ * Name shown as author of the follow-up actions
+ */
+function currentAgentName() {
+  const agent = window.Auth.getAgentInfo();
+  return agent.email || agent.name || undefined;
+}
+
+/**
+ * Load category stats and follow-ups with current filters
+ */
+async function loadRejections() {
+  const container = document.getElementById('rejectionsContainer');
+  if (!container) {
+    return;
+  }
+
+  try {
+    const [stats, data] = await Promise.all([
+      window.API.getRejectionStats(rejectionFilters),
+      window.API.getRejections({
+        ...rejectionFilters,
+        pageSize: window.CONFIG.REJECTIONS_PAGE_SIZE,
+      }),
+    ]);
+
+    if (!data.success) {
+      throw new Error(data.error || 'Error cargando rechazos');
+    }
+
+    // Hash comparison to avoid flickering on auto-refresh
+    const newHash = window.Utils.simpleHash(JSON.stringify([stats, data]));
+    if (newHash === lastRejectionsHash) {
+      return;
+    }
+    lastRejectionsHash = newHash;
+
+    container.innerHTML =
+      renderRejectionStats(stats.success ? stats.categorias : []) +
+      renderRejectionFilters() +
+      renderRejectionsTable(data.seguimientos || []) +
+      renderRejectionsPagination(data.pagination || {});
+
+    restoreRejectionFilters();
+  } catch (err) {
+    container.innerHTML = `${renderRejectionFilters()}<div class="empty-state"><h2>Error</h2><p>${window.Utils.escapeHtml(err.message)}</p></div>`;
+    restoreRejectionFilters();
+  }
+}
+
+/**
+ * Render totals by category (open, in progress and average hours to close)
+ */
+function renderRejectionStats(categorias) {
+  if (!categorias || categorias.length === 0) {
+    return '';
+  }
+
+  let cards = '';
+  categorias.forEach((cat) => {
+    const pendientes = cat.abiertos + cat.enProceso;
+    const cierre =
+      cat.promedioHorasCierre !== null
+        ? ` - cierre ${window.Utils.formatHours(cat.promedioHorasCierre)}`
+        : '';
+    cards +=
+      `<div class="kpi-compact">` +
+      `<span class="kpi-compact-label">${window.Utils.escapeHtml(formatRejectionCategory(cat.categoria))}</span>` +
+      `<div class="kpi-compact-value">${window.Utils.formatNumber(cat.total)}</div>` +
+      `<span class="kpi-compact-sub">${pendientes} pendiente(s)${cierre}</span>` +
+      `</div>`;
+  });
+
+  return `<div class="kpi-row">${cards}</div>`;
+}
+
+/**
+ * Render filter bar
+ */
+function renderRejectionFilters() {
+  let categorias = '';
+  CATEGORIA_RECHAZO_LABELS.forEach((label, codigo) => {
+    categorias += `<option value="${codigo}">${label}</option>`;
+  });
+
+  return (
+    '<div class="filter-bar">' +
+    '<select class="filter-select" id="rejectionEstado" onchange="Rejections.onFilterChange()">' +
+    '<option value="">Todos los estados</option>' +
+    '<option value="ABIERTO">Abierto</option>' +
+    '<option value="EN_PROCESO">En proceso</option>' +
+    '<option value="CERRADO">Cerrado</option>' +
+    '</select>' +
+    '<select class="filter-select" id="rejectionCategoria" onchange="Rejections.onFilterChange()">' +
+    `<option value="">Todas las categorias</option>${categorias}` +
+    '</select>' +
+    '<input type="date" class="filter-date" id="rejectionDesde" onchange="Rejections.onFilterChange()" title="Desde">' +
+    '<input type="date" class="filter-date" id="rejectionHasta" onchange="Rejections.onFilterChange()" title="Hasta">' +
+    '</div>'
+  );
+}
+
+/**
+ * Restore filter values after re-render
+ */
+function restoreRejectionFilters() {
+  const fields = {
+    rejectionEstado: rejectionFilters.estado,
+    rejectionCategoria: rejectionFilters.categoria,
+    rejectionDesde: rejectionFilters.desde,
+    rejectionHasta: rejectionFilters.hasta,
+  };
+  Object.entries(fields).forEach(([id, value]) => {
+    const el = document.getElementById(id);
+    if (el) {
+      el.value = value;
+    }
+  });
+}
+
+/**
+ * Handle filter change
+ */
+function onRejectionFilterChange() {
+  const value = (id) => {
+    const el = document.getElementById(id);
+    return el ? el.value : '';
+  };
+
+  rejectionFilters.estado = value('rejectionEstado');
+  rejectionFilters.categoria = value('rejectionCategoria');
+  rejectionFilters.desde = value('rejectionDesde');
+  rejectionFilters.hasta = value('rejectionHasta');
+  rejectionFilters.page = 1;
+  lastRejectionsHash = null;
+  loadRejections();
+}
+
+/**
+ * Render follow-ups table
+ */
+function renderRejectionsTable(seguimientos) {
+  if (seguimientos.length === 0) {
+    return (
+      '<div class="empty-state" style="padding: 40px;">' +
+      '<h2 style="font-size: 20px;">Sin rechazos</h2>' +
+      '<p>No se encontraron rechazos con los filtros seleccionados</p>' +
+      '</div>'
+    );
+  }
+
+  const escape = window.Utils.escapeHtml;
+  let rows = '';
+  seguimientos.forEach((seg) => {
+    rows +=
+      `<tr class="doc-row" onclick="Rejections.showDetail(${Number(seg.SeguimientoId)})">` +
+      `<td class="doc-id">${escape(seg.SapDocumentId || '-')}</td>` +
+      `<td>${escape(seg.ClienteNombre || '-')}</td>` +
+      `<td>${escape(formatRejectionCategory(seg.CategoriaRechazo))}</td>` +
+      `<td class="rejection-reason">${escape(seg.MotivoRechazo || '-')}</td>` +
+      `<td>${renderFollowUpState(seg.Estado)}</td>` +
+      `<td>${escape(seg.AsignadoA || '-')}</td>` +
+      `<td>${window.Utils.formatFullDate(seg.FechaCreacion)}</td>` +
+      `</tr>`;
+  });
+
+  return (
+    `<table class="documents-table">` +
+    `<thead><tr>` +
+    `<th>Documento</th>` +
+    `<th>Cliente</th>` +
+    `<th>Categoria</th>` +
+    `<th>Motivo</th>` +
+    `<th>Estado</th>` +
+    `<th>Asignado a</th>` +
+    `<th>Rechazado</th>` +
+    `</tr></thead>` +
+    `<tbody>${rows}</tbody>` +
+    `</table>`
+  );
+}
+
+/**
+ * Render pagination (previous / next)
+ */
+function renderRejectionsPagination(pagination) {
+  const totalPages = pagination.totalPages || 1;
+  const currentPage = pagination.page || rejectionFilters.page;
+  const total = pagination.total || 0;
+  const info = `<span class="pagination-info">${total} rechazo(s)</span>`;
+
+  if (totalPages <= 1) {
+    return `<div class="pagination">${info}</div>`;
+  }
+
+  return (
+    `<div class="pagination">` +
+    `<button ${currentPage <= 1 ? 'disabled' : ''} onclick="Rejections.goToPage(${currentPage - 1})">&laquo; Anterior</button>` +
+    `<span class="pagination-info">Pagina ${currentPage} de ${totalPages}</span>` +
+    `<button ${currentPage >= totalPages ? 'disabled' : ''} onclick="Rejections.goToPage(${currentPage + 1})">Siguiente &raquo;</button>` +
+    `${info}</div>`
+  );
+}
+
+/**
+ * Go to specific page
+ */
+function goToRejectionsPage(page) {
+  rejectionFilters.page = page;
+  lastRejectionsHash = null;
+  loadRejections();
+}
+
+/**
+ * Render comments of a follow-up
+ */
+function renderRejectionComments(comentarios) {
+  const escape = window.Utils.escapeHtml;
+  let html = '<div class="doc-timeline"><h3>Comentarios</h3>';
+  if (comentarios.length === 0) {
+    html += '<p class="rejection-empty">Sin comentarios</p>';
+  }
+  comentarios.forEach((c) => {
+    html +=
+      '<div class="timeline-item">' +
+      `<div><span class="timeline-date">${window.Utils.formatDetailDate(c.FechaCreacion)}</span></div>` +
+      `<div><span class="timeline-text">${escape(c.Comentario)}</span></div>` +
+      `<div><span class="timeline-origin">${escape(c.Autor)}</span></div>` +
+      '</div>';
+  });
+  return `${html}</div>`;
+}
+
+/**
+ * Render actions (assign and close only while the follow-up is not closed)
+ */
+function renderRejectionActions(seg) {
+  const id = Number(seg.SeguimientoId);
+  let buttons = '';
+  if (seg.Estado !== 'CERRADO') {
+    buttons +=
+      `<button class="btn btn-secondary" onclick="Rejections.assign(${id}, this)">${seg.AsignadoA ? 'Reasignar' : 'Asignar'}</button>` +
+      `<button class="btn btn-secondary" onclick="Rejections.close(${id}, this)">Cerrar</button>`;
+  }
+  buttons += `<button class="btn btn-secondary" onclick="Rejections.comment(${id}, this)">Comentar</button>`;
+
+  return `<div class="doc-detail-field"><label>Acciones</label><div class="doc-detail-downloads">${buttons}</div></div>`;
+}
+
+/**
+ * Show follow-up detail modal
+ */
+async function showRejectionDetail(seguimientoId) {
+  const modal = document.getElementById('docDetailModal');
+  if (!modal) {
+    return;
+  }
+
+  const panel = (title, body) =>
+    '<div class="doc-detail-overlay" onclick="Rejections.closeDetail(event)">' +
+    '<div class="doc-detail-panel" onclick="event.stopPropagation()">' +
+    '<div class="doc-detail-header">' +
+    `<h2>${title}</h2>` +
+    '<button class="doc-detail-close" onclick="Rejections.closeDetail(event)">&times;</button>' +
+    '</div>' +
+    `<div class="doc-detail-body">${body}</div>` +
+    '</div></div>';
+
+  modal.innerHTML = panel(
+    'Cargando...',
+    '<div class="loading"><div class="loading-spinner"></div>Cargando detalle...</div>'
+  );
+
+  try {
+    const data = await window.API.getRejectionDetail(seguimientoId);
+    if (!data.success) {
+      throw new Error(data.error || 'Error cargando detalle');
+    }
+
+    const seg = data.seguimiento || {};
+    const escape = window.Utils.escapeHtml;
+    const field = (label, value) =>
+      `<div class="doc-detail-field"><label>${label}</label><span>${value}</span></div>`;
+    const cierre =
+      seg.Estado === 'CERRADO'
+        ? field(
+            'Resolucion',
+            `${escape(seg.Resolucion || '-')} (${escape(seg.CerradoPor || '-')}, ${window.Utils.formatDetailDate(seg.FechaCierre)})`
+          )
+        : '';
+
+    const datos = [
+      field('Documento', escape(seg.DocumentoNombre || '-')),
+      field('ID SAP', `<span class="doc-id">${escape(seg.SapDocumentId || '-')}</span>`),
+      field('Cliente', escape(seg.ClienteNombre || '-')),
+      field('Telefono', escape(seg.ClienteTelefono || '-')),
+      field('Categoria', escape(formatRejectionCategory(seg.CategoriaRechazo))),
+      field('Estado', renderFollowUpState(seg.Estado)),
+      field('Asignado a', escape(seg.AsignadoA || 'Sin asignar')),
+      field('Rechazado', window.Utils.formatDetailDate(seg.FechaCreacion)),
+    ].join('');
+
+    modal.innerHTML = panel(
+      'Seguimiento de Rechazo',
+      `<div class="doc-detail-grid">${datos}</div>` +
+        `<div class="doc-detail-field"><label>Motivo del cliente</label><span style="color: var(--accent-red);">${escape(seg.MotivoRechazo || 'Sin detalle')}</span></div>` +
+        `${cierre}${renderRejectionActions(seg)}${renderRejectionComments(seg.comentarios || [])}`
+    );
+  } catch (err) {
+    modal.innerHTML = panel('Error', `<p>${window.Utils.escapeHtml(err.message)}</p>`);
+  }
+}
+
+/**
+ * Close follow-up detail modal
+ */
+function closeRejectionDetail(event) {
+  if (event) {
+    event.stopPropagation();
+  }
+  const modal = document.getElementById('docDetailModal');
+  if (modal) {
+    modal.innerHTML = '';
+  }
+}
+
+/**
+ * Run a follow-up action and refresh the detail and the list
+ */
+async function runRejectionAction(seguimientoId, button, action, errorMessage) {
+  if (button) {
+    button.disabled = true;
+  }
+  try {
+    const data = await action();
+    if (!data.success) {
+      alert(`Error: ${data.error || errorMessage}`);
+      return;
+    }
+    lastRejectionsHash = null;
+    loadRejections();
+    showRejectionDetail(seguimientoId);
+  } catch (_err) {
+    alert('Error de conexion');
+  } finally {
+    if (button) {
+      button.disabled = false;
+    }
+  }
+}
+
+/**
+ * Assign the follow-up to a back-office user
+ */
+function assignFollowUp(seguimientoId, button) {
+  const asignadoA = window.prompt('Asignar a (nombre o email):', currentAgentName() || '');
+  if (asignadoA === null || !asignadoA.trim()) {
+    return;
+  }
+  return runRejectionAction(
+    seguimientoId,
+    button,
+    () => window.API.assignRejection(seguimientoId, asignadoA.trim(), currentAgentName()),
+    'No se pudo asignar el seguimiento'
+  );
+}
+
+/**
+ * Add a comment to the follow-up
+ */
+function commentFollowUp(seguimientoId, button) {
+  const comentario = window.prompt('Comentario:', '');
+  if (comentario === null || !comentario.trim()) {
+    return;
+  }
+  return runRejectionAction(
+    seguimientoId,
+    button,
+    () => window.API.commentRejection(seguimientoId, comentario.trim(), currentAgentName()),
+    'No se pudo guardar el comentario'
+  );
+}
+
+/**
+ * Close the follow-up with its resolution
+ */
+function closeFollowUp(seguimientoId, button) {
+  const resolucion = window.prompt('Resolucion del rechazo:', '');
+  if (resolucion === null || !resolucion.trim()) {
+    return;
+  }
+  return runRejectionAction(
+    seguimientoId,
+    button,
+    () => window.API.closeRejection(seguimientoId, resolucion.trim(), currentAgentName()),
+    'No se pudo cerrar el seguimiento'
+  );
+}
+
+// Export for use in other modules
+window.Rejections = {
+  loadRejections,
+  onFilterChange: onRejectionFilterChange,
+  goToPage: goToRejectionsPage,
+  showDetail: showRejectionDetail,
+  closeDetail: closeRejectionDetail,
+  assign: assignFollowUp,
+  comment: commentFollowUp,
+  close: closeFollowUp,
+};
@@ -2,12 +2,19 @@
  * SIGN BOT - Queue Message Processor
  * Service Bus trigger que procesa mensajes de WhatsApp de forma asincrona.
  * Desacopla la recepcion del webhook del procesamiento de mensajes.
+ * Tambien procesa los documentos encolados por POST /api/sap-document/batch
+ * (tipo 'sap_document'), el envio asincrono de POST /api/sap-document
+ * (tipo 'sap_document_envio') y las acciones masivas de POST /api/admin/documents/bulk
+ * (tipo 'admin_bulk_action').
  *
  * Flujo:
  * 1. Webhook recibe mensaje -> valida firma -> dedup -> encola en Service Bus
  * 2. Este trigger lee de la cola -> restaura correlationId -> procesa el mensaje
  * 3. Si falla -> Azure Functions abandona el mensaje (vuelve a la cola)
  * 4. Si excede maxDeliveryCount -> Azure lo mueve a DLQ nativo
+ *
+ * Los tipos de DLQ_RETRY_TYPES no vuelven a la cola: se guardan en la tabla
+ * DeadLetterMessages y timer-dlq-processor los reintenta con backoff.
  */
 
 const appInsights = require('../core/services/infrastructure/appInsightsService');
@@ -21,6 +28,10 @@ const { TimeoutBudget } = require('../core/utils/requestTimeout');
 // Timeout de procesamiento: 4 min (function timeout es 5 min)
 const PROCESSING_TIMEOUT_MS = 4 * 60 * 1000;
 
+// Tipos reintentados por timer-dlq-processor en lugar de la redelivery de Service Bus
+// (el backoff de la tabla da margen a que DocuSign se recupere)
+const DLQ_RETRY_TYPES = new Set(['sap_document_envio']);
+
 /**
  * Crea funciones de logging con correlation ID
  */
@@ -32,6 +43,32 @@ function createLoggers(context, correlationId) {
   };
 }
 
+/**
+ * Guarda el mensaje en DeadLetterMessages para que timer-dlq-processor lo reintente.
+ * Va directo a SQL: el timer solo lee de la tabla. Si no se puede guardar se relanza
+ * para no perder el mensaje (Service Bus lo reintenta).
+ */
+async function saveForRetry(payload, error, logError) {
+  let saved = false;
+  try {
+    saved = await deadLetter.saveFailedMessageToSQL(
+      {
+        messageId: payload.messageId,
+        from: payload.from,
+        type: payload.message.type,
+        content: payload.message,
+      },
+      error
+    );
+  } catch (dlqError) {
+    logError('Queue processor: error guardando en DLQ', dlqError);
+  }
+
+  if (!saved) {
+    throw error;
+  }
+}
+
 module.exports = async function (context, queueMessage) {
   const payload = queueMessage;
   const correlationId = payload.correlationId || 'queue-no-correlation';
@@ -46,8 +83,9 @@ module.exports = async function (context, queueMessage) {
   );
 
   // Timeout wrapper para evitar que un mensaje cuelgue la funcion
+  let timeoutId;
   const timeoutPromise = new Promise((_resolve, reject) => {
-    setTimeout(
+    timeoutId = setTimeout(
       () => reject(new Error('Processing timeout exceeded (4 min)')),
       PROCESSING_TIMEOUT_MS
     );
@@ -67,6 +105,11 @@ module.exports = async function (context, queueMessage) {
   } catch (error) {
     logError('Queue processor: error procesando mensaje', error);
 
+    if (DLQ_RETRY_TYPES.has(payload.message?.type)) {
+      await saveForRetry(payload, error, logError);
+      return;
+    }
+
     // Guardar en DLQ para trazabilidad
     try {
       await deadLetter.saveFailedMessage(
@@ -77,6 +120,9 @@ module.exports = async function (context, queueMessage) {
           content:
             payload.message?.text?.body ||
             payload.message?.interactive?.button_reply?.id ||
+            payload.message?.interactive?.list_reply?.id ||
+            payload.message?.button?.payload ||
+            payload.message?.documento?.sapDocumentId ||
             'queue-message',
         },
         error
@@ -87,5 +133,7 @@ module.exports = async function (context, queueMessage) {
 
     // Re-throw para que Azure Functions abandone el mensaje (reintento automatico)
     throw error;
+  } finally {
+    clearTimeout(timeoutId);
   }
 };
@@ -77,6 +77,32 @@ GO
 PRINT '   CatEstadoDocumento creada';
 GO
 
+-- =============================================
+-- PASO 2b: CREAR CATALOGO DE TRANSICIONES DE DOCUMENTO
+-- =============================================
+-- Transiciones de estado permitidas (sincronizado con TRANSICIONES_DOCUMENTO en
+-- documentStates.js). sp_ActualizarEstadoDocumento rechaza cualquier otra.
+
+PRINT '';
+PRINT 'Paso 2b: Creando CatTransicionEstadoDocumento...';
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'CatTransicionEstadoDocumento')
+CREATE TABLE [dbo].[CatTransicionEstadoDocumento] (
+    [EstadoOrigenId] INT NOT NULL,
+    [EstadoDestinoId] INT NOT NULL,
+
+    CONSTRAINT [PK_CatTransicionEstadoDocumento] PRIMARY KEY ([EstadoOrigenId], [EstadoDestinoId]),
+    CONSTRAINT [FK_TransicionDocumento_Origen] FOREIGN KEY ([EstadoOrigenId])
+        REFERENCES [dbo].[CatEstadoDocumento] ([EstadoDocumentoId]),
+    CONSTRAINT [FK_TransicionDocumento_Destino] FOREIGN KEY ([EstadoDestinoId])
+        REFERENCES [dbo].[CatEstadoDocumento] ([EstadoDocumentoId])
+);
+GO
+
+PRINT '   CatTransicionEstadoDocumento creada';
+GO
+
 -- =============================================
 -- PASO 3: CREAR CATALOGO DE TIPOS DE DOCUMENTO
 -- =============================================
@@ -98,6 +124,55 @@ GO
 PRINT '   CatTipoDocumento creada';
 GO
 
+-- =============================================
+-- PASO 3b: CREAR TABLA PERFILES TIPO DOCUMENTO
+-- =============================================
+-- Perfil por tipo de documento (administrado desde /api/admin/profiles).
+-- Las columnas en NULL usan la configuracion global (config.firma / config.docusign).
+-- TabsFirma: JSON con el layout de tabs por defecto del tipo (mismo formato que payload.tabs).
+-- CalendarioRecordatorios: JSON { dias: [1, 3, 7], repetirCadaDias: 3 } con los dias (desde
+-- el envio) de los recordatorios; NULL = un recordatorio cada HorasRecordatorio.
+
+PRINT '';
+PRINT 'Paso 3b: Creando PerfilesTipoDocumento...';
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'PerfilesTipoDocumento')
+CREATE TABLE [dbo].[PerfilesTipoDocumento] (
+    [TipoDocumentoId] INT PRIMARY KEY,
+    [TemplateEnvio] NVARCHAR(100) NULL,
+    [DiasExpiracion] INT NULL,
+    [HorasRecordatorio] INT NULL,
+    [MaxRecordatorios] INT NULL,
+    [CalendarioRecordatorios] NVARCHAR(MAX) NULL,
+    [DiasHousekeeping] INT NULL,
+    [EmailRequerido] BIT NOT NULL DEFAULT 0,
+    [TabsFirma] NVARCHAR(MAX) NULL,
+    [VerificacionIdentidad] NVARCHAR(20) NULL, -- NINGUNA, OTP_WHATSAPP, SMS_DOCUSIGN
+    [DatosRequeridos] NVARCHAR(100) NULL, -- JSON: datos que se piden al cliente si faltan (EMAIL, RFC, NOMBRE_LEGAL)
+    [FechaActualizacion] DATETIME NOT NULL DEFAULT GETDATE(),
+
+    CONSTRAINT [FK_PerfilesTipoDocumento_TipoDocumento] FOREIGN KEY ([TipoDocumentoId])
+        REFERENCES [dbo].[CatTipoDocumento] ([TipoDocumentoId])
+);
+GO
+
+PRINT '   PerfilesTipoDocumento creada';
+GO
+
+-- Columnas agregadas despues de la version inicial (instalaciones existentes)
+IF COL_LENGTH('dbo.PerfilesTipoDocumento', 'VerificacionIdentidad') IS NULL
+    ALTER TABLE [dbo].[PerfilesTipoDocumento] ADD [VerificacionIdentidad] NVARCHAR(20) NULL;
+GO
+
+IF COL_LENGTH('dbo.PerfilesTipoDocumento', 'CalendarioRecordatorios') IS NULL
+    ALTER TABLE [dbo].[PerfilesTipoDocumento] ADD [CalendarioRecordatorios] NVARCHAR(MAX) NULL;
+GO
+
+IF COL_LENGTH('dbo.PerfilesTipoDocumento', 'DatosRequeridos') IS NULL
+    ALTER TABLE [dbo].[PerfilesTipoDocumento] ADD [DatosRequeridos] NVARCHAR(100) NULL;
+GO
+
 -- =============================================
 -- PASO 4: CREAR TABLA SESIONES CHAT
 -- =============================================
@@ -155,6 +230,8 @@ CREATE TABLE [dbo].[DocumentosFirma] (
     [ClienteTelefono] NVARCHAR(20) NOT NULL,
     [ClienteNombre] NVARCHAR(200) NOT NULL,
     [ClienteEmail] NVARCHAR(200) NULL,
+    [ClienteRfc] NVARCHAR(20) NULL,
+    [DatosPendientes] NVARCHAR(500) NULL, -- JSON con los datos que se piden al cliente por WhatsApp (EMAIL, RFC, NOMBRE_LEGAL)
 
     -- Documento
     [TipoDocumentoId] INT NOT NULL,
@@ -174,6 +251,7 @@ CREATE TABLE [dbo].[DocumentosFirma] (
 
     -- Rechazo
     [MotivoRechazo] NVARCHAR(1000) NULL,
+    [CategoriaRechazo] NVARCHAR(30) NULL, -- MONTO_INCORRECTO, DATOS_INCORRECTOS, NEGOCIAR, PERSONA_INCORRECTA, OTRO
 
     -- Recordatorios
     [IntentosRecordatorio] INT NOT NULL DEFAULT 0,
@@ -182,17 +260,28 @@ CREATE TABLE [dbo].[DocumentosFirma] (
 
     -- WhatsApp tracking
     [WhatsAppMessageId] NVARCHAR(100) NULL,
+    [EstadoWhatsApp] NVARCHAR(20) NULL, -- Ultimo status de Meta del mensaje: sent, delivered, read, failed
+    [FechaEstadoWhatsApp] DATETIME NULL,
+    [ErrorWhatsApp] NVARCHAR(500) NULL, -- Codigo y titulo del error de Meta (status failed)
+
+    -- Canal de notificacion preferido (WHATSAPP, EMAIL, SMS); NULL = orden de NOTIFICATION_CHANNEL_ORDER
+    [CanalPreferido] NVARCHAR(20) NULL,
 
     -- Envelope reutilizacion
     [EnvelopeReutilizado] BIT NOT NULL DEFAULT 0,
     [DocumentoAnteriorId] INT NULL,
 
+    -- Version del PDF (cadena DocumentoAnteriorId)
+    [DocumentoHash] NVARCHAR(64) NULL, -- SHA-256 (hex) del PDF original
+    [MotivoReemplazo] NVARCHAR(500) NULL, -- Por que esta version reemplazo a la anterior
+
     -- Error tracking
     [MensajeError] NVARCHAR(1000) NULL,
     [IntentosSap] INT NOT NULL DEFAULT 0,
 
     -- Metadata
     [DatosExtra] NVARCHAR(MAX) NULL,
+    [TabsFirma] NVARCHAR(MAX) NULL, -- JSON con los tabs de DocuSign enviados por SAP
     [Version] INT NOT NULL DEFAULT 1,
     [CreatedAt] DATETIME NOT NULL DEFAULT GETUTCDATE(),
     [UpdatedAt] DATETIME NOT NULL DEFAULT GETUTCDATE(),
@@ -211,11 +300,362 @@ CREATE NONCLUSTERED INDEX [IX_DocumentosFirma_ClienteTelefono] ON [dbo].[Documen
 CREATE NONCLUSTERED INDEX [IX_DocumentosFirma_Estado] ON [dbo].[DocumentosFirma] ([EstadoDocumentoId]) INCLUDE ([ClienteTelefono], [EnvelopeId]);
 CREATE NONCLUSTERED INDEX [IX_DocumentosFirma_Recordatorio] ON [dbo].[DocumentosFirma] ([EstadoDocumentoId], [IntentosRecordatorio], [UltimoRecordatorio]);
 CREATE NONCLUSTERED INDEX [IX_DocumentosFirma_UpdatedAt] ON [dbo].[DocumentosFirma] ([UpdatedAt]) WHERE [EnvelopeId] IS NOT NULL;
+CREATE NONCLUSTERED INDEX [IX_DocumentosFirma_WhatsAppMessageId] ON [dbo].[DocumentosFirma] ([WhatsAppMessageId]) WHERE [WhatsAppMessageId] IS NOT NULL;
+CREATE NONCLUSTERED INDEX [IX_DocumentosFirma_DocumentoAnteriorId] ON [dbo].[DocumentosFirma] ([DocumentoAnteriorId]) WHERE [DocumentoAnteriorId] IS NOT NULL;
 GO
 
 PRINT '   DocumentosFirma creada';
 GO
 
+-- Columnas agregadas despues de la version inicial (instalaciones existentes)
+IF COL_LENGTH('dbo.DocumentosFirma', 'TabsFirma') IS NULL
+    ALTER TABLE [dbo].[DocumentosFirma] ADD [TabsFirma] NVARCHAR(MAX) NULL;
+GO
+
+IF COL_LENGTH('dbo.DocumentosFirma', 'EstadoWhatsApp') IS NULL
+    ALTER TABLE [dbo].[DocumentosFirma] ADD
+        [EstadoWhatsApp] NVARCHAR(20) NULL,
+        [FechaEstadoWhatsApp] DATETIME NULL,
+        [ErrorWhatsApp] NVARCHAR(500) NULL;
+GO
+
+IF COL_LENGTH('dbo.DocumentosFirma', 'CanalPreferido') IS NULL
+    ALTER TABLE [dbo].[DocumentosFirma] ADD [CanalPreferido] NVARCHAR(20) NULL;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_DocumentosFirma_WhatsAppMessageId')
+    CREATE NONCLUSTERED INDEX [IX_DocumentosFirma_WhatsAppMessageId]
+        ON [dbo].[DocumentosFirma] ([WhatsAppMessageId]) WHERE [WhatsAppMessageId] IS NOT NULL;
+GO
+
+IF COL_LENGTH('dbo.DocumentosFirma', 'DocumentoHash') IS NULL
+    ALTER TABLE [dbo].[DocumentosFirma] ADD
+        [DocumentoHash] NVARCHAR(64) NULL,
+        [MotivoReemplazo] NVARCHAR(500) NULL;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_DocumentosFirma_DocumentoAnteriorId')
+    CREATE NONCLUSTERED INDEX [IX_DocumentosFirma_DocumentoAnteriorId]
+        ON [dbo].[DocumentosFirma] ([DocumentoAnteriorId]) WHERE [DocumentoAnteriorId] IS NOT NULL;
+GO
+
+IF COL_LENGTH('dbo.DocumentosFirma', 'CategoriaRechazo') IS NULL
+    ALTER TABLE [dbo].[DocumentosFirma] ADD [CategoriaRechazo] NVARCHAR(30) NULL;
+GO
+
+IF COL_LENGTH('dbo.DocumentosFirma', 'DatosPendientes') IS NULL
+    ALTER TABLE [dbo].[DocumentosFirma] ADD
+        [ClienteRfc] NVARCHAR(20) NULL,
+        [DatosPendientes] NVARCHAR(500) NULL;
+GO
+
+-- =============================================
+-- PASO 5b: CREAR TABLA FIRMANTES DOCUMENTO
+-- =============================================
+-- Firmantes de documentos multi-firmante (cliente, aval, contrafirma).
+-- OrdenFirma y RecipientId corresponden al routingOrder/recipientId del
+-- envelope en DocuSign. Los documentos de un solo firmante no usan esta tabla.
+
+PRINT '';
+PRINT 'Paso 5b: Creando FirmantesDocumento...';
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'FirmantesDocumento')
+CREATE TABLE [dbo].[FirmantesDocumento] (
+    [FirmanteId] INT IDENTITY(1,1) PRIMARY KEY,
+    [DocumentoFirmaId] INT NOT NULL,
+
+    -- DocuSign
+    [RecipientId] NVARCHAR(10) NOT NULL,
+    [OrdenFirma] INT NOT NULL,
+    [Rol] NVARCHAR(20) NOT NULL,
+
+    -- Firmante
+    [Telefono] NVARCHAR(20) NOT NULL,
+    [Nombre] NVARCHAR(200) NOT NULL,
+    [Email] NVARCHAR(200) NULL,
+
+    -- Estado (PENDIENTE, NOTIFICADO, FIRMADO, RECHAZADO)
+    [EstadoFirmante] NVARCHAR(20) NOT NULL DEFAULT 'PENDIENTE',
+    [FechaNotificacion] DATETIME NULL,
+    [FechaFirma] DATETIME NULL,
+    [WhatsAppMessageId] NVARCHAR(100) NULL,
+    [EstadoWhatsApp] NVARCHAR(20) NULL,
+    [FechaEstadoWhatsApp] DATETIME NULL,
+    [ErrorWhatsApp] NVARCHAR(500) NULL,
+
+    [CreatedAt] DATETIME NOT NULL DEFAULT GETUTCDATE(),
+    [UpdatedAt] DATETIME NOT NULL DEFAULT GETUTCDATE(),
+
+    CONSTRAINT [FK_FirmantesDocumento_Documento] FOREIGN KEY ([DocumentoFirmaId])
+        REFERENCES [dbo].[DocumentosFirma] ([DocumentoFirmaId]),
+    CONSTRAINT [UQ_FirmantesDocumento_Recipient] UNIQUE ([DocumentoFirmaId], [RecipientId])
+);
+
+CREATE NONCLUSTERED INDEX [IX_FirmantesDocumento_Telefono] ON [dbo].[FirmantesDocumento] ([Telefono], [EstadoFirmante]);
+CREATE NONCLUSTERED INDEX [IX_FirmantesDocumento_WhatsAppMessageId] ON [dbo].[FirmantesDocumento] ([WhatsAppMessageId]) WHERE [WhatsAppMessageId] IS NOT NULL;
+GO
+
+PRINT '   FirmantesDocumento creada';
+GO
+
+IF COL_LENGTH('dbo.FirmantesDocumento', 'EstadoWhatsApp') IS NULL
+    ALTER TABLE [dbo].[FirmantesDocumento] ADD
+        [EstadoWhatsApp] NVARCHAR(20) NULL,
+        [FechaEstadoWhatsApp] DATETIME NULL,
+        [ErrorWhatsApp] NVARCHAR(500) NULL;
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name = 'IX_FirmantesDocumento_WhatsAppMessageId')
+    CREATE NONCLUSTERED INDEX [IX_FirmantesDocumento_WhatsAppMessageId]
+        ON [dbo].[FirmantesDocumento] ([WhatsAppMessageId]) WHERE [WhatsAppMessageId] IS NOT NULL;
+GO
+
+-- =============================================
+-- PASO 5c: CREAR TABLAS LOTES DOCUMENTOS SAP
+-- =============================================
+-- Lotes recibidos por POST /api/sap-document/batch. Cada documento del lote
+-- se procesa por separado desde Service Bus; el item guarda su estado
+-- (ENCOLADO, INVALIDO, PROCESADO, ERROR) y el documento creado.
+
+PRINT '';
+PRINT 'Paso 5c: Creando LotesDocumentosSap...';
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'LotesDocumentosSap')
+CREATE TABLE [dbo].[LotesDocumentosSap] (
+    [LoteId] NVARCHAR(36) PRIMARY KEY,
+    [TotalDocumentos] INT NOT NULL,
+    [CorrelationId] NVARCHAR(100) NULL,
+    [FechaCreacion] DATETIME NOT NULL DEFAULT GETDATE()
+);
+
+CREATE NONCLUSTERED INDEX [IX_LotesDocumentosSap_Fecha] ON [dbo].[LotesDocumentosSap] ([FechaCreacion]);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'LotesDocumentosSapItems')
+CREATE TABLE [dbo].[LotesDocumentosSapItems] (
+    [LoteId] NVARCHAR(36) NOT NULL,
+    [Indice] INT NOT NULL,
+    [SapDocumentId] NVARCHAR(100) NULL,
+    [Estado] NVARCHAR(20) NOT NULL,
+    [MensajeError] NVARCHAR(1000) NULL,
+    [DocumentoFirmaId] INT NULL,
+    [FechaActualizacion] DATETIME NOT NULL DEFAULT GETDATE(),
+
+    CONSTRAINT [PK_LotesDocumentosSapItems] PRIMARY KEY ([LoteId], [Indice]),
+    CONSTRAINT [FK_LotesDocumentosSapItems_Lote] FOREIGN KEY ([LoteId])
+        REFERENCES [dbo].[LotesDocumentosSap] ([LoteId]),
+    CONSTRAINT [FK_LotesDocumentosSapItems_Documento] FOREIGN KEY ([DocumentoFirmaId])
+        REFERENCES [dbo].[DocumentosFirma] ([DocumentoFirmaId])
+);
+GO
+
+PRINT '   LotesDocumentosSap y LotesDocumentosSapItems creadas';
+GO
+
+-- =============================================
+-- PASO 5d: CREAR TABLA VERIFICACIONES FIRMA
+-- =============================================
+-- Codigos de verificacion (OTP por WhatsApp) que se piden en /api/firma antes
+-- de generar el recipient view. Solo se guarda el hash del codigo.
+-- RecipientId es NULL en documentos de un solo firmante.
+
+PRINT '';
+PRINT 'Paso 5d: Creando VerificacionesFirma...';
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'VerificacionesFirma')
+CREATE TABLE [dbo].[VerificacionesFirma] (
+    [VerificacionId] INT IDENTITY(1,1) PRIMARY KEY,
+    [DocumentoFirmaId] INT NOT NULL,
+    [RecipientId] NVARCHAR(10) NULL,
+    [Telefono] NVARCHAR(20) NOT NULL,
+    [CodigoHash] NVARCHAR(64) NOT NULL,
+    [Intentos] INT NOT NULL DEFAULT 0,
+    [Verificado] BIT NOT NULL DEFAULT 0,
+    [FechaExpiracion] DATETIME NOT NULL,
+    [FechaVerificacion] DATETIME NULL,
+    [FechaCreacion] DATETIME NOT NULL DEFAULT GETDATE(),
+
+    CONSTRAINT [FK_VerificacionesFirma_Documento] FOREIGN KEY ([DocumentoFirmaId])
+        REFERENCES [dbo].[DocumentosFirma] ([DocumentoFirmaId])
+);
+
+CREATE NONCLUSTERED INDEX [IX_VerificacionesFirma_Documento] ON [dbo].[VerificacionesFirma] ([DocumentoFirmaId], [RecipientId], [FechaCreacion]);
+GO
+
+PRINT '   VerificacionesFirma creada';
+GO
+
+-- =============================================
+-- PASO 5e: CREAR TABLA INTENTOS NOTIFICACION
+-- =============================================
+-- Un registro por intento de envio de cada canal (WHATSAPP, EMAIL, SMS) de las
+-- notificaciones de firma. FirmanteId es NULL en documentos de un solo firmante.
+
+PRINT '';
+PRINT 'Paso 5e: Creando IntentosNotificacion...';
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'IntentosNotificacion')
+CREATE TABLE [dbo].[IntentosNotificacion] (
+    [IntentoId] INT IDENTITY(1,1) PRIMARY KEY,
+    [DocumentoFirmaId] INT NOT NULL,
+    [FirmanteId] INT NULL,
+    [Tipo] NVARCHAR(50) NOT NULL, -- Template: firma_envio, firma_recordatorio, ...
+    [Canal] NVARCHAR(20) NOT NULL,
+    [Destino] NVARCHAR(200) NOT NULL,
+    [Exitoso] BIT NOT NULL,
+    [MensajeId] NVARCHAR(200) NULL,
+    [Error] NVARCHAR(500) NULL,
+    [FechaCreacion] DATETIME NOT NULL DEFAULT GETDATE(),
+
+    CONSTRAINT [FK_IntentosNotificacion_Documento] FOREIGN KEY ([DocumentoFirmaId])
+        REFERENCES [dbo].[DocumentosFirma] ([DocumentoFirmaId])
+);
+
+CREATE NONCLUSTERED INDEX [IX_IntentosNotificacion_Documento] ON [dbo].[IntentosNotificacion] ([DocumentoFirmaId], [FechaCreacion]);
+GO
+
+PRINT '   IntentosNotificacion creada';
+GO
+
+-- =============================================
+-- PASO 5f: CREAR TABLA HISTORIAL DOCUMENTO FIRMA
+-- =============================================
+-- Historial append-only de las transiciones de estado de cada documento. Lo escriben
+-- sp_CrearDocumentoFirma (estado inicial) y sp_ActualizarEstadoDocumento (cada cambio)
+-- en la misma operacion que el cambio de estado. Solo sp_PurgeOldPersonalData lo modifica
+-- (anonimiza Actor y Detalle de documentos purgados).
+
+PRINT '';
+PRINT 'Paso 5f: Creando HistorialDocumentoFirma...';
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'HistorialDocumentoFirma')
+CREATE TABLE [dbo].[HistorialDocumentoFirma] (
+    [HistorialId] INT IDENTITY(1,1) PRIMARY KEY,
+    [DocumentoFirmaId] INT NOT NULL,
+    [EstadoAnteriorId] INT NULL, -- NULL en el registro de creacion
+    [EstadoNuevoId] INT NOT NULL,
+    [OrigenAccion] NVARCHAR(30) NOT NULL DEFAULT 'SISTEMA', -- SAP_API, DOCUSIGN_WEBHOOK, TIMER, ...
+    [Actor] NVARCHAR(200) NULL, -- Quien origino el cambio (SAP, recipient de DocuSign, telefono, IP)
+    [Detalle] NVARCHAR(MAX) NULL, -- Snapshot JSON de los datos de la transicion
+    [FechaAccion] DATETIME NOT NULL DEFAULT GETUTCDATE(),
+
+    CONSTRAINT [FK_HistorialDocumento_Documento] FOREIGN KEY ([DocumentoFirmaId])
+        REFERENCES [dbo].[DocumentosFirma] ([DocumentoFirmaId]),
+    CONSTRAINT [FK_HistorialDocumento_EstadoAnterior] FOREIGN KEY ([EstadoAnteriorId])
+        REFERENCES [dbo].[CatEstadoDocumento] ([EstadoDocumentoId]),
+    CONSTRAINT [FK_HistorialDocumento_EstadoNuevo] FOREIGN KEY ([EstadoNuevoId])
+        REFERENCES [dbo].[CatEstadoDocumento] ([EstadoDocumentoId])
+);
+
+CREATE NONCLUSTERED INDEX [IX_HistorialDocumento_Documento] ON [dbo].[HistorialDocumentoFirma] ([DocumentoFirmaId], [FechaAccion]);
+GO
+
+PRINT '   HistorialDocumentoFirma creada';
+GO
+
+-- =============================================
+-- PASO 5g: CREAR TABLAS TRABAJOS MASIVOS
+-- =============================================
+-- Acciones masivas del admin (POST /api/admin/documents/bulk): ANULAR, REENVIAR o
+-- RECORDAR sobre una lista de documentos o un filtro del listado. Cada documento se
+-- procesa por separado desde Service Bus; el item guarda su estado
+-- (ENCOLADO, PROCESADO, OMITIDO, ERROR).
+
+PRINT '';
+PRINT 'Paso 5g: Creando TrabajosMasivos...';
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'TrabajosMasivos')
+CREATE TABLE [dbo].[TrabajosMasivos] (
+    [TrabajoId] NVARCHAR(36) PRIMARY KEY,
+    [Accion] NVARCHAR(20) NOT NULL, -- ANULAR, REENVIAR, RECORDAR
+    [TotalDocumentos] INT NOT NULL,
+    [Criterio] NVARCHAR(MAX) NULL, -- JSON con los documentoIds o los filtros usados
+    [Motivo] NVARCHAR(500) NULL,
+    [Actor] NVARCHAR(200) NULL,
+    [CorrelationId] NVARCHAR(100) NULL,
+    [FechaCreacion] DATETIME NOT NULL DEFAULT GETDATE()
+);
+
+CREATE NONCLUSTERED INDEX [IX_TrabajosMasivos_Fecha] ON [dbo].[TrabajosMasivos] ([FechaCreacion]);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'TrabajosMasivosItems')
+CREATE TABLE [dbo].[TrabajosMasivosItems] (
+    [TrabajoId] NVARCHAR(36) NOT NULL,
+    [DocumentoFirmaId] INT NOT NULL,
+    [Estado] NVARCHAR(20) NOT NULL,
+    [MensajeError] NVARCHAR(1000) NULL,
+    [FechaActualizacion] DATETIME NOT NULL DEFAULT GETDATE(),
+
+    CONSTRAINT [PK_TrabajosMasivosItems] PRIMARY KEY ([TrabajoId], [DocumentoFirmaId]),
+    CONSTRAINT [FK_TrabajosMasivosItems_Trabajo] FOREIGN KEY ([TrabajoId])
+        REFERENCES [dbo].[TrabajosMasivos] ([TrabajoId]),
+    CONSTRAINT [FK_TrabajosMasivosItems_Documento] FOREIGN KEY ([DocumentoFirmaId])
+        REFERENCES [dbo].[DocumentosFirma] ([DocumentoFirmaId])
+);
+GO
+
+PRINT '   TrabajosMasivos y TrabajosMasivosItems creadas';
+GO
+
+-- =============================================
+-- PASO 5h: CREAR TABLAS SEGUIMIENTOS RECHAZO
+-- =============================================
+-- Cada rechazo (WhatsApp o DocuSign) abre un seguimiento para back-office. Lo crea
+-- sp_ActualizarEstadoDocumento al pasar el documento a RECHAZADO, con la categoria y el
+-- motivo de ese momento. Se asigna, comenta y cierra desde /api/admin/rejections
+-- (ABIERTO -> EN_PROCESO -> CERRADO).
+
+PRINT '';
+PRINT 'Paso 5h: Creando SeguimientosRechazo...';
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'SeguimientosRechazo')
+CREATE TABLE [dbo].[SeguimientosRechazo] (
+    [SeguimientoId] INT IDENTITY(1,1) PRIMARY KEY,
+    [DocumentoFirmaId] INT NOT NULL,
+    [CategoriaRechazo] NVARCHAR(30) NOT NULL DEFAULT 'OTRO', -- Sin categoria (DocuSign) = OTRO
+    [MotivoRechazo] NVARCHAR(1000) NULL,
+    [Estado] NVARCHAR(20) NOT NULL DEFAULT 'ABIERTO', -- ABIERTO, EN_PROCESO, CERRADO
+    [AsignadoA] NVARCHAR(200) NULL,
+    [FechaAsignacion] DATETIME NULL,
+    [Resolucion] NVARCHAR(1000) NULL,
+    [CerradoPor] NVARCHAR(200) NULL,
+    [FechaCierre] DATETIME NULL,
+    [FechaCreacion] DATETIME NOT NULL DEFAULT GETUTCDATE(),
+
+    CONSTRAINT [FK_SeguimientosRechazo_Documento] FOREIGN KEY ([DocumentoFirmaId])
+        REFERENCES [dbo].[DocumentosFirma] ([DocumentoFirmaId])
+);
+
+CREATE NONCLUSTERED INDEX [IX_SeguimientosRechazo_Estado] ON [dbo].[SeguimientosRechazo] ([Estado], [FechaCreacion]);
+CREATE NONCLUSTERED INDEX [IX_SeguimientosRechazo_Documento] ON [dbo].[SeguimientosRechazo] ([DocumentoFirmaId]);
+GO
+
+IF NOT EXISTS (SELECT * FROM sys.tables WHERE name = 'SeguimientosRechazoComentarios')
+CREATE TABLE [dbo].[SeguimientosRechazoComentarios] (
+    [ComentarioId] INT IDENTITY(1,1) PRIMARY KEY,
+    [SeguimientoId] INT NOT NULL,
+    [Autor] NVARCHAR(200) NOT NULL,
+    [Comentario] NVARCHAR(2000) NOT NULL,
+    [FechaCreacion] DATETIME NOT NULL DEFAULT GETUTCDATE(),
+
+    CONSTRAINT [FK_SeguimientosRechazoComentarios_Seguimiento] FOREIGN KEY ([SeguimientoId])
+        REFERENCES [dbo].[SeguimientosRechazo] ([SeguimientoId])
+);
+
+CREATE NONCLUSTERED INDEX [IX_SeguimientosRechazoComentarios_Seguimiento] ON [dbo].[SeguimientosRechazoComentarios] ([SeguimientoId], [FechaCreacion]);
+GO
+
+PRINT '   SeguimientosRechazo y SeguimientosRechazoComentarios creadas';
+GO
+
 -- =============================================
 -- PASO 6: CREAR TABLA HISTORIAL SESIONES
 -- =============================================
@@ -425,9 +865,11 @@ INSERT INTO [dbo].[CatEstadoSesion] ([EstadoId], [Codigo], [Nombre], [Descripcio
 (10, 'CONSULTA_DOCUMENTOS',     'Consulta Documentos',     'Usuario consultando sus documentos pendientes',       0, 10, 1),
 (11, 'CONSULTA_DETALLE',        'Consulta Detalle',        'Usuario viendo detalle de un documento',              0, 11, 1),
 (12, 'ESPERANDO_CONFIRMACION',  'Esperando Confirmacion',  'Bot pregunto algo, esperando respuesta del usuario',  0, 12, 1),
+(13, 'RECOPILANDO_DATOS',       'Recopilando Datos',       'Bot pidiendo datos faltantes del firmante',           0, 13, 1),
+(14, 'CONFIRMANDO_DATOS',       'Confirmando Datos',       'Usuario confirmando los datos capturados',            0, 14, 1),
 (20, 'AGENTE_ACTIVO',           'Atencion por Agente',     'Conversacion tomada por agente humano (v2)',          0, 60, 1);
 
-PRINT '   CatEstadoSesion: 8 registros';
+PRINT '   CatEstadoSesion: 10 registros';
 GO
 
 -- Estados de Documento (IDs match documentStates.js ESTADO_DOCUMENTO_ID)
@@ -448,6 +890,28 @@ SET IDENTITY_INSERT [dbo].[CatEstadoDocumento] OFF;
 PRINT '   CatEstadoDocumento: 8 registros';
 GO
 
+-- Transiciones de Documento (match documentStates.js TRANSICIONES_DOCUMENTO)
+-- FIRMADO y ANULADO son finales: no tienen transiciones de salida
+INSERT INTO [dbo].[CatTransicionEstadoDocumento] ([EstadoOrigenId], [EstadoDestinoId])
+SELECT o.EstadoDocumentoId, d.EstadoDocumentoId
+FROM (VALUES
+    ('PENDIENTE_ENVIO', 'ENVIADO'), ('PENDIENTE_ENVIO', 'ANULADO'), ('PENDIENTE_ENVIO', 'ERROR'),
+    ('ENVIADO', 'ENTREGADO'), ('ENVIADO', 'VISTO'), ('ENVIADO', 'FIRMADO'),
+    ('ENVIADO', 'RECHAZADO'), ('ENVIADO', 'ANULADO'), ('ENVIADO', 'ERROR'),
+    ('ENTREGADO', 'VISTO'), ('ENTREGADO', 'FIRMADO'), ('ENTREGADO', 'RECHAZADO'),
+    ('ENTREGADO', 'ANULADO'), ('ENTREGADO', 'ERROR'),
+    ('VISTO', 'FIRMADO'), ('VISTO', 'RECHAZADO'), ('VISTO', 'ANULADO'), ('VISTO', 'ERROR'),
+    ('RECHAZADO', 'ENVIADO'), ('RECHAZADO', 'VISTO'), ('RECHAZADO', 'FIRMADO'),
+    ('RECHAZADO', 'RECHAZADO'), ('RECHAZADO', 'ANULADO'), ('RECHAZADO', 'ERROR'),
+    ('ERROR', 'ENVIADO'), ('ERROR', 'ENTREGADO'), ('ERROR', 'VISTO'),
+    ('ERROR', 'FIRMADO'), ('ERROR', 'RECHAZADO'), ('ERROR', 'ANULADO')
+) AS t (Origen, Destino)
+INNER JOIN [dbo].[CatEstadoDocumento] o ON o.Codigo = t.Origen
+INNER JOIN [dbo].[CatEstadoDocumento] d ON d.Codigo = t.Destino;
+
+PRINT '   CatTransicionEstadoDocumento: 30 registros';
+GO
+
 -- Tipos de Documento (IDs match documentStates.js TIPO_DOCUMENTO_ID)
 SET IDENTITY_INSERT [dbo].[CatTipoDocumento] ON;
 
@@ -697,13 +1161,49 @@ BEGIN
     UPDATE DocumentosFirma
     SET ClienteTelefono = 'PURGED',
         ClienteNombre = 'PURGED',
-        ClienteEmail = NULL
+        ClienteEmail = NULL,
+        ClienteRfc = NULL
     WHERE FechaCreacion < @CutoffDate
       AND EstadoDocumentoId IN (SELECT EstadoDocumentoId FROM CatEstadoDocumento WHERE EsFinal = 1)
       AND ClienteTelefono <> 'PURGED';
 
     SET @AnonDocuments = @@ROWCOUNT;
 
+    -- 2b. Anonimizar firmantes de documentos purgados
+    UPDATE f
+    SET Telefono = 'PURGED',
+        Nombre = 'PURGED',
+        Email = NULL
+    FROM FirmantesDocumento f
+    INNER JOIN DocumentosFirma d ON f.DocumentoFirmaId = d.DocumentoFirmaId
+    WHERE d.ClienteTelefono = 'PURGED'
+      AND f.Telefono <> 'PURGED';
+
+    -- 2c. Anonimizar actor y snapshot del historial de documentos purgados
+    UPDATE h
+    SET Actor = 'PURGED',
+        Detalle = NULL
+    FROM HistorialDocumentoFirma h
+    INNER JOIN DocumentosFirma d ON h.DocumentoFirmaId = d.DocumentoFirmaId
+    WHERE d.ClienteTelefono = 'PURGED'
+      AND ISNULL(h.Actor, '') <> 'PURGED';
+
+    -- 2d. Anonimizar motivo y comentarios de seguimientos de rechazo de documentos purgados
+    UPDATE sr
+    SET MotivoRechazo = NULL
+    FROM SeguimientosRechazo sr
+    INNER JOIN DocumentosFirma d ON sr.DocumentoFirmaId = d.DocumentoFirmaId
+    WHERE d.ClienteTelefono = 'PURGED'
+      AND sr.MotivoRechazo IS NOT NULL;
+
+    UPDATE c
+    SET Comentario = 'PURGED'
+    FROM SeguimientosRechazoComentarios c
+    INNER JOIN SeguimientosRechazo sr ON c.SeguimientoId = sr.SeguimientoId
+    INNER JOIN DocumentosFirma d ON sr.DocumentoFirmaId = d.DocumentoFirmaId
+    WHERE d.ClienteTelefono = 'PURGED'
+      AND c.Comentario <> 'PURGED';
+
     -- 3. Eliminar mensajes de chat de sesiones purgadas
     DELETE mc FROM MensajesChat mc
     INNER JOIN SesionesChat s ON mc.SesionId = s.SesionId
@@ -745,25 +1245,48 @@ CREATE OR ALTER PROCEDURE [dbo].[sp_CrearDocumentoFirma]
     @ClienteTelefono NVARCHAR(20),
     @ClienteNombre NVARCHAR(200),
     @ClienteEmail NVARCHAR(200) = NULL,
+    @ClienteRfc NVARCHAR(20) = NULL,
     @TipoDocumentoId INT,
     @DocumentoNombre NVARCHAR(500) = NULL,
     @DocumentoOriginalUrl NVARCHAR(1000) = NULL,
-    @DatosExtra NVARCHAR(MAX) = NULL
+    @DatosExtra NVARCHAR(MAX) = NULL,
+    @TabsFirma NVARCHAR(MAX) = NULL,
+    @CanalPreferido NVARCHAR(20) = NULL,
+    @DocumentoHash NVARCHAR(64) = NULL,
+    @DocumentoAnteriorId INT = NULL,
+    @EnvelopeReutilizado BIT = 0,
+    @MotivoReemplazo NVARCHAR(500) = NULL,
+    @DatosPendientes NVARCHAR(500) = NULL,
+    @OrigenAccion NVARCHAR(30) = 'SAP_API',
+    @Actor NVARCHAR(200) = NULL,
+    @Detalle NVARCHAR(MAX) = NULL
 AS
 BEGIN
     SET NOCOUNT ON;
 
     DECLARE @EstadoPendienteId INT = 1; -- PENDIENTE_ENVIO
+    DECLARE @DocumentoFirmaId INT;
 
     INSERT INTO DocumentosFirma (
         SapDocumentId, SapCallbackUrl, ClienteTelefono, ClienteNombre, ClienteEmail,
-        TipoDocumentoId, EstadoDocumentoId, DocumentoNombre, DocumentoOriginalUrl, DatosExtra
+        TipoDocumentoId, EstadoDocumentoId, DocumentoNombre, DocumentoOriginalUrl, DatosExtra,
+        TabsFirma, CanalPreferido, DocumentoHash, DocumentoAnteriorId, EnvelopeReutilizado,
+        MotivoReemplazo, ClienteRfc, DatosPendientes
     )
     VALUES (
         @SapDocumentId, @SapCallbackUrl, @ClienteTelefono, @ClienteNombre, @ClienteEmail,
-        @TipoDocumentoId, @EstadoPendienteId, @DocumentoNombre, @DocumentoOriginalUrl, @DatosExtra
+        @TipoDocumentoId, @EstadoPendienteId, @DocumentoNombre, @DocumentoOriginalUrl, @DatosExtra,
+        @TabsFirma, @CanalPreferido, @DocumentoHash, @DocumentoAnteriorId, @EnvelopeReutilizado,
+        @MotivoReemplazo, @ClienteRfc, @DatosPendientes
     );
 
+    SET @DocumentoFirmaId = SCOPE_IDENTITY();
+
+    INSERT INTO HistorialDocumentoFirma
+        (DocumentoFirmaId, EstadoAnteriorId, EstadoNuevoId, OrigenAccion, Actor, Detalle)
+    VALUES
+        (@DocumentoFirmaId, NULL, @EstadoPendienteId, @OrigenAccion, @Actor, @Detalle);
+
     SELECT
         df.*,
         ed.Codigo AS EstadoDocumento,
@@ -771,7 +1294,7 @@ BEGIN
     FROM DocumentosFirma df
     INNER JOIN CatEstadoDocumento ed ON df.EstadoDocumentoId = ed.EstadoDocumentoId
     INNER JOIN CatTipoDocumento td ON df.TipoDocumentoId = td.TipoDocumentoId
-    WHERE df.DocumentoFirmaId = SCOPE_IDENTITY();
+    WHERE df.DocumentoFirmaId = @DocumentoFirmaId;
 END;
 GO
 
@@ -787,18 +1310,26 @@ CREATE OR ALTER PROCEDURE [dbo].[sp_ActualizarEstadoDocumento]
     @SigningUrl NVARCHAR(2000) = NULL,
     @DocumentoFirmadoUrl NVARCHAR(1000) = NULL,
     @MotivoRechazo NVARCHAR(1000) = NULL,
+    @CategoriaRechazo NVARCHAR(30) = NULL,
     @WhatsAppMessageId NVARCHAR(100) = NULL,
-    @MensajeError NVARCHAR(1000) = NULL
+    @MensajeError NVARCHAR(1000) = NULL,
+    @OrigenAccion NVARCHAR(30) = 'SISTEMA',
+    @Actor NVARCHAR(200) = NULL,
+    @Detalle NVARCHAR(MAX) = NULL
 AS
 BEGIN
     SET NOCOUNT ON;
 
+    -- Estado anterior capturado en el mismo UPDATE (sin lectura previa)
+    DECLARE @Anterior TABLE (EstadoAnteriorId INT);
+
     UPDATE DocumentosFirma
     SET EstadoDocumentoId = @NuevoEstadoId,
         EnvelopeId = COALESCE(@EnvelopeId, EnvelopeId),
         SigningUrl = COALESCE(@SigningUrl, SigningUrl),
         DocumentoFirmadoUrl = COALESCE(@DocumentoFirmadoUrl, DocumentoFirmadoUrl),
         MotivoRechazo = COALESCE(@MotivoRechazo, MotivoRechazo),
+        CategoriaRechazo = COALESCE(@CategoriaRechazo, CategoriaRechazo),
         WhatsAppMessageId = COALESCE(@WhatsAppMessageId, WhatsAppMessageId),
         MensajeError = @MensajeError,
         FechaEnvioDocuSign = CASE WHEN @NuevoEstadoId = 2 THEN GETUTCDATE() ELSE FechaEnvioDocuSign END,
@@ -808,19 +1339,46 @@ BEGIN
         FechaRechazo = CASE WHEN @NuevoEstadoId = 6 THEN GETUTCDATE() ELSE FechaRechazo END,
         Version = Version + 1,
         UpdatedAt = GETUTCDATE()
+    OUTPUT DELETED.EstadoDocumentoId INTO @Anterior
     WHERE DocumentoFirmaId = @DocumentoFirmaId
-      AND Version = @Version;
+      AND Version = @Version
+      AND EXISTS (
+          SELECT 1 FROM CatTransicionEstadoDocumento t
+          WHERE t.EstadoOrigenId = DocumentosFirma.EstadoDocumentoId
+            AND t.EstadoDestinoId = @NuevoEstadoId
+      );
 
     IF @@ROWCOUNT = 0
     BEGIN
-        -- Check if document exists
-        IF NOT EXISTS (SELECT 1 FROM DocumentosFirma WHERE DocumentoFirmaId = @DocumentoFirmaId)
+        DECLARE @EstadoActualId INT, @VersionActual INT;
+        SELECT @EstadoActualId = EstadoDocumentoId, @VersionActual = Version
+        FROM DocumentosFirma
+        WHERE DocumentoFirmaId = @DocumentoFirmaId;
+
+        -- State 1: no existe, 2: version distinta, 3: transicion no permitida
+        IF @EstadoActualId IS NULL
             RAISERROR('Documento no encontrado: %d', 16, 1, @DocumentoFirmaId);
-        ELSE
+        ELSE IF @VersionActual <> @Version
             RAISERROR('Conflicto de concurrencia para documento: %d', 16, 2, @DocumentoFirmaId);
+        ELSE
+            RAISERROR('Transicion de estado no permitida para documento %d: %d -> %d', 16, 3,
+                @DocumentoFirmaId, @EstadoActualId, @NuevoEstadoId);
         RETURN;
     END
 
+    INSERT INTO HistorialDocumentoFirma
+        (DocumentoFirmaId, EstadoAnteriorId, EstadoNuevoId, OrigenAccion, Actor, Detalle)
+    SELECT @DocumentoFirmaId, EstadoAnteriorId, @NuevoEstadoId, @OrigenAccion, @Actor, @Detalle
+    FROM @Anterior;
+
+    -- Un rechazo nuevo abre su seguimiento (el decline de DocuSign tras un rechazo por
+    -- WhatsApp es RECHAZADO -> RECHAZADO y no abre otro)
+    IF @NuevoEstadoId = 6 AND EXISTS (SELECT 1 FROM @Anterior WHERE EstadoAnteriorId <> 6)
+        INSERT INTO SeguimientosRechazo (DocumentoFirmaId, CategoriaRechazo, MotivoRechazo)
+        SELECT DocumentoFirmaId, COALESCE(CategoriaRechazo, 'OTRO'), MotivoRechazo
+        FROM DocumentosFirma
+        WHERE DocumentoFirmaId = @DocumentoFirmaId;
+
     SELECT
         df.*,
         ed.Codigo AS EstadoDocumento,
@@ -835,6 +1393,111 @@ GO
 PRINT '   sp_ActualizarEstadoDocumento creado';
 GO
 
+-- SP: Reemplazar el PDF de un documento (correccion desde el admin)
+-- La version actual pasa a ANULADO y se crea la nueva en ENVIADO con el mismo envelope,
+-- ligada a la anterior por DocumentoAnteriorId. Mismos RAISERROR que sp_ActualizarEstadoDocumento.
+CREATE OR ALTER PROCEDURE [dbo].[sp_ReemplazarDocumentoFirma]
+    @DocumentoAnteriorId INT,
+    @Version INT,
+    @DocumentoNombre NVARCHAR(500) = NULL,
+    @DocumentoOriginalUrl NVARCHAR(1000),
+    @DocumentoHash NVARCHAR(64) = NULL,
+    @MotivoReemplazo NVARCHAR(500) = NULL,
+    @OrigenAccion NVARCHAR(30) = 'ADMIN',
+    @Actor NVARCHAR(200) = NULL,
+    @Detalle NVARCHAR(MAX) = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+    SET XACT_ABORT ON;
+
+    DECLARE @EstadoEnviadoId INT = 2; -- ENVIADO
+    DECLARE @EstadoAnuladoId INT = 7; -- ANULADO
+    DECLARE @Anterior TABLE (EstadoAnteriorId INT);
+    DECLARE @DocumentoFirmaId INT;
+
+    BEGIN TRANSACTION;
+
+    UPDATE DocumentosFirma
+    SET EstadoDocumentoId = @EstadoAnuladoId,
+        MensajeError = NULL,
+        Version = Version + 1,
+        UpdatedAt = GETUTCDATE()
+    OUTPUT DELETED.EstadoDocumentoId INTO @Anterior
+    WHERE DocumentoFirmaId = @DocumentoAnteriorId
+      AND Version = @Version
+      AND EXISTS (
+          SELECT 1 FROM CatTransicionEstadoDocumento t
+          WHERE t.EstadoOrigenId = DocumentosFirma.EstadoDocumentoId
+            AND t.EstadoDestinoId = @EstadoAnuladoId
+      );
+
+    IF @@ROWCOUNT = 0
+    BEGIN
+        ROLLBACK TRANSACTION;
+
+        DECLARE @EstadoActualId INT, @VersionActual INT;
+        SELECT @EstadoActualId = EstadoDocumentoId, @VersionActual = Version
+        FROM DocumentosFirma
+        WHERE DocumentoFirmaId = @DocumentoAnteriorId;
+
+        -- State 1: no existe, 2: version distinta, 3: transicion no permitida
+        IF @EstadoActualId IS NULL
+            RAISERROR('Documento no encontrado: %d', 16, 1, @DocumentoAnteriorId);
+        ELSE IF @VersionActual <> @Version
+            RAISERROR('Conflicto de concurrencia para documento: %d', 16, 2, @DocumentoAnteriorId);
+        ELSE
+            RAISERROR('Transicion de estado no permitida para documento %d: %d -> %d', 16, 3,
+                @DocumentoAnteriorId, @EstadoActualId, @EstadoAnuladoId);
+        RETURN;
+    END
+
+    -- La nueva version conserva el envelope, el cliente y los datos de SAP
+    INSERT INTO DocumentosFirma (
+        SapDocumentId, SapCallbackUrl, ClienteTelefono, ClienteNombre, ClienteEmail,
+        TipoDocumentoId, EstadoDocumentoId, DocumentoNombre, DocumentoOriginalUrl, DatosExtra,
+        TabsFirma, CanalPreferido, EnvelopeId, FechaEnvioDocuSign, EnvelopeReutilizado,
+        DocumentoAnteriorId, DocumentoHash, MotivoReemplazo, ClienteRfc
+    )
+    SELECT
+        SapDocumentId, SapCallbackUrl, ClienteTelefono, ClienteNombre, ClienteEmail,
+        TipoDocumentoId, @EstadoEnviadoId, COALESCE(@DocumentoNombre, DocumentoNombre),
+        @DocumentoOriginalUrl, DatosExtra, TabsFirma, CanalPreferido, EnvelopeId, GETUTCDATE(), 1,
+        DocumentoFirmaId, @DocumentoHash, @MotivoReemplazo, ClienteRfc
+    FROM DocumentosFirma
+    WHERE DocumentoFirmaId = @DocumentoAnteriorId;
+
+    SET @DocumentoFirmaId = SCOPE_IDENTITY();
+
+    -- Cada version registra en su historial el ID de la otra
+    INSERT INTO HistorialDocumentoFirma
+        (DocumentoFirmaId, EstadoAnteriorId, EstadoNuevoId, OrigenAccion, Actor, Detalle)
+    SELECT @DocumentoAnteriorId, EstadoAnteriorId, @EstadoAnuladoId, @OrigenAccion, @Actor,
+        JSON_MODIFY(COALESCE(@Detalle, '{}'), '$.documentoNuevoId', @DocumentoFirmaId)
+    FROM @Anterior;
+
+    INSERT INTO HistorialDocumentoFirma
+        (DocumentoFirmaId, EstadoAnteriorId, EstadoNuevoId, OrigenAccion, Actor, Detalle)
+    VALUES
+        (@DocumentoFirmaId, NULL, @EstadoEnviadoId, @OrigenAccion, @Actor,
+        JSON_MODIFY(COALESCE(@Detalle, '{}'), '$.documentoAnteriorId', @DocumentoAnteriorId));
+
+    COMMIT TRANSACTION;
+
+    SELECT
+        df.*,
+        ed.Codigo AS EstadoDocumento,
+        td.Codigo AS TipoDocumento
+    FROM DocumentosFirma df
+    INNER JOIN CatEstadoDocumento ed ON df.EstadoDocumentoId = ed.EstadoDocumentoId
+    INNER JOIN CatTipoDocumento td ON df.TipoDocumentoId = td.TipoDocumentoId
+    WHERE df.DocumentoFirmaId = @DocumentoFirmaId;
+END;
+GO
+
+PRINT '   sp_ReemplazarDocumentoFirma creado';
+GO
+
 -- SP: Obtener documento por ID
 CREATE OR ALTER PROCEDURE [dbo].[sp_ObtenerDocumentoPorId]
     @DocumentoFirmaId INT
@@ -860,6 +1523,7 @@ PRINT '   sp_ObtenerDocumentoPorId creado';
 GO
 
 -- SP: Obtener documento por EnvelopeId (para DocuSign webhooks)
+-- Un envelope corregido desde el admin tiene una fila por version: gana la mas reciente
 CREATE OR ALTER PROCEDURE [dbo].[sp_ObtenerDocumentoPorEnvelope]
     @EnvelopeId NVARCHAR(100)
 AS
@@ -875,7 +1539,8 @@ BEGIN
     FROM DocumentosFirma df
     INNER JOIN CatEstadoDocumento ed ON df.EstadoDocumentoId = ed.EstadoDocumentoId
     INNER JOIN CatTipoDocumento td ON df.TipoDocumentoId = td.TipoDocumentoId
-    WHERE df.EnvelopeId = @EnvelopeId;
+    WHERE df.EnvelopeId = @EnvelopeId
+    ORDER BY df.DocumentoFirmaId DESC;
 END;
 GO
 
@@ -907,7 +1572,10 @@ BEGIN
         df.FechaFirmado,
         df.FechaRechazo,
         df.MotivoRechazo,
-        df.IntentosRecordatorio
+        df.IntentosRecordatorio,
+        df.DocumentoOriginalUrl,
+        df.DocumentoFirmadoUrl,
+        df.DatosPendientes
     FROM DocumentosFirma df
     INNER JOIN CatEstadoDocumento ed ON df.EstadoDocumentoId = ed.EstadoDocumentoId
     INNER JOIN CatTipoDocumento td ON df.TipoDocumentoId = td.TipoDocumentoId
@@ -1198,6 +1866,7 @@ SELECT
     df.ClienteTelefono,
     df.ClienteNombre,
     df.ClienteEmail,
+    df.ClienteRfc,
     td.Codigo AS TipoDocumento,
     td.Nombre AS TipoDocumentoNombre,
     ed.Codigo AS EstadoDocumento,
@@ -1214,6 +1883,7 @@ SELECT
     df.FechaFirmado,
     df.FechaRechazo,
     df.MotivoRechazo,
+    df.CategoriaRechazo,
     df.IntentosRecordatorio,
     df.UltimoRecordatorio,
     df.EnvelopeReutilizado,
@@ -1253,9 +1923,18 @@ GO
 
 SELECT 'CatEstadoSesion' AS Tabla, COUNT(*) AS Registros FROM [dbo].[CatEstadoSesion]
 UNION ALL SELECT 'CatEstadoDocumento', COUNT(*) FROM [dbo].[CatEstadoDocumento]
+UNION ALL SELECT 'CatTransicionEstadoDocumento', COUNT(*) FROM [dbo].[CatTransicionEstadoDocumento]
 UNION ALL SELECT 'CatTipoDocumento', COUNT(*) FROM [dbo].[CatTipoDocumento]
+UNION ALL SELECT 'PerfilesTipoDocumento', COUNT(*) FROM [dbo].[PerfilesTipoDocumento]
 UNION ALL SELECT 'SesionesChat', COUNT(*) FROM [dbo].[SesionesChat]
 UNION ALL SELECT 'DocumentosFirma', COUNT(*) FROM [dbo].[DocumentosFirma]
+UNION ALL SELECT 'FirmantesDocumento', COUNT(*) FROM [dbo].[FirmantesDocumento]
+UNION ALL SELECT 'LotesDocumentosSap', COUNT(*) FROM [dbo].[LotesDocumentosSap]
+UNION ALL SELECT 'LotesDocumentosSapItems', COUNT(*) FROM [dbo].[LotesDocumentosSapItems]
+UNION ALL SELECT 'VerificacionesFirma', COUNT(*) FROM [dbo].[VerificacionesFirma]
+UNION ALL SELECT 'IntentosNotificacion', COUNT(*) FROM [dbo].[IntentosNotificacion]
+UNION ALL SELECT 'HistorialDocumentoFirma', COUNT(*) FROM [dbo].[HistorialDocumentoFirma]
+UNION ALL SELECT 'SeguimientosRechazo', COUNT(*) FROM [dbo].[SeguimientosRechazo]
 UNION ALL SELECT 'HistorialSesiones', COUNT(*) FROM [dbo].[HistorialSesiones]
 UNION ALL SELECT 'MensajesChat', COUNT(*) FROM [dbo].[MensajesChat]
 UNION ALL SELECT 'MensajesProcessados', COUNT(*) FROM [dbo].[MensajesProcessados]
@@ -1266,15 +1945,18 @@ GO
 
 PRINT '';
 PRINT 'Catalogos:';
-PRINT '   - CatEstadoSesion: 8 estados';
+PRINT '   - CatEstadoSesion: 10 estados';
 PRINT '   - CatEstadoDocumento: 8 estados';
+PRINT '   - CatTransicionEstadoDocumento: 30 transiciones';
 PRINT '   - CatTipoDocumento: 4 tipos';
 PRINT '';
-PRINT 'Tablas: SesionesChat, DocumentosFirma, HistorialSesiones,';
-PRINT '        MensajesChat, MensajesProcessados, DeadLetterMessages,';
-PRINT '        EventosDocuSignProcessados, AuditEvents';
+PRINT 'Tablas: PerfilesTipoDocumento, SesionesChat, DocumentosFirma, FirmantesDocumento,';
+PRINT '        LotesDocumentosSap, LotesDocumentosSapItems, VerificacionesFirma, IntentosNotificacion,';
+PRINT '        HistorialDocumentoFirma, TrabajosMasivos, TrabajosMasivosItems, SeguimientosRechazo,';
+PRINT '        SeguimientosRechazoComentarios, HistorialSesiones, MensajesChat, MensajesProcessados,';
+PRINT '        DeadLetterMessages, EventosDocuSignProcessados, AuditEvents';
 PRINT '';
-PRINT 'Stored Procedures: 19 (incluye sp_PurgeOldPersonalData para LFPDPPP)';
+PRINT 'Stored Procedures: 20 (incluye sp_PurgeOldPersonalData para LFPDPPP)';
 PRINT 'Vistas: 2 (vw_SesionesActivas, vw_DocumentosFirma)';
 PRINT '';
 PRINT '===============================================================';
@@ -107,6 +107,8 @@ const dbMock = {
     return docs;
   }),
 
+  getFirmantesDocumento: jest.fn(async () => []),
+
   crearDocumento: jest.fn(async (data) => {
     const id = _nextDocumentoId++;
     const doc = { ...data, DocumentoFirmaId: id };
@@ -126,16 +128,22 @@ const dbMock = {
     return true;
   }),
 
-  updateDocumentoFirmaEstado: jest.fn(async (id, estado, motivo) => {
+  // Retorna el documento previo a la actualizacion (o null si no existe)
+  updateDocumentoFirmaEstado: jest.fn(async (id, estado, motivo, _transicion, categoria) => {
     const doc = _documentos.get(id);
-    if (doc) {
-      doc.EstadoDocumento = estado;
-      if (motivo) {
-        doc.MotivoRechazo = motivo;
-      }
-      _documentos.set(id, doc);
+    if (!doc) {
+      return null;
     }
-    return true;
+    const previo = { ...doc };
+    doc.EstadoDocumento = estado;
+    if (motivo) {
+      doc.MotivoRechazo = motivo;
+    }
+    if (categoria) {
+      doc.CategoriaRechazo = categoria;
+    }
+    _documentos.set(id, doc);
+    return previo;
   }),
 
   obtenerPendientesRecordatorio: jest.fn(async () => []),
@@ -35,6 +35,10 @@ const docusignMock = {
 
   voidEnvelope: jest.fn(async () => ({ ..._voidEnvelopeResponse })),
 
+  sendSigningEmail: jest.fn(async () => undefined),
+
+  updateRecipient: jest.fn(async () => undefined),
+
   getEnvelopeStatus: jest.fn(async () => ({
     ..._envelopeStatusResponse,
     statusDateTime: new Date().toISOString(),
@@ -42,6 +46,8 @@ const docusignMock = {
 
   downloadSignedDocument: jest.fn(async () => Buffer.from(_downloadResponse)),
 
+  downloadCertificate: jest.fn(async () => Buffer.from('certificate-pdf-content')),
+
   createRecipientView: jest.fn(async () => ({ ..._recipientViewResponse })),
 
   validateWebhookHmac: jest.fn(() => _validateHmacResponse),
@@ -0,0 +1,9 @@
+/**
+ * Mock: Email Service
+ * Canal de email configurado que acepta todos los envios
+ */
+
+module.exports = {
+  isConfigured: jest.fn().mockReturnValue(true),
+  sendEmail: jest.fn().mockResolvedValue('<email_123@signbot.test>'),
+};
@@ -0,0 +1,9 @@
+/**
+ * Mock: SMS Service
+ * Canal de SMS configurado que acepta todos los envios
+ */
+
+module.exports = {
+  isConfigured: jest.fn().mockReturnValue(true),
+  sendSms: jest.fn().mockResolvedValue('sms_123'),
+};
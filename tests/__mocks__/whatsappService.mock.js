@@ -13,7 +13,11 @@ const whatsappMock = {
   sendAndSaveText: jest.fn().mockResolvedValue({ success: true }),
   sendAndSaveInteractive: jest.fn().mockResolvedValue({ success: true }),
   sendAndSaveList: jest.fn().mockResolvedValue({ success: true }),
+  sendCtaUrlMessage: jest.fn().mockResolvedValue({ success: true }),
+  sendAndSaveCtaUrl: jest.fn().mockResolvedValue({ success: true }),
   sendTemplate: jest.fn().mockResolvedValue({ success: true, messageId: 'wamid.template_123' }),
+  sendDocument: jest.fn().mockResolvedValue('wamid.document_123'),
+  uploadMedia: jest.fn().mockResolvedValue('media_123'),
   sendTypingIndicator: jest.fn().mockResolvedValue(undefined),
   downloadMedia: jest.fn().mockResolvedValue(Buffer.from('fake-image')),
 
@@ -63,9 +67,19 @@ whatsappMock.sendAndSaveList.mockImplementation(async (to, header, body, btnText
   return { success: true };
 });
 
+whatsappMock.sendAndSaveCtaUrl.mockImplementation(async (to, header, body, btnText, url) => {
+  _messages.push({ type: 'cta_url', to, header, body, btnText, url });
+  return { success: true };
+});
+
 whatsappMock.sendTemplate.mockImplementation(async (to, templateName, templateData) => {
   _messages.push({ type: 'template', to, templateName, templateData });
   return { success: true, messageId: 'wamid.template_123' };
 });
 
+whatsappMock.sendDocument.mockImplementation(async (to, buffer, fileName, caption) => {
+  _messages.push({ type: 'document', to, fileName, caption });
+  return 'wamid.document_123';
+});
+
 module.exports = whatsappMock;
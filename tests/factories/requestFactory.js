@@ -0,0 +1,36 @@
+/**
+ * Factory: HTTP Requests de los endpoints (API de administracion, SAP, enlaces de firma)
+ */
+
+function createGetRequest({ query = {}, params = {} } = {}) {
+  return {
+    method: 'GET',
+    headers: {},
+    params,
+    query,
+  };
+}
+
+function createPostRequest(body, { params = {}, contentType = 'application/json' } = {}) {
+  return {
+    method: 'POST',
+    headers: { 'content-type': contentType },
+    params,
+    query: {},
+    body,
+  };
+}
+
+function createAdminPostRequest(body) {
+  return {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json',
+      'content-length': String(Buffer.byteLength(JSON.stringify(body))),
+      'x-forwarded-for': '10.0.0.5',
+    },
+    body,
+  };
+}
+
+module.exports = { createGetRequest, createPostRequest, createAdminPostRequest };
@@ -26,7 +26,8 @@ function createConsultaDocumentosSession(telefono = '+5215512345678', overrides
     EstadoId: 10,
     Estado: 'CONSULTA_DOCUMENTOS',
     DatosTemp: JSON.stringify({
-      documentos: [],
+      filtro: 'TODOS',
+      pagina: 1,
     }),
     Version: 2,
     ...overrides,
@@ -43,9 +44,9 @@ function createConsultaDetalleSession(
     EstadoId: 11,
     Estado: 'CONSULTA_DETALLE',
     DatosTemp: JSON.stringify({
-      documentoFirmaId: documentoId,
-      documentos: [],
-      documentoSeleccionado: 0,
+      filtro: 'TODOS',
+      pagina: 1,
+      documentoSeleccionado: documentoId,
     }),
     Version: 3,
     ...overrides,
@@ -72,6 +72,36 @@ function createButtonResponse(buttonId, from = '+5215512345678', messageId = nul
   };
 }
 
+function createTemplateButtonResponse(payload, from = '+5215512345678', messageId = null) {
+  return {
+    object: 'whatsapp_business_account',
+    entry: [
+      {
+        id: '100200300',
+        changes: [
+          {
+            value: {
+              messaging_product: 'whatsapp',
+              metadata: { display_phone_number: '15551234567', phone_number_id: 'test-phone-id' },
+              contacts: [{ profile: { name: 'Test User' }, wa_id: from }],
+              messages: [
+                {
+                  from,
+                  id: messageId || nextId(),
+                  timestamp: String(Math.floor(Date.now() / 1000)),
+                  type: 'button',
+                  button: { payload, text: 'Rechazar' },
+                },
+              ],
+            },
+            field: 'messages',
+          },
+        ],
+      },
+    ],
+  };
+}
+
 function createVerificationRequest(token = 'test-verify-token', challenge = '1234567890') {
   return {
     method: 'GET',
@@ -156,6 +186,7 @@ function createTemplateStatusCallback(
 module.exports = {
   createTextMessage,
   createButtonResponse,
+  createTemplateButtonResponse,
   createVerificationRequest,
   createStatusNotification,
   createTemplateStatusCallback,
@@ -0,0 +1,394 @@
+/**
+ * Unit Test: Acciones Masivas sobre Documentos desde Admin
+ * Verifica POST/GET /api/admin/documents/bulk (vista previa, limite, trabajo encolado con
+ * desfase y progreso) y el procesamiento de cada documento en el queue processor
+ */
+
+jest.mock('../../core/services/infrastructure/appInsightsService', () =>
+  require('../__mocks__/appInsightsService.mock')
+);
+jest.mock('../../core/services/infrastructure/metricsService', () =>
+  require('../__mocks__/metricsService.mock')
+);
+jest.mock('../../core/services/infrastructure/auditService', () => ({
+  logDocumentBulkAction: jest.fn(),
+}));
+jest.mock('../../core/services/messaging/serviceBusService', () => ({
+  ensureConnected: jest.fn(),
+  sendToQueue: jest.fn(),
+}));
+jest.mock('../../core/services/external/docusignService', () =>
+  require('../__mocks__/docusignService.mock')
+);
+jest.mock('../../core/services/messaging/notificationService', () => ({
+  notificar: jest.fn(),
+}));
+jest.mock('../../core/services/processing/documentResendService', () => ({
+  reenviarNotificacion: jest.fn(),
+}));
+jest.mock('../../bot/repositories/DocumentoFirmaRepository', () => ({
+  listarParaAccionMasiva: jest.fn(),
+  obtenerPorId: jest.fn(),
+  actualizarEstado: jest.fn(),
+  incrementarRecordatorio: jest.fn(),
+}));
+jest.mock('../../bot/repositories/TrabajoMasivoRepository', () => ({
+  crearTrabajo: jest.fn(),
+  obtenerTrabajo: jest.fn(),
+  obtenerItem: jest.fn(),
+  actualizarItem: jest.fn(),
+}));
+
+const documentsHandler = require('../../api-admin/handlers/documents');
+const documentBulkService = require('../../core/services/processing/documentBulkService');
+const config = require('../../core/config');
+const audit = require('../../core/services/infrastructure/auditService');
+const serviceBus = require('../../core/services/messaging/serviceBusService');
+const docusignService = require('../../core/services/external/docusignService');
+const notificationService = require('../../core/services/messaging/notificationService');
+const documentoRepo = require('../../bot/repositories/DocumentoFirmaRepository');
+const trabajoRepo = require('../../bot/repositories/TrabajoMasivoRepository');
+const { ESTADO_DOCUMENTO_ID } = require('../../bot/constants/documentStates');
+const { createDocumentoEnviado, createDocumentoFirmado } = require('../factories/documentoFactory');
+const { createAdminPostRequest } = require('../factories/requestFactory');
+
+const TRABAJO_ID = '3f2b8c1e-7a4d-4e9b-9c2a-1d5e6f7a8b9c';
+
+describe('Admin - acciones masivas sobre documentos', () => {
+  let context;
+
+  beforeEach(() => {
+    context = global.createMockContext();
+
+    documentoRepo.listarParaAccionMasiva.mockResolvedValue({
+      total: 3,
+      documentos: [
+        { DocumentoFirmaId: 1, EstadoDocumento: 'ENVIADO', EnvelopeId: 'env-1' },
+        { DocumentoFirmaId: 2, EstadoDocumento: 'VISTO', EnvelopeId: 'env-2' },
+        { DocumentoFirmaId: 3, EstadoDocumento: 'FIRMADO', EnvelopeId: 'env-3' },
+      ],
+    });
+    trabajoRepo.crearTrabajo.mockResolvedValue();
+    trabajoRepo.actualizarItem.mockResolvedValue(true);
+    serviceBus.ensureConnected.mockResolvedValue(true);
+    serviceBus.sendToQueue.mockResolvedValue(true);
+  });
+
+  // ===========================================================
+  // POST /api/admin/documents/bulk
+  // ===========================================================
+  describe('bulk()', () => {
+    test('dryRun debe contar los documentos sin crear el trabajo', async () => {
+      await documentsHandler.bulk(
+        context,
+        createAdminPostRequest({ accion: 'ANULAR', documentoIds: [1, 2, 3, 4], dryRun: true })
+      );
+
+      expect(context.res.status).toBe(200);
+      expect(context.res.body).toMatchObject({
+        dryRun: true,
+        accion: 'ANULAR',
+        total: 3,
+        elegibles: 2,
+        omitidos: 1,
+        noEncontrados: [4],
+      });
+      expect(documentoRepo.listarParaAccionMasiva).toHaveBeenCalledWith(
+        { documentoIds: [1, 2, 3, 4] },
+        config.bulkActions.maxDocumentos
+      );
+      expect(trabajoRepo.crearTrabajo).not.toHaveBeenCalled();
+      expect(serviceBus.sendToQueue).not.toHaveBeenCalled();
+    });
+
+    test('debe crear el trabajo y encolar cada documento con desfase', async () => {
+      await documentsHandler.bulk(
+        context,
+        createAdminPostRequest({
+          accion: 'ANULAR',
+          filtros: { estado: 'ENVIADO', tipo: 'CONTRATO' },
+          reason: 'Campana cancelada',
+        })
+      );
+
+      expect(context.res.status).toBe(202);
+      expect(context.res.body).toMatchObject({
+        accion: 'ANULAR',
+        total: 3,
+        encolados: 2,
+        omitidos: 1,
+        errores: 0,
+      });
+
+      const [trabajo, items] = trabajoRepo.crearTrabajo.mock.calls[0];
+      expect(trabajo).toMatchObject({
+        trabajoId: context.res.body.trabajoId,
+        accion: 'ANULAR',
+        criterio: { filtros: { estado: 'ENVIADO', tipo: 'CONTRATO' } },
+        motivo: 'Campana cancelada',
+        actor: 'admin 10.0.0.5',
+      });
+      expect(items).toEqual([
+        { documentoId: 1, estado: 'ENCOLADO' },
+        { documentoId: 2, estado: 'ENCOLADO' },
+        expect.objectContaining({ documentoId: 3, estado: 'OMITIDO' }),
+      ]);
+
+      expect(serviceBus.sendToQueue).toHaveBeenCalledTimes(2);
+      const [primero, segundo] = serviceBus.sendToQueue.mock.calls;
+      expect(primero[0].message).toMatchObject({
+        type: 'admin_bulk_action',
+        trabajoId: trabajo.trabajoId,
+        documentoId: 1,
+        accion: 'ANULAR',
+      });
+      expect(
+        segundo[1].scheduledEnqueueTimeUtc.getTime() - primero[1].scheduledEnqueueTimeUtc.getTime()
+      ).toBe(config.bulkActions.intervaloMs);
+      expect(audit.logDocumentBulkAction).toHaveBeenCalledWith(
+        expect.objectContaining({ trabajoId: trabajo.trabajoId, accion: 'ANULAR', total: 3 }),
+        expect.any(Object)
+      );
+    });
+
+    test('un documento que no se puede encolar queda en ERROR', async () => {
+      serviceBus.sendToQueue.mockResolvedValueOnce(false);
+
+      await documentsHandler.bulk(
+        context,
+        createAdminPostRequest({ accion: 'RECORDAR', documentoIds: [1, 2] })
+      );
+
+      expect(context.res.status).toBe(202);
+      expect(context.res.body).toMatchObject({ encolados: 1, errores: 1 });
+      expect(trabajoRepo.actualizarItem).toHaveBeenCalledWith(
+        context.res.body.trabajoId,
+        1,
+        'ERROR',
+        'Error encolando el documento'
+      );
+    });
+
+    test.each([
+      ['ambos criterios', { documentoIds: [1], filtros: { estado: 'ENVIADO' } }],
+      ['ningun criterio', {}],
+      ['filtros vacios', { filtros: {} }],
+    ])('debe responder 400 con %s', async (_caso, criterio) => {
+      await documentsHandler.bulk(
+        context,
+        createAdminPostRequest({ accion: 'ANULAR', ...criterio })
+      );
+
+      expect(context.res.status).toBe(400);
+      expect(documentoRepo.listarParaAccionMasiva).not.toHaveBeenCalled();
+    });
+
+    test('debe responder 413 si la seleccion rebasa el maximo', async () => {
+      documentoRepo.listarParaAccionMasiva.mockResolvedValue({
+        total: config.bulkActions.maxDocumentos + 1,
+        documentos: [],
+      });
+
+      await documentsHandler.bulk(
+        context,
+        createAdminPostRequest({ accion: 'RECORDAR', filtros: { estado: 'ENVIADO' } })
+      );
+
+      expect(context.res.status).toBe(413);
+      expect(trabajoRepo.crearTrabajo).not.toHaveBeenCalled();
+    });
+
+    test('debe responder 400 si ningun documento admite la accion', async () => {
+      documentoRepo.listarParaAccionMasiva.mockResolvedValue({
+        total: 1,
+        documentos: [{ DocumentoFirmaId: 3, EstadoDocumento: 'FIRMADO', EnvelopeId: 'env-3' }],
+      });
+
+      await documentsHandler.bulk(
+        context,
+        createAdminPostRequest({ accion: 'REENVIAR', documentoIds: [3] })
+      );
+
+      expect(context.res.status).toBe(400);
+      expect(trabajoRepo.crearTrabajo).not.toHaveBeenCalled();
+    });
+
+    test('debe responder 503 sin Service Bus', async () => {
+      serviceBus.ensureConnected.mockResolvedValue(false);
+
+      await documentsHandler.bulk(
+        context,
+        createAdminPostRequest({ accion: 'ANULAR', documentoIds: [1] })
+      );
+
+      expect(context.res.status).toBe(503);
+      expect(trabajoRepo.crearTrabajo).not.toHaveBeenCalled();
+    });
+  });
+
+  // ===========================================================
+  // GET /api/admin/documents/bulk?id=
+  // ===========================================================
+  describe('bulkStatus()', () => {
+    test('debe devolver el progreso con el resumen por estado', async () => {
+      trabajoRepo.obtenerTrabajo.mockResolvedValue({
+        TrabajoId: TRABAJO_ID,
+        Accion: 'ANULAR',
+        Motivo: 'Campana cancelada',
+        Actor: 'admin 10.0.0.5',
+        FechaCreacion: '2026-10-19T10:00:00.000Z',
+        items: [
+          { DocumentoFirmaId: 1, Estado: 'PROCESADO', EstadoDocumento: 'ANULADO' },
+          { DocumentoFirmaId: 2, Estado: 'ENCOLADO', EstadoDocumento: 'VISTO' },
+          {
+            DocumentoFirmaId: 3,
+            Estado: 'OMITIDO',
+            MensajeError: 'No se puede anular un documento en estado FIRMADO',
+            EstadoDocumento: 'FIRMADO',
+          },
+          { DocumentoFirmaId: 4, Estado: 'PROCESADO', EstadoDocumento: 'ANULADO' },
+        ],
+      });
+
+      await documentsHandler.bulkStatus(context, { query: { id: TRABAJO_ID } });
+
+      expect(context.res.status).toBe(200);
+      expect(context.res.body).toMatchObject({
+        trabajoId: TRABAJO_ID,
+        accion: 'ANULAR',
+        total: 4,
+        completado: false,
+        progreso: 75,
+        resumen: { ENCOLADO: 1, PROCESADO: 2, OMITIDO: 1, ERROR: 0 },
+      });
+      expect(context.res.body.items[2]).toMatchObject({
+        documentoId: 3,
+        estado: 'OMITIDO',
+        error: 'No se puede anular un documento en estado FIRMADO',
+      });
+    });
+
+    test('debe responder 400 con un id invalido', async () => {
+      await documentsHandler.bulkStatus(context, { query: { id: 'abc' } });
+
+      expect(context.res.status).toBe(400);
+      expect(trabajoRepo.obtenerTrabajo).not.toHaveBeenCalled();
+    });
+
+    test('debe responder 404 si el trabajo no existe', async () => {
+      trabajoRepo.obtenerTrabajo.mockResolvedValue(null);
+
+      await documentsHandler.bulkStatus(context, { query: { id: TRABAJO_ID } });
+
+      expect(context.res.status).toBe(404);
+    });
+  });
+
+  // ===========================================================
+  // QUEUE PROCESSOR (mensaje admin_bulk_action)
+  // ===========================================================
+  describe('procesarItemTrabajo()', () => {
+    const log = jest.fn();
+    const item = {
+      trabajoId: TRABAJO_ID,
+      documentoId: 1,
+      accion: 'ANULAR',
+      motivo: 'Campana cancelada',
+      actor: 'admin 10.0.0.5',
+    };
+
+    beforeEach(() => {
+      trabajoRepo.obtenerItem.mockResolvedValue({ Estado: 'ENCOLADO' });
+      documentoRepo.obtenerPorId.mockResolvedValue(
+        createDocumentoEnviado({ DocumentoFirmaId: 1, EnvelopeId: 'env-1', Version: 3 })
+      );
+      documentoRepo.actualizarEstado.mockResolvedValue(true);
+      documentoRepo.incrementarRecordatorio.mockResolvedValue(true);
+      docusignService.voidEnvelope.mockResolvedValue({ success: true });
+    });
+
+    test('ANULAR debe anular el envelope y el documento', async () => {
+      const estado = await documentBulkService.procesarItemTrabajo(item, log);
+
+      expect(estado).toBe('PROCESADO');
+      expect(docusignService.voidEnvelope).toHaveBeenCalledWith('env-1', 'Campana cancelada');
+      expect(documentoRepo.actualizarEstado).toHaveBeenCalledWith(
+        1,
+        ESTADO_DOCUMENTO_ID.ANULADO,
+        3,
+        {},
+        {
+          origen: 'ADMIN',
+          actor: 'admin 10.0.0.5',
+          detalle: { reason: 'Campana cancelada', trabajoId: TRABAJO_ID },
+        }
+      );
+      expect(trabajoRepo.actualizarItem).toHaveBeenCalledWith(TRABAJO_ID, 1, 'PROCESADO');
+    });
+
+    test('un documento que cambio de estado queda OMITIDO', async () => {
+      documentoRepo.obtenerPorId.mockResolvedValue(createDocumentoFirmado({ DocumentoFirmaId: 1 }));
+
+      const estado = await documentBulkService.procesarItemTrabajo(item, log);
+
+      expect(estado).toBe('OMITIDO');
+      expect(docusignService.voidEnvelope).not.toHaveBeenCalled();
+      expect(trabajoRepo.actualizarItem).toHaveBeenCalledWith(
+        TRABAJO_ID,
+        1,
+        'OMITIDO',
+        'No se puede anular un documento en estado FIRMADO'
+      );
+    });
+
+    test('un item ya procesado no se vuelve a aplicar (redelivery)', async () => {
+      trabajoRepo.obtenerItem.mockResolvedValue({ Estado: 'PROCESADO' });
+
+      const estado = await documentBulkService.procesarItemTrabajo(item, log);
+
+      expect(estado).toBeNull();
+      expect(documentoRepo.obtenerPorId).not.toHaveBeenCalled();
+      expect(trabajoRepo.actualizarItem).not.toHaveBeenCalled();
+    });
+
+    test('RECORDAR debe enviar el template y contar el recordatorio', async () => {
+      notificationService.notificar.mockResolvedValue({
+        canal: 'WHATSAPP',
+        mensajeId: 'wamid.recordatorio',
+      });
+
+      const estado = await documentBulkService.procesarItemTrabajo(
+        { ...item, accion: 'RECORDAR' },
+        log
+      );
+
+      expect(estado).toBe('PROCESADO');
+      expect(notificationService.notificar).toHaveBeenCalledWith(
+        'firma_recordatorio',
+        expect.objectContaining({ diasPendientes: expect.any(String) }),
+        { telefono: '5215512345678', email: 'juan@example.com' },
+        expect.objectContaining({ documentoFirmaId: 1 })
+      );
+      expect(documentoRepo.incrementarRecordatorio).toHaveBeenCalledWith(
+        1,
+        3,
+        'wamid.recordatorio'
+      );
+    });
+
+    test('si la accion falla el item queda en ERROR y se relanza', async () => {
+      documentoRepo.actualizarEstado.mockRejectedValue(new Error('timeout SQL'));
+
+      await expect(documentBulkService.procesarItemTrabajo(item, log)).rejects.toThrow(
+        'timeout SQL'
+      );
+
+      expect(trabajoRepo.actualizarItem).toHaveBeenCalledWith(
+        TRABAJO_ID,
+        1,
+        'ERROR',
+        'timeout SQL'
+      );
+    });
+  });
+});
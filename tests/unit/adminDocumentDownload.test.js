@@ -0,0 +1,141 @@
+/**
+ * Unit Test: Admin Document Download
+ * Verifica GET /api/admin/documents/download: links SAS de corta duracion para el
+ * PDF original, el PDF firmado y el certificado de finalizacion de DocuSign
+ */
+
+jest.mock('../../core/services/infrastructure/appInsightsService', () =>
+  require('../__mocks__/appInsightsService.mock')
+);
+jest.mock('../../core/services/infrastructure/auditService', () => ({
+  logAdminAccess: jest.fn(),
+}));
+jest.mock('../../core/services/external/docusignService', () =>
+  require('../__mocks__/docusignService.mock')
+);
+jest.mock('../../core/services/storage/blobService', () => ({
+  ...jest.requireActual('../../core/services/storage/blobService'),
+  getContainerClient: jest.fn(),
+  getDownloadUrl: jest.fn(),
+}));
+jest.mock('../../bot/repositories/DocumentoFirmaRepository', () => ({
+  obtenerPorId: jest.fn(),
+}));
+
+const documentsHandler = require('../../api-admin/handlers/documents');
+const audit = require('../../core/services/infrastructure/auditService');
+const docusignService = require('../../core/services/external/docusignService');
+const blobService = require('../../core/services/storage/blobService');
+const documentoRepo = require('../../bot/repositories/DocumentoFirmaRepository');
+const { createDocumentoEnviado, createDocumentoFirmado } = require('../factories/documentoFactory');
+const { createGetRequest } = require('../factories/requestFactory');
+
+const BLOB_BASE = 'https://stsignbot.blob.core.windows.net/documentos-firma';
+const DOCUMENTO = {
+  DocumentoFirmaId: 77,
+  SapDocumentId: 'SAP-1',
+  EnvelopeId: 'env-123',
+  DocumentoOriginalUrl: `${BLOB_BASE}/documentos/SAP-1/1_original.pdf`,
+};
+
+describe('Admin - GET /api/admin/documents/download', () => {
+  let context;
+  let blockBlobClient;
+
+  beforeEach(() => {
+    context = global.createMockContext();
+
+    blockBlobClient = {
+      exists: jest.fn().mockResolvedValue(false),
+      upload: jest.fn().mockResolvedValue({}),
+    };
+    blobService.getContainerClient.mockResolvedValue({
+      getBlockBlobClient: jest.fn(() => blockBlobClient),
+    });
+    blobService.getDownloadUrl.mockImplementation(async (blobName) => ({
+      url: `${BLOB_BASE}/${blobName}?sv=token`,
+      expiresOn: new Date('2026-01-01T00:15:00Z'),
+    }));
+    docusignService.downloadCertificate.mockResolvedValue(Buffer.from('certificate-pdf'));
+    documentoRepo.obtenerPorId.mockResolvedValue(
+      createDocumentoFirmado({
+        ...DOCUMENTO,
+        DocumentoFirmadoUrl: `${BLOB_BASE}/documentos/SAP-1/2_firmado.pdf`,
+      })
+    );
+  });
+
+  test('debe generar link del PDF firmado y registrar auditoria', async () => {
+    await documentsHandler.download(
+      context,
+      createGetRequest({ query: { id: '77', tipo: 'firmado' } })
+    );
+
+    expect(context.res.status).toBe(200);
+    expect(context.res.body).toMatchObject({
+      documentoId: 77,
+      tipo: 'firmado',
+      url: `${BLOB_BASE}/documentos/SAP-1/2_firmado.pdf?sv=token`,
+      expiresAt: '2026-01-01T00:15:00.000Z',
+    });
+    expect(blobService.getDownloadUrl).toHaveBeenCalledWith(
+      'documentos/SAP-1/2_firmado.pdf',
+      'SAP-1_firmado.pdf'
+    );
+    expect(audit.logAdminAccess).toHaveBeenCalledWith(
+      'document_download',
+      { documentoId: 77, tipo: 'firmado' },
+      expect.any(Object)
+    );
+  });
+
+  test('debe descargar el certificado de DocuSign y guardarlo en Blob', async () => {
+    await documentsHandler.download(
+      context,
+      createGetRequest({ query: { id: '77', tipo: 'certificado' } })
+    );
+
+    expect(context.res.status).toBe(200);
+    expect(docusignService.downloadCertificate).toHaveBeenCalledWith('env-123');
+    expect(blockBlobClient.upload).toHaveBeenCalled();
+    expect(blobService.getDownloadUrl).toHaveBeenCalledWith(
+      'documentos/SAP-1/env-123_certificado.pdf',
+      'SAP-1_certificado.pdf'
+    );
+  });
+
+  test('debe reutilizar el certificado guardado de un documento finalizado', async () => {
+    blockBlobClient.exists.mockResolvedValue(true);
+
+    await documentsHandler.download(
+      context,
+      createGetRequest({ query: { id: '77', tipo: 'certificado' } })
+    );
+
+    expect(context.res.status).toBe(200);
+    expect(docusignService.downloadCertificate).not.toHaveBeenCalled();
+    expect(blockBlobClient.upload).not.toHaveBeenCalled();
+  });
+
+  test('debe retornar 404 si el documento aun no esta firmado', async () => {
+    documentoRepo.obtenerPorId.mockResolvedValue(createDocumentoEnviado(DOCUMENTO));
+
+    await documentsHandler.download(
+      context,
+      createGetRequest({ query: { id: '77', tipo: 'firmado' } })
+    );
+
+    expect(context.res.status).toBe(404);
+    expect(blobService.getDownloadUrl).not.toHaveBeenCalled();
+  });
+
+  test('debe rechazar tipo invalido con 400', async () => {
+    await documentsHandler.download(
+      context,
+      createGetRequest({ query: { id: '77', tipo: 'xml' } })
+    );
+
+    expect(context.res.status).toBe(400);
+    expect(documentoRepo.obtenerPorId).not.toHaveBeenCalled();
+  });
+});
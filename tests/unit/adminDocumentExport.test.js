@@ -0,0 +1,232 @@
+/**
+ * Unit Test: Exportacion de Documentos y Estadisticas
+ * Verifica GET /api/admin/documents/export y /export-stats (filtros, link de descarga) y
+ * los archivos CSV y XLSX que se escriben en Blob Storage conforme llegan las filas
+ */
+
+jest.mock('../../core/services/infrastructure/appInsightsService', () =>
+  require('../__mocks__/appInsightsService.mock')
+);
+jest.mock('../../core/services/infrastructure/auditService', () => ({
+  logAdminAccess: jest.fn(),
+}));
+jest.mock('../../core/services/storage/blobService', () => ({
+  getContainerClient: jest.fn(),
+  getDownloadUrl: jest.fn(),
+}));
+jest.mock('../../bot/repositories/DocumentoFirmaRepository', () => ({
+  streamListado: jest.fn(),
+  streamEstadisticasPorDia: jest.fn(),
+}));
+
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const documentsHandler = require('../../api-admin/handlers/documents');
+const audit = require('../../core/services/infrastructure/auditService');
+const blobService = require('../../core/services/storage/blobService');
+const documentoRepo = require('../../bot/repositories/DocumentoFirmaRepository');
+
+const DOWNLOAD_URL = 'https://blob/documentos/exportaciones/documentos.csv?sig=abc';
+
+function createDocumentoRow(overrides = {}) {
+  return {
+    DocumentoFirmaId: 77,
+    SapDocumentId: 'SAP-DOC-001',
+    EnvelopeId: 'env-123',
+    TipoDocumento: 'CONTRATO',
+    EstadoDocumento: 'FIRMADO',
+    ClienteNombre: 'Juan Perez',
+    ClienteTelefono: '5215512345678',
+    ClienteEmail: null,
+    FechaCreacion: new Date('2026-10-01T10:00:00.000Z'),
+    FechaEnvioWhatsApp: null,
+    FechaVisto: null,
+    FechaFirmado: new Date('2026-10-02T12:30:00.000Z'),
+    FechaRechazo: null,
+    MotivoRechazo: null,
+    IntentosRecordatorio: 2,
+    HorasHastaFirma: 26,
+    ...overrides,
+  };
+}
+
+/**
+ * Extrae las entradas de un ZIP leyendo su directorio central
+ */
+function leerZip(buffer) {
+  const fin = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const totalEntradas = buffer.readUInt16LE(fin + 10);
+  let posicion = buffer.readUInt32LE(fin + 16);
+  const entradas = new Map();
+
+  for (let i = 0; i < totalEntradas; i++) {
+    const comprimido = buffer.readUInt32LE(posicion + 20);
+    const largoNombre = buffer.readUInt16LE(posicion + 28);
+    const offset = buffer.readUInt32LE(posicion + 42);
+    const nombre = buffer.toString('utf8', posicion + 46, posicion + 46 + largoNombre);
+
+    const inicioDatos = offset + 30 + buffer.readUInt16LE(offset + 26);
+    const datos = zlib.inflateRawSync(buffer.subarray(inicioDatos, inicioDatos + comprimido));
+    entradas.set(nombre, datos.toString('utf8'));
+    posicion += 46 + largoNombre;
+  }
+  return entradas;
+}
+
+describe('Admin - exportacion de documentos', () => {
+  let context;
+  let uploadStream;
+  let subido;
+
+  beforeEach(() => {
+    context = global.createMockContext();
+    subido = null;
+
+    uploadStream = jest.fn(async (stream) => {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      subido = Buffer.concat(chunks);
+    });
+    blobService.getContainerClient.mockResolvedValue({
+      getBlockBlobClient: jest.fn(() => ({ uploadStream })),
+    });
+    blobService.getDownloadUrl.mockResolvedValue({
+      url: DOWNLOAD_URL,
+      expiresOn: new Date('2026-10-19T10:15:00.000Z'),
+    });
+
+    documentoRepo.streamListado.mockImplementation(async () =>
+      Readable.from([
+        createDocumentoRow(),
+        createDocumentoRow({
+          DocumentoFirmaId: 78,
+          EstadoDocumento: 'RECHAZADO',
+          ClienteNombre: '=HYPERLINK("http://x")',
+          MotivoRechazo: 'Monto "incorrecto", revisar',
+          FechaFirmado: null,
+          HorasHastaFirma: null,
+        }),
+      ])
+    );
+    documentoRepo.streamEstadisticasPorDia.mockImplementation(async () =>
+      Readable.from([
+        {
+          Fecha: new Date('2026-10-01T00:00:00.000Z'),
+          TipoDocumento: 'CONTRATO',
+          EstadoDocumento: 'FIRMADO',
+          Total: 12,
+          PromedioHorasHastaFirma: 20.5,
+        },
+      ])
+    );
+  });
+
+  test('debe exportar los documentos filtrados a CSV y devolver el link', async () => {
+    await documentsHandler.exportDocuments(context, {
+      query: { estado: 'FIRMADO', tipo: 'CONTRATO', desde: '2026-10-01', hasta: '2026-10-31' },
+      headers: {},
+    });
+
+    expect(context.res.status).toBe(200);
+    expect(context.res.body).toMatchObject({
+      tipo: 'documentos',
+      formato: 'csv',
+      filas: 2,
+      url: DOWNLOAD_URL,
+      expiresAt: '2026-10-19T10:15:00.000Z',
+    });
+    expect(documentoRepo.streamListado).toHaveBeenCalledWith({
+      estado: 'FIRMADO',
+      tipo: 'CONTRATO',
+      telefono: null,
+      fechaDesde: '2026-10-01',
+      fechaHasta: '2026-10-31',
+    });
+
+    const [blobName, fileName] = blobService.getDownloadUrl.mock.calls[0];
+    expect(blobName).toMatch(/^exportaciones\/\d{4}-\d{2}-\d{2}\/documentos_[0-9a-f-]{36}\.csv$/);
+    expect(fileName).toMatch(/^documentos_\d{4}-\d{2}-\d{2}\.csv$/);
+    expect(uploadStream.mock.calls[0][3]).toEqual({
+      blobHTTPHeaders: { blobContentType: 'text/csv; charset=utf-8' },
+    });
+    expect(audit.logAdminAccess).toHaveBeenCalledWith(
+      'document_export',
+      expect.objectContaining({ tipo: 'documentos', formato: 'csv', filas: 2 }),
+      expect.any(Object)
+    );
+
+    const lineas = subido.toString('utf8').split('\r\n');
+    expect(lineas[0]).toBe(
+      '\uFEFFID,SAP Document ID,Tipo,Estado,Cliente,Telefono,Email,Envelope ID,Fecha creacion,' +
+        'Fecha envio WhatsApp,Fecha visto,Fecha firmado,Fecha rechazo,Motivo rechazo,' +
+        'Recordatorios,Horas hasta firma'
+    );
+    expect(lineas[1]).toBe(
+      '77,SAP-DOC-001,CONTRATO,FIRMADO,Juan Perez,5215512345678,,env-123,' +
+        '2026-10-01T10:00:00.000Z,,,2026-10-02T12:30:00.000Z,,,2,26'
+    );
+    // Formulas neutralizadas y comillas escapadas
+    expect(lineas[2]).toContain(`"'=HYPERLINK(""http://x"")"`);
+    expect(lineas[2]).toContain('"Monto ""incorrecto"", revisar"');
+    expect(lineas[3]).toBe('');
+  });
+
+  test('debe exportar las estadisticas por dia, tipo y estado a XLSX', async () => {
+    await documentsHandler.exportStats(context, {
+      query: { formato: 'XLSX', desde: '2026-10-01' },
+      headers: {},
+    });
+
+    expect(context.res.status).toBe(200);
+    expect(context.res.body).toMatchObject({ tipo: 'estadisticas', formato: 'xlsx', filas: 1 });
+    expect(documentoRepo.streamEstadisticasPorDia).toHaveBeenCalledWith(
+      expect.objectContaining({ fechaDesde: '2026-10-01' })
+    );
+    expect(blobService.getDownloadUrl.mock.calls[0][1]).toMatch(/\.xlsx$/);
+
+    const entradas = leerZip(subido);
+    expect([...entradas.keys()]).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/styles.xml',
+      'xl/worksheets/sheet1.xml',
+    ]);
+    expect(entradas.get('xl/workbook.xml')).toContain('<sheet name="Estadisticas"');
+
+    const hoja = entradas.get('xl/worksheets/sheet1.xml');
+    expect(hoja).toContain('<t xml:space="preserve">Promedio horas hasta firma</t>');
+    // 2026-10-01 como numero de serie de Excel con formato de fecha
+    expect(hoja).toContain('<c s="2"><v>46296</v></c>');
+    expect(hoja).toContain('<c><v>12</v></c><c><v>20.5</v></c>');
+    expect(hoja.endsWith('</sheetData></worksheet>')).toBe(true);
+  });
+
+  test.each([
+    ['formato no soportado', { formato: 'pdf' }],
+    ['estado no valido', { estado: 'BORRADO' }],
+    ['telefono no valido', { telefono: '123' }],
+    ['fecha invalida', { desde: 'ayer' }],
+  ])('debe responder 400 con %s', async (_caso, query) => {
+    await documentsHandler.exportDocuments(context, { query, headers: {} });
+
+    expect(context.res.status).toBe(400);
+    expect(documentoRepo.streamListado).not.toHaveBeenCalled();
+  });
+
+  test('debe responder 500 y cancelar la consulta si falla la subida', async () => {
+    const filas = Readable.from([createDocumentoRow()]);
+    const destroy = jest.spyOn(filas, 'destroy');
+    documentoRepo.streamListado.mockResolvedValue(filas);
+    uploadStream.mockRejectedValue(new Error('Blob no disponible'));
+
+    await documentsHandler.exportDocuments(context, { query: {}, headers: {} });
+
+    expect(context.res.status).toBe(500);
+    expect(destroy).toHaveBeenCalled();
+    expect(blobService.getDownloadUrl).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit Test: Historial de Documentos en Admin
+ * Verifica el timeline de HistorialDocumentoFirma en GET /api/admin/documents/detail
+ * y el registro de la anulacion manual (POST /api/admin/documents/void) con origen ADMIN,
+ * incluyendo las anulaciones que TRANSICIONES_DOCUMENTO rechaza
+ */
+
+jest.mock('../../core/services/infrastructure/appInsightsService', () =>
+  require('../__mocks__/appInsightsService.mock')
+);
+jest.mock('../../core/services/infrastructure/auditService', () => ({
+  logTicketResolved: jest.fn(),
+}));
+jest.mock('../../core/services/external/docusignService', () =>
+  require('../__mocks__/docusignService.mock')
+);
+jest.mock('../../bot/repositories/DocumentoFirmaRepository', () => ({
+  obtenerPorId: jest.fn(),
+  obtenerHistorial: jest.fn(),
+  actualizarEstado: jest.fn(),
+}));
+jest.mock('../../bot/repositories/FirmanteDocumentoRepository', () => ({
+  obtenerPorDocumento: jest.fn(),
+}));
+
+const documentsHandler = require('../../api-admin/handlers/documents');
+const docusignService = require('../../core/services/external/docusignService');
+const documentoRepo = require('../../bot/repositories/DocumentoFirmaRepository');
+const firmanteRepo = require('../../bot/repositories/FirmanteDocumentoRepository');
+const { ConcurrencyError, InvalidStateTransitionError } = require('../../core/errors');
+const { ESTADO_DOCUMENTO_ID } = require('../../bot/constants/documentStates');
+const { createDocumentoEnviado } = require('../factories/documentoFactory');
+const { createAdminPostRequest, createGetRequest } = require('../factories/requestFactory');
+
+const HISTORIAL = [
+  {
+    HistorialId: 1,
+    EstadoAnterior: null,
+    Estado: 'PENDIENTE_ENVIO',
+    Origen: 'SAP_API',
+    Actor: 'SAP',
+    Detalle: { sapDocumentId: 'SAP-1' },
+    Fecha: new Date('2026-01-01T10:00:00Z'),
+  },
+  {
+    HistorialId: 2,
+    EstadoAnterior: 'PENDIENTE_ENVIO',
+    Estado: 'ENVIADO',
+    Origen: 'SAP_API',
+    Actor: 'SAP',
+    Detalle: { EnvelopeId: 'env-123', canalNotificacion: 'WHATSAPP' },
+    Fecha: new Date('2026-01-01T10:00:05Z'),
+  },
+];
+
+describe('Admin - historial de documentos', () => {
+  let context;
+
+  beforeEach(() => {
+    context = global.createMockContext();
+
+    documentoRepo.obtenerPorId.mockResolvedValue(
+      createDocumentoEnviado({
+        DocumentoFirmaId: 77,
+        EnvelopeId: 'env-123',
+        EstadoDocumento: 'ENVIADO',
+        EstadoDocumentoId: ESTADO_DOCUMENTO_ID.ENVIADO,
+        Version: 4,
+      })
+    );
+    documentoRepo.obtenerHistorial.mockResolvedValue(HISTORIAL);
+    documentoRepo.actualizarEstado.mockResolvedValue({});
+    firmanteRepo.obtenerPorDocumento.mockResolvedValue([]);
+    docusignService.voidEnvelope.mockResolvedValue(undefined);
+  });
+
+  test('el detalle debe incluir el timeline del documento', async () => {
+    await documentsHandler.detail(context, createGetRequest({ query: { id: '77' } }));
+
+    expect(context.res.status).toBe(200);
+    expect(documentoRepo.obtenerHistorial).toHaveBeenCalledWith(77);
+    expect(context.res.body.timeline).toEqual(HISTORIAL);
+  });
+
+  test('la anulacion manual debe registrar origen ADMIN con la version actual', async () => {
+    await documentsHandler.voidDocument(
+      context,
+      createAdminPostRequest({ documentoId: 77, reason: 'Cliente solicito cancelar' })
+    );
+
+    expect(context.res.status).toBe(200);
+    expect(docusignService.voidEnvelope).toHaveBeenCalledWith(
+      'env-123',
+      'Cliente solicito cancelar'
+    );
+    expect(documentoRepo.actualizarEstado).toHaveBeenCalledWith(
+      77,
+      ESTADO_DOCUMENTO_ID.ANULADO,
+      4,
+      {},
+      {
+        origen: 'ADMIN',
+        actor: 'admin 10.0.0.5',
+        detalle: { reason: 'Cliente solicito cancelar' },
+      }
+    );
+  });
+
+  test('debe responder 409 si el documento cambio de estado durante la anulacion', async () => {
+    documentoRepo.actualizarEstado.mockRejectedValue(new ConcurrencyError('77', 4));
+
+    await documentsHandler.voidDocument(context, createAdminPostRequest({ documentoId: 77 }));
+
+    expect(context.res.status).toBe(409);
+  });
+
+  test('debe responder 409 si la transicion a ANULADO ya no esta permitida', async () => {
+    documentoRepo.actualizarEstado.mockRejectedValue(
+      new InvalidStateTransitionError(77, 'FIRMADO', 'ANULADO')
+    );
+
+    await documentsHandler.voidDocument(context, createAdminPostRequest({ documentoId: 77 }));
+
+    expect(context.res.status).toBe(409);
+  });
+
+  test('no debe anular en DocuSign un documento ya firmado', async () => {
+    documentoRepo.obtenerPorId.mockResolvedValue(
+      createDocumentoEnviado({ DocumentoFirmaId: 77, EstadoDocumento: 'FIRMADO' })
+    );
+
+    await documentsHandler.voidDocument(context, createAdminPostRequest({ documentoId: 77 }));
+
+    expect(context.res.status).toBe(400);
+    expect(docusignService.voidEnvelope).not.toHaveBeenCalled();
+    expect(documentoRepo.actualizarEstado).not.toHaveBeenCalled();
+  });
+});
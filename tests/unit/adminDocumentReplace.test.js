@@ -0,0 +1,255 @@
+/**
+ * Unit Test: Reemplazo del PDF de un Documento desde Admin
+ * Verifica POST /api/admin/documents/replace: validacion del PDF, correctEnvelope,
+ * nueva version ligada a la anterior, notificacion al cliente y auditoria
+ */
+
+jest.mock('../../core/services/infrastructure/appInsightsService', () =>
+  require('../__mocks__/appInsightsService.mock')
+);
+jest.mock('../../core/services/infrastructure/auditService', () => ({
+  logDocumentReplace: jest.fn(),
+}));
+jest.mock('../../core/services/storage/blobService', () => ({
+  getContainerClient: jest.fn(),
+}));
+jest.mock('../../core/services/external/docusignService', () =>
+  require('../__mocks__/docusignService.mock')
+);
+jest.mock('../../core/services/messaging/notificationService', () => ({
+  notificar: jest.fn(),
+}));
+jest.mock('../../bot/repositories/DocumentoFirmaRepository', () => ({
+  obtenerPorId: jest.fn(),
+  reemplazarDocumento: jest.fn(),
+  registrarReenvio: jest.fn(),
+}));
+jest.mock('../../bot/repositories/FirmanteDocumentoRepository', () => ({
+  obtenerPorDocumento: jest.fn(),
+}));
+
+const crypto = require('crypto');
+const documentsHandler = require('../../api-admin/handlers/documents');
+const audit = require('../../core/services/infrastructure/auditService');
+const blobService = require('../../core/services/storage/blobService');
+const docusignService = require('../../core/services/external/docusignService');
+const notificationService = require('../../core/services/messaging/notificationService');
+const documentoRepo = require('../../bot/repositories/DocumentoFirmaRepository');
+const firmanteRepo = require('../../bot/repositories/FirmanteDocumentoRepository');
+const { ConcurrencyError, ExternalServiceError } = require('../../core/errors');
+const { ESTADO_DOCUMENTO_ID } = require('../../bot/constants/documentStates');
+const { createDocumentoEnviado, createDocumentoFirmado } = require('../factories/documentoFactory');
+const { createAdminPostRequest } = require('../factories/requestFactory');
+const { FAKE_PDF_BASE64 } = require('../factories/sapPayloadFactory');
+
+const BLOB_URL = 'https://blob/documentos/SAP-DOC-001/original.pdf';
+
+describe('Admin - reemplazo del PDF de un documento', () => {
+  let context;
+  let blockBlobClient;
+
+  beforeEach(() => {
+    context = global.createMockContext();
+
+    blockBlobClient = {
+      url: BLOB_URL,
+      upload: jest.fn().mockResolvedValue({}),
+    };
+    blobService.getContainerClient.mockResolvedValue({
+      getBlockBlobClient: jest.fn(() => blockBlobClient),
+    });
+
+    documentoRepo.obtenerPorId.mockResolvedValue(
+      createDocumentoEnviado({
+        DocumentoFirmaId: 77,
+        EnvelopeId: 'env-123',
+        ClienteEmail: null,
+        CanalPreferido: null,
+        Version: 4,
+      })
+    );
+    documentoRepo.reemplazarDocumento.mockResolvedValue(
+      createDocumentoEnviado({
+        DocumentoFirmaId: 78,
+        EnvelopeId: 'env-123',
+        ClienteEmail: null,
+        CanalPreferido: null,
+        DocumentoNombre: 'Contrato corregido',
+        DocumentoOriginalUrl: BLOB_URL,
+        DocumentoAnteriorId: 77,
+      })
+    );
+    documentoRepo.registrarReenvio.mockResolvedValue(true);
+    firmanteRepo.obtenerPorDocumento.mockResolvedValue([]);
+    notificationService.notificar.mockResolvedValue({
+      canal: 'WHATSAPP',
+      mensajeId: 'wamid.actualizacion',
+    });
+  });
+
+  test('debe corregir el envelope, ligar la nueva version y notificar al cliente', async () => {
+    await documentsHandler.replace(
+      context,
+      createAdminPostRequest({
+        documentoId: 77,
+        pdfBase64: FAKE_PDF_BASE64,
+        documentoNombre: 'Contrato corregido',
+        reason: 'Monto incorrecto',
+      })
+    );
+
+    expect(context.res.status).toBe(200);
+    expect(context.res.body).toMatchObject({
+      documentoId: 78,
+      documentoAnteriorId: 77,
+      notificado: true,
+      canal: 'WHATSAPP',
+    });
+    expect(blockBlobClient.upload).toHaveBeenCalled();
+    expect(docusignService.correctEnvelope).toHaveBeenCalledWith(
+      'env-123',
+      expect.any(Buffer),
+      'Contrato corregido'
+    );
+    expect(documentoRepo.reemplazarDocumento).toHaveBeenCalledWith(
+      77,
+      4,
+      {
+        DocumentoOriginalUrl: BLOB_URL,
+        DocumentoNombre: 'Contrato corregido',
+        DocumentoHash: crypto
+          .createHash('sha256')
+          .update(Buffer.from(FAKE_PDF_BASE64, 'base64'))
+          .digest('hex'),
+        MotivoReemplazo: 'Monto incorrecto',
+        EnvelopeId: 'env-123',
+      },
+      expect.objectContaining({
+        origen: 'ADMIN',
+        actor: 'admin 10.0.0.5',
+        detalle: expect.objectContaining({ motivo: 'Monto incorrecto' }),
+      })
+    );
+    expect(notificationService.notificar).toHaveBeenCalledWith(
+      'firma_actualizacion',
+      expect.objectContaining({
+        documentoNombre: 'Contrato corregido',
+        firma: { documentoFirmaId: 78, recipientId: null, telefono: '5215512345678' },
+      }),
+      { telefono: '5215512345678', email: null },
+      expect.objectContaining({ documentoFirmaId: 78 })
+    );
+    expect(documentoRepo.registrarReenvio).toHaveBeenCalledWith(78, {
+      whatsAppMessageId: 'wamid.actualizacion',
+    });
+    expect(audit.logDocumentReplace).toHaveBeenCalledWith(
+      expect.objectContaining({ documentoAnteriorId: 77, documentoId: 78 }),
+      expect.any(Object)
+    );
+  });
+
+  test('debe rechazar un archivo que no es PDF sin tocar DocuSign', async () => {
+    await documentsHandler.replace(
+      context,
+      createAdminPostRequest({
+        documentoId: 77,
+        pdfBase64: Buffer.from('no es un pdf').toString('base64'),
+      })
+    );
+
+    expect(context.res.status).toBe(400);
+    expect(documentoRepo.obtenerPorId).not.toHaveBeenCalled();
+    expect(docusignService.correctEnvelope).not.toHaveBeenCalled();
+  });
+
+  test('debe rechazar un documento ya firmado', async () => {
+    documentoRepo.obtenerPorId.mockResolvedValue(createDocumentoFirmado({ DocumentoFirmaId: 77 }));
+
+    await documentsHandler.replace(
+      context,
+      createAdminPostRequest({ documentoId: 77, pdfBase64: FAKE_PDF_BASE64 })
+    );
+
+    expect(context.res.status).toBe(400);
+    expect(docusignService.correctEnvelope).not.toHaveBeenCalled();
+  });
+
+  test('debe rechazar un documento multi-firmante', async () => {
+    firmanteRepo.obtenerPorDocumento.mockResolvedValue([{ FirmanteId: 10, RecipientId: '1' }]);
+
+    await documentsHandler.replace(
+      context,
+      createAdminPostRequest({ documentoId: 77, pdfBase64: FAKE_PDF_BASE64 })
+    );
+
+    expect(context.res.status).toBe(400);
+    expect(docusignService.correctEnvelope).not.toHaveBeenCalled();
+  });
+
+  test('debe responder 502 sin registrar la version si DocuSign rechaza el PDF', async () => {
+    docusignService.correctEnvelope.mockRejectedValueOnce(
+      new ExternalServiceError('No se pudo corregir el documento en DocuSign', 'DocuSign')
+    );
+
+    await documentsHandler.replace(
+      context,
+      createAdminPostRequest({ documentoId: 77, pdfBase64: FAKE_PDF_BASE64 })
+    );
+
+    expect(context.res.status).toBe(502);
+    expect(documentoRepo.reemplazarDocumento).not.toHaveBeenCalled();
+    expect(audit.logDocumentReplace).not.toHaveBeenCalled();
+  });
+
+  test('debe responder 409 si el documento cambio durante el reemplazo', async () => {
+    documentoRepo.reemplazarDocumento.mockRejectedValue(new ConcurrencyError('77', 4));
+
+    await documentsHandler.replace(
+      context,
+      createAdminPostRequest({ documentoId: 77, pdfBase64: FAKE_PDF_BASE64 })
+    );
+
+    expect(context.res.status).toBe(409);
+    expect(notificationService.notificar).not.toHaveBeenCalled();
+  });
+
+  test('debe responder 200 aunque no se pueda notificar al cliente', async () => {
+    notificationService.notificar.mockRejectedValue(
+      new ExternalServiceError('No se pudo enviar la notificacion por ningun canal', 'WhatsApp')
+    );
+
+    await documentsHandler.replace(
+      context,
+      createAdminPostRequest({ documentoId: 77, pdfBase64: FAKE_PDF_BASE64 })
+    );
+
+    expect(context.res.status).toBe(200);
+    expect(context.res.body.notificado).toBe(false);
+    expect(documentoRepo.registrarReenvio).not.toHaveBeenCalled();
+    expect(context.log.warn).toHaveBeenCalledWith(expect.stringContaining('78'));
+  });
+
+  test('la nueva version queda en ENVIADO con el mismo envelope', async () => {
+    documentoRepo.reemplazarDocumento.mockResolvedValue({
+      DocumentoFirmaId: 78,
+      EstadoDocumento: 'ENVIADO',
+      EstadoDocumentoId: ESTADO_DOCUMENTO_ID.ENVIADO,
+      EnvelopeId: 'env-123',
+      ClienteTelefono: '5215512345678',
+    });
+
+    await documentsHandler.replace(
+      context,
+      createAdminPostRequest({ documentoId: 77, pdfBase64: FAKE_PDF_BASE64 })
+    );
+
+    expect(context.res.body.estado).toBe('ENVIADO');
+    // Sin nombre nuevo se conserva el del documento
+    expect(docusignService.correctEnvelope).toHaveBeenCalledWith(
+      'env-123',
+      expect.any(Buffer),
+      'Contrato de Servicio 2025'
+    );
+    expect(documentoRepo.reemplazarDocumento.mock.calls[0][2].DocumentoNombre).toBeNull();
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Unit Test: Reenvio de la Notificacion de Firma desde Admin
+ * Verifica POST /api/admin/documents/resend: correccion del firmante en DocuSign,
+ * nuevo recipientView, template de envio con el telefono vigente, reinicio de
+ * recordatorios y auditoria
+ */
+
+jest.mock('../../core/services/infrastructure/appInsightsService', () =>
+  require('../__mocks__/appInsightsService.mock')
+);
+jest.mock('../../core/services/infrastructure/auditService', () => ({
+  logDocumentResend: jest.fn(),
+}));
+jest.mock('../../core/services/external/docusignService', () =>
+  require('../__mocks__/docusignService.mock')
+);
+jest.mock('../../core/services/messaging/notificationService', () => ({
+  notificar: jest.fn(),
+}));
+jest.mock('../../core/services/processing/documentProfileService', () => ({
+  obtenerPerfil: jest.fn(),
+}));
+jest.mock('../../bot/repositories/DocumentoFirmaRepository', () => ({
+  obtenerPorId: jest.fn(),
+  registrarReenvio: jest.fn(),
+}));
+jest.mock('../../bot/repositories/FirmanteDocumentoRepository', () => ({
+  obtenerPorDocumento: jest.fn(),
+  actualizarContacto: jest.fn(),
+  actualizarEstado: jest.fn(),
+}));
+
+const documentsHandler = require('../../api-admin/handlers/documents');
+const audit = require('../../core/services/infrastructure/auditService');
+const docusignService = require('../../core/services/external/docusignService');
+const notificationService = require('../../core/services/messaging/notificationService');
+const { obtenerPerfil } = require('../../core/services/processing/documentProfileService');
+const documentoRepo = require('../../bot/repositories/DocumentoFirmaRepository');
+const firmanteRepo = require('../../bot/repositories/FirmanteDocumentoRepository');
+const { ExternalServiceError } = require('../../core/errors');
+const { createDocumentoEnviado, createDocumentoFirmado } = require('../factories/documentoFactory');
+const { createAdminPostRequest } = require('../factories/requestFactory');
+
+const TELEFONO = '5215512345678';
+const TELEFONO_CORREGIDO = '5215587654321';
+
+describe('Admin - reenvio de notificacion de firma', () => {
+  let context;
+
+  beforeEach(() => {
+    context = global.createMockContext();
+
+    documentoRepo.obtenerPorId.mockResolvedValue(
+      createDocumentoEnviado({
+        DocumentoFirmaId: 77,
+        EnvelopeId: 'env-123',
+        ClienteTelefono: TELEFONO,
+        ClienteEmail: null,
+        CanalPreferido: null,
+      })
+    );
+    documentoRepo.registrarReenvio.mockResolvedValue(true);
+    firmanteRepo.obtenerPorDocumento.mockResolvedValue([]);
+    firmanteRepo.actualizarContacto.mockResolvedValue(true);
+    firmanteRepo.actualizarEstado.mockResolvedValue(true);
+    obtenerPerfil.mockResolvedValue({
+      tipoDocumento: 'CONTRATO',
+      verificacionIdentidad: 'NINGUNA',
+    });
+    notificationService.notificar.mockResolvedValue({
+      canal: 'WHATSAPP',
+      mensajeId: 'wamid.reenvio',
+    });
+    docusignService.createRecipientView.mockResolvedValue(
+      'https://demo.docusign.net/signing/nuevo'
+    );
+    docusignService.updateRecipient.mockResolvedValue(undefined);
+  });
+
+  test('debe reenviar el template y reiniciar los recordatorios sin tocar DocuSign', async () => {
+    await documentsHandler.resend(context, createAdminPostRequest({ documentoId: 77 }));
+
+    expect(context.res.status).toBe(200);
+    expect(context.res.body.canal).toBe('WHATSAPP');
+    expect(docusignService.updateRecipient).not.toHaveBeenCalled();
+    expect(notificationService.notificar).toHaveBeenCalledWith(
+      'firma_envio',
+      expect.objectContaining({
+        firma: { documentoFirmaId: 77, recipientId: null, telefono: TELEFONO },
+      }),
+      { telefono: TELEFONO, email: null },
+      expect.objectContaining({ documentoFirmaId: 77, firmanteId: null })
+    );
+    expect(documentoRepo.registrarReenvio).toHaveBeenCalledWith(77, {
+      telefono: null,
+      email: null,
+      signingUrl: 'https://demo.docusign.net/signing/nuevo',
+      whatsAppMessageId: 'wamid.reenvio',
+    });
+    expect(audit.logDocumentResend).toHaveBeenCalledWith(
+      expect.objectContaining({ documentoId: 77, canal: 'WHATSAPP', telefonoCorregido: false }),
+      expect.any(Object)
+    );
+  });
+
+  test('debe corregir el telefono en DocuSign y en BD antes de guardar el reenvio', async () => {
+    await documentsHandler.resend(
+      context,
+      createAdminPostRequest({ documentoId: '77', telefono: TELEFONO_CORREGIDO })
+    );
+
+    expect(context.res.status).toBe(200);
+    expect(docusignService.updateRecipient).toHaveBeenCalledWith('env-123', {
+      recipientId: '1',
+      email: `${TELEFONO_CORREGIDO}@signbot.noreply.com`,
+      name: 'Juan Perez',
+      clientUserId: TELEFONO_CORREGIDO,
+      telefonoSms: undefined,
+    });
+    expect(docusignService.createRecipientView).toHaveBeenCalledWith(
+      'env-123',
+      `${TELEFONO_CORREGIDO}@signbot.noreply.com`,
+      'Juan Perez',
+      expect.any(String),
+      TELEFONO_CORREGIDO
+    );
+    expect(notificationService.notificar.mock.calls[0][2]).toEqual({
+      telefono: TELEFONO_CORREGIDO,
+      email: null,
+    });
+    expect(documentoRepo.registrarReenvio).toHaveBeenCalledWith(
+      77,
+      expect.objectContaining({ telefono: TELEFONO_CORREGIDO })
+    );
+  });
+
+  test('debe reenviar al firmante notificado de un documento multi-firmante', async () => {
+    firmanteRepo.obtenerPorDocumento.mockResolvedValue([
+      {
+        FirmanteId: 10,
+        RecipientId: '1',
+        Rol: 'CLIENTE',
+        Telefono: TELEFONO,
+        Nombre: 'Juan Perez',
+        EstadoFirmante: 'FIRMADO',
+      },
+      {
+        FirmanteId: 11,
+        RecipientId: '2',
+        Rol: 'AVAL',
+        Telefono: '5215500000000',
+        Nombre: 'Ana Lopez',
+        Email: null,
+        EstadoFirmante: 'NOTIFICADO',
+      },
+    ]);
+    obtenerPerfil.mockResolvedValue({ verificacionIdentidad: 'SMS_DOCUSIGN' });
+
+    await documentsHandler.resend(
+      context,
+      createAdminPostRequest({ documentoId: 77, email: 'ana@test.com' })
+    );
+
+    expect(context.res.status).toBe(200);
+    expect(docusignService.updateRecipient).toHaveBeenCalledWith('env-123', {
+      recipientId: '2',
+      email: 'ana@test.com',
+      name: 'Ana Lopez',
+      clientUserId: '5215500000000',
+      telefonoSms: '5215500000000',
+    });
+    expect(firmanteRepo.actualizarContacto).toHaveBeenCalledWith(77, 11, {
+      telefono: null,
+      email: 'ana@test.com',
+    });
+    expect(firmanteRepo.actualizarEstado).toHaveBeenCalledWith(77, 11, 'NOTIFICADO', {
+      WhatsAppMessageId: 'wamid.reenvio',
+    });
+    // El aval no cambia el contacto del cliente ni el mensaje del documento
+    expect(documentoRepo.registrarReenvio).toHaveBeenCalledWith(77, {
+      telefono: null,
+      email: null,
+      signingUrl: 'https://demo.docusign.net/signing/nuevo',
+      whatsAppMessageId: null,
+    });
+  });
+
+  test('debe rechazar un documento que ya no esta pendiente de firma', async () => {
+    documentoRepo.obtenerPorId.mockResolvedValue(createDocumentoFirmado({ DocumentoFirmaId: 77 }));
+
+    await documentsHandler.resend(context, createAdminPostRequest({ documentoId: 77 }));
+
+    expect(context.res.status).toBe(400);
+    expect(notificationService.notificar).not.toHaveBeenCalled();
+  });
+
+  test('debe validar el telefono corregido', async () => {
+    await documentsHandler.resend(
+      context,
+      createAdminPostRequest({ documentoId: 77, telefono: '55-1234' })
+    );
+
+    expect(context.res.status).toBe(400);
+    expect(documentoRepo.obtenerPorId).not.toHaveBeenCalled();
+  });
+
+  test('debe responder 502 sin guardar el reenvio si fallan todos los canales', async () => {
+    notificationService.notificar.mockRejectedValue(
+      new ExternalServiceError(
+        'No se pudo enviar la notificacion por ningun canal',
+        'Notificaciones'
+      )
+    );
+
+    await documentsHandler.resend(context, createAdminPostRequest({ documentoId: 77 }));
+
+    expect(context.res.status).toBe(502);
+    expect(documentoRepo.registrarReenvio).not.toHaveBeenCalled();
+    expect(audit.logDocumentResend).not.toHaveBeenCalled();
+  });
+});
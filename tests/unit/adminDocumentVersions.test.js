@@ -0,0 +1,281 @@
+/**
+ * Unit Test: Historial de Versiones de un Documento
+ * Verifica GET /api/admin/documents/versions (cadena de versiones, blob, hash, motivo y
+ * cambios de metadatos) y que un reenvio desde SAP quede ligado a la version anterior
+ * (y anule el envelope anterior cuando no se puede corregir)
+ */
+
+jest.mock('../../core/services/infrastructure/appInsightsService', () =>
+  require('../__mocks__/appInsightsService.mock')
+);
+jest.mock('../../core/services/infrastructure/metricsService', () =>
+  require('../__mocks__/metricsService.mock')
+);
+jest.mock('../../core/services/infrastructure/correlationService', () => ({
+  generateCorrelationId: jest.fn(() => 'test-corr-id'),
+  getCorrelationId: jest.fn(() => 'test-corr-id'),
+}));
+jest.mock('../../core/services/messaging/serviceBusService', () => ({
+  ensureConnected: jest.fn(),
+  sendToQueue: jest.fn(),
+}));
+jest.mock('../../core/services/storage/blobService', () => ({
+  getContainerClient: jest.fn(),
+  getBlobNameFromUrl: jest.fn(),
+}));
+jest.mock('../../core/services/external/teamsService', () => ({
+  notifyError: jest.fn(),
+}));
+jest.mock('../../core/services/external/whatsappService', () =>
+  require('../__mocks__/whatsappService.mock')
+);
+jest.mock('../../core/services/external/docusignService', () =>
+  require('../__mocks__/docusignService.mock')
+);
+jest.mock('../../bot/repositories/IntentoNotificacionRepository', () => ({
+  registrar: jest.fn(),
+}));
+jest.mock('../../bot/repositories/DocumentoFirmaRepository', () => ({
+  crear: jest.fn(),
+  obtenerActivoPorSapDocumentId: jest.fn(),
+  actualizarEstado: jest.fn(),
+  obtenerVersiones: jest.fn(),
+}));
+jest.mock('../../bot/repositories/FirmanteDocumentoRepository', () => ({
+  crearFirmantes: jest.fn(),
+  actualizarEstado: jest.fn(),
+}));
+jest.mock('../../bot/repositories/PerfilTipoDocumentoRepository', () => ({
+  obtenerPorTipo: jest.fn(),
+}));
+
+const crypto = require('crypto');
+const sapDocumentEndpoint = require('../../api-sap-document');
+const documentsHandler = require('../../api-admin/handlers/documents');
+const config = require('../../core/config');
+const blobService = require('../../core/services/storage/blobService');
+const docusignService = require('../../core/services/external/docusignService');
+const whatsappService = require('../../core/services/external/whatsappService');
+const documentoRepo = require('../../bot/repositories/DocumentoFirmaRepository');
+const perfilRepo = require('../../bot/repositories/PerfilTipoDocumentoRepository');
+const firmanteRepo = require('../../bot/repositories/FirmanteDocumentoRepository');
+const { ESTADO_DOCUMENTO_ID } = require('../../bot/constants/documentStates');
+const { createDocumentoEnviado } = require('../factories/documentoFactory');
+const { FAKE_PDF_BASE64, createSapDocumentPayload } = require('../factories/sapPayloadFactory');
+const { createPostRequest } = require('../factories/requestFactory');
+
+const HASH_V1 = 'a'.repeat(64);
+const HASH_V2 = 'b'.repeat(64);
+
+function createVersion(overrides = {}) {
+  return {
+    DocumentoFirmaId: 77,
+    DocumentoAnteriorId: null,
+    SapDocumentId: 'SAP-DOC-001',
+    EstadoDocumento: 'ANULADO',
+    TipoDocumento: 'CONTRATO',
+    EnvelopeId: 'env-123',
+    EnvelopeReutilizado: false,
+    DocumentoNombre: 'Contrato de Servicio 2025',
+    DocumentoOriginalUrl: 'https://blob/documentos/SAP-DOC-001/v1.pdf',
+    DocumentoHash: HASH_V1,
+    MotivoReemplazo: null,
+    ClienteTelefono: '5215512345678',
+    ClienteNombre: 'Juan Perez',
+    ClienteEmail: null,
+    CanalPreferido: null,
+    DatosExtra: null,
+    FechaCreacion: '2026-10-01T10:00:00.000Z',
+    ...overrides,
+  };
+}
+
+describe('Historial de versiones de un documento', () => {
+  let context;
+
+  beforeEach(() => {
+    context = global.createMockContext();
+    blobService.getBlobNameFromUrl.mockImplementation(
+      (url) => url.split('/documentos/')[1] || null
+    );
+  });
+
+  // ===========================================================
+  // GET /api/admin/documents/versions
+  // ===========================================================
+  describe('versions()', () => {
+    beforeEach(() => {
+      documentoRepo.obtenerVersiones.mockResolvedValue([
+        createVersion(),
+        createVersion({
+          DocumentoFirmaId: 78,
+          DocumentoAnteriorId: 77,
+          EstadoDocumento: 'ENVIADO',
+          EnvelopeReutilizado: true,
+          DocumentoNombre: 'Contrato corregido',
+          DocumentoOriginalUrl: 'https://blob/documentos/SAP-DOC-001/v2.pdf',
+          DocumentoHash: HASH_V2,
+          MotivoReemplazo: 'Monto incorrecto',
+          FechaCreacion: '2026-10-02T10:00:00.000Z',
+        }),
+      ]);
+    });
+
+    test('debe devolver la cadena con blob, hash, motivo y cambios de metadatos', async () => {
+      await documentsHandler.versions(context, { query: { id: '78' } });
+
+      expect(context.res.status).toBe(200);
+      expect(documentoRepo.obtenerVersiones).toHaveBeenCalledWith(78);
+
+      const { total, versiones } = context.res.body;
+      expect(total).toBe(2);
+      expect(versiones[0]).toMatchObject({
+        DocumentoFirmaId: 77,
+        Numero: 1,
+        Actual: false,
+        BlobName: 'SAP-DOC-001/v1.pdf',
+        DocumentoHash: HASH_V1,
+        Cambios: [],
+      });
+      expect(versiones[1]).toMatchObject({
+        DocumentoFirmaId: 78,
+        Numero: 2,
+        Actual: true,
+        BlobName: 'SAP-DOC-001/v2.pdf',
+        MotivoReemplazo: 'Monto incorrecto',
+        FechaCreacion: '2026-10-02T10:00:00.000Z',
+      });
+      expect(versiones[1].Cambios).toEqual([
+        {
+          campo: 'DocumentoNombre',
+          anterior: 'Contrato de Servicio 2025',
+          nuevo: 'Contrato corregido',
+        },
+        { campo: 'DocumentoHash', anterior: HASH_V1, nuevo: HASH_V2 },
+      ]);
+    });
+
+    test('debe requerir el id del documento', async () => {
+      await documentsHandler.versions(context, { query: {} });
+
+      expect(context.res.status).toBe(400);
+      expect(documentoRepo.obtenerVersiones).not.toHaveBeenCalled();
+    });
+
+    test('debe responder 404 si el documento no existe', async () => {
+      documentoRepo.obtenerVersiones.mockResolvedValue([]);
+
+      await documentsHandler.versions(context, { query: { id: '999' } });
+
+      expect(context.res.status).toBe(404);
+    });
+  });
+
+  // ===========================================================
+  // REENVIO DESDE SAP
+  // ===========================================================
+  describe('reenvio desde SAP', () => {
+    const asyncEnabledOriginal = config.sapDocument.asyncEnabled;
+
+    beforeEach(() => {
+      config.sapDocument.asyncEnabled = false;
+
+      blobService.getContainerClient.mockResolvedValue({
+        getBlockBlobClient: jest.fn(() => ({
+          url: 'https://blob/documentos/original.pdf',
+          upload: jest.fn().mockResolvedValue({}),
+        })),
+      });
+      docusignService.correctEnvelope.mockResolvedValue({ envelopeId: 'env-123' });
+      docusignService.createEnvelope.mockResolvedValue({
+        envelopeId: 'test-envelope-123',
+        signingUrl: null,
+      });
+      whatsappService.sendTemplate.mockResolvedValue('wamid.template_123');
+
+      documentoRepo.obtenerActivoPorSapDocumentId.mockResolvedValue(
+        createDocumentoEnviado({ DocumentoFirmaId: 77, EnvelopeId: 'env-123' })
+      );
+      documentoRepo.crear.mockResolvedValue({ DocumentoFirmaId: 78, Version: 1 });
+      documentoRepo.actualizarEstado.mockResolvedValue(true);
+      perfilRepo.obtenerPorTipo.mockResolvedValue(null);
+    });
+
+    afterAll(() => {
+      config.sapDocument.asyncEnabled = asyncEnabledOriginal;
+    });
+
+    test('debe ligar la nueva version a la anterior con el hash del PDF', async () => {
+      await sapDocumentEndpoint(context, createPostRequest(createSapDocumentPayload()));
+
+      expect(context.res.status).toBe(201);
+      expect(docusignService.correctEnvelope).toHaveBeenCalled();
+      expect(docusignService.createEnvelope).not.toHaveBeenCalled();
+      expect(docusignService.voidEnvelope).not.toHaveBeenCalled();
+      expect(documentoRepo.crear).toHaveBeenCalledWith(
+        expect.objectContaining({
+          DocumentoAnteriorId: 77,
+          EnvelopeReutilizado: true,
+          MotivoReemplazo: 'Reenvio desde SAP',
+          DocumentoHash: crypto
+            .createHash('sha256')
+            .update(Buffer.from(FAKE_PDF_BASE64, 'base64'))
+            .digest('hex'),
+        }),
+        expect.any(Object)
+      );
+    });
+
+    test('un reenvio multi-firmante debe anular el envelope y el documento anteriores', async () => {
+      const firmantes = [
+        { telefono: '5215512345678', nombre: 'Juan Perez', rol: 'CLIENTE' },
+        { telefono: '5215587654321', nombre: 'Maria Lopez', rol: 'AVAL' },
+      ];
+      firmanteRepo.crearFirmantes.mockResolvedValue(
+        firmantes.map((firmante, i) => ({ FirmanteId: i + 1, RecipientId: String(i + 1) }))
+      );
+      firmanteRepo.actualizarEstado.mockResolvedValue(true);
+
+      await sapDocumentEndpoint(
+        context,
+        createPostRequest(createSapDocumentPayload({ firmantes }))
+      );
+
+      expect(context.res.status).toBe(201);
+      expect(docusignService.correctEnvelope).not.toHaveBeenCalled();
+      expect(docusignService.voidEnvelope).toHaveBeenCalledWith(
+        'env-123',
+        'Reemplazado por una nueva version desde SAP'
+      );
+      expect(documentoRepo.actualizarEstado).toHaveBeenCalledWith(
+        77,
+        ESTADO_DOCUMENTO_ID.ANULADO,
+        expect.any(Number),
+        {},
+        expect.objectContaining({ origen: 'SAP_API', actor: 'SAP' })
+      );
+      expect(docusignService.voidEnvelope.mock.invocationCallOrder[0]).toBeLessThan(
+        docusignService.createEnvelope.mock.invocationCallOrder[0]
+      );
+      expect(documentoRepo.crear).toHaveBeenCalledWith(
+        expect.objectContaining({ DocumentoAnteriorId: 77, EnvelopeReutilizado: false }),
+        expect.any(Object)
+      );
+    });
+
+    test('un documento nuevo no tiene version anterior ni motivo', async () => {
+      documentoRepo.obtenerActivoPorSapDocumentId.mockResolvedValue(null);
+
+      await sapDocumentEndpoint(context, createPostRequest(createSapDocumentPayload()));
+
+      expect(documentoRepo.crear).toHaveBeenCalledWith(
+        expect.objectContaining({
+          DocumentoAnteriorId: null,
+          EnvelopeReutilizado: false,
+          MotivoReemplazo: null,
+        }),
+        expect.any(Object)
+      );
+    });
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Unit Test: Seguimiento de Rechazos desde Admin
+ * Verifica /api/admin/rejections: listado con filtros, estadisticas por categoria y
+ * asignar, comentar y cerrar un seguimiento (404/409, validacion y auditoria)
+ */
+
+jest.mock('../../core/services/infrastructure/appInsightsService', () =>
+  require('../__mocks__/appInsightsService.mock')
+);
+jest.mock('../../core/services/infrastructure/auditService', () => ({
+  logRejectionFollowUp: jest.fn(),
+}));
+jest.mock('../../bot/repositories/SeguimientoRechazoRepository', () => ({
+  listar: jest.fn(),
+  obtenerPorId: jest.fn(),
+  asignar: jest.fn(),
+  comentar: jest.fn(),
+  cerrar: jest.fn(),
+  obtenerEstadisticasPorCategoria: jest.fn(),
+}));
+
+const rejectionsHandler = require('../../api-admin/handlers/rejections');
+const audit = require('../../core/services/infrastructure/auditService');
+const seguimientoRepo = require('../../bot/repositories/SeguimientoRechazoRepository');
+const { createAdminPostRequest } = require('../factories/requestFactory');
+
+function createSeguimiento(overrides = {}) {
+  return {
+    SeguimientoId: 15,
+    DocumentoFirmaId: 77,
+    CategoriaRechazo: 'MONTO_INCORRECTO',
+    MotivoRechazo: 'El monto es 1,200',
+    Estado: 'ABIERTO',
+    AsignadoA: null,
+    CerradoPor: null,
+    FechaCierre: null,
+    comentarios: [],
+    ...overrides,
+  };
+}
+
+describe('Admin - seguimiento de rechazos', () => {
+  let context;
+
+  beforeEach(() => {
+    context = global.createMockContext();
+
+    seguimientoRepo.obtenerPorId.mockResolvedValue(createSeguimiento());
+    seguimientoRepo.asignar.mockResolvedValue(true);
+    seguimientoRepo.cerrar.mockResolvedValue(true);
+    seguimientoRepo.comentar.mockResolvedValue({
+      ComentarioId: 3,
+      FechaCreacion: new Date('2026-10-19T16:00:00.000Z'),
+    });
+  });
+
+  // ===========================================================
+  // LISTADO Y ESTADISTICAS
+  // ===========================================================
+  test('debe listar seguimientos con filtros y paginacion', async () => {
+    seguimientoRepo.listar.mockResolvedValue({
+      data: [createSeguimiento()],
+      total: 41,
+      page: 2,
+      pageSize: 20,
+    });
+
+    await rejectionsHandler.list(context, {
+      query: { estado: 'ABIERTO', categoria: 'NEGOCIAR', page: '2' },
+    });
+
+    expect(context.res.status).toBe(200);
+    expect(context.res.body.seguimientos).toHaveLength(1);
+    expect(context.res.body.pagination).toEqual({
+      page: 2,
+      pageSize: 20,
+      total: 41,
+      totalPages: 3,
+    });
+    expect(seguimientoRepo.listar).toHaveBeenCalledWith(
+      expect.objectContaining({ estado: 'ABIERTO', categoria: 'NEGOCIAR', asignadoA: null })
+    );
+  });
+
+  test.each([
+    ['estado no valido', { estado: 'BORRADO' }],
+    ['categoria no valida', { categoria: 'PRECIO' }],
+    ['fecha invalida', { desde: 'ayer' }],
+  ])('el listado debe responder 400 con %s', async (_caso, query) => {
+    await rejectionsHandler.list(context, { query });
+
+    expect(context.res.status).toBe(400);
+    expect(seguimientoRepo.listar).not.toHaveBeenCalled();
+  });
+
+  test('las estadisticas deben incluir todas las categorias', async () => {
+    seguimientoRepo.obtenerEstadisticasPorCategoria.mockResolvedValue([
+      {
+        CategoriaRechazo: 'MONTO_INCORRECTO',
+        Total: 5,
+        Abiertos: 1,
+        EnProceso: 2,
+        Cerrados: 2,
+        PromedioHorasCierre: 26.4667,
+      },
+    ]);
+
+    await rejectionsHandler.stats(context, { query: { desde: '2026-10-01' } });
+
+    expect(context.res.status).toBe(200);
+    expect(context.res.body.total).toBe(5);
+    expect(context.res.body.categorias).toHaveLength(5);
+    expect(context.res.body.categorias[0]).toEqual({
+      categoria: 'MONTO_INCORRECTO',
+      nombre: 'Monto incorrecto',
+      total: 5,
+      abiertos: 1,
+      enProceso: 2,
+      cerrados: 2,
+      promedioHorasCierre: 26.5,
+    });
+    expect(context.res.body.categorias[4]).toMatchObject({
+      categoria: 'OTRO',
+      total: 0,
+      promedioHorasCierre: null,
+    });
+    expect(seguimientoRepo.obtenerEstadisticasPorCategoria).toHaveBeenCalledWith({
+      fechaDesde: '2026-10-01',
+      fechaHasta: null,
+    });
+  });
+
+  // ===========================================================
+  // ASIGNAR, COMENTAR Y CERRAR
+  // ===========================================================
+  test('debe asignar el seguimiento y auditar el cambio', async () => {
+    await rejectionsHandler.assign(
+      context,
+      createAdminPostRequest({ seguimientoId: 15, asignadoA: 'ana@empresa.com', usuario: 'Luis' })
+    );
+
+    expect(context.res.status).toBe(200);
+    expect(context.res.body).toMatchObject({ estado: 'EN_PROCESO', asignadoA: 'ana@empresa.com' });
+    expect(seguimientoRepo.asignar).toHaveBeenCalledWith(15, 'ana@empresa.com');
+    expect(audit.logRejectionFollowUp).toHaveBeenCalledWith(
+      expect.objectContaining({
+        accion: 'assign',
+        seguimientoId: 15,
+        documentoId: 77,
+        asignadoA: 'ana@empresa.com',
+        usuario: 'Luis',
+      }),
+      expect.any(Object)
+    );
+  });
+
+  test('debe responder 409 al asignar un seguimiento cerrado', async () => {
+    seguimientoRepo.obtenerPorId.mockResolvedValue(
+      createSeguimiento({ Estado: 'CERRADO', CerradoPor: 'Luis' })
+    );
+
+    await rejectionsHandler.assign(
+      context,
+      createAdminPostRequest({ seguimientoId: 15, asignadoA: 'ana@empresa.com' })
+    );
+
+    expect(context.res.status).toBe(409);
+    expect(context.res.body.cerradoPor).toBe('Luis');
+    expect(seguimientoRepo.asignar).not.toHaveBeenCalled();
+  });
+
+  test('debe responder 404 si el seguimiento no existe', async () => {
+    seguimientoRepo.obtenerPorId.mockResolvedValue(null);
+
+    await rejectionsHandler.comment(
+      context,
+      createAdminPostRequest({ seguimientoId: 99, comentario: 'Llamar al cliente' })
+    );
+
+    expect(context.res.status).toBe(404);
+    expect(seguimientoRepo.comentar).not.toHaveBeenCalled();
+  });
+
+  test('debe guardar el comentario con la IP como autor por defecto', async () => {
+    await rejectionsHandler.comment(
+      context,
+      createAdminPostRequest({ seguimientoId: '15', comentario: '  Llamar al cliente  ' })
+    );
+
+    expect(context.res.status).toBe(200);
+    expect(seguimientoRepo.comentar).toHaveBeenCalledWith(
+      15,
+      expect.stringMatching(/^admin /),
+      'Llamar al cliente'
+    );
+    expect(context.res.body.comentario).toMatchObject({
+      ComentarioId: 3,
+      Comentario: 'Llamar al cliente',
+    });
+  });
+
+  test('debe cerrar el seguimiento con su resolucion', async () => {
+    await rejectionsHandler.close(
+      context,
+      createAdminPostRequest({
+        seguimientoId: 15,
+        resolucion: 'Se corrigio el monto',
+        usuario: 'Ana',
+      })
+    );
+
+    expect(context.res.status).toBe(200);
+    expect(context.res.body.estado).toBe('CERRADO');
+    expect(seguimientoRepo.cerrar).toHaveBeenCalledWith(15, 'Se corrigio el monto', 'Ana');
+    expect(audit.logRejectionFollowUp).toHaveBeenCalledWith(
+      expect.objectContaining({ accion: 'close', categoria: 'MONTO_INCORRECTO', usuario: 'Ana' }),
+      expect.any(Object)
+    );
+  });
+
+  test('debe responder 409 si se cerro mientras se procesaba', async () => {
+    seguimientoRepo.cerrar.mockResolvedValue(false);
+
+    await rejectionsHandler.close(
+      context,
+      createAdminPostRequest({ seguimientoId: 15, resolucion: 'Se corrigio el monto' })
+    );
+
+    expect(context.res.status).toBe(409);
+    expect(audit.logRejectionFollowUp).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['sin seguimientoId', { resolucion: 'Listo' }],
+    ['resolucion vacia', { seguimientoId: 15, resolucion: '   ' }],
+  ])('el cierre debe responder 400 %s', async (_caso, body) => {
+    await rejectionsHandler.close(context, createAdminPostRequest(body));
+
+    expect(context.res.status).toBe(400);
+    expect(seguimientoRepo.cerrar).not.toHaveBeenCalled();
+  });
+});
@@ -18,14 +18,30 @@ jest.mock('../../core/services/infrastructure/metricsService', () =>
 jest.mock('../../core/services/infrastructure/errorHandler', () => ({
   logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
 }));
+jest.mock('../../core/services/storage/blobService', () => ({
+  downloadFromUrl: jest.fn(),
+}));
 
+const config = require('../../core/config');
 const {
   handleConsultaIniciada,
+  handlePaginaDocumentos,
+  handleFiltroDocumentos,
+  handleDocumentoSeleccionado,
   handleSeleccionDocumento,
   handleDetalleDocumento,
+  handleFirmarDocumento,
+  handleVerPdfDocumento,
 } = require('../../bot/flows/consultaDocumentosFlow');
+const firmaToken = require('../../core/services/processing/firmaTokenService');
 const db = require('../../core/services/storage/databaseService');
-const { createSession, createConsultaDocumentosSession } = require('../factories/sessionFactory');
+const blobService = require('../../core/services/storage/blobService');
+const whatsapp = require('../../core/services/external/whatsappService');
+const {
+  createSession,
+  createConsultaDocumentosSession,
+  createConsultaDetalleSession,
+} = require('../factories/sessionFactory');
 const { createDocumentoEnviado, createDocumentoFirmado } = require('../factories/documentoFactory');
 
 describe('Consulta Documentos Flow', () => {
@@ -37,26 +53,49 @@ describe('Consulta Documentos Flow', () => {
 
     mockCtx = {
       from: '+5215512345678',
-      getDatos: jest.fn().mockReturnValue({ documentos: [] }),
+      getDatos: jest.fn().mockReturnValue({}),
       cambiarEstado: jest.fn().mockResolvedValue(undefined),
       responder: jest.fn().mockResolvedValue(undefined),
+      responderConLista: jest.fn().mockResolvedValue(undefined),
+      responderConBotones: jest.fn().mockResolvedValue(undefined),
+      responderConEnlace: jest.fn().mockResolvedValue(undefined),
       finalizar: jest.fn().mockResolvedValue(undefined),
       log: jest.fn(),
       registrarError: jest.fn(),
     };
   });
 
+  /**
+   * Crea documentos con IDs 1..n: los primeros `pendientes` ENVIADO y el resto FIRMADO
+   */
+  function crearDocumentos(total, pendientes = total) {
+    return Array.from({ length: total }, (_, i) =>
+      (i < pendientes ? createDocumentoEnviado : createDocumentoFirmado)({
+        DocumentoFirmaId: i + 1,
+        ClienteTelefono: '+5215512345678',
+        DocumentoNombre: `Contrato ${i + 1}`,
+        SapDocumentId: `SAP-${i + 1}`,
+      })
+    );
+  }
+
+  function filasEnviadas() {
+    return mockCtx.responderConLista.mock.calls[0][3];
+  }
+
   // ===========================================================
   // handleConsultaIniciada
   // ===========================================================
   describe('handleConsultaIniciada()', () => {
-    test('debe mostrar lista de documentos cuando existen', async () => {
+    test('debe enviar una lista interactiva con el ID del documento en cada fila', async () => {
       const docs = [
         createDocumentoEnviado({
+          DocumentoFirmaId: 11,
           ClienteTelefono: '+5215512345678',
           DocumentoNombre: 'Contrato A',
         }),
         createDocumentoFirmado({
+          DocumentoFirmaId: 12,
           ClienteTelefono: '+5215512345678',
           DocumentoNombre: 'Contrato B',
         }),
@@ -66,29 +105,76 @@ describe('Consulta Documentos Flow', () => {
 
       await handleConsultaIniciada(mockCtx, null, session);
 
-      expect(mockCtx.responder).toHaveBeenCalled();
-      const respuesta = mockCtx.responder.mock.calls[0][0];
-      expect(respuesta).toContain('Contrato A');
-      expect(respuesta).toContain('Contrato B');
+      expect(mockCtx.responder).not.toHaveBeenCalled();
+      expect(mockCtx.responderConLista).toHaveBeenCalledWith(
+        'Mis Documentos',
+        expect.stringContaining('*2* documentos'),
+        'Ver documentos',
+        [
+          expect.objectContaining({ id: 'CONSULTA_DOCUMENTO:11', title: 'Contrato A' }),
+          expect.objectContaining({ id: 'CONSULTA_DOCUMENTO:12', title: 'Contrato B' }),
+        ]
+      );
+      expect(filasEnviadas()[1].description).toContain('Firmado');
     });
 
-    test('debe cambiar a CONSULTA_DOCUMENTOS con lista en DatosTemp', async () => {
-      const docs = [
-        createDocumentoEnviado({ ClienteTelefono: '+5215512345678', DocumentoNombre: 'Doc 1' }),
-      ];
-      db.getDocumentosFirmaPorTelefono.mockResolvedValue(docs);
+    test('debe recortar los titulos de fila al limite de WhatsApp', async () => {
+      db.getDocumentosFirmaPorTelefono.mockResolvedValue([
+        createDocumentoEnviado({
+          DocumentoNombre: 'Contrato de arrendamiento de local comercial',
+        }),
+      ]);
+
+      await handleConsultaIniciada(mockCtx, null, createSession());
+
+      const [fila] = filasEnviadas();
+      expect(fila.title).toHaveLength(24);
+      expect(fila.title.endsWith('...')).toBe(true);
+      expect(fila.description.length).toBeLessThanOrEqual(72);
+    });
+
+    test('debe cambiar a CONSULTA_DOCUMENTOS con filtro y pagina en DatosTemp', async () => {
+      db.getDocumentosFirmaPorTelefono.mockResolvedValue(crearDocumentos(1));
       const session = createSession();
 
       await handleConsultaIniciada(mockCtx, null, session);
 
-      expect(mockCtx.cambiarEstado).toHaveBeenCalledWith(
-        'CONSULTA_DOCUMENTOS',
-        expect.objectContaining({
-          documentos: expect.arrayContaining([
-            expect.objectContaining({ DocumentoNombre: 'Doc 1' }),
-          ]),
-        })
+      expect(mockCtx.cambiarEstado).toHaveBeenCalledWith('CONSULTA_DOCUMENTOS', {
+        filtro: 'TODOS',
+        pagina: 1,
+      });
+    });
+
+    test('no debe paginar ni filtrar con 10 documentos o menos', async () => {
+      db.getDocumentosFirmaPorTelefono.mockResolvedValue(crearDocumentos(10));
+
+      await handleConsultaIniciada(mockCtx, null, createSession());
+
+      const filas = filasEnviadas();
+      expect(filas).toHaveLength(10);
+      expect(filas.every((fila) => fila.id.startsWith('CONSULTA_DOCUMENTO:'))).toBe(true);
+    });
+
+    test('con mas de 10 documentos debe paginar con "Ver mas" y filtros', async () => {
+      db.getDocumentosFirmaPorTelefono.mockResolvedValue(crearDocumentos(16));
+
+      await handleConsultaIniciada(mockCtx, null, createSession());
+
+      const filas = filasEnviadas();
+      expect(filas).toHaveLength(10);
+      expect(filas.slice(0, 7).map((fila) => fila.id)).toEqual(
+        [1, 2, 3, 4, 5, 6, 7].map((id) => `CONSULTA_DOCUMENTO:${id}`)
       );
+      expect(filas[7]).toEqual({
+        id: 'CONSULTA_PAGINA:TODOS:2',
+        title: 'Ver mas',
+        description: 'Documentos 8 a 14 de 16',
+      });
+      expect(filas.slice(8).map((fila) => fila.id)).toEqual([
+        'CONSULTA_FILTRO:PENDIENTES',
+        'CONSULTA_FILTRO:FIRMADOS',
+      ]);
+      expect(mockCtx.responderConLista.mock.calls[0][1]).toContain('Pagina 1 de 3');
     });
 
     test('debe mostrar mensaje SIN_DOCUMENTOS cuando no hay documentos', async () => {
@@ -100,6 +186,7 @@ describe('Consulta Documentos Flow', () => {
       expect(mockCtx.responder).toHaveBeenCalledWith(
         expect.stringContaining('No tienes documentos')
       );
+      expect(mockCtx.responderConLista).not.toHaveBeenCalled();
       expect(mockCtx.finalizar).toHaveBeenCalled();
     });
 
@@ -127,9 +214,93 @@ describe('Consulta Documentos Flow', () => {
   });
 
   // ===========================================================
-  // handleSeleccionDocumento
+  // Paginas y filtros (CONSULTA_PAGINA / CONSULTA_FILTRO)
   // ===========================================================
-  describe('handleSeleccionDocumento()', () => {
+  describe('paginas y filtros', () => {
+    beforeEach(() => {
+      // 12 pendientes (IDs 1-12) y 4 firmados (IDs 13-16)
+      db.getDocumentosFirmaPorTelefono.mockResolvedValue(crearDocumentos(16, 12));
+    });
+
+    test('"Ver mas" debe enviar la siguiente pagina del mismo filtro', async () => {
+      await handlePaginaDocumentos(mockCtx, createConsultaDocumentosSession(), 'TODOS:3');
+
+      const filas = filasEnviadas();
+      expect(filas.map((fila) => fila.id)).toEqual([
+        'CONSULTA_DOCUMENTO:15',
+        'CONSULTA_DOCUMENTO:16',
+        'CONSULTA_FILTRO:PENDIENTES',
+        'CONSULTA_FILTRO:FIRMADOS',
+      ]);
+      expect(mockCtx.cambiarEstado).toHaveBeenCalledWith('CONSULTA_DOCUMENTOS', {
+        filtro: 'TODOS',
+        pagina: 3,
+      });
+    });
+
+    test('debe ajustar una pagina fuera de rango a la ultima', async () => {
+      await handlePaginaDocumentos(mockCtx, createConsultaDocumentosSession(), 'FIRMADOS:9');
+
+      expect(mockCtx.cambiarEstado).toHaveBeenCalledWith('CONSULTA_DOCUMENTOS', {
+        filtro: 'FIRMADOS',
+        pagina: 1,
+      });
+    });
+
+    test('el filtro de pendientes debe listar solo documentos por firmar', async () => {
+      await handleFiltroDocumentos(mockCtx, createConsultaDocumentosSession(), 'PENDIENTES');
+
+      const filas = filasEnviadas();
+      expect(filas.slice(0, 7).map((fila) => fila.id)).toEqual(
+        [1, 2, 3, 4, 5, 6, 7].map((id) => `CONSULTA_DOCUMENTO:${id}`)
+      );
+      expect(filas[7].id).toBe('CONSULTA_PAGINA:PENDIENTES:2');
+      expect(filas.slice(8).map((fila) => fila.id)).toEqual([
+        'CONSULTA_FILTRO:FIRMADOS',
+        'CONSULTA_FILTRO:TODOS',
+      ]);
+      expect(mockCtx.responderConLista.mock.calls[0][1]).toContain('*12* documentos pendientes');
+    });
+
+    test('el filtro de firmados debe listar solo documentos FIRMADO', async () => {
+      await handleFiltroDocumentos(mockCtx, createConsultaDocumentosSession(), 'FIRMADOS');
+
+      expect(filasEnviadas().map((fila) => fila.id)).toEqual([
+        'CONSULTA_DOCUMENTO:13',
+        'CONSULTA_DOCUMENTO:14',
+        'CONSULTA_DOCUMENTO:15',
+        'CONSULTA_DOCUMENTO:16',
+        'CONSULTA_FILTRO:PENDIENTES',
+        'CONSULTA_FILTRO:TODOS',
+      ]);
+    });
+
+    test('un filtro sin documentos debe ofrecer solo los otros filtros', async () => {
+      db.getDocumentosFirmaPorTelefono.mockResolvedValue(crearDocumentos(11));
+
+      await handleFiltroDocumentos(mockCtx, createConsultaDocumentosSession(), 'FIRMADOS');
+
+      expect(mockCtx.responderConLista.mock.calls[0][1]).toContain('No tienes documentos firmados');
+      expect(filasEnviadas().map((fila) => fila.id)).toEqual([
+        'CONSULTA_FILTRO:PENDIENTES',
+        'CONSULTA_FILTRO:TODOS',
+      ]);
+    });
+
+    test('un filtro desconocido debe listar todos los documentos', async () => {
+      await handleFiltroDocumentos(mockCtx, createConsultaDocumentosSession(), 'BORRADOS');
+
+      expect(mockCtx.cambiarEstado).toHaveBeenCalledWith('CONSULTA_DOCUMENTOS', {
+        filtro: 'TODOS',
+        pagina: 1,
+      });
+    });
+  });
+
+  // ===========================================================
+  // handleDocumentoSeleccionado (CONSULTA_DOCUMENTO:{id})
+  // ===========================================================
+  describe('handleDocumentoSeleccionado()', () => {
     const docsList = [
       {
         DocumentoFirmaId: 1,
@@ -148,81 +319,159 @@ describe('Consulta Documentos Flow', () => {
         FechaCreacion: new Date(),
         SigningUrl: null,
         SapDocumentId: 'SAP-002',
+        DocumentoFirmadoUrl: 'https://blob/documentos-firma/documentos/SAP-002/1_firmado.pdf',
       },
     ];
 
     beforeEach(() => {
-      mockCtx.getDatos.mockReturnValue({ documentos: docsList });
+      db.getDocumentosFirmaPorTelefono.mockResolvedValue(docsList);
+      mockCtx.getDatos.mockReturnValue({ filtro: 'TODOS', pagina: 2 });
+      blobService.downloadFromUrl.mockResolvedValue(Buffer.from('signed-pdf'));
+      whatsapp.sendDocument.mockResolvedValue('wamid.document_123');
     });
 
-    test('debe mostrar detalle del documento seleccionado por numero', async () => {
+    test('debe mostrar detalle del documento elegido en la lista', async () => {
       const session = createConsultaDocumentosSession();
 
-      await handleSeleccionDocumento(mockCtx, '1', session);
+      await handleDocumentoSeleccionado(mockCtx, session, '1');
 
       expect(mockCtx.responder).toHaveBeenCalled();
       const respuesta = mockCtx.responder.mock.calls[0][0];
       expect(respuesta).toContain('Contrato A');
     });
 
-    test('debe cambiar a CONSULTA_DETALLE con indice del documento', async () => {
+    test('debe cambiar a CONSULTA_DETALLE conservando filtro y pagina', async () => {
+      const session = createConsultaDocumentosSession();
+
+      await handleDocumentoSeleccionado(mockCtx, session, '2');
+
+      expect(mockCtx.cambiarEstado).toHaveBeenCalledWith('CONSULTA_DETALLE', {
+        filtro: 'TODOS',
+        pagina: 2,
+        documentoSeleccionado: 2,
+      });
+    });
+
+    test('debe enviar el PDF firmado al seleccionar un documento FIRMADO', async () => {
       const session = createConsultaDocumentosSession();
 
-      await handleSeleccionDocumento(mockCtx, '2', session);
+      await handleDocumentoSeleccionado(mockCtx, session, '2');
 
-      expect(mockCtx.cambiarEstado).toHaveBeenCalledWith(
-        'CONSULTA_DETALLE',
-        expect.objectContaining({
-          documentoSeleccionado: 1,
-        })
+      expect(blobService.downloadFromUrl).toHaveBeenCalledWith(docsList[1].DocumentoFirmadoUrl);
+      expect(whatsapp.sendDocument).toHaveBeenCalledWith(
+        '+5215512345678',
+        Buffer.from('signed-pdf'),
+        'SAP-002_firmado.pdf',
+        'Pagare B'
       );
     });
 
-    test('debe rechazar numero fuera de rango', async () => {
+    test('no debe enviar PDF para documentos sin firmar', async () => {
       const session = createConsultaDocumentosSession();
 
-      await handleSeleccionDocumento(mockCtx, '5', session);
+      await handleDocumentoSeleccionado(mockCtx, session, '1');
 
-      expect(mockCtx.responder).toHaveBeenCalledWith(expect.stringContaining('No encontre'));
+      expect(whatsapp.sendDocument).not.toHaveBeenCalled();
     });
 
-    test('debe rechazar numero 0', async () => {
+    test('debe ofrecer Firmar, Rechazar y Ver PDF con el ID de un documento pendiente', async () => {
       const session = createConsultaDocumentosSession();
 
-      await handleSeleccionDocumento(mockCtx, '0', session);
+      await handleDocumentoSeleccionado(mockCtx, session, '1');
 
-      expect(mockCtx.responder).toHaveBeenCalledWith(expect.stringContaining('No encontre'));
+      expect(mockCtx.responderConBotones).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.stringContaining('Contrato A'),
+        [
+          { id: 'FIRMAR_DOCUMENTO:1', title: 'Firmar' },
+          { id: 'RECHAZAR_DOCUMENTO:1', title: 'Rechazar' },
+          { id: 'VER_PDF_DOCUMENTO:1', title: 'Ver PDF' },
+        ]
+      );
     });
 
-    test('debe rechazar texto no numerico', async () => {
+    test('no debe ofrecer acciones para un documento FIRMADO', async () => {
       const session = createConsultaDocumentosSession();
 
-      await handleSeleccionDocumento(mockCtx, 'abc', session);
+      await handleDocumentoSeleccionado(mockCtx, session, '2');
 
-      expect(mockCtx.responder).toHaveBeenCalledWith(expect.stringContaining('No encontre'));
+      expect(mockCtx.responderConBotones).not.toHaveBeenCalled();
     });
 
-    test('debe volver a listar documentos con "volver"', async () => {
+    test('debe avisar si el PDF firmado aun no esta disponible', async () => {
       db.getDocumentosFirmaPorTelefono.mockResolvedValue([
-        createDocumentoEnviado({ ClienteTelefono: '+5215512345678' }),
+        { ...docsList[1], DocumentoFirmadoUrl: null },
       ]);
       const session = createConsultaDocumentosSession();
 
-      await handleSeleccionDocumento(mockCtx, 'volver', session);
+      await handleDocumentoSeleccionado(mockCtx, session, '2');
+
+      expect(whatsapp.sendDocument).not.toHaveBeenCalled();
+      expect(mockCtx.responder).toHaveBeenCalledWith(expect.stringContaining('aun no esta'));
+      expect(mockCtx.cambiarEstado).toHaveBeenCalledWith('CONSULTA_DETALLE', expect.any(Object));
+    });
+
+    test('debe informar el error si falla el envio del PDF', async () => {
+      whatsapp.sendDocument.mockRejectedValue(new Error('WhatsApp down'));
+      const session = createConsultaDocumentosSession();
+
+      await handleDocumentoSeleccionado(mockCtx, session, '2');
+
+      expect(mockCtx.registrarError).toHaveBeenCalled();
+      expect(mockCtx.responder).toHaveBeenCalledWith(expect.stringContaining('No pude enviarte'));
+      expect(mockCtx.cambiarEstado).toHaveBeenCalledWith('CONSULTA_DETALLE', expect.any(Object));
+    });
+
+    test('debe rechazar un documento que no es del usuario', async () => {
+      const session = createConsultaDocumentosSession();
+
+      await handleDocumentoSeleccionado(mockCtx, session, '99');
+
+      expect(mockCtx.responder).toHaveBeenCalledWith(expect.stringContaining('No encontre'));
+      expect(mockCtx.cambiarEstado).not.toHaveBeenCalled();
+    });
+
+    test('debe manejar error de BD mostrando mensaje generico', async () => {
+      db.getDocumentosFirmaPorTelefono.mockRejectedValue(new Error('DB error'));
+      const session = createConsultaDocumentosSession();
+
+      await handleDocumentoSeleccionado(mockCtx, session, '1');
+
+      expect(mockCtx.registrarError).toHaveBeenCalled();
+      expect(mockCtx.responder).toHaveBeenCalledWith(expect.stringContaining('error'));
+      expect(mockCtx.cambiarEstado).not.toHaveBeenCalled();
+    });
+  });
 
-      // Re-lista documentos (llama handleConsultaIniciada internamente)
-      expect(db.getDocumentosFirmaPorTelefono).toHaveBeenCalled();
+  // ===========================================================
+  // handleSeleccionDocumento (texto en CONSULTA_DOCUMENTOS)
+  // ===========================================================
+  describe('handleSeleccionDocumento()', () => {
+    beforeEach(() => {
+      db.getDocumentosFirmaPorTelefono.mockResolvedValue(crearDocumentos(16));
+      mockCtx.getDatos.mockReturnValue({ filtro: 'TODOS', pagina: 2 });
     });
 
-    test('debe manejar lista de documentos vacia', async () => {
-      mockCtx.getDatos.mockReturnValue({ documentos: [] });
+    test('debe pedir elegir de la lista en lugar de escribir un numero', async () => {
       const session = createConsultaDocumentosSession();
 
       await handleSeleccionDocumento(mockCtx, '1', session);
 
-      expect(mockCtx.responder).toHaveBeenCalledWith(
-        expect.stringContaining('No tienes documentos')
-      );
+      expect(mockCtx.responder).toHaveBeenCalledWith(expect.stringContaining('Ver documentos'));
+      expect(mockCtx.responderConLista).not.toHaveBeenCalled();
+      expect(mockCtx.cambiarEstado).not.toHaveBeenCalled();
+    });
+
+    test('debe reenviar la misma pagina con "volver"', async () => {
+      const session = createConsultaDocumentosSession();
+
+      await handleSeleccionDocumento(mockCtx, 'volver', session);
+
+      expect(filasEnviadas()[0].id).toBe('CONSULTA_DOCUMENTO:8');
+      expect(mockCtx.cambiarEstado).toHaveBeenCalledWith('CONSULTA_DOCUMENTOS', {
+        filtro: 'TODOS',
+        pagina: 2,
+      });
     });
   });
 
@@ -230,76 +479,176 @@ describe('Consulta Documentos Flow', () => {
   // handleDetalleDocumento
   // ===========================================================
   describe('handleDetalleDocumento()', () => {
-    const docsList = [
-      {
-        DocumentoFirmaId: 1,
-        DocumentoNombre: 'Contrato A',
-        TipoDocumento: 'CONTRATO',
-        EstadoDocumento: 'ENVIADO',
-        FechaCreacion: new Date(),
-        SigningUrl: 'https://demo.docusign.net/signing/test',
-        SapDocumentId: 'SAP-001',
-      },
-    ];
-
     beforeEach(() => {
-      mockCtx.getDatos.mockReturnValue({
-        documentos: docsList,
-        documentoSeleccionado: 0,
-      });
+      db.getDocumentosFirmaPorTelefono.mockResolvedValue(crearDocumentos(2));
+      mockCtx.getDatos.mockReturnValue({ filtro: 'TODOS', pagina: 1, documentoSeleccionado: 1 });
     });
 
-    test('debe volver a lista con "volver"', async () => {
-      db.getDocumentosFirmaPorTelefono.mockResolvedValue([
-        createDocumentoEnviado({ ClienteTelefono: '+5215512345678' }),
-      ]);
-      const session = createConsultaDocumentosSession();
+    test('debe volver a la lista con "volver"', async () => {
+      const session = createConsultaDetalleSession();
 
       await handleDetalleDocumento(mockCtx, 'volver', session);
 
-      expect(db.getDocumentosFirmaPorTelefono).toHaveBeenCalled();
+      expect(mockCtx.responderConLista).toHaveBeenCalled();
+      expect(mockCtx.cambiarEstado).toHaveBeenCalledWith('CONSULTA_DOCUMENTOS', expect.any(Object));
     });
 
     test('debe aceptar "atras" como variante de volver', async () => {
-      db.getDocumentosFirmaPorTelefono.mockResolvedValue([
-        createDocumentoEnviado({ ClienteTelefono: '+5215512345678' }),
-      ]);
-      const session = createConsultaDocumentosSession();
+      const session = createConsultaDetalleSession();
 
       await handleDetalleDocumento(mockCtx, 'atras', session);
 
-      expect(db.getDocumentosFirmaPorTelefono).toHaveBeenCalled();
+      expect(mockCtx.responderConLista).toHaveBeenCalled();
+    });
+
+    test('debe dar indicaciones para texto no reconocido', async () => {
+      const session = createConsultaDetalleSession();
+
+      await handleDetalleDocumento(mockCtx, 'algo random', session);
+
+      expect(mockCtx.responder).toHaveBeenCalledWith(expect.stringContaining('volver'));
+      expect(mockCtx.responderConLista).not.toHaveBeenCalled();
     });
+  });
+
+  // ===========================================================
+  // Botones del detalle (FIRMAR_DOCUMENTO / VER_PDF_DOCUMENTO)
+  // ===========================================================
+  describe('acciones del detalle', () => {
+    const enlaceOriginal = { ...config.firma.enlace };
+    let documento;
 
-    test('debe navegar a otro documento por numero', async () => {
-      mockCtx.getDatos.mockReturnValue({
-        documentos: [
-          docsList[0],
+    beforeEach(() => {
+      config.firma.enlace.secret = 'test-firma-link-secret';
+      config.firma.enlace.baseUrl = 'https://signbot.test/api/firma';
+
+      documento = createDocumentoEnviado({
+        DocumentoFirmaId: 41,
+        ClienteTelefono: '+5215512345678',
+        DocumentoNombre: 'Contrato A',
+        SapDocumentId: 'SAP-041',
+        DocumentoOriginalUrl: 'https://blob/documentos-firma/documentos/SAP-041/original.pdf',
+      });
+      db.getDocumentosFirmaPorTelefono.mockResolvedValue([documento]);
+      blobService.downloadFromUrl.mockResolvedValue(Buffer.from('original-pdf'));
+      whatsapp.sendDocument.mockResolvedValue('wamid.document_456');
+    });
+
+    afterEach(() => {
+      Object.assign(config.firma.enlace, enlaceOriginal);
+    });
+
+    test('Firmar debe enviar un boton URL con un token nuevo del documento', async () => {
+      await handleFirmarDocumento(mockCtx, createConsultaDocumentosSession(), '41');
+
+      expect(mockCtx.responderConEnlace).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.stringContaining('Contrato A'),
+        'Firmar documento',
+        expect.stringMatching(/^https:\/\/signbot\.test\/api\/firma\/[A-Za-z0-9_-]+$/)
+      );
+      const url = mockCtx.responderConEnlace.mock.calls[0][3];
+      const token = url.split('/').pop();
+      expect(firmaToken.leerToken(token)).toEqual({ documentoFirmaId: 41, recipientId: null });
+      expect(firmaToken.verificarToken(token, '+5215512345678')).toBe(true);
+    });
+
+    describe('documento multi-firmante', () => {
+      function crearFirmantes(estadoCliente, estadoAval) {
+        return [
+          {
+            FirmanteId: 11,
+            RecipientId: '1',
+            Telefono: '+5215598765432',
+            EstadoFirmante: estadoAval,
+          },
           {
-            DocumentoFirmaId: 2,
-            DocumentoNombre: 'Pagare B',
-            TipoDocumento: 'PAGARE',
-            EstadoDocumento: 'FIRMADO',
-            FechaCreacion: new Date(),
-            SapDocumentId: 'SAP-002',
+            FirmanteId: 12,
+            RecipientId: '2',
+            Telefono: '+5215512345678',
+            EstadoFirmante: estadoCliente,
           },
-        ],
-        documentoSeleccionado: 0,
+        ];
+      }
+
+      test('Firmar debe generar el token con el recipientId del firmante en turno', async () => {
+        db.getFirmantesDocumento.mockResolvedValue(crearFirmantes('NOTIFICADO', 'FIRMADO'));
+
+        await handleFirmarDocumento(mockCtx, createConsultaDocumentosSession(), '41');
+
+        expect(db.getFirmantesDocumento).toHaveBeenCalledWith(41);
+        const token = mockCtx.responderConEnlace.mock.calls[0][3].split('/').pop();
+        expect(firmaToken.leerToken(token)).toEqual({ documentoFirmaId: 41, recipientId: '2' });
+        expect(firmaToken.verificarToken(token, '+5215512345678')).toBe(true);
       });
-      const session = createConsultaDocumentosSession();
 
-      await handleDetalleDocumento(mockCtx, '2', session);
+      test('Firmar no debe enviar el enlace si no es el turno del usuario', async () => {
+        db.getFirmantesDocumento.mockResolvedValue(crearFirmantes('PENDIENTE', 'NOTIFICADO'));
+
+        await handleFirmarDocumento(mockCtx, createConsultaDocumentosSession(), '41');
 
-      // Delega a handleSeleccionDocumento
+        expect(mockCtx.responderConEnlace).not.toHaveBeenCalled();
+        expect(mockCtx.responder).toHaveBeenCalledWith(expect.stringContaining('tu turno'));
+      });
+    });
+
+    test('Firmar debe avisar si el enlace de firma no esta configurado', async () => {
+      config.firma.enlace.baseUrl = '';
+
+      await handleFirmarDocumento(mockCtx, createConsultaDocumentosSession(), '41');
+
+      expect(mockCtx.responderConEnlace).not.toHaveBeenCalled();
+      expect(mockCtx.responder).toHaveBeenCalledWith(expect.stringContaining('enlace'));
+    });
+
+    test('Firmar debe informar si el documento ya no esta pendiente', async () => {
+      db.getDocumentosFirmaPorTelefono.mockResolvedValue([
+        { ...documento, EstadoDocumento: 'FIRMADO' },
+      ]);
+
+      await handleFirmarDocumento(mockCtx, createConsultaDocumentosSession(), '41');
+
+      expect(mockCtx.responderConEnlace).not.toHaveBeenCalled();
+      expect(mockCtx.responder).toHaveBeenCalledWith(expect.stringContaining('Firmado'));
+    });
+
+    test('Firmar no debe aceptar documentos de otro usuario', async () => {
+      await handleFirmarDocumento(mockCtx, createConsultaDocumentosSession(), '99');
+
+      expect(mockCtx.responderConEnlace).not.toHaveBeenCalled();
+      expect(mockCtx.responder).toHaveBeenCalledWith(expect.stringContaining('No encontre'));
+    });
+
+    test('Ver PDF debe enviar el PDF original como vista previa', async () => {
+      await handleVerPdfDocumento(mockCtx, createConsultaDocumentosSession(), '41');
+
+      expect(blobService.downloadFromUrl).toHaveBeenCalledWith(documento.DocumentoOriginalUrl);
+      expect(whatsapp.sendDocument).toHaveBeenCalledWith(
+        '+5215512345678',
+        Buffer.from('original-pdf'),
+        'SAP-041_vista_previa.pdf',
+        expect.stringContaining('solo lectura')
+      );
+    });
+
+    test('Ver PDF debe avisar si el documento no tiene PDF original', async () => {
+      db.getDocumentosFirmaPorTelefono.mockResolvedValue([
+        { ...documento, DocumentoOriginalUrl: null },
+      ]);
+
+      await handleVerPdfDocumento(mockCtx, createConsultaDocumentosSession(), '41');
+
+      expect(whatsapp.sendDocument).not.toHaveBeenCalled();
       expect(mockCtx.responder).toHaveBeenCalled();
     });
 
-    test('debe dar indicaciones para texto no reconocido', async () => {
-      const session = createConsultaDocumentosSession();
+    test('Ver PDF debe informar el error si falla la descarga', async () => {
+      blobService.downloadFromUrl.mockRejectedValue(new Error('Blob down'));
 
-      await handleDetalleDocumento(mockCtx, 'algo random', session);
+      await handleVerPdfDocumento(mockCtx, createConsultaDocumentosSession(), '41');
 
-      expect(mockCtx.responder).toHaveBeenCalledWith(expect.stringContaining('numero'));
+      expect(mockCtx.registrarError).toHaveBeenCalled();
+      expect(whatsapp.sendDocument).not.toHaveBeenCalled();
     });
   });
 });
@@ -0,0 +1,215 @@
+/**
+ * Unit Test: Datos Firmante Flow
+ * Verifica la captura de email, RFC y nombre legal con FlexibleFlowContext:
+ * inicio desde el quick reply, validacion, confirmacion, correccion y cancelacion
+ */
+
+jest.mock('../../core/services/infrastructure/appInsightsService', () =>
+  require('../__mocks__/appInsightsService.mock')
+);
+jest.mock('../../core/services/external/whatsappService', () =>
+  require('../__mocks__/whatsappService.mock')
+);
+jest.mock('../../core/services/storage/databaseService', () =>
+  require('../__mocks__/databaseService.mock')
+);
+jest.mock('../../core/services/infrastructure/metricsService', () =>
+  require('../__mocks__/metricsService.mock')
+);
+jest.mock('../../core/services/infrastructure/errorHandler', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+jest.mock('../../core/services/processing/sapDocumentProcessor', () => ({
+  completarDatosFirmante: jest.fn(),
+}));
+
+const FlexibleFlowContext = require('../../core/flowEngine/contexts/FlexibleFlowContext');
+const datosFirmanteFlow = require('../../bot/flows/datosFirmanteFlow');
+const db = require('../../core/services/storage/databaseService');
+const whatsapp = require('../../core/services/external/whatsappService');
+const sapDocumentProcessor = require('../../core/services/processing/sapDocumentProcessor');
+const { ESTADO } = require('../../bot/constants/sessionStates');
+const { BUTTONS } = require('../../bot/constants/messages');
+const {
+  createDocumentoPendiente,
+  createDocumentoEnviado,
+} = require('../factories/documentoFactory');
+
+const TELEFONO = '+5215512345678';
+
+describe('Datos Firmante Flow', () => {
+  let session;
+  let ctx;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.__reset();
+
+    session = { Estado: ESTADO.INICIO, Version: 1, DatosTemp: null };
+    db.__setSession(TELEFONO, session);
+    ctx = new FlexibleFlowContext(TELEFONO, session, global.createMockContext(), {
+      flowName: 'DATOS_FIRMANTE',
+    });
+
+    sapDocumentProcessor.completarDatosFirmante.mockResolvedValue(true);
+  });
+
+  function registrarDocumento(overrides = {}) {
+    db.getDocumentosFirmaPorTelefono.mockResolvedValue([
+      createDocumentoPendiente({
+        DocumentoFirmaId: 42,
+        ClienteTelefono: TELEFONO,
+        DocumentoNombre: 'Contrato 42',
+        DatosPendientes: '["EMAIL","RFC"]',
+        ...overrides,
+      }),
+    ]);
+  }
+
+  function ultimoTexto() {
+    return whatsapp.sendAndSaveText.mock.calls.at(-1)[1];
+  }
+
+  async function capturarDatosValidos() {
+    registrarDocumento();
+    await datosFirmanteFlow.handleRecopilacionIniciada(ctx, session, '42');
+    await datosFirmanteFlow.handleDatoRecibido(ctx, ' Cliente@Correo.MX ', session);
+    await datosFirmanteFlow.handleDatoRecibido(ctx, 'xaxx-010101-000', session);
+  }
+
+  // ===========================================================
+  // DEFINICION
+  // ===========================================================
+  test('debe registrarse con contexto flexible y el quick reply COMPLETAR_DATOS', () => {
+    expect(datosFirmanteFlow.contexto).toBe('flexible');
+    expect(datosFirmanteFlow.estados).toEqual([ESTADO.RECOPILANDO_DATOS, ESTADO.CONFIRMANDO_DATOS]);
+    expect(datosFirmanteFlow.botones.COMPLETAR_DATOS).toBe('handleRecopilacionIniciada');
+  });
+
+  // ===========================================================
+  // INICIO
+  // ===========================================================
+  describe('handleRecopilacionIniciada()', () => {
+    test('debe cargar los datos pendientes y pedir el primero', async () => {
+      registrarDocumento();
+
+      await datosFirmanteFlow.handleRecopilacionIniciada(ctx, session, '42');
+
+      expect(ctx.getEstado()).toBe(ESTADO.RECOPILANDO_DATOS);
+      expect(ctx.getCamposFaltantes().map((campo) => campo.nombre)).toEqual(['EMAIL', 'RFC']);
+      expect(ctx.getCampoSolicitado()).toBe('EMAIL');
+      expect(whatsapp.sendAndSaveText.mock.calls[0][1]).toContain('correo electronico y RFC');
+      expect(ultimoTexto()).toContain('correo electronico');
+    });
+
+    test('no debe iniciar si el documento no es del usuario', async () => {
+      registrarDocumento();
+
+      await datosFirmanteFlow.handleRecopilacionIniciada(ctx, session, '99');
+
+      expect(ctx.getEstado()).toBe(ESTADO.INICIO);
+      expect(db.updateSession).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      ['ya fue enviado', () => createDocumentoEnviado({ DatosPendientes: null })],
+      ['no tiene datos pendientes', () => createDocumentoPendiente({ DatosPendientes: null })],
+    ])('no debe iniciar si el documento %s', async (_caso, crear) => {
+      db.getDocumentosFirmaPorTelefono.mockResolvedValue([
+        { ...crear(), DocumentoFirmaId: 42, DocumentoNombre: 'Contrato 42' },
+      ]);
+
+      await datosFirmanteFlow.handleRecopilacionIniciada(ctx, session, '42');
+
+      expect(ctx.getEstado()).toBe(ESTADO.INICIO);
+      expect(ultimoTexto()).toContain('Contrato 42');
+    });
+  });
+
+  // ===========================================================
+  // CAPTURA
+  // ===========================================================
+  describe('handleDatoRecibido()', () => {
+    test('debe volver a pedir un dato invalido sin avanzar', async () => {
+      registrarDocumento();
+      await datosFirmanteFlow.handleRecopilacionIniciada(ctx, session, '42');
+
+      await datosFirmanteFlow.handleDatoRecibido(ctx, 'cliente-sin-arroba', session);
+
+      expect(ctx.getCampoSolicitado()).toBe('EMAIL');
+      expect(ctx.campoEstaCompleto('EMAIL')).toBe(false);
+    });
+
+    test('con todos los datos debe normalizarlos y pedir confirmacion', async () => {
+      await capturarDatosValidos();
+
+      expect(ctx.getEstado()).toBe(ESTADO.CONFIRMANDO_DATOS);
+      expect(ctx.getDatos().datosAConfirmar).toEqual({
+        EMAIL: 'cliente@correo.mx',
+        RFC: 'XAXX010101000',
+      });
+      expect(whatsapp.sendAndSaveInteractive).toHaveBeenCalledWith(
+        TELEFONO,
+        'Confirma tus datos',
+        expect.stringContaining('XAXX010101000'),
+        [BUTTONS.CONFIRMAR_DATOS, BUTTONS.CORREGIR_DATOS]
+      );
+    });
+
+    test('"cancelar" debe terminar la captura sin guardar', async () => {
+      registrarDocumento();
+      await datosFirmanteFlow.handleRecopilacionIniciada(ctx, session, '42');
+
+      await datosFirmanteFlow.handleDatoRecibido(ctx, 'Cancelar', session);
+
+      expect(ctx.getEstado()).toBe('CANCELADO');
+      expect(sapDocumentProcessor.completarDatosFirmante).not.toHaveBeenCalled();
+    });
+  });
+
+  // ===========================================================
+  // CONFIRMACION Y CORRECCION
+  // ===========================================================
+  describe('confirmacion', () => {
+    test('confirmar debe guardar los datos y finalizar', async () => {
+      await capturarDatosValidos();
+
+      await datosFirmanteFlow.handleConfirmarDatos(ctx, session);
+
+      expect(sapDocumentProcessor.completarDatosFirmante).toHaveBeenCalledWith(
+        42,
+        { EMAIL: 'cliente@correo.mx', RFC: 'XAXX010101000' },
+        TELEFONO,
+        expect.objectContaining({ log: expect.any(Function), logError: expect.any(Function) })
+      );
+      expect(ctx.getEstado()).toBe(ESTADO.INICIO);
+      expect(ultimoTexto()).toContain('Contrato 42');
+    });
+
+    test('si falla el guardado debe quedarse en CONFIRMANDO_DATOS', async () => {
+      sapDocumentProcessor.completarDatosFirmante.mockRejectedValue(new Error('SQL timeout'));
+      await capturarDatosValidos();
+
+      await datosFirmanteFlow.handleRespuestaConfirmacion(ctx, 'si', session);
+
+      expect(ctx.getEstado()).toBe(ESTADO.CONFIRMANDO_DATOS);
+      expect(ultimoTexto()).toMatch(/error/i);
+    });
+
+    test('corregir debe volver a pedir todos los datos', async () => {
+      await capturarDatosValidos();
+
+      await datosFirmanteFlow.handleRespuestaConfirmacion(ctx, 'no', session);
+
+      expect(ctx.getEstado()).toBe(ESTADO.RECOPILANDO_DATOS);
+      expect(ctx.getCamposFaltantes()).toHaveLength(2);
+      expect(ctx.getCampoSolicitado()).toBe('EMAIL');
+    });
+
+    test('el boton de confirmar fuera de la captura no debe guardar nada', async () => {
+      await datosFirmanteFlow.handleConfirmarDatos(ctx, session);
+
+      expect(sapDocumentProcessor.completarDatosFirmante).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,346 @@
+/**
+ * Unit Test: Perfiles por Tipo de Documento
+ * Verifica la resolucion del perfil efectivo (documentProfileService), su uso en
+ * POST /api/sap-document y las rutas /api/admin/profiles
+ */
+
+jest.mock('../../core/services/infrastructure/appInsightsService', () =>
+  require('../__mocks__/appInsightsService.mock')
+);
+jest.mock('../../core/services/infrastructure/metricsService', () =>
+  require('../__mocks__/metricsService.mock')
+);
+jest.mock('../../core/services/infrastructure/correlationService', () => ({
+  generateCorrelationId: jest.fn(() => 'test-corr-id'),
+  getCorrelationId: jest.fn(() => 'test-corr-id'),
+}));
+jest.mock('../../core/services/infrastructure/auditService', () => ({
+  logAdminAccess: jest.fn(),
+}));
+jest.mock('../../core/services/messaging/serviceBusService', () => ({
+  ensureConnected: jest.fn(),
+  sendToQueue: jest.fn(),
+}));
+jest.mock('../../core/services/storage/blobService', () => ({
+  getContainerClient: jest.fn(),
+}));
+jest.mock('../../core/services/external/teamsService', () => ({
+  notifyError: jest.fn(),
+}));
+jest.mock('../../core/services/external/whatsappService', () =>
+  require('../__mocks__/whatsappService.mock')
+);
+jest.mock('../../core/services/external/docusignService', () =>
+  require('../__mocks__/docusignService.mock')
+);
+jest.mock('../../bot/repositories/IntentoNotificacionRepository', () => ({
+  registrar: jest.fn(),
+}));
+jest.mock('../../bot/repositories/DocumentoFirmaRepository', () => ({
+  crear: jest.fn(),
+  obtenerActivoPorSapDocumentId: jest.fn(),
+  actualizarEstado: jest.fn(),
+}));
+jest.mock('../../bot/repositories/PerfilTipoDocumentoRepository', () => ({
+  obtenerPorTipo: jest.fn(),
+  listar: jest.fn(),
+  guardar: jest.fn(),
+}));
+
+const sapDocumentEndpoint = require('../../api-sap-document');
+const profilesHandler = require('../../api-admin/handlers/profiles');
+const config = require('../../core/config');
+const audit = require('../../core/services/infrastructure/auditService');
+const blobService = require('../../core/services/storage/blobService');
+const docusignService = require('../../core/services/external/docusignService');
+const whatsappService = require('../../core/services/external/whatsappService');
+const documentoRepo = require('../../bot/repositories/DocumentoFirmaRepository');
+const perfilRepo = require('../../bot/repositories/PerfilTipoDocumentoRepository');
+const {
+  combinarPerfil,
+  validarDatosPerfil,
+} = require('../../core/services/processing/documentProfileService');
+const { createSapDocumentPayload } = require('../factories/sapPayloadFactory');
+const { createGetRequest, createPostRequest } = require('../factories/requestFactory');
+
+const TABS_PERFIL = [{ tipo: 'signHere', firmante: 1, anchor: '/firma_contrato/' }];
+
+function createPerfilRegistro(overrides = {}) {
+  return {
+    TipoDocumentoId: 1,
+    TipoDocumento: 'CONTRATO',
+    TipoDocumentoNombre: 'Contrato',
+    TemplateEnvio: null,
+    DiasExpiracion: null,
+    HorasRecordatorio: null,
+    MaxRecordatorios: null,
+    DiasHousekeeping: null,
+    EmailRequerido: false,
+    TabsFirma: null,
+    ...overrides,
+  };
+}
+
+describe('Perfiles por Tipo de Documento', () => {
+  let context;
+  const asyncEnabledOriginal = config.sapDocument.asyncEnabled;
+
+  beforeEach(() => {
+    context = global.createMockContext();
+    config.sapDocument.asyncEnabled = false;
+
+    blobService.getContainerClient.mockResolvedValue({
+      getBlockBlobClient: jest.fn(() => ({
+        url: 'https://blob/documentos/original.pdf',
+        upload: jest.fn().mockResolvedValue({}),
+      })),
+    });
+    docusignService.createEnvelope.mockResolvedValue({
+      envelopeId: 'test-envelope-123',
+      signingUrl: null,
+    });
+    whatsappService.sendTemplate.mockResolvedValue('wamid.template_123');
+
+    documentoRepo.obtenerActivoPorSapDocumentId.mockResolvedValue(null);
+    documentoRepo.crear.mockResolvedValue({ DocumentoFirmaId: 77, Version: 1 });
+    documentoRepo.actualizarEstado.mockResolvedValue(true);
+    perfilRepo.obtenerPorTipo.mockResolvedValue(null);
+  });
+
+  afterAll(() => {
+    config.sapDocument.asyncEnabled = asyncEnabledOriginal;
+  });
+
+  // ===========================================================
+  // PERFIL EFECTIVO
+  // ===========================================================
+  describe('combinarPerfil()', () => {
+    test('debe usar la configuracion global si el tipo no tiene perfil', () => {
+      const perfil = combinarPerfil('CONTRATO', null);
+
+      expect(perfil).toMatchObject({
+        templateEnvio: 'firma_envio',
+        diasExpiracion: config.docusign.envelopeExpirationDays,
+        horasRecordatorio: config.firma.reminderHoursCliente,
+        maxRecordatorios: config.firma.maxRecordatoriosCliente,
+        diasHousekeeping: config.firma.housekeepingDays,
+        emailRequerido: false,
+        tabs: null,
+      });
+    });
+
+    test('debe sobrescribir solo las columnas con valor', () => {
+      const perfil = combinarPerfil(
+        'CONTRATO',
+        createPerfilRegistro({
+          TemplateEnvio: 'firma_envio_contrato',
+          DiasExpiracion: 15,
+          EmailRequerido: true,
+          TabsFirma: JSON.stringify(TABS_PERFIL),
+        })
+      );
+
+      expect(perfil).toMatchObject({
+        templateEnvio: 'firma_envio_contrato',
+        diasExpiracion: 15,
+        horasRecordatorio: config.firma.reminderHoursCliente,
+        emailRequerido: true,
+        tabs: TABS_PERFIL,
+      });
+    });
+
+    test('debe leer los datos requeridos e ignorar un valor corrupto', () => {
+      const perfil = combinarPerfil(
+        'CONTRATO',
+        createPerfilRegistro({ DatosRequeridos: '["EMAIL","RFC"]' })
+      );
+
+      expect(perfil.datosRequeridos).toEqual(['EMAIL', 'RFC']);
+      expect(
+        combinarPerfil('CONTRATO', createPerfilRegistro({ DatosRequeridos: '["CURP"]' }))
+          .datosRequeridos
+      ).toEqual([]);
+    });
+
+    test('debe ignorar TabsFirma corrupto', () => {
+      const perfil = combinarPerfil('CONTRATO', createPerfilRegistro({ TabsFirma: '{no-json' }));
+
+      expect(perfil.tabs).toBeNull();
+    });
+  });
+
+  describe('validarDatosPerfil()', () => {
+    const perfil = { tipoDocumento: 'PAGARE', emailRequerido: true };
+
+    test('debe exigir email a cada firmante', () => {
+      const firmantes = [
+        { telefono: '5215511111111', nombre: 'A', email: 'a@example.com', rol: 'CLIENTE' },
+        { telefono: '5215522222222', nombre: 'B', rol: 'AVAL' },
+      ];
+
+      expect(validarDatosPerfil({ firmantes }, perfil)).toContain('firmantes.1.email');
+      expect(validarDatosPerfil({ clienteEmail: 'a@example.com' }, perfil)).toBeNull();
+      expect(validarDatosPerfil({}, { ...perfil, emailRequerido: false })).toBeNull();
+    });
+  });
+
+  // ===========================================================
+  // POST /api/sap-document
+  // ===========================================================
+  describe('POST /api/sap-document', () => {
+    test('debe rechazar con 400 si el perfil exige email y no se envio', async () => {
+      perfilRepo.obtenerPorTipo.mockResolvedValue(createPerfilRegistro({ EmailRequerido: true }));
+
+      await sapDocumentEndpoint(context, createPostRequest(createSapDocumentPayload()));
+
+      expect(context.res.status).toBe(400);
+      expect(context.res.body.error).toContain('clienteEmail');
+      expect(docusignService.createEnvelope).not.toHaveBeenCalled();
+    });
+
+    test('debe usar expiracion, tabs y template del perfil', async () => {
+      perfilRepo.obtenerPorTipo.mockResolvedValue(
+        createPerfilRegistro({
+          TemplateEnvio: 'firma_envio_contrato',
+          DiasExpiracion: 15,
+          TabsFirma: JSON.stringify(TABS_PERFIL),
+        })
+      );
+
+      await sapDocumentEndpoint(context, createPostRequest(createSapDocumentPayload()));
+
+      expect(context.res.status).toBe(201);
+      const [, , , , options] = docusignService.createEnvelope.mock.calls[0];
+      expect(options).toMatchObject({ expirationDays: 15, tabs: TABS_PERFIL });
+      const [, templatePayload] = whatsappService.sendTemplate.mock.calls[0];
+      expect(templatePayload.name).toBe('firma_envio_contrato');
+    });
+
+    test('debe preferir los tabs del payload sobre los del perfil', async () => {
+      perfilRepo.obtenerPorTipo.mockResolvedValue(
+        createPerfilRegistro({ TabsFirma: JSON.stringify(TABS_PERFIL) })
+      );
+      const tabs = [{ tipo: 'signHere', anchor: '/firma_sap/' }];
+
+      await sapDocumentEndpoint(context, createPostRequest(createSapDocumentPayload({ tabs })));
+
+      const [, , , , options] = docusignService.createEnvelope.mock.calls[0];
+      expect(options.tabs).toEqual(tabs);
+    });
+  });
+
+  // ===========================================================
+  // API ADMIN
+  // ===========================================================
+  describe('/api/admin/profiles', () => {
+    test('debe listar perfiles con valores guardados y efectivos', async () => {
+      perfilRepo.listar.mockResolvedValue([
+        createPerfilRegistro({ DiasExpiracion: 15 }),
+        createPerfilRegistro({ TipoDocumentoId: 4, TipoDocumento: 'OTRO' }),
+      ]);
+
+      await profilesHandler.list(context, createGetRequest());
+
+      expect(context.res.status).toBe(200);
+      const [contrato, otro] = context.res.body.profiles;
+      expect(contrato.guardado.diasExpiracion).toBe(15);
+      expect(contrato.efectivo.diasExpiracion).toBe(15);
+      expect(otro.guardado.diasExpiracion).toBeNull();
+      expect(otro.efectivo.diasExpiracion).toBe(config.docusign.envelopeExpirationDays);
+    });
+
+    test('debe guardar el perfil y registrar auditoria', async () => {
+      perfilRepo.guardar.mockResolvedValue(
+        createPerfilRegistro({ HorasRecordatorio: 24, TabsFirma: JSON.stringify(TABS_PERFIL) })
+      );
+
+      await profilesHandler.update(
+        context,
+        createPostRequest({ tipoDocumento: 'CONTRATO', horasRecordatorio: 24, tabs: TABS_PERFIL })
+      );
+
+      expect(context.res.status).toBe(200);
+      expect(perfilRepo.guardar).toHaveBeenCalledWith(
+        'CONTRATO',
+        expect.objectContaining({
+          HorasRecordatorio: 24,
+          DiasExpiracion: undefined,
+          EmailRequerido: false,
+          TabsFirma: JSON.stringify(TABS_PERFIL),
+        })
+      );
+      expect(audit.logAdminAccess).toHaveBeenCalledWith(
+        'profile_update',
+        expect.objectContaining({ tipoDocumento: 'CONTRATO' }),
+        expect.any(Object)
+      );
+      expect(context.res.body.profile.efectivo.horasRecordatorio).toBe(24);
+    });
+
+    test('debe guardar el calendario de recordatorios como JSON', async () => {
+      const calendario = { dias: [1, 3, 7], repetirCadaDias: 3 };
+      perfilRepo.guardar.mockResolvedValue(
+        createPerfilRegistro({ CalendarioRecordatorios: JSON.stringify(calendario) })
+      );
+
+      await profilesHandler.update(
+        context,
+        createPostRequest({ tipoDocumento: 'CONTRATO', calendarioRecordatorios: calendario })
+      );
+
+      expect(context.res.status).toBe(200);
+      expect(perfilRepo.guardar).toHaveBeenCalledWith(
+        'CONTRATO',
+        expect.objectContaining({ CalendarioRecordatorios: JSON.stringify(calendario) })
+      );
+      expect(context.res.body.profile.guardado.calendarioRecordatorios).toEqual(calendario);
+    });
+
+    test('debe guardar los datos requeridos del firmante como JSON', async () => {
+      perfilRepo.guardar.mockResolvedValue(createPerfilRegistro({ DatosRequeridos: '["RFC"]' }));
+
+      await profilesHandler.update(
+        context,
+        createPostRequest({ tipoDocumento: 'CONTRATO', datosRequeridos: ['RFC'] })
+      );
+
+      expect(context.res.status).toBe(200);
+      expect(perfilRepo.guardar).toHaveBeenCalledWith(
+        'CONTRATO',
+        expect.objectContaining({ DatosRequeridos: '["RFC"]' })
+      );
+      expect(context.res.body.profile.guardado.datosRequeridos).toEqual(['RFC']);
+    });
+
+    test('debe rechazar un calendario con dias desordenados', async () => {
+      await profilesHandler.update(
+        context,
+        createPostRequest({ tipoDocumento: 'CONTRATO', calendarioRecordatorios: { dias: [3, 1] } })
+      );
+
+      expect(context.res.status).toBe(400);
+      expect(context.res.body.error).toContain('calendarioRecordatorios.dias');
+      expect(perfilRepo.guardar).not.toHaveBeenCalled();
+    });
+
+    test('debe rechazar perfiles invalidos con 400', async () => {
+      await profilesHandler.update(
+        context,
+        createPostRequest({ tipoDocumento: 'CONTRATO', templateEnvio: 'Template Invalido' })
+      );
+
+      expect(context.res.status).toBe(400);
+      expect(context.res.body.error).toContain('templateEnvio');
+      expect(perfilRepo.guardar).not.toHaveBeenCalled();
+    });
+
+    test('debe retornar 404 si el tipo no existe en el catalogo', async () => {
+      perfilRepo.obtenerPorTipo.mockResolvedValue(null);
+
+      await profilesHandler.detail(context, createGetRequest({ query: { tipo: 'contrato' } }));
+
+      expect(context.res.status).toBe(404);
+      expect(perfilRepo.obtenerPorTipo).toHaveBeenCalledWith('CONTRATO');
+    });
+  });
+});
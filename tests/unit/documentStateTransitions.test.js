@@ -0,0 +1,301 @@
+/**
+ * Unit Test: Transiciones de Estado de Documento
+ * Verifica el guard de DocumentoFirmaRepository.actualizarEstado (cache y RAISERROR
+ * de sp_ActualizarEstadoDocumento), el reemplazo de version (sp_ReemplazarDocumentoFirma)
+ * y que el webhook de DocuSign ignore eventos tardios y no termine el documento por
+ * incidencias del destinatario (autenticacion fallida, correo rebotado)
+ */
+
+jest.mock('../../core/services/infrastructure/appInsightsService', () =>
+  require('../__mocks__/appInsightsService.mock')
+);
+jest.mock('../../core/services/infrastructure/metricsService', () =>
+  require('../__mocks__/metricsService.mock')
+);
+jest.mock('../../core/services/storage/connectionPool', () => ({
+  getPool: jest.fn(),
+  executeWithRetry: jest.fn(),
+}));
+
+const connectionPool = require('../../core/services/storage/connectionPool');
+const metrics = require('../../core/services/infrastructure/metricsService');
+const appInsights = require('../../core/services/infrastructure/appInsightsService');
+const documentoRepo = require('../../bot/repositories/DocumentoFirmaRepository');
+const { ConcurrencyError, InvalidStateTransitionError } = require('../../core/errors');
+const { ESTADO_DOCUMENTO_ID, ORIGEN_HISTORIAL } = require('../../bot/constants/documentStates');
+
+/**
+ * Error de mssql para un RAISERROR del SP
+ */
+function createSqlError(message, state) {
+  const error = new Error(message);
+  error.number = 50000;
+  error.state = state;
+  return error;
+}
+
+describe('DocumentoFirmaRepository.actualizarEstado() - transiciones', () => {
+  let request;
+
+  beforeEach(() => {
+    request = {
+      input: jest.fn().mockReturnThis(),
+      execute: jest.fn().mockResolvedValue({ recordset: [{ DocumentoFirmaId: 77 }] }),
+    };
+    connectionPool.getPool.mockResolvedValue({ request: () => request });
+    connectionPool.executeWithRetry.mockImplementation((fn) => fn());
+    metrics.startTimer.mockReturnValue({ end: jest.fn() });
+    documentoRepo.clearCache();
+  });
+
+  test('debe rechazar sin ir a BD si el documento en cache ya esta FIRMADO', async () => {
+    await documentoRepo.setInCacheAsync('doc:77', {
+      DocumentoFirmaId: 77,
+      EstadoDocumentoId: ESTADO_DOCUMENTO_ID.FIRMADO,
+      Version: 6,
+    });
+
+    await expect(
+      documentoRepo.actualizarEstado(
+        77,
+        ESTADO_DOCUMENTO_ID.ENTREGADO,
+        6,
+        {},
+        {
+          origen: ORIGEN_HISTORIAL.DOCUSIGN_WEBHOOK,
+        }
+      )
+    ).rejects.toMatchObject({
+      name: 'InvalidStateTransitionError',
+      estadoActual: 'FIRMADO',
+      estadoNuevo: 'ENTREGADO',
+    });
+    expect(request.execute).not.toHaveBeenCalled();
+    expect(metrics.recordError).toHaveBeenCalledWith(
+      'db_transicionDocumentoInvalida',
+      expect.stringContaining('FIRMADO -> ENTREGADO')
+    );
+    expect(appInsights.trackEvent).toHaveBeenCalledWith(
+      'document_state_transition_rejected',
+      expect.objectContaining({ documentoId: 77, origen: 'DOCUSIGN_WEBHOOK' })
+    );
+  });
+
+  test('debe dejar decidir al SP si la version en cache no coincide', async () => {
+    await documentoRepo.setInCacheAsync('doc:77', {
+      DocumentoFirmaId: 77,
+      EstadoDocumentoId: ESTADO_DOCUMENTO_ID.FIRMADO,
+      Version: 5,
+    });
+
+    await documentoRepo.actualizarEstado(77, ESTADO_DOCUMENTO_ID.ENTREGADO, 6);
+
+    expect(request.execute).toHaveBeenCalledWith('sp_ActualizarEstadoDocumento');
+  });
+
+  test('debe convertir el RAISERROR state 3 del SP en InvalidStateTransitionError', async () => {
+    request.execute.mockRejectedValue(
+      createSqlError('Transicion de estado no permitida para documento 77: 7 -> 4', 3)
+    );
+
+    const error = await documentoRepo
+      .actualizarEstado(77, ESTADO_DOCUMENTO_ID.VISTO, 3)
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(InvalidStateTransitionError);
+    expect(error.estadoActual).toBe('ANULADO');
+    expect(error.estadoNuevo).toBe('VISTO');
+    expect(metrics.recordError).toHaveBeenCalledWith(
+      'db_transicionDocumentoInvalida',
+      expect.any(String)
+    );
+  });
+
+  test('debe convertir el RAISERROR state 2 del SP en ConcurrencyError', async () => {
+    request.execute.mockRejectedValue(
+      createSqlError('Conflicto de concurrencia para documento: 77', 2)
+    );
+
+    await expect(
+      documentoRepo.actualizarEstado(77, ESTADO_DOCUMENTO_ID.VISTO, 3)
+    ).rejects.toBeInstanceOf(ConcurrencyError);
+    expect(metrics.recordError).not.toHaveBeenCalled();
+  });
+});
+
+describe('DocumentoFirmaRepository.reemplazarDocumento()', () => {
+  let request;
+
+  beforeEach(() => {
+    request = {
+      input: jest.fn().mockReturnThis(),
+      execute: jest.fn().mockResolvedValue({
+        recordset: [{ DocumentoFirmaId: 78, DocumentoAnteriorId: 77 }],
+      }),
+    };
+    connectionPool.getPool.mockResolvedValue({ request: () => request });
+    connectionPool.executeWithRetry.mockImplementation((fn) => fn());
+    metrics.startTimer.mockReturnValue({ end: jest.fn() });
+    documentoRepo.clearCache();
+  });
+
+  test('debe devolver la nueva version e invalidar la cache del envelope', async () => {
+    await documentoRepo.setInCacheAsync('env:env-77', { DocumentoFirmaId: 77 });
+
+    const nuevo = await documentoRepo.reemplazarDocumento(
+      77,
+      4,
+      { DocumentoOriginalUrl: 'https://blob/nuevo.pdf', EnvelopeId: 'env-77' },
+      { actor: 'admin 10.0.0.5', detalle: { motivo: 'Monto incorrecto' } }
+    );
+
+    expect(nuevo.DocumentoFirmaId).toBe(78);
+    expect(request.execute).toHaveBeenCalledWith('sp_ReemplazarDocumentoFirma');
+    expect(request.input).toHaveBeenCalledWith('OrigenAccion', expect.anything(), 'ADMIN');
+    expect(request.input).toHaveBeenCalledWith(
+      'Detalle',
+      expect.anything(),
+      JSON.stringify({ motivo: 'Monto incorrecto' })
+    );
+    expect(await documentoRepo.getFromCacheAsync('env:env-77')).toBeNull();
+  });
+
+  test('debe convertir el RAISERROR state 3 del SP en InvalidStateTransitionError', async () => {
+    request.execute.mockRejectedValue(
+      createSqlError('Transicion de estado no permitida para documento 77: 5 -> 7', 3)
+    );
+
+    const error = await documentoRepo
+      .reemplazarDocumento(77, 4, { DocumentoOriginalUrl: 'https://blob/nuevo.pdf' })
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(InvalidStateTransitionError);
+    expect(error.estadoActual).toBe('FIRMADO');
+    expect(error.estadoNuevo).toBe('ANULADO');
+  });
+});
+
+describe('DocuSign webhook - eventos fuera de orden', () => {
+  let webhook;
+  let repo;
+  let teamsService;
+  let sapCallbackService;
+  let audit;
+  let errors;
+  let context;
+
+  beforeEach(() => {
+    jest.isolateModules(() => {
+      jest.doMock('../../core/services/external/docusignService', () =>
+        require('../__mocks__/docusignService.mock')
+      );
+      jest.doMock('../../core/services/external/teamsService', () => ({
+        notifyError: jest.fn().mockResolvedValue(undefined),
+      }));
+      jest.doMock('../../core/services/external/sapCallbackService', () => ({
+        notificarCambioEstado: jest.fn().mockResolvedValue(undefined),
+      }));
+      jest.doMock('../../core/services/infrastructure/auditService', () => ({
+        logSignerVerificationFailure: jest.fn(),
+      }));
+      jest.doMock('../../bot/repositories/EventoDocuSignRepository', () => ({
+        registrar: jest.fn().mockResolvedValue({ isDuplicate: false }),
+      }));
+      jest.doMock('../../bot/repositories/DocumentoFirmaRepository', () => ({
+        obtenerPorEnvelopeId: jest.fn(),
+        actualizarEstado: jest.fn(),
+      }));
+
+      webhook = require('../../api-docusign-webhook');
+      repo = require('../../bot/repositories/DocumentoFirmaRepository');
+      teamsService = require('../../core/services/external/teamsService');
+      sapCallbackService = require('../../core/services/external/sapCallbackService');
+      audit = require('../../core/services/infrastructure/auditService');
+      errors = require('../../core/errors');
+      require('../../core/services/external/docusignService').validateWebhookHmac.mockReturnValue(
+        true
+      );
+    });
+
+    context = global.createMockContext();
+  });
+
+  function createRequest(event) {
+    return {
+      headers: { 'x-docusign-signature-1': 'firma' },
+      body: { event, data: { envelopeId: 'env-77', eventId: `evt-${event}` } },
+    };
+  }
+
+  test('envelope-delivered tardio no debe regresar un documento FIRMADO a ENTREGADO', async () => {
+    repo.obtenerPorEnvelopeId.mockResolvedValue({
+      DocumentoFirmaId: 77,
+      EstadoDocumento: 'FIRMADO',
+      EstadoDocumentoId: ESTADO_DOCUMENTO_ID.FIRMADO,
+      Version: 6,
+    });
+
+    await webhook(context, createRequest('envelope-delivered'));
+
+    expect(context.res.status).toBe(200);
+    expect(repo.actualizarEstado).not.toHaveBeenCalled();
+  });
+
+  test('debe responder 200 sin alertar a Teams si el repositorio rechaza la transicion', async () => {
+    repo.obtenerPorEnvelopeId.mockResolvedValue({
+      DocumentoFirmaId: 77,
+      EstadoDocumento: 'ANULADO',
+      EstadoDocumentoId: ESTADO_DOCUMENTO_ID.ANULADO,
+      Version: 8,
+    });
+    repo.actualizarEstado.mockRejectedValue(
+      new errors.InvalidStateTransitionError(77, 'ANULADO', 'VISTO')
+    );
+
+    await webhook(context, createRequest('recipient-viewed'));
+
+    expect(context.res.status).toBe(200);
+    expect(context.log.warn).toHaveBeenCalledWith(expect.stringContaining('ANULADO -> VISTO'));
+    expect(teamsService.notifyError).not.toHaveBeenCalled();
+  });
+
+  test('una autenticacion SMS fallida debe auditarse sin cambiar el estado', async () => {
+    repo.obtenerPorEnvelopeId.mockResolvedValue({
+      DocumentoFirmaId: 77,
+      EstadoDocumento: 'VISTO',
+      EstadoDocumentoId: ESTADO_DOCUMENTO_ID.VISTO,
+      Version: 4,
+    });
+
+    await webhook(context, createRequest('recipient-authenticationfailed'));
+
+    expect(context.res.status).toBe(200);
+    expect(audit.logSignerVerificationFailure).toHaveBeenCalledWith(
+      expect.objectContaining({ documentoId: 77, motivo: 'recipient-authenticationfailed' })
+    );
+    expect(repo.actualizarEstado).not.toHaveBeenCalled();
+    expect(sapCallbackService.notificarCambioEstado).not.toHaveBeenCalled();
+    expect(teamsService.notifyError).not.toHaveBeenCalled();
+  });
+
+  test('un correo rebotado debe alertar a Teams sin terminar el documento', async () => {
+    repo.obtenerPorEnvelopeId.mockResolvedValue({
+      DocumentoFirmaId: 77,
+      SapDocumentId: 'SAP-77',
+      EstadoDocumento: 'ENVIADO',
+      EstadoDocumentoId: ESTADO_DOCUMENTO_ID.ENVIADO,
+      Version: 2,
+    });
+
+    await webhook(context, createRequest('recipient-autoresponded'));
+
+    expect(context.res.status).toBe(200);
+    expect(teamsService.notifyError).toHaveBeenCalledWith(
+      'Correo de DocuSign no entregado',
+      expect.stringContaining('SAP-77'),
+      expect.objectContaining({ documentoId: 77 })
+    );
+    expect(repo.actualizarEstado).not.toHaveBeenCalled();
+    expect(sapCallbackService.notificarCambioEstado).not.toHaveBeenCalled();
+  });
+});
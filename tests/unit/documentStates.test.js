@@ -11,6 +11,9 @@ const {
   esEstadoRecordatorio,
   getEstadoDocumentoInfo,
   getEstadoDocumentoId,
+  getEstadoDocumentoCodigo,
+  esTransicionDocumentoPermitida,
+  TRANSICIONES_DOCUMENTO,
   getTipoDocumentoId,
 } = require('../../bot/constants/documentStates');
 
@@ -192,6 +195,54 @@ describe('Document States', () => {
     });
   });
 
+  describe('getEstadoDocumentoCodigo()', () => {
+    test('debe retornar el codigo para un ID de estado', () => {
+      expect(getEstadoDocumentoCodigo(5)).toBe('FIRMADO');
+    });
+
+    test('debe retornar null para ID desconocido', () => {
+      expect(getEstadoDocumentoCodigo(99)).toBeNull();
+    });
+  });
+
+  // ===========================================================
+  // TRANSICIONES
+  // ===========================================================
+  describe('esTransicionDocumentoPermitida()', () => {
+    test('debe definir transiciones para todos los estados', () => {
+      for (const estado of Object.values(ESTADO_DOCUMENTO)) {
+        expect(TRANSICIONES_DOCUMENTO.has(estado)).toBe(true);
+      }
+    });
+
+    test('debe permitir el ciclo normal ENVIADO -> ENTREGADO -> VISTO -> FIRMADO', () => {
+      expect(esTransicionDocumentoPermitida('PENDIENTE_ENVIO', 'ENVIADO')).toBe(true);
+      expect(esTransicionDocumentoPermitida('ENVIADO', 'ENTREGADO')).toBe(true);
+      expect(esTransicionDocumentoPermitida('ENTREGADO', 'VISTO')).toBe(true);
+      expect(esTransicionDocumentoPermitida('VISTO', 'FIRMADO')).toBe(true);
+    });
+
+    test('no debe permitir salir de FIRMADO ni de ANULADO', () => {
+      expect(esTransicionDocumentoPermitida('FIRMADO', 'ENTREGADO')).toBe(false);
+      expect(esTransicionDocumentoPermitida('FIRMADO', 'ANULADO')).toBe(false);
+      expect(esTransicionDocumentoPermitida('ANULADO', 'VISTO')).toBe(false);
+    });
+
+    test('no debe permitir regresar de VISTO a ENTREGADO', () => {
+      expect(esTransicionDocumentoPermitida('VISTO', 'ENTREGADO')).toBe(false);
+    });
+
+    test('debe permitir reenviar un documento RECHAZADO o en ERROR', () => {
+      expect(esTransicionDocumentoPermitida('RECHAZADO', 'ENVIADO')).toBe(true);
+      expect(esTransicionDocumentoPermitida('ERROR', 'ENVIADO')).toBe(true);
+    });
+
+    test('debe rechazar estados desconocidos', () => {
+      expect(esTransicionDocumentoPermitida('DESCONOCIDO', 'ENVIADO')).toBe(false);
+      expect(esTransicionDocumentoPermitida('ENVIADO', null)).toBe(false);
+    });
+  });
+
   describe('getTipoDocumentoId()', () => {
     test('debe retornar ID numerico para CONTRATO', () => {
       expect(getTipoDocumentoId('CONTRATO')).toBe(1);
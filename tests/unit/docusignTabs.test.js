@@ -0,0 +1,157 @@
+/**
+ * Unit Test: DocuSign Tabs
+ * Verifica la construccion de tabs en docusignService.createEnvelope:
+ * anclas por rol (default), tabs por anchor y por pagina/x/y, y la autenticacion
+ * SMS del firmante (perfil SMS_DOCUSIGN)
+ */
+
+jest.mock('../../core/services/infrastructure/appInsightsService', () =>
+  require('../__mocks__/appInsightsService.mock')
+);
+jest.mock('../../core/services/infrastructure/correlationService', () => ({
+  getCorrelationId: jest.fn(() => 'test-corr-id'),
+}));
+
+const mockCreateEnvelope = jest.fn();
+const mockCreateRecipientView = jest.fn();
+jest.mock('docusign-esign', () => {
+  const actual = jest.requireActual('docusign-esign');
+  return {
+    ...actual,
+    ApiClient: jest.fn(),
+    EnvelopesApi: jest.fn(),
+  };
+});
+
+const docusign = require('docusign-esign');
+const config = require('../../core/config');
+const docusignService = require('../../core/services/external/docusignService');
+
+// PDF minimo de 3 paginas (solo cuenta las entradas /Type /Page)
+const PDF_3_PAGINAS = Buffer.from(
+  '%PDF-1.4\n1 0 obj << /Type /Pages /Count 3 >>\n' +
+    '2 0 obj << /Type /Page >>\n3 0 obj << /Type /Page >>\n4 0 obj << /Type /Page >>\n%%EOF'
+);
+
+/**
+ * Obtiene los signers del envelopeDefinition enviado a DocuSign
+ */
+function getSigners() {
+  const [, { envelopeDefinition }] = mockCreateEnvelope.mock.calls[0];
+  return envelopeDefinition.recipients.signers;
+}
+
+describe('docusignService - tabs', () => {
+  beforeAll(() => {
+    config.docusign.rsaPrivateKey = config.docusign.rsaPrivateKey || 'test-key';
+  });
+
+  beforeEach(() => {
+    docusign.ApiClient.mockImplementation(() => ({
+      setBasePath: jest.fn(),
+      setOAuthBasePath: jest.fn(),
+      addDefaultHeader: jest.fn(),
+      requestJWTUserToken: jest.fn().mockResolvedValue({
+        body: { access_token: 'test-token', expires_in: 3600 },
+      }),
+    }));
+    docusign.EnvelopesApi.mockImplementation(() => ({
+      createEnvelope: mockCreateEnvelope,
+      createRecipientView: mockCreateRecipientView,
+    }));
+    mockCreateEnvelope.mockResolvedValue({ envelopeId: 'env-123' });
+    mockCreateRecipientView.mockResolvedValue({ url: 'https://demo.docusign.net/signing/x' });
+  });
+
+  afterEach(() => {
+    mockCreateEnvelope.mockReset();
+  });
+
+  test('debe usar firma y fecha en las anclas del cliente si no hay tabs', async () => {
+    await docusignService.createEnvelope(PDF_3_PAGINAS, 'a@b.com', 'Juan', 'Contrato');
+
+    const [signer] = getSigners();
+    expect(signer.tabs.signHereTabs).toHaveLength(1);
+    expect(signer.tabs.signHereTabs[0]).toMatchObject({
+      anchorString: '/firma_cliente/',
+      scaleValue: '1.5',
+    });
+    expect(signer.tabs.dateSignedTabs[0].anchorString).toBe('/fecha_firma/');
+  });
+
+  test('debe construir tabs por anchor y por coordenadas', async () => {
+    const tabs = [
+      { tipo: 'signHere', anchor: '/firma/', offsetX: 10, offsetY: -5 },
+      { tipo: 'text', pagina: 2, x: 100, y: 200, etiqueta: 'RFC', valor: 'XAXX010101000' },
+      { tipo: 'checkbox', pagina: 3, x: 50, y: 60, requerido: true },
+      { tipo: 'fullName', anchor: '/nombre/' },
+    ];
+
+    await docusignService.createEnvelope(PDF_3_PAGINAS, 'a@b.com', 'Juan', 'Contrato', { tabs });
+
+    const [signer] = getSigners();
+    expect(signer.tabs.signHereTabs[0]).toMatchObject({
+      anchorString: '/firma/',
+      anchorXOffset: '10',
+      anchorYOffset: '-5',
+    });
+    expect(signer.tabs.textTabs[0]).toMatchObject({
+      pageNumber: '2',
+      xPosition: '100',
+      yPosition: '200',
+      tabLabel: 'RFC',
+      value: 'XAXX010101000',
+    });
+    expect(signer.tabs.checkboxTabs[0]).toMatchObject({ pageNumber: '3', required: 'true' });
+    expect(signer.tabs.fullNameTabs[0].anchorString).toBe('/nombre/');
+    // Con tabs explicitos no se agregan las anclas por defecto
+    expect(signer.tabs.dateSignedTabs).toBeUndefined();
+  });
+
+  test('debe repetir los tabs con todasLasPaginas en cada pagina del PDF', async () => {
+    const tabs = [{ tipo: 'initialHere', todasLasPaginas: true, x: 500, y: 740 }];
+
+    await docusignService.createEnvelope(PDF_3_PAGINAS, 'a@b.com', 'Juan', 'Contrato', { tabs });
+
+    const [signer] = getSigners();
+    expect(signer.tabs.initialHereTabs.map((tab) => tab.pageNumber)).toEqual(['1', '2', '3']);
+  });
+
+  test('debe asignar tabs por firmante y usar anclas por rol en los demas', async () => {
+    const firmantes = [
+      { telefono: '5215512345678', nombre: 'Juan Perez', rol: 'CLIENTE' },
+      { telefono: '5215587654321', nombre: 'Maria Lopez', rol: 'AVAL' },
+    ];
+    const tabs = [{ tipo: 'signHere', firmante: 2, pagina: 3, x: 300, y: 600 }];
+
+    await docusignService.createEnvelope(PDF_3_PAGINAS, null, null, 'Contrato', {
+      firmantes,
+      tabs,
+    });
+
+    const [cliente, aval] = getSigners();
+    expect(cliente.tabs.signHereTabs[0].anchorString).toBe('/firma_cliente/');
+    expect(aval.tabs.signHereTabs[0]).toMatchObject({ pageNumber: '3', xPosition: '300' });
+    expect(aval.tabs.dateSignedTabs).toBeUndefined();
+  });
+
+  test('debe pedir autenticacion SMS a cada firmante con verificacionSms', async () => {
+    const firmantes = [
+      { telefono: '5215512345678', nombre: 'Juan Perez', rol: 'CLIENTE' },
+      { telefono: '5215587654321', nombre: 'Maria Lopez', rol: 'AVAL' },
+    ];
+
+    await docusignService.createEnvelope(PDF_3_PAGINAS, null, null, 'Pagare', {
+      firmantes,
+      verificacionSms: true,
+    });
+
+    const [cliente, aval] = getSigners();
+    expect(cliente).toMatchObject({
+      idCheckConfigurationName: 'SMS Auth $',
+      requireIdLookup: 'true',
+    });
+    expect(cliente.smsAuthentication.senderProvidedNumbers).toEqual(['+5215512345678']);
+    expect(aval.smsAuthentication.senderProvidedNumbers).toEqual(['+5215587654321']);
+  });
+});
@@ -137,6 +137,17 @@ describe('DocuSign Webhook Endpoint', () => {
       expect(data.voidedReason).toBeDefined();
     });
 
+    test('debe extraer recipientId de recipient-completed', () => {
+      const payload = createDocuSignWebhookPayload('env-321', 'recipient-completed', {
+        data: { accountId: 'test-account-id', envelopeId: 'env-321', recipientId: '2' },
+      });
+      const data = extractDocusignEventData(payload);
+
+      expect(data.event).toBe('recipient-completed');
+      expect(data.envelopeId).toBe('env-321');
+      expect(data.recipientId).toBe('2');
+    });
+
     test('debe retornar null para payload invalido', () => {
       const data = extractDocusignEventData(undefined);
       expect(data).toBeNull();
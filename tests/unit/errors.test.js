@@ -13,6 +13,7 @@ const {
   RateLimitError,
   ConfigurationError,
   ConcurrencyError,
+  InvalidStateTransitionError,
 } = require('../../core/errors');
 
 describe('Error Classes', () => {
@@ -168,4 +169,25 @@ describe('Error Classes', () => {
       expect(error.operation).toBe('updateSession');
     });
   });
+
+  // ===========================================================
+  // INVALID STATE TRANSITION ERROR
+  // ===========================================================
+  describe('InvalidStateTransitionError', () => {
+    test('debe crear error con documento, estado actual y estado nuevo', () => {
+      const error = new InvalidStateTransitionError(77, 'FIRMADO', 'ENTREGADO');
+      expect(error).toBeInstanceOf(AppError);
+      expect(error.message).toContain('FIRMADO -> ENTREGADO');
+      expect(error.code).toBe('INVALID_STATE_TRANSITION');
+      expect(error.statusCode).toBe(409);
+      expect(error.retryable).toBe(false);
+    });
+
+    test('debe serializar los estados de la transicion', () => {
+      const json = new InvalidStateTransitionError(77, null, 'VISTO').toJSON();
+      expect(json).toEqual(
+        expect.objectContaining({ documentoId: 77, estadoActual: null, estadoNuevo: 'VISTO' })
+      );
+    });
+  });
 });
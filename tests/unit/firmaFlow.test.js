@@ -1,6 +1,6 @@
 /**
  * Unit Test: Firma Flow
- * Verifica handlers de rechazo de documentos
+ * Verifica handlers de rechazo de documentos (documento, categoria y detalle opcional)
  */
 
 jest.mock('../../core/services/infrastructure/appInsightsService', () =>
@@ -21,14 +21,25 @@ jest.mock('../../core/services/infrastructure/errorHandler', () => ({
 jest.mock('../../core/services/external/teamsService', () => ({
   notifyDocumentRejected: jest.fn().mockResolvedValue(undefined),
 }));
+jest.mock('../../core/services/external/sapCallbackService', () => ({
+  notificarCambioEstado: jest.fn().mockResolvedValue(true),
+}));
 
-const { handleRechazoIniciado, handleMotivoRechazo } = require('../../bot/flows/firmaFlow');
+const {
+  handleRechazoIniciado,
+  handleCategoriaRechazo,
+  handleMotivoRechazo,
+  handleOmitirMotivo,
+} = require('../../bot/flows/firmaFlow');
 const db = require('../../core/services/storage/databaseService');
 const teamsService = require('../../core/services/external/teamsService');
+const sapCallbackService = require('../../core/services/external/sapCallbackService');
+const { InvalidStateTransitionError } = require('../../core/errors');
 const {
   createSession,
   createEsperandoConfirmacionSession,
 } = require('../factories/sessionFactory');
+const { createDocumentoEnviado, createDocumentoFirmado } = require('../factories/documentoFactory');
 
 describe('Firma Flow', () => {
   let mockCtx;
@@ -45,7 +56,10 @@ describe('Firma Flow', () => {
         documentoNombre: 'Contrato Test',
       }),
       cambiarEstado: jest.fn().mockResolvedValue(undefined),
+      actualizarDatos: jest.fn().mockResolvedValue(undefined),
       responder: jest.fn().mockResolvedValue(undefined),
+      responderConBotones: jest.fn().mockResolvedValue(undefined),
+      responderConLista: jest.fn().mockResolvedValue(undefined),
       finalizar: jest.fn().mockResolvedValue(undefined),
       log: jest.fn(),
       registrarError: jest.fn(),
@@ -56,45 +70,230 @@ describe('Firma Flow', () => {
   // handleRechazoIniciado
   // ===========================================================
   describe('handleRechazoIniciado()', () => {
-    test('debe solicitar motivo de rechazo', async () => {
+    function agregarDocumento(documento) {
+      db.__setDocumento(documento.DocumentoFirmaId, {
+        ...documento,
+        ClienteTelefono: mockCtx.from,
+      });
+    }
+
+    beforeEach(() => {
+      agregarDocumento(
+        createDocumentoEnviado({ DocumentoFirmaId: 42, DocumentoNombre: 'Contrato Test' })
+      );
+    });
+
+    test('debe enviar la lista de categorias de motivo', async () => {
       const session = createSession();
-      await handleRechazoIniciado(mockCtx, session);
+      await handleRechazoIniciado(mockCtx, session, '42');
 
-      expect(mockCtx.responder).toHaveBeenCalledWith(expect.stringContaining('motivo'));
+      const [titulo, cuerpo, textoBoton, filas] = mockCtx.responderConLista.mock.calls[0];
+      expect(titulo).toBe('Motivo del rechazo');
+      expect(cuerpo).toContain('Contrato Test');
+      expect(textoBoton).toBe('Ver motivos');
+      expect(filas.map((fila) => fila.id)).toEqual([
+        'RECHAZO_CATEGORIA:MONTO_INCORRECTO',
+        'RECHAZO_CATEGORIA:DATOS_INCORRECTOS',
+        'RECHAZO_CATEGORIA:NEGOCIAR',
+        'RECHAZO_CATEGORIA:PERSONA_INCORRECTA',
+        'RECHAZO_CATEGORIA:OTRO',
+      ]);
+      for (const fila of filas) {
+        expect(fila.title.length).toBeLessThanOrEqual(24);
+        expect(fila.description.length).toBeLessThanOrEqual(72);
+      }
     });
 
-    test('debe cambiar sesion a ESPERANDO_CONFIRMACION', async () => {
+    test('debe cambiar sesion a ESPERANDO_CONFIRMACION con el documento del boton', async () => {
+      agregarDocumento(createDocumentoEnviado({ DocumentoFirmaId: 43 }));
+      const session = createSession();
+      await handleRechazoIniciado(mockCtx, session, '42');
+
+      expect(mockCtx.cambiarEstado).toHaveBeenCalledWith('ESPERANDO_CONFIRMACION', {
+        documentoFirmaId: 42,
+        documentoNombre: 'Contrato Test',
+        accion: 'RECHAZO',
+      });
+      // Solo la lista de categorias, no la de documentos
+      expect(mockCtx.responderConLista).toHaveBeenCalledTimes(1);
+      expect(mockCtx.responderConLista.mock.calls[0][0]).toBe('Motivo del rechazo');
+    });
+
+    test('sin documento en el boton debe usar el unico pendiente', async () => {
+      agregarDocumento(createDocumentoFirmado({ DocumentoFirmaId: 43 }));
       const session = createSession();
       await handleRechazoIniciado(mockCtx, session);
 
       expect(mockCtx.cambiarEstado).toHaveBeenCalledWith(
         'ESPERANDO_CONFIRMACION',
-        expect.objectContaining({
-          documentoFirmaId: 42,
-          accion: 'RECHAZO',
-        })
+        expect.objectContaining({ documentoFirmaId: 42, accion: 'RECHAZO' })
       );
     });
 
-    test('debe preservar documentoNombre en DatosTemp', async () => {
+    test('con varios pendientes y sin documento debe enviar la lista para elegir', async () => {
+      agregarDocumento(
+        createDocumentoEnviado({
+          DocumentoFirmaId: 43,
+          DocumentoNombre: 'Adendum de Renovacion Anual 2026',
+          TipoDocumento: 'ADENDUM',
+          EstadoDocumento: 'VISTO',
+          FechaCreacion: new Date('2026-10-12T16:00:00.000Z'),
+        })
+      );
+      agregarDocumento(createDocumentoFirmado({ DocumentoFirmaId: 44 }));
       const session = createSession();
       await handleRechazoIniciado(mockCtx, session);
 
-      const datosGuardados = mockCtx.cambiarEstado.mock.calls[0][1];
-      expect(datosGuardados.documentoNombre).toBe('Contrato Test');
+      expect(mockCtx.cambiarEstado).not.toHaveBeenCalled();
+      const [titulo, , textoBoton, filas] = mockCtx.responderConLista.mock.calls[0];
+      expect(titulo).toBe('Rechazar documento');
+      expect(textoBoton).toBe('Ver documentos');
+      expect(filas.map((fila) => fila.id)).toEqual([
+        'RECHAZAR_DOCUMENTO:42',
+        'RECHAZAR_DOCUMENTO:43',
+      ]);
+      expect(filas[1]).toEqual({
+        id: 'RECHAZAR_DOCUMENTO:43',
+        title: 'Adendum de Renovacion...',
+        description: '👁️ Visto - ADENDUM - 12 oct 2026',
+      });
     });
 
-    test('debe manejar datos sin documentoFirmaId', async () => {
-      mockCtx.getDatos.mockReturnValue({});
+    test('debe enviar la lista si el documento del boton no es del usuario', async () => {
+      agregarDocumento(createDocumentoEnviado({ DocumentoFirmaId: 43 }));
+      const session = createSession();
+      await handleRechazoIniciado(mockCtx, session, '99');
+
+      expect(mockCtx.cambiarEstado).not.toHaveBeenCalled();
+      expect(mockCtx.responderConLista).toHaveBeenCalled();
+    });
+
+    test('debe avisar si el documento del boton ya no puede rechazarse', async () => {
+      agregarDocumento(
+        createDocumentoFirmado({ DocumentoFirmaId: 43, DocumentoNombre: 'Contrato Firmado' })
+      );
+      const session = createSession();
+      await handleRechazoIniciado(mockCtx, session, '43');
+
+      expect(mockCtx.responder).toHaveBeenCalledWith(
+        expect.stringContaining('*Contrato Firmado* ya no puede rechazarse (estado: Firmado)')
+      );
+      expect(mockCtx.cambiarEstado).not.toHaveBeenCalled();
+      expect(mockCtx.finalizar).toHaveBeenCalled();
+    });
+
+    test('sin documentos pendientes debe avisar y finalizar', async () => {
+      db.__reset();
       const session = createSession();
       await handleRechazoIniciado(mockCtx, session);
 
+      expect(mockCtx.responder).toHaveBeenCalledWith(
+        expect.stringContaining('No tienes documentos pendientes')
+      );
+      expect(mockCtx.cambiarEstado).not.toHaveBeenCalled();
+      expect(mockCtx.finalizar).toHaveBeenCalled();
+    });
+  });
+
+  // ===========================================================
+  // handleCategoriaRechazo
+  // ===========================================================
+  describe('handleCategoriaRechazo()', () => {
+    beforeEach(() => {
+      mockCtx.getDatos.mockReturnValue({
+        documentoFirmaId: 42,
+        documentoNombre: 'Contrato Test',
+        accion: 'RECHAZO',
+      });
+    });
+
+    test('debe guardar la categoria y ofrecer detalle u Omitir', async () => {
+      const session = createEsperandoConfirmacionSession();
+
+      await handleCategoriaRechazo(mockCtx, session, 'MONTO_INCORRECTO');
+
+      expect(mockCtx.actualizarDatos).toHaveBeenCalledWith(
+        {
+          documentoFirmaId: 42,
+          documentoNombre: 'Contrato Test',
+          accion: 'RECHAZO',
+          categoriaRechazo: 'MONTO_INCORRECTO',
+        },
+        expect.any(String)
+      );
+      expect(mockCtx.responderConBotones).toHaveBeenCalledWith(
+        'Detalle del rechazo',
+        expect.stringContaining('Monto incorrecto'),
+        [{ id: 'btn_omitir_motivo', title: 'Omitir' }]
+      );
+      expect(db.updateDocumentoFirmaEstado).not.toHaveBeenCalled();
+    });
+
+    test('con una categoria no valida debe reenviar la lista', async () => {
+      const session = createEsperandoConfirmacionSession();
+
+      await handleCategoriaRechazo(mockCtx, session, 'INVENTADA');
+
+      expect(mockCtx.actualizarDatos).not.toHaveBeenCalled();
+      expect(mockCtx.responderConLista.mock.calls[0][0]).toBe('Motivo del rechazo');
+    });
+
+    test('sin rechazo en curso debe reiniciar la seleccion del documento', async () => {
+      mockCtx.getDatos.mockReturnValue({});
+      db.__setDocumento(42, {
+        ...createDocumentoEnviado({ DocumentoFirmaId: 42, DocumentoNombre: 'Contrato Test' }),
+        ClienteTelefono: mockCtx.from,
+      });
+
+      await handleCategoriaRechazo(mockCtx, createSession(), 'NEGOCIAR');
+
+      expect(mockCtx.actualizarDatos).not.toHaveBeenCalled();
       expect(mockCtx.cambiarEstado).toHaveBeenCalledWith(
         'ESPERANDO_CONFIRMACION',
-        expect.objectContaining({
-          documentoFirmaId: null,
-          accion: 'RECHAZO',
-        })
+        expect.objectContaining({ documentoFirmaId: 42, accion: 'RECHAZO' })
+      );
+    });
+  });
+
+  // ===========================================================
+  // handleOmitirMotivo
+  // ===========================================================
+  describe('handleOmitirMotivo()', () => {
+    test('debe registrar el rechazo con la categoria y sin detalle', async () => {
+      db.__setDocumento(42, { SapDocumentId: 'SAP-DOC-042' });
+      mockCtx.getDatos.mockReturnValue({
+        documentoFirmaId: 42,
+        documentoNombre: 'Contrato Test',
+        accion: 'RECHAZO',
+        categoriaRechazo: 'PERSONA_INCORRECTA',
+      });
+
+      await handleOmitirMotivo(mockCtx, createEsperandoConfirmacionSession());
+
+      expect(db.updateDocumentoFirmaEstado).toHaveBeenCalledWith(
+        42,
+        'RECHAZADO',
+        null,
+        { origen: 'WHATSAPP_USUARIO', actor: mockCtx.from },
+        'PERSONA_INCORRECTA'
+      );
+      // SAP recibe el nombre de la categoria como motivo
+      expect(sapCallbackService.notificarCambioEstado).toHaveBeenCalledWith(
+        expect.objectContaining({ DocumentoFirmaId: 42 }),
+        'RECHAZADO',
+        { motivoRechazo: 'No soy quien firma', categoriaRechazo: 'PERSONA_INCORRECTA' }
+      );
+      expect(mockCtx.finalizar).toHaveBeenCalled();
+    });
+
+    test('sin rechazo en curso no debe registrar nada', async () => {
+      mockCtx.getDatos.mockReturnValue({});
+
+      await handleOmitirMotivo(mockCtx, createSession());
+
+      expect(db.updateDocumentoFirmaEstado).not.toHaveBeenCalled();
+      expect(mockCtx.responder).toHaveBeenCalledWith(
+        expect.stringContaining('No tienes documentos pendientes')
       );
     });
   });
@@ -103,7 +302,7 @@ describe('Firma Flow', () => {
   // handleMotivoRechazo
   // ===========================================================
   describe('handleMotivoRechazo()', () => {
-    test('debe registrar rechazo con motivo', async () => {
+    test('debe registrar rechazo con motivo y categoria OTRO si no eligio una', async () => {
       const session = createEsperandoConfirmacionSession();
 
       await handleMotivoRechazo(mockCtx, 'No estoy de acuerdo con los terminos', session);
@@ -111,7 +310,28 @@ describe('Firma Flow', () => {
       expect(db.updateDocumentoFirmaEstado).toHaveBeenCalledWith(
         42,
         'RECHAZADO',
-        'No estoy de acuerdo con los terminos'
+        'No estoy de acuerdo con los terminos',
+        { origen: 'WHATSAPP_USUARIO', actor: mockCtx.from },
+        'OTRO'
+      );
+    });
+
+    test('debe registrar la categoria elegida junto con el detalle', async () => {
+      mockCtx.getDatos.mockReturnValue({
+        documentoFirmaId: 42,
+        documentoNombre: 'Contrato Test',
+        accion: 'RECHAZO',
+        categoriaRechazo: 'MONTO_INCORRECTO',
+      });
+
+      await handleMotivoRechazo(mockCtx, 'El monto es 1,200', createEsperandoConfirmacionSession());
+
+      expect(db.updateDocumentoFirmaEstado).toHaveBeenCalledWith(
+        42,
+        'RECHAZADO',
+        'El monto es 1,200',
+        expect.any(Object),
+        'MONTO_INCORRECTO'
       );
     });
 
@@ -129,12 +349,41 @@ describe('Firma Flow', () => {
       await handleMotivoRechazo(mockCtx, 'Motivo de prueba', session);
 
       expect(teamsService.notifyDocumentRejected).toHaveBeenCalledWith(
-        '+5215512345678',
-        'Contrato Test',
+        {
+          nombreDocumento: 'Contrato Test',
+          clienteTelefono: '+5215512345678',
+          clienteNombre: undefined,
+          envelopeId: undefined,
+          categoria: 'Otro motivo',
+        },
         'Motivo de prueba'
       );
     });
 
+    test('debe reportar el rechazo a SAP', async () => {
+      db.__setDocumento(42, {
+        SapDocumentId: 'SAP-DOC-042',
+        SapCallbackUrl: 'https://sap.example.com/callback',
+      });
+      const session = createEsperandoConfirmacionSession();
+
+      await handleMotivoRechazo(mockCtx, 'Motivo de prueba', session);
+
+      expect(sapCallbackService.notificarCambioEstado).toHaveBeenCalledWith(
+        expect.objectContaining({ DocumentoFirmaId: 42, SapDocumentId: 'SAP-DOC-042' }),
+        'RECHAZADO',
+        { motivoRechazo: 'Motivo de prueba', categoriaRechazo: 'OTRO' }
+      );
+    });
+
+    test('no debe reportar a SAP si el documento no existe', async () => {
+      const session = createEsperandoConfirmacionSession();
+
+      await handleMotivoRechazo(mockCtx, 'Motivo de prueba', session);
+
+      expect(sapCallbackService.notificarCambioEstado).not.toHaveBeenCalled();
+    });
+
     test('debe finalizar la sesion despues del rechazo', async () => {
       const session = createEsperandoConfirmacionSession();
 
@@ -156,6 +405,22 @@ describe('Firma Flow', () => {
       expect(mockCtx.finalizar).toHaveBeenCalled();
     });
 
+    test('debe avisar al usuario si el documento ya no puede rechazarse', async () => {
+      db.updateDocumentoFirmaEstado.mockRejectedValue(
+        new InvalidStateTransitionError(42, 'FIRMADO', 'RECHAZADO')
+      );
+      const session = createEsperandoConfirmacionSession();
+
+      await handleMotivoRechazo(mockCtx, 'Motivo', session);
+
+      expect(mockCtx.responder).toHaveBeenCalledWith(
+        expect.stringContaining('ya no puede rechazarse (estado: Firmado)')
+      );
+      expect(teamsService.notifyDocumentRejected).not.toHaveBeenCalled();
+      expect(sapCallbackService.notificarCambioEstado).not.toHaveBeenCalled();
+      expect(mockCtx.finalizar).toHaveBeenCalled();
+    });
+
     test('no debe llamar updateDocumentoFirmaEstado si no hay documentoFirmaId', async () => {
       mockCtx.getDatos.mockReturnValue({
         documentoFirmaId: null,
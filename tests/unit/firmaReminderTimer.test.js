@@ -1,8 +1,35 @@
 /**
  * Unit Test: Firma Reminder Timer
- * Verifica logica de recordatorios, reportes SAP y housekeeping
+ * Verifica logica de recordatorios, reportes SAP y housekeeping, incluidos los
+ * documentos PENDIENTE_ENVIO que nunca completaron los datos del firmante
  */
 
+jest.mock('../../core/services/infrastructure/appInsightsService', () =>
+  require('../__mocks__/appInsightsService.mock')
+);
+jest.mock('../../core/services/infrastructure/errorHandler', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+jest.mock('../../core/services/storage/connectionPool', () => ({
+  getPool: jest.fn(),
+}));
+jest.mock('../../core/services/external/docusignService', () =>
+  require('../__mocks__/docusignService.mock')
+);
+jest.mock('../../core/services/external/teamsService', () => ({
+  sendToTeams: jest.fn(),
+}));
+jest.mock('../../core/services/external/sapCallbackService', () => ({
+  notificarCambioEstado: jest.fn(),
+}));
+jest.mock('../../core/services/messaging/notificationService', () => ({
+  notificar: jest.fn(),
+}));
+jest.mock('../../bot/repositories/DocumentoFirmaRepository', () => ({
+  actualizarEstado: jest.fn(),
+  obtenerPendientesCallbackSap: jest.fn(),
+}));
+
 const { createDocumentoEnviado } = require('../factories/documentoFactory');
 
 describe('Firma Reminder Timer - Logica de recordatorios', () => {
@@ -162,3 +189,95 @@ describe('Firma Reminder Timer - Logica de recordatorios', () => {
     });
   });
 });
+
+describe('Firma Reminder Timer - Housekeeping', () => {
+  const timer = require('../../timer-firma-reminder');
+  const connectionPool = require('../../core/services/storage/connectionPool');
+  const docusignService = require('../../core/services/external/docusignService');
+  const teamsService = require('../../core/services/external/teamsService');
+  const sapCallbackService = require('../../core/services/external/sapCallbackService');
+  const notificationService = require('../../core/services/messaging/notificationService');
+  const documentoRepo = require('../../bot/repositories/DocumentoFirmaRepository');
+  const { ESTADO_DOCUMENTO_ID } = require('../../bot/constants/documentStates');
+
+  let query;
+
+  // Solo la consulta de housekeeping (la que calcula DiasInactivo) devuelve documentos
+  function registrarHousekeeping(documentos) {
+    query = jest.fn(async (texto) => ({
+      recordset: texto.includes('DiasInactivo') ? documentos : [],
+    }));
+    const request = { input: jest.fn(() => request), query };
+    connectionPool.getPool.mockResolvedValue({ request: () => request });
+  }
+
+  function consultaHousekeeping() {
+    return query.mock.calls.map(([texto]) => texto).find((texto) => texto.includes('DiasInactivo'));
+  }
+
+  beforeEach(() => {
+    documentoRepo.actualizarEstado.mockResolvedValue(true);
+    documentoRepo.obtenerPendientesCallbackSap.mockResolvedValue([]);
+    sapCallbackService.notificarCambioEstado.mockResolvedValue(true);
+    notificationService.notificar.mockResolvedValue({ canal: 'WHATSAPP', mensajeId: 'wamid.1' });
+    teamsService.sendToTeams.mockResolvedValue(true);
+  });
+
+  test('debe incluir los documentos que esperan datos del firmante con los dias del perfil', async () => {
+    registrarHousekeeping([]);
+
+    await timer(global.createMockContext(), { isPastDue: false });
+
+    const consulta = consultaHousekeeping();
+    expect(consulta).toContain("ed.Codigo = 'PENDIENTE_ENVIO' AND d.DatosPendientes IS NOT NULL");
+    expect(consulta).toContain('ISNULL(p.DiasHousekeeping, @housekeepingDays)');
+  });
+
+  test('un documento atorado esperando datos debe anularse y reportarse a SAP', async () => {
+    const atorado = {
+      DocumentoFirmaId: 42,
+      EnvelopeId: null,
+      SapDocumentId: 'SAP-42',
+      SapCallbackUrl: 'https://sap.example.com/callback',
+      ClienteTelefono: '5215512345678',
+      DocumentoNombre: 'Contrato 42',
+      Estado: 'PENDIENTE_ENVIO',
+      Version: 3,
+      DiasInactivo: 31,
+    };
+    registrarHousekeeping([atorado]);
+
+    await timer(global.createMockContext(), { isPastDue: false });
+
+    expect(docusignService.voidEnvelope).not.toHaveBeenCalled();
+    expect(documentoRepo.actualizarEstado).toHaveBeenCalledWith(
+      42,
+      ESTADO_DOCUMENTO_ID.ANULADO,
+      3,
+      { MensajeError: 'Housekeeping: datos del firmante sin completar por 31 dias' },
+      expect.objectContaining({ origen: 'TIMER' })
+    );
+    expect(sapCallbackService.notificarCambioEstado).toHaveBeenCalledWith(atorado, 'ANULADO', {
+      mensajeError: 'Housekeeping: datos del firmante sin completar por 31 dias',
+    });
+    expect(teamsService.sendToTeams).toHaveBeenCalled();
+  });
+
+  test('un documento con envelope debe anularse en DocuSign sin callback directo a SAP', async () => {
+    registrarHousekeeping([
+      { ...createDocumentoEnviado({ DocumentoFirmaId: 43 }), Estado: 'ENVIADO', DiasInactivo: 30 },
+    ]);
+
+    await timer(global.createMockContext(), { isPastDue: false });
+
+    expect(docusignService.voidEnvelope).toHaveBeenCalled();
+    expect(documentoRepo.actualizarEstado).toHaveBeenCalledWith(
+      43,
+      ESTADO_DOCUMENTO_ID.ANULADO,
+      expect.anything(),
+      { MensajeError: 'Housekeeping: inactividad por 30 dias' },
+      expect.objectContaining({ origen: 'TIMER' })
+    );
+    expect(sapCallbackService.notificarCambioEstado).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Unit Test: Tokens de Enlaces de Firma
+ * Verifica el token del boton URL de los templates y su resolucion en /api/firma/{token}
+ * (telefono del firmante, expiracion, revocacion y enlaces numericos anteriores)
+ */
+
+jest.mock('../../core/services/infrastructure/appInsightsService', () =>
+  require('../__mocks__/appInsightsService.mock')
+);
+jest.mock('../../core/services/external/docusignService', () =>
+  require('../__mocks__/docusignService.mock')
+);
+jest.mock('../../bot/repositories/DocumentoFirmaRepository', () => ({
+  obtenerPorId: jest.fn(),
+}));
+jest.mock('../../bot/repositories/FirmanteDocumentoRepository', () => ({
+  obtenerPorRecipient: jest.fn(),
+}));
+jest.mock('../../bot/repositories/PerfilTipoDocumentoRepository', () => ({
+  obtenerPorTipo: jest.fn(),
+}));
+
+const config = require('../../core/config');
+const firmaRedirect = require('../../api-firma-redirect');
+const firmaToken = require('../../core/services/processing/firmaTokenService');
+const docusignService = require('../../core/services/external/docusignService');
+const documentoRepo = require('../../bot/repositories/DocumentoFirmaRepository');
+const firmanteRepo = require('../../bot/repositories/FirmanteDocumentoRepository');
+const perfilRepo = require('../../bot/repositories/PerfilTipoDocumentoRepository');
+const { buildTemplatePayload } = require('../../bot/constants/whatsappTemplates');
+const { ESTADO_DOCUMENTO_ID, ESTADO_FIRMANTE } = require('../../bot/constants/documentStates');
+const { createDocumentoEnviado } = require('../factories/documentoFactory');
+const { createGetRequest } = require('../factories/requestFactory');
+
+const SIGNING_URL = 'https://demo.docusign.net/signing/view-xxx';
+const TELEFONO = '5215512345678';
+
+describe('Enlaces de firma - /api/firma/{token}', () => {
+  const enlaceOriginal = { ...config.firma.enlace };
+  let context;
+
+  beforeEach(() => {
+    context = global.createMockContext();
+    config.firma.enlace.secret = 'test-firma-link-secret';
+    config.firma.enlace.permitirNumericos = true;
+
+    documentoRepo.obtenerPorId.mockResolvedValue(
+      createDocumentoEnviado({
+        DocumentoFirmaId: 77,
+        ClienteTelefono: TELEFONO,
+        EstadoDocumentoId: ESTADO_DOCUMENTO_ID.ENVIADO,
+      })
+    );
+    perfilRepo.obtenerPorTipo.mockResolvedValue(null);
+    docusignService.createRecipientView.mockResolvedValue(SIGNING_URL);
+  });
+
+  afterEach(() => {
+    Object.assign(config.firma.enlace, enlaceOriginal);
+  });
+
+  test('buildTemplatePayload debe poner el token en el boton URL', () => {
+    const payload = buildTemplatePayload('firma_envio', {
+      clienteNombre: 'Juan Perez',
+      firma: { documentoFirmaId: 77, telefono: TELEFONO },
+    });
+
+    const button = payload.components.find((c) => c.type === 'button');
+    const token = button.parameters[0].text;
+    expect(token).toMatch(/^[A-Za-z0-9_-]{36}$/);
+    expect(firmaToken.leerToken(token)).toEqual({ documentoFirmaId: 77, recipientId: null });
+  });
+
+  test('debe redirigir a DocuSign con un token valido', async () => {
+    const token = firmaToken.generarToken({ documentoFirmaId: 77, telefono: TELEFONO });
+
+    await firmaRedirect(context, createGetRequest({ params: { token } }));
+
+    expect(documentoRepo.obtenerPorId).toHaveBeenCalledWith(77);
+    expect(context.res.status).toBe(302);
+    expect(context.res.headers.Location).toBe(SIGNING_URL);
+  });
+
+  test('debe rechazar un token generado para otro telefono', async () => {
+    const token = firmaToken.generarToken({ documentoFirmaId: 77, telefono: '5215500000000' });
+
+    await firmaRedirect(context, createGetRequest({ params: { token } }));
+
+    expect(context.res.status).toBe(400);
+    expect(docusignService.createRecipientView).not.toHaveBeenCalled();
+  });
+
+  test('debe rechazar un token alterado sin revelar si el documento existe', async () => {
+    const token = firmaToken.generarToken({ documentoFirmaId: 77, telefono: TELEFONO });
+    const raw = Buffer.from(token, 'base64url');
+    raw.writeUInt32BE(78, 1);
+
+    documentoRepo.obtenerPorId.mockResolvedValue(null);
+    await firmaRedirect(
+      context,
+      createGetRequest({ params: { token: raw.toString('base64url') } })
+    );
+
+    expect(context.res.status).toBe(400);
+  });
+
+  test('debe responder 410 con un token vencido', async () => {
+    const token = firmaToken.generarToken({ documentoFirmaId: 77, telefono: TELEFONO });
+    jest
+      .spyOn(Date, 'now')
+      .mockReturnValue(Date.now() + (config.firma.enlace.expiracionDias + 1) * 86400 * 1000);
+
+    await firmaRedirect(context, createGetRequest({ params: { token } }));
+
+    expect(context.res.status).toBe(410);
+    expect(context.res.body).toContain('Enlace vencido');
+    expect(documentoRepo.obtenerPorId).not.toHaveBeenCalled();
+  });
+
+  test('debe dejar sin efecto el token de un documento anulado', async () => {
+    const token = firmaToken.generarToken({ documentoFirmaId: 77, telefono: TELEFONO });
+    documentoRepo.obtenerPorId.mockResolvedValue(
+      createDocumentoEnviado({
+        DocumentoFirmaId: 77,
+        ClienteTelefono: TELEFONO,
+        EstadoDocumentoId: ESTADO_DOCUMENTO_ID.ANULADO,
+      })
+    );
+
+    await firmaRedirect(context, createGetRequest({ params: { token } }));
+
+    expect(context.res.status).toBe(410);
+    expect(docusignService.createRecipientView).not.toHaveBeenCalled();
+  });
+
+  test('debe resolver el firmante de un token multi-firmante', async () => {
+    const token = firmaToken.generarToken({
+      documentoFirmaId: 77,
+      recipientId: '2',
+      telefono: '5215598765432',
+    });
+    firmanteRepo.obtenerPorRecipient.mockResolvedValue({
+      RecipientId: '2',
+      Telefono: '5215598765432',
+      Nombre: 'Aval',
+      Email: 'aval@test.com',
+      EstadoFirmante: ESTADO_FIRMANTE.NOTIFICADO,
+    });
+
+    await firmaRedirect(context, createGetRequest({ params: { token } }));
+
+    expect(firmanteRepo.obtenerPorRecipient).toHaveBeenCalledWith(77, '2');
+    expect(context.res.status).toBe(302);
+    expect(docusignService.createRecipientView).toHaveBeenCalledWith(
+      expect.any(String),
+      'aval@test.com',
+      'Aval',
+      expect.any(String),
+      '5215598765432'
+    );
+  });
+
+  test('debe aceptar enlaces numericos mientras la migracion este habilitada', async () => {
+    await firmaRedirect(context, createGetRequest({ params: { token: '77' } }));
+
+    expect(context.res.status).toBe(302);
+  });
+
+  test('debe rechazar enlaces numericos con FIRMA_LINK_ALLOW_NUMERIC=false', async () => {
+    config.firma.enlace.permitirNumericos = false;
+
+    await firmaRedirect(context, createGetRequest({ params: { token: '77' } }));
+
+    expect(context.res.status).toBe(400);
+    expect(documentoRepo.obtenerPorId).not.toHaveBeenCalled();
+  });
+
+  test('sin secreto configurado debe generar el enlace numerico', () => {
+    config.firma.enlace.secret = undefined;
+
+    expect(firmaToken.generarToken({ documentoFirmaId: 77, recipientId: '2' })).toBe('77/2');
+  });
+});
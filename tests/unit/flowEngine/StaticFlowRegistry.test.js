@@ -14,7 +14,11 @@ jest.mock('../../../core/flowEngine/contexts/StaticFlowContext', () => ({
   })),
 }));
 
-const { StaticFlowRegistry } = require('../../../core/flowEngine/StaticFlowRegistry');
+const {
+  StaticFlowRegistry,
+  construirBotonId,
+  parsearBotonId,
+} = require('../../../core/flowEngine/StaticFlowRegistry');
 const { createStaticFlowContext } = require('../../../core/flowEngine/contexts/StaticFlowContext');
 
 describe('StaticFlowRegistry', () => {
@@ -147,6 +151,14 @@ describe('StaticFlowRegistry', () => {
       expect(config).toEqual({ flujo: 'ENCUESTA', handler: 'handleEnc' });
     });
 
+    test('obtenerHandlerBoton debe resolver botones parametrizados por su ID base', () => {
+      expect(registry.obtenerHandlerBoton('btn_enc:42')).toEqual({
+        flujo: 'ENCUESTA',
+        handler: 'handleEnc',
+      });
+      expect(registry.obtenerHandlerBoton('btn_otro:42')).toBeNull();
+    });
+
     test('obtenerHandlerBoton debe retornar null si no existe', () => {
       expect(registry.obtenerHandlerBoton('btn_no')).toBeNull();
     });
@@ -277,6 +289,41 @@ describe('StaticFlowRegistry', () => {
       );
     });
 
+    test('debe pasar el parámetro del botón como último argumento', async () => {
+      const mockHandler = jest.fn();
+      const mockRating = jest.fn();
+      registry.registrar({
+        nombre: 'DOC_FLOW',
+        estados: [],
+        botones: {
+          RECHAZAR: 'handleRechazar',
+          btn_r5: { handler: 'handleRating', params: 5 },
+        },
+        handleRechazar: mockHandler,
+        handleRating: mockRating,
+      });
+
+      await registry.procesarBoton('+52155', 'RECHAZAR:123', { Estado: 'TEST' }, {});
+      await registry.procesarBoton('+52155', 'btn_r5:abc', { Estado: 'TEST' }, {});
+
+      expect(mockHandler).toHaveBeenCalledWith(expect.any(Object), { Estado: 'TEST' }, '123');
+      expect(mockRating).toHaveBeenCalledWith(expect.any(Object), 5, { Estado: 'TEST' }, 'abc');
+    });
+
+    test('debe preferir un botón registrado con separador en su ID', async () => {
+      const mockHandler = jest.fn();
+      registry.registrar({
+        nombre: 'LEGACY_FLOW',
+        estados: [],
+        botones: { 'btn:legacy': 'handleLegacy' },
+        handleLegacy: mockHandler,
+      });
+
+      await registry.procesarBoton('+52155', 'btn:legacy', {}, {});
+
+      expect(mockHandler).toHaveBeenCalledWith(expect.any(Object), {});
+    });
+
     test('debe retornar false si botón no está registrado', async () => {
       const result = await registry.procesarBoton('+52155', 'btn_no', {}, {});
       expect(result).toBe(false);
@@ -290,6 +337,22 @@ describe('StaticFlowRegistry', () => {
     });
   });
 
+  // ===========================================================
+  // BOTONES PARAMETRIZADOS
+  // ===========================================================
+  describe('construirBotonId() / parsearBotonId()', () => {
+    test('debe construir y separar el ID base y el parámetro', () => {
+      expect(construirBotonId('RECHAZAR_DOCUMENTO', 123)).toBe('RECHAZAR_DOCUMENTO:123');
+      expect(construirBotonId('btn_ok', null)).toBe('btn_ok');
+      expect(parsearBotonId('RECHAZAR_DOCUMENTO:123')).toEqual({
+        base: 'RECHAZAR_DOCUMENTO',
+        parametro: '123',
+      });
+      expect(parsearBotonId('btn_ok')).toEqual({ base: 'btn_ok', parametro: null });
+      expect(parsearBotonId('btn_ok:')).toEqual({ base: 'btn_ok', parametro: null });
+    });
+  });
+
   // ===========================================================
   // LIMPIAR
   // ===========================================================
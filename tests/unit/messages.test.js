@@ -87,9 +87,16 @@ describe('Messages - Templates de Firma', () => {
   // FIRMA - Mensajes estaticos
   // ===========================================================
   describe('FIRMA - Mensajes estaticos', () => {
-    test('SOLICITAR_MOTIVO_RECHAZO debe ser un string', () => {
-      expect(typeof FIRMA.SOLICITAR_MOTIVO_RECHAZO).toBe('string');
-      expect(FIRMA.SOLICITAR_MOTIVO_RECHAZO).toContain('motivo');
+    test('SELECCIONAR_CATEGORIA_RECHAZO debe pedir el motivo del documento', () => {
+      const msg = FIRMA.SELECCIONAR_CATEGORIA_RECHAZO('Mi Contrato');
+      expect(msg).toContain('Mi Contrato');
+      expect(msg).toContain('motivo');
+    });
+
+    test('SOLICITAR_DETALLE_RECHAZO debe mostrar la categoria y ofrecer Omitir', () => {
+      const msg = FIRMA.SOLICITAR_DETALLE_RECHAZO('Monto incorrecto');
+      expect(msg).toContain('Monto incorrecto');
+      expect(msg).toContain('Omitir');
     });
 
     test('DOCUMENTO_RECIBIDO_API debe ser un string', () => {
@@ -107,32 +114,43 @@ describe('Messages - Consulta de Documentos', () => {
   // CONSULTA_DOCS.listaDocumentos
   // ===========================================================
   describe('CONSULTA_DOCS.listaDocumentos', () => {
-    test('debe generar lista numerada de documentos', () => {
-      const docs = [
-        createDocumentoEnviado({ DocumentoNombre: 'Contrato A' }),
-        createDocumentoFirmado({ DocumentoNombre: 'Contrato B' }),
-      ];
+    test('debe indicar el total y pedir elegir de la lista', () => {
+      const msg = CONSULTA_DOCS.listaDocumentos(2, 'en total', 1, 1);
+      expect(msg).toContain('*2* documentos en total');
+      expect(msg).toContain('lista');
+      expect(msg).not.toContain('Pagina');
+    });
+
+    test('debe usar singular con un solo documento', () => {
+      expect(CONSULTA_DOCS.listaDocumentos(1, 'firmados', 1, 1)).toContain(
+        '*1* documento firmados'
+      );
+    });
 
-      const msg = CONSULTA_DOCS.listaDocumentos(docs);
-      expect(msg).toContain('1.');
-      expect(msg).toContain('2.');
-      expect(msg).toContain('Contrato A');
-      expect(msg).toContain('Contrato B');
-      expect(msg).toContain('numero');
+    test('debe mostrar la pagina cuando hay varias', () => {
+      const msg = CONSULTA_DOCS.listaDocumentos(16, 'en total', 2, 3);
+      expect(msg).toContain('Pagina 2 de 3');
     });
 
-    test('debe mostrar tipo de documento', () => {
-      const docs = [createDocumentoEnviado({ TipoDocumento: 'PAGARE' })];
-      const msg = CONSULTA_DOCS.listaDocumentos(docs);
-      expect(msg).toContain('PAGARE');
+    test('debe invitar a otro filtro cuando no hay documentos', () => {
+      const msg = CONSULTA_DOCS.listaDocumentos(0, 'firmados', 1, 1);
+      expect(msg).toContain('No tienes documentos firmados');
+      expect(msg).toContain('filtro');
     });
 
-    test('debe usar SapDocumentId como fallback si no hay nombre', () => {
-      const docs = [
-        createDocumentoEnviado({ DocumentoNombre: null, SapDocumentId: 'SAP-FALLBACK' }),
+    test('las filas de "Ver mas" y filtros deben respetar los limites de WhatsApp', () => {
+      const filtros = [
+        CONSULTA_DOCS.FILTRO_PENDIENTES,
+        CONSULTA_DOCS.FILTRO_FIRMADOS,
+        CONSULTA_DOCS.FILTRO_TODOS,
       ];
-      const msg = CONSULTA_DOCS.listaDocumentos(docs);
-      expect(msg).toContain('SAP-FALLBACK');
+      expect(CONSULTA_DOCS.FILA_VER_MAS.length).toBeLessThanOrEqual(24);
+      expect(CONSULTA_DOCS.LISTA_BOTON.length).toBeLessThanOrEqual(20);
+      filtros.forEach((filtro) => {
+        expect(filtro.title.length).toBeLessThanOrEqual(24);
+        expect(filtro.description.length).toBeLessThanOrEqual(72);
+      });
+      expect(CONSULTA_DOCS.filaVerMasDescripcion(8, 14, 16)).toBe('Documentos 8 a 14 de 16');
     });
   });
 
@@ -156,12 +174,12 @@ describe('Messages - Consulta de Documentos', () => {
       expect(msg).toContain('rechazo');
     });
 
-    test('debe mostrar indicacion de firma si tiene SigningUrl y no esta firmado', () => {
+    test('no debe remitir al enlace anterior (las acciones van en botones)', () => {
       const doc = createDocumentoEnviado({
         SigningUrl: 'https://demo.docusign.net/signing/test',
       });
       const msg = CONSULTA_DOCS.detalleDocumento(doc);
-      expect(msg).toContain('firma');
+      expect(msg).not.toContain('enlace que te enviamos anteriormente');
     });
 
     test('no debe mostrar indicacion de firma si esta FIRMADO', () => {
@@ -181,8 +199,23 @@ describe('Messages - Consulta de Documentos', () => {
       expect(CONSULTA_DOCS.SIN_DOCUMENTOS).toContain('No tienes documentos');
     });
 
-    test('DOCUMENTO_NO_ENCONTRADO debe pedir verificar numero', () => {
-      expect(CONSULTA_DOCS.DOCUMENTO_NO_ENCONTRADO).toContain('numero');
+    test('DOCUMENTO_NO_ENCONTRADO debe ofrecer la lista actualizada', () => {
+      expect(CONSULTA_DOCS.DOCUMENTO_NO_ENCONTRADO).toContain('volver');
+    });
+
+    test('SELECCIONA_DE_LISTA debe remitir a la lista, no a un numero', () => {
+      expect(CONSULTA_DOCS.SELECCIONA_DE_LISTA).toContain('Ver documentos');
+      expect(CONSULTA_DOCS.SELECCIONA_DE_LISTA).not.toContain('numero');
+    });
+
+    test('ACCIONES y ENLACE_FIRMA deben incluir el nombre del documento', () => {
+      expect(CONSULTA_DOCS.ACCIONES('Contrato A')).toContain('*Contrato A*');
+      expect(CONSULTA_DOCS.ENLACE_FIRMA('Contrato A')).toContain('*Contrato A*');
+      expect(CONSULTA_DOCS.ENLACE_FIRMA_BOTON.length).toBeLessThanOrEqual(20);
+    });
+
+    test('VISTA_PREVIA debe indicar que es solo lectura', () => {
+      expect(CONSULTA_DOCS.VISTA_PREVIA('Contrato A')).toContain('solo lectura');
     });
   });
 });
@@ -0,0 +1,233 @@
+/**
+ * Unit Test: Servicio de Notificaciones
+ * Verifica el canal preferido, el orden de respaldo (WhatsApp -> email -> SMS), el
+ * texto de email/SMS con el enlace de firma y el registro de intentos por canal
+ */
+
+jest.mock('../../core/services/infrastructure/appInsightsService', () =>
+  require('../__mocks__/appInsightsService.mock')
+);
+jest.mock('../../core/services/external/whatsappService', () =>
+  require('../__mocks__/whatsappService.mock')
+);
+jest.mock('../../core/services/external/emailService', () =>
+  require('../__mocks__/emailService.mock')
+);
+jest.mock('../../core/services/external/smsService', () => require('../__mocks__/smsService.mock'));
+jest.mock('../../bot/repositories/IntentoNotificacionRepository', () => ({
+  registrar: jest.fn(),
+}));
+
+const config = require('../../core/config');
+const notificationService = require('../../core/services/messaging/notificationService');
+const whatsappService = require('../../core/services/external/whatsappService');
+const emailService = require('../../core/services/external/emailService');
+const smsService = require('../../core/services/external/smsService');
+const intentoRepo = require('../../bot/repositories/IntentoNotificacionRepository');
+const firmaToken = require('../../core/services/processing/firmaTokenService');
+const { ExternalServiceError } = require('../../core/errors');
+
+const TELEFONO = '5215512345678';
+const DESTINATARIO = { telefono: TELEFONO, email: 'juan@test.com' };
+
+const PARAMS_ENVIO = {
+  clienteNombre: 'Juan Perez',
+  tipoDocumento: 'CONTRATO',
+  documentoNombre: 'Contrato 001',
+  firma: { documentoFirmaId: 77, telefono: TELEFONO },
+};
+
+describe('notificationService.notificar()', () => {
+  const enlaceOriginal = { ...config.firma.enlace };
+  const ordenOriginal = config.notificaciones.ordenCanales;
+
+  beforeEach(() => {
+    config.firma.enlace.secret = 'test-firma-link-secret';
+    config.firma.enlace.baseUrl = 'https://signbot.test/api/firma';
+    config.notificaciones.ordenCanales = ['WHATSAPP', 'EMAIL', 'SMS'];
+
+    whatsappService.sendTemplate.mockResolvedValue('wamid.envio_1');
+    emailService.isConfigured.mockReturnValue(true);
+    emailService.sendEmail.mockResolvedValue('<email_1@signbot.test>');
+    smsService.isConfigured.mockReturnValue(true);
+    smsService.sendSms.mockResolvedValue('sms_1');
+    intentoRepo.registrar.mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    Object.assign(config.firma.enlace, enlaceOriginal);
+    config.notificaciones.ordenCanales = ordenOriginal;
+  });
+
+  test('debe enviar por WhatsApp por defecto y registrar el intento', async () => {
+    const resultado = await notificationService.notificar(
+      'firma_envio',
+      PARAMS_ENVIO,
+      DESTINATARIO,
+      { documentoFirmaId: 77 }
+    );
+
+    expect(resultado).toEqual({ canal: 'WHATSAPP', mensajeId: 'wamid.envio_1' });
+    expect(whatsappService.sendTemplate).toHaveBeenCalledWith(
+      TELEFONO,
+      expect.objectContaining({ name: 'firma_envio' })
+    );
+    expect(emailService.sendEmail).not.toHaveBeenCalled();
+    expect(intentoRepo.registrar).toHaveBeenCalledWith({
+      documentoFirmaId: 77,
+      firmanteId: null,
+      tipo: 'firma_envio',
+      canal: 'WHATSAPP',
+      destino: TELEFONO,
+      exitoso: true,
+      mensajeId: 'wamid.envio_1',
+    });
+  });
+
+  test('debe enviar por email con el enlace de firma si falla WhatsApp', async () => {
+    whatsappService.sendTemplate.mockRejectedValue(new Error('131026 Message undeliverable'));
+
+    const resultado = await notificationService.notificar(
+      'firma_envio',
+      PARAMS_ENVIO,
+      DESTINATARIO,
+      { documentoFirmaId: 77 }
+    );
+
+    expect(resultado.canal).toBe('EMAIL');
+    const [email, asunto, texto] = emailService.sendEmail.mock.calls[0];
+    expect(email).toBe('juan@test.com');
+    expect(asunto).toBe('Documento pendiente de firma');
+    expect(texto).toContain('Hola Juan Perez');
+    expect(texto).not.toContain('*');
+
+    const token = texto.split('https://signbot.test/api/firma/')[1];
+    expect(firmaToken.leerToken(token)).toEqual({ documentoFirmaId: 77, recipientId: null });
+    expect(firmaToken.verificarToken(token, TELEFONO)).toBe(true);
+
+    expect(intentoRepo.registrar).toHaveBeenCalledTimes(2);
+    expect(intentoRepo.registrar).toHaveBeenCalledWith(
+      expect.objectContaining({ canal: 'WHATSAPP', exitoso: false, error: expect.any(String) })
+    );
+  });
+
+  test('debe intentar primero el canal preferido del documento', async () => {
+    const resultado = await notificationService.notificar(
+      'firma_envio',
+      PARAMS_ENVIO,
+      DESTINATARIO,
+      { canalPreferido: 'SMS' }
+    );
+
+    expect(resultado).toEqual({ canal: 'SMS', mensajeId: 'sms_1' });
+    expect(smsService.sendSms).toHaveBeenCalledWith(
+      TELEFONO,
+      expect.stringContaining('Contrato 001')
+    );
+    expect(whatsappService.sendTemplate).not.toHaveBeenCalled();
+    expect(intentoRepo.registrar).not.toHaveBeenCalled();
+  });
+
+  test('debe omitir el email si el firmante no tiene email', async () => {
+    whatsappService.sendTemplate.mockRejectedValue(new Error('WhatsApp caido'));
+
+    const resultado = await notificationService.notificar('firma_envio', PARAMS_ENVIO, {
+      telefono: TELEFONO,
+      email: null,
+    });
+
+    expect(resultado.canal).toBe('SMS');
+    expect(emailService.sendEmail).not.toHaveBeenCalled();
+  });
+
+  test('sin FIRMA_LINK_BASE_URL no debe enviar enlaces de firma por email ni SMS', async () => {
+    config.firma.enlace.baseUrl = '';
+    whatsappService.sendTemplate.mockRejectedValue(new Error('WhatsApp caido'));
+
+    await expect(
+      notificationService.notificar('firma_envio', PARAMS_ENVIO, DESTINATARIO)
+    ).rejects.toThrow(ExternalServiceError);
+    expect(emailService.sendEmail).not.toHaveBeenCalled();
+    expect(smsService.sendSms).not.toHaveBeenCalled();
+  });
+
+  test('sin FIRMA_LINK_BASE_URL debe registrar email y SMS como intentos fallidos', async () => {
+    config.firma.enlace.baseUrl = '';
+    whatsappService.sendTemplate.mockRejectedValue(new Error('WhatsApp caido'));
+
+    await expect(
+      notificationService.notificar('firma_envio', PARAMS_ENVIO, DESTINATARIO, {
+        documentoFirmaId: 77,
+      })
+    ).rejects.toThrow(ExternalServiceError);
+
+    const intentos = intentoRepo.registrar.mock.calls.map(([intento]) => intento);
+    expect(intentos.map((intento) => intento.canal)).toEqual(['WHATSAPP', 'EMAIL', 'SMS']);
+    expect(intentos.slice(1)).toEqual([
+      expect.objectContaining({
+        destino: 'juan@test.com',
+        exitoso: false,
+        error: expect.stringContaining('FIRMA_LINK_BASE_URL'),
+      }),
+      expect.objectContaining({
+        destino: TELEFONO,
+        exitoso: false,
+        error: expect.stringContaining('FIRMA_LINK_BASE_URL'),
+      }),
+    ]);
+  });
+
+  test('debe enviar templates sin enlace por email sin FIRMA_LINK_BASE_URL', async () => {
+    config.firma.enlace.baseUrl = '';
+
+    const resultado = await notificationService.notificar(
+      'firma_confirmacion',
+      { clienteNombre: 'Juan Perez', tipoDocumento: 'CONTRATO', documentoNombre: 'Contrato 001' },
+      DESTINATARIO,
+      { canalPreferido: 'EMAIL' }
+    );
+
+    expect(resultado.canal).toBe('EMAIL');
+    expect(emailService.sendEmail).toHaveBeenCalledWith(
+      'juan@test.com',
+      'Documento firmado',
+      expect.stringContaining('ha sido firmado exitosamente')
+    );
+  });
+
+  test('debe usar el template de envio del perfil en WhatsApp', async () => {
+    await notificationService.notificar('firma_envio', PARAMS_ENVIO, DESTINATARIO, {
+      perfil: { templateEnvio: 'firma_envio_contrato' },
+    });
+
+    const [, templatePayload] = whatsappService.sendTemplate.mock.calls[0];
+    expect(templatePayload.name).toBe('firma_envio_contrato');
+  });
+
+  test('debe lanzar ExternalServiceError si fallan todos los canales', async () => {
+    whatsappService.sendTemplate.mockRejectedValue(new Error('WhatsApp caido'));
+    emailService.sendEmail.mockRejectedValue(new Error('SMTP caido'));
+    smsService.sendSms.mockRejectedValue(new Error('SMS caido'));
+
+    await expect(
+      notificationService.notificar('firma_envio', PARAMS_ENVIO, DESTINATARIO, {
+        documentoFirmaId: 77,
+        firmanteId: 12,
+      })
+    ).rejects.toThrow('No se pudo enviar la notificacion por ningun canal');
+    expect(intentoRepo.registrar).toHaveBeenCalledTimes(3);
+    expect(intentoRepo.registrar).toHaveBeenCalledWith(
+      expect.objectContaining({ firmanteId: 12, canal: 'SMS', exitoso: false })
+    );
+  });
+
+  test('no debe fallar si no se puede registrar el intento', async () => {
+    intentoRepo.registrar.mockRejectedValue(new Error('BD no disponible'));
+
+    await expect(
+      notificationService.notificar('firma_envio', PARAMS_ENVIO, DESTINATARIO, {
+        documentoFirmaId: 77,
+      })
+    ).resolves.toEqual({ canal: 'WHATSAPP', mensajeId: 'wamid.envio_1' });
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Unit Test: Calendario de Recordatorios
+ * Verifica el calculo del siguiente recordatorio (calendario del perfil o de datosExtra,
+ * cadencia fija), los dias festivos de Mexico y la ventana de envio por zona horaria
+ */
+
+jest.mock('../../core/services/infrastructure/appInsightsService', () =>
+  require('../__mocks__/appInsightsService.mock')
+);
+
+const config = require('../../core/config');
+const { combinarPerfil } = require('../../core/services/processing/documentProfileService');
+const { validateSapDocumentPayload } = require('../../bot/schemas/sapDocumentPayload');
+const {
+  diasFestivosMexico,
+  esMomentoDeEnvio,
+  calcularFechaRecordatorio,
+  recordatorioPendiente,
+} = require('../../core/services/processing/reminderScheduleService');
+const { createSapDocumentPayload } = require('../factories/sapPayloadFactory');
+const { createDocumentoEnviado } = require('../factories/documentoFactory');
+
+const CALENDARIO = { dias: [1, 3, 7], repetirCadaDias: 3 };
+
+function createPerfil(overrides = {}) {
+  return {
+    ...combinarPerfil('CONTRATO', null),
+    maxRecordatorios: 5,
+    calendarioRecordatorios: CALENDARIO,
+    ...overrides,
+  };
+}
+
+// Enviado el lunes 12 de octubre de 2026 a las 10:00 (Ciudad de Mexico, UTC-6)
+const ENVIO = {
+  DocumentoFirmaId: 77,
+  FechaEnvio: new Date('2026-10-12T16:00:00.000Z'),
+  IntentosRecordatorio: 0,
+};
+
+describe('Calendario de recordatorios', () => {
+  const recordatoriosOriginal = { ...config.firma.recordatorios };
+
+  afterEach(() => {
+    Object.assign(config.firma.recordatorios, recordatoriosOriginal);
+  });
+
+  // ===========================================================
+  // DIAS HABILES Y VENTANA DE ENVIO
+  // ===========================================================
+  describe('diasFestivosMexico()', () => {
+    test('debe recorrer los festivos a lunes e incluir la transmision del Ejecutivo', () => {
+      expect([...diasFestivosMexico(2024)].sort()).toEqual([
+        '2024-01-01',
+        '2024-02-05',
+        '2024-03-18',
+        '2024-05-01',
+        '2024-09-16',
+        '2024-10-01',
+        '2024-11-18',
+        '2024-12-25',
+      ]);
+    });
+
+    test('no debe incluir el 1 de octubre fuera de los anios de transmision', () => {
+      const festivos = diasFestivosMexico(2026);
+
+      expect(festivos.has('2026-10-01')).toBe(false);
+      expect(festivos.has('2026-11-16')).toBe(true);
+    });
+  });
+
+  describe('esMomentoDeEnvio()', () => {
+    test.each([
+      ['lunes 10:00', '2026-10-19T16:00:00.000Z', true],
+      ['antes de la ventana', '2026-10-19T14:59:00.000Z', false],
+      ['al cierre de la ventana', '2026-10-20T02:00:00.000Z', false],
+      ['sabado', '2026-10-17T16:00:00.000Z', false],
+      ['dia de la Revolucion', '2026-11-16T16:00:00.000Z', false],
+    ])('%s en Ciudad de Mexico', (_caso, fecha, esperado) => {
+      expect(esMomentoDeEnvio(new Date(fecha))).toBe(esperado);
+    });
+
+    test('debe evaluar la ventana en la zona horaria del cliente', () => {
+      const fecha = new Date('2026-10-19T15:30:00.000Z');
+
+      expect(esMomentoDeEnvio(fecha, 'America/Mexico_City')).toBe(true);
+      expect(esMomentoDeEnvio(fecha, 'America/Tijuana')).toBe(false);
+    });
+
+    test('debe respetar los dias inhabiles configurados', () => {
+      config.firma.recordatorios.diasInhabiles = ['2026-10-19'];
+
+      expect(esMomentoDeEnvio(new Date('2026-10-19T16:00:00.000Z'))).toBe(false);
+    });
+  });
+
+  // ===========================================================
+  // SIGUIENTE RECORDATORIO
+  // ===========================================================
+  describe('calcularFechaRecordatorio()', () => {
+    const ZONA = 'America/Mexico_City';
+
+    test('debe contar los dias del calendario desde el recordatorio anterior', () => {
+      const fechas = [
+        [0, null],
+        [1, '2026-10-13T16:00:00.000Z'],
+        [2, '2026-10-15T16:00:00.000Z'],
+        [3, '2026-10-19T16:00:00.000Z'],
+      ].map(([intentos, ultimo]) =>
+        calcularFechaRecordatorio(
+          createDocumentoEnviado({
+            ...ENVIO,
+            IntentosRecordatorio: intentos,
+            UltimoRecordatorio: ultimo,
+          }),
+          CALENDARIO,
+          ZONA
+        )
+      );
+
+      expect(fechas).toEqual(['2026-10-13', '2026-10-15', '2026-10-19', '2026-10-22']);
+    });
+
+    test('debe terminar si el calendario no repite', () => {
+      const doc = createDocumentoEnviado({
+        ...ENVIO,
+        IntentosRecordatorio: 3,
+        UltimoRecordatorio: new Date('2026-10-19T16:00:00.000Z'),
+      });
+
+      expect(calcularFechaRecordatorio(doc, { dias: [1, 3, 7] }, ZONA)).toBeNull();
+    });
+
+    test('debe usar la fecha local del cliente y reiniciar con el reenvio', () => {
+      // 21:00 del lunes 12 en Ciudad de Mexico (martes 13 en UTC)
+      const noche = createDocumentoEnviado({
+        ...ENVIO,
+        FechaEnvio: new Date('2026-10-13T03:00:00.000Z'),
+      });
+      const reenviado = createDocumentoEnviado({
+        ...ENVIO,
+        IntentosRecordatorio: 0,
+        UltimoRecordatorio: new Date('2026-10-20T17:00:00.000Z'),
+      });
+
+      expect(calcularFechaRecordatorio(noche, CALENDARIO, ZONA)).toBe('2026-10-13');
+      expect(calcularFechaRecordatorio(reenviado, CALENDARIO, ZONA)).toBe('2026-10-21');
+    });
+  });
+
+  describe('recordatorioPendiente()', () => {
+    test('debe enviar el recordatorio del dia 1 al abrir la ventana', () => {
+      const doc = createDocumentoEnviado(ENVIO);
+      const perfil = createPerfil();
+
+      expect(recordatorioPendiente(doc, perfil, new Date('2026-10-12T23:00Z'))).toBe(false);
+      expect(recordatorioPendiente(doc, perfil, new Date('2026-10-13T14:30Z'))).toBe(false);
+      expect(recordatorioPendiente(doc, perfil, new Date('2026-10-13T15:00Z'))).toBe(true);
+    });
+
+    test('debe pasar al lunes un recordatorio que vence en fin de semana', () => {
+      // Enviado el viernes 16: el dia 1 cae en sabado
+      const doc = createDocumentoEnviado({
+        ...ENVIO,
+        FechaEnvio: new Date('2026-10-16T16:00:00.000Z'),
+      });
+
+      expect(recordatorioPendiente(doc, createPerfil(), new Date('2026-10-17T17:00Z'))).toBe(false);
+      expect(recordatorioPendiente(doc, createPerfil(), new Date('2026-10-19T15:00Z'))).toBe(true);
+    });
+
+    test('debe recorrer el siguiente recordatorio en lugar de juntarlo con el atrasado', () => {
+      const doc = createDocumentoEnviado({
+        ...ENVIO,
+        FechaEnvio: new Date('2026-10-16T16:00:00.000Z'),
+        IntentosRecordatorio: 1,
+        UltimoRecordatorio: new Date('2026-10-19T15:00:00.000Z'),
+      });
+
+      // El dia 3 seria el lunes 19; se esperan 2 dias desde el recordatorio del lunes
+      expect(recordatorioPendiente(doc, createPerfil(), new Date('2026-10-20T17:00Z'))).toBe(false);
+      expect(recordatorioPendiente(doc, createPerfil(), new Date('2026-10-21T15:00Z'))).toBe(true);
+    });
+
+    test('no debe enviar al llegar al maximo del perfil', () => {
+      const doc = createDocumentoEnviado({
+        ...ENVIO,
+        IntentosRecordatorio: 5,
+        UltimoRecordatorio: new Date('2026-10-22T16:00:00.000Z'),
+      });
+
+      expect(recordatorioPendiente(doc, createPerfil(), new Date('2026-11-03T17:00Z'))).toBe(false);
+    });
+
+    test('sin calendario debe usar la cadencia fija de horas', () => {
+      const perfil = createPerfil({ calendarioRecordatorios: null, horasRecordatorio: 48 });
+      const doc = createDocumentoEnviado({
+        ...ENVIO,
+        IntentosRecordatorio: 1,
+        UltimoRecordatorio: new Date('2026-10-13T16:00:00.000Z'),
+      });
+
+      expect(recordatorioPendiente(doc, perfil, new Date('2026-10-15T15:00Z'))).toBe(false);
+      expect(recordatorioPendiente(doc, perfil, new Date('2026-10-15T16:00Z'))).toBe(true);
+    });
+
+    test('debe usar el calendario y la zona horaria de datosExtra', () => {
+      const perfil = createPerfil({ calendarioRecordatorios: null, horasRecordatorio: 24 });
+      const doc = createDocumentoEnviado({
+        ...ENVIO,
+        DatosExtra: JSON.stringify({
+          centroServicio: 'CS-001',
+          calendarioRecordatorios: { dias: [2] },
+          zonaHoraria: 'America/Tijuana',
+        }),
+      });
+
+      // Con la cadencia del perfil ya tocaria el dia 1
+      expect(recordatorioPendiente(doc, perfil, new Date('2026-10-13T17:00Z'))).toBe(false);
+      // 09:30 en Ciudad de Mexico, 08:30 en Tijuana
+      expect(recordatorioPendiente(doc, perfil, new Date('2026-10-14T15:30Z'))).toBe(false);
+      expect(recordatorioPendiente(doc, perfil, new Date('2026-10-14T16:30Z'))).toBe(true);
+    });
+
+    test('debe ignorar datosExtra invalido y usar el calendario del perfil', () => {
+      const doc = createDocumentoEnviado({
+        ...ENVIO,
+        DatosExtra: JSON.stringify({ calendarioRecordatorios: { dias: [3, 1] } }),
+      });
+
+      expect(recordatorioPendiente(doc, createPerfil(), new Date('2026-10-13T17:00Z'))).toBe(true);
+    });
+  });
+
+  // ===========================================================
+  // PERFIL Y PAYLOAD DE SAP
+  // ===========================================================
+  describe('Definicion del calendario', () => {
+    test('combinarPerfil debe parsear CalendarioRecordatorios e ignorar uno invalido', () => {
+      const registro = { CalendarioRecordatorios: JSON.stringify(CALENDARIO) };
+
+      expect(combinarPerfil('CONTRATO', registro).calendarioRecordatorios).toEqual(CALENDARIO);
+      expect(
+        combinarPerfil('CONTRATO', { CalendarioRecordatorios: '{"dias":[]}' })
+          .calendarioRecordatorios
+      ).toBeNull();
+      expect(combinarPerfil('CONTRATO', null).calendarioRecordatorios).toBeNull();
+    });
+
+    test('el payload de SAP debe validar calendario y zona horaria de datosExtra', () => {
+      const valido = validateSapDocumentPayload(
+        createSapDocumentPayload({
+          datosExtra: { ejecutivoId: 'EJ-100', calendarioRecordatorios: CALENDARIO },
+        })
+      );
+      const zonaInvalida = validateSapDocumentPayload(
+        createSapDocumentPayload({ datosExtra: { zonaHoraria: 'Mexico/Centro' } })
+      );
+
+      expect(valido.success).toBe(true);
+      expect(valido.data.datosExtra.ejecutivoId).toBe('EJ-100');
+      expect(zonaInvalida.success).toBe(false);
+      expect(zonaInvalida.error).toContain('datosExtra.zonaHoraria');
+    });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Unit Test: SAP Callback Service
+ * Verifica firma HMAC, reintentos y registro de IntentosSap
+ */
+
+process.env.SAP_CALLBACK_SECRET = 'test-sap-secret';
+
+jest.mock('axios', () => ({ post: jest.fn() }));
+jest.mock('../../core/services/infrastructure/errorHandler', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+jest.mock('../../bot/repositories/DocumentoFirmaRepository', () => ({
+  registrarIntentoSap: jest.fn().mockResolvedValue(1),
+}));
+jest.mock('../../core/services/external/teamsService', () => ({
+  notifyError: jest.fn().mockResolvedValue(true),
+}));
+
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../../core/config');
+const repo = require('../../bot/repositories/DocumentoFirmaRepository');
+const teamsService = require('../../core/services/external/teamsService');
+const sapCallbackService = require('../../core/services/external/sapCallbackService');
+const { createDocumentoFirmado } = require('../factories/documentoFactory');
+
+describe('sapCallbackService', () => {
+  let documento;
+
+  beforeAll(() => {
+    // Backoff minimo para no alargar los tests
+    config.sapCallback.retry.baseDelayMs = 1;
+    config.sapCallback.retry.maxDelayMs = 1;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    documento = createDocumentoFirmado({
+      DocumentoFirmaId: 42,
+      SapCallbackUrl: 'https://sap.example.com/callback',
+      IntentosSap: 0,
+    });
+  });
+
+  // ===========================================================
+  // DESPACHO EXITOSO
+  // ===========================================================
+  describe('Despacho exitoso', () => {
+    test('debe enviar POST firmado con HMAC-SHA256', async () => {
+      axios.post.mockResolvedValueOnce({ status: 200 });
+
+      const result = await sapCallbackService.notificarCambioEstado(documento, 'FIRMADO', {
+        documentoFirmadoUrl: 'https://blob/firmado.pdf',
+      });
+
+      expect(result).toBe(true);
+      const [url, body, options] = axios.post.mock.calls[0];
+      expect(url).toBe('https://sap.example.com/callback');
+
+      const payload = JSON.parse(body);
+      expect(payload).toMatchObject({
+        sapDocumentId: 'SAP-DOC-001',
+        documentoFirmaId: 42,
+        estado: 'FIRMADO',
+        documentoFirmadoUrl: 'https://blob/firmado.pdf',
+      });
+
+      const timestamp = options.headers['X-SignBot-Timestamp'];
+      const expected = crypto
+        .createHmac('sha256', 'test-sap-secret')
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+      expect(options.headers['X-SignBot-Signature']).toBe(`sha256=${expected}`);
+      expect(options.headers['X-SignBot-Delivery']).toBe('42-FIRMADO');
+    });
+
+    test('no debe tocar IntentosSap si no habia fallos previos', async () => {
+      axios.post.mockResolvedValueOnce({ status: 200 });
+
+      await sapCallbackService.notificarCambioEstado(documento, 'FIRMADO');
+
+      expect(repo.registrarIntentoSap).not.toHaveBeenCalled();
+    });
+
+    test('debe reiniciar IntentosSap tras un reintento exitoso', async () => {
+      axios.post.mockResolvedValueOnce({ status: 200 });
+      documento.IntentosSap = 2;
+
+      await sapCallbackService.notificarCambioEstado(documento, 'FIRMADO');
+
+      expect(repo.registrarIntentoSap).toHaveBeenCalledWith(42, true);
+    });
+  });
+
+  // ===========================================================
+  // CASOS OMITIDOS
+  // ===========================================================
+  describe('Casos omitidos', () => {
+    test('no debe enviar si el documento no tiene SapCallbackUrl', async () => {
+      documento.SapCallbackUrl = null;
+
+      const result = await sapCallbackService.notificarCambioEstado(documento, 'FIRMADO');
+
+      expect(result).toBe(false);
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('no debe enviar estados que no se reportan a SAP', async () => {
+      const result = await sapCallbackService.notificarCambioEstado(documento, 'VISTO');
+
+      expect(result).toBe(false);
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+
+  // ===========================================================
+  // REINTENTOS Y AGOTAMIENTO
+  // ===========================================================
+  describe('Reintentos', () => {
+    test('debe reintentar errores 5xx con backoff', async () => {
+      axios.post
+        .mockRejectedValueOnce({ response: { status: 503 } })
+        .mockResolvedValueOnce({ status: 200 });
+
+      const result = await sapCallbackService.notificarCambioEstado(documento, 'ANULADO');
+
+      expect(result).toBe(true);
+      expect(axios.post).toHaveBeenCalledTimes(2);
+    });
+
+    test('no debe reintentar errores 4xx', async () => {
+      axios.post.mockRejectedValueOnce({ message: 'Bad Request', response: { status: 400 } });
+
+      const result = await sapCallbackService.notificarCambioEstado(documento, 'RECHAZADO', {
+        motivoRechazo: 'No acepto',
+      });
+
+      expect(result).toBe(false);
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(repo.registrarIntentoSap).toHaveBeenCalledWith(42, false);
+    });
+
+    test('debe incrementar IntentosSap al agotar los reintentos', async () => {
+      axios.post.mockRejectedValue({ message: 'timeout', code: 'ETIMEDOUT' });
+
+      const result = await sapCallbackService.notificarCambioEstado(documento, 'ERROR');
+
+      expect(result).toBe(false);
+      expect(axios.post).toHaveBeenCalledTimes(config.sapCallback.retry.maxRetries + 1);
+      expect(repo.registrarIntentoSap).toHaveBeenCalledWith(42, false);
+      expect(teamsService.notifyError).not.toHaveBeenCalled();
+    });
+
+    test('debe alertar a Teams cuando IntentosSap alcanza el maximo', async () => {
+      axios.post.mockRejectedValue({ message: 'Bad Request', response: { status: 400 } });
+      repo.registrarIntentoSap.mockResolvedValueOnce(config.sapCallback.maxIntentos);
+
+      await sapCallbackService.notificarCambioEstado(documento, 'FIRMADO');
+
+      expect(teamsService.notifyError).toHaveBeenCalledWith(
+        'Callback SAP agotado',
+        expect.stringContaining('SAP-DOC-001'),
+        expect.objectContaining({ estado: 'FIRMADO' })
+      );
+    });
+
+    test('no debe lanzar si falla el registro en BD', async () => {
+      axios.post.mockRejectedValue({ message: 'Bad Request', response: { status: 400 } });
+      repo.registrarIntentoSap.mockRejectedValueOnce(new Error('DB error'));
+
+      await expect(sapCallbackService.notificarCambioEstado(documento, 'FIRMADO')).resolves.toBe(
+        false
+      );
+    });
+  });
+
+  // ===========================================================
+  // DATOS DEL CLIENTE
+  // ===========================================================
+  describe('notificarDatosCliente', () => {
+    const datosCliente = { email: 'cliente@correo.mx', rfc: 'XAXX010101000' };
+
+    test('debe enviar los datos capturados con estado PENDIENTE_ENVIO', async () => {
+      axios.post.mockResolvedValueOnce({ status: 200 });
+
+      const result = await sapCallbackService.notificarDatosCliente(documento, datosCliente);
+
+      expect(result).toBe(true);
+      expect(JSON.parse(axios.post.mock.calls[0][1])).toMatchObject({
+        documentoFirmaId: 42,
+        estado: 'PENDIENTE_ENVIO',
+        datosCliente,
+      });
+      expect(repo.registrarIntentoSap).not.toHaveBeenCalled();
+    });
+
+    test('debe alertar a Teams sin lanzar ni tocar IntentosSap si SAP falla', async () => {
+      axios.post.mockRejectedValue({ message: 'Bad Request', response: { status: 400 } });
+
+      await expect(sapCallbackService.notificarDatosCliente(documento, datosCliente)).resolves.toBe(
+        false
+      );
+
+      expect(repo.registrarIntentoSap).not.toHaveBeenCalled();
+      expect(teamsService.notifyError).toHaveBeenCalledWith(
+        'Datos de cliente sin reportar a SAP',
+        expect.stringContaining('SAP-DOC-001'),
+        expect.objectContaining({ documentoId: 42 })
+      );
+    });
+  });
+});
@@ -0,0 +1,452 @@
+/**
+ * Unit Test: SAP Document Async
+ * Verifica el modo asincrono de POST /api/sap-document (SAP_DOCUMENT_ASYNC),
+ * el envio desde la cola (sapDocumentProcessor.procesarEnvioPendiente) y el
+ * guardado en DeadLetterMessages del queue processor
+ */
+
+jest.mock('../../core/services/infrastructure/appInsightsService', () =>
+  require('../__mocks__/appInsightsService.mock')
+);
+jest.mock('../../core/services/infrastructure/metricsService', () =>
+  require('../__mocks__/metricsService.mock')
+);
+jest.mock('../../core/services/infrastructure/correlationService', () => ({
+  generateCorrelationId: jest.fn(() => 'test-corr-id'),
+  getCorrelationId: jest.fn(() => 'test-corr-id'),
+}));
+jest.mock('../../core/services/messaging/serviceBusService', () => ({
+  ensureConnected: jest.fn(),
+  sendToQueue: jest.fn(),
+}));
+jest.mock('../../core/services/infrastructure/deadLetterService', () => ({
+  saveFailedMessage: jest.fn(),
+  saveFailedMessageToSQL: jest.fn(),
+}));
+jest.mock('../../core/services/storage/blobService', () => ({
+  getContainerClient: jest.fn(),
+  getBlobNameFromUrl: jest.fn(),
+}));
+jest.mock('../../core/services/external/teamsService', () => ({
+  notifyError: jest.fn(),
+}));
+jest.mock('../../core/services/external/sapCallbackService', () => ({
+  notificarCambioEstado: jest.fn(),
+  notificarDatosCliente: jest.fn(),
+}));
+jest.mock('../../core/services/external/whatsappService', () =>
+  require('../__mocks__/whatsappService.mock')
+);
+jest.mock('../../core/services/external/docusignService', () =>
+  require('../__mocks__/docusignService.mock')
+);
+jest.mock('../../bot/repositories/IntentoNotificacionRepository', () => ({
+  registrar: jest.fn(),
+}));
+jest.mock('../../bot/repositories/DocumentoFirmaRepository', () => ({
+  crear: jest.fn(),
+  obtenerPorId: jest.fn(),
+  obtenerActivoPorSapDocumentId: jest.fn(),
+  actualizarEstado: jest.fn(),
+  actualizarDatosCliente: jest.fn(),
+}));
+jest.mock('../../bot/repositories/FirmanteDocumentoRepository', () => ({
+  obtenerPorDocumento: jest.fn(),
+}));
+jest.mock('../../bot/repositories/PerfilTipoDocumentoRepository', () => ({
+  obtenerPorTipo: jest.fn(),
+}));
+
+const sapDocumentEndpoint = require('../../api-sap-document');
+const queueProcessor = require('../../queue-message-processor');
+const config = require('../../core/config');
+const serviceBus = require('../../core/services/messaging/serviceBusService');
+const deadLetter = require('../../core/services/infrastructure/deadLetterService');
+const blobService = require('../../core/services/storage/blobService');
+const docusignService = require('../../core/services/external/docusignService');
+const whatsappService = require('../../core/services/external/whatsappService');
+const teamsService = require('../../core/services/external/teamsService');
+const sapCallbackService = require('../../core/services/external/sapCallbackService');
+const documentoRepo = require('../../bot/repositories/DocumentoFirmaRepository');
+const perfilRepo = require('../../bot/repositories/PerfilTipoDocumentoRepository');
+const firmanteRepo = require('../../bot/repositories/FirmanteDocumentoRepository');
+const { ESTADO_DOCUMENTO_ID } = require('../../bot/constants/documentStates');
+const {
+  procesarEnvioPendiente,
+  completarDatosFirmante,
+} = require('../../core/services/processing/sapDocumentProcessor');
+const { createSapDocumentPayload, FAKE_PDF_BASE64 } = require('../factories/sapPayloadFactory');
+const { createDocumentoPendiente } = require('../factories/documentoFactory');
+const { createPostRequest } = require('../factories/requestFactory');
+
+const DOCUMENTO = {
+  DocumentoFirmaId: 77,
+  SapDocumentId: 'SAP-1',
+  SapCallbackUrl: 'https://sap.example.com/callback',
+  EstadoDocumentoId: ESTADO_DOCUMENTO_ID.PENDIENTE_ENVIO,
+};
+
+describe('SAP Document Async', () => {
+  let context;
+  let blockBlobClient;
+  const asyncEnabledOriginal = config.sapDocument.asyncEnabled;
+
+  beforeEach(() => {
+    context = global.createMockContext();
+    config.sapDocument.asyncEnabled = true;
+
+    blockBlobClient = {
+      url: 'https://blob/documentos/original.pdf',
+      upload: jest.fn().mockResolvedValue({}),
+      downloadToBuffer: jest.fn().mockResolvedValue(Buffer.from(FAKE_PDF_BASE64, 'base64')),
+    };
+    blobService.getContainerClient.mockResolvedValue({
+      getBlockBlobClient: jest.fn(() => blockBlobClient),
+    });
+
+    serviceBus.ensureConnected.mockResolvedValue(true);
+    serviceBus.sendToQueue.mockResolvedValue(true);
+    deadLetter.saveFailedMessageToSQL.mockResolvedValue(true);
+
+    docusignService.createEnvelope.mockResolvedValue({
+      envelopeId: 'test-envelope-123',
+      signingUrl: null,
+    });
+    whatsappService.sendTemplate.mockResolvedValue('wamid.template_123');
+    teamsService.notifyError.mockResolvedValue(true);
+    sapCallbackService.notificarCambioEstado.mockResolvedValue(true);
+
+    documentoRepo.obtenerActivoPorSapDocumentId.mockResolvedValue(null);
+    documentoRepo.crear.mockResolvedValue({ DocumentoFirmaId: 77, Version: 1 });
+    perfilRepo.obtenerPorTipo.mockResolvedValue(null);
+    documentoRepo.obtenerPorId.mockResolvedValue(createDocumentoPendiente(DOCUMENTO));
+    documentoRepo.actualizarEstado.mockResolvedValue(true);
+    firmanteRepo.obtenerPorDocumento.mockResolvedValue([]);
+    documentoRepo.actualizarDatosCliente.mockResolvedValue(true);
+    sapCallbackService.notificarDatosCliente.mockResolvedValue(true);
+    blobService.getBlobNameFromUrl.mockReturnValue('documentos/SAP-1/1_original.pdf');
+  });
+
+  afterAll(() => {
+    config.sapDocument.asyncEnabled = asyncEnabledOriginal;
+  });
+
+  // ===========================================================
+  // POST - MODO ASINCRONO
+  // ===========================================================
+  describe('POST /api/sap-document (SAP_DOCUMENT_ASYNC)', () => {
+    test('debe registrar PENDIENTE_ENVIO, encolar y retornar 202', async () => {
+      await sapDocumentEndpoint(context, createPostRequest(createSapDocumentPayload()));
+
+      expect(context.res.status).toBe(202);
+      expect(context.res.body).toMatchObject({
+        documentoId: 77,
+        envelopeId: null,
+        estado: 'PENDIENTE_ENVIO',
+      });
+      expect(docusignService.createEnvelope).not.toHaveBeenCalled();
+      expect(whatsappService.sendTemplate).not.toHaveBeenCalled();
+
+      const [payload] = serviceBus.sendToQueue.mock.calls[0];
+      expect(payload.message).toMatchObject({ type: 'sap_document_envio', documentoId: 77 });
+      expect(payload.message.blobName).toBeDefined();
+      expect(payload.messageId).toBe('sap_document_envio-77');
+    });
+
+    test('debe retornar el documento existente si sigue pendiente (reenvio de SAP)', async () => {
+      documentoRepo.obtenerActivoPorSapDocumentId.mockResolvedValue(
+        createDocumentoPendiente({ ...DOCUMENTO, DocumentoFirmaId: 55 })
+      );
+
+      await sapDocumentEndpoint(context, createPostRequest(createSapDocumentPayload()));
+
+      expect(context.res.status).toBe(202);
+      expect(context.res.body.documentoId).toBe(55);
+      expect(documentoRepo.crear).not.toHaveBeenCalled();
+      expect(blockBlobClient.upload).not.toHaveBeenCalled();
+      expect(serviceBus.sendToQueue).not.toHaveBeenCalled();
+    });
+
+    test('debe procesar en linea y retornar 201 si no se pudo encolar', async () => {
+      serviceBus.sendToQueue.mockResolvedValue(false);
+
+      await sapDocumentEndpoint(context, createPostRequest(createSapDocumentPayload()));
+
+      expect(context.res.status).toBe(201);
+      expect(context.res.body).toMatchObject({
+        documentoId: 77,
+        envelopeId: 'test-envelope-123',
+        estado: 'ENVIADO',
+      });
+    });
+
+    test('debe procesar en linea si Service Bus no esta disponible', async () => {
+      serviceBus.ensureConnected.mockResolvedValue(false);
+
+      await sapDocumentEndpoint(context, createPostRequest(createSapDocumentPayload()));
+
+      expect(context.res.status).toBe(201);
+      expect(serviceBus.sendToQueue).not.toHaveBeenCalled();
+      expect(docusignService.createEnvelope).toHaveBeenCalled();
+    });
+
+    test.each([
+      [{ tabs: [{ tipo: 'signHere', firmante: 2, anchor: '/firma/' }] }, 'tabs: '],
+      [{ datosPorConfirmar: ['EMAIL', 'EMAIL'] }, 'datosPorConfirmar: '],
+      [{ canalPreferido: 'FAX' }, 'canalPreferido: '],
+    ])('debe rechazar con 400 opciones de firma invalidas (%j)', async (overrides, prefijo) => {
+      await sapDocumentEndpoint(context, createPostRequest(createSapDocumentPayload(overrides)));
+
+      expect(context.res.status).toBe(400);
+      expect(context.res.body.error.startsWith(prefijo)).toBe(true);
+      expect(documentoRepo.crear).not.toHaveBeenCalled();
+    });
+  });
+
+  // ===========================================================
+  // DATOS DEL FIRMANTE PENDIENTES
+  // ===========================================================
+  describe('datos del firmante pendientes', () => {
+    test('debe pedir los datos por WhatsApp sin encolar el envio', async () => {
+      await sapDocumentEndpoint(
+        context,
+        createPostRequest(createSapDocumentPayload({ datosPorConfirmar: ['EMAIL'] }))
+      );
+
+      expect(context.res.status).toBe(202);
+      expect(context.res.body).toMatchObject({
+        documentoId: 77,
+        estado: 'PENDIENTE_ENVIO',
+        datosPendientes: ['EMAIL'],
+      });
+      expect(documentoRepo.crear).toHaveBeenCalledWith(
+        expect.objectContaining({ DatosPendientes: '["EMAIL"]' }),
+        expect.objectContaining({
+          detalle: expect.objectContaining({ datosPendientes: ['EMAIL'] }),
+        })
+      );
+      expect(whatsappService.sendTemplate).toHaveBeenCalledWith(
+        '5215512345678',
+        expect.objectContaining({ name: 'firma_datos' })
+      );
+      expect(serviceBus.sendToQueue).not.toHaveBeenCalled();
+      expect(docusignService.createEnvelope).not.toHaveBeenCalled();
+    });
+
+    test('procesarEnvioPendiente debe omitir documentos que esperan datos', async () => {
+      documentoRepo.obtenerPorId.mockResolvedValue(
+        createDocumentoPendiente({ ...DOCUMENTO, DatosPendientes: '["RFC"]' })
+      );
+
+      const resultado = await procesarEnvioPendiente(
+        { type: 'sap_document_envio', documentoId: 77, blobName: 'x.pdf' },
+        jest.fn()
+      );
+
+      expect(resultado).toBeNull();
+      expect(docusignService.createEnvelope).not.toHaveBeenCalled();
+    });
+
+    test('completarDatosFirmante debe guardar, reportar a SAP y encolar el envio', async () => {
+      const completado = await completarDatosFirmante(
+        77,
+        { EMAIL: 'juan@correo.mx', RFC: 'PEJU800101AB1' },
+        '5215512345678',
+        { log: jest.fn(), logError: jest.fn() }
+      );
+
+      expect(completado).toBe(true);
+      expect(documentoRepo.actualizarDatosCliente).toHaveBeenCalledWith(
+        77,
+        { email: 'juan@correo.mx', rfc: 'PEJU800101AB1', nombre: null },
+        { actor: '5215512345678', detalle: { datosCapturados: ['EMAIL', 'RFC'] } }
+      );
+      expect(sapCallbackService.notificarDatosCliente).toHaveBeenCalledWith(
+        expect.objectContaining({ DocumentoFirmaId: 77 }),
+        { email: 'juan@correo.mx', rfc: 'PEJU800101AB1', nombreLegal: null }
+      );
+      const [payload] = serviceBus.sendToQueue.mock.calls[0];
+      expect(payload.message).toEqual({
+        type: 'sap_document_envio',
+        documentoId: 77,
+        blobName: 'documentos/SAP-1/1_original.pdf',
+      });
+    });
+
+    test('completarDatosFirmante no debe encolar si el documento ya no esperaba datos', async () => {
+      documentoRepo.actualizarDatosCliente.mockResolvedValue(false);
+
+      const completado = await completarDatosFirmante(
+        77,
+        { EMAIL: 'juan@correo.mx' },
+        '5215512345678',
+        { log: jest.fn(), logError: jest.fn() }
+      );
+
+      expect(completado).toBe(false);
+      expect(sapCallbackService.notificarDatosCliente).not.toHaveBeenCalled();
+      expect(serviceBus.sendToQueue).not.toHaveBeenCalled();
+    });
+  });
+
+  // ===========================================================
+  // ENVIO DESDE LA COLA
+  // ===========================================================
+  describe('procesarEnvioPendiente()', () => {
+    const mensaje = {
+      type: 'sap_document_envio',
+      documentoId: 77,
+      blobName: 'documentos/SAP-1/1_original.pdf',
+    };
+
+    test('debe crear el envelope, notificar y marcar ENVIADO', async () => {
+      const resultado = await procesarEnvioPendiente(mensaje, jest.fn());
+
+      expect(resultado).toMatchObject({
+        documentoId: 77,
+        envelopeId: 'test-envelope-123',
+        estado: 'ENVIADO',
+      });
+      expect(whatsappService.sendTemplate).toHaveBeenCalled();
+      expect(documentoRepo.actualizarEstado).toHaveBeenCalledWith(
+        77,
+        ESTADO_DOCUMENTO_ID.ENVIADO,
+        expect.any(Number),
+        expect.objectContaining({ EnvelopeId: 'test-envelope-123' }),
+        { origen: 'SAP_API', actor: 'SAP', detalle: { canalNotificacion: 'WHATSAPP' } }
+      );
+    });
+
+    describe('reenvio de SAP con una version activa', () => {
+      const anterior = createDocumentoPendiente({
+        ...DOCUMENTO,
+        DocumentoFirmaId: 55,
+        EnvelopeId: 'env-anterior',
+        EstadoDocumentoId: ESTADO_DOCUMENTO_ID.ENVIADO,
+        Version: 3,
+      });
+
+      beforeEach(() => {
+        documentoRepo.obtenerPorId.mockResolvedValue(
+          createDocumentoPendiente({ ...DOCUMENTO, DocumentoAnteriorId: 55 })
+        );
+        // Igual que la consulta: sin excluir, el registro mas reciente es el pendiente
+        documentoRepo.obtenerActivoPorSapDocumentId.mockImplementation(
+          async (_sapDocumentId, excluirDocumentoId) =>
+            excluirDocumentoId === 77 ? anterior : createDocumentoPendiente(DOCUMENTO)
+        );
+      });
+
+      test('debe corregir el envelope de la version anterior', async () => {
+        const resultado = await procesarEnvioPendiente(mensaje, jest.fn());
+
+        expect(documentoRepo.obtenerActivoPorSapDocumentId).toHaveBeenCalledWith('SAP-1', 77);
+        expect(docusignService.correctEnvelope).toHaveBeenCalledWith(
+          'env-anterior',
+          expect.any(Buffer),
+          'Contrato de Servicio 2025'
+        );
+        expect(docusignService.createEnvelope).not.toHaveBeenCalled();
+        expect(resultado.envelopeId).toBe('env-anterior');
+      });
+
+      test('debe anular la version anterior si el envelope no se puede corregir', async () => {
+        documentoRepo.obtenerPorId.mockResolvedValue(
+          createDocumentoPendiente({
+            ...DOCUMENTO,
+            DocumentoAnteriorId: 55,
+            TabsFirma: JSON.stringify([{ tipo: 'signHere', firmante: 1, anchor: '/firma/' }]),
+          })
+        );
+
+        const resultado = await procesarEnvioPendiente(mensaje, jest.fn());
+
+        expect(docusignService.correctEnvelope).not.toHaveBeenCalled();
+        expect(docusignService.voidEnvelope).toHaveBeenCalledWith(
+          'env-anterior',
+          expect.any(String)
+        );
+        expect(documentoRepo.actualizarEstado).toHaveBeenCalledWith(
+          55,
+          ESTADO_DOCUMENTO_ID.ANULADO,
+          3,
+          {},
+          expect.objectContaining({ origen: 'SAP_API' })
+        );
+        expect(resultado.envelopeId).toBe('test-envelope-123');
+      });
+    });
+
+    test('debe omitir documentos que ya no estan pendientes', async () => {
+      documentoRepo.obtenerPorId.mockResolvedValue(
+        createDocumentoPendiente({ ...DOCUMENTO, EstadoDocumentoId: ESTADO_DOCUMENTO_ID.ENVIADO })
+      );
+
+      const resultado = await procesarEnvioPendiente(mensaje, jest.fn());
+
+      expect(resultado).toBeNull();
+      expect(docusignService.createEnvelope).not.toHaveBeenCalled();
+    });
+
+    test('debe relanzar sin marcar ERROR si quedan reintentos', async () => {
+      docusignService.createEnvelope.mockRejectedValueOnce(new Error('DocuSign timeout'));
+
+      await expect(procesarEnvioPendiente(mensaje, jest.fn())).rejects.toThrow();
+      expect(documentoRepo.actualizarEstado).not.toHaveBeenCalled();
+      expect(sapCallbackService.notificarCambioEstado).not.toHaveBeenCalled();
+    });
+
+    test('debe marcar ERROR y notificar a SAP en el ultimo intento', async () => {
+      docusignService.createEnvelope.mockRejectedValueOnce(new Error('DocuSign timeout'));
+
+      await expect(
+        procesarEnvioPendiente({ ...mensaje, ultimoIntento: true }, jest.fn())
+      ).rejects.toThrow();
+      expect(documentoRepo.actualizarEstado).toHaveBeenCalledWith(
+        77,
+        ESTADO_DOCUMENTO_ID.ERROR,
+        1,
+        expect.objectContaining({ MensajeError: expect.any(String) }),
+        { origen: 'SAP_API', actor: 'SAP' }
+      );
+      expect(sapCallbackService.notificarCambioEstado).toHaveBeenCalledWith(
+        expect.objectContaining({ DocumentoFirmaId: 77 }),
+        'ERROR',
+        expect.objectContaining({ mensajeError: expect.any(String) })
+      );
+    });
+  });
+
+  // ===========================================================
+  // QUEUE PROCESSOR
+  // ===========================================================
+  describe('queue-message-processor', () => {
+    const queueMessage = {
+      message: { type: 'sap_document_envio', documentoId: 77, blobName: 'documentos/x.pdf' },
+      from: '5215512345678',
+      messageId: 'sap_document_envio-77',
+      correlationId: 'test-corr-id',
+    };
+
+    test('debe guardar el envio fallido en DeadLetterMessages sin relanzar', async () => {
+      docusignService.createEnvelope.mockRejectedValueOnce(new Error('DocuSign timeout'));
+
+      await expect(queueProcessor(context, queueMessage)).resolves.toBeUndefined();
+      expect(deadLetter.saveFailedMessageToSQL).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageId: 'sap_document_envio-77',
+          type: 'sap_document_envio',
+          content: queueMessage.message,
+        }),
+        expect.any(Error)
+      );
+    });
+
+    test('debe relanzar si no se pudo guardar para reintento', async () => {
+      docusignService.createEnvelope.mockRejectedValueOnce(new Error('DocuSign timeout'));
+      deadLetter.saveFailedMessageToSQL.mockResolvedValue(false);
+
+      await expect(queueProcessor(context, queueMessage)).rejects.toThrow();
+    });
+  });
+});
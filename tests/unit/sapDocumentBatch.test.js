@@ -0,0 +1,307 @@
+/**
+ * Unit Test: SAP Document Batch
+ * Verifica la ingesta por lotes (POST/GET /api/sap-document/batch) y el
+ * procesamiento de documentos encolados (sapDocumentProcessor.procesarItemLote)
+ */
+
+jest.mock('../../core/services/infrastructure/appInsightsService', () =>
+  require('../__mocks__/appInsightsService.mock')
+);
+jest.mock('../../core/services/infrastructure/metricsService', () =>
+  require('../__mocks__/metricsService.mock')
+);
+jest.mock('../../core/services/infrastructure/correlationService', () => ({
+  generateCorrelationId: jest.fn(() => 'test-corr-id'),
+  getCorrelationId: jest.fn(() => 'test-corr-id'),
+}));
+jest.mock('../../core/services/messaging/serviceBusService', () => ({
+  ensureConnected: jest.fn(),
+  sendToQueue: jest.fn(),
+}));
+jest.mock('../../core/services/storage/blobService', () => ({
+  getContainerClient: jest.fn(),
+}));
+jest.mock('../../core/services/external/teamsService', () => ({
+  notifyError: jest.fn(),
+}));
+jest.mock('../../core/services/external/whatsappService', () =>
+  require('../__mocks__/whatsappService.mock')
+);
+jest.mock('../../core/services/external/docusignService', () =>
+  require('../__mocks__/docusignService.mock')
+);
+jest.mock('../../bot/repositories/LoteDocumentoRepository', () => ({
+  crearLote: jest.fn(),
+  obtenerLote: jest.fn(),
+  obtenerItem: jest.fn(),
+  actualizarItem: jest.fn(),
+}));
+jest.mock('../../bot/repositories/IntentoNotificacionRepository', () => ({
+  registrar: jest.fn(),
+}));
+jest.mock('../../bot/repositories/DocumentoFirmaRepository', () => ({
+  crear: jest.fn(),
+  obtenerActivoPorSapDocumentId: jest.fn(),
+  actualizarEstado: jest.fn(),
+}));
+jest.mock('../../bot/repositories/PerfilTipoDocumentoRepository', () => ({
+  obtenerPorTipo: jest.fn(),
+}));
+
+const batchEndpoint = require('../../api-sap-document-batch');
+const config = require('../../core/config');
+const serviceBus = require('../../core/services/messaging/serviceBusService');
+const blobService = require('../../core/services/storage/blobService');
+const docusignService = require('../../core/services/external/docusignService');
+const whatsappService = require('../../core/services/external/whatsappService');
+const teamsService = require('../../core/services/external/teamsService');
+const loteRepo = require('../../bot/repositories/LoteDocumentoRepository');
+const documentoRepo = require('../../bot/repositories/DocumentoFirmaRepository');
+const perfilRepo = require('../../bot/repositories/PerfilTipoDocumentoRepository');
+const { procesarItemLote } = require('../../core/services/processing/sapDocumentProcessor');
+const { createSapDocumentPayload, FAKE_PDF_BASE64 } = require('../factories/sapPayloadFactory');
+const { createGetRequest, createPostRequest } = require('../factories/requestFactory');
+
+const BATCH_ID = '0f8fad5b-d9cb-469f-a165-70867728950e';
+
+describe('SAP Document Batch', () => {
+  let context;
+  let blockBlobClient;
+
+  beforeEach(() => {
+    context = global.createMockContext();
+
+    blockBlobClient = {
+      url: 'https://blob/documentos/original.pdf',
+      upload: jest.fn().mockResolvedValue({}),
+      downloadToBuffer: jest.fn().mockResolvedValue(Buffer.from(FAKE_PDF_BASE64, 'base64')),
+    };
+    blobService.getContainerClient.mockResolvedValue({
+      getBlockBlobClient: jest.fn(() => blockBlobClient),
+    });
+
+    serviceBus.ensureConnected.mockResolvedValue(true);
+    serviceBus.sendToQueue.mockResolvedValue(true);
+
+    loteRepo.crearLote.mockResolvedValue(undefined);
+    loteRepo.actualizarItem.mockResolvedValue(true);
+    loteRepo.obtenerItem.mockResolvedValue({ Estado: 'ENCOLADO' });
+
+    docusignService.createEnvelope.mockResolvedValue({
+      envelopeId: 'test-envelope-123',
+      signingUrl: null,
+    });
+    whatsappService.sendTemplate.mockResolvedValue('wamid.template_123');
+    teamsService.notifyError.mockResolvedValue(true);
+
+    documentoRepo.obtenerActivoPorSapDocumentId.mockResolvedValue(null);
+    documentoRepo.crear.mockResolvedValue({ DocumentoFirmaId: 77, Version: 1 });
+    perfilRepo.obtenerPorTipo.mockResolvedValue(null);
+    documentoRepo.actualizarEstado.mockResolvedValue(true);
+  });
+
+  // ===========================================================
+  // POST - INGESTA
+  // ===========================================================
+  describe('POST /api/sap-document/batch', () => {
+    test('debe encolar cada documento valido y retornar 202 con batchId', async () => {
+      const documentos = [
+        createSapDocumentPayload({ sapDocumentId: 'SAP-1' }),
+        createSapDocumentPayload({ sapDocumentId: 'SAP-2' }),
+      ];
+
+      await batchEndpoint(context, createPostRequest({ documentos }));
+
+      expect(context.res.status).toBe(202);
+      expect(context.res.body).toMatchObject({ success: true, total: 2, aceptados: 2 });
+      expect(context.res.body.batchId).toMatch(/^[0-9a-f-]{36}$/);
+      expect(loteRepo.crearLote).toHaveBeenCalledWith(
+        context.res.body.batchId,
+        expect.any(Array),
+        'test-corr-id'
+      );
+
+      expect(serviceBus.sendToQueue).toHaveBeenCalledTimes(2);
+      const [payload] = serviceBus.sendToQueue.mock.calls[0];
+      expect(payload.message).toMatchObject({ type: 'sap_document', indice: 0 });
+      expect(payload.message.documento.sapDocumentId).toBe('SAP-1');
+      expect(payload.message.documento.pdfBase64).toBeUndefined();
+    });
+
+    test('debe reportar documentos invalidos y duplicados sin encolarlos', async () => {
+      const documentos = [
+        createSapDocumentPayload({ sapDocumentId: 'SAP-1' }),
+        createSapDocumentPayload({ sapDocumentId: 'SAP-1' }),
+        createSapDocumentPayload({ sapDocumentId: 'SAP-3', clienteTelefono: '123' }),
+        createSapDocumentPayload({ sapDocumentId: 'SAP-4', pdfBase64: 'bm8tZXMtcGRm' }),
+      ];
+
+      await batchEndpoint(context, createPostRequest({ documentos }));
+
+      expect(context.res.status).toBe(202);
+      expect(context.res.body).toMatchObject({ aceptados: 1, rechazados: 3 });
+      const estados = context.res.body.items.map((item) => item.estado);
+      expect(estados).toEqual(['ENCOLADO', 'INVALIDO', 'INVALIDO', 'INVALIDO']);
+      expect(context.res.body.items[1].error).toContain('duplicado');
+      expect(context.res.body.items[2].error).toContain('clienteTelefono');
+      expect(serviceBus.sendToQueue).toHaveBeenCalledTimes(1);
+    });
+
+    test.each([
+      'http://169.254.169.254/latest/meta-data',
+      'http://localhost:7071/api/callback',
+      'https://10.0.0.8/callback',
+      'ftp://sap.example.com/callback',
+    ])('debe rechazar sapCallbackUrl a un host interno (%s)', async (sapCallbackUrl) => {
+      await batchEndpoint(
+        context,
+        createPostRequest({ documentos: [createSapDocumentPayload({ sapCallbackUrl })] })
+      );
+
+      const [item] = context.res.body.items;
+      expect(item.estado).toBe('INVALIDO');
+      expect(item.error).toContain('sapCallbackUrl');
+      expect(serviceBus.sendToQueue).not.toHaveBeenCalled();
+    });
+
+    test('debe marcar como ERROR los documentos que no se pudieron encolar', async () => {
+      serviceBus.sendToQueue.mockResolvedValueOnce(false);
+
+      await batchEndpoint(context, createPostRequest({ documentos: [createSapDocumentPayload()] }));
+
+      expect(context.res.body.items[0].estado).toBe('ERROR');
+      expect(loteRepo.actualizarItem).toHaveBeenCalledWith(
+        context.res.body.batchId,
+        0,
+        'ERROR',
+        expect.objectContaining({ MensajeError: expect.any(String) })
+      );
+    });
+
+    test('debe rechazar lote vacio con 400', async () => {
+      await batchEndpoint(context, createPostRequest({ documentos: [] }));
+
+      expect(context.res.status).toBe(400);
+      expect(loteRepo.crearLote).not.toHaveBeenCalled();
+    });
+
+    test('debe rechazar lote que excede el maximo con 413', async () => {
+      const documentos = Array.from({ length: config.sapBatch.maxDocumentos + 1 }, () => ({}));
+
+      await batchEndpoint(context, createPostRequest({ documentos }));
+
+      expect(context.res.status).toBe(413);
+    });
+
+    test('debe retornar 503 si Service Bus no esta disponible', async () => {
+      serviceBus.ensureConnected.mockResolvedValue(false);
+
+      await batchEndpoint(context, createPostRequest({ documentos: [createSapDocumentPayload()] }));
+
+      expect(context.res.status).toBe(503);
+      expect(blockBlobClient.upload).not.toHaveBeenCalled();
+    });
+  });
+
+  // ===========================================================
+  // GET - ESTADO DEL LOTE
+  // ===========================================================
+  describe('GET /api/sap-document/batch/{batchId}', () => {
+    test('debe retornar el estado de cada item y el resumen', async () => {
+      loteRepo.obtenerLote.mockResolvedValue({
+        LoteId: BATCH_ID,
+        TotalDocumentos: 2,
+        FechaCreacion: new Date(),
+        items: [
+          {
+            Indice: 0,
+            SapDocumentId: 'SAP-1',
+            Estado: 'PROCESADO',
+            DocumentoFirmaId: 77,
+            EstadoDocumento: 'ENVIADO',
+          },
+          { Indice: 1, SapDocumentId: 'SAP-2', Estado: 'ENCOLADO', DocumentoFirmaId: null },
+        ],
+      });
+
+      await batchEndpoint(context, createGetRequest({ params: { batchId: BATCH_ID } }));
+
+      expect(context.res.status).toBe(200);
+      expect(context.res.body.resumen).toMatchObject({ PROCESADO: 1, ENCOLADO: 1 });
+      expect(context.res.body.completado).toBe(false);
+      expect(context.res.body.items[0]).toMatchObject({
+        documentoId: 77,
+        estadoDocumento: 'ENVIADO',
+      });
+    });
+
+    test('debe retornar 404 si el lote no existe', async () => {
+      loteRepo.obtenerLote.mockResolvedValue(null);
+
+      await batchEndpoint(context, createGetRequest({ params: { batchId: BATCH_ID } }));
+
+      expect(context.res.status).toBe(404);
+    });
+
+    test('debe retornar 400 con batchId invalido', async () => {
+      await batchEndpoint(context, createGetRequest({ params: { batchId: 'abc' } }));
+
+      expect(context.res.status).toBe(400);
+      expect(loteRepo.obtenerLote).not.toHaveBeenCalled();
+    });
+  });
+
+  // ===========================================================
+  // PROCESAMIENTO DESDE LA COLA
+  // ===========================================================
+  describe('procesarItemLote()', () => {
+    const mensaje = {
+      type: 'sap_document',
+      loteId: BATCH_ID,
+      indice: 0,
+      documento: createSapDocumentPayload({ sapDocumentId: 'SAP-1', pdfBase64: undefined }),
+      blobName: 'documentos/SAP-1/1_original.pdf',
+      blobUrl: 'https://blob/documentos/SAP-1/1_original.pdf',
+    };
+
+    test('debe crear el documento y marcar el item como PROCESADO', async () => {
+      const resultado = await procesarItemLote(mensaje, jest.fn());
+
+      expect(resultado).toMatchObject({ documentoId: 77, estado: 'ENVIADO' });
+      expect(documentoRepo.crear).toHaveBeenCalledWith(
+        expect.objectContaining({ SapDocumentId: 'SAP-1', DocumentoOriginalUrl: mensaje.blobUrl }),
+        expect.objectContaining({
+          origen: 'SAP_API',
+          actor: 'SAP',
+          detalle: expect.objectContaining({ sapDocumentId: 'SAP-1' }),
+        })
+      );
+      expect(loteRepo.actualizarItem).toHaveBeenCalledWith(BATCH_ID, 0, 'PROCESADO', {
+        DocumentoFirmaId: 77,
+      });
+    });
+
+    test('debe omitir items ya procesados (reentrega de Service Bus)', async () => {
+      loteRepo.obtenerItem.mockResolvedValue({ Estado: 'PROCESADO' });
+
+      const resultado = await procesarItemLote(mensaje, jest.fn());
+
+      expect(resultado).toBeNull();
+      expect(documentoRepo.crear).not.toHaveBeenCalled();
+    });
+
+    test('debe marcar el item como ERROR y relanzar si falla DocuSign', async () => {
+      docusignService.createEnvelope.mockRejectedValueOnce(new Error('DocuSign down'));
+
+      await expect(procesarItemLote(mensaje, jest.fn())).rejects.toThrow(
+        'Error creando el sobre de firma en DocuSign'
+      );
+      expect(loteRepo.actualizarItem).toHaveBeenCalledWith(
+        BATCH_ID,
+        0,
+        'ERROR',
+        expect.objectContaining({ MensajeError: expect.any(String) })
+      );
+    });
+  });
+});
@@ -3,8 +3,10 @@
  * Verifica la recepcion y procesamiento de documentos desde SAP
  */
 
+const sapDocumentEndpoint = require('../../api-sap-document');
 const { validateSapDocumentPayload } = require('../../bot/schemas/sapDocumentPayload');
 const { createSapDocumentPayload, FAKE_PDF_BASE64 } = require('../factories/sapPayloadFactory');
+const { createPostRequest } = require('../factories/requestFactory');
 
 describe('SAP Document Endpoint - Validacion de Payload', () => {
   // ===========================================================
@@ -41,6 +43,14 @@ describe('SAP Document Endpoint - Validacion de Payload', () => {
       expect(result.data.datosExtra).toEqual({ campo1: 'valor1' });
     });
 
+    test('debe aceptar canal preferido de notificacion', () => {
+      const payload = createSapDocumentPayload({ canalPreferido: 'EMAIL' });
+      const result = validateSapDocumentPayload(payload);
+
+      expect(result.success).toBe(true);
+      expect(result.data.canalPreferido).toBe('EMAIL');
+    });
+
     test('debe aceptar payload con callback URL opcional', () => {
       const payload = createSapDocumentPayload({
         sapCallbackUrl: 'https://sap.example.com/callback',
@@ -60,6 +70,17 @@ describe('SAP Document Endpoint - Validacion de Payload', () => {
       }
     });
 
+    test('debe aceptar RFC y datos por confirmar con el cliente', () => {
+      const payload = createSapDocumentPayload({
+        clienteRfc: 'PEJU800101AB1',
+        datosPorConfirmar: ['EMAIL', 'NOMBRE_LEGAL'],
+      });
+      const result = validateSapDocumentPayload(payload);
+
+      expect(result.success).toBe(true);
+      expect(result.data.datosPorConfirmar).toEqual(['EMAIL', 'NOMBRE_LEGAL']);
+    });
+
     test('debe usar OTRO como tipo por defecto', () => {
       const payload = createSapDocumentPayload();
       delete payload.tipoDocumento;
@@ -157,6 +178,24 @@ describe('SAP Document Endpoint - Validacion de Payload', () => {
       expect(result.success).toBe(false);
     });
 
+    test('debe rechazar canal preferido invalido', () => {
+      const payload = createSapDocumentPayload({ canalPreferido: 'FAX' });
+      const result = validateSapDocumentPayload(payload);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('canalPreferido');
+    });
+
+    test.each([
+      ['un dato desconocido', ['EMAIL', 'CURP']],
+      ['datos repetidos', ['RFC', 'RFC']],
+    ])('debe rechazar datosPorConfirmar con %s', (_caso, datosPorConfirmar) => {
+      const payload = createSapDocumentPayload({ datosPorConfirmar });
+      const result = validateSapDocumentPayload(payload);
+
+      expect(result.success).toBe(false);
+    });
+
     test('debe rechazar payload completamente vacio', () => {
       const result = validateSapDocumentPayload({});
       expect(result.success).toBe(false);
@@ -170,6 +209,103 @@ describe('SAP Document Endpoint - Validacion de Payload', () => {
     });
   });
 
+  // ===========================================================
+  // FIRMANTES (MULTI-FIRMANTE)
+  // ===========================================================
+  describe('Firmantes', () => {
+    const firmantes = [
+      { telefono: '5215512345678', nombre: 'Juan Perez', rol: 'CLIENTE' },
+      { telefono: '5215587654321', nombre: 'Maria Lopez', rol: 'AVAL', email: 'maria@example.com' },
+      { telefono: '5218112345678', nombre: 'Gerente Arca', rol: 'CONTRAFIRMA' },
+    ];
+
+    test('debe aceptar lista ordenada de firmantes', () => {
+      const payload = createSapDocumentPayload({ firmantes });
+      const result = validateSapDocumentPayload(payload);
+
+      expect(result.success).toBe(true);
+      expect(result.data.firmantes.map((f) => f.rol)).toEqual(['CLIENTE', 'AVAL', 'CONTRAFIRMA']);
+    });
+
+    test('debe rechazar lista vacia de firmantes', () => {
+      const payload = createSapDocumentPayload({ firmantes: [] });
+      const result = validateSapDocumentPayload(payload);
+
+      expect(result.success).toBe(false);
+    });
+
+    test('debe rechazar firmante con rol invalido', () => {
+      const payload = createSapDocumentPayload({
+        firmantes: [{ ...firmantes[0], rol: 'TESTIGO' }],
+      });
+      const result = validateSapDocumentPayload(payload);
+
+      expect(result.success).toBe(false);
+    });
+
+    test('debe rechazar firmante con telefono invalido', () => {
+      const payload = createSapDocumentPayload({
+        firmantes: [firmantes[0], { ...firmantes[1], telefono: '123' }],
+      });
+      const result = validateSapDocumentPayload(payload);
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  // ===========================================================
+  // TABS
+  // ===========================================================
+  describe('Tabs', () => {
+    test('debe aceptar tabs por anchor y por coordenadas', () => {
+      const payload = createSapDocumentPayload({
+        tabs: [
+          { tipo: 'signHere', anchor: '/firma_cliente/' },
+          { tipo: 'initialHere', todasLasPaginas: true, x: 500, y: 740 },
+          { tipo: 'text', pagina: 1, x: 100, y: 200, etiqueta: 'RFC', requerido: true },
+        ],
+      });
+      const result = validateSapDocumentPayload(payload);
+
+      expect(result.success).toBe(true);
+      expect(result.data.tabs[0].firmante).toBe(1);
+    });
+
+    test('debe rechazar tab sin posicion', () => {
+      const payload = createSapDocumentPayload({ tabs: [{ tipo: 'checkbox' }] });
+      const result = validateSapDocumentPayload(payload);
+
+      expect(result.success).toBe(false);
+    });
+
+    test('debe rechazar tab con anchor y coordenadas a la vez', () => {
+      const payload = createSapDocumentPayload({
+        tabs: [{ tipo: 'signHere', anchor: '/firma/', pagina: 1, x: 10, y: 10 }],
+      });
+      const result = validateSapDocumentPayload(payload);
+
+      expect(result.success).toBe(false);
+    });
+
+    test('debe rechazar tipo de tab no soportado', () => {
+      const payload = createSapDocumentPayload({
+        tabs: [{ tipo: 'approve', anchor: '/aprobar/' }],
+      });
+      const result = validateSapDocumentPayload(payload);
+
+      expect(result.success).toBe(false);
+    });
+
+    test('debe rechazar tab de un firmante inexistente', () => {
+      const payload = createSapDocumentPayload({
+        tabs: [{ tipo: 'signHere', anchor: '/firma_aval/', firmante: 2 }],
+      });
+      const result = validateSapDocumentPayload(payload);
+
+      expect(result.success).toBe(false);
+    });
+  });
+
   // ===========================================================
   // EDGE CASES
   // ===========================================================
@@ -191,4 +327,24 @@ describe('SAP Document Endpoint - Validacion de Payload', () => {
       expect(decoded.startsWith('%PDF')).toBe(true);
     });
   });
+
+  // ===========================================================
+  // ENDPOINT SINCRONO - CALENDARIO DE RECORDATORIOS
+  // ===========================================================
+  describe('POST /api/sap-document - datosExtra', () => {
+    test.each([
+      [{ zonaHoraria: 'Mars/Base' }, 'datosExtra.zonaHoraria: '],
+      [{ calendarioRecordatorios: { dias: [5, 2] } }, 'datosExtra.calendarioRecordatorios.dias: '],
+    ])('debe rechazar con 400 datosExtra invalido (%j)', async (datosExtra, prefijo) => {
+      const context = global.createMockContext();
+
+      await sapDocumentEndpoint(
+        context,
+        createPostRequest(createSapDocumentPayload({ datosExtra }))
+      );
+
+      expect(context.res.status).toBe(400);
+      expect(context.res.body.error.startsWith(prefijo)).toBe(true);
+    });
+  });
 });
@@ -0,0 +1,125 @@
+/**
+ * Unit Test: Entrega del PDF firmado (webhook DocuSign, envelope-completed)
+ * Verifica que el PDF firmado viaje en el header del template firma_confirmacion_pdf
+ * (entregable fuera de la ventana de 24 horas) y no como mensaje de documento libre
+ */
+
+jest.mock('../../core/services/infrastructure/appInsightsService', () =>
+  require('../__mocks__/appInsightsService.mock')
+);
+jest.mock('../../core/services/infrastructure/metricsService', () =>
+  require('../__mocks__/metricsService.mock')
+);
+jest.mock('../../core/services/external/docusignService', () =>
+  require('../__mocks__/docusignService.mock')
+);
+jest.mock('../../core/services/external/whatsappService', () =>
+  require('../__mocks__/whatsappService.mock')
+);
+jest.mock('../../core/services/storage/blobService', () => ({
+  getContainerClient: jest.fn(),
+}));
+jest.mock('../../core/services/external/teamsService', () => ({
+  notifyDocumentSigned: jest.fn(),
+  notifyError: jest.fn(),
+}));
+jest.mock('../../core/services/external/sapCallbackService', () => ({
+  notificarCambioEstado: jest.fn(),
+}));
+jest.mock('../../core/services/messaging/notificationService', () => ({
+  notificar: jest.fn(),
+}));
+jest.mock('../../bot/repositories/EventoDocuSignRepository', () => ({
+  registrar: jest.fn(),
+}));
+jest.mock('../../bot/repositories/DocumentoFirmaRepository', () => ({
+  obtenerPorEnvelopeId: jest.fn(),
+  actualizarEstado: jest.fn(),
+}));
+
+const webhook = require('../../api-docusign-webhook');
+const docusignService = require('../../core/services/external/docusignService');
+const whatsappService = require('../../core/services/external/whatsappService');
+const blobService = require('../../core/services/storage/blobService');
+const teamsService = require('../../core/services/external/teamsService');
+const sapCallbackService = require('../../core/services/external/sapCallbackService');
+const notificationService = require('../../core/services/messaging/notificationService');
+const eventoRepo = require('../../bot/repositories/EventoDocuSignRepository');
+const documentoRepo = require('../../bot/repositories/DocumentoFirmaRepository');
+const { createDocumentoEnviado } = require('../factories/documentoFactory');
+const { createCompletedPayload } = require('../factories/docusignPayloadFactory');
+const { ESTADO_DOCUMENTO_ID } = require('../../bot/constants/documentStates');
+
+describe('DocuSign webhook - entrega del PDF firmado', () => {
+  let context;
+
+  beforeEach(() => {
+    context = global.createMockContext();
+
+    docusignService.validateWebhookHmac.mockReturnValue(true);
+    docusignService.downloadSignedDocument.mockResolvedValue(Buffer.from('%PDF-firmado'));
+    whatsappService.uploadMedia.mockResolvedValue('media_123');
+    blobService.getContainerClient.mockResolvedValue({
+      getBlockBlobClient: () => ({ upload: jest.fn().mockResolvedValue({}) }),
+    });
+    teamsService.notifyDocumentSigned.mockResolvedValue(undefined);
+    sapCallbackService.notificarCambioEstado.mockResolvedValue(undefined);
+    notificationService.notificar.mockResolvedValue({ canal: 'WHATSAPP', mensajeId: 'wamid.1' });
+    eventoRepo.registrar.mockResolvedValue({ isDuplicate: false });
+    documentoRepo.obtenerPorEnvelopeId.mockResolvedValue(
+      createDocumentoEnviado({
+        DocumentoFirmaId: 77,
+        SapDocumentId: 'SAP-77',
+        EnvelopeId: 'env-77',
+        EstadoDocumento: 'VISTO',
+        EstadoDocumentoId: ESTADO_DOCUMENTO_ID.VISTO,
+        CanalPreferido: null,
+      })
+    );
+    documentoRepo.actualizarEstado.mockResolvedValue(true);
+  });
+
+  function createRequest() {
+    return {
+      headers: { 'x-docusign-signature-1': 'firma' },
+      body: createCompletedPayload('env-77'),
+    };
+  }
+
+  test('debe enviar el PDF en el header de firma_confirmacion_pdf', async () => {
+    await webhook(context, createRequest());
+
+    expect(context.res.status).toBe(200);
+    expect(whatsappService.uploadMedia).toHaveBeenCalledWith(
+      expect.any(Buffer),
+      'application/pdf',
+      'SAP-77_firmado.pdf'
+    );
+    expect(notificationService.notificar).toHaveBeenCalledWith(
+      'firma_confirmacion_pdf',
+      expect.objectContaining({
+        clienteNombre: 'Juan Perez',
+        documento: { id: 'media_123', filename: 'SAP-77_firmado.pdf' },
+      }),
+      { telefono: '5215512345678', email: 'juan@example.com' },
+      expect.objectContaining({ documentoFirmaId: 77 })
+    );
+    // Un documento libre no se entrega fuera de la ventana de 24 horas
+    expect(whatsappService.sendDocument).not.toHaveBeenCalled();
+  });
+
+  test('sin PDF disponible debe enviar firma_confirmacion sin header', async () => {
+    whatsappService.uploadMedia.mockRejectedValue(new Error('media upload failed'));
+
+    await webhook(context, createRequest());
+
+    expect(context.res.status).toBe(200);
+    expect(notificationService.notificar).toHaveBeenCalledWith(
+      'firma_confirmacion',
+      expect.not.objectContaining({ documento: expect.anything() }),
+      expect.any(Object),
+      expect.any(Object)
+    );
+    expect(whatsappService.sendDocument).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Unit Test: Signer Data Service
+ * Verifica validacion y normalizacion de email, RFC y nombre legal, deteccion de
+ * datos pendientes segun el perfil y datosPorConfirmar, y el template firma_datos
+ */
+
+jest.mock('../../core/services/external/whatsappService', () =>
+  require('../__mocks__/whatsappService.mock')
+);
+jest.mock('../../core/services/infrastructure/errorHandler', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const whatsapp = require('../../core/services/external/whatsappService');
+const {
+  validarDato,
+  detectarDatosPendientes,
+  parsearDatosPendientes,
+  describirDatos,
+  solicitarDatos,
+} = require('../../core/services/processing/signerDataService');
+
+describe('signerDataService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // ===========================================================
+  // VALIDACION
+  // ===========================================================
+  describe('validarDato()', () => {
+    test.each([
+      ['EMAIL', '  Cliente@Correo.MX ', 'cliente@correo.mx'],
+      ['RFC', 'xaxx-010101 000', 'XAXX010101000'],
+      ['RFC', 'ABC010101XY1', 'ABC010101XY1'],
+      ['NOMBRE_LEGAL', '  Juan   Perez  Lopez ', 'Juan Perez Lopez'],
+    ])('%s "%s" debe normalizarse a "%s"', (codigo, texto, esperado) => {
+      expect(validarDato(codigo, texto)).toEqual({ valido: true, valor: esperado });
+    });
+
+    test.each([
+      ['EMAIL', 'cliente-sin-arroba'],
+      ['RFC', 'XAXX01010100'],
+      ['RFC', '1234010101000'],
+      ['NOMBRE_LEGAL', 'Juan'],
+      ['TELEFONO', '5512345678'],
+    ])('%s "%s" no debe ser valido', (codigo, texto) => {
+      expect(validarDato(codigo, texto)).toEqual({ valido: false, valor: null });
+    });
+  });
+
+  // ===========================================================
+  // DETECCION
+  // ===========================================================
+  describe('detectarDatosPendientes()', () => {
+    const datos = {
+      clienteNombre: 'Juan Perez',
+      clienteEmail: 'juan@correo.mx',
+      clienteRfc: 'PEJU800101AB1',
+    };
+
+    test('con datos validos y sin requeridos no debe pedir nada', () => {
+      expect(detectarDatosPendientes(datos, { datosRequeridos: [] })).toEqual([]);
+    });
+
+    test('debe pedir los datos requeridos que faltan', () => {
+      const perfil = { datosRequeridos: ['EMAIL', 'RFC'] };
+
+      expect(detectarDatosPendientes({ clienteNombre: 'Juan Perez' }, perfil)).toEqual([
+        'EMAIL',
+        'RFC',
+      ]);
+    });
+
+    test('debe pedir un email o RFC con formato invalido aunque no sea requerido', () => {
+      const pendientes = detectarDatosPendientes(
+        { ...datos, clienteEmail: 'juan@', clienteRfc: 'XYZ' },
+        { datosRequeridos: [] }
+      );
+
+      expect(pendientes).toEqual(['EMAIL', 'RFC']);
+    });
+
+    test('el nombre solo se revisa si el perfil lo requiere', () => {
+      const sinApellido = { ...datos, clienteNombre: 'Juan' };
+
+      expect(detectarDatosPendientes(sinApellido, { datosRequeridos: [] })).toEqual([]);
+      expect(detectarDatosPendientes(sinApellido, { datosRequeridos: ['NOMBRE_LEGAL'] })).toEqual([
+        'NOMBRE_LEGAL',
+      ]);
+    });
+
+    test('debe pedir los datos que SAP pide confirmar, en orden', () => {
+      const pendientes = detectarDatosPendientes(
+        { ...datos, datosPorConfirmar: ['NOMBRE_LEGAL', 'EMAIL'] },
+        { datosRequeridos: [] }
+      );
+
+      expect(pendientes).toEqual(['EMAIL', 'NOMBRE_LEGAL']);
+    });
+
+    test('no debe pedir nada en documentos multi-firmante', () => {
+      const multi = { firmantes: [{}, {}], datosPorConfirmar: ['EMAIL'] };
+
+      expect(detectarDatosPendientes(multi, { datosRequeridos: ['RFC'] })).toEqual([]);
+    });
+  });
+
+  // ===========================================================
+  // DATOS PENDIENTES GUARDADOS Y MENSAJES
+  // ===========================================================
+  describe('parsearDatosPendientes() y describirDatos()', () => {
+    test.each([
+      ['["EMAIL","RFC"]', ['EMAIL', 'RFC']],
+      ['["EMAIL","CURP"]', ['EMAIL']],
+      ['no-json', []],
+      [null, []],
+    ])('%s debe parsearse a %j', (valor, esperado) => {
+      expect(parsearDatosPendientes(valor)).toEqual(esperado);
+    });
+
+    test('debe describir los datos en lenguaje natural', () => {
+      expect(describirDatos(['RFC'])).toBe('RFC');
+      expect(describirDatos(['EMAIL', 'RFC', 'NOMBRE_LEGAL'])).toBe(
+        'correo electronico, RFC y nombre completo'
+      );
+    });
+  });
+
+  describe('solicitarDatos()', () => {
+    test('debe enviar firma_datos con el quick reply del documento', async () => {
+      await solicitarDatos(
+        {
+          documentoFirmaId: 42,
+          telefono: '+5215512345678',
+          clienteNombre: 'Juan Perez',
+          tipoDocumento: 'Contrato',
+          documentoNombre: 'Contrato 42',
+        },
+        ['EMAIL', 'RFC']
+      );
+
+      const [telefono, payload] = whatsapp.sendTemplate.mock.calls[0];
+      expect(telefono).toBe('+5215512345678');
+      expect(payload.name).toBe('firma_datos');
+      expect(JSON.stringify(payload)).toContain('COMPLETAR_DATOS:42');
+      expect(JSON.stringify(payload)).toContain('correo electronico y RFC');
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Unit Test: Verificacion de Identidad del Firmante
+ * Verifica el codigo por WhatsApp (OTP_WHATSAPP) que /api/firma pide antes de
+ * redirigir a DocuSign y el registro de intentos fallidos en auditoria
+ */
+
+jest.mock('../../core/services/infrastructure/appInsightsService', () =>
+  require('../__mocks__/appInsightsService.mock')
+);
+jest.mock('../../core/services/infrastructure/auditService', () => ({
+  logSignerVerified: jest.fn(),
+  logSignerVerificationFailure: jest.fn(),
+}));
+jest.mock('../../core/services/external/whatsappService', () =>
+  require('../__mocks__/whatsappService.mock')
+);
+jest.mock('../../core/services/external/docusignService', () =>
+  require('../__mocks__/docusignService.mock')
+);
+jest.mock('../../bot/repositories/DocumentoFirmaRepository', () => ({
+  obtenerPorId: jest.fn(),
+}));
+jest.mock('../../bot/repositories/PerfilTipoDocumentoRepository', () => ({
+  obtenerPorTipo: jest.fn(),
+}));
+jest.mock('../../bot/repositories/VerificacionFirmaRepository', () => ({
+  crear: jest.fn(),
+  obtenerUltima: jest.fn(),
+  registrarFallo: jest.fn(),
+  marcarVerificada: jest.fn(),
+}));
+
+const crypto = require('crypto');
+const firmaRedirect = require('../../api-firma-redirect');
+const audit = require('../../core/services/infrastructure/auditService');
+const whatsappService = require('../../core/services/external/whatsappService');
+const docusignService = require('../../core/services/external/docusignService');
+const documentoRepo = require('../../bot/repositories/DocumentoFirmaRepository');
+const perfilRepo = require('../../bot/repositories/PerfilTipoDocumentoRepository');
+const verificacionRepo = require('../../bot/repositories/VerificacionFirmaRepository');
+const { ESTADO_DOCUMENTO_ID } = require('../../bot/constants/documentStates');
+const { createDocumentoEnviado } = require('../factories/documentoFactory');
+const { createGetRequest, createPostRequest } = require('../factories/requestFactory');
+
+const SIGNING_URL = 'https://demo.docusign.net/signing/view-xxx';
+const PARAMS = { token: '77' };
+const FORMULARIO = { params: PARAMS, contentType: 'application/x-www-form-urlencoded' };
+
+function hash(codigo) {
+  return crypto.createHash('sha256').update(`77::${codigo}`).digest('hex');
+}
+
+function createVerificacion(overrides = {}) {
+  return {
+    VerificacionId: 5,
+    CodigoHash: hash('123456'),
+    Intentos: 0,
+    Verificado: false,
+    Vigente: true,
+    SegundosDesdeCreacion: 120,
+    ...overrides,
+  };
+}
+
+describe('Verificacion de identidad - /api/firma', () => {
+  let context;
+
+  beforeEach(() => {
+    context = global.createMockContext();
+
+    documentoRepo.obtenerPorId.mockResolvedValue(
+      createDocumentoEnviado({
+        DocumentoFirmaId: 77,
+        TipoDocumento: 'PAGARE',
+        EstadoDocumentoId: ESTADO_DOCUMENTO_ID.ENVIADO,
+      })
+    );
+    perfilRepo.obtenerPorTipo.mockResolvedValue({
+      TipoDocumento: 'PAGARE',
+      VerificacionIdentidad: 'OTP_WHATSAPP',
+    });
+    verificacionRepo.obtenerUltima.mockResolvedValue(null);
+    verificacionRepo.crear.mockResolvedValue({ VerificacionId: 5 });
+    verificacionRepo.registrarFallo.mockResolvedValue(1);
+    verificacionRepo.marcarVerificada.mockResolvedValue(true);
+    whatsappService.sendTemplate.mockResolvedValue('wamid.codigo');
+    docusignService.createRecipientView.mockResolvedValue(SIGNING_URL);
+  });
+
+  test('debe redirigir directo si el perfil no pide verificacion', async () => {
+    perfilRepo.obtenerPorTipo.mockResolvedValue({ TipoDocumento: 'PAGARE' });
+
+    await firmaRedirect(context, createGetRequest({ params: PARAMS }));
+
+    expect(context.res.status).toBe(302);
+    expect(context.res.headers.Location).toBe(SIGNING_URL);
+    expect(verificacionRepo.crear).not.toHaveBeenCalled();
+  });
+
+  test('debe enviar el codigo por WhatsApp y mostrar el formulario', async () => {
+    await firmaRedirect(context, createGetRequest({ params: PARAMS }));
+
+    expect(context.res.status).toBe(200);
+    expect(context.res.body).toContain('name="codigo"');
+    expect(docusignService.createRecipientView).not.toHaveBeenCalled();
+
+    const [datos] = verificacionRepo.crear.mock.calls[0];
+    expect(datos).toMatchObject({
+      documentoFirmaId: 77,
+      recipientId: null,
+      telefono: '5215512345678',
+    });
+    const [telefono, template] = whatsappService.sendTemplate.mock.calls[0];
+    expect(telefono).toBe('5215512345678');
+    expect(template.name).toBe('firma_codigo');
+    const codigo = template.components[0].parameters[0].text;
+    expect(codigo).toMatch(/^\d{6}$/);
+    expect(datos.codigoHash).toBe(hash(codigo));
+  });
+
+  test('no debe reenviar el codigo si sigue vigente', async () => {
+    verificacionRepo.obtenerUltima.mockResolvedValue(createVerificacion());
+
+    await firmaRedirect(context, createGetRequest({ params: PARAMS }));
+
+    expect(context.res.status).toBe(200);
+    expect(whatsappService.sendTemplate).not.toHaveBeenCalled();
+  });
+
+  test('debe limitar los reenvios del codigo', async () => {
+    verificacionRepo.obtenerUltima.mockResolvedValue(
+      createVerificacion({ SegundosDesdeCreacion: 20 })
+    );
+
+    await firmaRedirect(context, createGetRequest({ params: PARAMS, query: { reenviar: '1' } }));
+
+    expect(whatsappService.sendTemplate).not.toHaveBeenCalled();
+    expect(context.res.body).toContain('Espera 40 segundos');
+  });
+
+  test('debe redirigir a DocuSign con el codigo correcto', async () => {
+    verificacionRepo.obtenerUltima.mockResolvedValue(createVerificacion());
+
+    await firmaRedirect(context, createPostRequest('codigo=123456', FORMULARIO));
+
+    expect(context.res.status).toBe(302);
+    expect(context.res.headers.Location).toBe(SIGNING_URL);
+    expect(verificacionRepo.marcarVerificada).toHaveBeenCalledWith(5);
+    expect(audit.logSignerVerified).toHaveBeenCalled();
+  });
+
+  test('debe registrar en auditoria un codigo incorrecto', async () => {
+    verificacionRepo.obtenerUltima.mockResolvedValue(createVerificacion());
+
+    await firmaRedirect(context, createPostRequest('codigo=000000', FORMULARIO));
+
+    expect(context.res.status).toBe(401);
+    expect(context.res.body).toContain('Te quedan 4 intentos');
+    expect(verificacionRepo.registrarFallo).toHaveBeenCalledWith(5);
+    expect(audit.logSignerVerificationFailure).toHaveBeenCalledWith(
+      expect.objectContaining({
+        documentoId: 77,
+        metodo: 'OTP_WHATSAPP',
+        motivo: 'CODIGO_INCORRECTO',
+      }),
+      expect.any(Object)
+    );
+    expect(docusignService.createRecipientView).not.toHaveBeenCalled();
+  });
+
+  test('debe rechazar el codigo correcto si se agotaron los intentos', async () => {
+    verificacionRepo.obtenerUltima.mockResolvedValue(createVerificacion({ Intentos: 5 }));
+
+    await firmaRedirect(context, createPostRequest('codigo=123456', FORMULARIO));
+
+    expect(context.res.status).toBe(401);
+    expect(verificacionRepo.marcarVerificada).not.toHaveBeenCalled();
+    expect(audit.logSignerVerificationFailure).toHaveBeenCalledWith(
+      expect.objectContaining({ motivo: 'INTENTOS_AGOTADOS' }),
+      expect.any(Object)
+    );
+  });
+
+  test('no debe aceptar un codigo ya utilizado', async () => {
+    verificacionRepo.obtenerUltima.mockResolvedValue(createVerificacion({ Verificado: true }));
+
+    await firmaRedirect(context, createPostRequest('codigo=123456', FORMULARIO));
+
+    expect(context.res.status).toBe(401);
+    expect(docusignService.createRecipientView).not.toHaveBeenCalled();
+  });
+});
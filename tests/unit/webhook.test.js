@@ -34,6 +34,9 @@ jest.mock('../../core/services/infrastructure/correlationService', () => ({
 jest.mock('../../core/services/infrastructure/deadLetterService', () => ({
   saveFailedMessage: jest.fn().mockResolvedValue(undefined),
 }));
+jest.mock('../../core/services/processing/whatsappStatusService', () => ({
+  procesarEstado: jest.fn(),
+}));
 
 const webhook = require('../../api-whatsapp-webhook');
 const messageHandler = require('../../bot/controllers/messageHandler');
@@ -41,6 +44,7 @@ const rateLimiter = require('../../core/services/infrastructure/rateLimiter');
 const security = require('../../core/services/infrastructure/securityService');
 const db = require('../../core/services/storage/databaseService');
 const deadLetter = require('../../core/services/infrastructure/deadLetterService');
+const whatsappStatus = require('../../core/services/processing/whatsappStatusService');
 const payloads = require('../factories/whatsappPayloads');
 
 describe('Webhook Principal', () => {
@@ -56,6 +60,7 @@ describe('Webhook Principal', () => {
     deadLetter.saveFailedMessage.mockResolvedValue(undefined);
     messageHandler.handleText.mockResolvedValue(undefined);
     messageHandler.handleButton.mockResolvedValue(undefined);
+    whatsappStatus.procesarEstado.mockResolvedValue(null);
   });
 
   // ===========================================================
@@ -141,6 +146,39 @@ describe('Webhook Principal', () => {
         expect.any(Object)
       );
     });
+
+    test('debe rutear el quick reply de un template con su payload', async () => {
+      const body = payloads.createTemplateButtonResponse('RECHAZAR_DOCUMENTO:77');
+      const req = { method: 'POST', body, headers: {} };
+
+      await webhook(context, req);
+
+      expect(messageHandler.handleButton).toHaveBeenCalledWith(
+        '+5215512345678',
+        'RECHAZAR_DOCUMENTO:77',
+        expect.any(String),
+        expect.any(Object)
+      );
+    });
+
+    test('debe rutear la fila elegida de una lista como boton', async () => {
+      const body = payloads.createButtonResponse('RECHAZAR_DOCUMENTO:78');
+      const [message] = body.entry[0].changes[0].value.messages;
+      message.interactive = {
+        type: 'list_reply',
+        list_reply: { id: 'RECHAZAR_DOCUMENTO:78', title: 'Contrato' },
+      };
+      const req = { method: 'POST', body, headers: {} };
+
+      await webhook(context, req);
+
+      expect(messageHandler.handleButton).toHaveBeenCalledWith(
+        '+5215512345678',
+        'RECHAZAR_DOCUMENTO:78',
+        expect.any(String),
+        expect.any(Object)
+      );
+    });
   });
 
   // ===========================================================
@@ -212,14 +250,28 @@ describe('Webhook Principal', () => {
       expect(context.res.status).toBe(200);
     });
 
-    test('debe ignorar notificaciones de estado (sin mensajes)', async () => {
+    test('debe procesar notificaciones de estado (sin mensajes) sin rutearlas', async () => {
       const body = payloads.createStatusNotification('msg-1', 'delivered');
       const req = { method: 'POST', body, headers: {} };
 
       await webhook(context, req);
 
       expect(messageHandler.handleText).not.toHaveBeenCalled();
+      expect(whatsappStatus.procesarEstado).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'msg-1', status: 'delivered' })
+      );
+      expect(context.res.status).toBe(200);
+    });
+
+    test('debe responder 200 aunque falle el procesamiento de un status', async () => {
+      whatsappStatus.procesarEstado.mockRejectedValue(new Error('DB down'));
+      const body = payloads.createStatusNotification('msg-2', 'failed');
+      const req = { method: 'POST', body, headers: {} };
+
+      await webhook(context, req);
+
       expect(context.res.status).toBe(200);
+      expect(deadLetter.saveFailedMessage).not.toHaveBeenCalled();
     });
 
     test('debe actualizar nombre de usuario si esta en el payload', async () => {
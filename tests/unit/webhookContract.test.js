@@ -31,6 +31,13 @@ describe('Contract Tests: Meta Webhook v22.0', () => {
       expect(result.success).toBe(true);
     });
 
+    test('quick reply de template debe pasar validacion', () => {
+      const payload = payloads.createTemplateButtonResponse('RECHAZAR_DOCUMENTO:77');
+      const result = validateWebhookPayload(payload);
+      expect(result.success).toBe(true);
+      expect(extractMessage(payload).button.payload).toBe('RECHAZAR_DOCUMENTO:77');
+    });
+
     test('notificacion de estado debe pasar validacion', () => {
       const payload = payloads.createStatusNotification('msg-1', 'delivered');
       const result = validateWebhookPayload(payload);
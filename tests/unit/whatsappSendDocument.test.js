@@ -0,0 +1,75 @@
+/**
+ * Unit Test: WhatsApp sendDocument
+ * Verifica la subida del archivo a /media y el mensaje de tipo document
+ */
+
+const mockPost = jest.fn();
+
+jest.mock('axios', () => ({
+  create: jest.fn(() => ({ post: mockPost, get: jest.fn() })),
+  get: jest.fn(),
+}));
+jest.mock('../../core/services/infrastructure/errorHandler', () => {
+  const actual = jest.requireActual('../../core/services/infrastructure/errorHandler');
+  return {
+    ...actual,
+    logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  };
+});
+
+const FormData = require('form-data');
+const config = require('../../core/config');
+const whatsappService = require('../../core/services/external/whatsappService');
+const { ExternalServiceError } = require('../../core/errors');
+
+describe('whatsappService.sendDocument()', () => {
+  const pdfBuffer = Buffer.from('%PDF-1.4 signed');
+  const { apiUrl, phoneNumberId } = config.whatsapp;
+
+  beforeEach(() => {
+    mockPost.mockImplementation(async (url) => {
+      if (url.endsWith('/media')) {
+        return { data: { id: 'media_456' } };
+      }
+      return { data: { messages: [{ id: 'wamid.doc_789' }] } };
+    });
+  });
+
+  test('debe subir el PDF y enviar el mensaje con el media ID', async () => {
+    const messageId = await whatsappService.sendDocument(
+      '5215512345678',
+      pdfBuffer,
+      'SAP-1_firmado.pdf',
+      'Contrato de servicio'
+    );
+
+    expect(messageId).toBe('wamid.doc_789');
+
+    const [uploadUrl, form, uploadOptions] = mockPost.mock.calls[0];
+    expect(uploadUrl).toBe(`${apiUrl}/${phoneNumberId}/media`);
+    expect(form).toBeInstanceOf(FormData);
+    expect(uploadOptions.headers['content-type']).toContain('multipart/form-data');
+
+    const [messageUrl, body] = mockPost.mock.calls[1];
+    expect(messageUrl).toBe(`${apiUrl}/${phoneNumberId}/messages`);
+    expect(body).toMatchObject({
+      messaging_product: 'whatsapp',
+      to: '5215512345678',
+      type: 'document',
+      document: {
+        id: 'media_456',
+        filename: 'SAP-1_firmado.pdf',
+        caption: 'Contrato de servicio',
+      },
+    });
+  });
+
+  test('no debe enviar el mensaje si falla la subida', async () => {
+    mockPost.mockImplementation(async () => ({ data: {} }));
+
+    await expect(
+      whatsappService.sendDocument('5215512345678', pdfBuffer, 'SAP-1_firmado.pdf')
+    ).rejects.toThrow(ExternalServiceError);
+    expect(mockPost).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Unit Test: Status de Entrega de WhatsApp
+ * Verifica la relacion de los statuses de Meta con el documento, la transicion a
+ * ENTREGADO y el reenvio del enlace por los demas canales cuando el template falla
+ */
+
+jest.mock('../../core/services/infrastructure/appInsightsService', () =>
+  require('../__mocks__/appInsightsService.mock')
+);
+jest.mock('../../core/services/messaging/notificationService', () => ({
+  notificar: jest.fn(),
+}));
+jest.mock('../../core/services/external/teamsService', () => ({
+  notifyError: jest.fn(),
+}));
+jest.mock('../../bot/repositories/DocumentoFirmaRepository', () => ({
+  registrarEstadoWhatsApp: jest.fn(),
+  obtenerPorId: jest.fn(),
+  actualizarEstado: jest.fn(),
+}));
+jest.mock('../../bot/repositories/FirmanteDocumentoRepository', () => ({
+  obtenerPorDocumento: jest.fn(),
+}));
+
+const whatsappStatus = require('../../core/services/processing/whatsappStatusService');
+const notificationService = require('../../core/services/messaging/notificationService');
+const teamsService = require('../../core/services/external/teamsService');
+const documentoRepo = require('../../bot/repositories/DocumentoFirmaRepository');
+const firmanteRepo = require('../../bot/repositories/FirmanteDocumentoRepository');
+const { ConcurrencyError, ExternalServiceError } = require('../../core/errors');
+const { ESTADO_DOCUMENTO_ID } = require('../../bot/constants/documentStates');
+const { createDocumentoEnviado } = require('../factories/documentoFactory');
+
+function createStatus(status, overrides = {}) {
+  return { id: 'wamid.envio_1', status, recipient_id: '5215512345678', ...overrides };
+}
+
+const STATUS_FALLIDO = createStatus('failed', {
+  errors: [{ code: 131026, title: 'Message undeliverable' }],
+});
+
+describe('whatsappStatusService.procesarEstado()', () => {
+  let documento;
+
+  beforeEach(() => {
+    documento = createDocumentoEnviado({
+      DocumentoFirmaId: 77,
+      SapDocumentId: 'SAP-1',
+      EnvelopeId: 'env-123',
+      ClienteTelefono: '5215512345678',
+      ClienteNombre: 'Juan Perez',
+      ClienteEmail: 'juan@test.com',
+      CanalPreferido: 'SMS',
+      EstadoDocumentoId: ESTADO_DOCUMENTO_ID.ENVIADO,
+      Version: 3,
+    });
+    documentoRepo.registrarEstadoWhatsApp.mockResolvedValue({
+      DocumentoFirmaId: 77,
+      FirmanteId: null,
+    });
+    documentoRepo.obtenerPorId.mockResolvedValue(documento);
+    documentoRepo.actualizarEstado.mockResolvedValue({});
+    teamsService.notifyError.mockResolvedValue(true);
+    notificationService.notificar.mockResolvedValue({ canal: 'EMAIL', mensajeId: '<email_1>' });
+  });
+
+  test('debe pasar el documento a ENTREGADO con delivered', async () => {
+    const resultado = await whatsappStatus.procesarEstado(createStatus('delivered'));
+
+    expect(resultado).toEqual({ documentoId: 77, estado: 'delivered' });
+    expect(documentoRepo.registrarEstadoWhatsApp).toHaveBeenCalledWith(
+      'wamid.envio_1',
+      'delivered',
+      null
+    );
+    expect(documentoRepo.actualizarEstado).toHaveBeenCalledWith(
+      77,
+      ESTADO_DOCUMENTO_ID.ENTREGADO,
+      3,
+      {},
+      {
+        origen: 'WHATSAPP_STATUS',
+        actor: 'Meta',
+        detalle: { messageId: 'wamid.envio_1', status: 'delivered' },
+      }
+    );
+  });
+
+  test('no debe regresar de estado un documento ya visto', async () => {
+    documento.EstadoDocumentoId = ESTADO_DOCUMENTO_ID.VISTO;
+
+    await whatsappStatus.procesarEstado(createStatus('read'));
+
+    expect(documentoRepo.actualizarEstado).not.toHaveBeenCalled();
+  });
+
+  test('debe ignorar el conflicto de version si otro evento movio el documento', async () => {
+    documentoRepo.actualizarEstado.mockRejectedValue(new ConcurrencyError('77', 3));
+
+    await expect(whatsappStatus.procesarEstado(createStatus('delivered'))).resolves.toEqual({
+      documentoId: 77,
+      estado: 'delivered',
+    });
+  });
+
+  test('debe ignorar statuses de mensajes que no son de documentos o repetidos', async () => {
+    documentoRepo.registrarEstadoWhatsApp.mockResolvedValue(null);
+
+    const resultado = await whatsappStatus.procesarEstado(STATUS_FALLIDO);
+
+    expect(resultado).toBeNull();
+    expect(documentoRepo.obtenerPorId).not.toHaveBeenCalled();
+    expect(teamsService.notifyError).not.toHaveBeenCalled();
+  });
+
+  test('debe alertar a Teams y reenviar el enlace sin WhatsApp si el template falla', async () => {
+    const resultado = await whatsappStatus.procesarEstado(STATUS_FALLIDO);
+
+    expect(resultado.canalAlterno).toBe('EMAIL');
+    expect(documentoRepo.registrarEstadoWhatsApp).toHaveBeenCalledWith(
+      'wamid.envio_1',
+      'failed',
+      '131026 Message undeliverable'
+    );
+    expect(notificationService.notificar).toHaveBeenCalledWith(
+      'firma_envio',
+      expect.objectContaining({
+        clienteNombre: 'Juan Perez',
+        firma: { documentoFirmaId: 77, recipientId: null, telefono: '5215512345678' },
+      }),
+      { telefono: '5215512345678', email: 'juan@test.com' },
+      { documentoFirmaId: 77, firmanteId: null, canalPreferido: 'SMS', excluir: ['WHATSAPP'] }
+    );
+    expect(teamsService.notifyError).toHaveBeenCalledWith(
+      'WhatsApp no entregado',
+      expect.stringContaining('enviado por EMAIL'),
+      expect.objectContaining({ error: '131026 Message undeliverable' })
+    );
+  });
+
+  test('debe alertar a Teams sin canal alterno si fallan los demas canales', async () => {
+    notificationService.notificar.mockRejectedValue(
+      new ExternalServiceError(
+        'No se pudo enviar la notificacion por ningun canal',
+        'Notificaciones'
+      )
+    );
+
+    const resultado = await whatsappStatus.procesarEstado(STATUS_FALLIDO);
+
+    expect(resultado.canalAlterno).toBeNull();
+    expect(teamsService.notifyError).toHaveBeenCalledWith(
+      'WhatsApp no entregado',
+      expect.stringContaining('sin canal alterno'),
+      expect.any(Object)
+    );
+  });
+
+  test('no debe reenviar el enlace si el documento ya no esta pendiente', async () => {
+    documento.EstadoDocumentoId = ESTADO_DOCUMENTO_ID.FIRMADO;
+
+    const resultado = await whatsappStatus.procesarEstado(STATUS_FALLIDO);
+
+    expect(resultado.canalAlterno).toBeNull();
+    expect(notificationService.notificar).not.toHaveBeenCalled();
+  });
+
+  test('debe reenviar al firmante cuando falla su template (multi-firmante)', async () => {
+    documentoRepo.registrarEstadoWhatsApp.mockResolvedValue({
+      DocumentoFirmaId: 77,
+      FirmanteId: 12,
+    });
+    firmanteRepo.obtenerPorDocumento.mockResolvedValue([
+      { FirmanteId: 11, RecipientId: '1', Telefono: '5215512345678', Email: 'juan@test.com' },
+      {
+        FirmanteId: 12,
+        RecipientId: '2',
+        Telefono: '5215598765432',
+        Nombre: 'Aval',
+        Email: 'aval@test.com',
+      },
+    ]);
+
+    await whatsappStatus.procesarEstado(STATUS_FALLIDO);
+
+    expect(notificationService.notificar).toHaveBeenCalledWith(
+      'firma_envio',
+      expect.objectContaining({
+        clienteNombre: 'Aval',
+        firma: { documentoFirmaId: 77, recipientId: '2', telefono: '5215598765432' },
+      }),
+      { telefono: '5215598765432', email: 'aval@test.com' },
+      expect.objectContaining({ firmanteId: 12, excluir: ['WHATSAPP'] })
+    );
+  });
+});
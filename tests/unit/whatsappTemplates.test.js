@@ -63,6 +63,38 @@ describe('WhatsApp Templates', () => {
     });
   });
 
+  // ===========================================================
+  // Quick reply de rechazo
+  // ===========================================================
+  describe('buildTemplatePayload - quick reply RECHAZAR_DOCUMENTO', () => {
+    test.each(['firma_envio', 'firma_recordatorio', 'firma_actualizacion'])(
+      '%s debe llevar el documento en el payload del quick reply',
+      (templateName) => {
+        const payload = buildTemplatePayload(templateName, {
+          clienteNombre: 'Juan Perez',
+          firma: { documentoFirmaId: 77, telefono: '5215512345678' },
+        });
+
+        const quickReply = payload.components.find((c) => c.sub_type === 'quick_reply');
+        expect(quickReply).toEqual({
+          type: 'button',
+          sub_type: 'quick_reply',
+          index: 1,
+          parameters: [{ type: 'payload', payload: 'RECHAZAR_DOCUMENTO:77' }],
+        });
+      }
+    );
+
+    test('sin documento debe dejar el payload fijo del template', () => {
+      const payload = buildTemplatePayload('firma_envio', {
+        clienteNombre: 'Juan Perez',
+        signingUrl: 'https://demo.docusign.net/signing/xxx',
+      });
+
+      expect(payload.components.find((c) => c.sub_type === 'quick_reply')).toBeUndefined();
+    });
+  });
+
   // ===========================================================
   // buildTemplatePayload - firma_recordatorio
   // ===========================================================
@@ -109,6 +141,35 @@ describe('WhatsApp Templates', () => {
     });
   });
 
+  // ===========================================================
+  // buildTemplatePayload - firma_confirmacion_pdf
+  // ===========================================================
+  describe('buildTemplatePayload - firma_confirmacion_pdf', () => {
+    test('debe construir header DOCUMENT con el media ID del PDF firmado', () => {
+      const payload = buildTemplatePayload('firma_confirmacion_pdf', {
+        clienteNombre: 'Pedro Garcia',
+        tipoDocumento: 'Pagare',
+        documentoNombre: 'Pagare No. 001',
+        documento: { id: 'media_123', filename: 'SAP-001_firmado.pdf' },
+      });
+
+      expect(payload.name).toBe('firma_confirmacion_pdf');
+      expect(payload.components[0]).toEqual({
+        type: 'header',
+        parameters: [
+          { type: 'document', document: { id: 'media_123', filename: 'SAP-001_firmado.pdf' } },
+        ],
+      });
+
+      const body = payload.components.find((c) => c.type === 'body');
+      expect(body.parameters.map((p) => p.text)).toEqual([
+        'Pedro Garcia',
+        'Pagare',
+        'Pagare No. 001',
+      ]);
+    });
+  });
+
   // ===========================================================
   // buildTemplatePayload - firma_anulacion
   // ===========================================================
@@ -128,6 +189,37 @@ describe('WhatsApp Templates', () => {
     });
   });
 
+  // ===========================================================
+  // buildTemplatePayload - firma_datos
+  // ===========================================================
+  describe('buildTemplatePayload - firma_datos', () => {
+    test('debe llevar los datos pendientes y el quick reply COMPLETAR_DATOS', () => {
+      const payload = buildTemplatePayload(TEMPLATE_NAMES.FIRMA_DATOS, {
+        clienteNombre: 'Ana Martinez',
+        tipoDocumento: 'Contrato',
+        documentoNombre: 'Contrato 2026',
+        datosPendientes: 'correo electronico y RFC',
+        documentoFirmaId: 42,
+      });
+
+      expect(payload.name).toBe('firma_datos');
+
+      const body = payload.components.find((c) => c.type === 'body');
+      expect(body.parameters.map((p) => p.text)).toEqual([
+        'Ana Martinez',
+        'Contrato',
+        'Contrato 2026',
+        'correo electronico y RFC',
+      ]);
+      expect(payload.components.find((c) => c.sub_type === 'quick_reply')).toEqual({
+        type: 'button',
+        sub_type: 'quick_reply',
+        index: 0,
+        parameters: [{ type: 'payload', payload: 'COMPLETAR_DATOS:42' }],
+      });
+    });
+  });
+
   // ===========================================================
   // ERROR HANDLING
   // ===========================================================
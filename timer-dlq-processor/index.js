@@ -84,6 +84,27 @@ async function reprocessMessage(dlMessage, context) {
         message = { type: 'interactive', interactive: { button_reply: payload } };
         break;
       }
+      // Quick reply de template: el contenido es el payload del boton
+      case 'button':
+        message = { type: 'button', button: { payload: Contenido } };
+        break;
+      case 'sap_document_envio': {
+        let envio;
+        try {
+          envio = JSON.parse(Contenido);
+        } catch (_parseErr) {
+          throw new Error(
+            `JSON malformado en envio de documento SAP: ${Contenido?.substring(0, 50)}`
+          );
+        }
+        // En el ultimo intento el procesador marca el documento como ERROR y avisa a SAP
+        message = {
+          ...envio,
+          type: tipo,
+          ultimoIntento: dlMessage.RetryCount + 1 >= dlMessage.MaxRetries,
+        };
+        break;
+      }
       default:
         throw new Error(`Tipo de mensaje no soportado para reprocessing: ${tipo}`);
     }
@@ -2,14 +2,19 @@
  * SIGN BOT - Timer: Firma Reminders, SAP Reports, and Housekeeping
  * Runs on FIRMA_TIMER_SCHEDULE (default: every hour)
  *
- * Three responsibilities:
+ * Four responsibilities:
  *
- * 1. CLIENT REMINDERS (every 48h, max 5)
+ * 1. CLIENT REMINDERS (reminder schedule, default every 48h, max 5)
  *    - Query documents where:
  *      - Estado in (ENVIADO, ENTREGADO, VISTO, RECHAZADO)
  *      - IntentosRecordatorio < maxRecordatoriosCliente
- *      - UltimoRecordatorio is NULL or > reminderHoursCliente hours ago
- *    - For each: send WhatsApp template (firma_recordatorio)
+ *    - Keep the ones whose next reminder is due (reminderScheduleService): schedule
+ *      days after sending (e.g. day 1, 3, 7, then every 3; a late reminder shifts the
+ *      next ones), or every reminderHoursCliente hours without a schedule; only on
+ *      business days (no weekends or Mexican public holidays) and inside the send
+ *      window in the client's timezone
+ *    - For each: send the firma_recordatorio template via notificationService
+ *      (WhatsApp, or email/SMS per the document's channel preference and fallback order)
  *    - Increment IntentosRecordatorio and set UltimoRecordatorio
  *    - Log results
  *
@@ -23,13 +28,27 @@
  *
  * 3. HOUSEKEEPING (after 30 days)
  *    - Query documents where:
- *      - Estado in (ENVIADO, ENTREGADO, VISTO, RECHAZADO, ERROR)
+ *      - Estado in (ENVIADO, ENTREGADO, VISTO, RECHAZADO, ERROR), or PENDIENTE_ENVIO
+ *        still waiting for signer data (DatosPendientes) the client never completed
  *      - No activity for housekeepingDays
- *    - For each: void envelope via docusignService.voidEnvelope()
- *    - Update document estado to ANULADO
- *    - Send WhatsApp anulacion template
+ *    - For each: void envelope via docusignService.voidEnvelope() (when there is one)
+ *    - Update document estado to ANULADO (recorded in HistorialDocumentoFirma, origin TIMER)
+ *    - Documents without envelope report ANULADO to SAP via sapCallbackService, since
+ *      no DocuSign envelope-voided event will arrive for them
+ *    - Send the anulacion template via notificationService
  *    - Send Teams notification
  *
+ * 4. SAP CALLBACK RETRIES
+ *    - Query documents where:
+ *      - Estado in (FIRMADO, RECHAZADO, ANULADO, ERROR) and SapCallbackUrl is set
+ *      - 0 < IntentosSap < sapCallback.maxIntentos (last dispatch failed)
+ *    - For each: re-send the status callback via sapCallbackService
+ *    - Success resets IntentosSap; failure increments it (Teams alert when exhausted)
+ *
+ * The reminder cadence and schedule (1) and housekeeping days (3) come from the document
+ * type profile (PerfilesTipoDocumento); NULL profile columns use the config.firma values.
+ * datosExtra.calendarioRecordatorios / zonaHoraria override the schedule per document.
+ *
  * Error handling:
  * - Continue processing remaining documents if one fails
  * - Log all errors with document details
@@ -40,11 +59,21 @@ const sql = require('mssql');
 const config = require('../core/config');
 const { logger } = require('../core/services/infrastructure/errorHandler');
 const { getPool } = require('../core/services/storage/connectionPool');
-const whatsappService = require('../core/services/external/whatsappService');
 const docusignService = require('../core/services/external/docusignService');
 const teamsService = require('../core/services/external/teamsService');
+const sapCallbackService = require('../core/services/external/sapCallbackService');
+const documentoRepo = require('../bot/repositories/DocumentoFirmaRepository');
 const appInsights = require('../core/services/infrastructure/appInsightsService');
-const { TEMPLATE_NAMES, buildTemplatePayload } = require('../bot/constants/whatsappTemplates');
+const notificationService = require('../core/services/messaging/notificationService');
+const { combinarPerfil } = require('../core/services/processing/documentProfileService');
+const { recordatorioPendiente } = require('../core/services/processing/reminderScheduleService');
+const { TEMPLATE_NAMES } = require('../bot/constants/whatsappTemplates');
+const {
+  CANAL_NOTIFICACION,
+  ESTADO_DOCUMENTO,
+  ESTADO_DOCUMENTO_ID,
+  ORIGEN_HISTORIAL,
+} = require('../bot/constants/documentStates');
 
 // ==============================================================
 // CONSTANTS
@@ -69,41 +98,56 @@ function sleep(ms) {
 // ==============================================================
 
 /**
- * Query documents that need a client reminder via WhatsApp
+ * Query documents that need a client reminder
+ * SQL returns the pending documents under their max; the schedule, business days and
+ * send window are evaluated per document with reminderScheduleService
+ * @param {Date} [ahora] - Current time
  * @returns {Promise<Array>} - Documents needing reminders
  */
-async function getDocumentsForReminder() {
+async function getDocumentsForReminder(ahora = new Date()) {
   try {
     const pool = await getPool();
-    const { reminderHoursCliente, maxRecordatoriosCliente } = config.firma;
+    const { maxRecordatoriosCliente } = config.firma;
 
-    const result = await pool
-      .request()
-      .input('maxRecordatorios', sql.Int, maxRecordatoriosCliente)
-      .input('reminderHours', sql.Int, reminderHoursCliente).query(`
+    const result = await pool.request().input('maxRecordatorios', sql.Int, maxRecordatoriosCliente)
+      .query(`
         SELECT
           d.DocumentoFirmaId,
           d.EnvelopeId,
           d.ClienteTelefono,
           d.ClienteNombre,
+          d.ClienteEmail,
+          d.CanalPreferido,
           d.DocumentoNombre,
+          d.DatosExtra,
           td.Codigo AS TipoDocumento,
           d.IntentosRecordatorio,
           d.UltimoRecordatorio,
           d.FechaCreacion,
-          DATEDIFF(DAY, d.FechaCreacion, GETDATE()) AS DiasDesdeCreacion
+          ISNULL(d.FechaEnvioWhatsApp, d.FechaCreacion) AS FechaEnvio,
+          DATEDIFF(DAY, d.FechaCreacion, GETDATE()) AS DiasDesdeCreacion,
+          p.HorasRecordatorio,
+          p.MaxRecordatorios,
+          p.CalendarioRecordatorios
         FROM DocumentosFirma d
         INNER JOIN CatEstadoDocumento ed ON d.EstadoDocumentoId = ed.EstadoDocumentoId
         INNER JOIN CatTipoDocumento td ON d.TipoDocumentoId = td.TipoDocumentoId
+        LEFT JOIN PerfilesTipoDocumento p ON d.TipoDocumentoId = p.TipoDocumentoId
         WHERE ed.Codigo IN ('ENVIADO', 'ENTREGADO', 'VISTO', 'RECHAZADO')
-          AND (d.IntentosRecordatorio IS NULL OR d.IntentosRecordatorio < @maxRecordatorios)
           AND (
-            d.UltimoRecordatorio IS NULL
-            OR DATEDIFF(HOUR, d.UltimoRecordatorio, GETDATE()) >= @reminderHours
+            d.IntentosRecordatorio IS NULL
+            OR d.IntentosRecordatorio < ISNULL(p.MaxRecordatorios, @maxRecordatorios)
           )
       `);
 
-    return result.recordset;
+    // One effective profile per type (the profile columns repeat on every row)
+    const perfiles = new Map();
+    return result.recordset.filter((doc) => {
+      if (!perfiles.has(doc.TipoDocumento)) {
+        perfiles.set(doc.TipoDocumento, combinarPerfil(doc.TipoDocumento, doc));
+      }
+      return recordatorioPendiente(doc, perfiles.get(doc.TipoDocumento), ahora);
+    });
   } catch (error) {
     logger.error('[FIRMA-REMINDER] Error consultando documentos para recordatorio', error, {
       operation: 'getDocumentsForReminder',
@@ -119,24 +163,35 @@ async function getDocumentsForReminder() {
  */
 async function sendClientReminder(doc) {
   try {
-    // Send WhatsApp template reminder with all params + URL button
-    const templatePayload = buildTemplatePayload(TEMPLATE_NAMES.FIRMA_RECORDATORIO, {
-      clienteNombre: doc.ClienteNombre || 'Cliente',
-      tipoDocumento: doc.TipoDocumento || 'Documento',
-      documentoNombre: doc.DocumentoNombre || 'documento pendiente',
-      diasPendientes: String(doc.DiasDesdeCreacion || 0),
-      signingUrl: String(doc.DocumentoFirmaId),
-    });
-
-    await whatsappService.sendTemplate(doc.ClienteTelefono, templatePayload);
+    // Send the reminder template with all params + signing link
+    const { canal, mensajeId } = await notificationService.notificar(
+      TEMPLATE_NAMES.FIRMA_RECORDATORIO,
+      {
+        clienteNombre: doc.ClienteNombre || 'Cliente',
+        tipoDocumento: doc.TipoDocumento || 'Documento',
+        documentoNombre: doc.DocumentoNombre || 'documento pendiente',
+        diasPendientes: String(doc.DiasDesdeCreacion || 0),
+        firma: { documentoFirmaId: doc.DocumentoFirmaId, telefono: doc.ClienteTelefono },
+      },
+      { telefono: doc.ClienteTelefono, email: doc.ClienteEmail },
+      { documentoFirmaId: doc.DocumentoFirmaId, canalPreferido: doc.CanalPreferido }
+    );
+    const messageId = canal === CANAL_NOTIFICACION.WHATSAPP ? mensajeId : null;
 
     // Update reminder count and timestamp in database
+    // A new WhatsApp message ID replaces the previous one so Meta statuses track the reminder
     const pool = await getPool();
-    await pool.request().input('documentoId', sql.Int, doc.DocumentoFirmaId).query(`
+    await pool
+      .request()
+      .input('documentoId', sql.Int, doc.DocumentoFirmaId)
+      .input('messageId', sql.NVarChar, messageId || null).query(`
         UPDATE DocumentosFirma
         SET
           IntentosRecordatorio = ISNULL(IntentosRecordatorio, 0) + 1,
-          UltimoRecordatorio = GETDATE()
+          UltimoRecordatorio = GETDATE(),
+          WhatsAppMessageId = COALESCE(@messageId, WhatsAppMessageId),
+          EstadoWhatsApp = CASE WHEN @messageId IS NULL THEN EstadoWhatsApp ELSE NULL END,
+          ErrorWhatsApp = CASE WHEN @messageId IS NULL THEN ErrorWhatsApp ELSE NULL END
         WHERE DocumentoFirmaId = @documentoId
       `);
 
@@ -144,6 +199,7 @@ async function sendClientReminder(doc) {
       documentoId: doc.DocumentoFirmaId,
       telefono: doc.ClienteTelefono,
       intento: (doc.IntentosRecordatorio || 0) + 1,
+      canal,
     });
 
     return true;
@@ -331,6 +387,7 @@ async function processSapReports(results) {
 
 /**
  * Query documents that have been inactive for housekeepingDays
+ * Includes PENDIENTE_ENVIO documents whose signer data was never completed
  * @returns {Promise<Array>} - Stale documents to void
  */
 async function getDocumentsForHousekeeping() {
@@ -344,17 +401,28 @@ async function getDocumentsForHousekeeping() {
           d.EnvelopeId,
           d.ClienteTelefono,
           d.ClienteNombre,
+          d.ClienteEmail,
+          d.CanalPreferido,
           d.DocumentoNombre,
+          d.SapDocumentId,
+          d.SapCallbackUrl,
+          d.IntentosSap,
           td.Codigo AS TipoDocumento,
           ed.Codigo AS Estado,
+          ISNULL(d.Version, 0) AS Version,
           d.FechaCreacion,
           d.UpdatedAt,
           DATEDIFF(DAY, ISNULL(d.UpdatedAt, d.FechaCreacion), GETDATE()) AS DiasInactivo
         FROM DocumentosFirma d
         INNER JOIN CatEstadoDocumento ed ON d.EstadoDocumentoId = ed.EstadoDocumentoId
         INNER JOIN CatTipoDocumento td ON d.TipoDocumentoId = td.TipoDocumentoId
-        WHERE ed.Codigo IN ('ENVIADO', 'ENTREGADO', 'VISTO', 'RECHAZADO', 'ERROR')
-          AND DATEDIFF(DAY, ISNULL(d.UpdatedAt, d.FechaCreacion), GETDATE()) >= @housekeepingDays
+        LEFT JOIN PerfilesTipoDocumento p ON d.TipoDocumentoId = p.TipoDocumentoId
+        WHERE (
+            ed.Codigo IN ('ENVIADO', 'ENTREGADO', 'VISTO', 'RECHAZADO', 'ERROR')
+            OR (ed.Codigo = 'PENDIENTE_ENVIO' AND d.DatosPendientes IS NOT NULL)
+          )
+          AND DATEDIFF(DAY, ISNULL(d.UpdatedAt, d.FechaCreacion), GETDATE())
+            >= ISNULL(p.DiasHousekeeping, @housekeepingDays)
       `);
 
     return result.recordset;
@@ -372,6 +440,11 @@ async function getDocumentsForHousekeeping() {
  * @returns {Promise<boolean>} - true if voided successfully
  */
 async function voidStaleDocument(doc) {
+  const motivo =
+    doc.Estado === ESTADO_DOCUMENTO.PENDIENTE_ENVIO
+      ? `Housekeeping: datos del firmante sin completar por ${doc.DiasInactivo} dias`
+      : `Housekeeping: inactividad por ${doc.DiasInactivo} dias`;
+
   try {
     // 1. Void envelope in DocuSign
     if (doc.EnvelopeId) {
@@ -381,33 +454,46 @@ async function voidStaleDocument(doc) {
       );
     }
 
-    // 2. Update document estado to ANULADO in database (EstadoDocumentoId = 7)
-    const pool = await getPool();
-    await pool.request().input('documentoId', sql.Int, doc.DocumentoFirmaId).query(`
-        UPDATE DocumentosFirma
-        SET
-          EstadoDocumentoId = 7,
-          UpdatedAt = GETDATE(),
-          MensajeError = 'Housekeeping: inactividad por ${doc.DiasInactivo} dias'
-        WHERE DocumentoFirmaId = @documentoId
-      `);
+    // 2. Update document estado to ANULADO in database
+    await documentoRepo.actualizarEstado(
+      doc.DocumentoFirmaId,
+      ESTADO_DOCUMENTO_ID.ANULADO,
+      doc.Version,
+      { MensajeError: motivo },
+      {
+        origen: ORIGEN_HISTORIAL.TIMER,
+        actor: 'timer-firma-reminder',
+        detalle: { diasInactivo: doc.DiasInactivo },
+      }
+    );
 
-    // 3. Send WhatsApp anulacion template (fire-and-forget)
-    try {
-      const anulacionPayload = buildTemplatePayload(TEMPLATE_NAMES.FIRMA_ANULACION, {
-        clienteNombre: doc.ClienteNombre || 'Cliente',
-        tipoDocumento: doc.TipoDocumento || 'Documento',
-        documentoNombre: doc.DocumentoNombre || 'documento',
+    // 3. Without an envelope no envelope-voided event reaches the webhook: report to SAP here
+    if (!doc.EnvelopeId) {
+      await sapCallbackService.notificarCambioEstado(doc, ESTADO_DOCUMENTO.ANULADO, {
+        mensajeError: motivo,
       });
-      await whatsappService.sendTemplate(doc.ClienteTelefono, anulacionPayload);
-    } catch (waError) {
-      logger.warn('[FIRMA-REMINDER] Error enviando template de anulacion por WhatsApp', {
+    }
+
+    // 4. Send the anulacion template (fire-and-forget)
+    try {
+      await notificationService.notificar(
+        TEMPLATE_NAMES.FIRMA_ANULACION,
+        {
+          clienteNombre: doc.ClienteNombre || 'Cliente',
+          tipoDocumento: doc.TipoDocumento || 'Documento',
+          documentoNombre: doc.DocumentoNombre || 'documento',
+        },
+        { telefono: doc.ClienteTelefono, email: doc.ClienteEmail },
+        { documentoFirmaId: doc.DocumentoFirmaId, canalPreferido: doc.CanalPreferido }
+      );
+    } catch (notifError) {
+      logger.warn('[FIRMA-REMINDER] Error enviando template de anulacion', {
         documentoId: doc.DocumentoFirmaId,
-        error: waError.message,
+        error: notifError.message,
       });
     }
 
-    // 4. Send Teams notification (fire-and-forget)
+    // 5. Send Teams notification (fire-and-forget)
     try {
       const card = {
         '@type': 'MessageCard',
@@ -494,6 +580,51 @@ async function processHousekeeping(results) {
   }
 }
 
+// ==============================================================
+// 4. SAP CALLBACK RETRIES
+// ==============================================================
+
+/**
+ * Re-send status callbacks to SAP whose last dispatch failed
+ * @param {Object} results - Results accumulator
+ */
+async function processSapCallbackRetries(results) {
+  try {
+    const documents = await documentoRepo.obtenerPendientesCallbackSap(
+      config.sapCallback.maxIntentos
+    );
+
+    if (documents.length === 0) {
+      logger.debug('[FIRMA-REMINDER] No hay callbacks SAP pendientes de reintento');
+      return;
+    }
+
+    logger.info('[FIRMA-REMINDER] Reintentando callbacks SAP', {
+      total: documents.length,
+    });
+
+    for (const doc of documents) {
+      const delivered = await sapCallbackService.notificarCambioEstado(doc, doc.EstadoDocumento, {
+        motivoRechazo: doc.MotivoRechazo,
+        documentoFirmadoUrl: doc.DocumentoFirmadoUrl,
+        mensajeError: doc.MensajeError,
+      });
+      if (delivered) {
+        results.callbacksSapEntregados++;
+      } else {
+        results.errores++;
+      }
+
+      if (documents.indexOf(doc) < documents.length - 1) {
+        await sleep(500);
+      }
+    }
+  } catch (error) {
+    logger.error('[FIRMA-REMINDER] Error general reintentando callbacks SAP', error);
+    results.errores++;
+  }
+}
+
 // ==============================================================
 // MAIN HANDLER
 // ==============================================================
@@ -512,6 +643,7 @@ module.exports = async function (context, myTimer) {
     recordatoriosEnviados: 0,
     reportesTeamsEnviados: 0,
     housekeepingVoided: 0,
+    callbacksSapEntregados: 0,
     errores: 0,
   };
 
@@ -524,6 +656,9 @@ module.exports = async function (context, myTimer) {
 
     // 3. Housekeeping
     await processHousekeeping(results);
+
+    // 4. SAP callback retries
+    await processSapCallbackRetries(results);
   } catch (error) {
     logger.error('[FIRMA-REMINDER] Error general en timer', { error: error.message });
     results.errores++;
@@ -538,6 +673,7 @@ module.exports = async function (context, myTimer) {
   context.log('Recordatorios enviados:  ', results.recordatoriosEnviados);
   context.log('Reportes Teams enviados: ', results.reportesTeamsEnviados);
   context.log('Housekeeping anulados:   ', results.housekeepingVoided);
+  context.log('Callbacks SAP entregados:', results.callbacksSapEntregados);
   context.log('Errores:                 ', results.errores);
   context.log('Duracion:                ', durationMs, 'ms');
   context.log('============================================================');